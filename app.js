@@ -146,6 +146,12 @@ app.set('QueryStream', QueryStream);
 app.set('cosActivities', require('./libs/cosActivities')(app));
 app.set('urlLib', require('./libs/url')(config));
 app.set('util', require('./libs/util'));
+app.set('voteTally', require('./libs/voteTally'));
+app.set('textSearch', require('./libs/textSearch'));
+app.set('groupHierarchy', require('./libs/groupHierarchy'));
+app.set('voterWeights', require('./libs/voterWeights')(app));
+app.set('htmlDiff', require('./libs/htmlDiff'));
+app.set('htmlToMarkdown', require('./libs/htmlToMarkdown'));
 app.set('cosEtherpad', require('./libs/cosEtherpad')(app));
 app.set('cosJwt', require('./libs/cosJwt')(app));
 
@@ -172,6 +178,7 @@ mobileId.init({
 });
 app.set('mobileId', mobileId);
 app.set('cosSignature', require('./libs/cosSignature')(app));
+app.set('cosTopicExport', require('./libs/cosTopicExport')(app));
 
 if (typeof config.email === 'string') {
     config.email = JSON.parse(config.email); // Support JSON string from ENV
@@ -179,8 +186,18 @@ if (typeof config.email === 'string') {
 config.email.layout = config.email.layout || path.join(EMAIL_TEMPLATE_ROOT, 'layouts/default.html');
 app.set('emailClient', require('./libs/campaign/emailClient')(config.email));
 app.set('email', require('./libs/email')(app));
+app.set('cosJobs', require('./libs/cosJobs')(app));
+app.set('cosDeadlines', require('./libs/cosDeadlines')(app));
+app.set('cosWebhooks', require('./libs/cosWebhooks')(app));
+app.set('cosStream', require('./libs/cosStream')(app));
+app.set('cosNotifications', require('./libs/cosNotifications')(app));
+app.set('cosStorage', require('./libs/cosStorage')(app));
+app.set('cosUserDataExport', require('./libs/cosUserDataExport')(app));
 
 app.set('cryptoLib', require('./libs/crypto'));
+app.set('cosSession', require('./libs/cosSession')(app));
+app.set('cosOpenId', require('./libs/cosOpenId')(app));
+app.set('cosTwoFactor', require('./libs/cosTwoFactor')(app));
 
 // Authentication with Passport - http://passportjs.org/guide/
 const passport = require('passport');
@@ -250,6 +267,8 @@ app.set('middleware.partnerParser', require('./libs/middleware/partnerParser')(a
 app.set('middleware.uuidValidator', require('./libs/middleware/uuidValidator')(app));
 app.set('middleware.deprecated', require('./libs/middleware/deprecated'));
 app.set('middleware.asyncMiddleware', require('./libs/middleware/asyncMiddleware'));
+app.set('middleware.rateLimit', require('./libs/middleware/rateLimit')(app));
+app.set('middleware.adminCheck', require('./libs/middleware/adminCheck')(app));
 
 // Bot header logger
 app.use(require('./libs/middleware/botHeaderLogger'));
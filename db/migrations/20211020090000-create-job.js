@@ -0,0 +1,77 @@
+'use strict';
+
+const _ = require('lodash');
+const STATUSES = {
+    pending: 'pending',
+    running: 'running',
+    done: 'done',
+    failed: 'failed'
+};
+
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+        await queryInterface.createTable('Jobs', {
+            id: {
+                type: Sequelize.UUID,
+                primaryKey: true,
+                allowNull: false,
+                defaultValue: Sequelize.UUIDV4
+            },
+            name: {
+                type: Sequelize.STRING(255),
+                allowNull: false,
+                comment: 'Job name. Used to find the handler that runs the Job.'
+            },
+            key: {
+                type: Sequelize.STRING(255),
+                allowNull: true,
+                unique: true,
+                comment: 'Unique key for de-duplication. Scheduling a Job with an existing key reschedules the existing Job.'
+            },
+            data: {
+                type: Sequelize.JSONB,
+                allowNull: true,
+                comment: 'Data passed to the Job handler.'
+            },
+            runAt: {
+                type: Sequelize.DATE,
+                allowNull: false,
+                defaultValue: Sequelize.NOW,
+                comment: 'Time after which the Job is run.'
+            },
+            status: {
+                type: Sequelize.ENUM,
+                values: _.values(STATUSES),
+                allowNull: false,
+                defaultValue: STATUSES.pending,
+                comment: 'Job status.'
+            },
+            attempts: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                defaultValue: 0,
+                comment: 'Number of times the Job has been run.'
+            },
+            error: {
+                type: Sequelize.TEXT,
+                allowNull: true,
+                comment: 'Error of the last failed run.'
+            },
+            createdAt: {
+                type: Sequelize.DATE,
+                allowNull: false
+            },
+            updatedAt: {
+                type: Sequelize.DATE,
+                allowNull: false
+            }
+        });
+
+        return queryInterface.addIndex('Jobs', ['status', 'runAt']);
+    },
+    down: async (queryInterface) => {
+        await queryInterface.dropTable('Jobs');
+
+        return queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_Jobs_status";');
+    }
+};
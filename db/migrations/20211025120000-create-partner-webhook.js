@@ -0,0 +1,154 @@
+'use strict';
+
+const _ = require('lodash');
+const STATUSES = {
+    pending: 'pending',
+    success: 'success',
+    failed: 'failed'
+};
+
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+        await queryInterface.createTable('PartnerWebhooks', {
+            id: {
+                type: Sequelize.UUID,
+                primaryKey: true,
+                allowNull: false,
+                defaultValue: Sequelize.UUIDV4
+            },
+            partnerId: {
+                type: Sequelize.UUID,
+                allowNull: false,
+                comment: 'Partner to whom the Webhook belongs to.',
+                references: {
+                    model: 'Partners',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'CASCADE'
+            },
+            creatorId: {
+                type: Sequelize.UUID,
+                allowNull: false,
+                comment: 'User who registered the Webhook.',
+                references: {
+                    model: 'Users',
+                    key: 'id'
+                }
+            },
+            url: {
+                type: Sequelize.STRING(2048),
+                allowNull: false,
+                comment: 'Absolute URL where the events are POST-ed to.'
+            },
+            events: {
+                type: Sequelize.ARRAY(Sequelize.STRING),
+                allowNull: false,
+                comment: 'Event types the Webhook is subscribed to.'
+            },
+            secret: {
+                type: Sequelize.STRING(255),
+                allowNull: false,
+                comment: 'Secret used to sign the payloads (HMAC-SHA256).'
+            },
+            createdAt: {
+                type: Sequelize.DATE,
+                allowNull: false
+            },
+            updatedAt: {
+                type: Sequelize.DATE,
+                allowNull: false
+            },
+            deletedAt: {
+                type: Sequelize.DATE
+            }
+        });
+
+        await queryInterface.addIndex('PartnerWebhooks', ['partnerId']);
+
+        await queryInterface.createTable('PartnerWebhookDeliveries', {
+            id: {
+                type: Sequelize.UUID,
+                primaryKey: true,
+                allowNull: false,
+                defaultValue: Sequelize.UUIDV4
+            },
+            webhookId: {
+                type: Sequelize.UUID,
+                allowNull: false,
+                comment: 'Webhook the event is delivered to.',
+                references: {
+                    model: 'PartnerWebhooks',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'CASCADE'
+            },
+            activityId: {
+                type: Sequelize.UUID,
+                allowNull: false,
+                comment: 'Activity the event was derived from.',
+                references: {
+                    model: 'Activities',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'CASCADE'
+            },
+            event: {
+                type: Sequelize.STRING(255),
+                allowNull: false,
+                comment: 'Event type. One of PartnerWebhook.EVENTS.'
+            },
+            payload: {
+                type: Sequelize.JSONB,
+                allowNull: false,
+                comment: 'Payload POST-ed to the Webhook url.'
+            },
+            status: {
+                type: Sequelize.ENUM,
+                values: _.values(STATUSES),
+                allowNull: false,
+                defaultValue: STATUSES.pending,
+                comment: 'Delivery status.'
+            },
+            attempts: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                defaultValue: 0,
+                comment: 'Number of delivery attempts.'
+            },
+            responseStatus: {
+                type: Sequelize.INTEGER,
+                allowNull: true,
+                comment: 'HTTP status code of the last attempt.'
+            },
+            error: {
+                type: Sequelize.TEXT,
+                allowNull: true,
+                comment: 'Error of the last failed attempt.'
+            },
+            deliveredAt: {
+                type: Sequelize.DATE,
+                allowNull: true,
+                comment: 'Time of successful delivery.'
+            },
+            createdAt: {
+                type: Sequelize.DATE,
+                allowNull: false
+            },
+            updatedAt: {
+                type: Sequelize.DATE,
+                allowNull: false
+            }
+        });
+
+        return queryInterface.addIndex('PartnerWebhookDeliveries', ['webhookId', 'createdAt']);
+    },
+    down: async (queryInterface) => {
+        await queryInterface.dropTable('PartnerWebhookDeliveries');
+        await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_PartnerWebhookDeliveries_status";');
+
+        return queryInterface.dropTable('PartnerWebhooks');
+    }
+};
@@ -0,0 +1,38 @@
+'use strict';
+
+const TYPES = ['ranked', 'approval', 'score'];
+
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+        for (const type of TYPES) {
+            await queryInterface.sequelize.query(`ALTER TYPE "enum_Votes_type" ADD VALUE IF NOT EXISTS '${type}';`);
+        }
+
+        await queryInterface.addColumn('Votes', 'scoreMax', {
+            type: Sequelize.INTEGER,
+            allowNull: true,
+            defaultValue: null,
+            comment: 'Maximum score a Voter can give to an option. Only used when type is "score".'
+        });
+
+        await queryInterface.addColumn('VoteLists', 'rank', {
+            type: Sequelize.INTEGER,
+            allowNull: true,
+            comment: 'Position of the option in the Voters ranking, 1 being the most preferred. Only for Votes of type "ranked".'
+        });
+
+        return queryInterface.addColumn('VoteLists', 'score', {
+            type: Sequelize.INTEGER,
+            allowNull: true,
+            comment: 'Score given to the option by the Voter. Only for Votes of type "score".'
+        });
+    },
+
+    down: async (queryInterface) => {
+        await queryInterface.removeColumn('VoteLists', 'score');
+        await queryInterface.removeColumn('VoteLists', 'rank');
+
+        // NOTE: Postgres does not support removing values from an ENUM, the added "enum_Votes_type" values remain.
+        return queryInterface.removeColumn('Votes', 'scoreMax');
+    }
+};
@@ -0,0 +1,41 @@
+'use strict';
+
+const _ = require('lodash');
+const WEIGHT_SOURCES = {
+    topicMember: 'topicMember',
+    groupMember: 'groupMember'
+};
+
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+        await queryInterface.addColumn('Votes', 'weightSource', {
+            type: Sequelize.ENUM,
+            values: _.values(WEIGHT_SOURCES),
+            allowNull: true,
+            defaultValue: null,
+            comment: 'Where the weight of a Voters vote comes from. If NULL, all votes weigh the same.'
+        });
+
+        await queryInterface.addColumn('TopicMemberUsers', 'weight', {
+            type: Sequelize.INTEGER,
+            allowNull: false,
+            defaultValue: 1,
+            comment: 'Weight of the members vote (share count..) when Vote.weightSource is "topicMember".'
+        });
+
+        return queryInterface.addColumn('GroupMemberUsers', 'weight', {
+            type: Sequelize.INTEGER,
+            allowNull: false,
+            defaultValue: 1,
+            comment: 'Weight of the members vote (share count..) when Vote.weightSource is "groupMember".'
+        });
+    },
+
+    down: async (queryInterface) => {
+        await queryInterface.removeColumn('GroupMemberUsers', 'weight');
+        await queryInterface.removeColumn('TopicMemberUsers', 'weight');
+        await queryInterface.removeColumn('Votes', 'weightSource');
+
+        return queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_Votes_weightSource";');
+    }
+};
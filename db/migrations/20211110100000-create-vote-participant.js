@@ -0,0 +1,72 @@
+'use strict';
+
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+        await queryInterface.addColumn('Votes', 'ballotIsSecret', {
+            type: Sequelize.BOOLEAN,
+            allowNull: false,
+            defaultValue: false,
+            comment: 'Flag indicating if the ballot is secret. Secret ballot VoteLists do not record the Voter, participation is recorded in VoteParticipants.'
+        });
+
+        // Raw query, changeColumn with "references" would add a second foreign key without the cascades
+        await queryInterface.sequelize.query(`
+            ALTER TABLE "VoteLists" ALTER COLUMN "userId" DROP NOT NULL;
+            COMMENT ON COLUMN "VoteLists"."userId" IS 'Id of the User Who cast the Vote. NULL for secret ballots (Vote.ballotIsSecret).';
+        `);
+
+        await queryInterface.createTable('VoteParticipants', {
+            id: {
+                type: Sequelize.UUID,
+                primaryKey: true,
+                allowNull: false,
+                defaultValue: Sequelize.literal('gen_random_uuid()')
+            },
+            voteId: {
+                type: Sequelize.UUID,
+                allowNull: false,
+                comment: 'Vote the User participated in.',
+                references: {
+                    model: 'Votes',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'CASCADE'
+            },
+            userId: {
+                type: Sequelize.UUID,
+                allowNull: false,
+                comment: 'User who cast a ballot.',
+                references: {
+                    model: 'Users',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'CASCADE'
+            },
+            createdAt: {
+                allowNull: false,
+                type: Sequelize.DATE
+            },
+            updatedAt: {
+                allowNull: false,
+                type: Sequelize.DATE
+            }
+        });
+
+        return queryInterface.addConstraint('VoteParticipants', {
+            fields: ['voteId', 'userId'],
+            type: 'unique',
+            name: 'oneParticipationPerVote'
+        });
+    },
+
+    down: async (queryInterface) => {
+        await queryInterface.dropTable('VoteParticipants');
+
+        // NOTE: Fails if secret ballots have been cast, as their VoteLists have no userId.
+        await queryInterface.sequelize.query('ALTER TABLE "VoteLists" ALTER COLUMN "userId" SET NOT NULL;');
+
+        return queryInterface.removeColumn('Votes', 'ballotIsSecret');
+    }
+};
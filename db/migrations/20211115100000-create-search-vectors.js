@@ -0,0 +1,105 @@
+'use strict';
+
+/**
+ * Full-text search
+ *
+ * Content is indexed using all the text search configurations of the supported languages, as the language of the content is not known.
+ * Requires the "estonian" text search configuration. Postgres versions without the built-in Estonian stemmer need an Estonian Hunspell (ispell) dictionary and the configuration created before running the migration.
+ *
+ * @see libs/textSearch.js
+ */
+module.exports = {
+    up: async (queryInterface) => {
+        return queryInterface.sequelize.transaction(async function (t) {
+            await queryInterface.sequelize.query(
+                `DO $$
+                BEGIN
+                    IF NOT EXISTS (SELECT 1 FROM pg_ts_config WHERE cfgname = 'estonian') THEN
+                        RAISE EXCEPTION 'Text search configuration "estonian" does not exist'
+                            USING HINT = 'Install an Estonian Hunspell (ispell) dictionary and create the "estonian" text search configuration using it, see README.md';
+                    END IF;
+                END
+                $$;`,
+                {transaction: t}
+            );
+
+            // Content longer than that is not indexed to stay well within the 1MB tsvector limit
+            await queryInterface.sequelize.query(
+                `CREATE OR REPLACE FUNCTION search_vector(content text, weight "char")
+                    RETURNS tsvector
+                    AS $$
+                        SELECT setweight(
+                            to_tsvector('simple', c)
+                            || to_tsvector('english', c)
+                            || to_tsvector('estonian', c)
+                            || to_tsvector('russian', c),
+                            weight
+                        )
+                        FROM (SELECT left(regexp_replace(COALESCE(content, ''), '<[^>]*>', ' ', 'g'), 100000) AS c) t
+                    $$
+                LANGUAGE SQL STABLE;`,
+                {transaction: t}
+            );
+
+            const tables = [
+                {
+                    name: 'Topics',
+                    vectorSql: 'search_vector(NEW.title, \'A\') || search_vector(NEW.description, \'B\')',
+                    columns: ['title', 'description']
+                },
+                {
+                    name: 'Comments',
+                    vectorSql: 'search_vector(NEW.subject, \'A\') || search_vector(NEW.text, \'B\')',
+                    columns: ['subject', 'text']
+                },
+                {
+                    name: 'Groups',
+                    vectorSql: 'search_vector(NEW.name, \'A\')',
+                    columns: ['name']
+                }
+            ];
+
+            for (const table of tables) {
+                await queryInterface.sequelize.query(
+                    `ALTER TABLE "${table.name}" ADD COLUMN "searchVector" tsvector;
+
+                    COMMENT ON COLUMN "${table.name}"."searchVector" IS 'Full-text search vector, maintained by trigger "${table.name}_searchVector".';
+
+                    CREATE OR REPLACE FUNCTION "${table.name}_searchVector"()
+                        RETURNS trigger
+                        AS $$
+                            BEGIN
+                                NEW."searchVector" := ${table.vectorSql};
+                                RETURN NEW;
+                            END
+                        $$
+                    LANGUAGE plpgsql;
+
+                    CREATE TRIGGER "${table.name}_searchVector"
+                        BEFORE INSERT OR UPDATE OF ${table.columns.join(', ')} ON "${table.name}"
+                        FOR EACH ROW EXECUTE PROCEDURE "${table.name}_searchVector"();
+
+                    UPDATE "${table.name}" SET ${table.columns[0]} = ${table.columns[0]};
+
+                    CREATE INDEX "${table.name}_searchVector" ON "${table.name}" USING GIN ("searchVector");`,
+                    {transaction: t}
+                );
+            }
+        });
+    },
+
+    down: async (queryInterface) => {
+        return queryInterface.sequelize.transaction(async function (t) {
+            for (const table of ['Topics', 'Comments', 'Groups']) {
+                await queryInterface.sequelize.query(
+                    `DROP TRIGGER IF EXISTS "${table}_searchVector" ON "${table}";
+                    DROP FUNCTION IF EXISTS "${table}_searchVector"();
+                    ALTER TABLE "${table}" DROP COLUMN IF EXISTS "searchVector";`,
+                    {transaction: t}
+                );
+            }
+
+            return queryInterface.sequelize.query('DROP FUNCTION IF EXISTS search_vector(text, "char");', {transaction: t});
+        });
+    }
+};
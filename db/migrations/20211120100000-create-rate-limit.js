@@ -0,0 +1,29 @@
+'use strict';
+
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+        return queryInterface.createTable('RateLimits', {
+            key: {
+                type: Sequelize.STRING(255),
+                primaryKey: true,
+                allowNull: false,
+                comment: 'Counter key - bucket name and the User, Partner or IP the requests are counted for.'
+            },
+            hits: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                defaultValue: 0,
+                comment: 'Number of requests in the current window.'
+            },
+            resetAt: {
+                type: Sequelize.DATE,
+                allowNull: false,
+                comment: 'End of the current window.'
+            }
+        });
+    },
+
+    down: async (queryInterface) => {
+        return queryInterface.dropTable('RateLimits');
+    }
+};
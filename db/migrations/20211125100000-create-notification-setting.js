@@ -0,0 +1,81 @@
+'use strict';
+
+const _ = require('lodash');
+const FREQUENCIES = {
+    instant: 'instant',
+    daily: 'daily',
+    weekly: 'weekly',
+    off: 'off'
+};
+
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+        await queryInterface.createTable('NotificationSettings', {
+            id: {
+                type: Sequelize.UUID,
+                primaryKey: true,
+                allowNull: false,
+                defaultValue: Sequelize.literal('gen_random_uuid()')
+            },
+            userId: {
+                type: Sequelize.UUID,
+                allowNull: false,
+                comment: 'User whose setting it is.',
+                references: {
+                    model: 'Users',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'CASCADE'
+            },
+            topicId: {
+                type: Sequelize.UUID,
+                allowNull: true,
+                comment: 'Topic the setting is for. NULL if the setting is for a Group or the User default.',
+                references: {
+                    model: 'Topics',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'CASCADE'
+            },
+            groupId: {
+                type: Sequelize.UUID,
+                allowNull: true,
+                comment: 'Group the setting is for. NULL if the setting is for a Topic or the User default.',
+                references: {
+                    model: 'Groups',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'CASCADE'
+            },
+            frequency: {
+                type: Sequelize.ENUM,
+                values: _.values(FREQUENCIES),
+                allowNull: false,
+                comment: 'How often the User is notified.'
+            },
+            createdAt: {
+                allowNull: false,
+                type: Sequelize.DATE
+            },
+            updatedAt: {
+                allowNull: false,
+                type: Sequelize.DATE
+            }
+        });
+
+        // Partial indexes, as NULL-s are never equal in an unique index
+        await queryInterface.sequelize.query('CREATE UNIQUE INDEX "NotificationSettings_userId_default" ON "NotificationSettings" ("userId") WHERE "topicId" IS NULL AND "groupId" IS NULL;');
+        await queryInterface.sequelize.query('CREATE UNIQUE INDEX "NotificationSettings_userId_topicId" ON "NotificationSettings" ("userId", "topicId") WHERE "topicId" IS NOT NULL;');
+
+        return queryInterface.sequelize.query('CREATE UNIQUE INDEX "NotificationSettings_userId_groupId" ON "NotificationSettings" ("userId", "groupId") WHERE "groupId" IS NOT NULL;');
+    },
+
+    down: async (queryInterface) => {
+        await queryInterface.dropTable('NotificationSettings');
+
+        return queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_NotificationSettings_frequency";');
+    }
+};
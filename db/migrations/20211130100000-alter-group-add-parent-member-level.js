@@ -0,0 +1,61 @@
+'use strict';
+
+const _ = require('lodash');
+const LEVELS = {
+    read: 'read',
+    admin: 'admin'
+};
+
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+        // "parentId" was never validated, keep only the parents the Group creator is an admin of
+        await queryInterface.sequelize.query(`
+            UPDATE "Groups" g
+            SET "parentId" = NULL
+            WHERE g."parentId" IS NOT NULL
+                AND (
+                    g."parentId" = g.id
+                    OR NOT EXISTS (
+                        SELECT 1
+                        FROM "GroupMemberUsers" gmu
+                            JOIN "Groups" p ON (p.id = gmu."groupId" AND p."deletedAt" IS NULL)
+                        WHERE gmu."groupId" = g."parentId"
+                            AND gmu."userId" = g."creatorId"
+                            AND gmu.level = 'admin'
+                            AND gmu."deletedAt" IS NULL
+                    )
+                );
+        `);
+
+        await queryInterface.changeColumn('Groups', 'parentId', {
+            type: Sequelize.UUID,
+            allowNull: true,
+            defaultValue: null,
+            comment: 'Parent Groups id.',
+            references: {
+                model: 'Groups',
+                key: 'id'
+            },
+            onUpdate: 'CASCADE',
+            onDelete: 'SET NULL'
+        });
+
+        await queryInterface.addIndex('Groups', ['parentId']);
+
+        return queryInterface.addColumn('Groups', 'parentMemberLevel', {
+            type: Sequelize.ENUM,
+            values: _.values(LEVELS),
+            allowNull: true,
+            defaultValue: null,
+            comment: 'Level the members of the parent Group get in this Group. NULL if the membership is not inherited.'
+        });
+    },
+
+    down: async (queryInterface) => {
+        await queryInterface.removeColumn('Groups', 'parentMemberLevel');
+        await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_Groups_parentMemberLevel";');
+        await queryInterface.removeIndex('Groups', ['parentId']);
+
+        return queryInterface.sequelize.query('ALTER TABLE "Groups" DROP CONSTRAINT IF EXISTS "Groups_parentId_fkey";');
+    }
+};
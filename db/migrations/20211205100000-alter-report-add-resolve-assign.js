@@ -0,0 +1,57 @@
+'use strict';
+
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+        const assignedTo = {
+            assignedToId: {
+                type: Sequelize.UUID,
+                allowNull: true,
+                references: {
+                    model: 'Users',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'SET NULL',
+                comment: 'User ID of the Moderator the Report is assigned to.'
+            },
+            assignedAt: {
+                type: Sequelize.DATE,
+                allowNull: true,
+                comment: 'Time when the Report was assigned to the Moderator.'
+            }
+        };
+
+        await queryInterface.addColumn('Reports', 'resolvedById', {
+            type: Sequelize.UUID,
+            allowNull: true,
+            references: {
+                model: 'Users',
+                key: 'id'
+            },
+            onUpdate: 'CASCADE',
+            onDelete: 'CASCADE',
+            comment: 'User ID of the person who considered the issue to be resolved thus making the report outdated.'
+        });
+        await queryInterface.addColumn('Reports', 'resolvedAt', {
+            type: Sequelize.DATE,
+            allowNull: true,
+            comment: 'Time when the Report was marked as resolved.'
+        });
+
+        for (const table of ['Reports', 'TopicReports']) {
+            await queryInterface.addColumn(table, 'assignedToId', assignedTo.assignedToId);
+            await queryInterface.addColumn(table, 'assignedAt', assignedTo.assignedAt);
+        }
+    },
+
+    down: async (queryInterface) => {
+        for (const table of ['Reports', 'TopicReports']) {
+            await queryInterface.removeColumn(table, 'assignedAt');
+            await queryInterface.removeColumn(table, 'assignedToId');
+        }
+
+        await queryInterface.removeColumn('Reports', 'resolvedAt');
+
+        return queryInterface.removeColumn('Reports', 'resolvedById');
+    }
+};
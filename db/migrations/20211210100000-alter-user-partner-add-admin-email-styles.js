@@ -0,0 +1,24 @@
+'use strict';
+
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+        await queryInterface.addColumn('Users', 'isAdmin', {
+            type: Sequelize.BOOLEAN,
+            allowNull: false,
+            defaultValue: false,
+            comment: 'Administrator of the platform - manages Partners and Moderators. Granted in the DB by hand.'
+        });
+
+        return queryInterface.addColumn('Partners', 'emailStyles', {
+            type: Sequelize.JSONB,
+            allowNull: true,
+            comment: 'E-mail styles of the Partner (headerBackgroundColor, logoWidth, logoHeight) overriding the defaults.'
+        });
+    },
+
+    down: async (queryInterface) => {
+        await queryInterface.removeColumn('Partners', 'emailStyles');
+
+        return queryInterface.removeColumn('Users', 'isAdmin');
+    }
+};
@@ -0,0 +1,44 @@
+'use strict';
+
+const _ = require('lodash');
+const STATUSES = {
+    pending: 'pending',
+    available: 'available',
+    infected: 'infected'
+};
+
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+        await queryInterface.addColumn('Attachments', 'storageKey', {
+            type: Sequelize.STRING,
+            allowNull: true,
+            comment: 'Key of the file in the storage (libs/cosStorage.js). NULL for links to external files.'
+        });
+
+        await queryInterface.addColumn('Attachments', 'status', {
+            type: Sequelize.ENUM,
+            values: _.values(STATUSES),
+            allowNull: false,
+            defaultValue: STATUSES.available,
+            comment: 'Attachment is visible only when "available". Uploaded files are "pending" until the virus scan is done.'
+        });
+
+        return queryInterface.changeColumn('Attachments', 'link', {
+            type: Sequelize.STRING,
+            allowNull: true,
+            comment: 'files location. NULL for files in the storage.'
+        });
+    },
+
+    down: async (queryInterface, Sequelize) => {
+        await queryInterface.changeColumn('Attachments', 'link', {
+            type: Sequelize.STRING,
+            allowNull: false,
+            comment: 'files location'
+        });
+        await queryInterface.removeColumn('Attachments', 'status');
+        await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_Attachments_status";');
+
+        return queryInterface.removeColumn('Attachments', 'storageKey');
+    }
+};
@@ -0,0 +1,71 @@
+'use strict';
+
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+        await queryInterface.createTable('TopicRevisions', {
+            id: {
+                type: Sequelize.UUID,
+                primaryKey: true,
+                allowNull: false,
+                defaultValue: Sequelize.literal('gen_random_uuid()')
+            },
+            topicId: {
+                type: Sequelize.UUID,
+                allowNull: false,
+                comment: 'Topic the revision belongs to.',
+                references: {
+                    model: 'Topics',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'CASCADE'
+            },
+            rev: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                comment: 'Etherpad revision number of the Pad.'
+            },
+            title: {
+                type: Sequelize.STRING(1000),
+                allowNull: true,
+                comment: 'Topic title at the revision.'
+            },
+            description: {
+                type: Sequelize.TEXT,
+                allowNull: true,
+                comment: 'Topic description (HTML) at the revision.'
+            },
+            creatorId: {
+                type: Sequelize.UUID,
+                allowNull: true,
+                comment: 'User whose edit triggered the sync. NULL for the system.',
+                references: {
+                    model: 'Users',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'SET NULL'
+            },
+            authorIds: {
+                type: Sequelize.ARRAY(Sequelize.UUID),
+                allowNull: false,
+                defaultValue: [],
+                comment: 'Users who had authored the Pad by the revision.'
+            },
+            createdAt: {
+                allowNull: false,
+                type: Sequelize.DATE
+            },
+            updatedAt: {
+                allowNull: false,
+                type: Sequelize.DATE
+            }
+        });
+
+        return queryInterface.addIndex('TopicRevisions', ['topicId', 'rev'], {unique: true});
+    },
+
+    down: async (queryInterface) => {
+        return queryInterface.dropTable('TopicRevisions');
+    }
+};
@@ -0,0 +1,73 @@
+'use strict';
+
+const _ = require('lodash');
+const STATUSES = {
+    pending: 'pending',
+    ready: 'ready',
+    failed: 'failed',
+    expired: 'expired'
+};
+
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+        await queryInterface.createTable('UserDataExports', {
+            id: {
+                type: Sequelize.UUID,
+                primaryKey: true,
+                allowNull: false,
+                defaultValue: Sequelize.literal('gen_random_uuid()')
+            },
+            userId: {
+                type: Sequelize.UUID,
+                allowNull: false,
+                comment: 'User whose data is exported.',
+                references: {
+                    model: 'Users',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'CASCADE'
+            },
+            status: {
+                type: Sequelize.ENUM,
+                values: _.values(STATUSES),
+                allowNull: false,
+                defaultValue: STATUSES.pending
+            },
+            storageKey: {
+                type: Sequelize.STRING,
+                allowNull: true,
+                comment: 'Key of the ZIP file in the storage (libs/cosStorage.js). NULL until ready and after expiry.'
+            },
+            size: {
+                type: Sequelize.INTEGER,
+                allowNull: true,
+                comment: 'File size in bytes.'
+            },
+            expiresAt: {
+                type: Sequelize.DATE,
+                allowNull: true,
+                comment: 'When the file is deleted.'
+            },
+            createdAt: {
+                allowNull: false,
+                type: Sequelize.DATE
+            },
+            updatedAt: {
+                allowNull: false,
+                type: Sequelize.DATE
+            }
+        });
+
+        await queryInterface.addIndex('UserDataExports', ['userId']);
+
+        // Only one export in progress per User
+        return queryInterface.sequelize.query('CREATE UNIQUE INDEX "UserDataExports_userId_pending" ON "UserDataExports" ("userId") WHERE "status" = \'pending\';');
+    },
+
+    down: async (queryInterface) => {
+        await queryInterface.dropTable('UserDataExports');
+
+        return queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_UserDataExports_status";');
+    }
+};
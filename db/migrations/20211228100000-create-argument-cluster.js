@@ -0,0 +1,105 @@
+'use strict';
+
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+        await queryInterface.createTable('ArgumentClusters', {
+            id: {
+                type: Sequelize.UUID,
+                primaryKey: true,
+                allowNull: false,
+                defaultValue: Sequelize.literal('gen_random_uuid()')
+            },
+            topicId: {
+                type: Sequelize.UUID,
+                allowNull: false,
+                comment: 'Topic the cluster belongs to.',
+                references: {
+                    model: 'Topics',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'CASCADE'
+            },
+            name: {
+                type: Sequelize.STRING(255),
+                allowNull: false,
+                comment: 'Name of the cluster.'
+            },
+            description: {
+                type: Sequelize.STRING(2048),
+                allowNull: true,
+                comment: 'Summary of the arguments in the cluster.'
+            },
+            creatorId: {
+                type: Sequelize.UUID,
+                allowNull: true,
+                comment: 'User who created the cluster.',
+                references: {
+                    model: 'Users',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'SET NULL'
+            },
+            createdAt: {
+                allowNull: false,
+                type: Sequelize.DATE
+            },
+            updatedAt: {
+                allowNull: false,
+                type: Sequelize.DATE
+            }
+        });
+
+        await queryInterface.addIndex('ArgumentClusters', ['topicId']);
+
+        await queryInterface.addColumn('Comments', 'argumentClusterId', {
+            type: Sequelize.UUID,
+            allowNull: true,
+            comment: 'Argument cluster the Comment is grouped into by the Topic admins.',
+            references: {
+                model: 'ArgumentClusters',
+                key: 'id'
+            },
+            onUpdate: 'CASCADE',
+            onDelete: 'SET NULL'
+        });
+        await queryInterface.addColumn('Comments', 'mergedIntoId', {
+            type: Sequelize.UUID,
+            allowNull: true,
+            comment: 'Canonical argument (Comment) the duplicate Comment is merged into.',
+            references: {
+                model: 'Comments',
+                key: 'id'
+            },
+            onUpdate: 'CASCADE',
+            onDelete: 'SET NULL'
+        });
+        await queryInterface.addColumn('Comments', 'mergedById', {
+            type: Sequelize.UUID,
+            allowNull: true,
+            comment: 'User ID of the person who merged the Comment.',
+            references: {
+                model: 'Users',
+                key: 'id'
+            },
+            onUpdate: 'CASCADE',
+            onDelete: 'SET NULL'
+        });
+
+        return queryInterface.addColumn('Comments', 'mergedAt', {
+            type: Sequelize.DATE,
+            allowNull: true,
+            comment: 'Time when the Comment was merged.'
+        });
+    },
+
+    down: async (queryInterface) => {
+        await queryInterface.removeColumn('Comments', 'mergedAt');
+        await queryInterface.removeColumn('Comments', 'mergedById');
+        await queryInterface.removeColumn('Comments', 'mergedIntoId');
+        await queryInterface.removeColumn('Comments', 'argumentClusterId');
+
+        return queryInterface.dropTable('ArgumentClusters');
+    }
+};
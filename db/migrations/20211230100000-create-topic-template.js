@@ -0,0 +1,89 @@
+'use strict';
+
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+        await queryInterface.createTable('TopicTemplates', {
+            id: {
+                type: Sequelize.UUID,
+                primaryKey: true,
+                allowNull: false,
+                defaultValue: Sequelize.literal('gen_random_uuid()')
+            },
+            groupId: {
+                type: Sequelize.UUID,
+                allowNull: false,
+                comment: 'Group (organization) the template belongs to.',
+                references: {
+                    model: 'Groups',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'CASCADE'
+            },
+            name: {
+                type: Sequelize.STRING(255),
+                allowNull: false,
+                comment: 'Name of the template.'
+            },
+            description: {
+                type: Sequelize.TEXT,
+                allowNull: true,
+                comment: 'Topic description (HTML) the Pad is created with.'
+            },
+            categories: {
+                type: Sequelize.ARRAY(Sequelize.STRING),
+                allowNull: false,
+                defaultValue: [],
+                comment: 'Topic categories.'
+            },
+            vote: {
+                type: Sequelize.JSONB,
+                allowNull: true,
+                comment: 'Default Vote configuration, see VOTE_FIELDS.'
+            },
+            memberGroups: {
+                type: Sequelize.JSONB,
+                allowNull: false,
+                defaultValue: [],
+                comment: 'Groups added as members of the Topic - [{groupId, level}].'
+            },
+            creatorId: {
+                type: Sequelize.UUID,
+                allowNull: true,
+                comment: 'User who created the template.',
+                references: {
+                    model: 'Users',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'SET NULL'
+            },
+            createdAt: {
+                allowNull: false,
+                type: Sequelize.DATE
+            },
+            updatedAt: {
+                allowNull: false,
+                type: Sequelize.DATE
+            },
+            deletedAt: {
+                allowNull: true,
+                type: Sequelize.DATE
+            }
+        });
+
+        await queryInterface.addIndex('TopicTemplates', ['groupId']);
+
+        return queryInterface.addColumn('Topics', 'voteDefaults', {
+            type: Sequelize.JSONB,
+            allowNull: true,
+            comment: 'Default Vote configuration from the template or the cloned Topic, applied when the Vote is created.'
+        });
+    },
+
+    down: async (queryInterface) => {
+        await queryInterface.removeColumn('Topics', 'voteDefaults');
+
+        return queryInterface.dropTable('TopicTemplates');
+    }
+};
@@ -0,0 +1,27 @@
+'use strict';
+
+const _ = require('lodash');
+const RESULTS_VISIBILITY = {
+    always: 'always',
+    afterVoting: 'afterVoting',
+    afterEnd: 'afterEnd',
+    admins: 'admins'
+};
+
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+        return queryInterface.addColumn('Votes', 'resultsVisibility', {
+            type: Sequelize.ENUM,
+            values: _.values(RESULTS_VISIBILITY),
+            allowNull: false,
+            defaultValue: RESULTS_VISIBILITY.always,
+            comment: 'Who can see the Vote results and when. Topic admins can always see the results.'
+        });
+    },
+
+    down: async (queryInterface) => {
+        await queryInterface.removeColumn('Votes', 'resultsVisibility');
+
+        return queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_Votes_resultsVisibility";');
+    }
+};
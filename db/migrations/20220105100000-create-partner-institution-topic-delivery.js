@@ -0,0 +1,235 @@
+'use strict';
+
+const _ = require('lodash');
+const STATUSES = {
+    pending: 'pending',
+    sent: 'sent',
+    failed: 'failed',
+    responded: 'responded'
+};
+
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+        await queryInterface.createTable('PartnerInstitutions', {
+            id: {
+                type: Sequelize.UUID,
+                primaryKey: true,
+                allowNull: false,
+                defaultValue: Sequelize.literal('gen_random_uuid()')
+            },
+            partnerId: {
+                type: Sequelize.UUID,
+                allowNull: false,
+                comment: 'Partner whose Topics are delivered to the Institution.',
+                references: {
+                    model: 'Partners',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'CASCADE'
+            },
+            creatorId: {
+                type: Sequelize.UUID,
+                allowNull: false,
+                comment: 'User who registered the Institution.',
+                references: {
+                    model: 'Users',
+                    key: 'id'
+                }
+            },
+            name: {
+                type: Sequelize.STRING(255),
+                allowNull: false,
+                comment: 'Name of the Institution.'
+            },
+            emails: {
+                type: Sequelize.ARRAY(Sequelize.STRING(254)),
+                allowNull: false,
+                comment: 'E-mail addresses the Topics are delivered to.'
+            },
+            from: {
+                type: Sequelize.STRING(254),
+                allowNull: true,
+                comment: 'Sender of the delivery e-mails. NULL for the default sender of the system.'
+            },
+            language: {
+                type: Sequelize.STRING(5),
+                allowNull: false,
+                defaultValue: 'en',
+                comment: 'Language code of the delivery e-mails.'
+            },
+            template: {
+                type: Sequelize.STRING(255),
+                allowNull: false,
+                defaultValue: 'toParliament',
+                comment: 'E-mail template name without the extension (views/emails).'
+            },
+            logo: {
+                type: Sequelize.STRING(255),
+                allowNull: true,
+                comment: 'E-mail header logo file name in the e-mail template images. NULL for the default logo.'
+            },
+            emailStyles: {
+                type: Sequelize.JSONB,
+                allowNull: true,
+                comment: 'E-mail styles (headerBackgroundColor, logoWidth, logoHeight) overriding the ones of the Partner.'
+            },
+            voteCountMin: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                comment: 'Minimum number of signatures (votes for the most voted option) required for the delivery.'
+            },
+            contactFields: {
+                type: Sequelize.ARRAY(Sequelize.STRING),
+                allowNull: false,
+                defaultValue: ['name', 'email', 'phone'],
+                comment: 'Contact info the Topic admin has to provide on delivery.'
+            },
+            linkViewTopic: {
+                type: Sequelize.STRING(2048),
+                allowNull: true,
+                comment: 'Link to the Topic in the Partner site, ":topicId" is replaced with the Topic id. NULL for the Topic link in the CitizenOS FE.'
+            },
+            linkAddEvent: {
+                type: Sequelize.STRING(2048),
+                allowNull: true,
+                comment: 'Link to the Partner site for posting the Institution responses (TopicEvents), ":topicId" is replaced with the Topic id and the token is added as "token" parameter. NULL if the Institution does not post responses.'
+            },
+            sendContainerDownloadLinkToCreator: {
+                type: Sequelize.BOOLEAN,
+                allowNull: false,
+                defaultValue: false,
+                comment: 'Include the signed container download link in the copy sent to the contact of the Topic.'
+            },
+            createdAt: {
+                type: Sequelize.DATE,
+                allowNull: false
+            },
+            updatedAt: {
+                type: Sequelize.DATE,
+                allowNull: false
+            },
+            deletedAt: {
+                type: Sequelize.DATE
+            }
+        });
+
+        await queryInterface.addIndex('PartnerInstitutions', ['partnerId']);
+
+        await queryInterface.createTable('TopicDeliveries', {
+            id: {
+                type: Sequelize.UUID,
+                primaryKey: true,
+                allowNull: false,
+                defaultValue: Sequelize.literal('gen_random_uuid()')
+            },
+            topicId: {
+                type: Sequelize.UUID,
+                allowNull: false,
+                comment: 'Topic delivered.',
+                references: {
+                    model: 'Topics',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'CASCADE'
+            },
+            voteId: {
+                type: Sequelize.UUID,
+                allowNull: false,
+                comment: 'Vote whose signed results are delivered.',
+                references: {
+                    model: 'Votes',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'CASCADE'
+            },
+            institutionId: {
+                type: Sequelize.UUID,
+                allowNull: true,
+                comment: 'Institution the Topic is delivered to. NULL for the default Institution of the system (config "features.sendToParliament").',
+                references: {
+                    model: 'PartnerInstitutions',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'SET NULL'
+            },
+            institutionName: {
+                type: Sequelize.STRING(255),
+                allowNull: false,
+                comment: 'Name of the Institution at the time of the delivery.'
+            },
+            creatorId: {
+                type: Sequelize.UUID,
+                allowNull: false,
+                comment: 'User who delivered the Topic.',
+                references: {
+                    model: 'Users',
+                    key: 'id'
+                }
+            },
+            contact: {
+                type: Sequelize.JSONB,
+                allowNull: true,
+                comment: 'Contact info provided on delivery {name, email, phone}.'
+            },
+            status: {
+                type: Sequelize.ENUM,
+                values: _.values(STATUSES),
+                allowNull: false,
+                defaultValue: STATUSES.pending,
+                comment: 'Delivery status.'
+            },
+            error: {
+                type: Sequelize.TEXT,
+                allowNull: true,
+                comment: 'Error of the failed delivery.'
+            },
+            sentAt: {
+                type: Sequelize.DATE,
+                allowNull: true,
+                comment: 'Time the e-mail was sent to the Institution.'
+            },
+            respondedAt: {
+                type: Sequelize.DATE,
+                allowNull: true,
+                comment: 'Time of the latest response of the Institution.'
+            },
+            createdAt: {
+                type: Sequelize.DATE,
+                allowNull: false
+            },
+            updatedAt: {
+                type: Sequelize.DATE,
+                allowNull: false
+            },
+            deletedAt: {
+                type: Sequelize.DATE
+            }
+        });
+
+        await queryInterface.addIndex('TopicDeliveries', ['topicId']);
+
+        return queryInterface.addColumn('TopicEvents', 'deliveryId', {
+            type: Sequelize.UUID,
+            allowNull: true,
+            comment: 'Delivery the Event is a response of the Institution to. NULL for the Events added by the Topic admins.',
+            references: {
+                model: 'TopicDeliveries',
+                key: 'id'
+            },
+            onUpdate: 'CASCADE',
+            onDelete: 'SET NULL'
+        });
+    },
+
+    down: async (queryInterface) => {
+        await queryInterface.removeColumn('TopicEvents', 'deliveryId');
+        await queryInterface.dropTable('TopicDeliveries');
+        await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_TopicDeliveries_status";');
+
+        return queryInterface.dropTable('PartnerInstitutions');
+    }
+};
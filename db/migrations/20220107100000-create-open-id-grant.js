@@ -0,0 +1,103 @@
+'use strict';
+
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+        await queryInterface.createTable('OpenIdGrants', {
+            id: {
+                type: Sequelize.UUID,
+                primaryKey: true,
+                allowNull: false,
+                defaultValue: Sequelize.literal('gen_random_uuid()')
+            },
+            partnerId: {
+                type: Sequelize.UUID,
+                allowNull: false,
+                comment: 'Partner id (client_id) the Grant is issued to.',
+                references: {
+                    model: 'Partners',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'CASCADE'
+            },
+            userId: {
+                type: Sequelize.UUID,
+                allowNull: false,
+                comment: 'User who authorized the Partner.',
+                references: {
+                    model: 'Users',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'CASCADE'
+            },
+            scopes: {
+                type: Sequelize.ARRAY(Sequelize.STRING),
+                allowNull: false,
+                comment: 'Granted scopes.'
+            },
+            redirectUri: {
+                type: Sequelize.STRING(2048),
+                allowNull: false,
+                comment: 'The "redirect_uri" of the authorization request, must match the one in the token request.'
+            },
+            nonce: {
+                type: Sequelize.STRING(255),
+                allowNull: true,
+                comment: 'The "nonce" of the authorization request, returned in the ID Token.'
+            },
+            codeHash: {
+                type: Sequelize.STRING(64),
+                allowNull: false,
+                comment: 'SHA-256 hash of the authorization code.'
+            },
+            codeChallenge: {
+                type: Sequelize.STRING(128),
+                allowNull: false,
+                comment: 'PKCE "code_challenge".'
+            },
+            codeExpiresAt: {
+                type: Sequelize.DATE,
+                allowNull: false,
+                comment: 'Time after which the authorization code cannot be exchanged for tokens.'
+            },
+            codeUsedAt: {
+                type: Sequelize.DATE,
+                allowNull: true,
+                comment: 'Time the authorization code was exchanged for tokens.'
+            },
+            refreshTokenHash: {
+                type: Sequelize.STRING(64),
+                allowNull: true,
+                comment: 'SHA-256 hash of the current refresh token. NULL if the "offline_access" scope was not granted.'
+            },
+            refreshTokenExpiresAt: {
+                type: Sequelize.DATE,
+                allowNull: true,
+                comment: 'Time after which the current refresh token cannot be used.'
+            },
+            revokedAt: {
+                type: Sequelize.DATE,
+                allowNull: true,
+                comment: 'Time the Grant was revoked.'
+            },
+            createdAt: {
+                type: Sequelize.DATE,
+                allowNull: false
+            },
+            updatedAt: {
+                type: Sequelize.DATE,
+                allowNull: false
+            },
+            deletedAt: {
+                type: Sequelize.DATE
+            }
+        });
+
+        return queryInterface.addIndex('OpenIdGrants', ['userId', 'partnerId']);
+    },
+
+    down: async (queryInterface) => {
+        return queryInterface.dropTable('OpenIdGrants');
+    }
+};
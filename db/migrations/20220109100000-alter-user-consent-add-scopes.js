@@ -0,0 +1,28 @@
+'use strict';
+
+// Partner API scopes at the time of the migration. Consents given before the scopes were introduced allowed everything.
+const SCOPES = ['profile:email', 'profile:write', 'topics:read', 'topics:write', 'votes:cast', 'comments:write', 'reports:write', 'groups:read', 'groups:manage', 'activities:read', 'notifications:manage', 'moderation:manage'];
+
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+        await queryInterface.addColumn('UserConsents', 'scopes', {
+            type: Sequelize.ARRAY(Sequelize.STRING),
+            allowNull: false,
+            defaultValue: [],
+            comment: 'Partner API scopes the User has consented to.'
+        });
+
+        return queryInterface.sequelize.query(
+            `UPDATE "UserConsents" SET scopes = ARRAY[:scopes]::VARCHAR(255)[];`,
+            {
+                replacements: {
+                    scopes: SCOPES
+                }
+            }
+        );
+    },
+
+    down: async (queryInterface) => {
+        return queryInterface.removeColumn('UserConsents', 'scopes');
+    }
+};
@@ -0,0 +1,62 @@
+'use strict';
+
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+        await queryInterface.createTable('UserTwoFactors', {
+            userId: {
+                type: Sequelize.UUID,
+                primaryKey: true,
+                allowNull: false,
+                comment: 'User whose two-factor authentication it is.',
+                references: {
+                    model: 'Users',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'CASCADE'
+            },
+            secret: {
+                type: Sequelize.TEXT,
+                allowNull: false,
+                comment: 'Encrypted TOTP secret.'
+            },
+            enabledAt: {
+                type: Sequelize.DATE,
+                allowNull: true,
+                comment: 'Time the enrollment was verified. NULL if the enrollment is pending.'
+            },
+            lastUsedStep: {
+                type: Sequelize.INTEGER,
+                allowNull: true,
+                comment: 'TOTP time step of the last accepted code. Codes of the same or earlier time steps are not accepted again.'
+            },
+            recoveryCodes: {
+                type: Sequelize.ARRAY(Sequelize.STRING(64)),
+                allowNull: false,
+                defaultValue: [],
+                comment: 'SHA-256 hashes of the unused recovery codes.'
+            },
+            createdAt: {
+                type: Sequelize.DATE,
+                allowNull: false
+            },
+            updatedAt: {
+                type: Sequelize.DATE,
+                allowNull: false
+            }
+        });
+
+        return queryInterface.addColumn('Groups', 'requireTwoFactor', {
+            type: Sequelize.BOOLEAN,
+            allowNull: false,
+            defaultValue: false,
+            comment: 'Members have to enable two-factor authentication to access the Group and the Topics shared with it.'
+        });
+    },
+
+    down: async (queryInterface) => {
+        await queryInterface.removeColumn('Groups', 'requireTwoFactor');
+
+        return queryInterface.dropTable('UserTwoFactors');
+    }
+};
@@ -0,0 +1,82 @@
+'use strict';
+
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+        await queryInterface.createTable('UserSessions', {
+            id: {
+                type: Sequelize.UUID,
+                primaryKey: true,
+                allowNull: false,
+                defaultValue: Sequelize.UUIDV4,
+                comment: 'Session id, the "jti" claim of the authorization token.'
+            },
+            userId: {
+                type: Sequelize.UUID,
+                allowNull: false,
+                comment: 'User whose session it is.',
+                references: {
+                    model: 'Users',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'CASCADE'
+            },
+            partnerId: {
+                type: Sequelize.UUID,
+                allowNull: true,
+                comment: 'Partner the Access Token of the session was issued to (OpenID). NULL for the app log-in sessions.',
+                references: {
+                    model: 'Partners',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'CASCADE'
+            },
+            deviceType: {
+                type: Sequelize.STRING(255),
+                allowNull: true,
+                comment: 'Device type detected on log-in (desktop, phone, tablet...).'
+            },
+            userAgent: {
+                type: Sequelize.STRING(2048),
+                allowNull: true,
+                comment: 'User-Agent header of the log-in request.'
+            },
+            ip: {
+                type: Sequelize.STRING(45),
+                allowNull: true,
+                comment: 'IP address of the last request.'
+            },
+            lastSeenAt: {
+                type: Sequelize.DATE,
+                allowNull: false,
+                defaultValue: Sequelize.NOW,
+                comment: 'Time of the last request with the session.'
+            },
+            expiresAt: {
+                type: Sequelize.DATE,
+                allowNull: false,
+                comment: 'Time the session expires.'
+            },
+            revokedAt: {
+                type: Sequelize.DATE,
+                allowNull: true,
+                comment: 'Time the session was revoked - logged out or revoked by the User.'
+            },
+            createdAt: {
+                type: Sequelize.DATE,
+                allowNull: false
+            },
+            updatedAt: {
+                type: Sequelize.DATE,
+                allowNull: false
+            }
+        });
+
+        return queryInterface.addIndex('UserSessions', ['userId']);
+    },
+
+    down: async (queryInterface) => {
+        return queryInterface.dropTable('UserSessions');
+    }
+};
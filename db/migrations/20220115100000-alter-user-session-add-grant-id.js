@@ -0,0 +1,21 @@
+'use strict';
+
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+        return queryInterface.addColumn('UserSessions', 'grantId', {
+            type: Sequelize.UUID,
+            allowNull: true,
+            comment: 'OpenID Grant (authorization code, refresh token) the Access Token of the session was issued with. Sessions are revoked with the Grant.',
+            references: {
+                model: 'OpenIdGrants',
+                key: 'id'
+            },
+            onUpdate: 'CASCADE',
+            onDelete: 'SET NULL'
+        });
+    },
+
+    down: async (queryInterface) => {
+        return queryInterface.removeColumn('UserSessions', 'grantId');
+    }
+};
@@ -0,0 +1,106 @@
+'use strict';
+
+/**
+ * ArgumentCluster
+ *
+ * Named group of pro and con arguments (first level Comments) of a Topic, managed by the Topic admins. See Comment.argumentClusterId.
+ *
+ * @param {object} sequelize Sequelize instance
+ * @param {object} DataTypes Sequelize DataTypes
+ *
+ * @returns {object} Sequelize model
+ *
+ * @see http://sequelizejs.com/docs/latest/models
+ */
+module.exports = function (sequelize, DataTypes) {
+
+    const ArgumentCluster = sequelize.define(
+        'ArgumentCluster',
+        {
+            id: {
+                type: DataTypes.UUID,
+                primaryKey: true,
+                allowNull: false,
+                defaultValue: DataTypes.UUIDV4
+            },
+            topicId: {
+                type: DataTypes.UUID,
+                allowNull: false,
+                comment: 'Topic the cluster belongs to.',
+                references: {
+                    model: 'Topics',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'CASCADE'
+            },
+            name: {
+                type: DataTypes.STRING(255),
+                allowNull: false,
+                comment: 'Name of the cluster.',
+                validate: {
+                    len: {
+                        args: [1, 255],
+                        msg: 'Name can be 1 to 255 characters long.'
+                    }
+                }
+            },
+            description: {
+                type: DataTypes.STRING(2048),
+                allowNull: true,
+                comment: 'Summary of the arguments in the cluster.',
+                validate: {
+                    len: {
+                        args: [1, 2048],
+                        msg: 'Description can be 1 to 2048 characters long.'
+                    }
+                }
+            },
+            creatorId: {
+                type: DataTypes.UUID,
+                allowNull: true,
+                comment: 'User who created the cluster.',
+                references: {
+                    model: 'Users',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'SET NULL'
+            }
+        },
+        {
+            paranoid: false,
+            indexes: [
+                {
+                    fields: ['topicId']
+                }
+            ]
+        }
+    );
+
+    ArgumentCluster.associate = function (models) {
+        ArgumentCluster.belongsTo(models.Topic, {
+            foreignKey: 'topicId'
+        });
+
+        ArgumentCluster.belongsTo(models.User, {
+            foreignKey: 'creatorId',
+            as: 'creator'
+        });
+    };
+
+    ArgumentCluster.prototype.toJSON = function () {
+        // Using whitelist instead of blacklist, so that no accidents occur when adding new properties.
+        return {
+            id: this.dataValues.id,
+            topicId: this.dataValues.topicId,
+            name: this.dataValues.name,
+            description: this.dataValues.description,
+            creatorId: this.dataValues.creatorId,
+            createdAt: this.dataValues.createdAt,
+            updatedAt: this.dataValues.updatedAt
+        };
+    };
+
+    return ArgumentCluster;
+};
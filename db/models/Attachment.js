@@ -23,6 +23,12 @@ module.exports = function (sequelize, DataTypes) {
         googledrive: 'googledrive'
     };
 
+    var STATUSES = {
+        pending: 'pending', // Waiting for the virus scan
+        available: 'available',
+        infected: 'infected'
+    };
+
     var Attachment = sequelize.define(
         'Attachment',
         {
@@ -54,8 +60,20 @@ module.exports = function (sequelize, DataTypes) {
             },
             link: {
                 type: DataTypes.STRING,
+                allowNull: true,
+                comment: 'files location. NULL for files in the storage.'
+            },
+            storageKey: {
+                type: DataTypes.STRING,
+                allowNull: true,
+                comment: 'Key of the file in the storage (libs/cosStorage.js). NULL for links to external files.'
+            },
+            status: {
+                type: DataTypes.ENUM,
+                values: _.values(STATUSES),
                 allowNull: false,
-                comment: 'files location'
+                defaultValue: STATUSES.available,
+                comment: 'Attachment is visible only when "available". Uploaded files are "pending" until the virus scan is done.'
             },
             creatorId: {
                 type: DataTypes.UUID,
@@ -68,6 +86,15 @@ module.exports = function (sequelize, DataTypes) {
                 onUpdate: 'CASCADE',
                 onDelete: 'CASCADE'
             }
+        },
+        {
+            validate: {
+                linkOrStorageKey: function () {
+                    if (!this.link && !this.storageKey) {
+                        throw new Error('Attachment.link is required for external files.');
+                    }
+                }
+            }
         }
     );
 
@@ -88,7 +115,33 @@ module.exports = function (sequelize, DataTypes) {
         });
     };
 
+    // Overrides the default toJSON() to avoid sensitive data from ending up in the output.
+    // Must do until scopes arrive to Sequelize - https://github.com/sequelize/sequelize/issues/1462
+    Attachment.prototype.toJSON = function () {
+        // Using whitelist instead of blacklist, so that no accidents occur when adding new properties.
+        var data = {
+            id: this.dataValues.id,
+            name: this.dataValues.name,
+            type: this.dataValues.type,
+            source: this.dataValues.source,
+            size: this.dataValues.size,
+            link: this.dataValues.link,
+            status: this.dataValues.status,
+            creatorId: this.dataValues.creatorId,
+            createdAt: this.dataValues.createdAt,
+            updatedAt: this.dataValues.updatedAt,
+            deletedAt: this.dataValues.deletedAt
+        };
+
+        if (this.dataValues.creator) {
+            data.creator = this.dataValues.creator;
+        }
+
+        return data;
+    };
+
     Attachment.SOURCES = SOURCES;
-    
+    Attachment.STATUSES = STATUSES;
+
     return Attachment;
 };
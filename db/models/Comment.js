@@ -134,6 +134,44 @@ module.exports = function (sequelize, DataTypes) {
                 type: DataTypes.JSONB,
                 comment: 'Comment versions in JSONB array',
                 allowNull: true
+            },
+            argumentClusterId: {
+                type: DataTypes.UUID,
+                comment: 'Argument cluster the Comment is grouped into by the Topic admins.',
+                allowNull: true,
+                references: {
+                    model: 'ArgumentClusters',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'SET NULL'
+            },
+            mergedIntoId: {
+                type: DataTypes.UUID,
+                comment: 'Canonical argument (Comment) the duplicate Comment is merged into.',
+                allowNull: true,
+                references: {
+                    model: 'Comments',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'SET NULL'
+            },
+            mergedById: {
+                type: DataTypes.UUID,
+                comment: 'User ID of the person who merged the Comment.',
+                allowNull: true,
+                references: {
+                    model: 'Users',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'SET NULL'
+            },
+            mergedAt: {
+                type: DataTypes.DATE,
+                comment: 'Time when the Comment was merged.',
+                allowNull: true
             }
         }
     );
@@ -32,7 +32,20 @@ module.exports = function (sequelize, DataTypes) {
             parentId: {
                 type: DataTypes.UUID,
                 defaultValue: null,
-                comment: 'Parent Groups id.'
+                comment: 'Parent Groups id.',
+                references: {
+                    model: 'Groups',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'SET NULL'
+            },
+            parentMemberLevel: {
+                type: DataTypes.ENUM,
+                values: ['read', 'admin'],
+                allowNull: true,
+                defaultValue: null,
+                comment: 'Level the members of the parent Group get in this Group. NULL if the membership is not inherited.'
             },
             name: {
                 type: DataTypes.STRING(255),
@@ -64,6 +77,12 @@ module.exports = function (sequelize, DataTypes) {
                 allowNull: false,
                 defaultValue: VISIBILITY.private
             },
+            requireTwoFactor: {
+                type: DataTypes.BOOLEAN,
+                allowNull: false,
+                defaultValue: false,
+                comment: 'Members have to enable two-factor authentication to access the Group and the Topics shared with it.'
+            },
             sourcePartnerId: {
                 type: DataTypes.UUID,
                 allowNull: true,
@@ -75,6 +94,13 @@ module.exports = function (sequelize, DataTypes) {
                 onUpdate: 'CASCADE',
                 onDelete: 'CASCADE'
             }
+        },
+        {
+            indexes: [
+                {
+                    fields: ['parentId']
+                }
+            ]
         }
     );
 
@@ -113,9 +139,11 @@ module.exports = function (sequelize, DataTypes) {
         var data = {
             id: this.dataValues.id,
             parentId: this.dataValues.parentId,
+            parentMemberLevel: this.dataValues.parentMemberLevel,
             name: this.dataValues.name,
             creator: this.dataValues.creator,
-            visibility: this.dataValues.visibility
+            visibility: this.dataValues.visibility,
+            requireTwoFactor: this.dataValues.requireTwoFactor
         };
 
         if (this.dataValues.creator) {
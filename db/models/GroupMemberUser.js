@@ -36,6 +36,18 @@ module.exports = function (sequelize, DataTypes) {
             onUpdate: 'CASCADE',
             onDelete: 'CASCADE',
             primaryKey: true
+        },
+        weight: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 1,
+            comment: 'Weight of the members vote (share count..) when Vote.weightSource is "groupMember".',
+            validate: {
+                min: {
+                    args: [0],
+                    msg: 'Weight must be 0 or more.'
+                }
+            }
         }
     }, _GroupMember.attributes);
 
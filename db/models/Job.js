@@ -0,0 +1,107 @@
+'use strict';
+
+const _ = require('lodash');
+
+/**
+ * Job
+ *
+ * Persisted background job, picked up and run by the job runner (libs/cosJobs.js).
+ *
+ * @param {object} sequelize Sequelize instance
+ * @param {object} DataTypes Sequelize DataTypes
+ *
+ * @returns {object} Sequelize model
+ *
+ * @see http://sequelizejs.com/docs/latest/models
+ */
+module.exports = function (sequelize, DataTypes) {
+
+    const STATUSES = {
+        pending: 'pending', // Waiting for "runAt" to arrive
+        running: 'running', // Claimed by a runner
+        done: 'done', // Finished successfully
+        failed: 'failed' // Gave up after max attempts
+    };
+
+    const Job = sequelize.define(
+        'Job',
+        {
+            id: {
+                type: DataTypes.UUID,
+                primaryKey: true,
+                allowNull: false,
+                defaultValue: DataTypes.UUIDV4
+            },
+            name: {
+                type: DataTypes.STRING(255),
+                allowNull: false,
+                comment: 'Job name. Used to find the handler that runs the Job.'
+            },
+            key: {
+                type: DataTypes.STRING(255),
+                allowNull: true,
+                unique: true,
+                comment: 'Unique key for de-duplication. Scheduling a Job with an existing key reschedules the existing Job.'
+            },
+            data: {
+                type: DataTypes.JSONB,
+                allowNull: true,
+                comment: 'Data passed to the Job handler.'
+            },
+            runAt: {
+                type: DataTypes.DATE,
+                allowNull: false,
+                defaultValue: DataTypes.NOW,
+                comment: 'Time after which the Job is run.'
+            },
+            status: {
+                type: DataTypes.ENUM,
+                values: _.values(STATUSES),
+                allowNull: false,
+                defaultValue: STATUSES.pending,
+                comment: 'Job status.'
+            },
+            attempts: {
+                type: DataTypes.INTEGER,
+                allowNull: false,
+                defaultValue: 0,
+                comment: 'Number of times the Job has been run.'
+            },
+            error: {
+                type: DataTypes.TEXT,
+                allowNull: true,
+                comment: 'Error of the last failed run.'
+            }
+        },
+        {
+            paranoid: false,
+            indexes: [
+                {
+                    fields: ['status', 'runAt']
+                }
+            ]
+        }
+    );
+
+    // Overrides the default toJSON() to avoid sensitive data from ending up in the output.
+    // Must do until scopes arrive to Sequelize - https://github.com/sequelize/sequelize/issues/1462
+    Job.prototype.toJSON = function () {
+        // Using whitelist instead of blacklist, so that no accidents occur when adding new properties.
+        return {
+            id: this.dataValues.id,
+            name: this.dataValues.name,
+            key: this.dataValues.key,
+            data: this.dataValues.data,
+            runAt: this.dataValues.runAt,
+            status: this.dataValues.status,
+            attempts: this.dataValues.attempts,
+            error: this.dataValues.error,
+            createdAt: this.dataValues.createdAt,
+            updatedAt: this.dataValues.updatedAt
+        };
+    };
+
+    Job.STATUSES = STATUSES;
+
+    return Job;
+};
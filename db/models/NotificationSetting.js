@@ -0,0 +1,145 @@
+'use strict';
+
+const _ = require('lodash');
+const Sequelize = require('sequelize');
+
+/**
+ * NotificationSetting
+ *
+ * How often the User is notified by e-mail about the activity (comments, replies, votes, status changes) in Topics.
+ * Setting can be for a Topic, a Group (applies to the Topics shared with the Group) or, with no Topic and Group, the User default.
+ *
+ * @param {object} sequelize Sequelize instance
+ * @param {object} DataTypes Sequelize DataTypes
+ *
+ * @returns {object} Sequelize model
+ *
+ * @see http://sequelizejs.com/docs/latest/models
+ */
+module.exports = function (sequelize, DataTypes) {
+
+    const Op = Sequelize.Op;
+
+    // NOTE: Order matters, from the most frequent. When several Group settings apply to a Topic, the most frequent wins.
+    const FREQUENCIES = {
+        instant: 'instant', // E-mail on every activity
+        daily: 'daily', // Daily digest
+        weekly: 'weekly', // Weekly digest
+        off: 'off' // No e-mails
+    };
+
+    const NotificationSetting = sequelize.define(
+        'NotificationSetting',
+        {
+            id: {
+                type: DataTypes.UUID,
+                primaryKey: true,
+                allowNull: false,
+                defaultValue: DataTypes.UUIDV4
+            },
+            userId: {
+                type: DataTypes.UUID,
+                allowNull: false,
+                comment: 'User whose setting it is.',
+                references: {
+                    model: 'Users',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'CASCADE'
+            },
+            topicId: {
+                type: DataTypes.UUID,
+                allowNull: true,
+                comment: 'Topic the setting is for. NULL if the setting is for a Group or the User default.',
+                references: {
+                    model: 'Topics',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'CASCADE'
+            },
+            groupId: {
+                type: DataTypes.UUID,
+                allowNull: true,
+                comment: 'Group the setting is for. NULL if the setting is for a Topic or the User default.',
+                references: {
+                    model: 'Groups',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'CASCADE'
+            },
+            frequency: {
+                type: DataTypes.ENUM,
+                values: _.values(FREQUENCIES),
+                allowNull: false,
+                comment: 'How often the User is notified.'
+            }
+        },
+        {
+            paranoid: false,
+            indexes: [
+                {
+                    name: 'NotificationSettings_userId_default',
+                    unique: true,
+                    fields: ['userId'],
+                    where: {
+                        topicId: null,
+                        groupId: null
+                    }
+                },
+                {
+                    name: 'NotificationSettings_userId_topicId',
+                    unique: true,
+                    fields: ['userId', 'topicId'],
+                    where: {
+                        topicId: {
+                            [Op.ne]: null
+                        }
+                    }
+                },
+                {
+                    name: 'NotificationSettings_userId_groupId',
+                    unique: true,
+                    fields: ['userId', 'groupId'],
+                    where: {
+                        groupId: {
+                            [Op.ne]: null
+                        }
+                    }
+                }
+            ],
+            validate: {
+                topicOrGroup: function () {
+                    if (this.topicId && this.groupId) {
+                        throw new Error('Setting can be either for a Topic or a Group, not both.');
+                    }
+                }
+            }
+        }
+    );
+
+    NotificationSetting.associate = function (models) {
+        NotificationSetting.belongsTo(models.User, {
+            foreignKey: 'userId'
+        });
+    };
+
+    // Overrides the default toJSON() to avoid sensitive data from ending up in the output.
+    // Must do until scopes arrive to Sequelize - https://github.com/sequelize/sequelize/issues/1462
+    NotificationSetting.prototype.toJSON = function () {
+        // Using whitelist instead of blacklist, so that no accidents occur when adding new properties.
+        return {
+            topicId: this.dataValues.topicId,
+            groupId: this.dataValues.groupId,
+            frequency: this.dataValues.frequency,
+            createdAt: this.dataValues.createdAt,
+            updatedAt: this.dataValues.updatedAt
+        };
+    };
+
+    NotificationSetting.FREQUENCIES = FREQUENCIES;
+
+    return NotificationSetting;
+};
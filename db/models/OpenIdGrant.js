@@ -0,0 +1,121 @@
+'use strict';
+
+/**
+ * OpenIdGrant
+ *
+ * Authorization granted to a Partner (OpenID "client_id") with the authorization code flow. Holds the authorization code and the current refresh token,
+ * both are stored as hashes. Refresh tokens are rotated on every use, using an old refresh token or the authorization code again revokes the Grant.
+ *
+ * @param {object} sequelize Sequelize instance
+ * @param {object} DataTypes Sequelize DataTypes
+ *
+ * @returns {object} Sequelize model
+ *
+ * @see http://sequelizejs.com/docs/latest/models
+ * @see https://tools.ietf.org/html/rfc6749#section-10.4
+ */
+module.exports = function (sequelize, DataTypes) {
+
+    const OpenIdGrant = sequelize.define(
+        'OpenIdGrant',
+        {
+            id: {
+                type: DataTypes.UUID,
+                primaryKey: true,
+                allowNull: false,
+                defaultValue: DataTypes.UUIDV4
+            },
+            partnerId: {
+                type: DataTypes.UUID,
+                allowNull: false,
+                comment: 'Partner id (client_id) the Grant is issued to.',
+                references: {
+                    model: 'Partners',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'CASCADE'
+            },
+            userId: {
+                type: DataTypes.UUID,
+                allowNull: false,
+                comment: 'User who authorized the Partner.',
+                references: {
+                    model: 'Users',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'CASCADE'
+            },
+            scopes: {
+                type: DataTypes.ARRAY(DataTypes.STRING),
+                allowNull: false,
+                comment: 'Granted scopes.'
+            },
+            redirectUri: {
+                type: DataTypes.STRING(2048),
+                allowNull: false,
+                comment: 'The "redirect_uri" of the authorization request, must match the one in the token request.'
+            },
+            nonce: {
+                type: DataTypes.STRING(255),
+                allowNull: true,
+                comment: 'The "nonce" of the authorization request, returned in the ID Token.'
+            },
+            codeHash: {
+                type: DataTypes.STRING(64),
+                allowNull: false,
+                comment: 'SHA-256 hash of the authorization code.'
+            },
+            codeChallenge: {
+                type: DataTypes.STRING(128),
+                allowNull: false,
+                comment: 'PKCE "code_challenge".'
+            },
+            codeExpiresAt: {
+                type: DataTypes.DATE,
+                allowNull: false,
+                comment: 'Time after which the authorization code cannot be exchanged for tokens.'
+            },
+            codeUsedAt: {
+                type: DataTypes.DATE,
+                allowNull: true,
+                comment: 'Time the authorization code was exchanged for tokens.'
+            },
+            refreshTokenHash: {
+                type: DataTypes.STRING(64),
+                allowNull: true,
+                comment: 'SHA-256 hash of the current refresh token. NULL if the "offline_access" scope was not granted.'
+            },
+            refreshTokenExpiresAt: {
+                type: DataTypes.DATE,
+                allowNull: true,
+                comment: 'Time after which the current refresh token cannot be used.'
+            },
+            revokedAt: {
+                type: DataTypes.DATE,
+                allowNull: true,
+                comment: 'Time the Grant was revoked.'
+            }
+        },
+        {
+            indexes: [
+                {
+                    fields: ['userId', 'partnerId']
+                }
+            ]
+        }
+    );
+
+    OpenIdGrant.associate = function (models) {
+        OpenIdGrant.belongsTo(models.Partner, {
+            foreignKey: 'partnerId'
+        });
+
+        OpenIdGrant.belongsTo(models.User, {
+            foreignKey: 'userId'
+        });
+    };
+
+    return OpenIdGrant;
+};
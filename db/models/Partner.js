@@ -14,6 +14,19 @@
  */
 module.exports = function (sequelize, DataTypes) {
 
+    // E-mail style properties the Partner can override and their validators
+    var EMAIL_STYLES = {
+        headerBackgroundColor: function (value) {
+            return typeof value === 'string' && /^#[0-9a-f]{3}([0-9a-f]{3})?$/i.test(value);
+        },
+        logoWidth: function (value) {
+            return Number.isInteger(value) && value > 0 && value <= 1000;
+        },
+        logoHeight: function (value) {
+            return Number.isInteger(value) && value > 0 && value <= 1000;
+        }
+    };
+
     var Partner = sequelize.define(
         'Partner',
         {
@@ -38,6 +51,28 @@ module.exports = function (sequelize, DataTypes) {
                 type: DataTypes.TEXT,
                 allowNull: true,
                 description: 'Link to partners privacy policy'
+            },
+            emailStyles: {
+                type: DataTypes.JSONB,
+                allowNull: true,
+                comment: 'E-mail styles of the Partner (headerBackgroundColor, logoWidth, logoHeight) overriding the defaults.',
+                validate: {
+                    isEmailStyles: function (value) {
+                        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+                            throw new Error('Partner.emailStyles must be an object.');
+                        }
+
+                        Object.keys(value).forEach(function (key) {
+                            const validate = EMAIL_STYLES[key];
+                            if (!validate) {
+                                throw new Error('Invalid Partner.emailStyles property "' + key + '". Must be one of: ' + Object.keys(EMAIL_STYLES).join(', '));
+                            }
+                            if (!validate(value[key])) {
+                                throw new Error('Invalid value for Partner.emailStyles property "' + key + '".');
+                            }
+                        });
+                    }
+                }
             }
         }
     );
@@ -55,6 +90,7 @@ module.exports = function (sequelize, DataTypes) {
             website: this.dataValues.website,
             redirectUriRegexp: this.dataValues.redirectUriRegexp,
             linkPrivacyPolicy: this.dataValues.linkPrivacyPolicy,
+            emailStyles: this.dataValues.emailStyles,
             createdAt: this.dataValues.createdAt,
             updatedAt: this.dataValues.updatedAt
         };
@@ -62,5 +98,7 @@ module.exports = function (sequelize, DataTypes) {
         return data;
     };
 
+    Partner.EMAIL_STYLES = EMAIL_STYLES;
+
     return Partner;
 };
@@ -0,0 +1,262 @@
+'use strict';
+
+const _ = require('lodash');
+const validator = require('validator');
+
+/**
+ * PartnerInstitution
+ *
+ * Institution (a Parliament, city council..) the Partner Topics are delivered to after a successful signature collection (Vote.AUTH_TYPES.hard).
+ *
+ * @param {object} sequelize Sequelize instance
+ * @param {object} DataTypes Sequelize DataTypes
+ *
+ * @returns {object} Sequelize model
+ *
+ * @see http://sequelizejs.com/docs/latest/models
+ */
+module.exports = function (sequelize, DataTypes) {
+
+    // Contact info the Topic admin can be required to provide on delivery
+    const CONTACT_FIELDS = {
+        name: 'name',
+        email: 'email',
+        phone: 'phone'
+    };
+
+    const _isLinkTemplate = function (value) {
+        if (!value) return; // Since Sequelize 5.x custom validators are run when allowNull is true.
+
+        if (!validator.isURL(value.replace(':topicId', '00000000-0000-0000-0000-000000000000'), {protocols: ['https', 'http'], require_protocol: true})) {
+            throw new Error('Invalid URL.');
+        }
+    };
+
+    const PartnerInstitution = sequelize.define(
+        'PartnerInstitution',
+        {
+            id: {
+                type: DataTypes.UUID,
+                primaryKey: true,
+                allowNull: false,
+                defaultValue: DataTypes.UUIDV4
+            },
+            partnerId: {
+                type: DataTypes.UUID,
+                allowNull: false,
+                comment: 'Partner whose Topics are delivered to the Institution.',
+                references: {
+                    model: 'Partners',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'CASCADE'
+            },
+            creatorId: {
+                type: DataTypes.UUID,
+                allowNull: false,
+                comment: 'User who registered the Institution.',
+                references: {
+                    model: 'Users',
+                    key: 'id'
+                }
+            },
+            name: {
+                type: DataTypes.STRING(255),
+                allowNull: false,
+                comment: 'Name of the Institution.',
+                validate: {
+                    len: {
+                        args: [1, 255],
+                        msg: 'Name can be 1 to 255 characters long.'
+                    }
+                }
+            },
+            emails: {
+                type: DataTypes.ARRAY(DataTypes.STRING(254)),
+                allowNull: false,
+                comment: 'E-mail addresses the Topics are delivered to.',
+                validate: {
+                    isArrayOfEmails: function (value) {
+                        if (!Array.isArray(value) || !value.length) {
+                            throw new Error('At least one e-mail is required.');
+                        }
+
+                        value.forEach(function (email) {
+                            if (typeof email !== 'string' || !validator.isEmail(email)) {
+                                throw new Error(`Invalid email ${email}`);
+                            }
+                        });
+                    }
+                }
+            },
+            from: {
+                type: DataTypes.STRING(254),
+                allowNull: true,
+                comment: 'Sender of the delivery e-mails. NULL for the default sender of the system.'
+            },
+            language: {
+                type: DataTypes.STRING(5),
+                allowNull: false,
+                defaultValue: 'en',
+                comment: 'Language code of the delivery e-mails.',
+                validate: {
+                    is: {
+                        args: /^[a-z]{2}(-[a-z]{2})?$/i,
+                        msg: 'Invalid language code.'
+                    }
+                },
+                set: function (val) {
+                    if (!val) {
+                        return;
+                    }
+
+                    return this.setDataValue('language', val.toLowerCase());
+                }
+            },
+            template: {
+                type: DataTypes.STRING(255),
+                allowNull: false,
+                defaultValue: 'toParliament',
+                comment: 'E-mail template name without the extension (views/emails).',
+                validate: {
+                    is: {
+                        args: /^[a-zA-Z0-9_.-]+$/,
+                        msg: 'Invalid template name.'
+                    }
+                }
+            },
+            logo: {
+                type: DataTypes.STRING(255),
+                allowNull: true,
+                comment: 'E-mail header logo file name in the e-mail template images. NULL for the default logo.',
+                validate: {
+                    is: {
+                        args: /^[a-zA-Z0-9_.-]+\.png$/,
+                        msg: 'Invalid logo file name.'
+                    }
+                }
+            },
+            emailStyles: {
+                type: DataTypes.JSONB,
+                allowNull: true,
+                comment: 'E-mail styles (headerBackgroundColor, logoWidth, logoHeight) overriding the ones of the Partner.',
+                validate: {
+                    isEmailStyles: function (value) {
+                        if (!value) return; // Since Sequelize 5.x custom validators are run when allowNull is true.
+
+                        if (typeof value !== 'object' || Array.isArray(value)) {
+                            throw new Error('PartnerInstitution.emailStyles must be an object.');
+                        }
+
+                        const EMAIL_STYLES = sequelize.models.Partner.EMAIL_STYLES;
+                        Object.keys(value).forEach(function (key) {
+                            const validate = EMAIL_STYLES[key];
+                            if (!validate) {
+                                throw new Error('Invalid PartnerInstitution.emailStyles property "' + key + '". Must be one of: ' + Object.keys(EMAIL_STYLES).join(', '));
+                            }
+                            if (!validate(value[key])) {
+                                throw new Error('Invalid value for PartnerInstitution.emailStyles property "' + key + '".');
+                            }
+                        });
+                    }
+                }
+            },
+            voteCountMin: {
+                type: DataTypes.INTEGER,
+                allowNull: false,
+                comment: 'Minimum number of signatures (votes for the most voted option) required for the delivery.',
+                validate: {
+                    min: {
+                        args: [1],
+                        msg: 'Minimum vote count must be at least 1.'
+                    }
+                }
+            },
+            contactFields: {
+                type: DataTypes.ARRAY(DataTypes.STRING),
+                allowNull: false,
+                defaultValue: _.values(CONTACT_FIELDS),
+                comment: 'Contact info the Topic admin has to provide on delivery.',
+                validate: {
+                    isArrayOfContactFields: function (value) {
+                        if (!Array.isArray(value)) {
+                            throw new Error('Contact fields must be an array.');
+                        }
+
+                        value.forEach(function (field) {
+                            if (_.values(CONTACT_FIELDS).indexOf(field) < 0) {
+                                throw new Error(`Invalid contact field ${field}`);
+                            }
+                        });
+                    }
+                }
+            },
+            linkViewTopic: {
+                type: DataTypes.STRING(2048),
+                allowNull: true,
+                comment: 'Link to the Topic in the Partner site, ":topicId" is replaced with the Topic id. NULL for the Topic link in the CitizenOS FE.',
+                validate: {
+                    isLinkTemplate: _isLinkTemplate
+                }
+            },
+            linkAddEvent: {
+                type: DataTypes.STRING(2048),
+                allowNull: true,
+                comment: 'Link to the Partner site for posting the Institution responses (TopicEvents), ":topicId" is replaced with the Topic id and the token is added as "token" parameter. NULL if the Institution does not post responses.',
+                validate: {
+                    isLinkTemplate: _isLinkTemplate
+                }
+            },
+            sendContainerDownloadLinkToCreator: {
+                type: DataTypes.BOOLEAN,
+                allowNull: false,
+                defaultValue: false,
+                comment: 'Include the signed container download link in the copy sent to the contact of the Topic.'
+            }
+        },
+        {
+            indexes: [
+                {
+                    fields: ['partnerId']
+                }
+            ]
+        }
+    );
+
+    PartnerInstitution.associate = function (models) {
+        PartnerInstitution.belongsTo(models.Partner, {
+            foreignKey: 'partnerId'
+        });
+
+        PartnerInstitution.hasMany(models.TopicDelivery, {
+            foreignKey: 'institutionId'
+        });
+    };
+
+    PartnerInstitution.prototype.toJSON = function () {
+        // Using whitelist instead of blacklist, so that no accidents occur when adding new properties.
+        return {
+            id: this.dataValues.id,
+            partnerId: this.dataValues.partnerId,
+            name: this.dataValues.name,
+            emails: this.dataValues.emails,
+            from: this.dataValues.from,
+            language: this.dataValues.language,
+            template: this.dataValues.template,
+            logo: this.dataValues.logo,
+            emailStyles: this.dataValues.emailStyles,
+            voteCountMin: this.dataValues.voteCountMin,
+            contactFields: this.dataValues.contactFields,
+            linkViewTopic: this.dataValues.linkViewTopic,
+            linkAddEvent: this.dataValues.linkAddEvent,
+            sendContainerDownloadLinkToCreator: this.dataValues.sendContainerDownloadLinkToCreator,
+            createdAt: this.dataValues.createdAt,
+            updatedAt: this.dataValues.updatedAt
+        };
+    };
+
+    PartnerInstitution.CONTACT_FIELDS = CONTACT_FIELDS;
+
+    return PartnerInstitution;
+};
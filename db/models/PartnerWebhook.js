@@ -0,0 +1,149 @@
+'use strict';
+
+const _ = require('lodash');
+const util = require('../../libs/util');
+
+/**
+ * PartnerWebhook
+ *
+ * Partner subscription to lifecycle events (Topic created, Vote cast..) of the Partner Topics.
+ *
+ * @param {object} sequelize Sequelize instance
+ * @param {object} DataTypes Sequelize DataTypes
+ *
+ * @returns {object} Sequelize model
+ *
+ * @see http://sequelizejs.com/docs/latest/models
+ */
+module.exports = function (sequelize, DataTypes) {
+
+    const EVENTS = {
+        topicCreated: 'topic.created',
+        topicStatusChanged: 'topic.statusChanged',
+        voteCast: 'vote.cast',
+        voteClosed: 'vote.closed',
+        commentCreated: 'comment.created',
+        reportModerated: 'report.moderated'
+    };
+
+    const PartnerWebhook = sequelize.define(
+        'PartnerWebhook',
+        {
+            id: {
+                type: DataTypes.UUID,
+                primaryKey: true,
+                allowNull: false,
+                defaultValue: DataTypes.UUIDV4
+            },
+            partnerId: {
+                type: DataTypes.UUID,
+                allowNull: false,
+                comment: 'Partner to whom the Webhook belongs to.',
+                references: {
+                    model: 'Partners',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'CASCADE'
+            },
+            creatorId: {
+                type: DataTypes.UUID,
+                allowNull: false,
+                comment: 'User who registered the Webhook.',
+                references: {
+                    model: 'Users',
+                    key: 'id'
+                }
+            },
+            url: {
+                type: DataTypes.STRING(2048),
+                allowNull: false,
+                comment: 'Absolute URL where the events are POST-ed to.',
+                validate: {
+                    isUrl: {
+                        args: {
+                            protocols: ['https', 'http'],
+                            require_protocol: true
+                        },
+                        msg: 'Invalid URL.'
+                    },
+                    isPublicHost: async function (value) {
+                        let hostname;
+
+                        try {
+                            hostname = new URL(value).hostname;
+                        } catch (err) {
+                            return; // Reported by "isUrl"
+                        }
+
+                        // No requests to private networks (SSRF), checked again on delivery as the DNS records may change - libs/cosWebhooks.js
+                        try {
+                            await util.lookupPublicAddress(hostname);
+                        } catch (err) {
+                            throw new Error('URL must resolve to a public address.');
+                        }
+                    }
+                }
+            },
+            events: {
+                type: DataTypes.ARRAY(DataTypes.STRING),
+                allowNull: false,
+                comment: 'Event types the Webhook is subscribed to.',
+                validate: {
+                    isArrayOfEvents: function (value) {
+                        if (!Array.isArray(value) || !value.length) {
+                            throw new Error('At least one event is required.');
+                        }
+
+                        value.forEach(function (event) {
+                            if (_.values(EVENTS).indexOf(event) < 0) {
+                                throw new Error(`Invalid event ${event}`);
+                            }
+                        });
+                    }
+                }
+            },
+            secret: {
+                type: DataTypes.STRING(255),
+                allowNull: false,
+                comment: 'Secret used to sign the payloads (HMAC-SHA256).'
+            }
+        },
+        {
+            indexes: [
+                {
+                    fields: ['partnerId']
+                }
+            ]
+        }
+    );
+
+    PartnerWebhook.associate = function (models) {
+        PartnerWebhook.belongsTo(models.Partner, {
+            foreignKey: 'partnerId'
+        });
+
+        PartnerWebhook.hasMany(models.PartnerWebhookDelivery, {
+            foreignKey: 'webhookId'
+        });
+    };
+
+    // Overrides the default toJSON() to avoid sensitive data from ending up in the output.
+    // Must do until scopes arrive to Sequelize - https://github.com/sequelize/sequelize/issues/1462
+    PartnerWebhook.prototype.toJSON = function () {
+        // Using whitelist instead of blacklist, so that no accidents occur when adding new properties.
+        return {
+            id: this.dataValues.id,
+            partnerId: this.dataValues.partnerId,
+            creatorId: this.dataValues.creatorId,
+            url: this.dataValues.url,
+            events: this.dataValues.events,
+            createdAt: this.dataValues.createdAt,
+            updatedAt: this.dataValues.updatedAt
+        };
+    };
+
+    PartnerWebhook.EVENTS = EVENTS;
+
+    return PartnerWebhook;
+};
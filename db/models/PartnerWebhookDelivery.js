@@ -0,0 +1,133 @@
+'use strict';
+
+const _ = require('lodash');
+
+/**
+ * PartnerWebhookDelivery
+ *
+ * Delivery log of a single event to a PartnerWebhook.
+ *
+ * @param {object} sequelize Sequelize instance
+ * @param {object} DataTypes Sequelize DataTypes
+ *
+ * @returns {object} Sequelize model
+ *
+ * @see http://sequelizejs.com/docs/latest/models
+ */
+module.exports = function (sequelize, DataTypes) {
+
+    const STATUSES = {
+        pending: 'pending', // Not delivered yet, may be waiting for retry
+        success: 'success',
+        failed: 'failed' // Gave up after max attempts
+    };
+
+    const PartnerWebhookDelivery = sequelize.define(
+        'PartnerWebhookDelivery',
+        {
+            id: {
+                type: DataTypes.UUID,
+                primaryKey: true,
+                allowNull: false,
+                defaultValue: DataTypes.UUIDV4
+            },
+            webhookId: {
+                type: DataTypes.UUID,
+                allowNull: false,
+                comment: 'Webhook the event is delivered to.',
+                references: {
+                    model: 'PartnerWebhooks',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'CASCADE'
+            },
+            activityId: {
+                type: DataTypes.UUID,
+                allowNull: false,
+                comment: 'Activity the event was derived from.',
+                references: {
+                    model: 'Activities',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'CASCADE'
+            },
+            event: {
+                type: DataTypes.STRING(255),
+                allowNull: false,
+                comment: 'Event type. One of PartnerWebhook.EVENTS.'
+            },
+            payload: {
+                type: DataTypes.JSONB,
+                allowNull: false,
+                comment: 'Payload POST-ed to the Webhook url.'
+            },
+            status: {
+                type: DataTypes.ENUM,
+                values: _.values(STATUSES),
+                allowNull: false,
+                defaultValue: STATUSES.pending,
+                comment: 'Delivery status.'
+            },
+            attempts: {
+                type: DataTypes.INTEGER,
+                allowNull: false,
+                defaultValue: 0,
+                comment: 'Number of delivery attempts.'
+            },
+            responseStatus: {
+                type: DataTypes.INTEGER,
+                allowNull: true,
+                comment: 'HTTP status code of the last attempt.'
+            },
+            error: {
+                type: DataTypes.TEXT,
+                allowNull: true,
+                comment: 'Error of the last failed attempt.'
+            },
+            deliveredAt: {
+                type: DataTypes.DATE,
+                allowNull: true,
+                comment: 'Time of successful delivery.'
+            }
+        },
+        {
+            paranoid: false,
+            indexes: [
+                {
+                    fields: ['webhookId', 'createdAt']
+                }
+            ]
+        }
+    );
+
+    PartnerWebhookDelivery.associate = function (models) {
+        PartnerWebhookDelivery.belongsTo(models.PartnerWebhook, {
+            foreignKey: 'webhookId'
+        });
+    };
+
+    // Overrides the default toJSON() to avoid sensitive data from ending up in the output.
+    // Must do until scopes arrive to Sequelize - https://github.com/sequelize/sequelize/issues/1462
+    PartnerWebhookDelivery.prototype.toJSON = function () {
+        // Using whitelist instead of blacklist, so that no accidents occur when adding new properties.
+        return {
+            id: this.dataValues.id,
+            webhookId: this.dataValues.webhookId,
+            event: this.dataValues.event,
+            payload: this.dataValues.payload,
+            status: this.dataValues.status,
+            attempts: this.dataValues.attempts,
+            responseStatus: this.dataValues.responseStatus,
+            error: this.dataValues.error,
+            deliveredAt: this.dataValues.deliveredAt,
+            createdAt: this.dataValues.createdAt,
+            updatedAt: this.dataValues.updatedAt
+        };
+    };
+
+    PartnerWebhookDelivery.STATUSES = STATUSES;
+
+    return PartnerWebhookDelivery;
+};
@@ -0,0 +1,44 @@
+'use strict';
+
+/**
+ * RateLimit
+ *
+ * Request counters of the rate limiting middleware (libs/middleware/rateLimit.js) when the Postgres store is used.
+ *
+ * @param {object} sequelize Sequelize instance
+ * @param {object} DataTypes Sequelize DataTypes
+ *
+ * @returns {object} Sequelize model
+ *
+ * @see http://sequelizejs.com/docs/latest/models
+ */
+module.exports = function (sequelize, DataTypes) {
+
+    const RateLimit = sequelize.define(
+        'RateLimit',
+        {
+            key: {
+                type: DataTypes.STRING(255),
+                primaryKey: true,
+                allowNull: false,
+                comment: 'Counter key - bucket name and the User, Partner or IP the requests are counted for.'
+            },
+            hits: {
+                type: DataTypes.INTEGER,
+                allowNull: false,
+                defaultValue: 0,
+                comment: 'Number of requests in the current window.'
+            },
+            resetAt: {
+                type: DataTypes.DATE,
+                allowNull: false,
+                comment: 'End of the current window.'
+            }
+        },
+        {
+            timestamps: false
+        }
+    );
+
+    return RateLimit;
+};
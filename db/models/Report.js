@@ -65,6 +65,38 @@ module.exports = function (sequelize, DataTypes) {
                 type: DataTypes.STRING(45), // No specific DataType in Sequelize so STRING(45) supports IPv6 and IPv4 notations
                 comment: 'IP address of the reporter',
                 allowNull: false
+            },
+            resolvedById: {
+                type: DataTypes.UUID,
+                allowNull: true,
+                references: {
+                    model: 'Users',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'CASCADE',
+                comment: 'User ID of the person who considered the issue to be resolved thus making the report outdated.'
+            },
+            resolvedAt: {
+                type: DataTypes.DATE,
+                allowNull: true,
+                comment: 'Time when the Report was marked as resolved.'
+            },
+            assignedToId: {
+                type: DataTypes.UUID,
+                allowNull: true,
+                references: {
+                    model: 'Users',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'SET NULL',
+                comment: 'User ID of the Moderator the Report is assigned to.'
+            },
+            assignedAt: {
+                type: DataTypes.DATE,
+                allowNull: true,
+                comment: 'Time when the Report was assigned to the Moderator.'
             }
         }
     );
@@ -195,6 +195,11 @@ module.exports = function (sequelize, DataTypes) {
                 defaultValue: [],
                 allowNull: true
             },
+            voteDefaults: {
+                type: DataTypes.JSONB,
+                allowNull: true,
+                comment: 'Default Vote configuration from the template or the cloned Topic, applied when the Vote is created.'
+            }
         },
         {
             indexes: [
@@ -0,0 +1,155 @@
+'use strict';
+
+const _ = require('lodash');
+
+/**
+ * TopicDelivery
+ *
+ * Delivery of the Topic (signed Vote results) to an Institution. The responses of the Institution are TopicEvents of the delivery.
+ *
+ * @param {object} sequelize Sequelize instance
+ * @param {object} DataTypes Sequelize DataTypes
+ *
+ * @returns {object} Sequelize model
+ *
+ * @see http://sequelizejs.com/docs/latest/models
+ */
+module.exports = function (sequelize, DataTypes) {
+
+    const STATUSES = {
+        pending: 'pending', // Created, e-mail not sent yet
+        sent: 'sent',
+        failed: 'failed', // Sending the e-mail failed, the Topic can be delivered again
+        responded: 'responded' // Institution has posted a response (TopicEvent)
+    };
+
+    const TopicDelivery = sequelize.define(
+        'TopicDelivery',
+        {
+            id: {
+                type: DataTypes.UUID,
+                primaryKey: true,
+                allowNull: false,
+                defaultValue: DataTypes.UUIDV4
+            },
+            topicId: {
+                type: DataTypes.UUID,
+                allowNull: false,
+                comment: 'Topic delivered.',
+                references: {
+                    model: 'Topics',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'CASCADE'
+            },
+            voteId: {
+                type: DataTypes.UUID,
+                allowNull: false,
+                comment: 'Vote whose signed results are delivered.',
+                references: {
+                    model: 'Votes',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'CASCADE'
+            },
+            institutionId: {
+                type: DataTypes.UUID,
+                allowNull: true,
+                comment: 'Institution the Topic is delivered to. NULL for the default Institution of the system (config "features.sendToParliament").',
+                references: {
+                    model: 'PartnerInstitutions',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'SET NULL'
+            },
+            institutionName: {
+                type: DataTypes.STRING(255),
+                allowNull: false,
+                comment: 'Name of the Institution at the time of the delivery.'
+            },
+            creatorId: {
+                type: DataTypes.UUID,
+                allowNull: false,
+                comment: 'User who delivered the Topic.',
+                references: {
+                    model: 'Users',
+                    key: 'id'
+                }
+            },
+            contact: {
+                type: DataTypes.JSONB,
+                allowNull: true,
+                comment: 'Contact info provided on delivery {name, email, phone}.'
+            },
+            status: {
+                type: DataTypes.ENUM,
+                values: _.values(STATUSES),
+                allowNull: false,
+                defaultValue: STATUSES.pending,
+                comment: 'Delivery status.'
+            },
+            error: {
+                type: DataTypes.TEXT,
+                allowNull: true,
+                comment: 'Error of the failed delivery.'
+            },
+            sentAt: {
+                type: DataTypes.DATE,
+                allowNull: true,
+                comment: 'Time the e-mail was sent to the Institution.'
+            },
+            respondedAt: {
+                type: DataTypes.DATE,
+                allowNull: true,
+                comment: 'Time of the latest response of the Institution.'
+            }
+        },
+        {
+            indexes: [
+                {
+                    fields: ['topicId']
+                }
+            ]
+        }
+    );
+
+    TopicDelivery.associate = function (models) {
+        TopicDelivery.belongsTo(models.Topic, {
+            foreignKey: 'topicId'
+        });
+
+        TopicDelivery.belongsTo(models.PartnerInstitution, {
+            foreignKey: 'institutionId'
+        });
+
+        TopicDelivery.hasMany(models.TopicEvent, {
+            foreignKey: 'deliveryId'
+        });
+    };
+
+    // Overrides the default toJSON() to avoid sensitive data from ending up in the output.
+    // Must do until scopes arrive to Sequelize - https://github.com/sequelize/sequelize/issues/1462
+    TopicDelivery.prototype.toJSON = function () {
+        // Using whitelist instead of blacklist, so that no accidents occur when adding new properties.
+        // NOTE: "contact" is personal data of the Topic admin, it is not returned
+        return {
+            id: this.dataValues.id,
+            topicId: this.dataValues.topicId,
+            voteId: this.dataValues.voteId,
+            institutionId: this.dataValues.institutionId,
+            institutionName: this.dataValues.institutionName,
+            status: this.dataValues.status,
+            sentAt: this.dataValues.sentAt,
+            respondedAt: this.dataValues.respondedAt,
+            createdAt: this.dataValues.createdAt,
+            updatedAt: this.dataValues.updatedAt
+        };
+    };
+
+    TopicDelivery.STATUSES = STATUSES;
+
+    return TopicDelivery;
+};
@@ -48,6 +48,17 @@ module.exports = function (sequelize, DataTypes) {
                 type: DataTypes.TEXT,
                 comment: 'Text of the Event.',
                 allowNull: false
+            },
+            deliveryId: {
+                type: DataTypes.UUID,
+                allowNull: true,
+                comment: 'Delivery the Event is a response of the Institution to. NULL for the Events added by the Topic admins.',
+                references: {
+                    model: 'TopicDeliveries',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'SET NULL'
             }
         }
     );
@@ -56,6 +67,10 @@ module.exports = function (sequelize, DataTypes) {
         TopicEvent.belongsTo(models.Topic, {
             foreignKey: 'topicId'
         });
+
+        TopicEvent.belongsTo(models.TopicDelivery, {
+            foreignKey: 'deliveryId'
+        });
     };
 
     // Overrides the default toJSON() to avoid sensitive data from ending up in the output.
@@ -66,6 +81,7 @@ module.exports = function (sequelize, DataTypes) {
             id: this.dataValues.id,
             subject: this.dataValues.subject,
             text: this.dataValues.text,
+            deliveryId: this.dataValues.deliveryId,
             createdAt: this.dataValues.createdAt
         };
 
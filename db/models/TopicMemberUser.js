@@ -32,6 +32,18 @@ module.exports = function (sequelize, DataTypes) {
             onUpdate: 'CASCADE',
             onDelete: 'CASCADE',
             primaryKey: true
+        },
+        weight: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 1,
+            comment: 'Weight of the members vote (share count..) when Vote.weightSource is "topicMember".',
+            validate: {
+                min: {
+                    args: [0],
+                    msg: 'Weight must be 0 or more.'
+                }
+            }
         }
     }, TopicMember.attributes);
 
@@ -75,24 +75,8 @@ module.exports = function (sequelize, DataTypes) {
                 }
             },
             comment: 'Additional comment for the Report to provide more details on the Moderator acton.'
-        },
-        resolvedById: {
-            type: DataTypes.UUID,
-            allowNull: true,
-            references: {
-                model: 'Users',
-                key: 'id'
-            },
-            onUpdate: 'CASCADE',
-            onDelete: 'CASCADE',
-            comment: 'User ID of the person who considered the issue to be resolved thus making the report outdated.'
-        },
-        resolvedAt: {
-            type: DataTypes.DATE,
-            allowNull: true,
-            comment: 'Time when the Report was marked as resolved.'
         }
-    }, Report.rawAttributes);
+    }, Report.rawAttributes); // NOTE: "resolvedById", "resolvedAt", "assignedToId" and "assignedAt" come from Report
 
     var TopicReport = sequelize.define('TopicReport', attributes);
 
@@ -0,0 +1,107 @@
+'use strict';
+
+/**
+ * TopicRevision
+ *
+ * Revision of the Topic description as synced from Etherpad (see cosEtherpad.syncTopicWithPad).
+ *
+ * @param {object} sequelize Sequelize instance
+ * @param {object} DataTypes Sequelize DataTypes
+ *
+ * @returns {object} Sequelize model
+ *
+ * @see http://sequelizejs.com/docs/latest/models
+ */
+module.exports = function (sequelize, DataTypes) {
+
+    const TopicRevision = sequelize.define(
+        'TopicRevision',
+        {
+            id: {
+                type: DataTypes.UUID,
+                primaryKey: true,
+                allowNull: false,
+                defaultValue: DataTypes.UUIDV4
+            },
+            topicId: {
+                type: DataTypes.UUID,
+                allowNull: false,
+                comment: 'Topic the revision belongs to.',
+                references: {
+                    model: 'Topics',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'CASCADE'
+            },
+            rev: {
+                type: DataTypes.INTEGER,
+                allowNull: false,
+                comment: 'Etherpad revision number of the Pad.'
+            },
+            title: {
+                type: DataTypes.STRING(1000),
+                allowNull: true,
+                comment: 'Topic title at the revision.'
+            },
+            description: {
+                type: DataTypes.TEXT,
+                allowNull: true,
+                comment: 'Topic description (HTML) at the revision.'
+            },
+            creatorId: {
+                type: DataTypes.UUID,
+                allowNull: true,
+                comment: 'User whose edit triggered the sync. NULL for the system.',
+                references: {
+                    model: 'Users',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'SET NULL'
+            },
+            authorIds: {
+                type: DataTypes.ARRAY(DataTypes.UUID),
+                allowNull: false,
+                defaultValue: [],
+                comment: 'Users who had authored the Pad by the revision.'
+            }
+        },
+        {
+            paranoid: false,
+            indexes: [
+                {
+                    unique: true,
+                    fields: ['topicId', 'rev']
+                }
+            ]
+        }
+    );
+
+    TopicRevision.associate = function (models) {
+        TopicRevision.belongsTo(models.Topic, {
+            foreignKey: 'topicId'
+        });
+
+        TopicRevision.belongsTo(models.User, {
+            foreignKey: 'creatorId',
+            as: 'creator'
+        });
+    };
+
+    TopicRevision.prototype.toJSON = function () {
+        // Using whitelist instead of blacklist, so that no accidents occur when adding new properties.
+        return {
+            id: this.dataValues.id,
+            topicId: this.dataValues.topicId,
+            rev: this.dataValues.rev,
+            title: this.dataValues.title,
+            description: this.dataValues.description,
+            creatorId: this.dataValues.creatorId,
+            authorIds: this.dataValues.authorIds,
+            createdAt: this.dataValues.createdAt
+        };
+    };
+
+    return TopicRevision;
+};
@@ -0,0 +1,174 @@
+'use strict';
+
+const _ = require('lodash');
+const hooks = require('../../libs/sequelize/hooks');
+
+/**
+ * TopicTemplate
+ *
+ * Reusable starting point for new Topics, defined by the admins of a Group (organization) and usable by its members.
+ *
+ * @param {object} sequelize Sequelize instance
+ * @param {object} DataTypes Sequelize DataTypes
+ *
+ * @returns {object} Sequelize model
+ *
+ * @see http://sequelizejs.com/docs/latest/models
+ */
+module.exports = function (sequelize, DataTypes) {
+
+    // Vote settings that can be given in a template, same as in the Vote create API. "endsAt" is left out as it is specific to a Topic.
+    const VOTE_FIELDS = ['options', 'type', 'authType', 'minChoices', 'maxChoices', 'scoreMax', 'delegationIsAllowed', 'ballotIsSecret', 'weightSource', 'description', 'autoClose', 'resultsVisibility'];
+
+    const TopicTemplate = sequelize.define(
+        'TopicTemplate',
+        {
+            id: {
+                type: DataTypes.UUID,
+                primaryKey: true,
+                allowNull: false,
+                defaultValue: DataTypes.UUIDV4
+            },
+            groupId: {
+                type: DataTypes.UUID,
+                allowNull: false,
+                comment: 'Group (organization) the template belongs to.',
+                references: {
+                    model: 'Groups',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'CASCADE'
+            },
+            name: {
+                type: DataTypes.STRING(255),
+                allowNull: false,
+                comment: 'Name of the template.',
+                validate: {
+                    len: {
+                        args: [1, 255],
+                        msg: 'Name can be 1 to 255 characters long.'
+                    }
+                }
+            },
+            description: {
+                type: DataTypes.TEXT,
+                allowNull: true,
+                comment: 'Topic description (HTML) the Pad is created with.'
+            },
+            categories: {
+                type: DataTypes.ARRAY(DataTypes.STRING),
+                allowNull: false,
+                defaultValue: [],
+                comment: 'Topic categories.',
+                validate: {
+                    isArrayOfCategories: function (value) {
+                        if (!value) return;
+
+                        if (!Array.isArray(value)) {
+                            throw new Error('Must be an array.');
+                        }
+
+                        const Topic = sequelize.models.Topic;
+                        if (value.length > Topic.CATEGORIES_COUNT_MAX) {
+                            throw new Error('Maximum of ' + Topic.CATEGORIES_COUNT_MAX + ' categories allowed.');
+                        }
+                    }
+                }
+            },
+            vote: {
+                type: DataTypes.JSONB,
+                allowNull: true,
+                comment: 'Default Vote configuration, see VOTE_FIELDS.',
+                validate: {
+                    isVote: function (value) {
+                        if (!value) return;
+
+                        if (!Array.isArray(value.options) || value.options.length < 2) {
+                            throw new Error('At least 2 vote options are required.');
+                        }
+
+                        value.options.forEach(function (option) {
+                            if (!option || typeof option.value !== 'string' || !option.value.length) {
+                                throw new Error('Vote option must have a value.');
+                            }
+                        });
+                    }
+                }
+            },
+            memberGroups: {
+                type: DataTypes.JSONB,
+                allowNull: false,
+                defaultValue: [],
+                comment: 'Groups added as members of the Topic - [{groupId, level}].',
+                validate: {
+                    isArrayOfMemberGroups: function (value) {
+                        if (!value) return;
+
+                        if (!Array.isArray(value)) {
+                            throw new Error('Must be an array.');
+                        }
+
+                        const levels = _.values(sequelize.models.TopicMemberGroup.LEVELS);
+                        value.forEach(function (member) {
+                            if (!member || typeof member.groupId !== 'string' || levels.indexOf(member.level) < 0) {
+                                throw new Error('Member group must have "groupId" and "level" (one of ' + levels.join(', ') + ').');
+                            }
+                        });
+                    }
+                }
+            },
+            creatorId: {
+                type: DataTypes.UUID,
+                allowNull: true,
+                comment: 'User who created the template.',
+                references: {
+                    model: 'Users',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'SET NULL'
+            }
+        },
+        {
+            indexes: [
+                {
+                    fields: ['groupId']
+                }
+            ]
+        }
+    );
+
+    TopicTemplate.associate = function (models) {
+        TopicTemplate.belongsTo(models.Group, {
+            foreignKey: 'groupId'
+        });
+
+        TopicTemplate.belongsTo(models.User, {
+            foreignKey: 'creatorId',
+            as: 'creator'
+        });
+    };
+
+    TopicTemplate.prototype.toJSON = function () {
+        // Using whitelist instead of blacklist, so that no accidents occur when adding new properties.
+        return {
+            id: this.dataValues.id,
+            groupId: this.dataValues.groupId,
+            name: this.dataValues.name,
+            description: this.dataValues.description,
+            categories: this.dataValues.categories,
+            vote: this.dataValues.vote,
+            memberGroups: this.dataValues.memberGroups,
+            creatorId: this.dataValues.creatorId,
+            createdAt: this.dataValues.createdAt,
+            updatedAt: this.dataValues.updatedAt
+        };
+    };
+
+    TopicTemplate.beforeValidate(hooks.trim);
+
+    TopicTemplate.VOTE_FIELDS = VOTE_FIELDS;
+
+    return TopicTemplate;
+};
@@ -148,6 +148,12 @@ module.exports = function (sequelize, DataTypes) {
                 type: DataTypes.STRING,
                 allowNull: true,
                 comment: 'Etherpad authorID for the user'
+            },
+            isAdmin: {
+                type: DataTypes.BOOLEAN,
+                allowNull: false,
+                defaultValue: false,
+                comment: 'Administrator of the platform - manages Partners and Moderators. Granted in the DB by hand.'
             }
         }
     );
@@ -14,6 +14,22 @@
  */
 module.exports = function (sequelize, DataTypes) {
 
+    // Partner API access the User can consent to. Requested with the OpenID "scope" parameter along with the OpenID scopes (openid, profile, email, offline_access).
+    var SCOPES = {
+        'profile:email': 'profile:email', // E-mail address of the User
+        'profile:write': 'profile:write', // Update the User profile
+        'topics:read': 'topics:read', // Read Topics and their Comments, Votes, Events..
+        'topics:write': 'topics:write', // Create, update and delete Topics
+        'votes:cast': 'votes:cast', // Vote and delegate votes
+        'comments:write': 'comments:write', // Post, edit, delete and rate Comments
+        'reports:write': 'reports:write', // Report Topics and Comments
+        'groups:read': 'groups:read', // Read Groups
+        'groups:manage': 'groups:manage', // Create, update and delete Groups and their members
+        'activities:read': 'activities:read', // Read the activity feed of the User
+        'notifications:manage': 'notifications:manage', // Read and update notification settings
+        'moderation:manage': 'moderation:manage' // Moderate reports (Moderators only)
+    };
+
     var UserConsent = sequelize.define(
         'UserConsent',
         {
@@ -40,6 +56,25 @@ module.exports = function (sequelize, DataTypes) {
                 onUpdate: 'CASCADE',
                 onDelete: 'CASCADE',
                 primaryKey: true
+            },
+            scopes: {
+                type: DataTypes.ARRAY(DataTypes.STRING),
+                allowNull: false,
+                defaultValue: [],
+                comment: 'Partner API scopes the User has consented to.',
+                validate: {
+                    isArrayOfScopes: function (value) {
+                        if (!Array.isArray(value)) {
+                            throw new Error('Scopes must be an array.');
+                        }
+
+                        value.forEach(function (scope) {
+                            if (!Object.prototype.hasOwnProperty.call(SCOPES, scope)) {
+                                throw new Error(`Invalid scope ${scope}`);
+                            }
+                        });
+                    }
+                }
             }
         }
     );
@@ -50,5 +85,7 @@ module.exports = function (sequelize, DataTypes) {
         });
     };
 
+    UserConsent.SCOPES = SCOPES;
+
     return UserConsent;
 };
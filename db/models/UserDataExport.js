@@ -0,0 +1,106 @@
+'use strict';
+
+const _ = require('lodash');
+
+/**
+ * UserDataExport
+ *
+ * Export of all the data held about the User (GDPR data portability). The ZIP file is created by a background Job (see libs/cosUserDataExport.js) and kept in the storage until it expires.
+ *
+ * @param {object} sequelize Sequelize instance
+ * @param {object} DataTypes Sequelize DataTypes
+ *
+ * @returns {object} Sequelize model
+ *
+ * @see http://sequelizejs.com/docs/latest/models
+ */
+module.exports = function (sequelize, DataTypes) {
+
+    const STATUSES = {
+        pending: 'pending', // Waiting for the Job to create the file
+        ready: 'ready', // File can be downloaded
+        failed: 'failed', // Job failed, a new export can be requested
+        expired: 'expired' // File has been deleted
+    };
+
+    const UserDataExport = sequelize.define(
+        'UserDataExport',
+        {
+            id: {
+                type: DataTypes.UUID,
+                primaryKey: true,
+                allowNull: false,
+                defaultValue: DataTypes.UUIDV4
+            },
+            userId: {
+                type: DataTypes.UUID,
+                allowNull: false,
+                comment: 'User whose data is exported.',
+                references: {
+                    model: 'Users',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'CASCADE'
+            },
+            status: {
+                type: DataTypes.ENUM,
+                values: _.values(STATUSES),
+                allowNull: false,
+                defaultValue: STATUSES.pending
+            },
+            storageKey: {
+                type: DataTypes.STRING,
+                allowNull: true,
+                comment: 'Key of the ZIP file in the storage (libs/cosStorage.js). NULL until ready and after expiry.'
+            },
+            size: {
+                type: DataTypes.INTEGER,
+                allowNull: true,
+                comment: 'File size in bytes.'
+            },
+            expiresAt: {
+                type: DataTypes.DATE,
+                allowNull: true,
+                comment: 'When the file is deleted.'
+            }
+        },
+        {
+            paranoid: false,
+            indexes: [
+                {
+                    name: 'UserDataExports_userId_pending',
+                    unique: true,
+                    fields: ['userId'],
+                    where: {
+                        status: STATUSES.pending
+                    }
+                }
+            ]
+        }
+    );
+
+    UserDataExport.associate = function (models) {
+        UserDataExport.belongsTo(models.User, {
+            foreignKey: 'userId'
+        });
+    };
+
+    // Overrides the default toJSON() to avoid sensitive data from ending up in the output.
+    // Must do until scopes arrive to Sequelize - https://github.com/sequelize/sequelize/issues/1462
+    UserDataExport.prototype.toJSON = function () {
+        // Using whitelist instead of blacklist, so that no accidents occur when adding new properties.
+        return {
+            id: this.dataValues.id,
+            status: this.dataValues.status,
+            size: this.dataValues.size,
+            expiresAt: this.dataValues.expiresAt,
+            createdAt: this.dataValues.createdAt,
+            updatedAt: this.dataValues.updatedAt
+        };
+    };
+
+    UserDataExport.STATUSES = STATUSES;
+
+    return UserDataExport;
+};
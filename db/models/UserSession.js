@@ -0,0 +1,133 @@
+'use strict';
+
+/**
+ * UserSession
+ *
+ * Session of the app authorization token (JWT) set as a cookie on log-in or of the Access Token issued to a Partner (OpenID).
+ * The token carries the session id ("jti"), so that the User can see where they are logged in and revoke the tokens.
+ * Revoked sessions are kept with "revokedAt" set, expired sessions are not returned to the User.
+ *
+ * @param {object} sequelize Sequelize instance
+ * @param {object} DataTypes Sequelize DataTypes
+ *
+ * @returns {object} Sequelize model
+ *
+ * @see http://sequelizejs.com/docs/latest/models
+ */
+module.exports = function (sequelize, DataTypes) {
+
+    const UserSession = sequelize.define(
+        'UserSession',
+        {
+            id: {
+                type: DataTypes.UUID,
+                primaryKey: true,
+                allowNull: false,
+                defaultValue: DataTypes.UUIDV4,
+                comment: 'Session id, the "jti" claim of the authorization token.'
+            },
+            userId: {
+                type: DataTypes.UUID,
+                allowNull: false,
+                comment: 'User whose session it is.',
+                references: {
+                    model: 'Users',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'CASCADE'
+            },
+            partnerId: {
+                type: DataTypes.UUID,
+                allowNull: true,
+                comment: 'Partner the Access Token of the session was issued to (OpenID). NULL for the app log-in sessions.',
+                references: {
+                    model: 'Partners',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'CASCADE'
+            },
+            grantId: {
+                type: DataTypes.UUID,
+                allowNull: true,
+                comment: 'OpenID Grant (authorization code, refresh token) the Access Token of the session was issued with. Sessions are revoked with the Grant.',
+                references: {
+                    model: 'OpenIdGrants',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'SET NULL'
+            },
+            deviceType: {
+                type: DataTypes.STRING(255),
+                allowNull: true,
+                comment: 'Device type detected on log-in (desktop, phone, tablet...).'
+            },
+            userAgent: {
+                type: DataTypes.STRING(2048),
+                allowNull: true,
+                comment: 'User-Agent header of the log-in request.'
+            },
+            ip: {
+                type: DataTypes.STRING(45),
+                allowNull: true,
+                comment: 'IP address of the last request.'
+            },
+            lastSeenAt: {
+                type: DataTypes.DATE,
+                allowNull: false,
+                defaultValue: DataTypes.NOW,
+                comment: 'Time of the last request with the session.'
+            },
+            expiresAt: {
+                type: DataTypes.DATE,
+                allowNull: false,
+                comment: 'Time the session expires.'
+            },
+            revokedAt: {
+                type: DataTypes.DATE,
+                allowNull: true,
+                comment: 'Time the session was revoked - logged out or revoked by the User.'
+            }
+        },
+        {
+            paranoid: false,
+            indexes: [
+                {
+                    fields: ['userId']
+                }
+            ]
+        }
+    );
+
+    UserSession.associate = function (models) {
+        UserSession.belongsTo(models.User, {
+            foreignKey: 'userId'
+        });
+
+        UserSession.belongsTo(models.Partner, {
+            foreignKey: 'partnerId'
+        });
+
+        UserSession.belongsTo(models.OpenIdGrant, {
+            foreignKey: 'grantId'
+        });
+    };
+
+    UserSession.prototype.toJSON = function () {
+        // Using whitelist instead of blacklist, so that no accidents occur when adding new properties.
+        return {
+            id: this.dataValues.id,
+            partnerId: this.dataValues.partnerId,
+            deviceType: this.dataValues.deviceType,
+            userAgent: this.dataValues.userAgent,
+            ip: this.dataValues.ip,
+            lastSeenAt: this.dataValues.lastSeenAt,
+            expiresAt: this.dataValues.expiresAt,
+            createdAt: this.dataValues.createdAt
+        };
+    };
+
+    return UserSession;
+};
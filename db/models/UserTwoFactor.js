@@ -0,0 +1,68 @@
+'use strict';
+
+/**
+ * UserTwoFactor
+ *
+ * Time-based one-time password (TOTP) two-factor authentication of a password account. Enrollment is pending until the first code is verified ("enabledAt" is NULL).
+ * The secret is stored encrypted, the recovery codes as hashes. Disabling the two-factor authentication deletes the row.
+ *
+ * @param {object} sequelize Sequelize instance
+ * @param {object} DataTypes Sequelize DataTypes
+ *
+ * @returns {object} Sequelize model
+ *
+ * @see http://sequelizejs.com/docs/latest/models
+ * @see https://tools.ietf.org/html/rfc6238
+ */
+module.exports = function (sequelize, DataTypes) {
+
+    const UserTwoFactor = sequelize.define(
+        'UserTwoFactor',
+        {
+            userId: {
+                type: DataTypes.UUID,
+                primaryKey: true,
+                allowNull: false,
+                comment: 'User whose two-factor authentication it is.',
+                references: {
+                    model: 'Users',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'CASCADE'
+            },
+            secret: {
+                type: DataTypes.TEXT,
+                allowNull: false,
+                comment: 'Encrypted TOTP secret.'
+            },
+            enabledAt: {
+                type: DataTypes.DATE,
+                allowNull: true,
+                comment: 'Time the enrollment was verified. NULL if the enrollment is pending.'
+            },
+            lastUsedStep: {
+                type: DataTypes.INTEGER,
+                allowNull: true,
+                comment: 'TOTP time step of the last accepted code. Codes of the same or earlier time steps are not accepted again.'
+            },
+            recoveryCodes: {
+                type: DataTypes.ARRAY(DataTypes.STRING(64)),
+                allowNull: false,
+                defaultValue: [],
+                comment: 'SHA-256 hashes of the unused recovery codes.'
+            }
+        },
+        {
+            paranoid: false
+        }
+    );
+
+    UserTwoFactor.associate = function (models) {
+        UserTwoFactor.belongsTo(models.User, {
+            foreignKey: 'userId'
+        });
+    };
+
+    return UserTwoFactor;
+};
@@ -16,7 +16,10 @@ const hooks = require('../../libs/sequelize/hooks');
 module.exports = function (sequelize, DataTypes) {
     const TYPES = {
         regular: 'regular',
-        multiple: 'multiple'
+        multiple: 'multiple',
+        ranked: 'ranked', // Voter ranks all options, counted with instant runoff
+        approval: 'approval', // Voter approves any number of options, option with most approvals wins
+        score: 'score' // Voter gives every option a score from 0 to scoreMax, option with highest total wins
     };
 
     const AUTH_TYPES = {
@@ -30,10 +33,22 @@ module.exports = function (sequelize, DataTypes) {
         smartId: 'smartId'
     };
 
+    const WEIGHT_SOURCES = {
+        topicMember: 'topicMember', // TopicMemberUser.weight
+        groupMember: 'groupMember' // GroupMemberUser.weight of the Groups that are members of the Topic, highest if several
+    };
+
     const AUTO_CLOSE = {
         allMembersVoted: 'allMembersVoted'
     }
 
+    const RESULTS_VISIBILITY = {
+        always: 'always',
+        afterVoting: 'afterVoting', // Voters see the results once they have voted (or delegated), everyone after the Vote has ended
+        afterEnd: 'afterEnd', // Results are embargoed until the Vote has ended
+        admins: 'admins' // Only the Topic admins see the results
+    };
+
     const Vote = sequelize.define(
         'Vote',
         {
@@ -61,6 +76,12 @@ module.exports = function (sequelize, DataTypes) {
                 defaultValue: false,
                 comment: 'Flag indicating if vote delegation is allowed.'
             },
+            ballotIsSecret: {
+                type: DataTypes.BOOLEAN,
+                allowNull: false,
+                defaultValue: false,
+                comment: 'Flag indicating if the ballot is secret. Secret ballot VoteLists do not record the Voter, participation is recorded in VoteParticipants.'
+            },
             endsAt: {
                 type: DataTypes.DATE,
                 allowNull: true,
@@ -88,10 +109,29 @@ module.exports = function (sequelize, DataTypes) {
             type: {
                 type: DataTypes.ENUM,
                 values: _.values(TYPES),
-                comment: 'Vote type. Used to decide visual layout.',
+                comment: 'Vote type. Used to decide visual layout and how the Votes are counted.',
                 allowNull: false,
                 defaultValue: TYPES.regular
             },
+            scoreMax: {
+                type: DataTypes.INTEGER,
+                allowNull: true,
+                defaultValue: null,
+                comment: 'Maximum score a Voter can give to an option. Only used when type is "score".',
+                validate: {
+                    min: {
+                        args: [1],
+                        msg: 'Maximum score must be at least 1.'
+                    }
+                }
+            },
+            weightSource: {
+                type: DataTypes.ENUM,
+                values: _.values(WEIGHT_SOURCES),
+                allowNull: true,
+                defaultValue: null,
+                comment: 'Where the weight of a Voters vote comes from. If NULL, all votes weigh the same.'
+            },
             authType: {
                 type: DataTypes.ENUM,
                 values: _.values(AUTH_TYPES),
@@ -99,6 +139,19 @@ module.exports = function (sequelize, DataTypes) {
                 comment: 'Authorization types. Soft - user has to be logged in to Vote. Hard - user has to digitally sign a vote.',
                 defaultValue: AUTH_TYPES.soft
             },
+            resultsVisibility: {
+                type: DataTypes.ENUM,
+                values: _.values(RESULTS_VISIBILITY),
+                allowNull: false,
+                comment: 'Who can see the Vote results and when. Topic admins can always see the results.',
+                defaultValue: RESULTS_VISIBILITY.always,
+                validate: {
+                    isIn: {
+                        args: [_.values(RESULTS_VISIBILITY)],
+                        msg: 'Invalid results visibility. Allowed values are: ' + _.values(RESULTS_VISIBILITY).join(', ')
+                    }
+                }
+            },
             autoClose: {
                 type: DataTypes.ARRAY(DataTypes.JSON), // While Sequelize does not support ARRAY of ENUM I'll use ARRAY of Strings - https://github.com/sequelize/sequelize/issues/1498
                 defaultValue: [],
@@ -144,6 +197,10 @@ module.exports = function (sequelize, DataTypes) {
         Vote.hasMany(models.VoteDelegation, {
             foreignKey: 'voteId'
         });
+
+        Vote.hasMany(models.VoteParticipant, {
+            foreignKey: 'voteId'
+        });
     };
 
     // Overrides the default toJSON() to avoid sensitive data from ending up in the output.
@@ -155,14 +212,19 @@ module.exports = function (sequelize, DataTypes) {
             minChoices: this.dataValues.minChoices,
             maxChoices: this.dataValues.maxChoices,
             delegationIsAllowed: this.dataValues.delegationIsAllowed,
+            ballotIsSecret: this.dataValues.ballotIsSecret,
             createdAt: this.dataValues.createdAt,
             endsAt: this.dataValues.endsAt,
             description: this.dataValues.description,
             type: this.dataValues.type,
+            scoreMax: this.dataValues.scoreMax,
+            weightSource: this.dataValues.weightSource,
             authType: this.dataValues.authType,
             autoClose: this.dataValues.autoClose,
+            resultsVisibility: this.dataValues.resultsVisibility,
             downloads: this.dataValues.downloads, // TODO: should be virtual?
-            votersCount: this.dataValues.votersCount// TODO: should be virtual?
+            votersCount: this.dataValues.votersCount,// TODO: should be virtual?
+            results: this.dataValues.results // HAX: added by certain queries, tally of ranked and score Votes
         };
 
         // If Vote eagerly loads VoteOptions...
@@ -198,9 +260,11 @@ module.exports = function (sequelize, DataTypes) {
     Vote.beforeValidate(hooks.trim);
 
     Vote.TYPES = TYPES;
+    Vote.WEIGHT_SOURCES = WEIGHT_SOURCES;
     Vote.AUTH_TYPES = AUTH_TYPES;
     Vote.SIGNING_METHODS = SIGNING_METHODS;
     Vote.AUTO_CLOSE = AUTO_CLOSE;
+    Vote.RESULTS_VISIBILITY = RESULTS_VISIBILITY;
 
     return Vote;
 };
@@ -5,6 +5,7 @@
  *
  * List of actual Votes cast buy voters. Contains a line for each VoteOption selected to support multiple choice voting.
  * Also note that ALL events of voting are recorded thus when counting Votes last record(s) count.
+ * For secret ballots the Voter is not recorded, optionGroupId identifies the ballot and participation is recorded in VoteParticipants.
  *
  * @param {object} sequelize Sequelize instance
  * @param {object} DataTypes Sequelize DataTypes
@@ -31,8 +32,8 @@ module.exports = function (sequelize, DataTypes) {
             },
             userId: {
                 type: DataTypes.UUID,
-                allowNull: false,
-                comment: 'Id of the User Who cast the Vote.',
+                allowNull: true,
+                comment: 'Id of the User Who cast the Vote. NULL for secret ballots (Vote.ballotIsSecret).',
                 references: {
                     model: 'Users',
                     key: 'id'
@@ -60,6 +61,16 @@ module.exports = function (sequelize, DataTypes) {
                 type: DataTypes.STRING(64),
                 allowNull: true,
                 comment: 'Hash from users PID that allows filtering votes from different users, but same person'
+            },
+            rank: {
+                type: DataTypes.INTEGER,
+                allowNull: true,
+                comment: 'Position of the option in the Voters ranking, 1 being the most preferred. Only for Votes of type "ranked".'
+            },
+            score: {
+                type: DataTypes.INTEGER,
+                allowNull: true,
+                comment: 'Score given to the option by the Voter. Only for Votes of type "score".'
             }
         },
         {
@@ -61,7 +61,9 @@ module.exports = function (sequelize, DataTypes) {
             id: this.dataValues.id,
             value: this.dataValues.value,
             voteCount: this.dataValues.voteCount, // HAX: added by certain queries
-            selected: this.dataValues.selected // HAX: added by certain queries
+            selected: this.dataValues.selected, // HAX: added by certain queries
+            rank: this.dataValues.rank, // HAX: added when casting a Vote of type "ranked"
+            score: this.dataValues.score // HAX: added when casting a Vote of type "score"
         };
 
         return data;
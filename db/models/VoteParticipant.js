@@ -0,0 +1,64 @@
+'use strict';
+
+/**
+ * VoteParticipant
+ *
+ * Participation in a secret ballot Vote (Vote.ballotIsSecret). Records who voted, while the VoteLists of the ballot do not record the Voter.
+ * Timestamps are set to the creation time of the Vote, so that the participants cannot be matched to the ballots by the time of voting.
+ *
+ * @param {object} sequelize Sequelize instance
+ * @param {object} DataTypes Sequelize DataTypes
+ *
+ * @returns {object} Sequelize model
+ *
+ * @see http://sequelizejs.com/docs/latest/models
+ */
+module.exports = function (sequelize, DataTypes) {
+
+    const VoteParticipant = sequelize.define(
+        'VoteParticipant',
+        {
+            id: {
+                type: DataTypes.UUID,
+                primaryKey: true,
+                allowNull: false,
+                defaultValue: DataTypes.UUIDV4
+            },
+            voteId: {
+                type: DataTypes.UUID,
+                allowNull: false,
+                comment: 'Vote the User participated in.',
+                references: {
+                    model: 'Votes',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'CASCADE',
+                unique: 'oneParticipationPerVote'
+            },
+            userId: {
+                type: DataTypes.UUID,
+                allowNull: false,
+                comment: 'User who cast a ballot.',
+                references: {
+                    model: 'Users',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'CASCADE',
+                unique: 'oneParticipationPerVote'
+            }
+        },
+        {
+            paranoid: false
+        }
+    );
+
+    VoteParticipant.associate = function (models) {
+        VoteParticipant.belongsTo(models.User, {
+            foreignKey: 'userId'
+        });
+    };
+
+    return VoteParticipant;
+};
@@ -16,6 +16,8 @@ const util = require('util');
  *  - {string} headerImage Absolute path to header image
  *  - {string} layout Absolute path to Mustache template
  *
+ * E-mail "headers" option sets custom headers of the e-mail, supported by the "nodemailer" provider.
+ *
  * @returns {object} Campaign e-mail client.
  *
  * @see https://github.com/bevacqua/campaign
@@ -30,13 +32,26 @@ const emailClient = function (config) {
         case 'mailgun':
             provider = require('campaign-mailgun')(config.provider.options);
             break;
-        case 'nodemailer':
+        case 'nodemailer': {
             smtp = nodemailer.createTransport(config.provider.options);
 
-            provider = require('campaign-nodemailer')({
-                transport: smtp
+            // campaign-nodemailer does not pass the custom headers (ex "List-Unsubscribe") of the e-mail to the transport
+            let headers;
+            const providerNodemailer = require('campaign-nodemailer')({
+                transport: smtp,
+                transform: function (message) {
+                    message.headers = headers;
+                }
+            });
+
+            provider = Object.assign({}, providerNodemailer, {
+                send: function (model, done) {
+                    headers = model.headers; // "transform" is called synchronously in "send"
+                    providerNodemailer.send(model, done);
+                }
             });
             break;
+        }
         case 'terminal':
             provider = require('campaign-terminal')();
             break;
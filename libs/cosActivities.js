@@ -8,9 +8,36 @@ module.exports = function (app) {
     const db = models.sequelize;
     const uuid = app.get('uuid');
     const moment = app.get('moment');
+    const logger = app.get('logger');
 
     const Activity = models.Activity;
 
+    const listeners = [];
+
+    /**
+     * Add a listener that is called with every saved Activity
+     *
+     * Listeners are called after the transaction the Activity was saved in has been committed, so they never see rolled back Activities.
+     * Listener errors are logged and do not affect saving the Activity. Keep listeners light, they delay resolving the commit.
+     *
+     * @param {function} listener Async function (activity)
+     *
+     * @returns {void}
+     */
+    const _addListener = function (listener) {
+        listeners.push(listener);
+    };
+
+    const _notifyListeners = function (activity) {
+        return Promise.all(listeners.map(async function (listener) {
+            try {
+                await listener(activity);
+            } catch (err) {
+                logger.error('Activity listener failed', activity.id, err);
+            }
+        }));
+    };
+
     const _setExtraProperties = function (inputObject, targetObject) {
         if (!targetObject.topicId && inputObject.topicId) {
             targetObject.topicId = inputObject.topicId;
@@ -120,7 +147,20 @@ module.exports = function (app) {
                 {
                     transaction: transaction
                 }
-            );
+            )
+            .then(async function (activity) {
+                if (listeners.length) {
+                    if (transaction) {
+                        transaction.afterCommit(function () {
+                            return _notifyListeners(activity);
+                        });
+                    } else {
+                        await _notifyListeners(activity);
+                    }
+                }
+
+                return activity;
+            });
     };
 
     const _getInstanceChangeSet = function (instance) {
@@ -885,6 +925,7 @@ module.exports = function (app) {
     }
 
     return {
+        addListener: _addListener,
         getInstanceChangeSet: _getInstanceChangeSet,
         createActivity: _createActivity,
         updateActivity: _updateActivity,
@@ -0,0 +1,263 @@
+'use strict';
+
+/**
+ * Vote and Topic deadlines
+ *
+ * Schedules Jobs (libs/cosJobs.js) for Vote.endsAt and Topic.endsAt and handles them when the deadline arrives -
+ * Topic in "voting" is moved to "followUp", an Activity is recorded and Topic members are notified by e-mail.
+ */
+
+module.exports = function (app) {
+    const logger = app.get('logger');
+    const models = app.get('models');
+    const db = models.sequelize;
+    const moment = app.get('moment');
+    const cosActivities = app.get('cosActivities');
+    const cosJobs = app.get('cosJobs');
+    const emailLib = app.get('email');
+
+    const Topic = models.Topic;
+    const Vote = models.Vote;
+
+    const JOBS = {
+        voteEnd: 'voteEnd',
+        topicEnd: 'topicEnd'
+    };
+
+    const CONTEXT = 'JOB :name';
+
+    const _getJobKey = function (name, id) {
+        return name + ':' + id;
+    };
+
+    /**
+     * Move Topic from "voting" to "followUp" and notify members
+     *
+     * @param {object} topic Topic Sequelize instance
+     * @param {string} context Activity context
+     *
+     * @returns {Promise<void>}
+     *
+     * @private
+     */
+    const _closeTopicVoting = async function (topic, context) {
+        topic.status = Topic.STATUSES.followUp;
+
+        await db
+            .transaction(async function (t) {
+                await cosActivities
+                    .updateActivity(
+                        topic,
+                        null,
+                        {
+                            type: 'System'
+                        },
+                        null,
+                        context,
+                        t
+                    );
+
+                await topic.save({transaction: t});
+            });
+
+        logger.info('Topic voting closed by deadline', topic.id, context);
+
+        // Topic status has already changed, so a failed e-mail must not cause the Job to be retried
+        try {
+            await emailLib.sendTopicVotingEnd(topic.id);
+        } catch (err) {
+            logger.error('Failed to send Topic voting end e-mails', topic.id, err);
+        }
+    };
+
+    /**
+     * Handle Vote deadline
+     *
+     * @param {object} data Job data {voteId, topicId}
+     *
+     * @returns {Promise<void>}
+     *
+     * @private
+     */
+    const _handleVoteEnd = async function (data) {
+        const vote = await Vote
+            .findOne({
+                where: {
+                    id: data.voteId
+                },
+                include: [
+                    {
+                        model: Topic,
+                        where: {
+                            id: data.topicId
+                        }
+                    }
+                ]
+            });
+
+        // Vote or Topic deleted, deadline removed or moved to the future - a new Job has been scheduled in that case
+        if (!vote || !vote.endsAt || moment(vote.endsAt).isAfter(moment())) {
+            return;
+        }
+
+        const topic = vote.Topics[0];
+        if (topic.status !== Topic.STATUSES.voting) {
+            return;
+        }
+
+        return _closeTopicVoting(topic, CONTEXT.replace(':name', JOBS.voteEnd));
+    };
+
+    /**
+     * Handle Topic deadline
+     *
+     * @param {object} data Job data {topicId}
+     *
+     * @returns {Promise<void>}
+     *
+     * @private
+     */
+    const _handleTopicEnd = async function (data) {
+        const topic = await Topic
+            .findOne({
+                where: {
+                    id: data.topicId
+                }
+            });
+
+        if (!topic || !topic.endsAt || moment(topic.endsAt).isAfter(moment())) {
+            return;
+        }
+
+        if (topic.status !== Topic.STATUSES.voting) {
+            return;
+        }
+
+        return _closeTopicVoting(topic, CONTEXT.replace(':name', JOBS.topicEnd));
+    };
+
+    /**
+     * Schedule (or cancel if deadline was removed) the Vote deadline Job
+     *
+     * @param {object} vote Vote Sequelize instance
+     * @param {string} topicId Topic id
+     * @param {object} [transaction] Sequelize transaction
+     *
+     * @returns {Promise}
+     *
+     * @private
+     */
+    const _scheduleVoteEnd = function (vote, topicId, transaction) {
+        const key = _getJobKey(JOBS.voteEnd, vote.id);
+
+        if (!vote.endsAt) {
+            return cosJobs.cancel(key, transaction);
+        }
+
+        return cosJobs.schedule(JOBS.voteEnd, {voteId: vote.id, topicId: topicId}, vote.endsAt, key, transaction);
+    };
+
+    /**
+     * Schedule (or cancel if deadline was removed) the Topic deadline Job
+     *
+     * @param {object} topic Topic Sequelize instance
+     * @param {object} [transaction] Sequelize transaction
+     *
+     * @returns {Promise}
+     *
+     * @private
+     */
+    const _scheduleTopicEnd = function (topic, transaction) {
+        const key = _getJobKey(JOBS.topicEnd, topic.id);
+
+        if (!topic.endsAt) {
+            return cosJobs.cancel(key, transaction);
+        }
+
+        return cosJobs.schedule(JOBS.topicEnd, {topicId: topic.id}, topic.endsAt, key, transaction);
+    };
+
+    /**
+     * Schedule Jobs for Votes and Topics in "voting" that have a deadline but no Job.
+     *
+     * Covers deadlines set before the Job runner existed. Safe to call on every start.
+     *
+     * @returns {Promise<number>} Count of Jobs scheduled
+     *
+     * @private
+     */
+    const _scheduleMissing = async function () {
+        const [votes, topics] = await Promise.all([
+            db.query(
+                `
+                SELECT
+                    v.id,
+                    v."endsAt",
+                    tv."topicId"
+                FROM "TopicVotes" tv
+                    JOIN "Votes" v ON (v.id = tv."voteId")
+                    JOIN "Topics" t ON (t.id = tv."topicId")
+                WHERE v."endsAt" IS NOT NULL
+                    AND t.status = :status
+                    AND t."deletedAt" IS NULL
+                    AND v."deletedAt" IS NULL
+                    AND tv."deletedAt" IS NULL
+                    AND NOT EXISTS (SELECT 1 FROM "Jobs" j WHERE j.key = :voteEnd || ':' || v.id)
+                ;`,
+                {
+                    replacements: {
+                        status: Topic.STATUSES.voting,
+                        voteEnd: JOBS.voteEnd
+                    },
+                    type: db.QueryTypes.SELECT,
+                    raw: true
+                }
+            ),
+            db.query(
+                `
+                SELECT
+                    t.id,
+                    t."endsAt"
+                FROM "Topics" t
+                WHERE t."endsAt" IS NOT NULL
+                    AND t.status = :status
+                    AND t."deletedAt" IS NULL
+                    AND NOT EXISTS (SELECT 1 FROM "Jobs" j WHERE j.key = :topicEnd || ':' || t.id)
+                ;`,
+                {
+                    replacements: {
+                        status: Topic.STATUSES.voting,
+                        topicEnd: JOBS.topicEnd
+                    },
+                    type: db.QueryTypes.SELECT,
+                    raw: true
+                }
+            )
+        ]);
+
+        for (const vote of votes) {
+            await _scheduleVoteEnd(vote, vote.topicId);
+        }
+
+        for (const topic of topics) {
+            await _scheduleTopicEnd(topic);
+        }
+
+        const count = votes.length + topics.length;
+        if (count) {
+            logger.info('Scheduled missing deadline Jobs', count);
+        }
+
+        return count;
+    };
+
+    cosJobs.register(JOBS.voteEnd, _handleVoteEnd);
+    cosJobs.register(JOBS.topicEnd, _handleTopicEnd);
+
+    return {
+        JOBS: JOBS,
+        scheduleVoteEnd: _scheduleVoteEnd,
+        scheduleTopicEnd: _scheduleTopicEnd,
+        scheduleMissing: _scheduleMissing
+    };
+};
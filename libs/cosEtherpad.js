@@ -22,6 +22,7 @@ module.exports = function (app) {
     const https = require('https');
 
     const Topic = models.Topic;
+    const TopicRevision = models.TopicRevision;
     const User = models.User;
 
     const TEMPLATE_ROOT = app.get('TEMPLATE_ROOT');
@@ -56,6 +57,23 @@ module.exports = function (app) {
     };
 
 
+    /**
+     * Create a Topic in Etherpad system with the content of another Topic.
+     *
+     * Only the current content is copied, not the revision history and authors of the source Pad.
+     *
+     * @param {string} sourceTopicId Topic id of the Pad to copy
+     * @param {string} topicId Topic id in CitizenOS
+     *
+     * @returns {Promise} etherpadClient setHTML promise
+     * @private
+     */
+    const _copyTopic = async function (sourceTopicId, topicId) {
+        const html = (await etherpadClient.getHTMLAsync({padID: sourceTopicId})).html;
+
+        return _createTopic(topicId, null, html);
+    };
+
     const _updateTopic = async function (topicId, html) {
         return etherpadClient.setHTMLAsync({
             padID: topicId,
@@ -209,16 +227,26 @@ module.exports = function (app) {
         return html.replace(/style=/gi, 'class=').replace(/text-align:/gi, '');
     };
 
+    /**
+     * Sync Topic title and description with the Pad and store the TopicRevision
+     *
+     * @param {string} topicId Topic id
+     * @param {string} context Activity context
+     * @param {object} [actor] Activity actor, System if not set
+     * @param {number} [rev] Pad revision, latest if not set
+     *
+     * @returns {Promise<object>} Topic
+     */
     const _syncTopicWithPad = async function (topicId, context, actor, rev) {
         logger.info('Sync topic with Pad', topicId, rev);
-        const params = {padID: topicId};
-        if (rev) {
-            params.rev = rev;
+        if (!rev) {
+            rev = (await etherpadClient.getRevisionsCountAsync({padID: topicId})).revisions;
         }
 
-        let html = (await etherpadClient.getHTMLAsync(params)).html;
+        let html = (await etherpadClient.getHTMLAsync({padID: topicId, rev: rev})).html;
         html = await _inlineToClasses(html);
         const title = _getTopicTitleFromPadContent(html);
+        const authorIds = await _getTopicPadAuthors(topicId);
 
         return db.transaction(async function (t) {
             const topic = await Topic.findOne({
@@ -234,6 +262,37 @@ module.exports = function (app) {
 
                     // TODO: ADD CHECK HERE, IF another event not updated (description) has been added then create new else update last description edit updatedAt field
             await cosActivities.updateTopicDescriptionActivity(topic, null, actor, ['id', 'title', 'status', 'visibility', 'sourcePartnerId'], context, t);
+
+            // Pad saves often, a new revision is stored only when the content has changed
+            const revisionLast = await TopicRevision.findOne({
+                where: {
+                    topicId: topicId
+                },
+                order: [['rev', 'DESC']],
+                attributes: ['description'],
+                transaction: t
+            });
+
+            if (!revisionLast || revisionLast.description !== html) {
+                // Concurrent syncs of the same revision are fine, the (topicId, rev) is unique
+                await TopicRevision.bulkCreate(
+                    [
+                        {
+                            topicId: topicId,
+                            rev: rev,
+                            title: title,
+                            description: html,
+                            creatorId: actor.type === 'User' ? actor.id : null,
+                            authorIds: authorIds || []
+                        }
+                    ],
+                    {
+                        ignoreDuplicates: true,
+                        transaction: t
+                    }
+                );
+            }
+
             return topic.update(
                     {
                         title: title,
@@ -244,9 +303,7 @@ module.exports = function (app) {
                             id: topicId,
                             status: Topic.STATUSES.inProgress // Only in progress Topics can be updated
                         },
-                        limit: 1
-                    },
-                    {
+                        limit: 1,
                         transaction: t
                     }
                 );
@@ -293,6 +350,7 @@ module.exports = function (app) {
 
     return {
         createTopic: _createTopic,
+        copyTopic: _copyTopic,
         updateTopic: _updateTopic,
         deleteTopic: _deleteTopic,
         getUserAccessUrl: _getUserAccessUrl,
@@ -0,0 +1,298 @@
+'use strict';
+
+/**
+ * Background job runner
+ *
+ * Jobs are persisted in the "Jobs" table so that they survive restarts. Runners poll for due Jobs and claim them with "FOR UPDATE SKIP LOCKED",
+ * thus several API instances (cluster mode) can run side by side without running the same Job twice.
+ */
+
+module.exports = function (app) {
+    const logger = app.get('logger');
+    const models = app.get('models');
+    const db = models.sequelize;
+    const config = app.get('config');
+    const moment = app.get('moment');
+
+    const Job = models.Job;
+
+    const handlers = {};
+
+    let timer = null;
+    let isRunning = false;
+
+    /**
+     * Register a Job handler
+     *
+     * @param {string} name Job name
+     * @param {function} handler Async function (data, job) which does the work. Throwing an error causes a retry.
+     *
+     * @returns {void}
+     *
+     * @private
+     */
+    const _register = function (name, handler) {
+        if (!name || typeof handler !== 'function') {
+            throw new Error('Missing one or more required parameters');
+        }
+
+        handlers[name] = handler;
+    };
+
+    /**
+     * Schedule a Job
+     *
+     * If "key" is provided and a Job with the same key exists, the existing Job is rescheduled (reset to pending) instead of creating a new one.
+     *
+     * @param {string} name Job name
+     * @param {object} [data] Data passed to the handler
+     * @param {Date|string} [runAt=now] When to run the Job
+     * @param {string} [key] Unique key for de-duplication
+     * @param {object} [transaction] Sequelize transaction
+     *
+     * @returns {Promise<object>} Job
+     *
+     * @private
+     */
+    const _schedule = async function (name, data, runAt, key, transaction) {
+        const result = await db
+            .query(
+                `
+                INSERT INTO "Jobs" ("id", "name", "key", "data", "runAt", "status", "attempts", "createdAt", "updatedAt")
+                VALUES (gen_random_uuid(), :name, :key, :data, :runAt, :status, 0, NOW(), NOW())
+                ON CONFLICT ("key") DO UPDATE
+                    SET "name" = EXCLUDED."name",
+                        "data" = EXCLUDED."data",
+                        "runAt" = EXCLUDED."runAt",
+                        "status" = EXCLUDED."status",
+                        "attempts" = 0,
+                        "error" = NULL,
+                        "updatedAt" = NOW()
+                RETURNING *;
+                `,
+                {
+                    replacements: {
+                        name: name,
+                        key: key || null,
+                        data: data ? JSON.stringify(data) : null,
+                        runAt: moment(runAt || undefined).format(),
+                        status: Job.STATUSES.pending
+                    },
+                    type: db.QueryTypes.SELECT,
+                    raw: true,
+                    transaction: transaction
+                }
+            );
+
+        return Job.build(result[0], {isNewRecord: false});
+    };
+
+    /**
+     * Cancel a pending Job by key
+     *
+     * @param {string} key Job key
+     * @param {object} [transaction] Sequelize transaction
+     *
+     * @returns {Promise<number>} Count of Jobs cancelled
+     *
+     * @private
+     */
+    const _cancel = function (key, transaction) {
+        return Job.destroy({
+            where: {
+                key: key,
+                status: Job.STATUSES.pending
+            },
+            transaction: transaction
+        });
+    };
+
+    /**
+     * Claim the next due Job
+     *
+     * Picks up pending Jobs whose time has come and Jobs left "running" by a runner that died mid-way.
+     *
+     * @returns {Promise<object|null>} Claimed Job or null if nothing to run
+     *
+     * @private
+     */
+    const _claimNext = async function () {
+        const result = await db
+            .query(
+                `
+                UPDATE "Jobs"
+                SET "status" = :statusRunning,
+                    "attempts" = "attempts" + 1,
+                    "updatedAt" = NOW()
+                WHERE id = (
+                    SELECT id
+                    FROM "Jobs"
+                    WHERE ("status" = :statusPending AND "runAt" <= NOW())
+                        OR ("status" = :statusRunning AND "updatedAt" < NOW() - (:timeout * INTERVAL '1 millisecond'))
+                    ORDER BY "runAt" ASC
+                    LIMIT 1
+                    FOR UPDATE SKIP LOCKED
+                )
+                RETURNING *;
+                `,
+                {
+                    replacements: {
+                        statusPending: Job.STATUSES.pending,
+                        statusRunning: Job.STATUSES.running,
+                        timeout: config.jobs.timeout
+                    },
+                    type: db.QueryTypes.SELECT,
+                    raw: true
+                }
+            );
+
+        if (!result.length) {
+            return null;
+        }
+
+        return Job.build(result[0], {isNewRecord: false});
+    };
+
+    /**
+     * Run a claimed Job
+     *
+     * On failure the Job is retried with exponential back-off until "config.jobs.attemptsMax" is reached.
+     *
+     * @param {object} job Job instance
+     *
+     * @returns {Promise<void>}
+     *
+     * @private
+     */
+    const _runJob = async function (job) {
+        const handler = handlers[job.name];
+
+        try {
+            if (!handler) {
+                throw new Error('No handler registered for Job "' + job.name + '"');
+            }
+
+            await handler(job.data, job);
+
+            await Job.update(
+                {
+                    status: Job.STATUSES.done,
+                    error: null
+                },
+                {
+                    where: {
+                        id: job.id,
+                        status: Job.STATUSES.running // Job may have been rescheduled while it was running
+                    }
+                }
+            );
+
+            logger.info('Job succeeded', job.name, job.id);
+        } catch (err) {
+            logger.error('Job failed', job.name, job.id, err);
+
+            const fields = {
+                error: err.stack || err.message || String(err)
+            };
+
+            if (job.attempts >= config.jobs.attemptsMax) {
+                fields.status = Job.STATUSES.failed;
+            } else {
+                fields.status = Job.STATUSES.pending;
+                fields.runAt = moment().add(config.jobs.retryDelay * Math.pow(2, job.attempts - 1), 'milliseconds').format();
+            }
+
+            await Job.update(
+                fields,
+                {
+                    where: {
+                        id: job.id,
+                        status: Job.STATUSES.running
+                    }
+                }
+            );
+        }
+    };
+
+    /**
+     * Run all due Jobs one after another
+     *
+     * @returns {Promise<number>} Count of Jobs run
+     *
+     * @private
+     */
+    const _runDue = async function () {
+        if (isRunning) {
+            return 0;
+        }
+
+        isRunning = true;
+        let count = 0;
+
+        try {
+            let job = await _claimNext();
+            while (job) {
+                await _runJob(job);
+                count++;
+                job = await _claimNext();
+            }
+        } finally {
+            isRunning = false;
+        }
+
+        return count;
+    };
+
+    /**
+     * Start polling for due Jobs
+     *
+     * @param {number} [interval=config.jobs.interval] Polling interval in milliseconds
+     *
+     * @returns {void}
+     *
+     * @private
+     */
+    const _start = function (interval) {
+        if (timer) {
+            return;
+        }
+
+        const pollInterval = interval || config.jobs.interval;
+
+        const poll = function () {
+            _runDue()
+                .catch(function (err) {
+                    logger.error('Job runner failed to run due Jobs', err);
+                });
+        };
+
+        timer = setInterval(poll, pollInterval);
+        poll();
+
+        logger.info('Job runner started with interval', pollInterval);
+    };
+
+    /**
+     * Stop polling for Jobs
+     *
+     * @returns {void}
+     *
+     * @private
+     */
+    const _stop = function () {
+        if (timer) {
+            clearInterval(timer);
+            timer = null;
+            logger.info('Job runner stopped');
+        }
+    };
+
+    return {
+        register: _register,
+        schedule: _schedule,
+        cancel: _cancel,
+        runDue: _runDue,
+        start: _start,
+        stop: _stop
+    };
+};
@@ -0,0 +1,564 @@
+'use strict';
+
+/**
+ * E-mail notifications about the activity in Topics
+ *
+ * Notifications are derived from saved Activities (new comments and replies, vote start and end, Topic status changes).
+ * Users choose the frequency (NotificationSetting.FREQUENCIES) per Topic, per Group (applies to the Topics shared with the Group) and a default for the rest.
+ * "instant" notifications are sent by a Job per Activity, "daily" and "weekly" digests by recurring Jobs that summarize the Activities since the previous digest.
+ */
+
+module.exports = function (app) {
+    const logger = app.get('logger');
+    const models = app.get('models');
+    const db = models.sequelize;
+    const config = app.get('config');
+    const moment = app.get('moment');
+    const cosActivities = app.get('cosActivities');
+    const cosJobs = app.get('cosJobs');
+    const emailLib = app.get('email');
+    const groupHierarchy = app.get('groupHierarchy');
+
+    const Activity = models.Activity;
+    const Job = models.Job;
+    const Topic = models.Topic;
+    const User = models.User;
+    const NotificationSetting = models.NotificationSetting;
+
+    const FREQUENCIES = NotificationSetting.FREQUENCIES;
+
+    const TYPES = {
+        comment: 'comment',
+        reply: 'reply',
+        voteStart: 'voteStart',
+        voteEnd: 'voteEnd',
+        topicStatus: 'topicStatus'
+    };
+
+    const JOBS = {
+        instant: 'notificationInstant',
+        digest: 'notificationDigest'
+    };
+
+    const DIGEST_FREQUENCIES = [FREQUENCIES.daily, FREQUENCIES.weekly];
+
+    const notificationsConfig = config.notifications || {};
+    const FREQUENCY_DEFAULT = notificationsConfig.frequencyDefault || FREQUENCIES.off;
+    const DIGEST_HOUR = notificationsConfig.digestHour || 0;
+
+    if (!FREQUENCIES[FREQUENCY_DEFAULT]) {
+        throw new Error('Invalid configuration! Invalid value for "notifications.frequencyDefault". Was: "' + FREQUENCY_DEFAULT + '". Must be one of: ' + Object.keys(FREQUENCIES).join(', '));
+    }
+
+    /**
+     * Find the new value of a field from the Activity change set (JSON patch)
+     *
+     * @param {Array} changeSet Activity "result"
+     * @param {string} field Field name
+     *
+     * @returns {object|undefined} Patch operation for the field
+     *
+     * @private
+     */
+    const _findChange = function (changeSet, field) {
+        if (!Array.isArray(changeSet)) {
+            return;
+        }
+
+        return changeSet.find(function (change) {
+            return change.path === '/' + field;
+        });
+    };
+
+    /**
+     * Derive notification from Activity data
+     *
+     * @param {object} activityData Activity.data
+     *
+     * @returns {object|null} Notification {type, topicId, comment: {subject}, status} or null if the Activity is not notified about
+     *
+     * @private
+     */
+    const _getNotification = function (activityData) {
+        const object = activityData.object;
+        const target = activityData.target;
+
+        if (!object || Array.isArray(object)) {
+            return null;
+        }
+
+        if (activityData.type === Activity.TYPES.create && target && target['@type'] === 'Topic') {
+            if (object['@type'] === 'Comment') {
+                return {
+                    type: activityData.inReplyTo ? TYPES.reply : TYPES.comment,
+                    topicId: target.id,
+                    comment: {
+                        subject: object.subject
+                    }
+                };
+            }
+
+            if (object['@type'] === 'Vote') {
+                return {
+                    type: TYPES.voteStart,
+                    topicId: target.id
+                };
+            }
+        }
+
+        if (activityData.type === Activity.TYPES.update && object['@type'] === 'Topic') {
+            const statusChange = _findChange(activityData.result, 'status');
+
+            if (statusChange) {
+                const statusPrevious = activityData.origin ? activityData.origin.status : null;
+
+                return {
+                    type: statusPrevious === Topic.STATUSES.voting ? TYPES.voteEnd : TYPES.topicStatus,
+                    topicId: object.id,
+                    status: statusChange.value
+                };
+            }
+        }
+
+        return null;
+    };
+
+    /**
+     * Get the Users to notify about the activity in the Topics
+     *
+     * Topic members (directly or through Groups, including the subgroups and the inherited Group members) and the Users following a public Topic (Topic setting, not "off") are notified.
+     * Frequency is the Topic setting, or the most frequent of the settings of the Groups the Topic is shared with (including the subgroups), or the User default.
+     *
+     * @param {Array<string>} topicIds Topic ids
+     * @param {string} frequency One of FREQUENCIES
+     *
+     * @returns {Promise<Array>} Array of recipients [{topicId, userId, name, email, language}]
+     *
+     * @private
+     */
+    const _getRecipients = function (topicIds, frequency) {
+        return db.query(
+            `
+            WITH RECURSIVE
+                ${groupHierarchy.TOPIC_GROUP_USERS_SQL}
+            SELECT
+                r."topicId",
+                r."userId",
+                u.name,
+                u.email,
+                u.language
+            FROM (
+                SELECT
+                    tm."topicId",
+                    tm."userId",
+                    COALESCE(
+                        nst.frequency,
+                        (
+                            SELECT nsg.frequency
+                            FROM "NotificationSettings" nsg
+                                JOIN topic_groups tg ON (tg."groupId" = nsg."groupId")
+                            WHERE nsg."userId" = tm."userId"
+                                AND tg."topicId" = tm."topicId"
+                            ORDER BY nsg.frequency ASC
+                            LIMIT 1
+                        ),
+                        nsu.frequency,
+                        :frequencyDefault
+                    )::text AS frequency
+                FROM (
+                    SELECT
+                        tmu."topicId",
+                        tmu."userId"
+                    FROM "TopicMemberUsers" tmu
+                    WHERE tmu."topicId" IN (:topicIds)
+                        AND tmu."deletedAt" IS NULL
+                    UNION
+                    SELECT
+                        tgu."topicId",
+                        tgu."userId"
+                    FROM topic_group_users tgu
+                    UNION
+                    SELECT
+                        ns."topicId",
+                        ns."userId"
+                    FROM "NotificationSettings" ns
+                        JOIN "Topics" t ON (t.id = ns."topicId")
+                    WHERE ns."topicId" IN (:topicIds)
+                        AND t.visibility = :visibilityPublic
+                ) tm
+                    LEFT JOIN "NotificationSettings" nst ON (nst."userId" = tm."userId" AND nst."topicId" = tm."topicId")
+                    LEFT JOIN "NotificationSettings" nsu ON (nsu."userId" = tm."userId" AND nsu."topicId" IS NULL AND nsu."groupId" IS NULL)
+            ) r
+                JOIN "Users" u ON (u.id = r."userId")
+            WHERE r.frequency = :frequency
+                AND u.email IS NOT NULL
+                AND u."deletedAt" IS NULL
+            ;`,
+            {
+                replacements: {
+                    topicIds: topicIds,
+                    frequency: frequency,
+                    frequencyDefault: FREQUENCY_DEFAULT,
+                    visibilityPublic: Topic.VISIBILITY.public
+                },
+                type: db.QueryTypes.SELECT,
+                raw: true
+            }
+        );
+    };
+
+    /**
+     * Build the notifications and send them, one e-mail per User
+     *
+     * Failure to send to one User does not stop sending to others nor fail the Job, as retrying would send duplicates to the rest.
+     *
+     * @param {Array<object>} activities Array of Activities {id, data, actorId}
+     * @param {string} frequency One of FREQUENCIES
+     *
+     * @returns {Promise<number>} Count of e-mails sent
+     *
+     * @private
+     */
+    const _notify = async function (activities, frequency) {
+        const notifications = [];
+
+        activities.forEach(function (activity) {
+            const notification = _getNotification(activity.data);
+            if (notification) {
+                notification.actorId = activity.data.actor && activity.data.actor.type === 'User' ? activity.data.actor.id : null;
+                notifications.push(notification);
+            }
+        });
+
+        if (!notifications.length) {
+            return 0;
+        }
+
+        const topicIds = Array.from(new Set(notifications.map(function (notification) {
+            return notification.topicId;
+        })));
+        const actorIds = Array.from(new Set(notifications.map(function (notification) {
+            return notification.actorId;
+        }).filter(Boolean)));
+
+        const [recipients, topics, actors] = await Promise.all([
+            _getRecipients(topicIds, frequency),
+            Topic.findAll({
+                where: {
+                    id: topicIds
+                },
+                attributes: ['id', 'title']
+            }),
+            User.findAll({
+                where: {
+                    id: actorIds
+                },
+                attributes: ['id', 'name']
+            })
+        ]);
+
+        const users = {};
+        recipients.forEach(function (recipient) {
+            const topic = topics.find(function (t) {
+                return t.id === recipient.topicId;
+            });
+            if (!topic) { // Deleted
+                return;
+            }
+
+            const topicNotifications = notifications
+                .filter(function (notification) {
+                    return notification.topicId === recipient.topicId && notification.actorId !== recipient.userId; // No notifications about own actions
+                })
+                .map(function (notification) {
+                    const actor = actors.find(function (a) {
+                        return a.id === notification.actorId;
+                    });
+
+                    return {
+                        type: notification.type,
+                        actor: {
+                            name: actor ? actor.name : null
+                        },
+                        comment: notification.comment,
+                        status: notification.status
+                    };
+                });
+
+            if (!topicNotifications.length) {
+                return;
+            }
+
+            if (!users[recipient.userId]) {
+                users[recipient.userId] = {
+                    user: {
+                        id: recipient.userId,
+                        name: recipient.name,
+                        email: recipient.email,
+                        language: recipient.language
+                    },
+                    topics: []
+                };
+            }
+
+            users[recipient.userId].topics.push({
+                topic: {
+                    id: topic.id,
+                    title: topic.title
+                },
+                notifications: topicNotifications
+            });
+        });
+
+        let count = 0;
+        for (const userId of Object.keys(users)) {
+            const userNotifications = users[userId];
+
+            // Instant notification e-mail is about a single Topic
+            const emails = frequency === FREQUENCIES.instant ? userNotifications.topics.map(function (topic) {
+                return [topic];
+            }) : [userNotifications.topics];
+
+            for (const emailTopics of emails) {
+                try {
+                    await emailLib.sendNotifications(userNotifications.user, frequency, emailTopics);
+                    count++;
+                } catch (err) {
+                    logger.error('Failed to send notification e-mail', userId, frequency, err);
+                }
+            }
+        }
+
+        return count;
+    };
+
+    /**
+     * Send instant notifications about an Activity - Job handler
+     *
+     * @param {object} data Job data {activityId}
+     *
+     * @returns {Promise<void>}
+     *
+     * @private
+     */
+    const _handleInstant = async function (data) {
+        const activity = await Activity.findOne({
+            where: {
+                id: data.activityId
+            }
+        });
+
+        if (!activity) {
+            return;
+        }
+
+        await _notify([activity], FREQUENCIES.instant);
+    };
+
+    /**
+     * Get the time of the next digest
+     *
+     * @param {string} frequency One of DIGEST_FREQUENCIES
+     *
+     * @returns {object} Moment
+     *
+     * @private
+     */
+    const _getNextDigestAt = function (frequency) {
+        const unit = frequency === FREQUENCIES.weekly ? 'isoWeek' : 'day';
+
+        return moment()
+            .startOf(unit)
+            .add(1, frequency === FREQUENCIES.weekly ? 'week' : 'day')
+            .add(DIGEST_HOUR, 'hours');
+    };
+
+    /**
+     * Send the digest of the Activities since the previous digest and schedule the next one - Job handler
+     *
+     * @param {object} data Job data {frequency, since}
+     *
+     * @returns {Promise<void>}
+     *
+     * @private
+     */
+    const _handleDigest = async function (data) {
+        const frequency = data.frequency;
+        const until = moment().format();
+
+        const activities = await db.query(
+            `
+            SELECT
+                a.id,
+                a.data
+            FROM "Activities" a
+            WHERE a."createdAt" > :since
+                AND a."createdAt" <= :until
+                AND a."topicIds" <> '{}'
+                AND a.data->>'type' IN (:types)
+                AND a.data->'object'->>'@type' IN ('Comment', 'Vote', 'Topic')
+            ORDER BY a."createdAt" ASC
+            ;`,
+            {
+                replacements: {
+                    since: data.since,
+                    until: until,
+                    types: [Activity.TYPES.create, Activity.TYPES.update]
+                },
+                type: db.QueryTypes.SELECT,
+                raw: true
+            }
+        );
+
+        // Schedule the next digest before sending, so that a failure to send does not cause the same digest to be sent twice
+        await _scheduleDigest(frequency, until);
+
+        const count = await _notify(activities, frequency);
+
+        logger.info('Notification digest sent', frequency, count);
+    };
+
+    /**
+     * Schedule the digest Job
+     *
+     * @param {string} frequency One of DIGEST_FREQUENCIES
+     * @param {Date|string} since Start of the period the digest covers
+     *
+     * @returns {Promise<object>} Job
+     *
+     * @private
+     */
+    const _scheduleDigest = function (frequency, since) {
+        return cosJobs.schedule(JOBS.digest, {frequency: frequency, since: moment(since).format()}, _getNextDigestAt(frequency), JOBS.digest + ':' + frequency);
+    };
+
+    /**
+     * Schedule the digest Jobs if they are not scheduled yet. Safe to call on every start.
+     *
+     * @returns {Promise<void>}
+     *
+     * @private
+     */
+    const _scheduleDigests = async function () {
+        for (const frequency of DIGEST_FREQUENCIES) {
+            const job = await Job.findOne({
+                where: {
+                    key: JOBS.digest + ':' + frequency
+                }
+            });
+
+            if (job && [Job.STATUSES.pending, Job.STATUSES.running].indexOf(job.status) > -1) {
+                continue;
+            }
+
+            // Failed or finished without rescheduling, continue from where it stopped
+            await _scheduleDigest(frequency, job && job.data && job.data.since ? job.data.since : moment());
+        }
+    };
+
+    /**
+     * Schedule instant notifications - cosActivities listener
+     *
+     * @param {object} activity Activity instance
+     *
+     * @returns {Promise<void>}
+     *
+     * @private
+     */
+    const _handleActivity = async function (activity) {
+        if (!_getNotification(activity.data)) {
+            return;
+        }
+
+        await cosJobs.schedule(JOBS.instant, {activityId: activity.id});
+    };
+
+    /**
+     * Set the notification frequency
+     *
+     * @param {string} userId User id
+     * @param {object} scope Scope of the setting {topicId} or {groupId}, {} for the User default
+     * @param {string} frequency One of FREQUENCIES
+     * @param {object} [transaction] Sequelize transaction
+     *
+     * @returns {Promise<object>} NotificationSetting
+     *
+     * @private
+     */
+    const _setFrequency = async function (userId, scope, frequency, transaction) {
+        // Conflict target has to match one of the partial unique indexes of NotificationSetting
+        let conflictSql = '("userId") WHERE "topicId" IS NULL AND "groupId" IS NULL';
+        if (scope.topicId) {
+            conflictSql = '("userId", "topicId") WHERE "topicId" IS NOT NULL';
+        } else if (scope.groupId) {
+            conflictSql = '("userId", "groupId") WHERE "groupId" IS NOT NULL';
+        }
+
+        const result = await db
+            .query(
+                `
+                INSERT INTO "NotificationSettings" ("id", "userId", "topicId", "groupId", "frequency", "createdAt", "updatedAt")
+                VALUES (gen_random_uuid(), :userId, :topicId, :groupId, :frequency, NOW(), NOW())
+                ON CONFLICT ${conflictSql} DO UPDATE
+                    SET "frequency" = EXCLUDED."frequency",
+                        "updatedAt" = NOW()
+                RETURNING *;
+                `,
+                {
+                    replacements: {
+                        userId: userId,
+                        topicId: scope.topicId || null,
+                        groupId: scope.groupId || null,
+                        frequency: frequency
+                    },
+                    type: db.QueryTypes.SELECT,
+                    raw: true,
+                    transaction: transaction
+                }
+            );
+
+        return NotificationSetting.build(result[0], {isNewRecord: false});
+    };
+
+    /**
+     * Turn off all notifications of the User
+     *
+     * @param {string} userId User id
+     * @param {object} [transaction] Sequelize transaction
+     *
+     * @returns {Promise<void>}
+     *
+     * @private
+     */
+    const _unsubscribeAll = async function (userId, transaction) {
+        await NotificationSetting.update(
+            {
+                frequency: FREQUENCIES.off
+            },
+            {
+                where: {
+                    userId: userId
+                },
+                transaction: transaction
+            }
+        );
+
+        await _setFrequency(userId, {}, FREQUENCIES.off, transaction);
+    };
+
+    cosJobs.register(JOBS.instant, _handleInstant);
+    cosJobs.register(JOBS.digest, _handleDigest);
+    cosActivities.addListener(_handleActivity);
+
+    return {
+        TYPES: TYPES,
+        JOBS: JOBS,
+        FREQUENCY_DEFAULT: FREQUENCY_DEFAULT,
+        getNotification: _getNotification,
+        getRecipients: _getRecipients,
+        notify: _notify,
+        scheduleDigests: _scheduleDigests,
+        setFrequency: _setFrequency,
+        unsubscribeAll: _unsubscribeAll
+    };
+};
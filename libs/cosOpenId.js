@@ -0,0 +1,725 @@
+'use strict';
+
+/**
+ * OpenID Connect
+ *
+ * Tokens issued to the Partners (OpenID "client_id"). The implicit flow gets the tokens straight from the authorization endpoint,
+ * the authorization code flow exchanges a short-lived code for them at the token endpoint. Partners are public clients, so the code flow requires PKCE.
+ * Refresh tokens ("offline_access" scope) are kept as OpenIdGrants and rotated on every use.
+ * Partner API access is requested with the API scopes (UserConsent.SCOPES) in addition to the OpenID scopes, the granted scopes are in the "scopes" claim of the Access Token.
+ *
+ * @see https://openid.net/specs/openid-connect-core-1_0.html
+ * @see https://tools.ietf.org/html/rfc7636
+ */
+
+module.exports = function (app) {
+    const config = app.get('config');
+    const logger = app.get('logger');
+    const models = app.get('models');
+    const db = models.sequelize;
+    const jwt = app.get('jwt');
+    const crypto = app.get('crypto');
+    const moment = app.get('moment');
+    const uuid = app.get('uuid');
+    const validator = app.get('validator');
+    const cryptoLib = app.get('cryptoLib');
+    const urlLib = app.get('urlLib');
+    const cosSession = app.get('cosSession');
+
+    const Partner = models.Partner;
+    const User = models.User;
+    const UserConsent = models.UserConsent;
+    const OpenIdGrant = models.OpenIdGrant;
+
+    const openIdConfig = config.openId || {};
+
+    // OpenID scopes
+    const SCOPES = {
+        openid: 'openid',
+        profile: 'profile', // name, picture, locale
+        email: 'email', // email, email_verified
+        offline_access: 'offline_access' // Refresh token, only with the authorization code flow
+    };
+
+    const API_SCOPES = UserConsent.SCOPES;
+
+    const RESPONSE_TYPES = {
+        code: 'code',
+        implicit: 'token id_token'
+    };
+
+    // Error codes - https://tools.ietf.org/html/rfc6749#section-5.2
+    const ERROR_TYPES = {
+        invalidRequest: 'invalid_request',
+        invalidClient: 'invalid_client',
+        invalidGrant: 'invalid_grant',
+        invalidScope: 'invalid_scope',
+        unsupportedGrantType: 'unsupported_grant_type',
+        unsupportedTokenType: 'unsupported_token_type'
+    };
+
+    const CODE_EXPIRES_IN_DEFAULT = 600; // 10 minutes - https://tools.ietf.org/html/rfc6749#section-4.1.2
+    const ACCESS_TOKEN_EXPIRES_IN_DEFAULT = 3600;
+    const REFRESH_TOKEN_EXPIRES_IN_DEFAULT = 2592000; // 30 days
+    const ID_TOKEN_EXPIRES_IN = 300; // 5 minutes
+
+    const PATH_AUTHORIZE = '/api/auth/openid/authorize';
+    const PATH_TOKEN = '/api/auth/openid/token';
+    const PATH_USERINFO = '/api/auth/openid/userinfo';
+    const PATH_JWKS = '/api/auth/openid/jwks';
+    const PATH_REVOKE = '/api/auth/openid/revoke';
+
+    const CODE_VERIFIER_REGEXP = /^[A-Za-z0-9\-._~]{43,128}$/; // Same charset and length for the "code_challenge" - https://tools.ietf.org/html/rfc7636#section-4.1
+
+    let jwk;
+
+    const _createError = function (message, type) {
+        const error = new Error(message);
+        error.type = type;
+
+        return error;
+    };
+
+    /**
+     * Get the JWK of the session public key (config.session.publicKey)
+     *
+     * @returns {object} JWK
+     *
+     * @private
+     */
+    const _getJwk = function () {
+        if (!jwk) {
+            jwk = cryptoLib.getJwk(config.session.publicKey);
+            jwk.alg = config.session.algorithm;
+            jwk.use = 'sig';
+            jwk.kid = cryptoLib.getJwkThumbprint(jwk);
+        }
+
+        return jwk;
+    };
+
+    const _sign = function (payload, expiresIn) {
+        return jwt.sign(
+            payload,
+            config.session.privateKey,
+            {
+                expiresIn: expiresIn,
+                algorithm: config.session.algorithm,
+                keyid: _getJwk().kid
+            }
+        );
+    };
+
+    /**
+     * Generate a random secret for the authorization code and the refresh token.
+     *
+     * The secret is prefixed with the OpenIdGrant id, so that the reuse of an old refresh token can be detected.
+     *
+     * @param {string} grantId OpenIdGrant id
+     *
+     * @returns {string} Secret
+     *
+     * @private
+     */
+    const _generateSecret = function (grantId) {
+        return grantId + '.' + crypto.randomBytes(32).toString('hex');
+    };
+
+    const _getSecretHash = function (secret) {
+        return cryptoLib.getHash(secret, 'sha256');
+    };
+
+    const _getSecretGrantId = function (secret) {
+        if (typeof secret !== 'string') {
+            return null;
+        }
+
+        const grantId = secret.split('.')[0];
+        if (!validator.isUUID(grantId, 4)) {
+            return null;
+        }
+
+        return grantId;
+    };
+
+    /**
+     * Parse and validate the "scope" parameter
+     *
+     * @param {string} scope Space delimited list of scopes
+     * @param {string} responseType The "response_type" parameter, "offline_access" is ignored for the implicit flow
+     *
+     * @returns {Array<string>} Scopes, both OpenID and API scopes
+     *
+     * @throws {Error} IF "openid" scope is missing or any of the scopes is not supported
+     */
+    const _parseScope = function (scope, responseType) {
+        const scopes = (scope || '').split(' ').filter(function (s) {
+            return !!s;
+        });
+
+        const isValid = scopes.indexOf(SCOPES.openid) > -1 && scopes.every(function (s) {
+            return Object.prototype.hasOwnProperty.call(SCOPES, s) || Object.prototype.hasOwnProperty.call(API_SCOPES, s);
+        });
+
+        if (!isValid) {
+            throw _createError('Unsupported "scope" parameter value. "openid" is required, supported values are: ' + Object.keys(SCOPES).concat(Object.keys(API_SCOPES)).join(', ') + '.', ERROR_TYPES.invalidScope);
+        }
+
+        return scopes.filter(function (s, i) {
+            return scopes.indexOf(s) === i && (s !== SCOPES.offline_access || responseType === RESPONSE_TYPES.code);
+        });
+    };
+
+    /**
+     * Get the API scopes of the scopes
+     *
+     * @param {Array<string>} scopes Scopes
+     *
+     * @returns {Array<string>} API scopes (UserConsent.SCOPES)
+     */
+    const _getApiScopes = function (scopes) {
+        return scopes.filter(function (s) {
+            return Object.prototype.hasOwnProperty.call(API_SCOPES, s);
+        });
+    };
+
+    /**
+     * Has the User consented to the Partner access with the scopes
+     *
+     * @param {string} userId User id
+     * @param {string} partnerId Partner id
+     * @param {Array<string>} scopes Requested scopes, only the API scopes need the consent of the User
+     *
+     * @returns {Promise<boolean>} True if the consent exists and covers all the API scopes
+     */
+    const _hasConsent = async function (userId, partnerId, scopes) {
+        const consent = await UserConsent.findOne({
+            where: {
+                userId: userId,
+                partnerId: partnerId
+            }
+        });
+
+        if (!consent) {
+            return false;
+        }
+
+        return _getApiScopes(scopes).every(function (s) {
+            return consent.scopes.indexOf(s) > -1;
+        });
+    };
+
+    /**
+     * Get the Partner by "client_id"
+     *
+     * Partners are public clients, they authenticate with just the "client_id".
+     *
+     * @param {string} clientId The "client_id" parameter
+     *
+     * @returns {Promise<object>} Partner
+     *
+     * @throws {Error} IF the Partner does not exist
+     */
+    const _getClient = async function (clientId) {
+        if (!clientId || !validator.isUUID(clientId, 4)) {
+            throw _createError('Invalid or missing "client_id" parameter value.', ERROR_TYPES.invalidClient);
+        }
+
+        const partner = await Partner.findOne({
+            where: {
+                id: clientId
+            }
+        });
+
+        if (!partner) {
+            throw _createError('Invalid or missing "client_id" parameter value.', ERROR_TYPES.invalidClient);
+        }
+
+        return partner;
+    };
+
+    /**
+     * Get Access Token
+     *
+     * Every Access Token is issued for a session (libs/cosSession.js), so that the User can revoke it.
+     *
+     * @param {object} [req] Express request object
+     * @param {string} userId User id
+     * @param {string} partnerId Partner id (client_id)
+     * @param {Array<string>} scopes Granted scopes
+     * @param {number} [expiresIn] Expiry in seconds. Defaults to "openId.accessTokenExpiresIn".
+     * @param {string} [grantId] OpenIdGrant id the Access Token is issued with, the Access Token is revoked with the Grant
+     *
+     * @returns {Promise<string>} Access Token
+     */
+    const _getAccessToken = async function (req, userId, partnerId, scopes, expiresIn, grantId) {
+        const accessTokenExpiresIn = expiresIn || openIdConfig.accessTokenExpiresIn || ACCESS_TOKEN_EXPIRES_IN_DEFAULT;
+        const session = await cosSession.create(req, userId, partnerId, accessTokenExpiresIn, grantId);
+
+        return _sign(
+            {
+                id: userId,
+                partnerId: partnerId,
+                scope: 'partner',
+                scopes: scopes,
+                jti: session.id
+            },
+            accessTokenExpiresIn
+        );
+    };
+
+    /**
+     * Get ID Token
+     *
+     * @param {string} userId User id
+     * @param {string} partnerId Partner id (client_id)
+     * @param {string} [nonce] The "nonce" of the authorization request
+     * @param {string} accessToken Access Token issued with the ID Token
+     *
+     * @returns {string} ID Token
+     *
+     * @see https://openid.net/specs/openid-connect-core-1_0.html#IDToken
+     */
+    const _getIdToken = function (userId, partnerId, nonce, accessToken) {
+        const payload = {
+            iss: urlLib.getApi(), // issuer
+            sub: userId, // subject
+            aud: partnerId, // audience
+            at_hash: cryptoLib.getAtHash(accessToken, 'sha' + config.session.algorithm.match(/[0-9]*$/)[0])
+        };
+
+        if (nonce) {
+            payload.nonce = nonce;
+        }
+
+        return _sign(payload, ID_TOKEN_EXPIRES_IN);
+    };
+
+    /**
+     * Get the token endpoint response
+     *
+     * @param {object} grant OpenIdGrant
+     * @param {Array<string>} scopes Scopes of the Access Token
+     * @param {string} [refreshToken] Refresh token
+     *
+     * @returns {Promise<object>} Token response
+     *
+     * @private
+     *
+     * @see https://tools.ietf.org/html/rfc6749#section-5.1
+     */
+    const _getTokenResponse = async function (grant, scopes, refreshToken) {
+        const expiresIn = openIdConfig.accessTokenExpiresIn || ACCESS_TOKEN_EXPIRES_IN_DEFAULT;
+        const accessToken = await _getAccessToken(null, grant.userId, grant.partnerId, scopes, expiresIn, grant.id);
+
+        const response = {
+            access_token: accessToken,
+            token_type: 'Bearer',
+            expires_in: expiresIn,
+            scope: scopes.join(' '),
+            id_token: _getIdToken(grant.userId, grant.partnerId, grant.nonce, accessToken)
+        };
+
+        if (refreshToken) {
+            response.refresh_token = refreshToken;
+        }
+
+        return response;
+    };
+
+    /**
+     * Revoke the Grant and the Access Tokens issued with it
+     *
+     * @param {object} grant OpenIdGrant
+     *
+     * @returns {Promise<void>}
+     *
+     * @private
+     */
+    const _revokeGrant = async function (grant) {
+        await db.transaction(async function (t) {
+            await OpenIdGrant.update(
+                {
+                    refreshTokenHash: null,
+                    revokedAt: db.fn('NOW')
+                },
+                {
+                    where: {
+                        id: grant.id
+                    },
+                    transaction: t
+                }
+            );
+
+            await cosSession.revokeGrant(grant.id, t);
+        });
+    };
+
+    /**
+     * Create an authorization code
+     *
+     * @param {object} params Authorization request
+     * @param {string} params.partnerId Partner id (client_id)
+     * @param {string} params.userId User id
+     * @param {Array<string>} params.scopes Granted scopes
+     * @param {string} params.redirectUri The "redirect_uri" parameter
+     * @param {string} [params.nonce] The "nonce" parameter
+     * @param {string} params.codeChallenge The "code_challenge" parameter
+     *
+     * @returns {Promise<string>} Authorization code
+     */
+    const _createAuthorizationCode = async function (params) {
+        const grantId = uuid.v4();
+        const code = _generateSecret(grantId);
+
+        await OpenIdGrant.create({
+            id: grantId,
+            partnerId: params.partnerId,
+            userId: params.userId,
+            scopes: params.scopes,
+            redirectUri: params.redirectUri,
+            nonce: params.nonce,
+            codeHash: _getSecretHash(code),
+            codeChallenge: params.codeChallenge,
+            codeExpiresAt: moment().add(openIdConfig.codeExpiresIn || CODE_EXPIRES_IN_DEFAULT, 'seconds').toDate()
+        });
+
+        return code;
+    };
+
+    /**
+     * Exchange the authorization code for tokens - "authorization_code" grant
+     *
+     * @param {string} code The "code" parameter
+     * @param {string} clientId The "client_id" parameter
+     * @param {string} redirectUri The "redirect_uri" parameter
+     * @param {string} codeVerifier The "code_verifier" parameter
+     *
+     * @returns {Promise<object>} Token response
+     *
+     * @see https://tools.ietf.org/html/rfc6749#section-4.1.3
+     */
+    const _exchangeAuthorizationCode = async function (code, clientId, redirectUri, codeVerifier) {
+        if (!code) {
+            throw _createError('Missing "code" parameter value.', ERROR_TYPES.invalidRequest);
+        }
+
+        if (!codeVerifier || !CODE_VERIFIER_REGEXP.test(codeVerifier)) {
+            throw _createError('Invalid or missing "code_verifier" parameter value.', ERROR_TYPES.invalidRequest);
+        }
+
+        const partner = await _getClient(clientId);
+
+        const grantId = _getSecretGrantId(code);
+        const grant = grantId ? await OpenIdGrant.findOne({where: {id: grantId}}) : null;
+
+        if (!grant || grant.codeHash !== _getSecretHash(code) || grant.partnerId !== partner.id || grant.revokedAt) {
+            throw _createError('Invalid authorization code.', ERROR_TYPES.invalidGrant);
+        }
+
+        if (grant.codeUsedAt) {
+            // Authorization code has leaked, revoke all the tokens issued with it - https://tools.ietf.org/html/rfc6749#section-4.1.2
+            logger.warn('OpenID authorization code reuse detected, revoking the grant', grant.id);
+            await _revokeGrant(grant);
+
+            throw _createError('Invalid authorization code.', ERROR_TYPES.invalidGrant);
+        }
+
+        if (moment().isAfter(grant.codeExpiresAt)) {
+            throw _createError('Authorization code has expired.', ERROR_TYPES.invalidGrant);
+        }
+
+        if (redirectUri !== grant.redirectUri) {
+            throw _createError('Invalid "redirect_uri" parameter value. Must match the one in the authorization request.', ERROR_TYPES.invalidGrant);
+        }
+
+        if (cryptoLib.getPkceChallenge(codeVerifier) !== grant.codeChallenge) {
+            throw _createError('Invalid "code_verifier" parameter value.', ERROR_TYPES.invalidGrant);
+        }
+
+        if (!await _hasConsent(grant.userId, grant.partnerId, grant.scopes)) {
+            throw _createError('User consent has been revoked.', ERROR_TYPES.invalidGrant);
+        }
+
+        const refreshToken = grant.scopes.indexOf(SCOPES.offline_access) > -1 ? _generateSecret(grant.id) : null;
+
+        const [updated] = await OpenIdGrant.update(
+            {
+                codeUsedAt: db.fn('NOW'),
+                refreshTokenHash: refreshToken ? _getSecretHash(refreshToken) : null,
+                refreshTokenExpiresAt: refreshToken ? moment().add(openIdConfig.refreshTokenExpiresIn || REFRESH_TOKEN_EXPIRES_IN_DEFAULT, 'seconds').toDate() : null
+            },
+            {
+                where: {
+                    id: grant.id,
+                    codeUsedAt: null
+                }
+            }
+        );
+
+        if (!updated) { // Concurrent request with the same code
+            throw _createError('Invalid authorization code.', ERROR_TYPES.invalidGrant);
+        }
+
+        return _getTokenResponse(grant, grant.scopes, refreshToken);
+    };
+
+    /**
+     * Get new tokens with the refresh token - "refresh_token" grant
+     *
+     * The refresh token is rotated, a new one is returned and the old one cannot be used anymore.
+     *
+     * @param {string} refreshToken The "refresh_token" parameter
+     * @param {string} clientId The "client_id" parameter
+     * @param {string} [scope] The "scope" parameter, can only narrow the granted scopes
+     *
+     * @returns {Promise<object>} Token response
+     *
+     * @see https://tools.ietf.org/html/rfc6749#section-6
+     */
+    const _refresh = async function (refreshToken, clientId, scope) {
+        if (!refreshToken) {
+            throw _createError('Missing "refresh_token" parameter value.', ERROR_TYPES.invalidRequest);
+        }
+
+        const partner = await _getClient(clientId);
+
+        const grantId = _getSecretGrantId(refreshToken);
+        const grant = grantId ? await OpenIdGrant.findOne({where: {id: grantId}}) : null;
+
+        if (!grant || grant.partnerId !== partner.id || grant.revokedAt || !grant.refreshTokenHash) {
+            throw _createError('Invalid refresh token.', ERROR_TYPES.invalidGrant);
+        }
+
+        const refreshTokenHash = _getSecretHash(refreshToken);
+        if (grant.refreshTokenHash !== refreshTokenHash) {
+            // Rotated refresh token is used again, it may have been stolen - https://tools.ietf.org/html/rfc6819#section-5.2.2.3
+            logger.warn('OpenID refresh token reuse detected, revoking the grant', grant.id);
+            await _revokeGrant(grant);
+
+            throw _createError('Invalid refresh token.', ERROR_TYPES.invalidGrant);
+        }
+
+        if (moment().isAfter(grant.refreshTokenExpiresAt)) {
+            throw _createError('Refresh token has expired.', ERROR_TYPES.invalidGrant);
+        }
+
+        let scopes = grant.scopes;
+        if (scope) {
+            scopes = _parseScope(scope, RESPONSE_TYPES.code);
+            const isNarrowed = scopes.every(function (s) {
+                return grant.scopes.indexOf(s) > -1;
+            });
+
+            if (!isNarrowed) {
+                throw _createError('Invalid "scope" parameter value. Cannot exceed the scope granted by the User.', ERROR_TYPES.invalidScope);
+            }
+        }
+
+        if (!await _hasConsent(grant.userId, grant.partnerId, grant.scopes)) {
+            throw _createError('User consent has been revoked.', ERROR_TYPES.invalidGrant);
+        }
+
+        const refreshTokenNew = _generateSecret(grant.id);
+
+        const [updated] = await OpenIdGrant.update(
+            {
+                refreshTokenHash: _getSecretHash(refreshTokenNew),
+                refreshTokenExpiresAt: moment().add(openIdConfig.refreshTokenExpiresIn || REFRESH_TOKEN_EXPIRES_IN_DEFAULT, 'seconds').toDate()
+            },
+            {
+                where: {
+                    id: grant.id,
+                    refreshTokenHash: refreshTokenHash,
+                    revokedAt: null
+                }
+            }
+        );
+
+        if (!updated) { // Concurrent request with the same refresh token
+            throw _createError('Invalid refresh token.', ERROR_TYPES.invalidGrant);
+        }
+
+        return _getTokenResponse(grant, scopes, refreshTokenNew);
+    };
+
+    /**
+     * Revoke a token
+     *
+     * Refresh tokens are revoked with the whole Grant. Access Tokens cannot be revoked by the Partner, they expire in "openId.accessTokenExpiresIn" or when the User revokes the session (libs/cosSession.js).
+     * Unknown tokens are ignored.
+     *
+     * @param {string} token The "token" parameter
+     * @param {string} clientId The "client_id" parameter
+     *
+     * @returns {Promise<void>}
+     *
+     * @see https://tools.ietf.org/html/rfc7009#section-2.1
+     */
+    const _revoke = async function (token, clientId) {
+        if (!token) {
+            throw _createError('Missing "token" parameter value.', ERROR_TYPES.invalidRequest);
+        }
+
+        const partner = await _getClient(clientId);
+
+        const grantId = _getSecretGrantId(token);
+        if (grantId) {
+            await OpenIdGrant.update(
+                {
+                    refreshTokenHash: null,
+                    revokedAt: db.fn('NOW')
+                },
+                {
+                    where: {
+                        id: grantId,
+                        partnerId: partner.id,
+                        refreshTokenHash: _getSecretHash(token)
+                    }
+                }
+            );
+
+            return;
+        }
+
+        try {
+            jwt.verify(token, config.session.publicKey, {algorithms: [config.session.algorithm]});
+        } catch (err) {
+            return; // Invalid or expired token, nothing to revoke
+        }
+
+        throw _createError('Revocation of Access Tokens is not supported.', ERROR_TYPES.unsupportedTokenType);
+    };
+
+    /**
+     * Revoke all the Grants the User has given to the Partner. Used when the User withdraws the consent or revokes all the sessions.
+     *
+     * @param {string} userId User id
+     * @param {string} [partnerId] Partner id. Grants of all the Partners are revoked if not set.
+     * @param {object} [transaction] Sequelize transaction
+     *
+     * @returns {Promise<void>}
+     */
+    const _revokeUserGrants = async function (userId, partnerId, transaction) {
+        const where = {
+            userId: userId,
+            revokedAt: null
+        };
+
+        if (partnerId) {
+            where.partnerId = partnerId;
+        }
+
+        await OpenIdGrant.update(
+            {
+                refreshTokenHash: null,
+                revokedAt: db.fn('NOW')
+            },
+            {
+                where: where,
+                transaction: transaction
+            }
+        );
+    };
+
+    /**
+     * Get UserInfo claims
+     *
+     * @param {string} userId User id
+     * @param {Array<string>} scopes Scopes of the Access Token
+     *
+     * @returns {Promise<object|null>} Claims or null if the User does not exist
+     *
+     * @see https://openid.net/specs/openid-connect-core-1_0.html#UserInfo
+     */
+    const _getUserInfo = async function (userId, scopes) {
+        const user = await User.findOne({
+            where: {
+                id: userId
+            }
+        });
+
+        if (!user) {
+            return null;
+        }
+
+        const claims = {
+            sub: user.id
+        };
+
+        if (scopes.indexOf(SCOPES.profile) > -1) {
+            claims.name = user.name;
+            claims.picture = user.imageUrl;
+            claims.locale = user.language;
+        }
+
+        if (scopes.indexOf(SCOPES.email) > -1) {
+            claims.email = user.email;
+            claims.email_verified = !!user.emailIsVerified;
+        }
+
+        return claims;
+    };
+
+    /**
+     * Get the JSON Web Key Set of the keys signing the tokens
+     *
+     * @returns {object} JWKS
+     *
+     * @see https://tools.ietf.org/html/rfc7517#section-5
+     */
+    const _getJwks = function () {
+        return {
+            keys: [_getJwk()]
+        };
+    };
+
+    /**
+     * Get the OpenID Provider configuration (discovery document)
+     *
+     * @returns {object} OpenID Provider Metadata
+     *
+     * @see https://openid.net/specs/openid-connect-discovery-1_0.html#ProviderMetadata
+     */
+    const _getConfiguration = function () {
+        return {
+            issuer: urlLib.getApi(),
+            authorization_endpoint: urlLib.getApi(PATH_AUTHORIZE),
+            token_endpoint: urlLib.getApi(PATH_TOKEN),
+            userinfo_endpoint: urlLib.getApi(PATH_USERINFO),
+            jwks_uri: urlLib.getApi(PATH_JWKS),
+            revocation_endpoint: urlLib.getApi(PATH_REVOKE),
+            scopes_supported: Object.keys(SCOPES).concat(Object.keys(API_SCOPES)),
+            response_types_supported: [RESPONSE_TYPES.code, RESPONSE_TYPES.implicit],
+            response_modes_supported: ['query', 'fragment'],
+            grant_types_supported: ['authorization_code', 'refresh_token', 'implicit'],
+            subject_types_supported: ['public'],
+            id_token_signing_alg_values_supported: [config.session.algorithm],
+            token_endpoint_auth_methods_supported: ['none'],
+            revocation_endpoint_auth_methods_supported: ['none'],
+            code_challenge_methods_supported: ['S256'],
+            claims_supported: ['sub', 'iss', 'aud', 'exp', 'iat', 'nonce', 'at_hash', 'name', 'picture', 'locale', 'email', 'email_verified']
+        };
+    };
+
+    return {
+        SCOPES: SCOPES,
+        API_SCOPES: API_SCOPES,
+        RESPONSE_TYPES: RESPONSE_TYPES,
+        ERROR_TYPES: ERROR_TYPES,
+        CODE_CHALLENGE_REGEXP: CODE_VERIFIER_REGEXP,
+        parseScope: _parseScope,
+        getApiScopes: _getApiScopes,
+        hasConsent: _hasConsent,
+        getAccessToken: _getAccessToken,
+        getIdToken: _getIdToken,
+        createAuthorizationCode: _createAuthorizationCode,
+        exchangeAuthorizationCode: _exchangeAuthorizationCode,
+        refresh: _refresh,
+        revoke: _revoke,
+        revokeUserGrants: _revokeUserGrants,
+        getUserInfo: _getUserInfo,
+        getJwks: _getJwks,
+        getConfiguration: _getConfiguration
+    };
+};
@@ -0,0 +1,212 @@
+'use strict';
+
+/**
+ * Sessions
+ *
+ * Server-side tracking of the app authorization tokens (JWT) set as a cookie on log-in and the Access Tokens issued to the Partners (libs/cosOpenId.js).
+ * Every token is issued for a session, its id is in the "jti" claim of the token.
+ * Lets the User see where they are logged in and revoke the sessions, the revoked tokens are rejected by the authTokenParser.
+ *
+ * Tokens issued before the sessions were introduced have no "jti" claim, they cannot be revoked and are rejected (see libs/middleware/authTokenParser.js).
+ */
+
+module.exports = function (app) {
+    const config = app.get('config');
+    const models = app.get('models');
+    const db = models.sequelize;
+    const Op = db.Sequelize.Op;
+
+    const UserSession = models.UserSession;
+
+    const LAST_SEEN_UPDATE_INTERVAL = 60 * 1000; // Update "lastSeenAt" at most once a minute to avoid a write on every request
+
+    const _whereActive = function () {
+        return {
+            revokedAt: null,
+            expiresAt: {
+                [Op.gt]: db.fn('NOW')
+            }
+        };
+    };
+
+    /**
+     * Create a session on log-in or for a Partner Access Token
+     *
+     * @param {object} [req] Express request object. Device info is not recorded without it, for ex for the tokens issued at the OpenID token endpoint.
+     * @param {string} userId User id
+     * @param {string} [partnerId] Partner id the Access Token is issued to
+     * @param {number} [expiresIn] Expiry of the token in seconds. Defaults to the session cookie "maxAge".
+     * @param {string} [grantId] OpenIdGrant id the Access Token is issued with
+     *
+     * @returns {Promise<object>} UserSession instance
+     */
+    const _create = async function (req, userId, partnerId, expiresIn, grantId) {
+        return UserSession.create({
+            userId: userId,
+            partnerId: partnerId,
+            grantId: grantId,
+            deviceType: req && req.device ? req.device.type : null,
+            userAgent: req && req.headers['user-agent'] ? req.headers['user-agent'].substr(0, 2048) : null,
+            ip: req ? req.ip : null,
+            expiresAt: new Date(Date.now() + (expiresIn ? expiresIn * 1000 : config.session.cookie.maxAge))
+        });
+    };
+
+    /**
+     * Get the active session of the token and update the last seen info
+     *
+     * @param {object} req Express request object
+     * @param {object} tokenData Decoded authorization token
+     *
+     * @returns {Promise<object|null>} UserSession instance or null if the session has been revoked or has expired
+     */
+    const _touch = async function (req, tokenData) {
+        const session = await UserSession.findOne({
+            where: Object.assign(
+                {
+                    id: tokenData.jti,
+                    userId: tokenData.id
+                },
+                _whereActive()
+            )
+        });
+
+        if (!session) {
+            return null;
+        }
+
+        if (Date.now() - session.lastSeenAt.getTime() > LAST_SEEN_UPDATE_INTERVAL || session.ip !== req.ip) {
+            await UserSession.update(
+                {
+                    lastSeenAt: db.fn('NOW'),
+                    ip: req.ip
+                },
+                {
+                    where: {
+                        id: session.id
+                    }
+                }
+            );
+        }
+
+        return session;
+    };
+
+    /**
+     * List active sessions of the User
+     *
+     * @param {string} userId User id
+     *
+     * @returns {Promise<Array<object>>} UserSession instances, last seen first
+     */
+    const _list = async function (userId) {
+        return UserSession.findAll({
+            where: Object.assign(
+                {
+                    userId: userId
+                },
+                _whereActive()
+            ),
+            order: [['lastSeenAt', 'DESC']]
+        });
+    };
+
+    /**
+     * Revoke the session of the User
+     *
+     * @param {string} userId User id
+     * @param {string} sessionId Session id
+     *
+     * @returns {Promise<boolean>} True if an active session was revoked
+     */
+    const _revoke = async function (userId, sessionId) {
+        const [updatedCount] = await UserSession.update(
+            {
+                revokedAt: db.fn('NOW')
+            },
+            {
+                where: Object.assign(
+                    {
+                        id: sessionId,
+                        userId: userId
+                    },
+                    _whereActive()
+                )
+            }
+        );
+
+        return updatedCount === 1;
+    };
+
+    /**
+     * Revoke all sessions of the User
+     *
+     * @param {string} userId User id
+     * @param {string} [exceptSessionId] Session to keep, usually the current one
+     * @param {object} [t] Transaction
+     *
+     * @returns {Promise<number>} Count of revoked sessions
+     */
+    const _revokeAll = async function (userId, exceptSessionId, t) {
+        const where = Object.assign(
+            {
+                userId: userId
+            },
+            _whereActive()
+        );
+
+        if (exceptSessionId) {
+            where.id = {
+                [Op.ne]: exceptSessionId
+            };
+        }
+
+        const [updatedCount] = await UserSession.update(
+            {
+                revokedAt: db.fn('NOW')
+            },
+            {
+                where: where,
+                transaction: t
+            }
+        );
+
+        return updatedCount;
+    };
+
+    /**
+     * Revoke the sessions of the Access Tokens issued with the OpenID Grant
+     *
+     * @param {string} grantId OpenIdGrant id
+     * @param {object} [t] Transaction
+     *
+     * @returns {Promise<number>} Count of revoked sessions
+     */
+    const _revokeGrant = async function (grantId, t) {
+        const [updatedCount] = await UserSession.update(
+            {
+                revokedAt: db.fn('NOW')
+            },
+            {
+                where: Object.assign(
+                    {
+                        grantId: grantId
+                    },
+                    _whereActive()
+                ),
+                transaction: t
+            }
+        );
+
+        return updatedCount;
+    };
+
+    return {
+        create: _create,
+        touch: _touch,
+        list: _list,
+        revoke: _revoke,
+        revokeAll: _revokeAll,
+        revokeGrant: _revokeGrant
+    };
+};
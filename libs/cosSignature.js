@@ -4,6 +4,8 @@ module.exports = function (app) {
     const logger = app.get('logger');
     const models = app.get('models');
     const util = app.get('util');
+    const voterWeights = app.get('voterWeights');
+    const _ = app.get('lodash');
     const fs = app.get('fs');
     const config = app.get('config');
     const fsExtra = app.get('fsExtra');
@@ -85,6 +87,11 @@ module.exports = function (app) {
         mimeType: 'text/csv'
     };
 
+    const VOTE_PARTICIPANTS_FILE = {
+        name: 'participants.csv',
+        mimeType: 'text/csv'
+    };
+
     const USER_BDOC_FILE = {
         name: ':pid.bdoc',
         mimeType: 'application/vnd.etsi.asic-e+zip'
@@ -299,6 +306,31 @@ module.exports = function (app) {
 
     };
 
+    /**
+     * Get the ranking or scores of the chosen VoteOptions to be included in the signed userinfo file
+     *
+     * @param {Object[]} voteOptions Array of selected vote options
+     *
+     * @returns {Object[]} Array of ballot rows [{label, value, choice}], empty for Vote types without ranking or scores
+     *
+     * @private
+     */
+    const _getUserInfoBallot = function (voteOptions) {
+        return _.sortBy(voteOptions, 'rank')
+            .filter(function (voteOption) {
+                return (voteOption.rank !== null && voteOption.rank !== undefined) || (voteOption.score !== null && voteOption.score !== undefined);
+            })
+            .map(function (voteOption) {
+                const isRanked = voteOption.rank !== null && voteOption.rank !== undefined;
+
+                return {
+                    label: isRanked ? 'Rank' : 'Score',
+                    value: voteOption.value,
+                    choice: String(isRanked ? voteOption.rank : voteOption.score)
+                };
+            });
+    };
+
     const _getUserContainer = async function (voteId, userId, voteOptions) {
         const container = new Asic();
         const chosenVoteOptionFileNames = voteOptions.map(_getVoteOptionFileName);
@@ -331,7 +363,7 @@ module.exports = function (app) {
         return new Promise(function (resolve) {
             let finalData = '';
             const mufileStream = mu
-                .compileAndRender(USERINFO_FILE.template, {user: {id: userId}});
+                .compileAndRender(USERINFO_FILE.template, {user: {id: userId}, ballot: _getUserInfoBallot(voteOptions)});
             mufileStream
                 .on('data', function (data) {
                     finalData += data.toString();
@@ -385,7 +417,7 @@ module.exports = function (app) {
             const files= await new Promise(function (resolve) {
                 let finalData = '';
                 const mufileStream = mu
-                    .compileAndRender(USERINFO_FILE.template, {user: {id: userId}});
+                    .compileAndRender(USERINFO_FILE.template, {user: {id: userId}, ballot: _getUserInfoBallot(voteOptions)});
                 mufileStream
                     .on('data', function (data) {
                         finalData += data.toString();
@@ -572,6 +604,36 @@ module.exports = function (app) {
 
     const _generateFinalCSV = async function (voteId, type, finalContainer) {
         let fromSql;
+        let optionsOrderSql = '';
+        let rankingSql = '';
+        let weightSql = '';
+        const vote = await Vote.findOne({
+            where: {
+                id: voteId
+            },
+            attributes: ['type', 'weightSource', 'ballotIsSecret']
+        });
+
+        if (vote.weightSource) {
+            weightSql = ', o."weight"';
+        }
+
+        // Ranking and scores are listed in the same order as the option values
+        switch (vote.type) {
+            case Vote.TYPES.ranked:
+                optionsOrderSql = 'ORDER BY o."rank"';
+                rankingSql = `, array_agg(o."rank" ${optionsOrderSql}) AS "optionRanks"`;
+                break;
+            case Vote.TYPES.score:
+                optionsOrderSql = 'ORDER BY o."optionValue"';
+                rankingSql = `, array_agg(o."score" ${optionsOrderSql}) AS "optionScores"`;
+                break;
+        }
+
+        if (vote.ballotIsSecret) {
+            await _generateFinalParticipantsCSV(voteId, finalContainer);
+        }
+
         const connectionManager = db.connectionManager;
         const connection = await connectionManager.getConnection();
 
@@ -581,43 +643,77 @@ module.exports = function (app) {
                     o."timestamp",
                     o."PID",
                     o."fullName",
-                    array_agg(o."optionValue") AS "optionValues"
+                    array_agg(o."optionValue" ${optionsOrderSql}) AS "optionValues"
+                    ${rankingSql}
+                    ${weightSql}
                     FROM (
                         SELECT
                             v."createdAt" as "timestamp",
                             uc."connectionUserId" as "PID",
                             (uc."connectionData"::json->>'firstName') || ' ' || (uc."connectionData"::json->>'lastName') as "fullName",
-                            vo.value as "optionValue"
+                            vo.value as "optionValue",
+                            v."rank",
+                            v."score",
+                            COALESCE(vw."weight", 1) as "weight"
                         FROM votes v
                         JOIN "UserConnections" uc ON (uc."userId" = v."userId" AND uc."connectionId" = 'esteid')
                         JOIN "VoteOptions" vo ON (vo."id" = v."optionId")
+                        LEFT JOIN voter_weights vw ON (vw."userId" = v."userId")
                         ORDER BY v."createdAt" DESC
                     ) o
-                    GROUP BY o."timestamp", o."PID", o."fullName"`;
+                    GROUP BY o."timestamp", o."PID", o."fullName" ${weightSql}`;
                 break;
             case 'zip':
                 fromSql = `SELECT
                     o."timestamp",
                     o."userId",
                     o.name,
-                    array_agg(o."optionValue") AS "optionValues"
+                    array_agg(o."optionValue" ${optionsOrderSql}) AS "optionValues"
+                    ${rankingSql}
+                    ${weightSql}
                     FROM (
                         SELECT
                             v."createdAt" as "timestamp",
                             v."userId",
                             u.name,
-                            vo.value as "optionValue"
+                            vo.value as "optionValue",
+                            v."rank",
+                            v."score",
+                            COALESCE(vw."weight", 1) as "weight"
                             FROM votes v
                             JOIN "Users" u ON (u.id = v."userId")
                             JOIN "VoteOptions" vo ON (vo."id" = v."optionId")
+                            LEFT JOIN voter_weights vw ON (vw."userId" = v."userId")
                         ORDER BY v."createdAt" DESC
                     ) o
-                    GROUP BY o."timestamp", o."userId", o.name`;
+                    GROUP BY o."timestamp", o."userId", o.name ${weightSql}`;
                 break;
         }
 
-        const query = new QueryStream(
-            `WITH
+        // Secret ballots are listed by ballot id only, the Voters are in a separate file (VOTE_PARTICIPANTS_FILE)
+        let querySql = `
+            SELECT
+                o."ballotId",
+                array_agg(o."optionValue" ${optionsOrderSql}) AS "optionValues"
+                ${rankingSql}
+            FROM (
+                SELECT
+                    vl."optionGroupId" as "ballotId",
+                    vo.value as "optionValue",
+                    vl."rank",
+                    vl."score"
+                FROM "VoteLists" vl
+                JOIN "VoteOptions" vo ON (vo."id" = vl."optionId")
+                WHERE vl."voteId" = $1
+                    AND vl."userId" IS NULL
+                    AND vl."deletedAt" IS NULL
+            ) o
+            GROUP BY o."ballotId"
+            ORDER BY o."ballotId"
+        ;`;
+
+        if (!vote.ballotIsSecret) {
+            querySql = `WITH
             vote_groups("voteId", "userId", "optionGroupId", "updatedAt") AS (
                 SELECT DISTINCT ON (vl."userId") vl."voteId", vl."userId", vli."optionGroupId", vl."updatedAt"
                 FROM (
@@ -684,15 +780,19 @@ module.exports = function (app) {
                     vl."userId",
                     vl."optionId",
                     vl."optionGroupId",
-                    vl."createdAt"
+                    vl."createdAt",
+                    vl."rank",
+                    vl."score"
                 FROM "VoteLists" vl
                 JOIN vote_groups vg ON (vl."voteId" = vg."voteId" AND vl."userId" = vg."userId" AND vl."optionGroupId" = vg."optionGroupId")
                 WHERE vl."voteId" = $1
-            )
+            ),
+            ${voterWeights.getCteSql('$1')}
                 ${fromSql}
-            ;`,
-            [voteId]
-        );
+            ;`;
+        }
+
+        const query = new QueryStream(querySql, [voteId]);
 
         const stream = connection.query(query);
 
@@ -732,6 +832,55 @@ module.exports = function (app) {
         });
     };
 
+    /**
+     * Add the list of Voters of a secret ballot Vote (Vote.ballotIsSecret) to the final container
+     *
+     * Lists only who participated, the ballots are in VOTE_RESULTS_FILE without any link to the Voters.
+     *
+     * @param {string} voteId Vote id
+     * @param {object} finalContainer Final container
+     *
+     * @returns {Promise<void>}
+     *
+     * @private
+     */
+    const _generateFinalParticipantsCSV = async function (voteId, finalContainer) {
+        const participants = await db.query(
+            `
+            SELECT
+                vp."userId",
+                u.name
+            FROM "VoteParticipants" vp
+            JOIN "Users" u ON (u.id = vp."userId")
+            WHERE vp."voteId" = :voteId
+            ORDER BY u.name, vp."userId"
+            ;`,
+            {
+                replacements: {
+                    voteId: voteId
+                },
+                type: db.QueryTypes.SELECT,
+                raw: true
+            }
+        );
+
+        const csvStream = fastCsv.format({
+            headers: ['userId', 'name'],
+            rowDelimiter: '\r\n'
+        });
+
+        finalContainer.append(csvStream, {
+            name: VOTE_PARTICIPANTS_FILE.name,
+            mimeType: VOTE_PARTICIPANTS_FILE.mimeType
+        });
+
+        participants.forEach(function (participant) {
+            csvStream.write(participant);
+        });
+
+        csvStream.end();
+    };
+
     const _generateResultGraphPDF = async function (voteId, finalContainer) {
         let sql = `
             WITH
@@ -795,7 +944,18 @@ module.exports = function (app) {
                         FROM "VoteLists" vl
                         JOIN vote_groups vg ON (vl."voteId" = vg."voteId" AND vl."optionGroupId" = vg."optionGroupId")
                         JOIN "Votes" v ON v.id = vl."voteId"
-                        WHERE v."authType"='${Vote.AUTH_TYPES.soft}' AND vl."voteId" = :voteId
+                        WHERE v."authType"='${Vote.AUTH_TYPES.soft}' AND v."ballotIsSecret" = false AND vl."voteId" = :voteId
+                        UNION ALL
+                        SELECT
+                            vl."voteId",
+                            vl."userId",
+                            vl."optionId",
+                            vl."optionGroupId"
+                        FROM "VoteLists" vl
+                        JOIN "Votes" v ON v.id = vl."voteId"
+                        WHERE v."ballotIsSecret" = true AND vl."voteId" = :voteId
+                            AND vl."userId" IS NULL
+                            AND vl."deletedAt" IS NULL
                         UNION ALL
                         SELECT
                             vl."voteId",
@@ -818,17 +978,22 @@ module.exports = function (app) {
                             ) vu
                         )
                     ),
-                    votes_with_delegations("voteId", "userId", "optionId", "optionGroupId", "byUserId", depth) AS (
+                    ${voterWeights.getCteSql(':voteId')},
+                    votes_with_delegations("voteId", "userId", "optionId", "optionGroupId", "byUserId", depth, "weight", "byUserWeight") AS (
                         SELECT
                             v."voteId",
                             v."userId",
                             v."optionId",
                             v."optionGroupId",
                             id."byUserId",
-                            id."depth"
+                            id."depth",
+                            COALESCE(uw."weight", 1),
+                            COALESCE(bw."weight", 1)
                         FROM votes v
                         LEFT JOIN indirect_delegations id ON (v."userId" = id."toUserId")
-                        WHERE v."userId" NOT IN (SELECT "byUserId" FROM indirect_delegations WHERE "voteId"=v."voteId")
+                        LEFT JOIN voter_weights uw ON (uw."userId" = v."userId")
+                        LEFT JOIN voter_weights bw ON (bw."userId" = id."byUserId")
+                        WHERE v."userId" IS NULL OR v."userId" NOT IN (SELECT "byUserId" FROM indirect_delegations WHERE "voteId"=v."voteId")
                     )
 
                 SELECT
@@ -838,18 +1003,27 @@ module.exports = function (app) {
                 FROM "VoteOptions" vo
                 LEFT JOIN (
                     SELECT
-                        COUNT(v."optionId") + 1 as "voteCount",
-                        v."optionId",
-                        v."optionGroupId",
-                        v."voteId"
-                    FROM votes_with_delegations v
-                    WHERE v.depth IS NOT NULL
-                    GROUP BY v."optionId", v."optionGroupId", v."voteId"
+                        SUM(d."voteCount") as "voteCount",
+                        d."optionId",
+                        d."optionGroupId",
+                        d."voteId"
+                    FROM (
+                        SELECT
+                            SUM(v."byUserWeight") + MAX(v."weight") as "voteCount",
+                            v."userId",
+                            v."optionId",
+                            v."optionGroupId",
+                            v."voteId"
+                        FROM votes_with_delegations v
+                        WHERE v.depth IS NOT NULL
+                        GROUP BY v."userId", v."optionId", v."optionGroupId", v."voteId"
+                    ) d
+                    GROUP BY d."optionId", d."optionGroupId", d."voteId"
 
                     UNION ALL
 
                     SELECT
-                        COUNT(v."optionId") as "voteCount",
+                        SUM(v."weight") as "voteCount",
                         v."optionId",
                         v."optionGroupId",
                         v."voteId"
@@ -0,0 +1,292 @@
+'use strict';
+
+/**
+ * File storage
+ *
+ * Stores the files in the configured store ("storage.type" - "s3" by default or "local"), checks the size, extension and content type on the way in
+ * and runs the optional virus scanner ("storage.scanner") on the uploaded Attachments before they become available.
+ */
+
+module.exports = function (app) {
+    const logger = app.get('logger');
+    const config = app.get('config');
+    const models = app.get('models');
+    const stream = app.get('stream');
+    const path = require('path');
+    const cosJobs = app.get('cosJobs');
+    const contentType = require('./storage/contentType');
+
+    const Attachment = models.Attachment;
+
+    const JOB_SCAN = 'attachmentScan';
+    const PRIVATE_KEY_PREFIXES = ['attachments/', 'exports/']; // Topic Attachments and User data exports, downloadable only through the routes that check the permissions
+    const DOWNLOAD_EXPIRES_IN_DEFAULT = 60; // seconds
+
+    const ERROR_TYPES = {
+        fileSize: 'fileSize',
+        fileType: 'fileType',
+        contentType: 'contentType'
+    };
+
+    const STORES = {
+        local: function () {
+            return require('./storage/localStore')(app);
+        },
+        s3: function () {
+            return require('./storage/s3Store')(app);
+        }
+    };
+
+    const SCANNERS = {
+        clamd: function (options) {
+            return require('./storage/clamdScanner')(options);
+        }
+    };
+
+    const storageConfig = config.storage || {};
+    const scannerConfig = storageConfig.scanner || {};
+
+    if (storageConfig.type && !STORES[storageConfig.type]) {
+        throw new Error('Invalid configuration! Invalid value for "storage.type". Was: "' + storageConfig.type + '". Must be one of: ' + Object.keys(STORES).join(', '));
+    }
+
+    if (scannerConfig.type && !SCANNERS[scannerConfig.type]) {
+        throw new Error('Invalid configuration! Invalid value for "storage.scanner.type". Was: "' + scannerConfig.type + '". Must be one of: ' + Object.keys(SCANNERS).join(', '));
+    }
+
+    const store = STORES[storageConfig.type || 's3']();
+    const scanner = scannerConfig.type ? SCANNERS[scannerConfig.type](scannerConfig) : null;
+
+    const _createError = function (message, type) {
+        const error = new Error(message);
+        error.type = type;
+
+        return error;
+    };
+
+    /**
+     * Is the virus scan of uploaded Attachments enabled ("storage.scanner")
+     *
+     * @returns {boolean} True if scanner is configured
+     */
+    const _isScanEnabled = function () {
+        return !!scanner;
+    };
+
+    /**
+     * Is the key of a private file
+     *
+     * Keys that do not resolve inside the storage are considered private too.
+     *
+     * @param {string} key Object key
+     *
+     * @returns {boolean} True if the file must not be accessed by the key given by the client
+     */
+    const _isPrivateKey = function (key) {
+        const keyNormalized = path.posix.normalize(String(key || ''));
+
+        if (keyNormalized.startsWith('/') || keyNormalized === '..' || keyNormalized.startsWith('../')) {
+            return true;
+        }
+
+        return PRIVATE_KEY_PREFIXES.some(function (prefix) {
+            return keyNormalized.startsWith(prefix);
+        });
+    };
+
+    /**
+     * Save a file
+     *
+     * The file is rejected if it is too large ("storage.maxFileSize"), the extension is not allowed ("storage.allowedFileTypes") or the content does not match the extension.
+     *
+     * @param {Stream} readStream File contents
+     * @param {string} key Object key
+     * @param {string} filename Original file name, the extension is used to check the type
+     *
+     * @returns {Promise<object>} {key, size, contentType, extension}
+     */
+    const _save = async function (readStream, key, filename) {
+        const extension = path.extname(filename || '').replace('.', '').toLowerCase();
+        const allowedFileTypes = storageConfig.allowedFileTypes || [];
+
+        if (!extension || allowedFileTypes.indexOf(extension) < 0) {
+            readStream.resume();
+
+            throw _createError('File type is not allowed', ERROR_TYPES.fileType);
+        }
+
+        const maxFileSize = storageConfig.maxFileSize;
+        let size = 0;
+        let head = Buffer.alloc(0);
+
+        const counter = new stream.Transform({
+            transform: function (chunk, encoding, callback) {
+                size += chunk.length;
+
+                if (maxFileSize && size > maxFileSize) {
+                    return callback(_createError('File is too large', ERROR_TYPES.fileSize));
+                }
+
+                if (head.length < contentType.HEAD_LENGTH) {
+                    head = Buffer.concat([head, chunk.slice(0, contentType.HEAD_LENGTH - head.length)]);
+                }
+
+                return callback(null, chunk);
+            }
+        });
+
+        stream.pipeline(readStream, counter, function () {
+            return; // Errors are handled by the store reading the "counter"
+        });
+
+        try {
+            await store.put(key, counter);
+        } catch (err) {
+            await _delete(key);
+
+            throw err;
+        }
+
+        const type = contentType.getContentType(head, extension);
+
+        if (!type) {
+            await _delete(key);
+
+            throw _createError('File content does not match the file type', ERROR_TYPES.contentType);
+        }
+
+        return {
+            key: key,
+            size: size,
+            contentType: type,
+            extension: extension
+        };
+    };
+
+    /**
+     * Get a short-lived download URL
+     *
+     * @param {string} key Object key
+     * @param {string} filename File name offered to the client, the extension determines the content type
+     *
+     * @returns {Promise<string>} Download URL
+     */
+    const _getDownloadUrl = function (key, filename) {
+        return store.getDownloadUrl(key, {
+            filename: filename,
+            contentType: contentType.getTypeByExtension(path.extname(filename).replace('.', '')),
+            expiresIn: storageConfig.downloadExpiresIn || DOWNLOAD_EXPIRES_IN_DEFAULT
+        });
+    };
+
+    /**
+     * Delete a file, missing files are ignored
+     *
+     * @param {string} key Object key
+     *
+     * @returns {Promise<void>}
+     */
+    const _delete = async function (key) {
+        try {
+            await store.delete(key);
+        } catch (err) {
+            logger.warn('Failed to delete file from the storage', key, err);
+        }
+    };
+
+    /**
+     * Copy a file, the copy is deleted if the copying fails
+     *
+     * @param {string} key Object key of the file to copy
+     * @param {string} newKey Object key of the copy
+     *
+     * @returns {Promise<void>}
+     */
+    const _copy = async function (key, newKey) {
+        try {
+            await store.put(newKey, store.getStream(key));
+        } catch (err) {
+            await _delete(newKey);
+
+            throw err;
+        }
+    };
+
+    /**
+     * Schedule the virus scan of an uploaded Attachment. Without a scanner the Attachment is available right away and nothing is scheduled.
+     *
+     * @param {object} attachment Attachment
+     * @param {object} [transaction] Sequelize transaction
+     *
+     * @returns {Promise<void>}
+     */
+    const _scheduleScan = async function (attachment, transaction) {
+        if (!scanner) {
+            return;
+        }
+
+        await cosJobs.schedule(JOB_SCAN, {attachmentId: attachment.id}, null, JOB_SCAN + ':' + attachment.id, transaction);
+    };
+
+    /**
+     * Job handler - scan the Attachment, make it available if clean, delete the file if infected
+     *
+     * Attachments scheduled before the scanner was removed from the configuration are made available without the scan, otherwise they would stay "pending" for good.
+     *
+     * @param {object} data {attachmentId}
+     *
+     * @returns {Promise<void>}
+     *
+     * @private
+     */
+    const _scan = async function (data) {
+        const attachment = await Attachment.findOne({
+            where: {
+                id: data.attachmentId
+            }
+        });
+
+        if (!attachment || attachment.status !== Attachment.STATUSES.pending) {
+            return;
+        }
+
+        if (!scanner) {
+            logger.warn('Virus scanner is not configured, Attachment is made available without the scan', attachment.id);
+
+            attachment.status = Attachment.STATUSES.available;
+            await attachment.save();
+
+            return;
+        }
+
+        const result = await scanner.scan(store.getStream(attachment.storageKey));
+
+        if (result.isInfected) {
+            logger.warn('Virus found in an Attachment, deleting the file', attachment.id, result.signature);
+
+            attachment.status = Attachment.STATUSES.infected;
+            await attachment.save();
+            await _delete(attachment.storageKey);
+
+            return;
+        }
+
+        attachment.status = Attachment.STATUSES.available;
+        await attachment.save();
+    };
+
+    cosJobs.register(JOB_SCAN, _scan);
+
+    return {
+        ERROR_TYPES: ERROR_TYPES,
+        store: store,
+        isScanEnabled: _isScanEnabled,
+        isPrivateKey: _isPrivateKey,
+        save: _save,
+        getDownloadUrl: _getDownloadUrl,
+        copy: _copy,
+        delete: _delete,
+        scheduleScan: _scheduleScan,
+        scan: _scan
+    };
+};
@@ -0,0 +1,165 @@
+'use strict';
+
+/**
+ * Real-time updates using Server-Sent Events (SSE)
+ *
+ * Subscribers register the Topics and Groups they follow. Activities are dispatched to the subscribers as cosActivities saves them (after commit).
+ * Permissions are NOT checked here, it is up to the subscriber "onActivity" handler (see routes/api/activity.js).
+ *
+ * NOTE: Subscribers are kept in process memory, so only the Activities saved by the same API process reach them.
+ * When running several API instances, or the background jobs separately (bin/jobs), the streams miss the Activities saved by the other processes.
+ *
+ * @see https://html.spec.whatwg.org/multipage/server-sent-events.html
+ */
+
+module.exports = function (app) {
+    const logger = app.get('logger');
+    const cosActivities = app.get('cosActivities');
+
+    const HEARTBEAT_INTERVAL = 25000; // Below the common 30s+ idle timeouts of proxies and load balancers
+    const RETRY_INTERVAL = 5000; // Client reconnect delay
+
+    const subscribers = new Set();
+
+    /**
+     * Open the event stream on the response
+     *
+     * Sends the headers and starts the heartbeat. Stream is closed when the client disconnects.
+     *
+     * @param {object} req Express request
+     * @param {object} res Express response
+     *
+     * @returns {object} Stream {send: function (event, data, id), onClose: function (listener), close: function ()}
+     */
+    const _open = function (req, res) {
+        const closeListeners = [];
+        let closed = false;
+
+        res.status(200);
+        res.set({
+            'Content-Type': 'text/event-stream; charset=utf-8',
+            'Cache-Control': 'no-cache, no-transform',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no' // Disable Nginx proxy buffering
+        });
+        res.flushHeaders();
+        res.write('retry: ' + RETRY_INTERVAL + '\n\n');
+
+        const heartbeat = setInterval(function () {
+            res.write(': heartbeat\n\n');
+        }, HEARTBEAT_INTERVAL);
+
+        const close = function () {
+            if (closed) {
+                return;
+            }
+            closed = true;
+
+            clearInterval(heartbeat);
+            closeListeners.forEach(function (listener) {
+                listener();
+            });
+            res.end();
+        };
+
+        req.on('close', close);
+
+        return {
+            send: function (event, data, id) {
+                if (closed) {
+                    return;
+                }
+
+                let message = '';
+                if (id) {
+                    message += 'id: ' + id + '\n';
+                }
+                message += 'event: ' + event + '\n';
+                message += 'data: ' + JSON.stringify(data) + '\n\n';
+
+                res.write(message);
+            },
+            onClose: function (listener) {
+                closeListeners.push(listener);
+            },
+            close: close
+        };
+    };
+
+    /**
+     * Subscribe to the Activities of Topics and Groups
+     *
+     * @param {object} subscriber Subscriber {topicIds: [], groupIds: [], onActivity: async function (activity)}
+     *
+     * @returns {function} Function to unsubscribe
+     */
+    const _subscribe = function (subscriber) {
+        subscribers.add(subscriber);
+
+        return function () {
+            subscribers.delete(subscriber);
+        };
+    };
+
+    /**
+     * Is the subscriber interested in the Activity
+     *
+     * @param {object} subscriber Subscriber
+     * @param {object} activity Activity instance
+     *
+     * @returns {boolean} TRUE if the Activity is about any of the subscribed Topics or Groups
+     *
+     * @private
+     */
+    const _isSubscribed = function (subscriber, activity) {
+        const topicIds = activity.topicIds || [];
+        const groupIds = activity.groupIds || [];
+
+        return subscriber.topicIds.some(function (topicId) {
+            return topicIds.indexOf(topicId) > -1;
+        }) || subscriber.groupIds.some(function (groupId) {
+            return groupIds.indexOf(groupId) > -1;
+        });
+    };
+
+    /**
+     * Dispatch the Activity to the subscribers - cosActivities listener
+     *
+     * @param {object} activity Activity instance
+     *
+     * @returns {Promise<void>}
+     *
+     * @private
+     */
+    const _handleActivity = async function (activity) {
+        const matching = Array.from(subscribers).filter(function (subscriber) {
+            return _isSubscribed(subscriber, activity);
+        });
+
+        await Promise.all(matching.map(async function (subscriber) {
+            try {
+                await subscriber.onActivity(activity);
+            } catch (err) {
+                logger.error('Stream subscriber failed', activity.id, err);
+            }
+        }));
+    };
+
+    /**
+     * Get the count of open subscriptions
+     *
+     * @returns {number} Count
+     */
+    const _getSubscriberCount = function () {
+        return subscribers.size;
+    };
+
+    cosActivities.addListener(_handleActivity);
+
+    return {
+        open: _open,
+        subscribe: _subscribe,
+        handleActivity: _handleActivity,
+        getSubscriberCount: _getSubscriberCount
+    };
+};
@@ -0,0 +1,173 @@
+'use strict';
+
+/**
+ * Topic export
+ *
+ * Renders the Topic with its attachments list, vote results and arguments to a downloadable DOCX, PDF or Markdown file.
+ * All the formats are produced from the same HTML document (views/export/topic.html).
+ */
+
+module.exports = function (app) {
+    const mu = app.get('mu');
+    const uuid = app.get('uuid');
+    const fsExtra = app.get('fsExtra');
+    const logger = app.get('logger');
+    const CosHtmlToDocx = app.get('cosHtmlToDocx');
+    const htmlToMarkdown = app.get('htmlToMarkdown');
+    const pdf = require('html-pdf');
+
+    const TEMPLATE = 'export/topic.html';
+    const LANGUAGE_DEFAULT = 'en';
+
+    // Translated in Crowdin with the e-mails, see views/emails/README.md
+    const translations = require('./translations')(app.get('EMAIL_TEMPLATE_ROOT') + '/languages');
+
+    const FORMATS = {
+        docx: {
+            extension: 'docx',
+            mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+        },
+        pdf: {
+            extension: 'pdf',
+            mimeType: 'application/pdf'
+        },
+        md: {
+            extension: 'md',
+            mimeType: 'text/markdown; charset=utf-8'
+        }
+    };
+
+    const _getTranslations = function (language) {
+        const lang = language ? language.toLowerCase() : LANGUAGE_DEFAULT;
+
+        if (translations[lang] && translations[lang].TOPIC_EXPORT) {
+            return translations[lang].TOPIC_EXPORT;
+        }
+
+        return translations[LANGUAGE_DEFAULT].TOPIC_EXPORT;
+    };
+
+    // Topic description is a complete HTML document (Etherpad export), only the body is embedded in the export document
+    const _getBody = function (html) {
+        const match = (html || '').match(/<body[^>]*>([\s\S]*)<\/body>/i);
+
+        return match ? match[1] : (html || '');
+    };
+
+    /**
+     * Render the export HTML document
+     *
+     * @param {object} data Topic data {title, description, url, attachments: [{name, link}], vote: {description, options: [{value, voteCount}], votersCount}, comments: [{type, subject, text, creator: {name}}]}
+     * @param {string} [language] Language of the labels, defaults to English
+     *
+     * @returns {Promise<string>} HTML
+     *
+     * @private
+     */
+    const _renderHtml = function (data, language) {
+        const labels = _getTranslations(language);
+        const attachments = data.attachments || [];
+        const comments = (data.comments || []).map(function (comment) {
+            return {
+                subject: comment.subject,
+                text: comment.text,
+                typeLabel: labels.COMMENT_TYPES[comment.type] || comment.type,
+                creatorName: comment.creator ? comment.creator.name : null
+            };
+        });
+
+        return new Promise(function (resolve, reject) {
+            let html = '';
+
+            mu
+                .compileAndRender(TEMPLATE, {
+                    language: language ? language.toLowerCase() : LANGUAGE_DEFAULT,
+                    labelAttachments: labels.ATTACHMENTS,
+                    labelVoteResults: labels.VOTE_RESULTS,
+                    labelVoters: labels.VOTERS,
+                    labelArguments: labels.ARGUMENTS,
+                    title: data.title,
+                    description: _getBody(data.description),
+                    url: data.url,
+                    hasAttachments: attachments.length > 0,
+                    attachments: attachments,
+                    vote: data.vote,
+                    hasComments: comments.length > 0,
+                    comments: comments
+                })
+                .on('data', function (chunk) {
+                    html += chunk.toString();
+                })
+                .on('error', reject)
+                .on('end', function () {
+                    return resolve(html);
+                });
+        });
+    };
+
+    const _toDocx = async function (html, title) {
+        // CosHtmlToDocx downloads the images of the document to the directory of the given path
+        const dir = app.get('FILE_ROOT') + '/exports/' + uuid.v4();
+
+        try {
+            await fsExtra.mkdirsAsync(dir);
+            const doc = new CosHtmlToDocx(html, title, dir + '/topic.docx');
+
+            return await doc.processHTML();
+        } finally {
+            fsExtra
+                .removeAsync(dir)
+                .catch(function () {
+                    logger.warn('Failed to clean up temporary export files', dir);
+                });
+        }
+    };
+
+    const _toPdf = function (html) {
+        return new Promise(function (resolve, reject) {
+            pdf
+                .create(html, {
+                    format: 'A4',
+                    border: '20mm'
+                })
+                .toBuffer(function (err, buffer) {
+                    if (err) {
+                        return reject(err);
+                    }
+
+                    return resolve(buffer);
+                });
+        });
+    };
+
+    /**
+     * Render the Topic export file
+     *
+     * @param {object} data Topic data, see _renderHtml
+     * @param {string} format One of FORMATS keys
+     * @param {string} [language] Language of the labels, defaults to English
+     *
+     * @returns {Promise<Buffer>} File content
+     */
+    const _render = async function (data, format, language) {
+        if (!FORMATS[format]) {
+            throw new Error('Invalid export format ' + format);
+        }
+
+        const html = await _renderHtml(data, language);
+
+        switch (format) {
+            case 'docx':
+                return _toDocx(html, data.title);
+            case 'pdf':
+                return _toPdf(html);
+            default:
+                return Buffer.from(htmlToMarkdown.toMarkdown(html));
+        }
+    };
+
+    return {
+        FORMATS: FORMATS,
+        render: _render
+    };
+};
@@ -0,0 +1,450 @@
+'use strict';
+
+/**
+ * Two-factor authentication
+ *
+ * Time-based one-time passwords (TOTP) for the password accounts. The User enrolls by adding the secret to an authenticator app (QR code of the "otpauth" URI)
+ * and verifying the first code, after which the password log-in requires a second step with a code from the app or one of the single-use recovery codes.
+ *
+ * @see https://tools.ietf.org/html/rfc6238
+ * @see https://github.com/google/google-authenticator/wiki/Key-Uri-Format
+ */
+
+module.exports = function (app) {
+    const config = app.get('config');
+    const models = app.get('models');
+    const db = models.sequelize;
+    const Op = db.Sequelize.Op;
+    const crypto = app.get('crypto');
+    const cryptoLib = app.get('cryptoLib');
+    const cosJwt = app.get('cosJwt');
+    const objectEncrypter = app.get('objectEncrypter');
+    const querystring = app.get('querystring');
+
+    const UserTwoFactor = models.UserTwoFactor;
+
+    const twoFactorConfig = config.twoFactor || {};
+
+    const ERROR_TYPES = {
+        passwordRequired: 'passwordRequired',
+        alreadyEnabled: 'alreadyEnabled',
+        notEnrolled: 'notEnrolled',
+        notEnabled: 'notEnabled',
+        invalidCode: 'invalidCode'
+    };
+
+    const SECRET_LENGTH = 20; // 160 bits - https://tools.ietf.org/html/rfc4226#section-4
+    const STEP = 30;
+    const DIGITS = 6;
+    const WINDOW = 1; // Time steps accepted before and after the current one to allow for clock drift
+    const RECOVERY_CODES_COUNT = 10;
+    const ISSUER_DEFAULT = 'Citizen OS';
+    const CHALLENGE_EXPIRES_IN_DEFAULT = 300;
+
+    const PATH_LOGIN_TWO_FACTOR = '/api/auth/login/twofactor';
+
+    const _createError = function (message, type) {
+        const error = new Error(message);
+        error.type = type;
+
+        return error;
+    };
+
+    const _encryptSecret = function (secret) {
+        return objectEncrypter(config.session.secret).encrypt({secret: secret});
+    };
+
+    const _decryptSecret = function (secretEncrypted) {
+        return objectEncrypter(config.session.secret).decrypt(secretEncrypted).secret;
+    };
+
+    /**
+     * Recovery codes are normalized before hashing, so that the User can type them in any case with or without the separator
+     *
+     * @param {string} code Recovery code
+     *
+     * @returns {string} Normalized recovery code
+     *
+     * @private
+     */
+    const _normalizeCode = function (code) {
+        return String(code || '').replace(/[\s-]/g, '').toLowerCase();
+    };
+
+    const _getRecoveryCodeHash = function (code) {
+        return cryptoLib.getHash(_normalizeCode(code), 'sha256');
+    };
+
+    /**
+     * Generate recovery codes
+     *
+     * @returns {Array<string>} Recovery codes in format "xxxxx-xxxxx"
+     *
+     * @private
+     */
+    const _generateRecoveryCodes = function () {
+        const codes = [];
+        for (let i = 0; i < RECOVERY_CODES_COUNT; i++) {
+            const code = crypto.randomBytes(5).toString('hex');
+            codes.push(code.substr(0, 5) + '-' + code.substr(5));
+        }
+
+        return codes;
+    };
+
+    /**
+     * Find the time step of the TOTP code
+     *
+     * @param {string} secret Base32 encoded secret
+     * @param {string} code TOTP code
+     *
+     * @returns {number|null} Time step of the code or null if the code does not match any of the accepted time steps
+     *
+     * @private
+     */
+    const _getCodeStep = function (secret, code) {
+        if (code.length !== DIGITS) {
+            return null;
+        }
+
+        const key = cryptoLib.getBufferFromBase32(secret);
+        const stepCurrent = Math.floor(Date.now() / 1000 / STEP);
+
+        for (let step = stepCurrent - WINDOW; step <= stepCurrent + WINDOW; step++) {
+            const expected = cryptoLib.getHotp(key, step, DIGITS);
+            if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+                return step;
+            }
+        }
+
+        return null;
+    };
+
+    /**
+     * Accept the TOTP code
+     *
+     * The code is accepted once, the update fails if the code or a later one has already been used.
+     *
+     * @param {object} userTwoFactor UserTwoFactor instance
+     * @param {string} code TOTP code
+     * @param {object} [values] Other values to update on success
+     * @param {object} [t] Transaction
+     *
+     * @returns {Promise<boolean>} True if the code was accepted
+     *
+     * @private
+     */
+    const _acceptCode = async function (userTwoFactor, code, values, t) {
+        const step = _getCodeStep(_decryptSecret(userTwoFactor.secret), code);
+        if (step === null) {
+            return false;
+        }
+
+        const [updatedCount] = await UserTwoFactor.update(
+            Object.assign({lastUsedStep: step}, values),
+            {
+                where: {
+                    userId: userTwoFactor.userId,
+                    [Op.or]: [
+                        {
+                            lastUsedStep: null
+                        },
+                        {
+                            lastUsedStep: {
+                                [Op.lt]: step
+                            }
+                        }
+                    ]
+                },
+                transaction: t
+            }
+        );
+
+        return updatedCount === 1;
+    };
+
+    /**
+     * Use the recovery code, every recovery code can be used once
+     *
+     * @param {object} userTwoFactor UserTwoFactor instance
+     * @param {string} code Recovery code
+     * @param {object} [t] Transaction
+     *
+     * @returns {Promise<boolean>} True if the code was accepted
+     *
+     * @private
+     */
+    const _acceptRecoveryCode = async function (userTwoFactor, code, t) {
+        const codeHash = _getRecoveryCodeHash(code);
+
+        const [updatedCount] = await UserTwoFactor.update(
+            {
+                recoveryCodes: db.fn('array_remove', db.col('recoveryCodes'), codeHash)
+            },
+            {
+                where: {
+                    userId: userTwoFactor.userId,
+                    recoveryCodes: {
+                        [Op.contains]: [codeHash]
+                    }
+                },
+                transaction: t
+            }
+        );
+
+        return updatedCount === 1;
+    };
+
+    const _findEnabled = async function (userId, t) {
+        return UserTwoFactor.findOne({
+            where: {
+                userId: userId,
+                enabledAt: {
+                    [Op.ne]: null
+                }
+            },
+            transaction: t
+        });
+    };
+
+    /**
+     * Is two-factor authentication enabled for the User
+     *
+     * @param {string} userId User id
+     * @param {object} [t] Transaction
+     *
+     * @returns {Promise<boolean>} True if enabled
+     */
+    const _isEnabled = async function (userId, t) {
+        return !!(await _findEnabled(userId, t));
+    };
+
+    /**
+     * Get two-factor authentication status of the User
+     *
+     * @param {string} userId User id
+     *
+     * @returns {Promise<object>} {enabled, enabledAt, recoveryCodesCount}
+     */
+    const _getStatus = async function (userId) {
+        const userTwoFactor = await _findEnabled(userId);
+
+        return {
+            enabled: !!userTwoFactor,
+            enabledAt: userTwoFactor ? userTwoFactor.enabledAt : null,
+            recoveryCodesCount: userTwoFactor ? userTwoFactor.recoveryCodes.length : 0
+        };
+    };
+
+    /**
+     * Start the enrollment
+     *
+     * Starting again replaces the secret of the pending enrollment.
+     *
+     * @param {object} user User instance
+     *
+     * @returns {Promise<object>} {secret, uri} - base32 encoded secret for typing it in and "otpauth" URI for the QR code
+     *
+     * @throws {Error} IF the User has no password or two-factor authentication is already enabled
+     */
+    const _enroll = async function (user) {
+        if (!user.password) {
+            throw _createError('Two-factor authentication is available for the accounts with a password.', ERROR_TYPES.passwordRequired);
+        }
+
+        if (await _isEnabled(user.id)) {
+            throw _createError('Two-factor authentication is already enabled.', ERROR_TYPES.alreadyEnabled);
+        }
+
+        const secret = cryptoLib.getBase32(crypto.randomBytes(SECRET_LENGTH));
+
+        await UserTwoFactor.upsert({
+            userId: user.id,
+            secret: _encryptSecret(secret),
+            enabledAt: null,
+            lastUsedStep: null,
+            recoveryCodes: []
+        });
+
+        const issuer = twoFactorConfig.issuer || ISSUER_DEFAULT;
+        const label = encodeURIComponent(issuer) + ':' + encodeURIComponent(user.email);
+        const params = {
+            secret: secret,
+            issuer: issuer,
+            algorithm: 'SHA1',
+            digits: DIGITS,
+            period: STEP
+        };
+
+        return {
+            secret: secret,
+            uri: 'otpauth://totp/' + label + '?' + querystring.stringify(params)
+        };
+    };
+
+    /**
+     * Complete the enrollment with the first code from the authenticator app
+     *
+     * @param {string} userId User id
+     * @param {string} code TOTP code
+     *
+     * @returns {Promise<Array<string>>} Recovery codes, shown to the User once
+     *
+     * @throws {Error} IF the enrollment has not been started or the code is invalid
+     */
+    const _enable = async function (userId, code) {
+        const userTwoFactor = await UserTwoFactor.findOne({
+            where: {
+                userId: userId
+            }
+        });
+
+        if (!userTwoFactor || userTwoFactor.enabledAt) {
+            throw _createError('Two-factor authentication enrollment has not been started.', ERROR_TYPES.notEnrolled);
+        }
+
+        const recoveryCodes = _generateRecoveryCodes();
+
+        const isAccepted = await _acceptCode(userTwoFactor, _normalizeCode(code), {
+            enabledAt: db.fn('NOW'),
+            recoveryCodes: recoveryCodes.map(_getRecoveryCodeHash)
+        });
+
+        if (!isAccepted) {
+            throw _createError('Invalid code.', ERROR_TYPES.invalidCode);
+        }
+
+        return recoveryCodes;
+    };
+
+    /**
+     * Verify the code of the User, either from the authenticator app or one of the recovery codes
+     *
+     * @param {string} userId User id
+     * @param {string} code TOTP code or a recovery code
+     * @param {object} [t] Transaction
+     *
+     * @returns {Promise<void>} Resolves if the code was accepted
+     *
+     * @throws {Error} IF two-factor authentication is not enabled or the code is invalid
+     */
+    const _verify = async function (userId, code, t) {
+        const userTwoFactor = await _findEnabled(userId, t);
+        if (!userTwoFactor) {
+            throw _createError('Two-factor authentication is not enabled.', ERROR_TYPES.notEnabled);
+        }
+
+        const codeNormalized = _normalizeCode(code);
+
+        let isAccepted;
+        if (codeNormalized.length === DIGITS && /^[0-9]+$/.test(codeNormalized)) {
+            isAccepted = await _acceptCode(userTwoFactor, codeNormalized, null, t);
+        } else {
+            isAccepted = await _acceptRecoveryCode(userTwoFactor, codeNormalized, t);
+        }
+
+        if (!isAccepted) {
+            throw _createError('Invalid code.', ERROR_TYPES.invalidCode);
+        }
+    };
+
+    /**
+     * Replace the recovery codes
+     *
+     * @param {string} userId User id
+     * @param {string} code TOTP code or a recovery code
+     *
+     * @returns {Promise<Array<string>>} New recovery codes
+     *
+     * @throws {Error} IF two-factor authentication is not enabled or the code is invalid
+     */
+    const _regenerateRecoveryCodes = async function (userId, code) {
+        const recoveryCodes = _generateRecoveryCodes();
+
+        await db.transaction(async function (t) {
+            await _verify(userId, code, t);
+
+            await UserTwoFactor.update(
+                {
+                    recoveryCodes: recoveryCodes.map(_getRecoveryCodeHash)
+                },
+                {
+                    where: {
+                        userId: userId
+                    },
+                    transaction: t
+                }
+            );
+        });
+
+        return recoveryCodes;
+    };
+
+    /**
+     * Disable two-factor authentication
+     *
+     * @param {string} userId User id
+     * @param {string} code TOTP code or a recovery code
+     *
+     * @returns {Promise<void>}
+     *
+     * @throws {Error} IF two-factor authentication is not enabled or the code is invalid
+     */
+    const _disable = async function (userId, code) {
+        await db.transaction(async function (t) {
+            await _verify(userId, code, t);
+
+            await UserTwoFactor.destroy({
+                where: {
+                    userId: userId
+                },
+                transaction: t
+            });
+        });
+    };
+
+    /**
+     * Get the token for the second step of the log-in, issued after the password has been checked
+     *
+     * @param {string} userId User id
+     *
+     * @returns {string} Token restricted to the second step of the log-in
+     */
+    const _getChallengeToken = function (userId) {
+        return cosJwt.getTokenRestrictedUse(
+            {
+                userId: userId
+            },
+            'POST ' + PATH_LOGIN_TWO_FACTOR,
+            {
+                expiresIn: twoFactorConfig.challengeExpiresIn || CHALLENGE_EXPIRES_IN_DEFAULT
+            }
+        );
+    };
+
+    /**
+     * Verify the token for the second step of the log-in
+     *
+     * @param {string} token Token issued by getChallengeToken
+     *
+     * @returns {string} User id
+     *
+     * @throws {Error} IF the token is invalid or expired
+     */
+    const _verifyChallengeToken = function (token) {
+        return cosJwt.verifyTokenRestrictedUse(token, 'POST ' + PATH_LOGIN_TWO_FACTOR).userId;
+    };
+
+    return {
+        ERROR_TYPES: ERROR_TYPES,
+        isEnabled: _isEnabled,
+        getStatus: _getStatus,
+        enroll: _enroll,
+        enable: _enable,
+        verify: _verify,
+        regenerateRecoveryCodes: _regenerateRecoveryCodes,
+        disable: _disable,
+        getChallengeToken: _getChallengeToken,
+        verifyChallengeToken: _verifyChallengeToken
+    };
+};
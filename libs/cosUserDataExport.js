@@ -0,0 +1,366 @@
+'use strict';
+
+/**
+ * User data export (GDPR data portability)
+ *
+ * Collects everything held about the User into a ZIP of JSON files. The file is created by a background Job, kept in the storage (libs/cosStorage.js)
+ * for "config.userDataExport.expiresIn" seconds and downloaded with a restricted use token (libs/cosJwt.js).
+ * Soft deleted records are included, as they are still held.
+ */
+
+module.exports = function (app) {
+    const config = app.get('config');
+    const logger = app.get('logger');
+    const models = app.get('models');
+    const db = models.sequelize;
+    const moment = app.get('moment');
+    const cosJobs = app.get('cosJobs');
+    const cosJwt = app.get('cosJwt');
+    const cosStorage = app.get('cosStorage');
+    const urlLib = app.get('urlLib');
+    const archiver = require('archiver');
+
+    const User = models.User;
+    const UserDataExport = models.UserDataExport;
+
+    const exportConfig = config.userDataExport || {};
+
+    const JOB_CREATE = 'userDataExport';
+    const JOB_EXPIRE = 'userDataExportExpire';
+
+    const EXPIRES_IN_DEFAULT = 604800; // 7 days
+    const DOWNLOAD_EXPIRES_IN_DEFAULT = 3600;
+
+    const PATH_DOWNLOAD = '/api/users/:userId/exports/:exportId/download';
+
+    const _query = function (sql, userId) {
+        return db
+            .query(
+                sql,
+                {
+                    replacements: {
+                        userId: userId
+                    },
+                    type: db.QueryTypes.SELECT,
+                    raw: true
+                }
+            );
+    };
+
+    /**
+     * Collect the User data
+     *
+     * @param {string} userId User id
+     *
+     * @returns {Promise<object>} File name to data map
+     *
+     * @private
+     */
+    const _collect = async function (userId) {
+        const profile = await User.findOne({
+            where: {
+                id: userId
+            },
+            attributes: {
+                exclude: ['password', 'passwordResetCode', 'emailVerificationCode']
+            },
+            raw: true
+        });
+
+        const files = {
+            'profile.json': profile
+        };
+
+        files['userConnections.json'] = await _query(
+            `
+            SELECT "connectionId", "connectionUserId", "connectionData", "createdAt", "updatedAt", "deletedAt"
+            FROM "UserConnections"
+            WHERE "userId" = :userId
+            ORDER BY "createdAt" ASC;
+            `,
+            userId
+        );
+
+        files['userConsents.json'] = await _query(
+            `
+            SELECT uc."partnerId", p.website AS "partnerWebsite", uc."createdAt", uc."updatedAt", uc."deletedAt"
+            FROM "UserConsents" uc
+            LEFT JOIN "Partners" p ON p.id = uc."partnerId"
+            WHERE uc."userId" = :userId
+            ORDER BY uc."createdAt" ASC;
+            `,
+            userId
+        );
+
+        files['topics.json'] = await _query(
+            `
+            SELECT id, title, description, status, visibility, categories, "endsAt", "createdAt", "updatedAt", "deletedAt"
+            FROM "Topics"
+            WHERE "creatorId" = :userId
+            ORDER BY "createdAt" ASC;
+            `,
+            userId
+        );
+
+        // "edits" is the edit history of the Comment
+        files['comments.json'] = await _query(
+            `
+            SELECT c.id, tc."topicId", c."parentId", c.type, c.subject, c.text, c.edits, c."createdAt", c."updatedAt", c."deletedAt", c."deletedReasonType", c."deletedReasonText"
+            FROM "Comments" c
+            LEFT JOIN "TopicComments" tc ON tc."commentId" = c.id
+            WHERE c."creatorId" = :userId
+            ORDER BY c."createdAt" ASC;
+            `,
+            userId
+        );
+
+        files['votes.json'] = await _query(
+            `
+            SELECT tv."topicId", vl."voteId", vl."optionId", vo.value AS "optionValue", vl.rank, vl.score, vl."createdAt", vl."deletedAt"
+            FROM "VoteLists" vl
+            LEFT JOIN "VoteOptions" vo ON vo.id = vl."optionId"
+            LEFT JOIN "TopicVotes" tv ON tv."voteId" = vl."voteId"
+            WHERE vl."userId" = :userId
+            ORDER BY vl."createdAt" ASC;
+            `,
+            userId
+        );
+
+        files['voteDelegations.json'] = await _query(
+            `
+            SELECT "voteId", "byUserId", "toUserId", "createdAt", "deletedAt"
+            FROM "VoteDelegations"
+            WHERE "byUserId" = :userId OR "toUserId" = :userId
+            ORDER BY "createdAt" ASC;
+            `,
+            userId
+        );
+
+        files['groupMemberships.json'] = await _query(
+            `
+            SELECT gmu."groupId", g.name AS "groupName", gmu.level, gmu."createdAt", gmu."deletedAt"
+            FROM "GroupMemberUsers" gmu
+            LEFT JOIN "Groups" g ON g.id = gmu."groupId"
+            WHERE gmu."userId" = :userId
+            ORDER BY gmu."createdAt" ASC;
+            `,
+            userId
+        );
+
+        files['topicMemberships.json'] = await _query(
+            `
+            SELECT tmu."topicId", t.title AS "topicTitle", tmu.level, tmu."createdAt", tmu."deletedAt"
+            FROM "TopicMemberUsers" tmu
+            LEFT JOIN "Topics" t ON t.id = tmu."topicId"
+            WHERE tmu."userId" = :userId
+            ORDER BY tmu."createdAt" ASC;
+            `,
+            userId
+        );
+
+        // Invites received and sent by the User
+        files['invites.json'] = {
+            topics: await _query(
+                `
+                SELECT id, "topicId", "creatorId", "userId", level, "createdAt", "deletedAt"
+                FROM "TopicInviteUsers"
+                WHERE "userId" = :userId OR "creatorId" = :userId
+                ORDER BY "createdAt" ASC;
+                `,
+                userId
+            ),
+            groups: await _query(
+                `
+                SELECT id, "groupId", "creatorId", "userId", level, "createdAt", "deletedAt"
+                FROM "GroupInviteUsers"
+                WHERE "userId" = :userId OR "creatorId" = :userId
+                ORDER BY "createdAt" ASC;
+                `,
+                userId
+            )
+        };
+
+        files['activities.json'] = await _query(
+            `
+            SELECT id, data, "createdAt"
+            FROM "Activities"
+            WHERE "actorType" = 'User' AND "actorId" = :userId
+            ORDER BY "createdAt" ASC;
+            `,
+            userId
+        );
+
+        return files;
+    };
+
+    /**
+     * Request a new export
+     *
+     * @param {string} userId User id
+     * @param {object} [transaction] Sequelize transaction
+     *
+     * @returns {Promise<object>} UserDataExport
+     */
+    const _create = async function (userId, transaction) {
+        const userDataExport = await UserDataExport.create(
+            {
+                userId: userId
+            },
+            {
+                transaction: transaction
+            }
+        );
+
+        await cosJobs.schedule(JOB_CREATE, {exportId: userDataExport.id}, null, JOB_CREATE + ':' + userDataExport.id, transaction);
+
+        return userDataExport;
+    };
+
+    /**
+     * Get a short-lived download URL
+     *
+     * @param {object} userDataExport UserDataExport
+     *
+     * @returns {string} Download URL
+     */
+    const _getDownloadUrl = function (userDataExport) {
+        const path = PATH_DOWNLOAD
+            .replace(':userId', userDataExport.userId)
+            .replace(':exportId', userDataExport.id);
+
+        const token = cosJwt.getTokenRestrictedUse(
+            {
+                userId: userDataExport.userId,
+                exportId: userDataExport.id
+            },
+            'GET ' + path,
+            {
+                expiresIn: exportConfig.downloadExpiresIn || DOWNLOAD_EXPIRES_IN_DEFAULT
+            }
+        );
+
+        return urlLib.getApi(path, null, {token: token});
+    };
+
+    /**
+     * Read the export file
+     *
+     * @param {object} userDataExport UserDataExport
+     *
+     * @returns {Stream} ZIP file
+     */
+    const _getStream = function (userDataExport) {
+        return cosStorage.store.getStream(userDataExport.storageKey);
+    };
+
+    /**
+     * Job handler - create the export file
+     *
+     * @param {object} data {exportId}
+     * @param {object} job Job
+     *
+     * @returns {Promise<void>}
+     *
+     * @private
+     */
+    const _run = async function (data, job) {
+        const userDataExport = await UserDataExport.findOne({
+            where: {
+                id: data.exportId
+            }
+        });
+
+        if (!userDataExport || userDataExport.status !== UserDataExport.STATUSES.pending) {
+            return;
+        }
+
+        const key = 'exports/users/' + userDataExport.userId + '/' + userDataExport.id + '.zip';
+
+        try {
+            const files = await _collect(userDataExport.userId);
+            const archive = archiver('zip');
+
+            const archiveFailed = new Promise(function (resolve, reject) {
+                archive.on('error', reject);
+            });
+
+            Object.keys(files).forEach(function (name) {
+                archive.append(JSON.stringify(files[name], null, 2), {name: name});
+            });
+
+            await Promise.race([
+                Promise.all([
+                    cosStorage.store.put(key, archive),
+                    archive.finalize()
+                ]),
+                archiveFailed
+            ]);
+
+            const expiresAt = moment().add(exportConfig.expiresIn || EXPIRES_IN_DEFAULT, 'seconds').toDate();
+
+            await db.transaction(async function (t) {
+                await userDataExport.update(
+                    {
+                        status: UserDataExport.STATUSES.ready,
+                        storageKey: key,
+                        size: archive.pointer(),
+                        expiresAt: expiresAt
+                    },
+                    {
+                        transaction: t
+                    }
+                );
+
+                await cosJobs.schedule(JOB_EXPIRE, {exportId: userDataExport.id}, expiresAt, JOB_EXPIRE + ':' + userDataExport.id, t);
+            });
+        } catch (err) {
+            await cosStorage.delete(key);
+
+            if (job && job.attempts >= config.jobs.attemptsMax) {
+                logger.error('User data export failed', userDataExport.id, err);
+                await userDataExport.update({status: UserDataExport.STATUSES.failed});
+            }
+
+            throw err;
+        }
+    };
+
+    /**
+     * Job handler - delete the expired export file
+     *
+     * @param {object} data {exportId}
+     *
+     * @returns {Promise<void>}
+     *
+     * @private
+     */
+    const _expire = async function (data) {
+        const userDataExport = await UserDataExport.findOne({
+            where: {
+                id: data.exportId
+            }
+        });
+
+        if (!userDataExport || userDataExport.status !== UserDataExport.STATUSES.ready) {
+            return;
+        }
+
+        await cosStorage.delete(userDataExport.storageKey);
+        await userDataExport.update({
+            status: UserDataExport.STATUSES.expired,
+            storageKey: null
+        });
+    };
+
+    cosJobs.register(JOB_CREATE, _run);
+    cosJobs.register(JOB_EXPIRE, _expire);
+
+    return {
+        PATH_DOWNLOAD: PATH_DOWNLOAD,
+        create: _create,
+        getDownloadUrl: _getDownloadUrl,
+        getStream: _getStream,
+        run: _run,
+        expire: _expire
+    };
+};
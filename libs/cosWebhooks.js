@@ -0,0 +1,356 @@
+'use strict';
+
+/**
+ * Partner Webhooks
+ *
+ * Derives lifecycle events (PartnerWebhook.EVENTS) from saved Activities and POST-s them to the Webhooks of the Partner the Topic belongs to (Topic.sourcePartnerId).
+ * Deliveries are logged in PartnerWebhookDeliveries and sent using Jobs (libs/cosJobs.js), which take care of the retries with back-off.
+ */
+
+module.exports = function (app) {
+    const logger = app.get('logger');
+    const models = app.get('models');
+    const db = models.sequelize;
+    const config = app.get('config');
+    const crypto = app.get('crypto');
+    const superagent = app.get('superagent');
+    const cosUtil = app.get('util');
+    const cosActivities = app.get('cosActivities');
+    const cosJobs = app.get('cosJobs');
+
+    const Activity = models.Activity;
+    const Topic = models.Topic;
+    const PartnerWebhook = models.PartnerWebhook;
+    const PartnerWebhookDelivery = models.PartnerWebhookDelivery;
+
+    const EVENTS = PartnerWebhook.EVENTS;
+    const JOB_DELIVERY = 'webhookDelivery';
+
+    const HEADERS = {
+        event: 'X-CitizenOS-Event',
+        delivery: 'X-CitizenOS-Delivery',
+        timestamp: 'X-CitizenOS-Timestamp',
+        signature: 'X-CitizenOS-Signature'
+    };
+
+    /**
+     * Find the new value of a field from the Activity change set (JSON patch)
+     *
+     * @param {Array} changeSet Activity "result"
+     * @param {string} field Field name
+     *
+     * @returns {object|undefined} Patch operation for the field
+     *
+     * @private
+     */
+    const _findChange = function (changeSet, field) {
+        if (!Array.isArray(changeSet)) {
+            return;
+        }
+
+        return changeSet.find(function (change) {
+            return change.path === '/' + field;
+        });
+    };
+
+    /**
+     * Derive Webhook events from Activity data
+     *
+     * NOTE: Payloads only contain identifiers and statuses, never User personal data or the choices of the voters.
+     *
+     * @param {object} activityData Activity.data
+     *
+     * @returns {Array<object>} Array of events [{event, topicId, data}]
+     *
+     * @private
+     */
+    const _getEvents = function (activityData) { // eslint-disable-line complexity
+        const events = [];
+        const object = activityData.object;
+        const target = activityData.target;
+
+        if (!object) {
+            return events;
+        }
+
+        if (activityData.type === Activity.TYPES.create) {
+            if (object['@type'] === 'Topic') {
+                events.push({
+                    event: EVENTS.topicCreated,
+                    topicId: object.id,
+                    data: {
+                        topic: {
+                            id: object.id,
+                            status: object.status,
+                            visibility: object.visibility,
+                            sourcePartnerObjectId: object.sourcePartnerObjectId
+                        }
+                    }
+                });
+            } else if (object['@type'] === 'Comment' && target && target['@type'] === 'Topic') {
+                events.push({
+                    event: EVENTS.commentCreated,
+                    topicId: target.id,
+                    data: {
+                        topic: {
+                            id: target.id
+                        },
+                        comment: {
+                            id: object.id,
+                            type: object.type,
+                            parentId: activityData.inReplyTo ? activityData.inReplyTo.id : null
+                        }
+                    }
+                });
+            } else if (target && target['@type'] === 'Topic' && ((Array.isArray(object) && object.length && object[0]['@type'] === 'VoteList') || object['@type'] === 'VoteParticipant')) {
+                // Secret ballots (Vote.ballotIsSecret) create a VoteParticipant activity instead of VoteList-s
+                events.push({
+                    event: EVENTS.voteCast,
+                    topicId: target.id,
+                    data: {
+                        topic: {
+                            id: target.id
+                        },
+                        vote: {
+                            id: Array.isArray(object) ? object[0].voteId : object.voteId
+                        }
+                    }
+                });
+            }
+        } else if (activityData.type === Activity.TYPES.update) {
+            if (object['@type'] === 'Topic') {
+                const statusChange = _findChange(activityData.result, 'status');
+                if (statusChange) {
+                    const statusPrevious = activityData.origin ? activityData.origin.status : null;
+                    const data = {
+                        topic: {
+                            id: object.id,
+                            status: statusChange.value,
+                            statusPrevious: statusPrevious,
+                            sourcePartnerObjectId: object.sourcePartnerObjectId
+                        }
+                    };
+
+                    events.push({
+                        event: EVENTS.topicStatusChanged,
+                        topicId: object.id,
+                        data: data
+                    });
+
+                    if (statusPrevious === Topic.STATUSES.voting) {
+                        events.push({
+                            event: EVENTS.voteClosed,
+                            topicId: object.id,
+                            data: data
+                        });
+                    }
+                }
+            } else if (object['@type'] === 'TopicReport' && _findChange(activityData.result, 'moderatedById')) {
+                events.push({
+                    event: EVENTS.reportModerated,
+                    topicId: object.topicId,
+                    data: {
+                        topic: {
+                            id: object.topicId
+                        },
+                        report: {
+                            id: object.id
+                        }
+                    }
+                });
+            } else if (object['@type'] === 'Comment' && target && target['@type'] === 'Topic' && _findChange(activityData.result, 'deletedByReportId')) {
+                events.push({
+                    event: EVENTS.reportModerated,
+                    topicId: target.id,
+                    data: {
+                        topic: {
+                            id: target.id
+                        },
+                        comment: {
+                            id: object.id
+                        },
+                        report: {
+                            id: _findChange(activityData.result, 'deletedByReportId').value
+                        }
+                    }
+                });
+            }
+        }
+
+        return events;
+    };
+
+    /**
+     * Sign payload
+     *
+     * Signature is HMAC-SHA256 of "<timestamp>.<body>" using the Webhook secret. Partner should verify it and reject old timestamps to prevent replays.
+     *
+     * @param {string} secret Webhook secret
+     * @param {number} timestamp Unix timestamp (seconds)
+     * @param {string} body Request body
+     *
+     * @returns {string} Signature in format "sha256=<hex>"
+     *
+     * @private
+     */
+    const _sign = function (secret, timestamp, body) {
+        return 'sha256=' + crypto
+            .createHmac('sha256', secret)
+            .update(timestamp + '.' + body)
+            .digest('hex');
+    };
+
+    /**
+     * Handle saved Activity - log deliveries for all matching Webhooks and schedule sending
+     *
+     * @param {object} activity Activity Sequelize instance
+     *
+     * @returns {Promise<Array>} Created deliveries
+     *
+     * @private
+     */
+    const _handleActivity = async function (activity) {
+        const events = _getEvents(activity.data);
+
+        if (!events.length) {
+            return [];
+        }
+
+        const deliveries = [];
+
+        await db.transaction(async function (t) {
+            for (const e of events) {
+                const webhooks = await db
+                    .query(
+                        `
+                        SELECT
+                            pw.id
+                        FROM "PartnerWebhooks" pw
+                            JOIN "Topics" t ON (t."sourcePartnerId" = pw."partnerId")
+                        WHERE t.id = :topicId
+                            AND :event = ANY(pw.events)
+                            AND pw."deletedAt" IS NULL
+                        ;`,
+                        {
+                            replacements: {
+                                topicId: e.topicId,
+                                event: e.event
+                            },
+                            type: db.QueryTypes.SELECT,
+                            raw: true,
+                            transaction: t
+                        }
+                    );
+
+                for (const webhook of webhooks) {
+                    const delivery = PartnerWebhookDelivery.build({
+                        webhookId: webhook.id,
+                        activityId: activity.id,
+                        event: e.event
+                    });
+
+                    delivery.payload = {
+                        id: delivery.id,
+                        event: e.event,
+                        createdAt: activity.createdAt,
+                        data: e.data
+                    };
+
+                    await delivery.save({transaction: t});
+                    await cosJobs.schedule(JOB_DELIVERY, {deliveryId: delivery.id}, null, JOB_DELIVERY + ':' + delivery.id, t);
+
+                    deliveries.push(delivery);
+                }
+            }
+        });
+
+        return deliveries;
+    };
+
+    /**
+     * Deliver an event to the Webhook - Job handler
+     *
+     * @param {object} data Job data {deliveryId}
+     * @param {object} job Job instance
+     *
+     * @returns {Promise<void>}
+     *
+     * @private
+     */
+    const _deliver = async function (data, job) {
+        const delivery = await PartnerWebhookDelivery.findOne({
+            where: {
+                id: data.deliveryId
+            },
+            include: [PartnerWebhook]
+        });
+
+        // Webhook deleted or delivery already done
+        if (!delivery || !delivery.PartnerWebhook || delivery.status !== PartnerWebhookDelivery.STATUSES.pending) {
+            return;
+        }
+
+        const webhook = delivery.PartnerWebhook;
+        const body = JSON.stringify(delivery.payload);
+        const timestamp = Math.floor(Date.now() / 1000);
+
+        delivery.attempts = delivery.attempts + 1;
+
+        try {
+            // Resolved again, as the DNS records may have changed since the registration. Connecting to the checked address so that it cannot change in between.
+            const address = await cosUtil.lookupPublicAddress(new URL(webhook.url).hostname);
+
+            const res = await superagent
+                .post(webhook.url)
+                .connect(address)
+                .set('Content-Type', 'application/json')
+                .set(HEADERS.event, delivery.event)
+                .set(HEADERS.delivery, delivery.id)
+                .set(HEADERS.timestamp, String(timestamp))
+                .set(HEADERS.signature, _sign(webhook.secret, timestamp, body))
+                .timeout(config.webhooks.timeout)
+                .redirects(0)
+                .send(body);
+
+            delivery.status = PartnerWebhookDelivery.STATUSES.success;
+            delivery.responseStatus = res.status;
+            delivery.error = null;
+            delivery.deliveredAt = new Date();
+
+            await delivery.save();
+        } catch (err) {
+            delivery.responseStatus = err.status || null;
+            delivery.error = err.message;
+
+            if (job && job.attempts >= config.jobs.attemptsMax) {
+                delivery.status = PartnerWebhookDelivery.STATUSES.failed;
+            }
+
+            await delivery.save();
+
+            logger.warn('Webhook delivery failed', delivery.id, webhook.url, delivery.responseStatus, err.message);
+
+            throw err; // Let the Job runner retry
+        }
+    };
+
+    /**
+     * Create a Webhook secret
+     *
+     * @returns {string} Random secret
+     */
+    const _generateSecret = function () {
+        return crypto.randomBytes(32).toString('hex');
+    };
+
+    cosJobs.register(JOB_DELIVERY, _deliver);
+    cosActivities.addListener(_handleActivity);
+
+    return {
+        HEADERS: HEADERS,
+        getEvents: _getEvents,
+        handleActivity: _handleActivity,
+        sign: _sign,
+        generateSecret: _generateSecret
+    };
+};
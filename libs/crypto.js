@@ -23,6 +23,25 @@ var HASH_TYPES = {
     }
 };
 
+// EC curves by the length of the DER encoded SubjectPublicKeyInfo
+var EC_CURVES = {
+    91: {
+        name: 'P-256',
+        size: 32
+    },
+    120: {
+        name: 'P-384',
+        size: 48
+    },
+    158: {
+        name: 'P-521',
+        size: 66
+    }
+};
+
+// RFC 4648 base32 alphabet, used for the TOTP secrets
+var BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
 var crypto = require('crypto');
 var base64url = require('base64-url');
 
@@ -68,6 +87,269 @@ var _getAtHash = function (data, algorithm) {
     return base64url.encode(hash.slice(0, 16).toString('hex'));
 };
 
+/**
+ * Get PKCE "code_challenge" for the "code_verifier" using the "S256" method
+ *
+ * @param {string} codeVerifier PKCE "code_verifier"
+ *
+ * @returns {string} PKCE "code_challenge"
+ *
+ * @see https://tools.ietf.org/html/rfc7636#section-4.2
+ */
+var _getPkceChallenge = function (codeVerifier) {
+    if (codeVerifier === null) {
+        return null;
+    }
+
+    var sum = crypto.createHash('sha256');
+    sum.update(codeVerifier);
+
+    return base64url.escape(sum.digest('base64'));
+};
+
+/**
+ * Read ASN.1 DER element length
+ *
+ * @param {Buffer} der DER encoded data
+ * @param {number} offset Offset of the length octets
+ *
+ * @returns {Array<number>} [length, offset of the content]
+ *
+ * @private
+ */
+var _readDerLength = function (der, offset) {
+    var length = der[offset];
+    if (length < 0x80) {
+        return [length, offset + 1];
+    }
+
+    var octets = length & 0x7f;
+    length = 0;
+    for (var i = 1; i <= octets; i++) {
+        length = length * 256 + der[offset + i];
+    }
+
+    return [length, offset + 1 + octets];
+};
+
+/**
+ * Read ASN.1 DER INTEGER as unsigned big-endian bytes
+ *
+ * @param {Buffer} der DER encoded data
+ * @param {number} offset Offset of the INTEGER tag
+ *
+ * @returns {Array} [value, offset of the next element]
+ *
+ * @private
+ */
+var _readDerInteger = function (der, offset) {
+    if (der[offset] !== 0x02) {
+        throw Error('Invalid DER, INTEGER expected!');
+    }
+
+    var lengthInfo = _readDerLength(der, offset + 1);
+    var value = der.slice(lengthInfo[1], lengthInfo[1] + lengthInfo[0]);
+
+    // Strip the sign octet
+    while (value.length > 1 && value[0] === 0x00) {
+        value = value.slice(1);
+    }
+
+    return [value, lengthInfo[1] + lengthInfo[0]];
+};
+
+/**
+ * Get JSON Web Key (JWK) of the public key
+ *
+ * Node does not export JWK before v15.9, so the key parameters are read from the DER encoding.
+ *
+ * @param {string} publicKeyPem Public key in PEM format. RSA and EC (P-256, P-384, P-521) keys are supported.
+ *
+ * @returns {object} JWK without "alg", "use" and "kid"
+ *
+ * @throws {Error} IF the key type is not supported
+ *
+ * @see https://tools.ietf.org/html/rfc7517
+ */
+var _getJwk = function (publicKeyPem) {
+    var key = crypto.createPublicKey(publicKeyPem);
+    var der;
+
+    if (key.asymmetricKeyType === 'rsa') {
+        // RSAPublicKey ::= SEQUENCE { modulus INTEGER, publicExponent INTEGER }
+        der = key.export({type: 'pkcs1', format: 'der'});
+
+        var sequenceInfo = _readDerLength(der, 1);
+        var modulus = _readDerInteger(der, sequenceInfo[1]);
+        var exponent = _readDerInteger(der, modulus[1]);
+
+        return {
+            kty: 'RSA',
+            n: base64url.escape(modulus[0].toString('base64')),
+            e: base64url.escape(exponent[0].toString('base64'))
+        };
+    }
+
+    if (key.asymmetricKeyType === 'ec') {
+        // Uncompressed EC point (0x04 | x | y) is at the end of the SubjectPublicKeyInfo
+        der = key.export({type: 'spki', format: 'der'});
+
+        var curve = EC_CURVES[der.length];
+        if (!curve) {
+            throw Error('Unsupported EC curve!');
+        }
+
+        var point = der.slice(der.length - curve.size * 2);
+
+        return {
+            kty: 'EC',
+            crv: curve.name,
+            x: base64url.escape(point.slice(0, curve.size).toString('base64')),
+            y: base64url.escape(point.slice(curve.size).toString('base64'))
+        };
+    }
+
+    throw Error('Unsupported key type ' + key.asymmetricKeyType);
+};
+
+/**
+ * Get JWK thumbprint, used as the key id ("kid")
+ *
+ * @param {object} jwk JWK
+ *
+ * @returns {string} Thumbprint
+ *
+ * @see https://tools.ietf.org/html/rfc7638
+ */
+var _getJwkThumbprint = function (jwk) {
+    var members = jwk.kty === 'RSA' ? ['e', 'kty', 'n'] : ['crv', 'kty', 'x', 'y'];
+    var required = {};
+
+    members.forEach(function (member) {
+        required[member] = jwk[member];
+    });
+
+    var sum = crypto.createHash('sha256');
+    sum.update(JSON.stringify(required));
+
+    return base64url.escape(sum.digest('base64'));
+};
+
+/**
+ * Encode data to base32 without padding
+ *
+ * @param {Buffer} data Data to be encoded
+ *
+ * @returns {string} Base32 encoded data
+ *
+ * @see https://tools.ietf.org/html/rfc4648#section-6
+ */
+var _getBase32 = function (data) {
+    var bits = 0;
+    var value = 0;
+    var result = '';
+
+    for (var i = 0; i < data.length; i++) {
+        value = (value << 8) | data[i];
+        bits += 8;
+
+        while (bits >= 5) {
+            result += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+
+    if (bits > 0) {
+        result += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return result;
+};
+
+/**
+ * Decode base32 encoded data
+ *
+ * Case, padding and whitespace are ignored as the secrets are often typed in by hand.
+ *
+ * @param {string} data Base32 encoded data
+ *
+ * @returns {Buffer} Decoded data
+ *
+ * @throws {Error} IF the data is not base32 encoded
+ *
+ * @see https://tools.ietf.org/html/rfc4648#section-6
+ */
+var _getBufferFromBase32 = function (data) {
+    var chars = data.toUpperCase().replace(/[\s=]/g, '');
+    var bits = 0;
+    var value = 0;
+    var bytes = [];
+
+    for (var i = 0; i < chars.length; i++) {
+        var index = BASE32_ALPHABET.indexOf(chars[i]);
+        if (index < 0) {
+            throw Error('Invalid base32 character "' + chars[i] + '"');
+        }
+
+        value = (value << 5) | index;
+        bits += 5;
+
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+
+    return Buffer.from(bytes);
+};
+
+/**
+ * Get HMAC-based one-time password (HOTP)
+ *
+ * @param {Buffer} key Shared secret
+ * @param {number} counter Counter value
+ * @param {number} [digits=6] Number of digits in the password
+ * @param {string} [algorithm=sha1] HMAC hash algorithm
+ *
+ * @returns {string} One-time password, zero padded to the number of digits
+ *
+ * @see https://tools.ietf.org/html/rfc4226#section-5.3
+ */
+var _getHotp = function (key, counter, digits, algorithm) {
+    digits = digits || 6;
+
+    var counterBuffer = Buffer.alloc(8);
+    counterBuffer.writeUInt32BE(Math.floor(counter / 0x100000000), 0);
+    counterBuffer.writeUInt32BE(counter % 0x100000000, 4);
+
+    var hmac = crypto.createHmac(algorithm || 'sha1', key);
+    hmac.update(counterBuffer);
+    var digest = hmac.digest();
+
+    // Dynamic truncation
+    var offset = digest[digest.length - 1] & 0x0f;
+    var code = digest.readUInt32BE(offset) & 0x7fffffff;
+
+    return ('0'.repeat(digits) + (code % Math.pow(10, digits))).slice(-digits);
+};
+
+/**
+ * Get time-based one-time password (TOTP)
+ *
+ * @param {Buffer} key Shared secret
+ * @param {number} time Time in milliseconds since the epoch
+ * @param {number} [step=30] Time step in seconds
+ * @param {number} [digits=6] Number of digits in the password
+ * @param {string} [algorithm=sha1] HMAC hash algorithm
+ *
+ * @returns {string} One-time password
+ *
+ * @see https://tools.ietf.org/html/rfc6238#section-4
+ */
+var _getTotp = function (key, time, step, digits, algorithm) {
+    return _getHotp(key, Math.floor(time / 1000 / (step || 30)), digits, algorithm);
+};
+
 /**
  * Check if string is hex or not
  *
@@ -116,5 +398,12 @@ var _getHashType = function (hash) {
 module.exports = {
     getHash: _getHash,
     getAtHash: _getAtHash,
+    getPkceChallenge: _getPkceChallenge,
+    getJwk: _getJwk,
+    getJwkThumbprint: _getJwkThumbprint,
+    getBase32: _getBase32,
+    getBufferFromBase32: _getBufferFromBase32,
+    getHotp: _getHotp,
+    getTotp: _getTotp,
     getHashType: _getHashType
 };
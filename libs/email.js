@@ -19,10 +19,12 @@ module.exports = function (app) {
     const moment = app.get('moment');
     const url = app.get('url');
     const cosJwt = app.get('cosJwt');
+    const groupHierarchy = app.get('groupHierarchy');
 
     const User = models.User;
     const Topic = models.Topic;
     const Group = models.Group;
+    const Partner = models.Partner;
     const TopicMemberUser = models.TopicMemberUser;
 
     const templateRoot = app.get('EMAIL_TEMPLATE_ROOT');
@@ -63,6 +65,41 @@ module.exports = function (app) {
     };
 
 
+    /**
+     * Get e-mail styles for the Partner
+     *
+     * Partner.emailStyles override the defaults. Partners without them fall back to config "email.partnerStyles" by the Partner website host.
+     *
+     * @param {string} [partnerId] Partner id
+     *
+     * @returns {Promise<object>} Styles
+     *
+     * @private
+     */
+    const _getStyles = async function (partnerId) {
+        if (!partnerId) {
+            return EMAIL_OPTIONS_DEFAULT.styles;
+        }
+
+        const partner = await Partner.findOne({
+            where: {
+                id: partnerId
+            }
+        });
+
+        if (!partner) {
+            return EMAIL_OPTIONS_DEFAULT.styles;
+        }
+
+        let partnerStyles = partner.emailStyles;
+        if (!partnerStyles && config.email.partnerStyles) {
+            const website = url.parse(partner.website);
+            partnerStyles = config.email.partnerStyles[website.host || partner.website];
+        }
+
+        return Object.assign({}, EMAIL_OPTIONS_DEFAULT.styles, partnerStyles);
+    };
+
     const templateCache = {};
 
     /**
@@ -148,7 +185,9 @@ module.exports = function (app) {
 
         return db
             .query(
-                `SELECT
+                `WITH RECURSIVE
+                    ${groupHierarchy.TOPIC_GROUP_USERS_SQL}
+                SELECT
                         tm.id,
                         tm.name,
                         tm.email,
@@ -172,15 +211,12 @@ module.exports = function (app) {
                             UNION
                             (
                                 SELECT \
-                                    tmg."topicId",
-                                    gm."userId" AS "memberId",
-                                    tmg."level"::text,
+                                    tgu."topicId",
+                                    tgu."userId" AS "memberId",
+                                    tgu."level"::text,
                                     2 as "priority"
-                                FROM "TopicMemberGroups" tmg
-                                LEFT JOIN "GroupMemberUsers" gm ON (tmg."groupId" = gm."groupId")
-                                WHERE tmg."deletedAt" IS NULL
-                                AND gm."deletedAt" IS NULL
-                                ORDER BY tmg."level"::"enum_TopicMemberGroups_level" DESC
+                                FROM topic_group_users tgu
+                                ORDER BY tgu."level"::"enum_TopicMemberGroups_level" DESC
                             ) \
                         ) AS tm ON (tm."topicId" = t.id)
                         JOIN "Users" u ON (u.id = tm."memberId")
@@ -195,6 +231,7 @@ module.exports = function (app) {
                 {
                     replacements: {
                         topicId: topicId,
+                        topicIds: [topicId],
                         level: levelMinimum
                     },
                     type: db.QueryTypes.SELECT,
@@ -412,7 +449,7 @@ module.exports = function (app) {
             where: {
                 id: invites[0].topicId
             },
-            attributes: ['id', 'title', 'visibility']
+            attributes: ['id', 'title', 'visibility', 'sourcePartnerId']
         });
 
         const toUsersPromise = User.findAll({
@@ -429,7 +466,7 @@ module.exports = function (app) {
         let templateName = 'inviteTopic';
         let linkToApplication = urlLib.getFe();
         let message = invites[0].inviteMessage;
-        let customStyles = EMAIL_OPTIONS_DEFAULT.styles;
+        let customStyles = await _getStyles(topic.sourcePartnerId);
 
         const emailsSendPromises = toUsers.map(function (toUser) {
             if (!toUser.email) {
@@ -632,7 +669,7 @@ module.exports = function (app) {
             where: {
                 id: invites[0].groupId
             },
-            attributes: ['id', 'name', 'visibility']
+            attributes: ['id', 'name', 'visibility', 'sourcePartnerId']
         });
 
         const toUsersPromise = User.findAll({
@@ -649,7 +686,7 @@ module.exports = function (app) {
         let templateName = 'inviteGroup';
         let linkToApplication = urlLib.getFe();
         let message = invites[0].inviteMessage;
-        let customStyles = EMAIL_OPTIONS_DEFAULT.styles;
+        let customStyles = await _getStyles(group.sourcePartnerId);
 
         const emailsSendPromises = toUsers.map(function (toUser) {
             if (!toUser.email) {
@@ -1370,129 +1407,345 @@ module.exports = function (app) {
     };
 
     /**
-     * Send e-mail to Parliament to process new initiative
+     * Send e-mail to all Topic members when voting has ended by deadline
+     *
+     * @param {string} topicId Topic id
+     *
+     * @returns {Promise} Promise
+     *
+     * @private
+     */
+    const _sendTopicVotingEnd = async function (topicId) {
+        if (!topicId) {
+            throw new Error('Missing one or more required parameters');
+        }
+
+        const [topic, topicMemberList] = await Promise.all([
+            Topic.findOne({
+                where: {
+                    id: topicId
+                }
+            }),
+            _getTopicMemberUsers(topicId, TopicMemberUser.LEVELS.read)
+        ]);
+
+        if (!topic) {
+            logger.error('Could not send Topic voting end e-mails, Topic not found', topicId);
+
+            return;
+        }
+
+        const linkViewTopic = urlLib.getFe('/topics/:topicId', {topicId: topic.id});
+
+        const sendEmailPromises = topicMemberList.map(function (topicMemberUser) {
+            const template = resolveTemplate('topicVotingEnd', topicMemberUser.language);
+            const subject = template.translations.TOPIC_VOTING_END.SUBJECT
+                .replace('{{topic.title}}', util.escapeHtml(topic.title));
+
+            const emailOptions = Object.assign(
+                _.cloneDeep(EMAIL_OPTIONS_DEFAULT),
+                {
+                    subject: subject,
+                    to: topicMemberUser.email,
+                    //Placeholders
+                    userMember: topicMemberUser,
+                    topic: topic,
+                    linkViewTopic: linkViewTopic
+                }
+            );
+            emailOptions.linkedData.translations = template.translations;
+
+            return emailClient.sendStringAsync(template.body, emailOptions);
+        });
+
+        return handleAllPromises(sendEmailPromises);
+    };
+
+    /**
+     * Get one-click unsubscribe link for the notification e-mails
+     *
+     * @param {string} userId User id
+     * @param {string} [topicId] Topic id. If not given, the link unsubscribes from all notifications.
      *
-     * TODO: This logic is specific to Rahvaalgatus.ee, with next Partner we have to make it more generic - https://trello.com/c/Sj3XRF5V/353-raa-ee-followup-email-to-riigikogu-and-token-access-to-events-api
+     * @returns {string} Absolute url
+     *
+     * @private
+     */
+    const _getNotificationsUnsubscribeUrl = function (userId, topicId) {
+        const path = '/api/notifications/unsubscribe';
+        const payload = {
+            userId: userId
+        };
+
+        if (topicId) {
+            payload.topicId = topicId;
+        }
+
+        // POST for the mail clients that support one-click unsubscribe - https://tools.ietf.org/html/rfc8058
+        const token = cosJwt.getTokenRestrictedUse(payload, ['GET ' + path, 'POST ' + path]);
+
+        return urlLib.getApi(path, null, {token: token});
+    };
+
+    /**
+     * Send notification e-mail about the activity in Topics
+     *
+     * @param {object} user User {id, name, email, language}
+     * @param {string} frequency One of NotificationSetting.FREQUENCIES, except "off"
+     * @param {Array<object>} topics Topics with notifications [{topic: {id, title}, notifications: [{type, actor: {name}, comment: {subject}, status}]}], see cosNotifications.TYPES
+     *
+     * @returns {Promise} Promise
+     *
+     * @private
+     */
+    const _sendNotifications = async function (user, frequency, topics) {
+        if (!user || !user.email || !frequency || !topics || !topics.length) {
+            throw new Error('Missing one or more required parameters');
+        }
+
+        const template = resolveTemplate('notifications', user.language);
+        const translations = template.translations.NOTIFICATIONS;
+        const frequencyKey = frequency.toUpperCase();
+        const isInstant = frequency === 'instant';
+
+        const ITEM_KEYS = {
+            comment: 'ITEM_COMMENT',
+            reply: 'ITEM_REPLY',
+            voteStart: 'ITEM_VOTE_START',
+            voteEnd: 'ITEM_VOTE_END',
+            topicStatus: 'ITEM_TOPIC_STATUS'
+        };
+
+        // Mustache escapes the values, so no escaping here
+        const topicsData = topics.map(function (topicNotifications) {
+            return {
+                topic: topicNotifications.topic,
+                linkViewTopic: urlLib.getFe('/topics/:topicId', {topicId: topicNotifications.topic.id}),
+                items: topicNotifications.notifications.map(function (notification) {
+                    const text = translations[ITEM_KEYS[notification.type]]
+                        .replace('{{actor.name}}', notification.actor ? notification.actor.name : '')
+                        .replace('{{comment.subject}}', notification.comment ? notification.comment.subject : '')
+                        .replace('{{topic.status}}', translations.TOPIC_STATUSES[notification.status] || notification.status);
+
+                    return {
+                        text: text
+                    };
+                })
+            };
+        });
+
+        let subject = translations['SUBJECT_' + frequencyKey];
+        if (isInstant) {
+            subject = subject.replace('{{topic.title}}', util.escapeHtml(topics[0].topic.title));
+        }
+
+        // Instant e-mail is about a single Topic, so unsubscribe from that Topic only
+        const linkUnsubscribe = _getNotificationsUnsubscribeUrl(user.id, isInstant ? topics[0].topic.id : null);
+
+        const emailOptions = Object.assign(
+            _.cloneDeep(EMAIL_OPTIONS_DEFAULT),
+            {
+                subject: subject,
+                to: user.email,
+                // One-click unsubscribe in the mail clients - https://tools.ietf.org/html/rfc8058
+                headers: {
+                    'List-Unsubscribe': '<' + linkUnsubscribe + '>',
+                    'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+                },
+                //Placeholders
+                userMember: user,
+                intro: translations['INTRO_' + frequencyKey],
+                topics: topicsData,
+                linkSettings: urlLib.getFe('/myaccount'),
+                linkUnsubscribe: linkUnsubscribe,
+                unsubscribeText: isInstant ? translations.UNSUBSCRIBE_TOPIC : translations.UNSUBSCRIBE_ALL
+            }
+        );
+        emailOptions.linkedData.translations = template.translations;
+
+        return emailClient.sendStringAsync(template.body, emailOptions);
+    };
+
+    /**
+     * Get the default Institution of the system - the Parliament configured in "features.sendToParliament"
+     *
+     * Used for the Topics of the Partners that have no Institutions (PartnerInstitution) registered.
+     *
+     * @returns {object} Institution with the same properties as PartnerInstitution
+     */
+    const _getDefaultInstitution = function () {
+        const parliamentConfig = config.features.sendToParliament;
+
+        return {
+            id: null,
+            partnerId: null,
+            name: parliamentConfig.name,
+            emails: parliamentConfig.to,
+            from: parliamentConfig.from,
+            language: parliamentConfig.language,
+            template: parliamentConfig.template,
+            logo: parliamentConfig.logo,
+            emailStyles: parliamentConfig.emailStyles,
+            voteCountMin: parseInt(parliamentConfig.voteCountMin, 10),
+            contactFields: parliamentConfig.contactFields,
+            linkToApplication: parliamentConfig.urlPrefix,
+            linkViewTopic: parliamentConfig.urlPrefix + '/initiatives/:topicId',
+            linkAddEvent: parliamentConfig.urlPrefix + '/initiatives/:topicId/events/new',
+            sendContainerDownloadLinkToCreator: parliamentConfig.sendContainerDownloadLinkToCreator
+        };
+    };
+
+    /**
+     * Send e-mail to an Institution to process new initiative
+     *
+     * A copy is sent to the contact of the Topic, if the contact has an e-mail.
      *
      * @param {object} topic Topic Sequelize instance
-     * @param {object} contact Contact info {name, email, phone}
+     * @param {object} institution PartnerInstitution or the default Institution (see getDefaultInstitution)
+     * @param {object} [contact] Contact info {name, email, phone}
      * @param {string} linkDownloadBdocFinal Absolute uri to for BDOC download
      * @param {Date} linkDownloadBdocFinalExpiryDate Download link expiry date
-     * @param {string} linkAddEvent Absolute uri to a site that enables adding Events.
+     * @param {string} [linkAddEvent] Absolute uri to a site that enables adding Events. Not sent if the Institution does not post responses.
      *
-     * @returns {Promise} Parliament email sending result
+     * @returns {Promise<object>} Email sending result {done, errors, isDelivered}, "isDelivered" is true if the e-mail to the Institution was sent
      *
      * @private
      */
-    const _sendToParliament = function (topic, contact, linkDownloadBdocFinal, linkDownloadBdocFinalExpiryDate, linkAddEvent) {
-        if (!topic || !contact || !linkDownloadBdocFinal || !linkDownloadBdocFinalExpiryDate || !linkAddEvent) {
+    const _sendToInstitution = async function (topic, institution, contact, linkDownloadBdocFinal, linkDownloadBdocFinalExpiryDate, linkAddEvent) {
+        if (!topic || !institution || !linkDownloadBdocFinal || !linkDownloadBdocFinalExpiryDate) {
             return Promise.reject(new Error('Missing one or more required parameters'));
         }
 
-        const template = resolveTemplate('toParliament', 'et'); // Estonian Gov only accepts et
-        const linkToApplication = config.features.sendToParliament.urlPrefix;
+        contact = contact || {};
 
-        const from = config.features.sendToParliament.from;
-        const to = config.features.sendToParliament.to;
-        const subject = template.translations.TO_PARLIAMENT.SUBJECT.replace('{{topic.title}}', util.escapeHtml(topic.title));
-        const linkViewTopic = linkToApplication + '/initiatives/:topicId'.replace(':topicId', topic.id);
-        const logoFile = templateRoot + '/images/logo-email_rahvaalgatus.ee.png';
+        const language = institution.language;
+        const template = resolveTemplate(institution.template, language);
+        // Partner specific templates ("toParliament_rahvaalgatus.ee") share the translations of the base template
+        const translationsKey = _.snakeCase(institution.template.split('_')[0]).toUpperCase();
+
+        let linkToApplication = institution.linkToApplication;
+        if (!linkToApplication) {
+            const partner = institution.partnerId ? await Partner.findOne({where: {id: institution.partnerId}}) : null;
+            linkToApplication = partner ? partner.website : urlLib.getFe();
+        }
+
+        const from = institution.from;
+        const to = institution.emails;
+        const subject = template.translations[translationsKey].SUBJECT.replace('{{topic.title}}', util.escapeHtml(topic.title));
+        const linkViewTopic = institution.linkViewTopic ? institution.linkViewTopic.replace(':topicId', topic.id) : urlLib.getFe('/topics/:topicId', {topicId: topic.id});
+        const linkDownloadBdocFinalExpiryDateFormatted = moment(linkDownloadBdocFinalExpiryDate).locale(language).format('LL');
+        const logoFile = institution.logo ? path.join(templateRoot, 'images', institution.logo) : emailHeaderLogo;
 
         const promisesToResolve = [];
-        const customStyles = {
-            headerBackgroundColor: '#004892',
-            logoWidth: 360,
-            logoHeight: 51
-        };
+        const customStyles = Object.assign({}, await _getStyles(institution.partnerId), institution.emailStyles);
+        let isDelivered = false;
 
-        // Email to Parliament
         let linkedData = EMAIL_OPTIONS_DEFAULT.linkedData;
         linkedData.translations = template.translations;
 
-        const emailToParliamentPromise = emailClient
+        const emailOptions = {
+            subject: subject,
+            images: [
+                {
+                    name: emailHeaderLogoName,
+                    file: logoFile
+                },
+                {
+                    name: emailFooterLogoName,
+                    file: emailFooterLogo
+                }
+            ],
+            //Placeholders..
+            linkViewTopic: linkViewTopic,
+            linkToApplication: linkToApplication,
+            institution: {
+                name: institution.name
+            },
+            topic: topic,
+            contact: contact,
+            provider: EMAIL_OPTIONS_DEFAULT.provider,
+            styles: customStyles,
+            linkedData
+        };
+
+        if (from) {
+            emailOptions.from = from;
+        }
+
+        // Email to Institution
+        const emailToInstitutionPromise = emailClient
             .sendStringAsync(
                 template.body,
-                {
-                    from: from,
-                    subject: subject,
+                Object.assign({}, emailOptions, {
                     to: to,
-                    images: [
-                        {
-                            name: emailHeaderLogoName,
-                            file: logoFile
-                        },
-                        {
-                            name: emailFooterLogoName,
-                            file: emailFooterLogo
-                        }
-                    ],
-                    //Placeholders..
-                    linkViewTopic: linkViewTopic,
                     linkDownloadBdocFinal: linkDownloadBdocFinal,
-                    linkDownloadBdocFinalExpiryDate: moment(linkDownloadBdocFinalExpiryDate).locale('et').format('LL'),
-                    linkAddEvent: linkAddEvent,
-                    linkToApplication: linkToApplication,
-                    topic: topic,
-                    contact: contact,
-                    provider: EMAIL_OPTIONS_DEFAULT.provider,
-                    styles: customStyles,
-                    linkedData
-                }
+                    linkDownloadBdocFinalExpiryDate: linkDownloadBdocFinalExpiryDateFormatted,
+                    linkAddEvent: linkAddEvent || null
+                })
             )
             .then(function () {
-                logger.info('Sending Parliament e-mail succeeded', topic.id);
+                isDelivered = true;
+                logger.info('Sending Institution e-mail succeeded', institution.name, topic.id);
             })
             .catch(function (err) {
-                logger.error('Sending Parliament e-mail failed', topic.id, err);
+                logger.error('Sending Institution e-mail failed', institution.name, topic.id, err);
 
                 return Promise.reject(err);
             });
 
-        promisesToResolve.push(emailToParliamentPromise);
+        promisesToResolve.push(emailToInstitutionPromise);
 
         // Email to Topic creator
-        const emailToTopicCreatorPromise = emailClient
-            .sendStringAsync(
-                template.body,
-                {
-                    from: from,
-                    subject: subject,
-                    to: contact.email,
-                    images: [
-                        {
-                            name: emailHeaderLogoName,
-                            file: logoFile
-                        },
-                        {
-                            name: emailFooterLogoName,
-                            file: emailFooterLogo
-                        }
-                    ],
-                    //Placeholders..
-                    linkViewTopic: linkViewTopic,
-                    linkDownloadBdocFinal: config.features.sendToParliament.sendContainerDownloadLinkToCreator ? linkDownloadBdocFinal : null,
-                    linkDownloadBdocFinalExpiryDate: config.features.sendToParliament.sendContainerDownloadLinkToCreator ? moment(linkDownloadBdocFinalExpiryDate).locale('et').format('LL') : null,
-                    linkAddEvent: null,
-                    linkToApplication: linkToApplication,
-                    topic: topic,
-                    contact: contact,
-                    provider: EMAIL_OPTIONS_DEFAULT.provider,
-                    styles: customStyles,
-                    linkedData
-                }
-            )
-            .then(function () {
-                logger.info('Sending Parliament e-mail to creator succeeded', topic.id);
-            })
-            .catch(function (err) {
-                logger.error('Sending Parliament e-mail to creator failed', topic.id, err);
+        if (contact.email) {
+            const emailToTopicCreatorPromise = emailClient
+                .sendStringAsync(
+                    template.body,
+                    Object.assign({}, emailOptions, {
+                        to: contact.email,
+                        linkDownloadBdocFinal: institution.sendContainerDownloadLinkToCreator ? linkDownloadBdocFinal : null,
+                        linkDownloadBdocFinalExpiryDate: institution.sendContainerDownloadLinkToCreator ? linkDownloadBdocFinalExpiryDateFormatted : null,
+                        linkAddEvent: null
+                    })
+                )
+                .then(function () {
+                    logger.info('Sending Institution e-mail to creator succeeded', institution.name, topic.id);
+                })
+                .catch(function (err) {
+                    logger.error('Sending Institution e-mail to creator failed', institution.name, topic.id, err);
+
+                    return Promise.reject(err);
+                });
 
-                return Promise.reject(err);
-            });
+            promisesToResolve.push(emailToTopicCreatorPromise);
+        }
+
+        const result = await handleAllPromises(promisesToResolve);
+        result.isDelivered = isDelivered;
 
-        promisesToResolve.push(emailToTopicCreatorPromise);
+        return result;
+    };
+
+    /**
+     * Send e-mail to Parliament to process new initiative
+     *
+     * @param {object} topic Topic Sequelize instance
+     * @param {object} contact Contact info {name, email, phone}
+     * @param {string} linkDownloadBdocFinal Absolute uri to for BDOC download
+     * @param {Date} linkDownloadBdocFinalExpiryDate Download link expiry date
+     * @param {string} linkAddEvent Absolute uri to a site that enables adding Events.
+     *
+     * @returns {Promise} Parliament email sending result
+     *
+     * @see _sendToInstitution
+     *
+     * @private
+     */
+    const _sendToParliament = function (topic, contact, linkDownloadBdocFinal, linkDownloadBdocFinalExpiryDate, linkAddEvent) {
+        if (!topic || !contact || !linkDownloadBdocFinal || !linkDownloadBdocFinalExpiryDate || !linkAddEvent) {
+            return Promise.reject(new Error('Missing one or more required parameters'));
+        }
 
-        return handleAllPromises(promisesToResolve);
+        return _sendToInstitution(topic, _getDefaultInstitution(), contact, linkDownloadBdocFinal, linkDownloadBdocFinalExpiryDate, linkAddEvent);
     };
 
     return {
@@ -1508,6 +1761,11 @@ module.exports = function (app) {
         sendGroupMemberUserCreate: _sendGroupMemberUserCreate,
         sendCommentReport: _sendCommentReport,
         sendToParliament: _sendToParliament,
-        sendHelpRequest: _sendHelpRequest
+        sendToInstitution: _sendToInstitution,
+        getDefaultInstitution: _getDefaultInstitution,
+        sendHelpRequest: _sendHelpRequest,
+        sendTopicVotingEnd: _sendTopicVotingEnd,
+        sendNotifications: _sendNotifications,
+        getNotificationsUnsubscribeUrl: _getNotificationsUnsubscribeUrl
     };
 };
@@ -0,0 +1,151 @@
+'use strict';
+
+/**
+ * Group hierarchy (Group.parentId) SQL
+ *
+ * Members of a parent Group are members of a child Group that has "parentMemberLevel" set. The inherited level is the lower of their level in the parent and "parentMemberLevel".
+ * Inheritance continues down the tree for as long as the children have "parentMemberLevel" set.
+ * Topics shared with a Group (TopicMemberGroup) are shared with all of its subgroups.
+ * Membership in a Group that requires two-factor authentication ("requireTwoFactor") counts only when the User has it enabled.
+ */
+
+// Guard against cycles in Groups created before "parentId" was validated
+const DEPTH_MAX = 20;
+
+// Has the User (":userId") enabled two-factor authentication
+const USER_TWO_FACTOR_SQL = `
+    EXISTS (
+        SELECT 1
+        FROM "UserTwoFactors" utf
+        WHERE utf."userId" = :userId
+            AND utf."enabledAt" IS NOT NULL
+    )
+`;
+
+/**
+ * SQL of the "user_groups" CTE - Groups the User is a member of, directly or inherited from the parent Groups
+ *
+ * Use in "WITH RECURSIVE". Expects ":userId" replacement.
+ * Rows {groupId, level}. Group can have several rows when the membership comes from several parents, use MAX(level).
+ */
+const USER_GROUPS_SQL = `
+    user_groups AS (
+        SELECT
+            gmu."groupId",
+            gmu.level::text::"enum_GroupMemberUsers_level" AS level,
+            0 AS depth
+        FROM "GroupMemberUsers" gmu
+            JOIN "Groups" g ON (g.id = gmu."groupId" AND g."deletedAt" IS NULL)
+        WHERE gmu."userId" = :userId
+            AND gmu."deletedAt" IS NULL
+            AND (NOT g."requireTwoFactor" OR ${USER_TWO_FACTOR_SQL})
+        UNION ALL
+        SELECT
+            g.id,
+            LEAST(ug.level, g."parentMemberLevel"::text::"enum_GroupMemberUsers_level"),
+            ug.depth + 1
+        FROM "Groups" g
+            JOIN user_groups ug ON (ug."groupId" = g."parentId")
+        WHERE g."parentMemberLevel" IS NOT NULL
+            AND g."deletedAt" IS NULL
+            AND (NOT g."requireTwoFactor" OR ${USER_TWO_FACTOR_SQL})
+            AND ug.depth < ${DEPTH_MAX}
+    )
+`;
+
+/**
+ * SQL of the "user_groups_shared" CTE - Groups whose shared Topics the User has access to, that is the Groups of "user_groups" and all their ancestors
+ *
+ * Use in "WITH RECURSIVE" after USER_GROUPS_SQL.
+ * Rows {groupId}
+ */
+const USER_GROUPS_SHARED_SQL = `
+    user_groups_shared AS (
+        SELECT
+            ug."groupId",
+            0 AS depth
+        FROM user_groups ug
+        UNION
+        SELECT
+            p.id,
+            ugs.depth + 1
+        FROM user_groups_shared ugs
+            JOIN "Groups" g ON (g.id = ugs."groupId")
+            JOIN "Groups" p ON (p.id = g."parentId" AND p."deletedAt" IS NULL)
+        WHERE ugs.depth < ${DEPTH_MAX}
+    )
+`;
+
+/**
+ * SQL of the "topic_group_users" CTE - Users who have access to the Topics through the Groups, the reverse of "user_groups_shared"
+ *
+ * Use in "WITH RECURSIVE". Expects ":topicIds" replacement.
+ * Topic shared with a Group is accessible to the members of the Group and its subgroups, including the members inherited from the parent Groups.
+ * Rows {topicId, userId, level} - "level" is the level of the TopicMemberGroup. User can have several rows, use MAX(level).
+ */
+const TOPIC_GROUP_USERS_SQL = `
+    topic_groups AS (
+        SELECT
+            tmg."topicId",
+            tmg."groupId",
+            tmg.level,
+            0 AS depth
+        FROM "TopicMemberGroups" tmg
+            JOIN "Groups" g ON (g.id = tmg."groupId" AND g."deletedAt" IS NULL)
+        WHERE tmg."topicId" IN (:topicIds)
+            AND tmg."deletedAt" IS NULL
+        UNION ALL
+        SELECT
+            tg."topicId",
+            g.id,
+            tg.level,
+            tg.depth + 1
+        FROM "Groups" g
+            JOIN topic_groups tg ON (tg."groupId" = g."parentId")
+        WHERE g."deletedAt" IS NULL
+            AND tg.depth < ${DEPTH_MAX}
+    ),
+    topic_member_groups AS (
+        SELECT
+            tg."topicId",
+            tg."groupId",
+            tg.level,
+            g."requireTwoFactor",
+            0 AS depth
+        FROM topic_groups tg
+            JOIN "Groups" g ON (g.id = tg."groupId")
+        UNION ALL
+        SELECT
+            tmg."topicId",
+            p.id,
+            tmg.level,
+            tmg."requireTwoFactor" OR p."requireTwoFactor",
+            tmg.depth + 1
+        FROM topic_member_groups tmg
+            JOIN "Groups" c ON (c.id = tmg."groupId")
+            JOIN "Groups" p ON (p.id = c."parentId" AND p."deletedAt" IS NULL)
+        WHERE c."parentMemberLevel" IS NOT NULL
+            AND tmg.depth < ${DEPTH_MAX}
+    ),
+    topic_group_users AS (
+        SELECT DISTINCT
+            tmg."topicId",
+            gmu."userId",
+            tmg.level
+        FROM topic_member_groups tmg
+            JOIN "GroupMemberUsers" gmu ON (gmu."groupId" = tmg."groupId" AND gmu."deletedAt" IS NULL)
+        WHERE NOT tmg."requireTwoFactor"
+            OR EXISTS (
+                SELECT 1
+                FROM "UserTwoFactors" utf
+                WHERE utf."userId" = gmu."userId"
+                    AND utf."enabledAt" IS NOT NULL
+            )
+    )
+`;
+
+module.exports.DEPTH_MAX = DEPTH_MAX;
+module.exports.USER_TWO_FACTOR_SQL = USER_TWO_FACTOR_SQL;
+module.exports.USER_GROUPS_SQL = USER_GROUPS_SQL;
+module.exports.USER_GROUPS_SHARED_SQL = USER_GROUPS_SHARED_SQL;
+module.exports.TOPIC_GROUP_USERS_SQL = TOPIC_GROUP_USERS_SQL;
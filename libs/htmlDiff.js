@@ -0,0 +1,204 @@
+'use strict';
+
+/**
+ * HTML diff
+ *
+ * Compares HTML documents (Topic description revisions) word by word, keeping the tags as separate tokens. Uses Myers' O(ND) algorithm.
+ *
+ * @see http://www.xmailserver.org/diff2.pdf
+ */
+
+const TYPES = {
+    equal: 'equal',
+    insert: 'insert',
+    delete: 'delete'
+};
+
+// Max number of edits to look for, beyond that the documents are reported as replaced to keep the time and memory in check
+const EDITS_MAX = 2000;
+
+const TOKEN_REGEXP = /<[^>]*>|&[a-z0-9#]+;|[^\s<&]+|\s+|[<&]/gi;
+
+/**
+ * Split HTML to tags, words and whitespace
+ *
+ * @param {string} html HTML
+ *
+ * @returns {Array<string>} Tokens
+ */
+const tokenize = function (html) {
+    return (html || '').match(TOKEN_REGEXP) || [];
+};
+
+const _isTag = function (token) {
+    return token[0] === '<' && token.length > 1;
+};
+
+/**
+ * Find the shortest edit script
+ *
+ * @param {Array<string>} a From tokens
+ * @param {Array<string>} b To tokens
+ *
+ * @returns {Array<object>|null} Changes [{type, value}] with a single token in each, null if there are more than EDITS_MAX edits
+ *
+ * @private
+ */
+const _myers = function (a, b) {
+    const n = a.length;
+    const m = b.length;
+    const dMax = Math.min(n + m, EDITS_MAX);
+    const offset = dMax + 1;
+    const v = new Int32Array(2 * offset + 1); // v[offset + k] is the furthest x on diagonal k
+    const trace = [];
+
+    for (let d = 0; d <= dMax; d++) {
+        trace.push(v.slice(offset - d - 1, offset + d + 2)); // Diagonals -d-1..d+1
+
+        for (let k = -d; k <= d; k += 2) {
+            let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])) ? v[offset + k + 1] : v[offset + k - 1] + 1;
+            let y = x - k;
+
+            while (x < n && y < m && a[x] === b[y]) {
+                x++;
+                y++;
+            }
+
+            v[offset + k] = x;
+
+            if (x >= n && y >= m) {
+                return _backtrack(trace, a, b);
+            }
+        }
+    }
+
+    return null;
+};
+
+const _backtrack = function (trace, a, b) {
+    const changes = [];
+    let x = a.length;
+    let y = b.length;
+
+    for (let d = trace.length - 1; d >= 0; d--) {
+        const v = trace[d]; // v[d + 1 + k] is the furthest x on diagonal k before the step d
+        const k = x - y;
+        const kPrev = (k === -d || (k !== d && v[d + k] < v[d + k + 2])) ? k + 1 : k - 1;
+        const xPrev = d > 0 ? v[d + 1 + kPrev] : 0;
+        const yPrev = d > 0 ? xPrev - kPrev : 0;
+
+        while (x > xPrev && y > yPrev) {
+            changes.push({type: TYPES.equal, value: a[x - 1]});
+            x--;
+            y--;
+        }
+
+        if (d > 0) {
+            if (x === xPrev) {
+                changes.push({type: TYPES.insert, value: b[y - 1]});
+            } else {
+                changes.push({type: TYPES.delete, value: a[x - 1]});
+            }
+        }
+
+        x = xPrev;
+        y = yPrev;
+    }
+
+    return changes.reverse();
+};
+
+/**
+ * Diff two HTML documents
+ *
+ * @param {string} from HTML
+ * @param {string} to HTML
+ *
+ * @returns {Array<object>} Changes [{type, value}] where "type" is one of TYPES, consecutive tokens of the same type are joined
+ */
+const diff = function (from, to) {
+    const a = tokenize(from);
+    const b = tokenize(to);
+
+    // Common prefix and suffix are the cheap part of the most edits
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) {
+        start++;
+    }
+
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+        endA--;
+        endB--;
+    }
+
+    const aMiddle = a.slice(start, endA);
+    const bMiddle = b.slice(start, endB);
+
+    let middle = _myers(aMiddle, bMiddle);
+    if (!middle) {
+        middle = aMiddle
+            .map(function (token) {
+                return {type: TYPES.delete, value: token};
+            })
+            .concat(bMiddle.map(function (token) {
+                return {type: TYPES.insert, value: token};
+            }));
+    }
+
+    const changes = [];
+    const push = function (type, value) {
+        const last = changes[changes.length - 1];
+        if (last && last.type === type) {
+            last.value += value;
+        } else if (value) {
+            changes.push({type: type, value: value});
+        }
+    };
+
+    push(TYPES.equal, a.slice(0, start).join(''));
+    middle.forEach(function (change) {
+        push(change.type, change.value);
+    });
+    push(TYPES.equal, a.slice(endA).join(''));
+
+    return changes;
+};
+
+/**
+ * Render the changes as HTML, marking the inserted text with <ins> and deleted text with <del>
+ *
+ * Tags of the inserted content are kept and tags of the deleted content are dropped, so that the result follows the structure of the newer document.
+ *
+ * @param {Array<object>} changes Result of "diff"
+ *
+ * @returns {string} HTML
+ */
+const toHtml = function (changes) {
+    return changes
+        .map(function (change) {
+            if (change.type === TYPES.equal) {
+                return change.value;
+            }
+
+            const tag = change.type === TYPES.insert ? 'ins' : 'del';
+
+            return tokenize(change.value)
+                .map(function (token) {
+                    if (_isTag(token)) {
+                        return change.type === TYPES.insert ? token : '';
+                    }
+
+                    return '<' + tag + '>' + token + '</' + tag + '>';
+                })
+                .join('')
+                .replace(new RegExp('</' + tag + '><' + tag + '>', 'g'), '');
+        })
+        .join('');
+};
+
+module.exports.TYPES = TYPES;
+module.exports.tokenize = tokenize;
+module.exports.diff = diff;
+module.exports.toHtml = toHtml;
@@ -0,0 +1,270 @@
+'use strict';
+
+/**
+ * Convert HTML to Markdown
+ *
+ * Covers the markup produced by Etherpad (Topic description) - headings, paragraphs and line breaks, lists, inline formatting, links and images. Unknown tags are replaced by their content.
+ */
+
+const htmlparser = require('htmlparser2');
+
+const TAGS_SKIPPED = ['head', 'script', 'style', 'title'];
+const TAGS_BLOCK = ['address', 'article', 'aside', 'blockquote', 'body', 'div', 'dl', 'dd', 'dt', 'footer', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'html', 'li', 'main', 'ol', 'p', 'pre', 'section', 'table', 'tbody', 'td', 'th', 'thead', 'tr', 'ul'];
+
+/**
+ * Parse HTML to a tree of {name, attribs, children} and {text} nodes
+ *
+ * @param {string} html HTML
+ *
+ * @returns {object} Root node
+ *
+ * @private
+ */
+const _parse = function (html) {
+    const root = {name: 'root', attribs: {}, children: []};
+    const stack = [root];
+
+    const parser = new htmlparser.Parser(
+        {
+            onopentag: function (name, attribs) {
+                const node = {name: name, attribs: attribs, children: []};
+                stack[stack.length - 1].children.push(node);
+                stack.push(node);
+            },
+            ontext: function (text) {
+                stack[stack.length - 1].children.push({text: text});
+            },
+            onclosetag: function () {
+                if (stack.length > 1) {
+                    stack.pop();
+                }
+            }
+        },
+        {
+            decodeEntities: true,
+            lowerCaseTags: true
+        }
+    );
+
+    parser.write(html || '');
+    parser.end();
+
+    return root;
+};
+
+const _isBlock = function (node) {
+    return !!node.name && TAGS_BLOCK.indexOf(node.name) > -1;
+};
+
+const _escape = function (text) {
+    return text.replace(/([\\`*_[\]])/g, '\\$1');
+};
+
+// Escape the characters that would start a block (heading, quote, list) at the beginning of a line
+const _escapeLineStart = function (line) {
+    return line
+        .replace(/^(\s*)([#>+-])(\s|$)/, '$1\\$2$3')
+        .replace(/^(\s*)(\d+)\.(\s|$)/, '$1$2\\.$3');
+};
+
+const _wrap = function (content, marker) {
+    const trimmed = content.trim();
+
+    if (!trimmed) {
+        return content;
+    }
+
+    // Markers must touch the text, keep the surrounding whitespace outside
+    const leading = content.match(/^\s*/)[0];
+    const trailing = content.match(/\s*$/)[0];
+
+    return leading + marker + trimmed + marker + trailing;
+};
+
+/**
+ * Render inline content, line breaks are returned as "\n"
+ *
+ * @private
+ */
+const _inline = function (nodes) {
+    return nodes
+        .map(function (node) {
+            if (node.text !== undefined) {
+                return _escape(node.text.replace(/\s+/g, ' '));
+            }
+
+            if (TAGS_SKIPPED.indexOf(node.name) > -1) {
+                return '';
+            }
+
+            const content = _inline(node.children);
+
+            switch (node.name) {
+                case 'br':
+                    return '\n';
+                case 'strong':
+                case 'b':
+                    return _wrap(content, '**');
+                case 'em':
+                case 'i':
+                    return _wrap(content, '*');
+                case 's':
+                case 'strike':
+                case 'del':
+                    return _wrap(content, '~~');
+                case 'code':
+                    return '`' + _text(node) + '`';
+                case 'a':
+                    return node.attribs.href ? '[' + content + '](' + node.attribs.href + ')' : content;
+                case 'img':
+                    return node.attribs.src ? '![' + _escape(node.attribs.alt || '') + '](' + node.attribs.src + ')' : '';
+                default:
+                    return content;
+            }
+        })
+        .join('');
+};
+
+// Every non-empty line of inline content is a paragraph, the way Etherpad separates lines with <br>
+const _paragraphs = function (nodes) {
+    return _inline(nodes)
+        .split('\n')
+        .map(function (line) {
+            return _escapeLineStart(line.trim());
+        })
+        .filter(function (line) {
+            return line.length > 0;
+        });
+};
+
+const _indent = function (text, prefix) {
+    return text
+        .split('\n')
+        .map(function (line) {
+            return line ? prefix + line : line;
+        })
+        .join('\n');
+};
+
+/**
+ * Render block content
+ *
+ * @returns {Array<string>} Markdown blocks
+ *
+ * @private
+ */
+const _blocks = function (nodes) {
+    const blocks = [];
+    let inlineNodes = [];
+
+    const flush = function () {
+        Array.prototype.push.apply(blocks, _paragraphs(inlineNodes));
+        inlineNodes = [];
+    };
+
+    nodes.forEach(function (node) {
+        if (!_isBlock(node)) {
+            inlineNodes.push(node);
+
+            return;
+        }
+
+        flush();
+
+        const name = node.name;
+
+        if (/^h[1-6]$/.test(name)) {
+            const text = _inline(node.children).replace(/\s+/g, ' ').trim();
+            if (text) {
+                blocks.push('#'.repeat(parseInt(name[1], 10)) + ' ' + text);
+            }
+        } else if (name === 'ul' || name === 'ol') {
+            const list = _list(node);
+            if (list) {
+                blocks.push(list);
+            }
+        } else if (name === 'blockquote') {
+            const quote = _blocks(node.children).join('\n\n');
+            if (quote) {
+                blocks.push(quote.split('\n').map(function (line) {
+                    return line ? '> ' + line : '>';
+                }).join('\n'));
+            }
+        } else if (name === 'pre') {
+            const code = _text(node).replace(/^\n|\n$/g, '');
+            blocks.push('```\n' + code + '\n```');
+        } else if (name === 'hr') {
+            blocks.push('---');
+        } else {
+            Array.prototype.push.apply(blocks, _blocks(node.children));
+        }
+    });
+
+    flush();
+
+    return blocks;
+};
+
+const _text = function (node) {
+    if (node.text !== undefined) {
+        return node.text;
+    }
+
+    return node.children.map(_text).join('');
+};
+
+/**
+ * Render a list, nested lists (both <ul> in <li> and <ul> in <ul> the way Etherpad does it) are indented
+ *
+ * @private
+ */
+const _list = function (listNode) {
+    const ordered = listNode.name === 'ol';
+    // Etherpad "indent" lists have no markers, they are just indented paragraphs
+    const isIndent = listNode.attribs.class === 'indent';
+    const items = [];
+    let index = parseInt(listNode.attribs.start, 10) || 1;
+
+    listNode.children.forEach(function (child) {
+        if (child.name === 'ul' || child.name === 'ol') {
+            const nested = _list(child);
+            if (nested) {
+                items.push(_indent(nested, ordered ? '   ' : '  '));
+            }
+
+            return;
+        }
+
+        if (child.name !== 'li') {
+            return;
+        }
+
+        const content = _blocks(child.children).join('\n');
+        if (!content) {
+            return;
+        }
+
+        const marker = isIndent ? '' : (ordered ? (index++) + '. ' : '- ');
+        const lines = content.split('\n');
+        const padding = ' '.repeat(marker.length);
+
+        items.push(marker + lines[0] + (lines.length > 1 ? '\n' + _indent(lines.slice(1).join('\n'), padding) : ''));
+    });
+
+    return items.join(isIndent ? '\n\n' : '\n');
+};
+
+/**
+ * Convert HTML to Markdown
+ *
+ * @param {string} html HTML
+ *
+ * @returns {string} Markdown
+ */
+const toMarkdown = function (html) {
+    const markdown = _blocks(_parse(html).children).join('\n\n');
+
+    return markdown ? markdown + '\n' : '';
+};
+
+module.exports.toMarkdown = toMarkdown;
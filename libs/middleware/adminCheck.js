@@ -0,0 +1,33 @@
+'use strict';
+
+/**
+ * Middleware to check that the logged in User is an administrator (User.isAdmin). Use after "loginCheck".
+ *
+ * @param {object} app Express app
+ *
+ * @returns {function} Express middleware function
+ */
+module.exports = function (app) {
+    const models = app.get('models');
+
+    const User = models.User;
+
+    return async function (req, res, next) {
+        try {
+            const user = await User.findOne({
+                where: {
+                    id: req.user.id
+                },
+                attributes: ['id', 'isAdmin']
+            });
+
+            if (!user || !user.isAdmin) {
+                return res.forbidden('Insufficient permissions');
+            }
+
+            return next();
+        } catch (err) {
+            return next(err);
+        }
+    };
+};
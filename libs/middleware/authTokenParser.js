@@ -6,6 +6,10 @@
  * Partners use "Authorization: Bearer <JWT>
  * App itself uses cookie which contains JWT
  *
+ * App tokens and Partner Access Tokens (scope "all" and "partner") must have a session id ("jti") and are rejected when the session (UserSession) has been revoked or has expired.
+ * Such tokens without a session id, for ex issued before the sessions were introduced, could not be revoked and are rejected.
+ * Partner Access Tokens without the "scopes" claim, issued before the API scopes were introduced, get the scopes the User has consented to (UserConsent).
+ *
  * @param {object} req  Express request object
  * @param {object} res  Express response object
  * @param {function} next Express middleware function
@@ -49,11 +53,61 @@ module.exports = function (req, res, next) {
 
                     return res.unauthorised('Invalid JWT token');
                 }
-            } else {
+            }
+
+            var rejectRevoked = function () {
+                if (tokenData.scope === 'all') {
+                    res.clearCookie(config.session.name, {
+                        path: config.session.cookie.path,
+                        domain: config.session.cookie.domain
+                    });
+                }
+
+                return res.unauthorised('JWT token has been revoked');
+            };
+
+            if (!tokenData.jti) {
+                if (tokenData.scope === 'all' || tokenData.scope === 'partner') {
+                    logger.info('loginCheck - JWT token has no session', req.method, req.path, tokenData.scope);
+
+                    return rejectRevoked();
+                }
+
                 req.user = tokenData;
+
+                return next();
             }
 
-            return next();
+            app.get('cosSession')
+                .touch(req, tokenData)
+                .then(function (session) {
+                    if (!session) {
+                        logger.info('loginCheck - JWT token session has been revoked or has expired', req.method, req.path, tokenData.jti);
+
+                        return rejectRevoked();
+                    }
+
+                    if (tokenData.scope === 'partner' && !Array.isArray(tokenData.scopes)) {
+                        return app.get('models').UserConsent
+                            .findOne({
+                                where: {
+                                    userId: tokenData.id,
+                                    partnerId: tokenData.partnerId
+                                }
+                            })
+                            .then(function (consent) {
+                                tokenData.scopes = consent ? consent.scopes : [];
+                                req.user = tokenData;
+
+                                return next();
+                            });
+                    }
+
+                    req.user = tokenData;
+
+                    return next();
+                })
+                .catch(next);
         });
     } else {
         return next();
@@ -4,10 +4,11 @@
  * Middleware to perform login check and verify appropriate scope
  *
  * @param {Array<String>} [scopes=['all']] Array of scopes to which the endpoint access is restricted to. By default requires "all" which is only true for the app itself and to NO Partner.
+ * @param {String} [partnerScope] API scope (UserConsent.SCOPES) the Partner access token must have. Partner tokens without the "scopes" claim are denied, see libs/middleware/authTokenParser.js for how the claim is set for the tokens issued before the API scopes were introduced.
  *
  * @returns {function} Express middleware function
  */
-module.exports = function (scopes) {
+module.exports = function (scopes, partnerScope) {
     if (!scopes) {
         scopes = [];
     }
@@ -22,6 +23,13 @@ module.exports = function (scopes) {
             return res.unauthorised('Invalid scope. Access denied.');
         }
 
+        if (partnerScope && req.user.scope === 'partner' && (!Array.isArray(req.user.scopes) || req.user.scopes.indexOf(partnerScope) < 0)) {
+            // https://tools.ietf.org/html/rfc6750#section-3.1
+            res.set('WWW-Authenticate', 'Bearer error="insufficient_scope", scope="' + partnerScope + '"');
+
+            return res.forbidden('Insufficient scope. Access token does not have the "' + partnerScope + '" scope.');
+        }
+
         return next();
     };
 };
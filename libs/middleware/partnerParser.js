@@ -15,25 +15,28 @@ module.exports = function (app) {
 
     var Partner = models.Partner;
 
-    // Local cache for the Partner config
+    // Local cache for the Partner config. Partners are managed through the admin API, so the cache expires to pick up the changes made in other processes.
+    var CACHE_TTL = 60000; // ms
     var partners;
+    var partnersCachedAt;
 
     // Fetch and cache Partner config
     var getPartnerConfig = function () {
-        if (partners) {
+        if (partners && Date.now() - partnersCachedAt < CACHE_TTL) {
             return Promise.resolve(partners);
         } else {
             return Partner
                 .findAll()
                 .then(function (partnerArr) {
                     partners = partnerArr;
+                    partnersCachedAt = Date.now();
 
                     return Promise.resolve(partners);
                 });
         }
     };
 
-    return function (req, res, next) {
+    var partnerParser = function (req, res, next) {
         getPartnerConfig()
             .then(function (partners) {
                 var partnerId = req.query.partnerId || req.headers['x-partner-id'];
@@ -77,6 +80,18 @@ module.exports = function (app) {
                 }
 
                 next();
-            });
+            })
+            .catch(next);
     };
+
+    /**
+     * Clear the Partner config cache, call after changing the Partners
+     *
+     * @returns {void}
+     */
+    partnerParser.clearCache = function () {
+        partners = null;
+    };
+
+    return partnerParser;
 };
@@ -0,0 +1,123 @@
+'use strict';
+
+/**
+ * Middleware to limit the request rate
+ *
+ * Requests are counted in fixed windows per bucket (config "rateLimit.buckets"), separately for each User, Partner or IP as configured by the bucket "keyBy".
+ * When the limit is exceeded, responds with 429 and "Retry-After" header.
+ *
+ * @param {object} app Express app
+ *
+ * @returns {function} Function that creates the Express middleware for a bucket
+ */
+module.exports = function (app) {
+    const logger = app.get('logger');
+    const config = app.get('config');
+
+    const KEY_BY = {
+        ip: 'ip',
+        user: 'user', // Falls back to IP for un-authenticated requests
+        partner: 'partner' // Falls back to User and then to IP
+    };
+
+    const STORES = {
+        memory: function () {
+            return require('../rateLimit/memoryStore')();
+        },
+        postgres: function () {
+            return require('../rateLimit/postgresStore')(app);
+        }
+    };
+
+    const rateLimitConfig = config.rateLimit || {};
+
+    if (rateLimitConfig.store && !STORES[rateLimitConfig.store]) {
+        throw new Error('Invalid configuration! Invalid value for "rateLimit.store". Was: "' + rateLimitConfig.store + '". Must be one of: ' + Object.keys(STORES).join(', '));
+    }
+
+    const store = STORES[rateLimitConfig.store || 'memory']();
+
+    /**
+     * Get the key the requests are counted by
+     *
+     * @param {object} req Express request
+     * @param {string} keyBy One of KEY_BY
+     *
+     * @returns {string} Key
+     *
+     * @private
+     */
+    const _getKey = function (req, keyBy) {
+        if (keyBy === KEY_BY.partner) {
+            const partnerId = (req.user && req.user.partnerId) || (req.locals && req.locals.partner && req.locals.partner.id);
+            if (partnerId) {
+                return 'partner:' + partnerId;
+            }
+        }
+
+        if ((keyBy === KEY_BY.user || keyBy === KEY_BY.partner) && req.user && req.user.id) {
+            return 'user:' + req.user.id;
+        }
+
+        return 'ip:' + req.ip;
+    };
+
+    /**
+     * Create the middleware
+     *
+     * @param {string|object} bucket Bucket name in config "rateLimit.buckets" or bucket config {name, window, max, keyBy}
+     *
+     * @returns {function} Express middleware function
+     */
+    const rateLimit = function (bucket) {
+        if (typeof bucket === 'string') {
+            const bucketConfig = (rateLimitConfig.buckets || {})[bucket];
+            if (!bucketConfig) {
+                throw new Error('Invalid configuration! Missing rate limit bucket "rateLimit.buckets.' + bucket + '"');
+            }
+
+            bucket = Object.assign({name: bucket}, bucketConfig);
+        }
+
+        if (!KEY_BY[bucket.keyBy]) {
+            throw new Error('Invalid rate limit bucket "' + bucket.name + '" configuration. Invalid value for "keyBy". Was: "' + bucket.keyBy + '". Must be one of: ' + Object.keys(KEY_BY).join(', '));
+        }
+
+        return async function (req, res, next) {
+            if (rateLimitConfig.enabled === false) {
+                return next();
+            }
+
+            const key = bucket.name + ':' + _getKey(req, bucket.keyBy);
+
+            let counter;
+            try {
+                counter = await store.hit(key, bucket.window);
+            } catch (err) {
+                // Rather let the request through than make the API unavailable when the store fails
+                logger.error('Rate limit store failed', key, err);
+
+                return next();
+            }
+
+            res.set('X-RateLimit-Limit', String(bucket.max));
+            res.set('X-RateLimit-Remaining', String(Math.max(bucket.max - counter.hits, 0)));
+            res.set('X-RateLimit-Reset', String(Math.ceil(counter.resetAt.getTime() / 1000)));
+
+            if (counter.hits > bucket.max) {
+                logger.warn('Rate limit exceeded', key, counter.hits);
+
+                res.set('Retry-After', String(Math.max(Math.ceil((counter.resetAt.getTime() - Date.now()) / 1000), 1)));
+
+                return res.tooManyRequests();
+            }
+
+            return next();
+        };
+    };
+
+    rateLimit.KEY_BY = KEY_BY;
+    rateLimit.store = store;
+
+    return rateLimit;
+};
@@ -44,6 +44,7 @@ module.exports = function (req, res, next) {
     res.forbidden = buildJsonResponse(403, 'Forbidden');
     res.notFound = buildJsonResponse(404, 'Not Found');
     res.gone = buildJsonResponse(410, 'Gone');
+    res.tooManyRequests = buildJsonResponse(429, 'Too Many Requests');
     res.internalServerError = buildJsonResponse(500, 'Internal Server Error');
     res.notImplemented = buildJsonResponse(501, 'Not Implemented');
 
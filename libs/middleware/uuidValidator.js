@@ -10,7 +10,7 @@
 module.exports = function (app) {
     var validator = app.get('validator');
 
-    app.param(['topicId', 'groupId', 'memberId', 'partnerId', 'commentId', 'voteId'], function (req, res, next, id) {
+    app.param(['topicId', 'groupId', 'memberId', 'partnerId', 'commentId', 'voteId', 'webhookId', 'revisionId', 'exportId', 'clusterId', 'templateId', 'institutionId', 'sessionId'], function (req, res, next, id) {
         if (!validator.isUUID(id, 4)) {
             return res.notFound();
         }
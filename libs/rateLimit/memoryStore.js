@@ -0,0 +1,83 @@
+'use strict';
+
+/**
+ * Rate limit store keeping the counters in process memory
+ *
+ * Counters are not shared between processes, use the Postgres store when running several instances.
+ *
+ * @returns {object} Store {hit, reset}
+ */
+module.exports = function () {
+    const SWEEP_INTERVAL = 60000;
+
+    const counters = new Map();
+    let sweptAt = Date.now();
+
+    /**
+     * Remove expired counters so that the memory use does not grow with every new key
+     *
+     * @param {number} now Current time
+     *
+     * @returns {void}
+     *
+     * @private
+     */
+    const _sweep = function (now) {
+        if (now - sweptAt < SWEEP_INTERVAL) {
+            return;
+        }
+
+        sweptAt = now;
+        counters.forEach(function (counter, key) {
+            if (counter.resetAt <= now) {
+                counters.delete(key);
+            }
+        });
+    };
+
+    /**
+     * Count a hit
+     *
+     * @param {string} key Counter key
+     * @param {number} window Window length in milliseconds
+     *
+     * @returns {Promise<object>} Counter {hits, resetAt}
+     */
+    const _hit = async function (key, window) {
+        const now = Date.now();
+        let counter = counters.get(key);
+
+        _sweep(now);
+
+        if (!counter || counter.resetAt <= now) {
+            counter = {
+                hits: 0,
+                resetAt: now + window
+            };
+            counters.set(key, counter);
+        }
+
+        counter.hits++;
+
+        return {
+            hits: counter.hits,
+            resetAt: new Date(counter.resetAt)
+        };
+    };
+
+    /**
+     * Reset the counter
+     *
+     * @param {string} key Counter key
+     *
+     * @returns {Promise<void>}
+     */
+    const _reset = async function (key) {
+        counters.delete(key);
+    };
+
+    return {
+        hit: _hit,
+        reset: _reset
+    };
+};
@@ -0,0 +1,103 @@
+'use strict';
+
+/**
+ * Rate limit store keeping the counters in Postgres ("RateLimits" table)
+ *
+ * Counters are shared between all the instances using the same DB.
+ *
+ * @param {object} app Express app
+ *
+ * @returns {object} Store {hit, reset}
+ */
+module.exports = function (app) {
+    const logger = app.get('logger');
+    const models = app.get('models');
+    const db = models.sequelize;
+
+    const SWEEP_INTERVAL = 60000;
+
+    let sweptAt = Date.now();
+
+    /**
+     * Remove expired counters
+     *
+     * @param {number} now Current time
+     *
+     * @returns {void}
+     *
+     * @private
+     */
+    const _sweep = function (now) {
+        if (now - sweptAt < SWEEP_INTERVAL) {
+            return;
+        }
+
+        sweptAt = now;
+        db
+            .query('DELETE FROM "RateLimits" WHERE "resetAt" <= NOW();')
+            .catch(function (err) {
+                logger.error('Rate limit counter cleanup failed', err);
+            });
+    };
+
+    /**
+     * Count a hit
+     *
+     * @param {string} key Counter key
+     * @param {number} window Window length in milliseconds
+     *
+     * @returns {Promise<object>} Counter {hits, resetAt}
+     */
+    const _hit = async function (key, window) {
+        _sweep(Date.now());
+
+        const counters = await db
+            .query(
+                `INSERT INTO "RateLimits" ("key", "hits", "resetAt")
+                VALUES (:key, 1, NOW() + make_interval(secs => :window / 1000.0))
+                ON CONFLICT ("key") DO UPDATE
+                SET
+                    "hits" = CASE WHEN "RateLimits"."resetAt" <= NOW() THEN 1 ELSE "RateLimits"."hits" + 1 END,
+                    "resetAt" = CASE WHEN "RateLimits"."resetAt" <= NOW() THEN EXCLUDED."resetAt" ELSE "RateLimits"."resetAt" END
+                RETURNING "hits", "resetAt"
+                ;`,
+                {
+                    replacements: {
+                        key: key,
+                        window: window
+                    },
+                    type: db.QueryTypes.SELECT,
+                    raw: true
+                }
+            );
+
+        return {
+            hits: counters[0].hits,
+            resetAt: new Date(counters[0].resetAt)
+        };
+    };
+
+    /**
+     * Reset the counter
+     *
+     * @param {string} key Counter key
+     *
+     * @returns {Promise<void>}
+     */
+    const _reset = async function (key) {
+        await db
+            .query(
+                'DELETE FROM "RateLimits" WHERE "key" = :key;',
+                {
+                    replacements: {
+                        key: key
+                    }
+                }
+            );
+    };
+
+    return {
+        hit: _hit,
+        reset: _reset
+    };
+};
@@ -0,0 +1,97 @@
+'use strict';
+
+/**
+ * Virus scanner using the ClamAV daemon (clamd) INSTREAM command over TCP
+ *
+ * @see https://linux.die.net/man/8/clamd
+ *
+ * @param {object} options {host, port, timeout} where "timeout" is in ms
+ *
+ * @returns {object} Scanner {scan}
+ */
+module.exports = function (options) {
+    const net = require('net');
+
+    const host = options.host || '127.0.0.1';
+    const port = options.port || 3310;
+    const timeout = options.timeout || 60000;
+
+    /**
+     * Scan the contents of the stream
+     *
+     * @param {Stream} readStream File contents
+     *
+     * @returns {Promise<object>} {isInfected, signature}
+     */
+    const _scan = function (readStream) {
+        return new Promise(function (resolve, reject) {
+            const socket = net.createConnection({host: host, port: port});
+            const response = [];
+            let isFinished = false;
+
+            const finish = function (err, result) {
+                if (isFinished) {
+                    return;
+                }
+                isFinished = true;
+
+                readStream.destroy();
+                socket.destroy();
+
+                if (err) {
+                    return reject(err);
+                }
+
+                return resolve(result);
+            };
+
+            socket.setTimeout(timeout, function () {
+                finish(new Error('Virus scan timed out after ' + timeout + 'ms'));
+            });
+
+            socket.on('error', finish);
+
+            socket.on('data', function (data) {
+                response.push(data);
+            });
+
+            socket.on('end', function () {
+                // For ex "stream: OK" or "stream: Eicar-Signature FOUND"
+                const reply = Buffer.concat(response).toString('utf8').replace(/\0/g, '').trim();
+                const found = reply.match(/^stream: (.+) FOUND$/);
+
+                if (reply === 'stream: OK') {
+                    return finish(null, {isInfected: false, signature: null});
+                }
+
+                if (found) {
+                    return finish(null, {isInfected: true, signature: found[1]});
+                }
+
+                return finish(new Error('Unexpected virus scanner reply "' + reply + '"'));
+            });
+
+            socket.on('connect', function () {
+                socket.write('zINSTREAM\0');
+
+                readStream.on('data', function (chunk) {
+                    const length = Buffer.alloc(4);
+                    length.writeUInt32BE(chunk.length, 0);
+
+                    socket.write(length);
+                    socket.write(chunk);
+                });
+
+                readStream.on('end', function () {
+                    socket.write(Buffer.alloc(4)); // Zero length chunk ends the stream
+                });
+
+                readStream.on('error', finish);
+            });
+        });
+    };
+
+    return {
+        scan: _scan
+    };
+};
@@ -0,0 +1,107 @@
+'use strict';
+
+/**
+ * Content type sniffing
+ *
+ * Detects the content type from the first bytes of the file and checks that it matches the file extension, so that the type sent by the client is never trusted.
+ */
+
+const HEAD_LENGTH = 4100;
+
+const _startsWith = function (signature) {
+    return function (head) {
+        if (head.length < signature.length) {
+            return false;
+        }
+
+        for (let i = 0; i < signature.length; i++) {
+            if (head[i] !== signature[i]) {
+                return false;
+            }
+        }
+
+        return true;
+    };
+};
+
+// Text formats have no signature, accept anything that has no NUL bytes
+const _isText = function (head) {
+    return head.indexOf(0x00) === -1;
+};
+
+const MAGIC = {
+    pdf: _startsWith([0x25, 0x50, 0x44, 0x46, 0x2D]), // %PDF-
+    png: _startsWith([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+    jpeg: _startsWith([0xFF, 0xD8, 0xFF]),
+    gif: _startsWith([0x47, 0x49, 0x46, 0x38]), // GIF8
+    zip: _startsWith([0x50, 0x4B, 0x03, 0x04]), // OOXML, ODF and ASiC containers
+    ole2: _startsWith([0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1]), // Legacy MS Office
+    rtf: _startsWith([0x7B, 0x5C, 0x72, 0x74, 0x66]), // {\rtf
+    text: _isText
+};
+
+// Known extensions, their content types and signatures. Extensions not listed here are stored as "application/octet-stream".
+const EXTENSIONS = {
+    txt: {type: 'text/plain', magic: MAGIC.text},
+    pdf: {type: 'application/pdf', magic: MAGIC.pdf},
+    png: {type: 'image/png', magic: MAGIC.png},
+    jpg: {type: 'image/jpeg', magic: MAGIC.jpeg},
+    jpeg: {type: 'image/jpeg', magic: MAGIC.jpeg},
+    gif: {type: 'image/gif', magic: MAGIC.gif},
+    rtf: {type: 'application/rtf', magic: MAGIC.rtf},
+    ddoc: {type: 'application/x-ddoc', magic: MAGIC.text},
+    bdoc: {type: 'application/vnd.etsi.asic-e+zip', magic: MAGIC.zip},
+    asice: {type: 'application/vnd.etsi.asic-e+zip', magic: MAGIC.zip},
+    odt: {type: 'application/vnd.oasis.opendocument.text', magic: MAGIC.zip},
+    odf: {type: 'application/vnd.oasis.opendocument.formula', magic: MAGIC.zip},
+    docx: {type: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', magic: MAGIC.zip},
+    xlsx: {type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', magic: MAGIC.zip},
+    pptx: {type: 'application/vnd.openxmlformats-officedocument.presentationml.presentation', magic: MAGIC.zip},
+    doc: {type: 'application/msword', magic: MAGIC.ole2},
+    xls: {type: 'application/vnd.ms-excel', magic: MAGIC.ole2},
+    xlt: {type: 'application/vnd.ms-excel', magic: MAGIC.ole2},
+    ppt: {type: 'application/vnd.ms-powerpoint', magic: MAGIC.ole2},
+    pps: {type: 'application/vnd.ms-powerpoint', magic: MAGIC.ole2}
+};
+
+const TYPE_DEFAULT = 'application/octet-stream';
+
+/**
+ * Get the content type of a file
+ *
+ * @param {Buffer} head First bytes of the file, at least HEAD_LENGTH bytes unless the file is shorter
+ * @param {string} extension File extension without the dot
+ *
+ * @returns {string|null} Content type or null if the content does not match the extension
+ */
+const getContentType = function (head, extension) {
+    const known = EXTENSIONS[(extension || '').toLowerCase()];
+
+    if (!known) {
+        return TYPE_DEFAULT;
+    }
+
+    if (!known.magic(head)) {
+        return null;
+    }
+
+    return known.type;
+};
+
+/**
+ * Get the content type by the file extension
+ *
+ * @param {string} extension File extension without the dot
+ *
+ * @returns {string} Content type
+ */
+const getTypeByExtension = function (extension) {
+    const known = EXTENSIONS[(extension || '').toLowerCase()];
+
+    return known ? known.type : TYPE_DEFAULT;
+};
+
+module.exports.HEAD_LENGTH = HEAD_LENGTH;
+module.exports.TYPE_DEFAULT = TYPE_DEFAULT;
+module.exports.getContentType = getContentType;
+module.exports.getTypeByExtension = getTypeByExtension;
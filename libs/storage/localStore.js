@@ -0,0 +1,114 @@
+'use strict';
+
+/**
+ * Storage keeping the files in the local file system
+ *
+ * Files are stored outside the public folder and downloaded through the API with a restricted use token (see "getDownloadUrl"). Use the S3 store when running several instances.
+ *
+ * @param {object} app Express app
+ *
+ * @returns {object} Store {put, getStream, getDownloadUrl, delete}
+ */
+module.exports = function (app) {
+    const config = app.get('config');
+    const fs = app.get('fs');
+    const fsExtra = app.get('fsExtra');
+    const path = require('path');
+    const stream = app.get('stream');
+    const util = require('util');
+    const cosJwt = app.get('cosJwt');
+    const urlLib = app.get('urlLib');
+
+    const PATH_DOWNLOAD = '/api/storage/files';
+
+    const pipeline = util.promisify(stream.pipeline);
+    const baseFolder = path.resolve(__dirname, '../..', config.storage.filesFolder || 'files');
+
+    /**
+     * Get the file path of the key, making sure it stays inside the base folder
+     *
+     * @param {string} key Object key
+     *
+     * @returns {string} File path
+     *
+     * @private
+     */
+    const _getPath = function (key) {
+        const filePath = path.resolve(baseFolder, key);
+
+        if (filePath.indexOf(baseFolder + path.sep) !== 0) {
+            throw new Error('Invalid storage key "' + key + '"');
+        }
+
+        return filePath;
+    };
+
+    /**
+     * Store a file
+     *
+     * @param {string} key Object key
+     * @param {Stream} readStream File contents
+     *
+     * @returns {Promise<void>}
+     */
+    const _put = async function (key, readStream) {
+        const filePath = _getPath(key);
+
+        await fsExtra.ensureDir(path.dirname(filePath));
+        await pipeline(readStream, fs.createWriteStream(filePath));
+    };
+
+    /**
+     * Read a file
+     *
+     * @param {string} key Object key
+     *
+     * @returns {Stream} File contents
+     */
+    const _getStream = function (key) {
+        return fs.createReadStream(_getPath(key));
+    };
+
+    /**
+     * Get a short-lived download URL
+     *
+     * @param {string} key Object key
+     * @param {object} options {filename, contentType, expiresIn} where "expiresIn" is in seconds
+     *
+     * @returns {Promise<string>} Download URL
+     */
+    const _getDownloadUrl = async function (key, options) {
+        const token = cosJwt.getTokenRestrictedUse(
+            {
+                key: key,
+                filename: options.filename,
+                contentType: options.contentType
+            },
+            'GET ' + PATH_DOWNLOAD,
+            {
+                expiresIn: options.expiresIn
+            }
+        );
+
+        return urlLib.getApi(PATH_DOWNLOAD, null, {token: token});
+    };
+
+    /**
+     * Delete a file
+     *
+     * @param {string} key Object key
+     *
+     * @returns {Promise<void>}
+     */
+    const _delete = async function (key) {
+        await fsExtra.remove(_getPath(key));
+    };
+
+    return {
+        PATH_DOWNLOAD: PATH_DOWNLOAD,
+        put: _put,
+        getStream: _getStream,
+        getDownloadUrl: _getDownloadUrl,
+        delete: _delete
+    };
+};
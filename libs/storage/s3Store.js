@@ -0,0 +1,147 @@
+'use strict';
+
+/**
+ * Storage keeping the files in an S3 compatible object storage (AWS S3, MinIO, ...)
+ *
+ * Objects are private, downloads use pre-signed URLs. For other than AWS S3 set "storage.endpoint" and usually "storage.forcePathStyle".
+ *
+ * @param {object} app Express app
+ *
+ * @returns {object} Store {put, getStream, getDownloadUrl, getUploadUrl, getPublicUrl, delete}
+ */
+module.exports = function (app) {
+    const config = app.get('config');
+    const AWS = require('aws-sdk');
+
+    const storageConfig = config.storage;
+    const bucket = storageConfig.bucket;
+
+    const s3 = new AWS.S3({
+        accessKeyId: storageConfig.accessKeyId,
+        secretAccessKey: storageConfig.secretAccessKey,
+        region: storageConfig.region,
+        endpoint: storageConfig.endpoint || undefined,
+        s3ForcePathStyle: !!storageConfig.forcePathStyle,
+        signatureVersion: 'v4'
+    });
+
+    /**
+     * Store a file
+     *
+     * @param {string} key Object key
+     * @param {Stream} readStream File contents
+     *
+     * @returns {Promise<void>}
+     */
+    const _put = async function (key, readStream) {
+        await s3
+            .upload({
+                Bucket: bucket,
+                Key: key,
+                Body: readStream
+            })
+            .promise();
+    };
+
+    /**
+     * Read a file
+     *
+     * @param {string} key Object key
+     *
+     * @returns {Stream} File contents
+     */
+    const _getStream = function (key) {
+        return s3
+            .getObject({
+                Bucket: bucket,
+                Key: key
+            })
+            .createReadStream();
+    };
+
+    /**
+     * Get a short-lived download URL
+     *
+     * @param {string} key Object key
+     * @param {object} options {filename, contentType, expiresIn} where "expiresIn" is in seconds
+     *
+     * @returns {Promise<string>} Download URL
+     */
+    const _getDownloadUrl = function (key, options) {
+        const params = {
+            Bucket: bucket,
+            Key: key,
+            Expires: options.expiresIn,
+            ResponseContentDisposition: 'attachment; filename=' + encodeURIComponent(options.filename)
+        };
+
+        if (options.contentType) {
+            params.ResponseContentType = options.contentType;
+        }
+
+        return s3.getSignedUrlPromise('getObject', params);
+    };
+
+    /**
+     * Get a short-lived URL for uploading directly from the client
+     *
+     * @param {string} key Object key
+     * @param {object} options {contentType, expiresIn, isPublic} where "expiresIn" is in seconds
+     *
+     * @returns {Promise<string>} Upload URL
+     */
+    const _getUploadUrl = function (key, options) {
+        const params = {
+            Bucket: bucket,
+            Key: key,
+            Expires: options.expiresIn,
+            ContentType: options.contentType
+        };
+
+        if (options.isPublic) {
+            params.ACL = 'public-read';
+        }
+
+        return s3.getSignedUrlPromise('putObject', params);
+    };
+
+    /**
+     * Get the URL of a public object
+     *
+     * @param {string} key Object key
+     *
+     * @returns {string} URL
+     */
+    const _getPublicUrl = function (key) {
+        if (storageConfig.endpoint) {
+            return storageConfig.endpoint.replace(/\/$/, '') + '/' + bucket + '/' + key;
+        }
+
+        return 'https://' + bucket + '.s3.amazonaws.com/' + key;
+    };
+
+    /**
+     * Delete a file
+     *
+     * @param {string} key Object key
+     *
+     * @returns {Promise<void>}
+     */
+    const _delete = async function (key) {
+        await s3
+            .deleteObject({
+                Bucket: bucket,
+                Key: key
+            })
+            .promise();
+    };
+
+    return {
+        put: _put,
+        getStream: _getStream,
+        getDownloadUrl: _getDownloadUrl,
+        getUploadUrl: _getUploadUrl,
+        getPublicUrl: _getPublicUrl,
+        delete: _delete
+    };
+};
@@ -0,0 +1,157 @@
+'use strict';
+
+/**
+ * Full-text search helpers
+ *
+ * Searchable content is indexed to "searchVector" columns (Topics, Comments, Groups) by DB triggers, using all the configurations in CONFIGS, so that the content does not need to have a language.
+ * Search string is matched using the configuration of the requested language, or all of them if no language is given.
+ *
+ * @see db/migrations/20211115100000-create-search-vectors.js
+ */
+
+const util = require('./util');
+
+/**
+ * Postgres text search configurations by language code
+ */
+const CONFIGS = {
+    en: 'english',
+    et: 'estonian',
+    ru: 'russian'
+};
+
+const CONFIG_DEFAULT = 'simple';
+
+const TERMS_MAX = 10;
+
+// Selection markers for ts_headline. Snippets are HTML escaped after highlighting, so the markers have to survive escaping.
+const HIGHLIGHT_START = '[[[';
+const HIGHLIGHT_END = ']]]';
+
+/**
+ * Get the text search configuration for a language
+ *
+ * @param {string} [language] Language code (ISO 639-1)
+ *
+ * @returns {string} Postgres text search configuration name
+ */
+const getConfig = function (language) {
+    if (language && CONFIGS[language.toLowerCase()]) {
+        return CONFIGS[language.toLowerCase()];
+    }
+
+    return CONFIG_DEFAULT;
+};
+
+/**
+ * Build a prefix matching "to_tsquery" query from the search string
+ *
+ * All the words have to match, the last word may be incomplete. Only letters and numbers are kept, so the result is always a valid query.
+ *
+ * @param {string} str Search string
+ * @param {string} [weights] Match only the parts of the content with given weights, for example "A" for Topic title. See the "search_vector" DB function.
+ *
+ * @returns {string|null} Query, for example "citizen:* & vot:*" or null if there is nothing to search for
+ */
+const toTsQuery = function (str, weights) {
+    if (!str || typeof str !== 'string') {
+        return null;
+    }
+
+    const terms = str
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(function (term) {
+            return term.length;
+        })
+        .slice(0, TERMS_MAX)
+        .map(function (term) {
+            return term.toLowerCase() + ':*' + (weights || '');
+        });
+
+    if (!terms.length) {
+        return null;
+    }
+
+    return terms.join(' & ');
+};
+
+/**
+ * Get SQL of the "tsquery" to match the "searchVector" with
+ *
+ * Expects ":tsQuery" replacement (see toTsQuery).
+ *
+ * @param {string} [language] Language code (ISO 639-1). If not given, the query matches in any of the languages.
+ *
+ * @returns {string} SQL
+ */
+const getTsQuerySql = function (language) {
+    let configs = [CONFIG_DEFAULT, getConfig(language)];
+
+    if (configs[1] === CONFIG_DEFAULT) {
+        configs = [CONFIG_DEFAULT].concat(Object.values(CONFIGS));
+    }
+
+    return configs
+        .map(function (config) {
+            return `to_tsquery('${config}', :tsQuery)`;
+        })
+        .join(' || ');
+};
+
+/**
+ * Get SQL condition matching the "searchVector" with the search string
+ *
+ * Expects ":tsQuery" replacement (see toTsQuery). Empty search string matches everything, same as the "ILIKE '%%'" search before the full-text search.
+ *
+ * @param {string} vectorSql SQL expression of the "searchVector", for example 't."searchVector"'
+ * @param {string|null} tsQuery Query (see toTsQuery)
+ * @param {string} [language] Language code (ISO 639-1)
+ *
+ * @returns {string} SQL
+ */
+const getMatchSql = function (vectorSql, tsQuery, language) {
+    if (!tsQuery) {
+        return 'TRUE';
+    }
+
+    return `${vectorSql} @@ (${getTsQuerySql(language)})`;
+};
+
+/**
+ * Get SQL of the highlighted snippet of the matching text
+ *
+ * Expects ":tsQuery" replacement (see toTsQuery).
+ *
+ * @param {string} textSql SQL expression of the text to highlight
+ * @param {string} [language] Language code (ISO 639-1)
+ *
+ * @returns {string} SQL
+ */
+const getHeadlineSql = function (textSql, language) {
+    return `ts_headline('${getConfig(language)}', regexp_replace(COALESCE(${textSql}, ''), '<[^>]*>', ' ', 'g'), ${getTsQuerySql(language)}, 'StartSel="${HIGHLIGHT_START}", StopSel="${HIGHLIGHT_END}", MaxWords=30, MinWords=10, MaxFragments=2')`;
+};
+
+/**
+ * Convert the snippet created with getHeadlineSql to HTML
+ *
+ * @param {string} snippet Snippet
+ *
+ * @returns {string|null} Snippet with HTML escaped and matches wrapped in <b>
+ */
+const highlight = function (snippet) {
+    if (!snippet) {
+        return null;
+    }
+
+    return util.escapeHtml(snippet)
+        .split(HIGHLIGHT_START).join('<b>')
+        .split(HIGHLIGHT_END).join('</b>');
+};
+
+module.exports.CONFIGS = CONFIGS;
+module.exports.getConfig = getConfig;
+module.exports.toTsQuery = toTsQuery;
+module.exports.getTsQuerySql = getTsQuerySql;
+module.exports.getMatchSql = getMatchSql;
+module.exports.getHeadlineSql = getHeadlineSql;
+module.exports.highlight = highlight;
@@ -4,6 +4,9 @@
  * Utils
  */
 
+const dns = require('dns');
+const net = require('net');
+
 const emailToDisplayName = function (email) {
     if (!email || !email.indexOf('@') || email.indexOf('@') < 1) return null;
 
@@ -160,6 +163,94 @@ const streamToString = function (readableStream) {
         });
 };
 
+/**
+ * Private, loopback, link-local and other reserved IPv4 ranges - [network, prefix length]
+ *
+ * @see https://www.iana.org/assignments/iana-ipv4-special-registry/iana-ipv4-special-registry.xhtml
+ */
+const IPV4_RANGES_NOT_PUBLIC = [
+    ['0.0.0.0', 8],
+    ['10.0.0.0', 8],
+    ['100.64.0.0', 10],
+    ['127.0.0.0', 8],
+    ['169.254.0.0', 16],
+    ['172.16.0.0', 12],
+    ['192.0.0.0', 24],
+    ['192.168.0.0', 16],
+    ['198.18.0.0', 15],
+    ['224.0.0.0', 4],
+    ['240.0.0.0', 4]
+];
+
+const _ipv4ToNumber = function (address) {
+    return address.split('.').reduce(function (number, octet) {
+        return number * 256 + parseInt(octet, 10);
+    }, 0);
+};
+
+/**
+ * Check if the IP address is public - not in a private, loopback, link-local or otherwise reserved range
+ *
+ * @param {string} address IPv4 or IPv6 address
+ *
+ * @returns {boolean} True if the address is public
+ */
+const isPublicAddress = function (address) {
+    const version = net.isIP(address);
+
+    if (version === 4) {
+        const number = _ipv4ToNumber(address);
+
+        return !IPV4_RANGES_NOT_PUBLIC.some(function (range) {
+            const size = Math.pow(2, 32 - range[1]);
+
+            return Math.floor(number / size) === Math.floor(_ipv4ToNumber(range[0]) / size);
+        });
+    }
+
+    if (version === 6) {
+        const ip = address.toLowerCase();
+        const ipv4Mapped = ip.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+
+        if (ipv4Mapped) {
+            return isPublicAddress(ipv4Mapped[1]);
+        }
+
+        const firstHextet = ip.indexOf('::') === 0 ? 0 : parseInt(ip.split(':')[0], 16);
+
+        // ::/8 unspecified, loopback and other reserved, fc00::/7 unique local, fe80::/10 link-local, ff00::/8 multicast
+        return !(firstHextet < 0x100 || (firstHextet & 0xfe00) === 0xfc00 || (firstHextet & 0xffc0) === 0xfe80 || (firstHextet & 0xff00) === 0xff00);
+    }
+
+    return false;
+};
+
+/**
+ * Resolve the host name and check that all of its addresses are public
+ *
+ * Used to prevent requests to internal services (SSRF) from URL-s provided by the Users.
+ *
+ * @param {string} hostname Host name or an IP address
+ *
+ * @returns {Promise<string>} Resolved address to connect to
+ *
+ * @throws {Error} If the host name does not resolve or resolves to a non-public address
+ */
+const lookupPublicAddress = async function (hostname) {
+    const host = hostname.replace(/^\[(.*)\]$/, '$1'); // IPv6 in the URL host is in brackets
+    const addresses = await dns.promises.lookup(host, {all: true});
+
+    const notPublic = addresses.find(function (a) {
+        return !isPublicAddress(a.address);
+    });
+
+    if (!addresses.length || notPublic) {
+        throw new Error(`Host ${hostname} does not resolve to a public address`);
+    }
+
+    return addresses[0].address;
+};
+
 module.exports.emailToDisplayName = emailToDisplayName;
 module.exports.emailToMaskedEmail = emailToMaskedEmail;
 module.exports.escapeHtml = escapeHtml;
@@ -169,3 +260,5 @@ module.exports.randomPid = randomPid;
 module.exports.streamToPromise = streamToPromise;
 module.exports.streamToBuffer = streamToBuffer;
 module.exports.streamToString = streamToString;
+module.exports.isPublicAddress = isPublicAddress;
+module.exports.lookupPublicAddress = lookupPublicAddress;
@@ -0,0 +1,165 @@
+'use strict';
+
+/**
+ * Vote tallying
+ *
+ * Counting of Votes where the result can not be derived from the number of times an option was chosen - ranked (instant runoff) and score voting.
+ * Functions operate on ballots read from VoteLists, each ballot counted "weight" times to take delegations into account.
+ */
+
+/**
+ * Count ranked Votes using instant runoff
+ *
+ * On each round every ballot counts for its most preferred option that has not been eliminated.
+ * Option with more than half of the continuing ballots wins, otherwise the option(s) with the least ballots are eliminated and the next round is counted.
+ * When the options with the least ballots are tied, all of them are eliminated at once. If that would eliminate all remaining options, the result is a tie and there is no winner.
+ *
+ * @param {Array<string>} optionIds VoteOption ids
+ * @param {Array<object>} ballots Array of ballots [{weight: 1, ranking: [optionId1, optionId2..]}], ranking ordered from the most preferred option
+ *
+ * @returns {object} Results {rounds: [{round, options: [{optionId, voteCount}], exhausted, eliminated: [optionId]}], winnerId, tiedIds}
+ */
+const instantRunoff = function (optionIds, ballots) {
+    const rounds = [];
+    let remaining = optionIds.slice();
+    let winnerId = null;
+    let tiedIds = [];
+
+    while (remaining.length) {
+        const counts = {};
+        let exhausted = 0;
+        let continuing = 0;
+
+        remaining.forEach(function (optionId) {
+            counts[optionId] = 0;
+        });
+
+        ballots.forEach(function (ballot) {
+            const preferred = ballot.ranking.find(function (optionId) {
+                return remaining.indexOf(optionId) > -1;
+            });
+
+            if (preferred) {
+                counts[preferred] += ballot.weight;
+                continuing += ballot.weight;
+            } else {
+                exhausted += ballot.weight;
+            }
+        });
+
+        const round = {
+            round: rounds.length + 1,
+            options: remaining
+                .map(function (optionId) {
+                    return {
+                        optionId: optionId,
+                        voteCount: counts[optionId]
+                    };
+                })
+                .sort(function (a, b) {
+                    return b.voteCount - a.voteCount;
+                }),
+            exhausted: exhausted,
+            eliminated: []
+        };
+        rounds.push(round);
+
+        if (!continuing) {
+            break;
+        }
+
+        const leader = round.options[0];
+        if (leader.voteCount * 2 > continuing || remaining.length === 1) {
+            winnerId = leader.optionId;
+            break;
+        }
+
+        const leastCount = round.options[round.options.length - 1].voteCount;
+        const eliminated = remaining.filter(function (optionId) {
+            return counts[optionId] === leastCount;
+        });
+
+        if (eliminated.length === remaining.length) {
+            tiedIds = remaining;
+            break;
+        }
+
+        round.eliminated = eliminated;
+        remaining = remaining.filter(function (optionId) {
+            return eliminated.indexOf(optionId) < 0;
+        });
+    }
+
+    return {
+        rounds: rounds,
+        winnerId: winnerId,
+        tiedIds: tiedIds
+    };
+};
+
+/**
+ * Count score Votes
+ *
+ * Option with the highest total score wins. If several options share the highest total, the result is a tie and there is no winner.
+ *
+ * @param {Array<string>} optionIds VoteOption ids
+ * @param {Array<object>} ballots Array of ballots [{weight: 1, scores: {optionId1: 3, optionId2: 0..}}]
+ *
+ * @returns {object} Results {options: [{optionId, score, average}], winnerId, tiedIds}
+ */
+const scoreTotals = function (optionIds, ballots) {
+    let ballotsCount = 0;
+    const totals = {};
+
+    optionIds.forEach(function (optionId) {
+        totals[optionId] = 0;
+    });
+
+    ballots.forEach(function (ballot) {
+        ballotsCount += ballot.weight;
+
+        Object.keys(ballot.scores).forEach(function (optionId) {
+            if (optionId in totals) {
+                totals[optionId] += ballot.scores[optionId] * ballot.weight;
+            }
+        });
+    });
+
+    const options = optionIds
+        .map(function (optionId) {
+            return {
+                optionId: optionId,
+                score: totals[optionId],
+                average: ballotsCount ? totals[optionId] / ballotsCount : 0
+            };
+        })
+        .sort(function (a, b) {
+            return b.score - a.score;
+        });
+
+    let winnerId = null;
+    let tiedIds = [];
+
+    if (ballotsCount && options.length) {
+        const leaders = options.filter(function (option) {
+            return option.score === options[0].score;
+        });
+
+        if (leaders.length === 1) {
+            winnerId = leaders[0].optionId;
+        } else {
+            tiedIds = leaders.map(function (option) {
+                return option.optionId;
+            });
+        }
+    }
+
+    return {
+        options: options,
+        winnerId: winnerId,
+        tiedIds: tiedIds
+    };
+};
+
+module.exports.instantRunoff = instantRunoff;
+module.exports.scoreTotals = scoreTotals;
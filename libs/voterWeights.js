@@ -0,0 +1,70 @@
+'use strict';
+
+/**
+ * Voter weight (Vote.weightSource) SQL
+ *
+ * Weight of each Voter comes from TopicMemberUser.weight or GroupMemberUser.weight of the Groups that are members of the Topic (highest if several).
+ * Voters missing from the result (or all Voters if the Vote has no "weightSource") have the weight of 1.
+ */
+module.exports = function (app) {
+    const models = app.get('models');
+
+    const Vote = models.Vote;
+
+    /**
+     * SQL selecting the weight of each Voter of the Vote
+     *
+     * Rows {userId, weight}
+     *
+     * @param {string} voteIdParam Vote ID query parameter placeholder (":voteId", "$1"..)
+     *
+     * @returns {string} SQL
+     */
+    const _getSelectSql = function (voteIdParam) {
+        return `
+            SELECT
+                tmu."userId",
+                tmu."weight"
+            FROM "TopicMemberUsers" tmu
+            JOIN "TopicVotes" tv ON (tv."topicId" = tmu."topicId")
+            JOIN "Votes" v ON (v.id = tv."voteId")
+            WHERE tv."voteId" = ${voteIdParam}
+                AND v."weightSource" = '${Vote.WEIGHT_SOURCES.topicMember}'
+                AND tmu."deletedAt" IS NULL
+            UNION ALL
+            SELECT
+                gmu."userId",
+                MAX(gmu."weight")
+            FROM "GroupMemberUsers" gmu
+            JOIN "TopicMemberGroups" tmg ON (tmg."groupId" = gmu."groupId")
+            JOIN "TopicVotes" tv ON (tv."topicId" = tmg."topicId")
+            JOIN "Votes" v ON (v.id = tv."voteId")
+            WHERE tv."voteId" = ${voteIdParam}
+                AND v."weightSource" = '${Vote.WEIGHT_SOURCES.groupMember}'
+                AND gmu."deletedAt" IS NULL
+                AND tmg."deletedAt" IS NULL
+            GROUP BY gmu."userId"
+        `;
+    };
+
+    /**
+     * SQL of the "voter_weights" CTE
+     *
+     * Use in "WITH". Rows {userId, weight}
+     *
+     * @param {string} voteIdParam Vote ID query parameter placeholder (":voteId", "$1"..)
+     *
+     * @returns {string} SQL
+     */
+    const _getCteSql = function (voteIdParam) {
+        return `
+            voter_weights("userId", "weight") AS (
+                ${_getSelectSql(voteIdParam)}
+            )`;
+    };
+
+    return {
+        getSelectSql: _getSelectSql,
+        getCteSql: _getCteSql
+    };
+};
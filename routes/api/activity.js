@@ -9,6 +9,8 @@ module.exports = function (app) {
     const db = models.sequelize;
     const _ = app.get('lodash');
     const cosActivities = app.get('cosActivities');
+    const cosStream = app.get('cosStream');
+    const validator = app.get('validator');
     const loginCheck = app.get('middleware.loginCheck');
     const topicLib = require('./topic')(app);
     const groupLib = require('./group')(app);
@@ -204,7 +206,7 @@ module.exports = function (app) {
                 activity.actor.company = actor.company;
                 activity.actor.name = actor.name;
             }
-            if (activity.data.object[0] && activity.data.object[0]['@type'] === 'VoteList') {
+            if ((activity.data.object[0] && activity.data.object[0]['@type'] === 'VoteList') || activity.data.object['@type'] === 'VoteParticipant') {
                 returnActivity.data.actor = {
                     name: 'User',
                     type: 'User',
@@ -347,7 +349,7 @@ module.exports = function (app) {
 
             if (limit > limitMax) limit = limitDefault;
 
-            const allowedFilters = ['Topic', 'Group', 'TopicComment', 'Vote', 'User', 'VoteList'];
+            const allowedFilters = ['Topic', 'Group', 'TopicComment', 'Vote', 'User', 'VoteList', 'VoteParticipant'];
             let queryFilters = req.query.filter || [];
             if (queryFilters && !Array.isArray(queryFilters)) {
                 queryFilters = [queryFilters];
@@ -431,7 +433,7 @@ module.exports = function (app) {
                         )
                 }
 
-                const finalResults = parseActivitiesResults(results);
+                const finalResults = await _hideVoteResults(parseActivitiesResults(results), userId);
 
                 t.afterCommit(() => {
                     if (finalResults && finalResults.length && finalResults[0]) {
@@ -462,11 +464,11 @@ module.exports = function (app) {
         return activitiesList(req, res, next);
     });
 
-    app.get('/api/users/:userId/topics/:topicId/activities', loginCheck(['partner']), topicLib.hasPermission(TopicMemberUser.LEVELS.read, true), function (req, res, next) {
+    app.get('/api/users/:userId/topics/:topicId/activities', loginCheck(['partner'], 'topics:read'), topicLib.hasPermission(TopicMemberUser.LEVELS.read, true), function (req, res, next) {
         return topicActivitiesList(req, res, next);
     });
 
-    app.get('/api/users/:userId/activities/unread', loginCheck(['partner']), async function (req, res, next) {
+    app.get('/api/users/:userId/activities/unread', loginCheck(['partner'], 'activities:read'), async function (req, res, next) {
         const userId = req.user.id;
         const sourcePartnerId = req.query.sourcePartnerId;
 
@@ -724,7 +726,7 @@ module.exports = function (app) {
         try {
             const limitMax = 50;
             const limitDefault = 10;
-            const allowedFilters = ['Topic', 'Group', 'TopicComment', 'Vote', 'User', 'VoteList'];
+            const allowedFilters = ['Topic', 'Group', 'TopicComment', 'Vote', 'User', 'VoteList', 'VoteParticipant'];
             let userId;
 
             if (req.user) {
@@ -1051,7 +1053,7 @@ module.exports = function (app) {
                                 t
                             );
                     }
-                    const finalResults = parseActivitiesResults(results);
+                    const finalResults = await _hideVoteResults(parseActivitiesResults(results), userId);
 
                     t.afterCommit(() => {
                         return res.ok(finalResults);
@@ -1062,7 +1064,7 @@ module.exports = function (app) {
         }
     };
 
-    app.get('/api/users/:userId/activities', loginCheck(['partner']), function (req, res, next) {
+    app.get('/api/users/:userId/activities', loginCheck(['partner'], 'activities:read'), function (req, res, next) {
         return activitiesList(req, res, next);
     });
 
@@ -1155,7 +1157,7 @@ module.exports = function (app) {
                         );
                 }
 
-                const finalResults = parseActivitiesResults(results);
+                const finalResults = await _hideVoteResults(parseActivitiesResults(results), userId);
 
                 t.afterCommit(() => {
                     if (finalResults && finalResults.length && finalResults[0]) {
@@ -1175,7 +1177,245 @@ module.exports = function (app) {
         return groupActivitiesList(req, res, next, 'public')
     });
 
-    app.get('/api/users/:userId/groups/:groupId/activities', loginCheck(['partner']), groupLib.hasPermission(GroupMemberUser.LEVELS.read, true), function (req, res, next) {
+    app.get('/api/users/:userId/groups/:groupId/activities', loginCheck(['partner'], 'groups:read'), groupLib.hasPermission(GroupMemberUser.LEVELS.read, true), function (req, res, next) {
         return groupActivitiesList(req, res, next);
     });
+
+    const STREAM_SUBSCRIPTIONS_MAX = 50;
+
+    const _canReadTopic = async function (topicId, userId, partnerId) {
+        const authorizationResult = await topicLib.checkPermission(topicId, userId, TopicMemberUser.LEVELS.read, true, null, null, partnerId);
+
+        return !!authorizationResult;
+    };
+
+    const _canReadGroup = async function (groupId, userId) {
+        try {
+            await groupLib.checkPermission(groupId, userId, GroupMemberUser.LEVELS.read, true);
+
+            return true;
+        } catch (err) {
+            if (err) {
+                throw err;
+            }
+
+            return false;
+        }
+    };
+
+    /**
+     * Get the id of the Vote the Activity casts a vote in
+     *
+     * @param {object} activityData Activity.data
+     *
+     * @returns {string|null} Vote id or null if the Activity is not about casting a vote
+     */
+    const _getCastVoteId = function (activityData) {
+        const object = activityData.object;
+
+        if (activityData.type !== Activity.TYPES.create || !object || !activityData.target || activityData.target['@type'] !== 'Topic') {
+            return null;
+        }
+
+        if (Array.isArray(object) && object.length && object[0]['@type'] === 'VoteList') {
+            return object[0].voteId;
+        }
+
+        if (object['@type'] === 'VoteParticipant') { // Secret ballot - Vote.ballotIsSecret
+            return object.voteId;
+        }
+
+        return null;
+    };
+
+    /**
+     * Remove the chosen options from the vote cast Activities of the Votes whose results the User is not allowed to see (Vote.resultsVisibility)
+     *
+     * @param {Array<object>} activities Activities as returned by parseActivitiesResults
+     * @param {string} [userId] User id, null for the public
+     *
+     * @returns {Promise<Array<object>>} Activities
+     */
+    const _hideVoteResults = async function (activities, userId) {
+        const isVisible = {};
+
+        for (const activity of activities) {
+            const voteId = _getCastVoteId(activity.data);
+
+            // Secret ballot participation (VoteParticipant) has no options to hide
+            if (!voteId || !Array.isArray(activity.data.object)) {
+                continue;
+            }
+
+            if (isVisible[voteId] === undefined) {
+                isVisible[voteId] = await topicLib.canSeeVoteResults(voteId, activity.data.target.id, userId);
+            }
+
+            if (!isVisible[voteId]) {
+                activity.data.object = activity.data.object.map(function (object) {
+                    return {
+                        '@type': object['@type'],
+                        voteId: object.voteId
+                    };
+                });
+            }
+        }
+
+        return activities;
+    };
+
+    /**
+     * Remove the data that is not shown in the activity feeds
+     *
+     * @param {object} activity Activity instance
+     *
+     * @returns {object} Activity {id, data, createdAt, updatedAt}
+     */
+    const _toStreamActivity = function (activity) {
+        const data = _.cloneDeep(activity.data);
+
+        if (data.actor) {
+            delete data.actor.ip;
+        }
+
+        if (_getCastVoteId(data)) {
+            // Same as in the feeds, voter is not shown. Only the Vote is, not the chosen options.
+            data.actor = {
+                name: 'User',
+                type: 'User',
+                company: null
+            };
+            data.object = (Array.isArray(data.object) ? data.object : [data.object]).map(function (object) {
+                return {
+                    '@type': object['@type'],
+                    voteId: object.voteId
+                };
+            });
+        }
+
+        ['object', 'origin', 'target'].forEach(function (field) {
+            if (data[field] && data[field]['@type'] === 'Topic') {
+                delete data[field].creator;
+                delete data[field].description;
+                delete data[field].tokenJoin;
+            }
+        });
+
+        return {
+            id: activity.id,
+            data: data,
+            createdAt: activity.createdAt,
+            updatedAt: activity.updatedAt
+        };
+    };
+
+    /**
+     * Stream Activities of Topics and Groups in real-time
+     *
+     * Server-Sent Events (text/event-stream):
+     * * "activity" - Activity saved for any of the subscribed Topics or Groups
+     * * "vote" - Vote counts after a vote was cast in a subscribed Topic {topicId, voteId, votersCount, options: [{optionId, voteCount}]}
+     *
+     * Read permissions are checked on subscribe and again before sending each event.
+     */
+    app.get('/api/users/:userId/stream', loginCheck(['partner'], 'activities:read'), async function (req, res, next) {
+        const userId = req.user.id;
+        const partnerId = req.user.partnerId;
+        let topicIds = req.query.topicIds || [];
+        let groupIds = req.query.groupIds || [];
+
+        if (!Array.isArray(topicIds)) {
+            topicIds = [topicIds];
+        }
+        if (!Array.isArray(groupIds)) {
+            groupIds = [groupIds];
+        }
+
+        topicIds = _.uniq(topicIds);
+        groupIds = _.uniq(groupIds);
+
+        if (!topicIds.length && !groupIds.length) {
+            return res.badRequest('Missing required parameters "topicIds" or "groupIds"', 1);
+        }
+
+        if (topicIds.length + groupIds.length > STREAM_SUBSCRIPTIONS_MAX) {
+            return res.badRequest('Too many Topics and Groups. Maximum is ' + STREAM_SUBSCRIPTIONS_MAX, 2);
+        }
+
+        const isInvalidId = function (id) {
+            return typeof id !== 'string' || !validator.isUUID(id, 4);
+        };
+        if (topicIds.some(isInvalidId) || groupIds.some(isInvalidId)) {
+            return res.badRequest('Invalid "topicIds" or "groupIds"', 3);
+        }
+
+        try {
+            const permissions = await Promise.all(
+                topicIds.map(function (topicId) {
+                    return _canReadTopic(topicId, userId, partnerId);
+                }).concat(groupIds.map(function (groupId) {
+                    return _canReadGroup(groupId, userId);
+                }))
+            );
+
+            if (permissions.indexOf(false) > -1) {
+                return res.forbidden('Insufficient permissions');
+            }
+        } catch (err) {
+            return next(err);
+        }
+
+        const stream = cosStream.open(req, res);
+
+        const unsubscribe = cosStream.subscribe({
+            topicIds: topicIds,
+            groupIds: groupIds,
+            onActivity: async function (activity) {
+                const readableTopicIds = [];
+
+                for (const topicId of _.intersection(activity.topicIds || [], topicIds)) {
+                    if (await _canReadTopic(topicId, userId, partnerId)) {
+                        readableTopicIds.push(topicId);
+                    }
+                }
+
+                let isReadable = readableTopicIds.length > 0;
+                if (!isReadable) {
+                    for (const groupId of _.intersection(activity.groupIds || [], groupIds)) {
+                        if (await _canReadGroup(groupId, userId)) {
+                            isReadable = true;
+                            break;
+                        }
+                    }
+                }
+
+                if (!isReadable) {
+                    return;
+                }
+
+                stream.send('activity', _toStreamActivity(activity), activity.id);
+
+                const voteId = _getCastVoteId(activity.data);
+                const voteTopicId = voteId ? activity.data.target.id : null;
+
+                if (voteId && readableTopicIds.indexOf(voteTopicId) > -1 && await topicLib.canSeeVoteResults(voteId, voteTopicId, userId)) {
+                    const voteResults = await topicLib.getVoteResults(voteId);
+
+                    stream.send('vote', {
+                        topicId: voteTopicId,
+                        voteId: voteId,
+                        votersCount: voteResults && voteResults.length ? parseInt(voteResults[0].votersCount, 10) : 0,
+                        options: (voteResults || []).map(function (result) {
+                            return {
+                                optionId: result.optionId,
+                                voteCount: parseInt(result.voteCount, 10)
+                            };
+                        })
+                    });
+                }
+            }
+        });
+
+        stream.onClose(unsubscribe);
+    });
 };
@@ -0,0 +1,383 @@
+'use strict';
+
+/**
+ * Administration API-s (/api/users/:userId/admin/..)
+ *
+ * Administrators (User.isAdmin) manage the Partners and grant/revoke Moderator rights. All changes are recorded as Activities.
+ */
+module.exports = function (app) {
+    const models = app.get('models');
+    const db = models.sequelize;
+    const validator = app.get('validator');
+    const cosActivities = app.get('cosActivities');
+
+    const loginCheck = app.get('middleware.loginCheck');
+    const adminCheck = app.get('middleware.adminCheck');
+    const partnerParser = app.get('middleware.partnerParser');
+
+    const User = models.User;
+    const Partner = models.Partner;
+    const Moderator = models.Moderator;
+
+    const PARTNER_FIELDS_ALLOWED = ['website', 'redirectUriRegexp', 'linkPrivacyPolicy', 'emailStyles'];
+
+    /**
+     * Validate Partner fields in the request body
+     *
+     * @param {object} fields Partner fields
+     *
+     * @returns {string|null} Error message or null if fields are valid
+     *
+     * @private
+     */
+    const _validatePartnerFields = function (fields) {
+        if ('website' in fields && (typeof fields.website !== 'string' || !validator.isURL(fields.website, {require_protocol: true}))) {
+            return 'Invalid value for "website". Must be an URL with a protocol.';
+        }
+
+        if ('redirectUriRegexp' in fields) {
+            if (typeof fields.redirectUriRegexp !== 'string' || !fields.redirectUriRegexp) {
+                return 'Invalid value for "redirectUriRegexp".';
+            }
+
+            let redirectUriRegexp;
+            try {
+                redirectUriRegexp = new RegExp(fields.redirectUriRegexp, 'i'); // Same flags as in the OpenID authorize
+            } catch (err) {
+                return 'Invalid value for "redirectUriRegexp". ' + err.message;
+            }
+
+            // Matching an empty string, the expression matches any redirect URI
+            if (redirectUriRegexp.test('')) {
+                return 'Invalid value for "redirectUriRegexp". Must not match all URIs.';
+            }
+        }
+
+        if ('linkPrivacyPolicy' in fields && fields.linkPrivacyPolicy !== null && (typeof fields.linkPrivacyPolicy !== 'string' || !validator.isURL(fields.linkPrivacyPolicy, {require_protocol: true}))) {
+            return 'Invalid value for "linkPrivacyPolicy". Must be an URL with a protocol.';
+        }
+
+        return null;
+    };
+
+    const _getActor = function (req) {
+        return {
+            type: 'User',
+            id: req.user.id,
+            ip: req.ip
+        };
+    };
+
+    /**
+     * Read the Partner to the req.locals.partner
+     *
+     * @returns {Function} Express middleware function
+     */
+    const partnerLoader = function () {
+        return async function (req, res, next) {
+            try {
+                const partner = await Partner.findOne({
+                    where: {
+                        id: req.params.partnerId
+                    }
+                });
+
+                if (!partner) {
+                    return res.notFound();
+                }
+
+                req.locals = req.locals || {};
+                req.locals.partner = partner;
+
+                return next();
+            } catch (err) {
+                return next(err);
+            }
+        };
+    };
+
+    /**
+     * List Partners
+     */
+    app.get('/api/users/:userId/admin/partners', loginCheck(), adminCheck, async function (req, res, next) {
+        try {
+            const partners = await Partner.findAll({
+                order: [['createdAt', 'ASC']]
+            });
+
+            return res.ok({
+                count: partners.length,
+                rows: partners
+            });
+        } catch (err) {
+            return next(err);
+        }
+    });
+
+    /**
+     * Create a Partner
+     */
+    app.post('/api/users/:userId/admin/partners', loginCheck(), adminCheck, async function (req, res, next) {
+        const fields = {};
+
+        PARTNER_FIELDS_ALLOWED.forEach(function (field) {
+            if (field in req.body) {
+                fields[field] = req.body[field];
+            }
+        });
+
+        if (!fields.website || !fields.redirectUriRegexp) {
+            return res.badRequest('Missing one or more required parameters: website, redirectUriRegexp', 1);
+        }
+
+        const errorMessage = _validatePartnerFields(fields);
+        if (errorMessage) {
+            return res.badRequest(errorMessage, 2);
+        }
+
+        try {
+            const partner = await db.transaction(async function (t) {
+                const partner = await Partner.create(fields, {transaction: t});
+
+                await cosActivities.createActivity(partner, null, _getActor(req), req.method + ' ' + req.path, t);
+
+                t.afterCommit(function () {
+                    partnerParser.clearCache();
+                });
+
+                return partner;
+            });
+
+            return res.created(partner);
+        } catch (err) {
+            return next(err);
+        }
+    });
+
+    /**
+     * Update a Partner
+     */
+    app.put('/api/users/:userId/admin/partners/:partnerId', loginCheck(), adminCheck, partnerLoader(), async function (req, res, next) {
+        const partner = req.locals.partner;
+        const fields = {};
+
+        PARTNER_FIELDS_ALLOWED.forEach(function (field) {
+            if (field in req.body) {
+                fields[field] = req.body[field];
+            }
+        });
+
+        const errorMessage = _validatePartnerFields(fields);
+        if (errorMessage) {
+            return res.badRequest(errorMessage, 2);
+        }
+
+        try {
+            await db.transaction(async function (t) {
+                partner.set(fields);
+
+                await cosActivities.updateActivity(partner, null, _getActor(req), null, req.method + ' ' + req.path, t);
+                await partner.save({transaction: t});
+
+                t.afterCommit(function () {
+                    partnerParser.clearCache();
+                });
+            });
+
+            return res.ok(partner);
+        } catch (err) {
+            return next(err);
+        }
+    });
+
+    /**
+     * Delete a Partner
+     */
+    app.delete('/api/users/:userId/admin/partners/:partnerId', loginCheck(), adminCheck, partnerLoader(), async function (req, res, next) {
+        const partner = req.locals.partner;
+
+        try {
+            await db.transaction(async function (t) {
+                await cosActivities.deleteActivity(partner, null, _getActor(req), req.method + ' ' + req.path, t);
+                await partner.destroy({transaction: t});
+
+                t.afterCommit(function () {
+                    partnerParser.clearCache();
+                });
+            });
+
+            return res.ok();
+        } catch (err) {
+            return next(err);
+        }
+    });
+
+    /**
+     * List Moderators, optionally filtered by "partnerId". Use "partnerId=null" for the global Moderators.
+     */
+    app.get('/api/users/:userId/admin/moderators', loginCheck(), adminCheck, async function (req, res, next) {
+        const partnerId = req.query.partnerId;
+        let where = '';
+
+        if (partnerId === 'null') {
+            where = 'AND m."partnerId" IS NULL';
+        } else if (partnerId) {
+            if (!validator.isUUID(partnerId, 4)) {
+                return res.badRequest('Invalid value for "partnerId".', 1);
+            }
+            where = 'AND m."partnerId" = :partnerId';
+        }
+
+        try {
+            const moderators = await db.query(
+                `
+                    SELECT
+                        m.id,
+                        m."createdAt",
+                        u.id AS "user.id",
+                        u.name AS "user.name",
+                        u.email AS "user.email",
+                        p.id AS "partner.id",
+                        p.website AS "partner.website"
+                    FROM "Moderators" m
+                        JOIN "Users" u ON (u.id = m."userId")
+                        LEFT JOIN "Partners" p ON (p.id = m."partnerId")
+                    WHERE m."deletedAt" IS NULL
+                        ${where}
+                    ORDER BY m."createdAt" ASC
+                `,
+                {
+                    replacements: {
+                        partnerId: partnerId
+                    },
+                    type: db.QueryTypes.SELECT,
+                    raw: true,
+                    nest: true
+                }
+            );
+
+            moderators.forEach(function (moderator) {
+                if (!moderator.partner.id) {
+                    moderator.partner = null;
+                }
+            });
+
+            return res.ok({
+                count: moderators.length,
+                rows: moderators
+            });
+        } catch (err) {
+            return next(err);
+        }
+    });
+
+    /**
+     * Grant Moderator rights. Without "partnerId" the User becomes a global Moderator.
+     */
+    app.post('/api/users/:userId/admin/moderators', loginCheck(), adminCheck, async function (req, res, next) {
+        const moderatorUserId = req.body.userId;
+        const partnerId = req.body.partnerId || null;
+
+        if (typeof moderatorUserId !== 'string' || !validator.isUUID(moderatorUserId, 4)) {
+            return res.badRequest('Invalid value for "userId".', 1);
+        }
+
+        if (partnerId && (typeof partnerId !== 'string' || !validator.isUUID(partnerId, 4))) {
+            return res.badRequest('Invalid value for "partnerId".', 2);
+        }
+
+        try {
+            const user = await User.findOne({
+                where: {
+                    id: moderatorUserId
+                }
+            });
+
+            if (!user) {
+                return res.badRequest('User not found.', 3);
+            }
+
+            let partner = null;
+            if (partnerId) {
+                partner = await Partner.findOne({
+                    where: {
+                        id: partnerId
+                    }
+                });
+
+                if (!partner) {
+                    return res.badRequest('Partner not found.', 4);
+                }
+            }
+
+            // Unique indexes do not include "deletedAt", so a revoked Moderator is restored instead of created
+            const moderatorExisting = await Moderator.findOne({
+                where: {
+                    userId: moderatorUserId,
+                    partnerId: partnerId
+                },
+                paranoid: false
+            });
+
+            if (moderatorExisting && !moderatorExisting.deletedAt) {
+                return res.badRequest('User is already a Moderator.', 5);
+            }
+
+            const moderator = await db.transaction(async function (t) {
+                let moderator = moderatorExisting;
+
+                if (moderator) {
+                    await moderator.restore({transaction: t});
+                } else {
+                    moderator = await Moderator.create({
+                        userId: moderatorUserId,
+                        partnerId: partnerId
+                    }, {transaction: t});
+                }
+
+                await cosActivities.createActivity(moderator, partner, _getActor(req), req.method + ' ' + req.path, t);
+
+                return moderator;
+            });
+
+            return res.created(moderator);
+        } catch (err) {
+            return next(err);
+        }
+    });
+
+    /**
+     * Revoke Moderator rights
+     */
+    app.delete('/api/users/:userId/admin/moderators/:moderatorId', loginCheck(), adminCheck, async function (req, res, next) {
+        try {
+            const moderator = await Moderator.findOne({
+                where: {
+                    id: req.params.moderatorId
+                }
+            });
+
+            if (!moderator) {
+                return res.notFound();
+            }
+
+            let partner = null;
+            if (moderator.partnerId) {
+                partner = await Partner.findOne({
+                    where: {
+                        id: moderator.partnerId
+                    }
+                });
+            }
+
+            await db.transaction(async function (t) {
+                await cosActivities.deleteActivity(moderator, partner, _getActor(req), req.method + ' ' + req.path, t);
+                await moderator.destroy({transaction: t});
+            });
+
+            return res.ok();
+        } catch (err) {
+            return next(err);
+        }
+    });
+};
@@ -6,6 +6,7 @@ module.exports = function (app) {
     const cryptoLib = app.get('cryptoLib');
     const smartId = app.get('smartId');
     const loginCheck = app.get('middleware.loginCheck');
+    const rateLimit = app.get('middleware.rateLimit');
     const emailLib = app.get('email');
     const validator = app.get('validator');
     const util = app.get('util');
@@ -23,10 +24,12 @@ module.exports = function (app) {
     const superagent = app.get('superagent');
     const url = app.get('url');
     const mobileId = app.get('mobileId');
+    const cosOpenId = app.get('cosOpenId');
+    const cosTwoFactor = app.get('cosTwoFactor');
+    const cosSession = app.get('cosSession');
 
     const User = models.User;
     const UserConnection = models.UserConnection;
-    const UserConsent = models.UserConsent;
     const Partner = models.Partner;
 
     const COOKIE_NAME_OPENID_AUTH_STATE = 'cos.authStateOpenId';
@@ -92,14 +95,35 @@ module.exports = function (app) {
         });
     };
 
-    const handleOpenIdErrorRedirect = function (res, redirectUri, error, errorDescription, state, errorUri) {
-
-        clearStateCookie(res, COOKIE_NAME_OPENID_AUTH_STATE);
+    /**
+     * Get "redirect_uri" with the authorization response parameters
+     *
+     * Authorization code flow returns the parameters in the query component, implicit flow in the fragment component.
+     *
+     * @param {string} redirectUri The "redirect_uri" parameter
+     * @param {object} params Response parameters
+     * @param {string} [responseType] The "response_type" parameter
+     *
+     * @returns {string} Redirect URI
+     *
+     * @see https://openid.net/specs/oauth-v2-multiple-response-types-1_0.html#ResponseModes
+     */
+    const getOpenIdRedirectUri = function (redirectUri, params, responseType) {
+        if (responseType === cosOpenId.RESPONSE_TYPES.code) {
+            return redirectUri + (redirectUri.indexOf('?') > -1 ? '&' : '?') + querystring.stringify(params);
+        }
 
         if (redirectUri.indexOf('#') < 0) {
             redirectUri += '#';
         }
 
+        return redirectUri + querystring.stringify(params);
+    };
+
+    const handleOpenIdErrorRedirect = function (res, redirectUri, error, errorDescription, state, errorUri, responseType) {
+
+        clearStateCookie(res, COOKIE_NAME_OPENID_AUTH_STATE);
+
         const errorObj = {
             error: error,
             error_description: errorDescription
@@ -113,10 +137,29 @@ module.exports = function (app) {
             errorObj.error_uri = errorUri;
         }
 
-        return res.redirect(redirectUri + querystring.stringify(errorObj));
+        return res.redirect(getOpenIdRedirectUri(redirectUri, errorObj, responseType));
     };
 
-    app.post('/api/auth/signup', async function (req, res, next) {
+    /**
+     * Send OAuth error response from the token and revocation endpoints
+     *
+     * @param {object} res Express response object
+     * @param {object} err Error from cosOpenId with the OAuth error code in "type"
+     *
+     * @returns {void}
+     *
+     * @see https://tools.ietf.org/html/rfc6749#section-5.2
+     */
+    const handleOpenIdErrorResponse = function (res, err) {
+        return res
+            .status(err.type === cosOpenId.ERROR_TYPES.invalidClient ? 401 : 400)
+            .json({
+                error: err.type,
+                error_description: err.message
+            });
+    };
+
+    app.post('/api/auth/signup', rateLimit('signup'), async function (req, res, next) {
         const email = req.body.email || ''; // HACK: Sequelize validate() is not run if value is "null". Also cannot use allowNull: false as I don' want constraint in DB. https://github.com/sequelize/sequelize/issues/2643
         const password = req.body.password || ''; // HACK: Sequelize validate() is not run if value is "null". Also cannot use allowNull: false as I don' want constraint in DB. https://github.com/sequelize/sequelize/issues/2643
         const name = req.body.name || util.emailToDisplayName(req.body.email);
@@ -187,7 +230,7 @@ module.exports = function (app) {
 
             if (user) {
                 if (user.emailIsVerified) {
-                    setAuthCookie(req, res, user.id);
+                    await setAuthCookie(req, res, user.id);
 
                     return res.ok({redirectSuccess});
                 } else {
@@ -210,22 +253,25 @@ module.exports = function (app) {
     });
 
     /**
-     * Set the authorization cookie, can also be viewed as starting a session
+     * Set the authorization cookie, starts a session (UserSession) which the User can see and revoke
      *
      * @param {object} req Express request object
      * @param {object} res Express response object
      * @param {string} userId User id
-     * @returns {cookie} data
+     * @returns {Promise<void>}
      *
      * @see http://expressjs.com/en/4x/api.html#res
      */
-    const setAuthCookie = function (req, res, userId) {
+    const setAuthCookie = async function (req, res, userId) {
+        const session = await cosSession.create(req, userId);
+
         const authToken = jwt.sign({
             id: userId,
             scope: 'all'
         }, config.session.privateKey, {
             expiresIn: config.session.cookie.maxAge,
-            algorithm: config.session.algorithm
+            algorithm: config.session.algorithm,
+            jwtid: session.id
         });
         res.cookie(config.session.name, authToken, Object.assign({secure: req.secure}, config.session.cookie));
     };
@@ -239,21 +285,112 @@ module.exports = function (app) {
 
     /**
      * Login
+     *
+     * With two-factor authentication enabled, responds with a token for the second step (POST /api/auth/login/twofactor) instead of logging in.
      */
-    app.post('/api/auth/login', function (req, res) {
-        passport.authenticate('local', function (err, user) {
+    app.post('/api/auth/login', rateLimit('login'), function (req, res, next) {
+        passport.authenticate('local', async function (err, user) {
             if (err || !user) {
                 return res.badRequest(err.message, err.code);
             }
 
-            setAuthCookie(req, res, user.id);
+            try {
+                if (await cosTwoFactor.isEnabled(user.id)) {
+                    return res.ok('Two-factor authentication required', 1, {
+                        token: cosTwoFactor.getChallengeToken(user.id)
+                    });
+                }
+
+                await setAuthCookie(req, res, user.id);
+            } catch (err) {
+                return next(err);
+            }
 
             return res.ok(user);
         })(req, res);
     });
 
+    /**
+     * Login - second step with two-factor authentication
+     *
+     * Accepts the code from the authenticator app or one of the recovery codes.
+     */
+    app.post('/api/auth/login/twofactor', rateLimit('login'), async function (req, res, next) {
+        const token = req.body.token;
+        const code = req.body.code;
+
+        if (!token) {
+            return res.badRequest('Missing required parameter "token".', 1);
+        }
+
+        let userId;
+        try {
+            userId = cosTwoFactor.verifyChallengeToken(token);
+        } catch (err) {
+            if (err.name === 'TokenExpiredError') {
+                logger.info('Login two-factor - JWT token has expired', req.method, req.path, err);
+
+                return res.unauthorised('JWT token has expired');
+            } else {
+                logger.warn('Login two-factor - JWT error', req.method, req.path, err);
+
+                return res.unauthorised('Invalid JWT token');
+            }
+        }
+
+        try {
+            await cosTwoFactor.verify(userId, code);
+        } catch (err) {
+            if (err.type === cosTwoFactor.ERROR_TYPES.invalidCode) {
+                return res.badRequest(err.message, 2);
+            }
+
+            if (err.type === cosTwoFactor.ERROR_TYPES.notEnabled) {
+                // Disabled after the password was checked, start over
+                return res.badRequest(err.message, 3);
+            }
+
+            return next(err);
+        }
+
+        try {
+            const user = await User.findOne({
+                where: {
+                    id: userId
+                }
+            });
+
+            if (!user) {
+                return res.unauthorised('Invalid JWT token');
+            }
+
+            const userData = user.toJSON();
+            userData.termsVersion = user.dataValues.termsVersion;
+            userData.termsAcceptedAt = user.dataValues.termsAcceptedAt;
+
+            await setAuthCookie(req, res, user.id);
+
+            return res.ok(userData);
+        } catch (err) {
+            return next(err);
+        }
+    });
+
+
+    /**
+     * Logout
+     *
+     * Revokes the session of the authorization token, so that the token is not accepted even if it was copied.
+     */
+    app.post('/api/auth/logout', async function (req, res, next) {
+        try {
+            if (req.user && req.user.jti) {
+                await cosSession.revoke(req.user.id, req.user.jti);
+            }
+        } catch (err) {
+            return next(err);
+        }
 
-    app.post('/api/auth/logout', function (req, res) {
         clearSessionCookies(req, res);
 
         return res.ok();
@@ -332,7 +469,7 @@ module.exports = function (app) {
     });
 
 
-    app.post('/api/auth/password/reset/send', async function (req, res, next) {
+    app.post('/api/auth/password/reset/send', rateLimit('passwordReset'), async function (req, res, next) {
         const email = req.body.email;
         if (!email || !validator.isEmail(email)) {
             return res.badRequest({email: 'Invalid email'});
@@ -359,7 +496,7 @@ module.exports = function (app) {
     });
 
 
-    app.post('/api/auth/password/reset', async function (req, res, next) {
+    app.post('/api/auth/password/reset', rateLimit('passwordReset'), async function (req, res, next) {
         const email = req.body.email;
         const password = req.body.password;
         const passwordResetCode = req.body.passwordResetCode;
@@ -413,6 +550,11 @@ module.exports = function (app) {
             userData.termsVersion = user.dataValues.termsVersion;
             userData.termsAcceptedAt = user.dataValues.termsAcceptedAt;
 
+            // Partner access tokens need the "profile:email" scope for the e-mail address
+            if (req.user.scope === 'partner' && (!Array.isArray(req.user.scopes) || req.user.scopes.indexOf(cosOpenId.API_SCOPES['profile:email']) < 0)) {
+                delete userData.email;
+            }
+
             return res.ok(userData);
         } catch (err) {
             return next(err);
@@ -420,7 +562,7 @@ module.exports = function (app) {
     });
 
 
-    app.post('/api/auth/smartid/init', async function (req, res, next) {
+    app.post('/api/auth/smartid/init', rateLimit('login'), async function (req, res, next) {
         const pid = req.body.pid;
         const countryCode = req.body.countryCode;
 
@@ -571,7 +713,7 @@ module.exports = function (app) {
             const userData = await _getUserByPersonalId(personalInfo, UserConnection.CONNECTION_IDS.smartid, req);
             const user = userData[0];
             const created = userData[1];
-            setAuthCookie(req, res, user.id);
+            await setAuthCookie(req, res, user.id);
 
             return res.ok(user, created);
         } catch(error) {
@@ -624,7 +766,7 @@ module.exports = function (app) {
             const userData = await _getUserByPersonalId(personalInfo, UserConnection.CONNECTION_IDS.esteid, req);
             const user = userData[0];
             const created = userData[1];
-            setAuthCookie(req, res, user.id);
+            await setAuthCookie(req, res, user.id);
 
             return res.ok(user, created);
 
@@ -653,7 +795,7 @@ module.exports = function (app) {
      *
      * Initializes Mobiil-ID authentication. For login, client is supposed to poll /api/auth/mid/status to check if authentication succeeded
      */
-    app.post('/api/auth/mobile/init', function (req, res, next) {
+    app.post('/api/auth/mobile/init', rateLimit('login'), function (req, res, next) {
         const pid = req.body.pid;
         const phoneNumber = req.body.phoneNumber;
 
@@ -739,7 +881,7 @@ module.exports = function (app) {
                 const userData = await _getUserByPersonalId(authResult.personalInfo, UserConnection.CONNECTION_IDS.esteid, req);
                 const user = userData[0];
                 const created = userData[1];
-                setAuthCookie(req, res, user.id);
+                await setAuthCookie(req, res, user.id);
 
                 return res.ok(user, created);
             }
@@ -787,8 +929,13 @@ module.exports = function (app) {
         passport.authenticate('google', {
             failureRedirect: urlLib.getFe('/account/login')
         }),
-        function (req, res) {
-            setAuthCookie(req, res, req.user.id);
+        async function (req, res, next) {
+            try {
+                await setAuthCookie(req, res, req.user.id);
+            } catch (err) {
+                return next(err);
+            }
+
             handleCallbackRedirect(req, res);
         }
     );
@@ -810,8 +957,13 @@ module.exports = function (app) {
         passport.authenticate('facebook', {
             failureRedirect: urlLib.getFe('/account/login')
         }),
-        function (req, res) {
-            setAuthCookie(req, res, req.user.id);
+        async function (req, res, next) {
+            try {
+                await setAuthCookie(req, res, req.user.id);
+            } catch (err) {
+                return next(err);
+            }
+
             handleCallbackRedirect(req, res);
         }
     );
@@ -827,7 +979,10 @@ module.exports = function (app) {
      * After the initial request, all actions redirect back to this endpoint and we use the state cookie data.
      * At some point all conditions are met and we redirect back to Partner site and clear the cookie.
      *
+     * Supports the implicit flow ("token id_token") and the authorization code flow ("code") with PKCE (RFC 7636).
+     *
      * @see http://openid.net/specs/openid-connect-implicit-1_0.html#rfc.section.2.1.1
+     * @see https://openid.net/specs/openid-connect-core-1_0.html#CodeFlowAuth
      */
     app.get('/api/auth/openid/authorize', function (req, res, next) {
         let reqQuery = req.query;
@@ -840,12 +995,14 @@ module.exports = function (app) {
         }
 
         // Ugh, using camelCase in all the other places, but OpenID/OAuth dictates snake_case.
-        const responseType = reqQuery.response_type; //id_token token
+        const responseType = reqQuery.response_type; // code OR id_token token
         const clientId = reqQuery.client_id;
         const redirectUri = reqQuery.redirect_uri;
         const scope = reqQuery.scope;
         const nonce = reqQuery.nonce;
         const state = reqQuery.state;
+        const codeChallenge = reqQuery.code_challenge;
+        const codeChallengeMethod = reqQuery.code_challenge_method;
         const uiLocales = reqQuery.ui_locales ? reqQuery.ui_locales.split(' ')[0] : 'en';
         const referer = req.headers.referer;
 
@@ -895,29 +1052,61 @@ module.exports = function (app) {
 
                 // Now that we have verified "redirect_uri" and "client_id" we can start redirecting to the "redirect_uri" with errors/successes
                 // response_type
-                if (!responseType || (responseType !== 'id_token token' && responseType !== 'token id_token')) {
+                if (!responseType || (responseType !== 'code' && responseType !== 'id_token token' && responseType !== 'token id_token')) {
                     return handleOpenIdErrorRedirect(
                         res,
                         redirectUri,
                         'unsupported_response_type',
-                        'Unsupported "response_type" parameter value. Only "token id_token" is supported.',
+                        'Unsupported "response_type" parameter value. Supported values are "code" and "token id_token".',
                         state
                     );
                 }
 
-                // scope - 'openid' is required for OpenID flow, right now no other scopes are supported
-                if (!scope || scope !== 'openid') {
+                const isCodeFlow = responseType === cosOpenId.RESPONSE_TYPES.code;
+
+                // scope - 'openid' is required for OpenID flow
+                let scopes;
+                try {
+                    scopes = cosOpenId.parseScope(scope, responseType);
+                } catch (err) {
                     return handleOpenIdErrorRedirect(
                         res,
                         redirectUri,
-                        'invalid_scope',
-                        'Unsupported "scope" parameter value. Only "openid" is supported.',
-                        state
+                        err.type,
+                        err.message,
+                        state,
+                        null,
+                        responseType
                     );
                 }
 
-                // nonce
-                if (!nonce || nonce.length < 14) {
+                if (isCodeFlow) {
+                    // PKCE - https://tools.ietf.org/html/rfc7636#section-4.4.1
+                    if (!codeChallenge || !cosOpenId.CODE_CHALLENGE_REGEXP.test(codeChallenge) || codeChallengeMethod !== 'S256') {
+                        return handleOpenIdErrorRedirect(
+                            res,
+                            redirectUri,
+                            'invalid_request',
+                            'Invalid or missing "code_challenge" parameter value. PKCE with "code_challenge_method" "S256" is required for the "code" response type.',
+                            state,
+                            'https://tools.ietf.org/html/rfc7636#section-4.4.1',
+                            responseType
+                        );
+                    }
+
+                    // nonce - optional for the authorization code flow
+                    if (nonce && nonce.length > 255) {
+                        return handleOpenIdErrorRedirect(
+                            res,
+                            redirectUri,
+                            'invalid_request',
+                            'Invalid "nonce" parameter value. "nonce" can be up to 255 characters of length.',
+                            state,
+                            null,
+                            responseType
+                        );
+                    }
+                } else if (!nonce || nonce.length < 14) { // nonce
                     return handleOpenIdErrorRedirect(
                         res,
                         redirectUri,
@@ -930,64 +1119,61 @@ module.exports = function (app) {
 
                 // User logged in
                 if (req.user && req.user.id) {
-                    return UserConsent
-                        .count({
-                            where: {
-                                userId: req.user.id,
-                                partnerId: clientId
-                            }
-                        })
-                        .then(function (count) {
-                            // User connection exits
-                            if (count) {
+                    return cosOpenId
+                        .hasConsent(req.user.id, clientId, scopes)
+                        .then(async function (hasConsent) {
+                            // User consent exists and covers the requested API scopes
+                            if (hasConsent) {
                                 // IF User is logged in to CitizenOS AND has agreed before -> redirect_uri
-                                const accessToken = jwt.sign(
-                                    {
-                                        id: req.user.id,
-                                        partnerId: clientId,
-                                        scope: 'partner'
-                                    },
-                                    config.session.privateKey,
-                                    {
-                                        expiresIn: '7 days',
-                                        algorithm: config.session.algorithm
-                                    }
-                                );
-                                const accessTokenHash = cryptoLib.getAtHash(accessToken, 'sha' + config.session.algorithm.match(/[0-9]*$/)[0]);
+                                let params;
 
-                                // ID Token - http://openid.net/specs/openid-connect-implicit-1_0.html#IDToken
-                                const idToken = jwt.sign(
-                                    {
-                                        iss: urlLib.getApi(), // issuer
-                                        sub: req.user.id, // subject
-                                        aud: clientId, // audience
-                                        exp: parseInt(new Date().getTime() / 1000 + (5 * 60 * 1000), 10), // expires - 5 minutes from now
+                                if (isCodeFlow) {
+                                    const code = await cosOpenId.createAuthorizationCode({
+                                        partnerId: clientId,
+                                        userId: req.user.id,
+                                        scopes: scopes,
+                                        redirectUri: redirectUri,
                                         nonce: nonce,
-                                        at_hash: accessTokenHash
-                                    },
-                                    config.session.privateKey,
-                                    {algorithm: config.session.algorithm}
-                                );
-
-                                const params = {
-                                    access_token: accessToken,
-                                    id_token: idToken,
-                                    state: state
-                                };
+                                        codeChallenge: codeChallenge
+                                    });
+
+                                    params = {
+                                        code: code
+                                    };
+                                } else {
+                                    const accessToken = await cosOpenId.getAccessToken(req, req.user.id, clientId, scopes, 7 * 24 * 60 * 60); // 7 days
+
+                                    // ID Token - http://openid.net/specs/openid-connect-implicit-1_0.html#IDToken
+                                    params = {
+                                        access_token: accessToken,
+                                        id_token: cosOpenId.getIdToken(req.user.id, clientId, nonce, accessToken)
+                                    };
+                                }
+
+                                if (state || !isCodeFlow) {
+                                    params.state = state;
+                                }
 
                                 // Clear state cookies as we are done with the authorization
                                 clearStateCookie(res, COOKIE_NAME_OPENID_AUTH_STATE);
                                 clearStateCookie(res, COOKIE_NAME_COS_AUTH_STATE);
 
-                                return res.redirect(redirectUri + '#' + querystring.stringify(params));
+                                return res.redirect(getOpenIdRedirectUri(redirectUri, params, responseType));
                             } else {
-                                // IF User is logged in to CitizenOS AND has NOT agreed before -> /consent?redirect_uri -> redirect_uri
+                                // IF User is logged in to CitizenOS AND has NOT agreed before (to all the requested scopes) -> /consent?redirect_uri -> redirect_uri
+                                // The consent view shows the requested API scopes
                                 setStateCookie(req, res, COOKIE_NAME_OPENID_AUTH_STATE);
 
-                                return res.redirect(urlLib.getFe('/:language/partners/:partnerId/consent', {
-                                    partnerId: clientId,
-                                    language: uiLocales
-                                }));
+                                return res.redirect(urlLib.getFe(
+                                    '/:language/partners/:partnerId/consent',
+                                    {
+                                        partnerId: clientId,
+                                        language: uiLocales
+                                    },
+                                    {
+                                        scope: cosOpenId.getApiScopes(scopes).join(' ')
+                                    }
+                                ));
                             }
                         });
                 } else { // User NOT logged in
@@ -1017,7 +1203,122 @@ module.exports = function (app) {
         const redirectUri = stateCookieData.redirect_uri;
 
         clearStateCookie(res, COOKIE_NAME_COS_AUTH_STATE);
-        handleOpenIdErrorRedirect(res, redirectUri, 'access_denied', 'The resource owner or authorization server denied the request.', stateCookieData.state);
+        handleOpenIdErrorRedirect(res, redirectUri, 'access_denied', 'The resource owner or authorization server denied the request.', stateCookieData.state, null, stateCookieData.response_type);
+    });
+
+
+    /**
+     * Open ID Token
+     *
+     * Exchange the authorization code for tokens ("authorization_code" grant) or get new tokens with the refresh token ("refresh_token" grant).
+     * Partners are public clients, "client_id" is required and PKCE "code_verifier" replaces the client secret.
+     *
+     * @see https://openid.net/specs/openid-connect-core-1_0.html#TokenEndpoint
+     */
+    app.post('/api/auth/openid/token', async function (req, res, next) {
+        const grantType = req.body.grant_type;
+        const clientId = req.body.client_id;
+
+        // https://tools.ietf.org/html/rfc6749#section-5.1
+        res.set('Cache-Control', 'no-store');
+        res.set('Pragma', 'no-cache');
+
+        try {
+            let tokens;
+
+            switch (grantType) {
+                case 'authorization_code':
+                    tokens = await cosOpenId.exchangeAuthorizationCode(req.body.code, clientId, req.body.redirect_uri, req.body.code_verifier);
+                    break;
+                case 'refresh_token':
+                    tokens = await cosOpenId.refresh(req.body.refresh_token, clientId, req.body.scope);
+                    break;
+                default:
+                    return handleOpenIdErrorResponse(res, {
+                        type: cosOpenId.ERROR_TYPES.unsupportedGrantType,
+                        message: 'Unsupported "grant_type" parameter value. Supported values are "authorization_code" and "refresh_token".'
+                    });
+            }
+
+            return res.status(200).json(tokens);
+        } catch (err) {
+            if (err.type) {
+                return handleOpenIdErrorResponse(res, err);
+            }
+
+            return next(err);
+        }
+    });
+
+
+    /**
+     * Open ID Token revocation
+     *
+     * @see https://tools.ietf.org/html/rfc7009
+     */
+    app.post('/api/auth/openid/revoke', async function (req, res, next) {
+        try {
+            await cosOpenId.revoke(req.body.token, req.body.client_id);
+
+            return res.status(200).end();
+        } catch (err) {
+            if (err.type) {
+                return handleOpenIdErrorResponse(res, err);
+            }
+
+            return next(err);
+        }
+    });
+
+
+    /**
+     * Open ID UserInfo
+     *
+     * Claims returned depend on the scopes of the Access Token, "sub" is always returned.
+     *
+     * @see https://openid.net/specs/openid-connect-core-1_0.html#UserInfo
+     */
+    const openIdUserInfo = async function (req, res, next) {
+        // Tokens of the app itself ("all" scope) get all the claims, Partner tokens issued before scopes were introduced get just "sub"
+        const scopes = req.user.scope === 'all' ? Object.keys(cosOpenId.SCOPES) : (req.user.scopes || [cosOpenId.SCOPES.openid]);
+
+        try {
+            const claims = await cosOpenId.getUserInfo(req.user.id, scopes);
+            if (!claims) {
+                return res.unauthorised();
+            }
+
+            return res.status(200).json(claims);
+        } catch (err) {
+            return next(err);
+        }
+    };
+
+    app.get('/api/auth/openid/userinfo', loginCheck(['partner']), openIdUserInfo);
+    app.post('/api/auth/openid/userinfo', loginCheck(['partner']), openIdUserInfo);
+
+
+    /**
+     * Open ID JSON Web Key Set
+     *
+     * Public key for verifying the ID Tokens and Access Tokens, derived from "config.session.publicKey".
+     *
+     * @see https://openid.net/specs/openid-connect-discovery-1_0.html#ProviderMetadata
+     */
+    app.get('/api/auth/openid/jwks', function (req, res) {
+        return res.status(200).json(cosOpenId.getJwks());
+    });
+
+
+    /**
+     * Open ID Provider configuration
+     *
+     * Served relative to the issuer (API base url) as the discovery specification requires.
+     *
+     * @see https://openid.net/specs/openid-connect-discovery-1_0.html#ProviderConfig
+     */
+    app.get('/.well-known/openid-configuration', function (req, res) {
+        return res.status(200).json(cosOpenId.getConfiguration());
     });
 
     return {
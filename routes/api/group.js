@@ -19,29 +19,34 @@ module.exports = function (app) {
 
     const loginCheck = app.get('middleware.loginCheck');
     const asyncMiddleware = app.get('middleware.asyncMiddleware');
+    const rateLimit = app.get('middleware.rateLimit');
+    const cosNotifications = app.get('cosNotifications');
+    const groupHierarchy = app.get('groupHierarchy');
+    const cosTwoFactor = app.get('cosTwoFactor');
 
     const Group = models.Group;
     const GroupInviteUser = models.GroupInviteUser;
     const GroupMemberUser = models.GroupMemberUser;
     const User = models.User;
+    const NotificationSetting = models.NotificationSetting;
+    const TopicTemplate = models.TopicTemplate;
 
     const _hasPermission = async function (groupId, userId, level, allowPublic, allowSelf) {
         try {
+            // Membership can be direct or inherited from the parent Groups
             const result = await db.query(`
+                WITH RECURSIVE ${groupHierarchy.USER_GROUPS_SQL}
                 SELECT
                     g.visibility = \'public\' AS "isPublic",
-                    gm.level::"enum_GroupMemberUsers_level" >= :level AS "allowed",
-                    gm."userId" AS uid,
-                    gm."level" AS level,
+                    MAX(gm.level) >= :level AS "allowed",
+                    MAX(gm.level) AS level,
                     g.id
                 FROM "Groups" g
-                LEFT JOIN "GroupMemberUsers" gm
+                JOIN user_groups gm
                     ON(gm."groupId" = g.id)
                 WHERE g.id = :groupId
-                    AND gm."userId" = :userId
-                    AND gm."deletedAt" IS NULL
                     AND g."deletedAt" IS NULL
-                GROUP BY id, uid, level;`, {
+                GROUP BY g.id;`, {
             replacements: {
                 groupId: groupId,
                 userId: userId,
@@ -64,6 +69,37 @@ module.exports = function (app) {
             return Promise.reject(err);
         }
     };
+
+    /**
+     * Is the User denied access to the Group only because the Group requires two-factor authentication
+     *
+     * @param {string} groupId Group id
+     * @param {string} userId User id
+     *
+     * @returns {Promise<boolean>} True if the User is a member of the Group that requires two-factor authentication and has not enabled it
+     *
+     * @private
+     */
+    const _isTwoFactorMissing = async function (groupId, userId) {
+        const result = await db.query(`
+            SELECT
+                g."requireTwoFactor" AND NOT ${groupHierarchy.USER_TWO_FACTOR_SQL} AS "isMissing"
+            FROM "Groups" g
+                JOIN "GroupMemberUsers" gmu ON (gmu."groupId" = g.id AND gmu."userId" = :userId AND gmu."deletedAt" IS NULL)
+            WHERE g.id = :groupId
+                AND g."deletedAt" IS NULL;`,
+        {
+            replacements: {
+                groupId: groupId,
+                userId: userId
+            },
+            type: db.QueryTypes.SELECT,
+            raw: true
+        });
+
+        return !!(result && result[0] && result[0].isMissing);
+    };
+
     const hasPermission = function (level, allowPublic, allowSelf) {
         return function (req, res, next) {
             const groupId = req.params.groupId;
@@ -81,11 +117,29 @@ module.exports = function (app) {
                     return new Promise(function (resolve) {
                         return resolve(next(null, req, res));
                     });
-                }, function (err) {
+                }, async function (err) {
                     if (err) {
                         return next(err);
                     }
 
+                    // Leaving the Group does not require two-factor authentication
+                    if (allowDeleteSelf) {
+                        const isMember = await GroupMemberUser.count({
+                            where: {
+                                groupId: groupId,
+                                userId: userId
+                            }
+                        });
+
+                        if (isMember) {
+                            return next();
+                        }
+                    }
+
+                    if (await _isTwoFactorMissing(groupId, userId)) {
+                        return res.forbidden('Two-factor authentication is required by the Group.', 1);
+                    }
+
                     return res.forbidden('Insufficient permissions');
                 })
                 .catch(next);
@@ -95,63 +149,100 @@ module.exports = function (app) {
     /**
      * Create a new Group
      */
-    app.post('/api/users/:userId/groups', loginCheck(['partner']), function (req, res, next) {
-        const group = Group
-            .build({
-                name: req.body.name,
-                creatorId: req.user.id,
-                parentId: req.body.parentId, //TODO: check that user actually has Permissions on the Parent and the Parent exists?
-                visibility: req.body.visibility || Group.VISIBILITY.private
+    app.post('/api/users/:userId/groups', loginCheck(['partner'], 'groups:manage'), async function (req, res, next) {
+        const parentId = req.body.parentId;
+        const parentMemberLevel = req.body.parentMemberLevel;
+
+        try {
+            if (parentMemberLevel && !parentId) {
+                return res.badRequest('Parameter "parentMemberLevel" requires "parentId".', 2);
+            }
+
+            if (parentMemberLevel && !GroupMemberUser.LEVELS[parentMemberLevel]) {
+                return res.badRequest('Invalid value for "parentMemberLevel". Must be one of: ' + Object.keys(GroupMemberUser.LEVELS).join(', '), 3);
+            }
+
+            if (req.body.requireTwoFactor && !(await cosTwoFactor.isEnabled(req.user.id))) {
+                return res.badRequest('Two-factor authentication has to be enabled to require it from the Group members.', 4);
+            }
+
+            if (parentId) {
+                if (!validator.isUUID(String(parentId), 4)) {
+                    return res.badRequest('Invalid value for "parentId".', 1);
+                }
+
+                const parent = await Group.findByPk(parentId);
+                if (!parent) {
+                    return res.badRequest('Parent Group does not exist.', 1);
+                }
+
+                try {
+                    await _hasPermission(parentId, req.user.id, GroupMemberUser.LEVELS.admin);
+                } catch (err) {
+                    if (err) {
+                        return next(err);
+                    }
+
+                    return res.forbidden('Insufficient permissions');
+                }
+            }
+
+            const group = Group
+                .build({
+                    name: req.body.name,
+                    creatorId: req.user.id,
+                    parentId: parentId || null,
+                    parentMemberLevel: parentMemberLevel || null,
+                    visibility: req.body.visibility || Group.VISIBILITY.private,
+                    requireTwoFactor: !!req.body.requireTwoFactor
+                });
+
+            await db.transaction(async function (t) {
+                await group.save({transaction: t});
+                await cosActivities
+                    .createActivity(
+                        group,
+                        null,
+                        {
+                            type: 'User',
+                            id: req.user.id,
+                            ip: req.ip
+                        },
+                        req.method + ' ' + req.path, t
+                    );
+
+                return group.addMember( // Magic method by Sequelize - https://github.com/sequelize/sequelize/wiki/API-Reference-Associations#hasmanytarget-options
+                    req.user.id
+                    ,
+                    {
+                        through: {
+                            level: GroupMemberUser.LEVELS.admin
+                        },
+                        transaction: t
+                    }
+                );
             });
 
-        db
-            .transaction(function (t) {
-                return group
-                    .save({transaction: t})
-                    .then(function () {
-                        return cosActivities
-                            .createActivity(
-                                group,
-                                null,
-                                {
-                                    type: 'User',
-                                    id: req.user.id,
-                                    ip: req.ip
-                                },
-                                req.method + ' ' + req.path, t
-                            );
-                    })
-                    .then(function () {
-                        return group.addMember( // Magic method by Sequelize - https://github.com/sequelize/sequelize/wiki/API-Reference-Associations#hasmanytarget-options
-                            req.user.id
-                            ,
-                            {
-                                through: {
-                                    level: GroupMemberUser.LEVELS.admin
-                                },
-                                transaction: t
-                            }
-                        );
-                    });
-            })
-            .then(function () {
-                return res.created(group.toJSON());
-            })
-            .catch(next);
+            return res.created(group.toJSON());
+        } catch (err) {
+            return next(err);
+        }
     });
 
 
     /**
      * Read a Group
      */
-    app.get('/api/users/:userId/groups/:groupId', loginCheck(['partner']), hasPermission(GroupMemberUser.LEVELS.read, null, null), function (req, res, next) {
+    app.get('/api/users/:userId/groups/:groupId', loginCheck(['partner'], 'groups:read'), hasPermission(GroupMemberUser.LEVELS.read, null, null), function (req, res, next) {
         db
             .query(
                 'SELECT \
                      g.id, \
                      g."parentId" AS "parent.id", \
+                     g."parentMemberLevel", \
                      g.name, \
                      g.visibility, \
+                     g."requireTwoFactor", \
                      c.id as "creator.id", \
                      c.email as "creator.email", \
                      c.name as "creator.name", \
@@ -188,9 +279,15 @@ module.exports = function (app) {
     /**
      * Update Group info
      */
-    app.put('/api/users/:userId/groups/:groupId', loginCheck(['partner']), hasPermission(GroupMemberUser.LEVELS.admin, null, null), function (req, res, next) {
+    app.put('/api/users/:userId/groups/:groupId', loginCheck(['partner'], 'groups:manage'), hasPermission(GroupMemberUser.LEVELS.admin, null, null), function (req, res, next) {
         const groupId = req.params.groupId;
         const groupName = req.body.name;
+        const parentMemberLevel = req.body.parentMemberLevel;
+        const requireTwoFactor = req.body.requireTwoFactor;
+
+        if (parentMemberLevel && !GroupMemberUser.LEVELS[parentMemberLevel]) {
+            return res.badRequest('Invalid value for "parentMemberLevel". Must be one of: ' + Object.keys(GroupMemberUser.LEVELS).join(', '), 3);
+        }
 
         Group
             .findOne({
@@ -198,8 +295,20 @@ module.exports = function (app) {
                     id: groupId
                 }
             })
-            .then(function (group) {
+            .then(async function (group) {
                 group.name = groupName;
+                if (parentMemberLevel !== undefined) {
+                    group.parentMemberLevel = group.parentId ? parentMemberLevel || null : null;
+                }
+
+                if (requireTwoFactor !== undefined) {
+                    // Admin would lock themselves out
+                    if (requireTwoFactor && !group.requireTwoFactor && !(await cosTwoFactor.isEnabled(req.user.id))) {
+                        return res.badRequest('Two-factor authentication has to be enabled to require it from the Group members.', 4);
+                    }
+
+                    group.requireTwoFactor = !!requireTwoFactor;
+                }
 
                 return group
                     .validate()
@@ -227,6 +336,8 @@ module.exports = function (app) {
                                                         UPDATE \
                                                             "Groups" SET \
                                                             "name"= :groupName, \
+                                                            "parentMemberLevel"= :parentMemberLevel, \
+                                                            "requireTwoFactor"= :requireTwoFactor, \
                                                             "updatedAt"=:timestamp \
                                                                 WHERE "id" = :groupId \
                                                             RETURNING * \
@@ -234,8 +345,10 @@ module.exports = function (app) {
                                                     SELECT  \
                                                         g.id, \
                                                         g."parentId" AS "parent.id", \
+                                                        g."parentMemberLevel", \
                                                         g.name, \
                                                         g.visibility, \
+                                                        g."requireTwoFactor", \
                                                         c.id as "creator.id", \
                                                         c.email as "creator.email", \
                                                         c.name as "creator.name", \
@@ -254,7 +367,9 @@ module.exports = function (app) {
                                                     replacements: {
                                                         timestamp: moment().format('YYYY-MM-DD HH:mm:ss.SSS ZZ'),
                                                         groupId: req.params.groupId,
-                                                        groupName: req.body.name
+                                                        groupName: req.body.name,
+                                                        parentMemberLevel: group.parentMemberLevel || null,
+                                                        requireTwoFactor: group.requireTwoFactor
                                                     },
                                                     type: db.QueryTypes.SELECT,
                                                     raw: true,
@@ -279,7 +394,7 @@ module.exports = function (app) {
     /**
      * Delete Group
      */
-    app.delete('/api/users/:userId/groups/:groupId', loginCheck(['partner']), hasPermission(GroupMemberUser.LEVELS.admin, null, null), async function (req, res, next) {
+    app.delete('/api/users/:userId/groups/:groupId', loginCheck(['partner'], 'groups:manage'), hasPermission(GroupMemberUser.LEVELS.admin, null, null), async function (req, res, next) {
         try {
             const group = await Group.findByPk(req.params.groupId);
             if (!group) {
@@ -288,6 +403,19 @@ module.exports = function (app) {
 
             await db.transaction(async function (t) {
                 await GroupMemberUser.destroy({where: {groupId: group.id}}, {transaction: t});
+                // Subgroups become top level Groups
+                await Group.update(
+                    {
+                        parentId: null,
+                        parentMemberLevel: null
+                    },
+                    {
+                        where: {
+                            parentId: group.id
+                        },
+                        transaction: t
+                    }
+                );
                 await group.destroy({transaction: t});
                 await cosActivities.deleteActivity(
                     group,
@@ -310,10 +438,106 @@ module.exports = function (app) {
     });
 
 
+    /**
+     * Read a Group tree - the Group with its subgroups
+     *
+     * Subgroups are included when they are public, the User is a member of them or the User is an admin of the Group.
+     */
+    app.get('/api/users/:userId/groups/:groupId/tree', loginCheck(['partner'], 'groups:read'), hasPermission(GroupMemberUser.LEVELS.read, null, null), async function (req, res, next) {
+        try {
+            const rows = await db
+                .query(
+                    `WITH RECURSIVE
+                        ${groupHierarchy.USER_GROUPS_SQL},
+                        user_groups_level AS (
+                            SELECT "groupId", MAX(level) AS level
+                            FROM user_groups
+                            GROUP BY "groupId"
+                        ),
+                        tree AS (
+                            SELECT
+                                g.id,
+                                0 AS depth
+                            FROM "Groups" g
+                            WHERE g.id = :groupId
+                                AND g."deletedAt" IS NULL
+                            UNION ALL
+                            SELECT
+                                g.id,
+                                tree.depth + 1
+                            FROM "Groups" g
+                                JOIN tree ON (g."parentId" = tree.id)
+                            WHERE g."deletedAt" IS NULL
+                                AND tree.depth < :depthMax
+                                AND (
+                                    g.visibility = 'public'
+                                    OR EXISTS (SELECT 1 FROM user_groups_level ugl WHERE ugl."groupId" = g.id)
+                                    OR EXISTS (SELECT 1 FROM user_groups_level ugl WHERE ugl."groupId" = :groupId AND ugl.level = 'admin')
+                                )
+                        )
+                    SELECT
+                        g.id,
+                        g."parentId",
+                        g."parentMemberLevel",
+                        g.name,
+                        g.visibility,
+                        ugl.level AS "permission.level",
+                        COALESCE(mc.count, 0) AS "members.users.count"
+                    FROM tree
+                        JOIN "Groups" g ON (g.id = tree.id)
+                        LEFT JOIN user_groups_level ugl ON (ugl."groupId" = g.id)
+                        LEFT JOIN (
+                            SELECT "groupId", count("userId") AS "count"
+                            FROM "GroupMemberUsers"
+                            WHERE "deletedAt" IS NULL
+                            GROUP BY "groupId"
+                        ) AS mc ON (mc."groupId" = g.id)
+                    ORDER BY tree.depth, g.name, g.id;`,
+                    {
+                        replacements: {
+                            groupId: req.params.groupId,
+                            userId: req.user.id,
+                            depthMax: groupHierarchy.DEPTH_MAX
+                        },
+                        type: db.QueryTypes.SELECT,
+                        raw: true,
+                        nest: true
+                    }
+                );
+
+            const groups = {};
+            rows.forEach(function (group) {
+                group.members.users.count = parseInt(group.members.users.count, 10);
+                group.children = {
+                    count: 0,
+                    rows: []
+                };
+                groups[group.id] = group;
+            });
+
+            const root = groups[req.params.groupId];
+            if (!root) {
+                return res.notFound();
+            }
+
+            rows.forEach(function (group) {
+                const parent = group.id !== root.id && groups[group.parentId];
+                if (parent) {
+                    parent.children.rows.push(group);
+                    parent.children.count++;
+                }
+            });
+
+            return res.ok(root);
+        } catch (err) {
+            return next(err);
+        }
+    });
+
     /**
      * Get all Groups User belongs to
      */
-    app.get('/api/users/:userId/groups', loginCheck(['partner']), function (req, res, next) {
+    app.get('/api/users/:userId/groups', loginCheck(['partner'], 'groups:read'), function (req, res, next) {
         let include = req.query.include;
         // Sequelize and associations are giving too eager results + not being the most effective. https://github.com/sequelize/sequelize/issues/2458
         // Falling back to raw SQL
@@ -392,25 +616,31 @@ module.exports = function (app) {
 
         db
             .query(
-                ' \
+                'WITH RECURSIVE ' + groupHierarchy.USER_GROUPS_SQL + ' \
                 SELECT \
                     g.id, \
                     g."parentId" AS "parent.id", \
+                    g."parentMemberLevel", \
                     g.name, \
                     g.visibility, \
+                    g."requireTwoFactor", \
                     c.id as "creator.id", \
                     c.email as "creator.email", \
                     c.name as "creator.name", \
                     gm.level as "permission.level", \
-                    mc.count as "members.users.count", \
+                    COALESCE(mc.count, 0) as "members.users.count", \
                     COALESCE(gtc.count, 0) as "members.topics.count", \
                     gt."topicId" as "members.topics.latest.id", \
                     ' + returnFields + ' \
                     gt.title as "members.topics.latest.title" \
                 FROM "Groups" g \
-                    JOIN "GroupMemberUsers" gm ON (gm."groupId" = g.id) \
-                    JOIN "Users" c ON (c.id = g."creatorId") \
                     JOIN ( \
+                        SELECT "groupId", MAX(level) AS level \
+                        FROM user_groups \
+                        GROUP BY "groupId" \
+                    ) AS gm ON (gm."groupId" = g.id) \
+                    JOIN "Users" c ON (c.id = g."creatorId") \
+                    LEFT JOIN ( \
                         SELECT "groupId", count("userId") AS "count" \
                         FROM "GroupMemberUsers" \
                         WHERE "deletedAt" IS NULL \
@@ -436,8 +666,6 @@ module.exports = function (app) {
                     ) AS gt ON (gt."groupId" = g.id) \
                     ' + joinText + ' \
                 WHERE g."deletedAt" IS NULL \
-                    AND gm."deletedAt" is NULL \
-                    AND gm."userId" = :userId \
                 ORDER BY g."updatedAt" DESC, g.id; \
                 ',
                 {
@@ -529,7 +757,7 @@ module.exports = function (app) {
     /**
      * Get Group member Users
      */
-    app.get(['/api/users/:userId/groups/:groupId/members/users'], loginCheck(['partner']), hasPermission(GroupMemberUser.LEVELS.read, null, null), async function (req, res, next) {
+    app.get(['/api/users/:userId/groups/:groupId/members/users'], loginCheck(['partner'], 'groups:read'), hasPermission(GroupMemberUser.LEVELS.read, null, null), async function (req, res, next) {
         //FIXME: Deprecation warning - https://github.com/citizenos/citizenos-fe/issues/348
 
         const groupId = req.params.groupId;
@@ -552,6 +780,7 @@ module.exports = function (app) {
                         u.company,
                         u."imageUrl",
                         gm.level,
+                        gm.weight,
                         count(*) OVER()::integer AS "countTotal"
                     FROM "GroupMemberUsers" gm
                         JOIN "Users" u ON (u.id = gm."userId")
@@ -593,7 +822,7 @@ module.exports = function (app) {
     /**
      * Update membership information
      */
-    app.put(['/api/users/:userId/groups/:groupId/members/users/:memberId'], loginCheck(['partner']), hasPermission(GroupMemberUser.LEVELS.admin, null, null), function (req, res, next) {
+    app.put(['/api/users/:userId/groups/:groupId/members/users/:memberId'], loginCheck(['partner'], 'groups:manage'), hasPermission(GroupMemberUser.LEVELS.admin, null, null), function (req, res, next) {
         const newLevel = req.body.level;
         const memberId = req.params.memberId;
         const groupId = req.params.groupId;
@@ -608,7 +837,8 @@ module.exports = function (app) {
                 raw: true
             })
             .then(function (result) {
-                if (result.length === 1 && _.find(result, {userId: memberId})) {
+                // Weight only updates leave the level as is
+                if (newLevel !== undefined && newLevel !== GroupMemberUser.LEVELS.admin && result.length === 1 && _.find(result, {userId: memberId})) {
                     return res.badRequest('Cannot revoke admin permissions from the last admin member.');
                 }
 
@@ -620,7 +850,12 @@ module.exports = function (app) {
                         }
                     })
                     .then(function (groupMemberUser) {
-                        groupMemberUser.level = newLevel;
+                        if (newLevel !== undefined) {
+                            groupMemberUser.level = newLevel;
+                        }
+                        if (req.body.weight !== undefined) {
+                            groupMemberUser.weight = req.body.weight;
+                        }
 
                         return db
                             .transaction(function (t) {
@@ -654,7 +889,7 @@ module.exports = function (app) {
     /**
      * Delete membership information
      */
-    app.delete(['/api/users/:userId/groups/:groupId/members/users/:memberId'], loginCheck(['partner']), hasPermission(GroupMemberUser.LEVELS.admin, null, true), function (req, res, next) {
+    app.delete(['/api/users/:userId/groups/:groupId/members/users/:memberId'], loginCheck(['partner'], 'groups:manage'), hasPermission(GroupMemberUser.LEVELS.admin, null, true), function (req, res, next) {
         const groupId = req.params.groupId;
         const memberId = req.params.memberId;
 
@@ -735,7 +970,7 @@ module.exports = function (app) {
      *
      * @see https://github.com/citizenos/citizenos-fe/issues/348
      */
-    app.post('/api/users/:userId/groups/:groupId/invites/users', loginCheck(), hasPermission(GroupMemberUser.LEVELS.admin, null, null), asyncMiddleware(async function (req, res) {
+    app.post('/api/users/:userId/groups/:groupId/invites/users', loginCheck(), rateLimit('invite'), hasPermission(GroupMemberUser.LEVELS.admin, null, null), asyncMiddleware(async function (req, res) {
         //NOTE: userId can be actual UUID or e-mail - it is comfort for the API user, but confusing in the BE code.
         const groupId = req.params.groupId;
         const userId = req.user.id;
@@ -1181,13 +1416,16 @@ module.exports = function (app) {
                     return res.gone(`The invite has expired. Invites are valid for ${GroupInviteUser.VALID_DAYS} days`, 2);
                 }
 
-                // Group needed just for the activity
                 const group = await Group.findOne({
                     where: {
                         id: invite.groupId
                     }
                 });
 
+                if (group.requireTwoFactor && !(await cosTwoFactor.isEnabled(userId))) {
+                    return res.forbidden('Two-factor authentication is required by the Group.', 1);
+                }
+
                 const memberUserCreated = await db.transaction(async function (t) {
                     const member = await GroupMemberUser.create(
                         {
@@ -1239,7 +1477,7 @@ module.exports = function (app) {
     /**
      * Get Group Topics
      */
-    app.get('/api/users/:userId/groups/:groupId/topics', loginCheck(['partner']), hasPermission(GroupMemberUser.LEVELS.read, null, null), async function (req, res, next) {
+    app.get('/api/users/:userId/groups/:groupId/topics', loginCheck(['partner'], 'groups:read'), hasPermission(GroupMemberUser.LEVELS.read, null, null), async function (req, res, next) {
         const userId = req.user.id;
         const visibility = req.query.visibility;
         const creatorId = req.query.creatorId;
@@ -1293,7 +1531,10 @@ module.exports = function (app) {
         try {
             const topics = await db
                 .query(
-                    `SELECT
+                    `WITH RECURSIVE
+                        ${groupHierarchy.USER_GROUPS_SQL},
+                        ${groupHierarchy.USER_GROUPS_SHARED_SQL}
+                    SELECT
                         t.id,
                         t.title,
                         t.visibility,
@@ -1325,14 +1566,12 @@ module.exports = function (app) {
                         LEFT JOIN (
                             SELECT
                                 tmg."topicId",
-                                gm."userId",
                                 MAX(tmg.level)::text AS level
                             FROM "TopicMemberGroups" tmg
-                                LEFT JOIN "GroupMemberUsers" gm ON (tmg."groupId" = gm."groupId")
                             WHERE tmg."deletedAt" IS NULL
-                            AND gm."deletedAt" IS NULL
-                            GROUP BY "topicId", "userId"
-                        ) AS tmgp ON (tmgp."topicId" = t.id AND tmgp."userId" = :userId)
+                            AND tmg."groupId" IN (SELECT "groupId" FROM user_groups_shared)
+                            GROUP BY "topicId"
+                        ) AS tmgp ON (tmgp."topicId" = t.id)
                         LEFT JOIN (
                             SELECT tmu."topicId", COUNT(tmu."memberId") AS "count" FROM (
                                 SELECT
@@ -1414,7 +1653,7 @@ module.exports = function (app) {
     /**
      * Get Group member Topics
      */
-    app.get('/api/users/:userId/groups/:groupId/members/topics', loginCheck(['partner']), hasPermission(GroupMemberUser.LEVELS.read, null, null), async function (req, res, next) {
+    app.get('/api/users/:userId/groups/:groupId/members/topics', loginCheck(['partner'], 'groups:read'), hasPermission(GroupMemberUser.LEVELS.read, null, null), async function (req, res, next) {
         const limitDefault = 10;
         const offset = parseInt(req.query.offset, 10) ? parseInt(req.query.offset, 10) : 0;
         const search = req.query.search;
@@ -1489,7 +1728,10 @@ module.exports = function (app) {
         try {
             const topics = await db
                 .query(
-                    `SELECT
+                    `WITH RECURSIVE
+                        ${groupHierarchy.USER_GROUPS_SQL},
+                        ${groupHierarchy.USER_GROUPS_SHARED_SQL}
+                    SELECT
                         t.id,
                         t.title,
                         t.visibility,
@@ -1528,14 +1770,12 @@ module.exports = function (app) {
                         LEFT JOIN (
                             SELECT
                                 tmg."topicId",
-                                gm."userId",
                                 MAX(tmg.level)::text AS level
                             FROM "TopicMemberGroups" tmg
-                                LEFT JOIN "GroupMemberUsers" gm ON (tmg."groupId" = gm."groupId")
                             WHERE tmg."deletedAt" IS NULL
-                            AND gm."deletedAt" IS NULL
-                            GROUP BY "topicId", "userId"
-                        ) AS tmgp ON (tmgp."topicId" = t.id AND tmgp."userId" = :userId)
+                            AND tmg."groupId" IN (SELECT "groupId" FROM user_groups_shared)
+                            GROUP BY "topicId"
+                        ) AS tmgp ON (tmgp."topicId" = t.id)
                         LEFT JOIN (
                             SELECT tmu."topicId", COUNT(tmu."memberId") AS "count" FROM (
                                 SELECT
@@ -1686,7 +1926,276 @@ module.exports = function (app) {
             .catch(next);
     });
 
+    const _findTopicTemplate = function (groupId, templateId) {
+        return TopicTemplate.findOne({
+            where: {
+                id: templateId,
+                groupId: groupId
+            }
+        });
+    };
+
+    /**
+     * Check that the User is a member of all the Groups of the template "memberGroups", so that the template cannot share Topics with Groups the User has no access to
+     *
+     * @param {Array<object>} memberGroups [{groupId, level}]
+     * @param {string} userId User id
+     *
+     * @returns {Promise<boolean>} True if the User is a member of all the Groups
+     *
+     * @private
+     */
+    const _isMemberOfTemplateGroups = async function (memberGroups, userId) {
+        if (!Array.isArray(memberGroups) || !memberGroups.length) {
+            return true;
+        }
+
+        const groupIds = _.uniq(_.map(memberGroups, 'groupId'));
+        const invalidGroupId = _.find(groupIds, function (id) {
+            return typeof id !== 'string' || !validator.isUUID(id, 4);
+        });
+
+        if (invalidGroupId !== undefined) {
+            return false;
+        }
+
+        const count = await GroupMemberUser.count({
+            where: {
+                groupId: groupIds,
+                userId: userId
+            }
+        });
+
+        return count === groupIds.length;
+    };
+
+    /**
+     * List Topic templates of the Group
+     */
+    app.get('/api/users/:userId/groups/:groupId/templates', loginCheck(['partner'], 'groups:read'), hasPermission(GroupMemberUser.LEVELS.read, null, null), async function (req, res, next) {
+        try {
+            const templates = await TopicTemplate.findAll({
+                where: {
+                    groupId: req.params.groupId
+                },
+                order: [['name', 'ASC']]
+            });
+
+            return res.ok({
+                count: templates.length,
+                rows: templates
+            });
+        } catch (err) {
+            return next(err);
+        }
+    });
+
+    /**
+     * Create a Topic template
+     *
+     * "vote" is the Vote configuration as in the Vote create API, "memberGroups" are the Groups ([{groupId, level}]) added as members to the Topics created from the template.
+     */
+    app.post('/api/users/:userId/groups/:groupId/templates', loginCheck(['partner'], 'groups:manage'), hasPermission(GroupMemberUser.LEVELS.admin, null, null), async function (req, res, next) {
+        try {
+            const memberGroups = req.body.memberGroups || [];
+
+            if (!await _isMemberOfTemplateGroups(memberGroups, req.user.id)) {
+                return res.forbidden('Insufficient permissions');
+            }
+
+            const template = TopicTemplate.build({
+                groupId: req.params.groupId,
+                name: req.body.name,
+                description: req.body.description,
+                categories: req.body.categories || [],
+                vote: req.body.vote ? _.pick(req.body.vote, TopicTemplate.VOTE_FIELDS) : null,
+                memberGroups: memberGroups,
+                creatorId: req.user.id
+            });
+
+            await db.transaction(async function (t) {
+                await template.save({transaction: t});
+                await cosActivities.createActivity(
+                    template,
+                    null,
+                    {
+                        type: 'User',
+                        id: req.user.id,
+                        ip: req.ip
+                    },
+                    req.method + ' ' + req.path,
+                    t
+                );
+            });
+
+            return res.created(template.toJSON());
+        } catch (err) {
+            return next(err);
+        }
+    });
+
+    /**
+     * Read a Topic template
+     */
+    app.get('/api/users/:userId/groups/:groupId/templates/:templateId', loginCheck(['partner'], 'groups:read'), hasPermission(GroupMemberUser.LEVELS.read, null, null), async function (req, res, next) {
+        try {
+            const template = await _findTopicTemplate(req.params.groupId, req.params.templateId);
+
+            if (!template) {
+                return res.notFound();
+            }
+
+            return res.ok(template.toJSON());
+        } catch (err) {
+            return next(err);
+        }
+    });
+
+    /**
+     * Update a Topic template
+     */
+    app.put('/api/users/:userId/groups/:groupId/templates/:templateId', loginCheck(['partner'], 'groups:manage'), hasPermission(GroupMemberUser.LEVELS.admin, null, null), async function (req, res, next) {
+        const fieldsAllowedToUpdate = ['name', 'description', 'categories', 'vote', 'memberGroups'];
+
+        try {
+            const template = await _findTopicTemplate(req.params.groupId, req.params.templateId);
+
+            if (!template) {
+                return res.notFound();
+            }
+
+            if (req.body.memberGroups && !await _isMemberOfTemplateGroups(req.body.memberGroups, req.user.id)) {
+                return res.forbidden('Insufficient permissions');
+            }
+
+            fieldsAllowedToUpdate.forEach(function (field) {
+                if (Object.keys(req.body).indexOf(field) > -1) {
+                    let value = req.body[field];
+
+                    if (field === 'vote' && value) {
+                        value = _.pick(value, TopicTemplate.VOTE_FIELDS);
+                    }
+
+                    template.set(field, value);
+                }
+            });
+
+            await db.transaction(async function (t) {
+                await cosActivities.updateActivity(
+                    template,
+                    null,
+                    {
+                        type: 'User',
+                        id: req.user.id,
+                        ip: req.ip
+                    },
+                    null,
+                    req.method + ' ' + req.path,
+                    t
+                );
+                await template.save({transaction: t});
+            });
+
+            return res.ok(template.toJSON());
+        } catch (err) {
+            return next(err);
+        }
+    });
+
+    /**
+     * Delete a Topic template
+     */
+    app.delete('/api/users/:userId/groups/:groupId/templates/:templateId', loginCheck(['partner'], 'groups:manage'), hasPermission(GroupMemberUser.LEVELS.admin, null, null), async function (req, res, next) {
+        try {
+            const template = await _findTopicTemplate(req.params.groupId, req.params.templateId);
+
+            if (!template) {
+                return res.notFound();
+            }
+
+            await db.transaction(async function (t) {
+                await cosActivities.deleteActivity(
+                    template,
+                    null,
+                    {
+                        type: 'User',
+                        id: req.user.id,
+                        ip: req.ip
+                    },
+                    req.method + ' ' + req.path,
+                    t
+                );
+                await template.destroy({transaction: t});
+            });
+
+            return res.ok();
+        } catch (err) {
+            return next(err);
+        }
+    });
+
+    /**
+     * Read Group notification settings
+     *
+     * If the User has no setting for the Group, "frequency" is null and User default setting applies to the Topics of the Group.
+     */
+    app.get('/api/users/:userId/groups/:groupId/notifications/settings', loginCheck(['partner'], 'notifications:manage'), hasPermission(GroupMemberUser.LEVELS.read), async function (req, res, next) {
+        try {
+            const setting = await NotificationSetting.findOne({
+                where: {
+                    userId: req.user.id,
+                    groupId: req.params.groupId
+                }
+            });
+
+            return res.ok({
+                groupId: req.params.groupId,
+                frequency: setting ? setting.frequency : null
+            });
+        } catch (err) {
+            return next(err);
+        }
+    });
+
+    /**
+     * Update Group notification settings - applies to the Topics shared with the Group
+     */
+    app.put('/api/users/:userId/groups/:groupId/notifications/settings', loginCheck(['partner'], 'notifications:manage'), hasPermission(GroupMemberUser.LEVELS.read), async function (req, res, next) {
+        const frequency = req.body.frequency;
+
+        if (!NotificationSetting.FREQUENCIES[frequency]) {
+            return res.badRequest('Invalid value for "frequency". Must be one of: ' + Object.keys(NotificationSetting.FREQUENCIES).join(', '), 1);
+        }
+
+        try {
+            const setting = await cosNotifications.setFrequency(req.user.id, {groupId: req.params.groupId}, frequency);
+
+            return res.ok(setting);
+        } catch (err) {
+            return next(err);
+        }
+    });
+
+    /**
+     * Delete Group notification settings, so that User default setting applies
+     */
+    app.delete('/api/users/:userId/groups/:groupId/notifications/settings', loginCheck(['partner'], 'notifications:manage'), hasPermission(GroupMemberUser.LEVELS.read), async function (req, res, next) {
+        try {
+            await NotificationSetting.destroy({
+                where: {
+                    userId: req.user.id,
+                    groupId: req.params.groupId
+                }
+            });
+
+            return res.ok();
+        } catch (err) {
+            return next(err);
+        }
+    });
+
     return {
-        hasPermission: hasPermission
+        hasPermission: hasPermission,
+        checkPermission: _hasPermission
     };
 };
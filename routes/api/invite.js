@@ -11,6 +11,7 @@ module.exports = function (app) {
     const models = app.get('models');
     const config = app.get('config');
     const urlLib = app.get('urlLib');
+    const cosSession = app.get('cosSession');
     const db = models.Sequelize;
     const User = models.User;
     const UserConnection = models.UserConnection;
@@ -46,6 +47,9 @@ module.exports = function (app) {
         if (userLoggedIn && userLoggedIn.email !== req.query.email) {
             // TODO: Duplicate code with POST /api/auth/logout
             // Log out the currently logged in User
+            if (req.user.jti) {
+                await cosSession.revoke(req.user.id, req.user.jti);
+            }
             res.clearCookie(config.session.name, {
                 path: config.session.cookie.path,
                 domain: config.session.cookie.domain
@@ -0,0 +1,831 @@
+'use strict';
+
+/**
+ * Moderation queue API-s (/api/users/:userId/moderator/..)
+ *
+ * Moderators (see Moderator model) see the Topic and Comment Reports of the Topics of their Partners or, in case of a global Moderator, of all the Topics.
+ */
+module.exports = function (app) {
+    const logger = app.get('logger');
+    const models = app.get('models');
+    const db = models.sequelize;
+    const Op = db.Sequelize.Op;
+    const validator = app.get('validator');
+    const cosActivities = app.get('cosActivities');
+    const emailLib = app.get('email');
+
+    const loginCheck = app.get('middleware.loginCheck');
+
+    const Moderator = models.Moderator;
+    const Report = models.Report;
+    const TopicReport = models.TopicReport;
+    const Comment = models.Comment;
+    const Topic = models.Topic;
+
+    const REPORT_IDS_MAX = 100;
+
+    // Topic and Comment Reports in one list. For Comment Reports the moderation info comes from the Comment the Moderator deleted.
+    const REPORTS_SQL = `
+        reports AS (
+            SELECT
+                tr.id,
+                tr.type::text AS type,
+                tr.text,
+                tr."createdAt",
+                tr."creatorId",
+                tr."topicId",
+                NULL::uuid AS "commentId",
+                NULL::timestamp with time zone AS "commentDeletedAt",
+                tr."moderatedById",
+                tr."moderatedAt",
+                tr."moderatedReasonType"::text AS "moderatedReasonType",
+                tr."moderatedReasonText",
+                tr."resolvedById",
+                tr."resolvedAt",
+                tr."assignedToId",
+                tr."assignedAt"
+            FROM "TopicReports" tr
+            WHERE tr."deletedAt" IS NULL
+            UNION ALL
+            SELECT
+                r.id,
+                r.type::text AS type,
+                r.text,
+                r."createdAt",
+                r."creatorId",
+                tc."topicId",
+                c.id AS "commentId",
+                c."deletedAt" AS "commentDeletedAt",
+                CASE WHEN c."deletedByReportId" = r.id THEN c."deletedById" END AS "moderatedById",
+                CASE WHEN c."deletedByReportId" = r.id THEN c."deletedAt" END AS "moderatedAt",
+                CASE WHEN c."deletedByReportId" = r.id THEN c."deletedReasonType"::text END AS "moderatedReasonType",
+                CASE WHEN c."deletedByReportId" = r.id THEN c."deletedReasonText" END AS "moderatedReasonText",
+                r."resolvedById",
+                r."resolvedAt",
+                r."assignedToId",
+                r."assignedAt"
+            FROM "Reports" r
+                JOIN "CommentReports" cr ON (cr."reportId" = r.id)
+                JOIN "Comments" c ON (c.id = cr."commentId")
+                JOIN "TopicComments" tc ON (tc."commentId" = c.id)
+            WHERE r."deletedAt" IS NULL
+        )
+    `;
+
+    // Report is open until it is moderated, resolved or the reported Comment is deleted
+    const REPORT_OPEN_SQL = `
+        rep."moderatedAt" IS NULL
+        AND rep."resolvedAt" IS NULL
+        AND rep."commentDeletedAt" IS NULL
+    `;
+
+    /**
+     * Get the Moderator scope of the User
+     *
+     * @param {string} userId User id
+     *
+     * @returns {Promise<object|null>} {isGlobal, partnerIds} or null if the User is not a Moderator
+     *
+     * @private
+     */
+    const _getModeratorScope = async function (userId) {
+        const moderators = await Moderator.findAll({
+            where: {
+                userId: userId
+            }
+        });
+
+        if (!moderators.length) {
+            return null;
+        }
+
+        return {
+            isGlobal: moderators.some(function (moderator) {
+                return !moderator.partnerId;
+            }),
+            partnerIds: moderators
+                .filter(function (moderator) {
+                    return moderator.partnerId;
+                })
+                .map(function (moderator) {
+                    return moderator.partnerId;
+                })
+        };
+    };
+
+    /**
+     * Get the SQL condition limiting the Topics "t" to the Moderator scope
+     *
+     * @param {object} scope Moderator scope from "_getModeratorScope"
+     * @param {string} replacementName Name of the replacement for the Partner ids
+     *
+     * @returns {string} SQL condition
+     *
+     * @private
+     */
+    const _getScopeSql = function (scope, replacementName) {
+        if (scope.isGlobal) {
+            return 'TRUE';
+        }
+
+        return `t."sourcePartnerId" IN (:${replacementName})`;
+    };
+
+    /**
+     * Query the Reports
+     *
+     * @param {object} scope Moderator scope from "_getModeratorScope"
+     * @param {string} where Additional SQL conditions
+     * @param {object} replacements Replacements for the additional conditions
+     * @param {string} [order] SQL ORDER BY
+     * @param {number} [limit] Limit
+     * @param {number} [offset] Offset
+     * @param {object} [t] Transaction
+     *
+     * @returns {Promise<Array<object>>} Reports
+     *
+     * @private
+     */
+    const _findReports = async function (scope, where, replacements, order, limit, offset, t) {
+        const rows = await db
+            .query(
+                `WITH ${REPORTS_SQL}
+                SELECT
+                    COUNT(*) OVER() AS "countTotal",
+                    rep.id,
+                    rep.type,
+                    rep.text,
+                    rep."createdAt",
+                    rc.id AS "creator.id",
+                    rc.name AS "creator.name",
+                    t.id AS "topic.id",
+                    t.title AS "topic.title",
+                    t.status AS "topic.status",
+                    t."sourcePartnerId" AS "topic.sourcePartnerId",
+                    t."creatorId" AS "topic.creator.id",
+                    c.id AS "comment.id",
+                    c.subject AS "comment.subject",
+                    c.text AS "comment.text",
+                    c."creatorId" AS "comment.creator.id",
+                    rep."moderatedById" AS "moderator.id",
+                    rep."moderatedAt",
+                    rep."moderatedReasonType",
+                    rep."moderatedReasonText",
+                    rep."resolvedById" AS "resolvedBy.id",
+                    rep."resolvedAt",
+                    ra.id AS "assignedTo.id",
+                    ra.name AS "assignedTo.name",
+                    rep."assignedAt"
+                FROM reports rep
+                    JOIN "Topics" t ON (t.id = rep."topicId")
+                    LEFT JOIN "Comments" c ON (c.id = rep."commentId")
+                    LEFT JOIN "Users" rc ON (rc.id = rep."creatorId")
+                    LEFT JOIN "Users" ra ON (ra.id = rep."assignedToId")
+                WHERE t."deletedAt" IS NULL
+                    AND ${_getScopeSql(scope, 'scopePartnerIds')}
+                    ${where}
+                ORDER BY ${order || 'rep."createdAt" ASC, rep.id'}
+                ${limit ? 'LIMIT :limit OFFSET :offset' : ''}
+                ;`,
+                {
+                    replacements: Object.assign(
+                        {
+                            scopePartnerIds: scope.partnerIds,
+                            limit: limit,
+                            offset: offset || 0
+                        },
+                        replacements
+                    ),
+                    type: db.QueryTypes.SELECT,
+                    raw: true,
+                    nest: true,
+                    transaction: t
+                }
+            );
+
+        rows.forEach(function (row) {
+            if (!row.comment.id) {
+                row.comment = null;
+            }
+            if (!row.assignedTo.id) {
+                row.assignedTo = null;
+            }
+        });
+
+        return rows;
+    };
+
+    /**
+     * Move the count of window function "COUNT(*) OVER()" from the rows to the result
+     *
+     * @param {Array<object>} rows Query result
+     *
+     * @returns {object} {countTotal, count, rows}
+     *
+     * @private
+     */
+    const _toListResult = function (rows) {
+        let countTotal = 0;
+
+        rows.forEach(function (row) {
+            countTotal = parseInt(row.countTotal, 10);
+            delete row.countTotal;
+        });
+
+        return {
+            countTotal: countTotal,
+            count: rows.length,
+            rows: rows
+        };
+    };
+
+    /**
+     * Find the open Reports by id
+     *
+     * @param {object} scope Moderator scope from "_getModeratorScope"
+     * @param {Array<string>} reportIds Report ids
+     * @param {object} [t] Transaction
+     *
+     * @returns {Promise<Array<object>>} Reports, only the ones found in the scope
+     *
+     * @private
+     */
+    const _findOpenReports = async function (scope, reportIds, t) {
+        return _findReports(
+            scope,
+            `AND rep.id IN (:reportIds) AND ${REPORT_OPEN_SQL}`,
+            {
+                reportIds: reportIds
+            },
+            null,
+            null,
+            null,
+            t
+        );
+    };
+
+    /**
+     * Middleware to check that User is a Moderator. Adds the Moderator scope to "req.locals.moderator".
+     *
+     * @returns {Function} Express middleware function
+     */
+    const hasPermissionModerator = function () {
+        return async function (req, res, next) {
+            try {
+                const scope = await _getModeratorScope(req.user.id);
+
+                if (!scope) {
+                    return res.forbidden('Insufficient permissions');
+                }
+
+                req.locals = req.locals || {};
+                req.locals.moderator = scope;
+
+                return next();
+            } catch (err) {
+                return next(err);
+            }
+        };
+    };
+
+    /**
+     * Middleware to validate the "reportIds" in the request body
+     *
+     * @returns {Function} Express middleware function
+     */
+    const reportIdsParser = function () {
+        return function (req, res, next) {
+            const reportIds = req.body.reportIds;
+
+            if (!Array.isArray(reportIds) || !reportIds.length || reportIds.length > REPORT_IDS_MAX) {
+                return res.badRequest('Parameter "reportIds" must be an array of 1 to ' + REPORT_IDS_MAX + ' Report ids.', 1);
+            }
+
+            const isValid = reportIds.every(function (reportId) {
+                return typeof reportId === 'string' && validator.isUUID(reportId, 4);
+            });
+
+            if (!isValid) {
+                return res.badRequest('Parameter "reportIds" must be an array of 1 to ' + REPORT_IDS_MAX + ' Report ids.', 1);
+            }
+
+            req.locals = req.locals || {};
+            req.locals.reportIds = Array.from(new Set(reportIds));
+
+            return next();
+        };
+    };
+
+    /**
+     * Check that all the requested Reports were found or updated
+     *
+     * Throws inside the transaction so that it is rolled back when another request has closed some of the Reports meanwhile.
+     *
+     * @param {Array<string>} reportIds Requested Report ids
+     * @param {Array<string>} reportIdsFound Found or updated Report ids
+     *
+     * @returns {void}
+     *
+     * @throws {Error} With "reportIdsMissing" when some of the Reports were not found
+     *
+     * @private
+     */
+    const _checkReportsFound = function (reportIds, reportIdsFound) {
+        const reportIdsMissing = reportIds.filter(function (reportId) {
+            return reportIdsFound.indexOf(reportId) < 0;
+        });
+
+        if (reportIdsMissing.length) {
+            const error = new Error('Reports not found or not open: ' + reportIdsMissing.join(', '));
+            error.reportIdsMissing = reportIdsMissing;
+
+            throw error;
+        }
+    };
+
+    /**
+     * Get the ids of the Reports
+     *
+     * @param {Array<object>} reports Reports or Report instances
+     *
+     * @returns {Array<string>} Report ids
+     *
+     * @private
+     */
+    const _getReportIds = function (reports) {
+        return reports.map(function (report) {
+            return report.id;
+        });
+    };
+
+    /**
+     * Moderate a Topic Report - hides the Topic, same as "POST /api/topics/:topicId/reports/:reportId/moderate"
+     *
+     * @param {object} req Express request
+     * @param {string} reportId Report id
+     * @param {object} t Transaction
+     *
+     * @returns {Promise<object>} Saved TopicReport with the Topic
+     *
+     * @private
+     */
+    const _moderateTopicReport = async function (req, reportId, t) {
+        const topicReport = await TopicReport.findOne({
+            where: {
+                id: reportId
+            },
+            transaction: t
+        });
+        const topic = await Topic.findOne({
+            where: {
+                id: topicReport.topicId
+            },
+            transaction: t
+        });
+
+        const moderated = {
+            moderatedById: req.user.id,
+            moderatedAt: db.fn('NOW'),
+            moderatedReasonType: req.body.type,
+            moderatedReasonText: req.body.text
+        };
+
+        topicReport.set(moderated);
+
+        await cosActivities
+            .updateActivity(
+                topicReport,
+                topic,
+                {
+                    type: 'Moderator',
+                    id: req.user.id,
+                    ip: req.ip
+                },
+                null,
+                req.method + ' ' + req.path,
+                t
+            );
+
+        // Only if not moderated or resolved by a concurrent request
+        const topicReportsSaved = (await TopicReport.update(moderated, {
+            where: {
+                id: reportId,
+                moderatedAt: null,
+                resolvedAt: null
+            },
+            returning: true,
+            transaction: t
+        }))[1];
+
+        _checkReportsFound([reportId], _getReportIds(topicReportsSaved));
+
+        return Object.assign(
+            {},
+            topicReportsSaved[0].toJSON(),
+            {
+                topic: topic
+            }
+        );
+    };
+
+    /**
+     * Moderate a Comment Report - deletes the Comment, same as "POST /api/topics/:topicId/comments/:commentId/reports/:reportId/moderate"
+     *
+     * @param {object} req Express request
+     * @param {object} report Report from "_findReports"
+     * @param {object} t Transaction
+     *
+     * @returns {Promise<void>}
+     *
+     * @private
+     */
+    const _moderateCommentReport = async function (req, report, t) {
+        const actor = {
+            type: 'Moderator',
+            id: req.user.id,
+            ip: req.ip
+        };
+        const comment = await Comment.findOne({
+            where: {
+                id: report.comment.id
+            },
+            include: [Topic],
+            transaction: t
+        });
+
+        const topic = comment.dataValues.Topics[0];
+        delete comment.dataValues.Topics;
+
+        comment.deletedById = req.user.id;
+        comment.deletedAt = db.fn('NOW');
+        comment.deletedReasonType = req.body.type;
+        comment.deletedReasonText = req.body.text;
+        comment.deletedByReportId = report.id;
+
+        await cosActivities.updateActivity(comment, topic, actor, null, req.method + ' ' + req.path, t);
+
+        // Only if not deleted by a concurrent request
+        const commentsDeleted = (await Comment.update(
+            {
+                deletedById: req.user.id,
+                deletedAt: db.fn('NOW'),
+                deletedReasonType: req.body.type,
+                deletedReasonText: req.body.text,
+                deletedByReportId: report.id
+            },
+            {
+                where: {
+                    id: comment.id,
+                    deletedAt: null
+                },
+                returning: true,
+                transaction: t
+            }
+        ))[1];
+
+        _checkReportsFound([report.id], commentsDeleted.length ? [report.id] : []);
+
+        const commentDeleted = commentsDeleted[0];
+
+        await cosActivities.deleteActivity(commentDeleted, topic, actor, req.method + ' ' + req.path, t);
+    };
+
+    /**
+     * Get open Reports - the moderation queue
+     */
+    app.get('/api/users/:userId/moderator/reports', loginCheck(['partner'], 'moderation:manage'), hasPermissionModerator(), async function (req, res, next) {
+        const scope = req.locals.moderator;
+        const limitMax = 100;
+        const limitDefault = 20;
+        const offset = parseInt(req.query.offset, 10) || 0;
+        let limit = parseInt(req.query.limit, 10) || limitDefault;
+        let types = req.query.types;
+        const partnerId = req.query.partnerId;
+        const assignedToId = req.query.assignedToId;
+        const createdAfter = req.query.createdAfter;
+        const createdBefore = req.query.createdBefore;
+        const replacements = {};
+        let where = `AND ${REPORT_OPEN_SQL}`;
+
+        if (limit > limitMax) {
+            limit = limitDefault;
+        }
+
+        try {
+            if (types) {
+                if (!Array.isArray(types)) {
+                    types = types.split(',');
+                }
+
+                const typesInvalid = types.filter(function (type) {
+                    return !Report.TYPES[type];
+                });
+                if (typesInvalid.length) {
+                    return res.badRequest('Invalid value for "types". Must be one of: ' + Object.keys(Report.TYPES).join(', '), 1);
+                }
+
+                where += ' AND rep.type IN (:types)';
+                replacements.types = types;
+            }
+
+            if (createdAfter || createdBefore) {
+                if ((createdAfter && !validator.isISO8601(createdAfter)) || (createdBefore && !validator.isISO8601(createdBefore))) {
+                    return res.badRequest('Parameters "createdAfter" and "createdBefore" must be ISO 8601 dates.', 2);
+                }
+
+                if (createdAfter) {
+                    where += ' AND rep."createdAt" >= :createdAfter';
+                    replacements.createdAfter = createdAfter;
+                }
+
+                if (createdBefore) {
+                    where += ' AND rep."createdAt" < :createdBefore';
+                    replacements.createdBefore = createdBefore;
+                }
+            }
+
+            if (partnerId) {
+                if (!scope.isGlobal && scope.partnerIds.indexOf(partnerId) < 0) {
+                    return res.forbidden('Insufficient permissions');
+                }
+
+                where += ' AND t."sourcePartnerId" = :partnerId';
+                replacements.partnerId = partnerId;
+            }
+
+            if (assignedToId === 'null') {
+                where += ' AND rep."assignedToId" IS NULL';
+            } else if (assignedToId) {
+                if (!validator.isUUID(assignedToId, 4)) {
+                    return res.badRequest('Invalid value for "assignedToId".', 3);
+                }
+
+                where += ' AND rep."assignedToId" = :assignedToId';
+                replacements.assignedToId = assignedToId;
+            }
+
+            const rows = await _findReports(scope, where, replacements, null, limit, offset);
+
+            return res.ok(_toListResult(rows));
+        } catch (err) {
+            return next(err);
+        }
+    });
+
+    /**
+     * Moderate Reports - hide the reported Topics and delete the reported Comments
+     */
+    app.post('/api/users/:userId/moderator/reports/moderate', loginCheck(['partner'], 'moderation:manage'), hasPermissionModerator(), reportIdsParser(), async function (req, res, next) {
+        const reportIds = req.locals.reportIds;
+        const type = req.body.type;
+        const text = req.body.text;
+
+        if (!type || !Report.TYPES[type]) {
+            return res.badRequest('Invalid value for "type". Must be one of: ' + Object.keys(Report.TYPES).join(', '), 2);
+        }
+
+        if (!text || typeof text !== 'string' || text.length > 2048) {
+            return res.badRequest('Parameter "text" must be 1 to 2048 characters long.', 3);
+        }
+
+        try {
+            const commentIdsModerated = [];
+            const topicReportsModerated = [];
+
+            await db.transaction(async function (t) {
+                const reports = await _findOpenReports(req.locals.moderator, reportIds, t);
+
+                _checkReportsFound(reportIds, _getReportIds(reports));
+
+                for (const report of reports) {
+                    if (report.comment) {
+                        // Several Reports of the same Comment, the Comment is deleted only once
+                        if (commentIdsModerated.indexOf(report.comment.id) < 0) {
+                            await _moderateCommentReport(req, report, t);
+                            commentIdsModerated.push(report.comment.id);
+                        }
+                    } else {
+                        topicReportsModerated.push(await _moderateTopicReport(req, report.id, t));
+                    }
+                }
+            });
+
+            topicReportsModerated.forEach(function (topicReport) {
+                emailLib
+                    .sendTopicReportModerate(topicReport)
+                    .catch(function (err) {
+                        logger.error('Failed to send Topic Report moderation e-mails', topicReport.id, err);
+                    });
+            });
+
+            return res.ok();
+        } catch (err) {
+            if (err.reportIdsMissing) {
+                return res.notFound(err.message);
+            }
+
+            return next(err);
+        }
+    });
+
+    /**
+     * Resolve Reports - mark the Reports as fixed or not needing any action
+     */
+    app.post('/api/users/:userId/moderator/reports/resolve', loginCheck(['partner'], 'moderation:manage'), hasPermissionModerator(), reportIdsParser(), async function (req, res, next) {
+        const reportIds = req.locals.reportIds;
+
+        try {
+            const resolved = {
+                resolvedById: req.user.id,
+                resolvedAt: db.fn('NOW')
+            };
+
+            let topicReportsResolved = [];
+
+            await db.transaction(async function (t) {
+                const reports = await _findOpenReports(req.locals.moderator, reportIds, t);
+
+                _checkReportsFound(reportIds, _getReportIds(reports));
+
+                const commentReportIds = [];
+                const topicReportIds = [];
+
+                reports.forEach(function (report) {
+                    if (report.comment) {
+                        commentReportIds.push(report.id);
+                    } else {
+                        topicReportIds.push(report.id);
+                    }
+                });
+
+                // Only the Reports not closed by a concurrent request
+                let commentReportsResolved = [];
+
+                if (commentReportIds.length) {
+                    commentReportsResolved = (await Report.update(resolved, {
+                        where: {
+                            id: {
+                                [Op.in]: commentReportIds
+                            },
+                            resolvedAt: null
+                        },
+                        returning: true,
+                        transaction: t
+                    }))[1];
+                }
+
+                if (topicReportIds.length) {
+                    topicReportsResolved = (await TopicReport.update(resolved, {
+                        where: {
+                            id: {
+                                [Op.in]: topicReportIds
+                            },
+                            moderatedAt: null,
+                            resolvedAt: null
+                        },
+                        returning: true,
+                        transaction: t
+                    }))[1];
+                }
+
+                _checkReportsFound(reportIds, _getReportIds(commentReportsResolved.concat(topicReportsResolved)));
+            });
+
+            topicReportsResolved.forEach(function (topicReport) {
+                emailLib
+                    .sendTopicReportResolve(topicReport)
+                    .catch(function (err) {
+                        logger.error('Failed to send Topic Report resolve e-mails', topicReport.id, err);
+                    });
+            });
+
+            return res.ok();
+        } catch (err) {
+            if (err.reportIdsMissing) {
+                return res.notFound(err.message);
+            }
+
+            return next(err);
+        }
+    });
+
+    /**
+     * Assign Reports to a Moderator, "assignedToId" null to unassign
+     */
+    app.post('/api/users/:userId/moderator/reports/assign', loginCheck(['partner'], 'moderation:manage'), hasPermissionModerator(), reportIdsParser(), async function (req, res, next) {
+        const reportIds = req.locals.reportIds;
+        const assignedToId = req.body.assignedToId;
+
+        if (assignedToId !== null && (typeof assignedToId !== 'string' || !validator.isUUID(assignedToId, 4))) {
+            return res.badRequest('Invalid value for "assignedToId".', 2);
+        }
+
+        try {
+            const assigneeScope = assignedToId ? await _getModeratorScope(assignedToId) : null;
+            const assigned = {
+                assignedToId: assignedToId,
+                assignedAt: assignedToId ? db.fn('NOW') : null
+            };
+
+            let isAssigneeModerator = true;
+
+            await db.transaction(async function (t) {
+                const reports = await _findOpenReports(req.locals.moderator, reportIds, t);
+
+                _checkReportsFound(reportIds, _getReportIds(reports));
+
+                if (assignedToId) {
+                    const assigneeReports = assigneeScope ? await _findOpenReports(assigneeScope, reportIds, t) : [];
+
+                    if (assigneeReports.length !== reportIds.length) {
+                        isAssigneeModerator = false;
+
+                        return;
+                    }
+                }
+
+                // Only the Reports not closed by a concurrent request
+                const reportsAssigned = (await Report.update(assigned, {
+                    where: {
+                        id: {
+                            [Op.in]: reportIds
+                        },
+                        resolvedAt: null
+                    },
+                    returning: true,
+                    transaction: t
+                }))[1];
+
+                const topicReportsAssigned = (await TopicReport.update(assigned, {
+                    where: {
+                        id: {
+                            [Op.in]: reportIds
+                        },
+                        moderatedAt: null,
+                        resolvedAt: null
+                    },
+                    returning: true,
+                    transaction: t
+                }))[1];
+
+                _checkReportsFound(reportIds, _getReportIds(reportsAssigned.concat(topicReportsAssigned)));
+            });
+
+            if (!isAssigneeModerator) {
+                return res.badRequest('Assignee is not a Moderator of all the Reports.', 3);
+            }
+
+            const rows = await _findReports(req.locals.moderator, 'AND rep.id IN (:reportIds)', {reportIds: reportIds});
+
+            return res.ok({
+                count: rows.length,
+                rows: rows.map(function (row) {
+                    delete row.countTotal;
+
+                    return row;
+                })
+            });
+        } catch (err) {
+            if (err.reportIdsMissing) {
+                return res.notFound(err.message);
+            }
+
+            return next(err);
+        }
+    });
+
+    /**
+     * Get moderation history of a User - all the Reports of the Topics and Comments the User has created
+     */
+    app.get('/api/users/:userId/moderator/users/:creatorId/reports', loginCheck(['partner'], 'moderation:manage'), hasPermissionModerator(), async function (req, res, next) {
+        const limitMax = 100;
+        const limitDefault = 20;
+        const offset = parseInt(req.query.offset, 10) || 0;
+        let limit = parseInt(req.query.limit, 10) || limitDefault;
+
+        if (limit > limitMax) {
+            limit = limitDefault;
+        }
+
+        if (!validator.isUUID(req.params.creatorId, 4)) {
+            return res.badRequest('Invalid value for "creatorId".', 1);
+        }
+
+        try {
+            const rows = await _findReports(
+                req.locals.moderator,
+                'AND ((rep."commentId" IS NULL AND t."creatorId" = :creatorId) OR c."creatorId" = :creatorId)',
+                {
+                    creatorId: req.params.creatorId
+                },
+                'rep."createdAt" DESC, rep.id',
+                limit,
+                offset
+            );
+
+            return res.ok(_toListResult(rows));
+        } catch (err) {
+            return next(err);
+        }
+    });
+};
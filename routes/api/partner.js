@@ -2,9 +2,80 @@
 
 module.exports = function (app) {
     var models = app.get('models');
+    var db = models.sequelize;
+    var _ = app.get('lodash');
+    var loginCheck = app.get('middleware.loginCheck');
+    var cosWebhooks = app.get('cosWebhooks');
 
     var Topic = models.Topic;
     var Partner = models.Partner;
+    var Moderator = models.Moderator;
+    var PartnerWebhook = models.PartnerWebhook;
+    var PartnerWebhookDelivery = models.PartnerWebhookDelivery;
+    var PartnerInstitution = models.PartnerInstitution;
+
+    var Op = db.Sequelize.Op;
+
+    /**
+     * Middleware to check that User can manage the Partner - is a Moderator of the Partner or a global Moderator.
+     *
+     * @returns {Function} Express middleware function
+     */
+    var hasPermissionPartner = function () {
+        return async function (req, res, next) {
+            try {
+                const partner = await Partner.findOne({
+                    where: {
+                        id: req.params.partnerId
+                    }
+                });
+
+                if (!partner) {
+                    return res.notFound();
+                }
+
+                const moderator = await Moderator.findOne({
+                    where: {
+                        userId: req.user.id,
+                        partnerId: {
+                            [Op.or]: [partner.id, null]
+                        }
+                    }
+                });
+
+                if (!moderator) {
+                    return res.forbidden('Insufficient permissions');
+                }
+
+                req.locals = req.locals || {};
+                req.locals.partner = partner;
+
+                return next();
+            } catch (err) {
+                return next(err);
+            }
+        };
+    };
+
+    var _findWebhook = function (partnerId, webhookId) {
+        return PartnerWebhook.findOne({
+            where: {
+                id: webhookId,
+                partnerId: partnerId
+            }
+        });
+    };
+
+    var _findInstitution = function (partnerId, institutionId) {
+        return PartnerInstitution.findOne({
+            where: {
+                id: institutionId,
+                partnerId: partnerId
+            }
+        });
+    };
+
+    var INSTITUTION_FIELDS = ['name', 'emails', 'from', 'language', 'template', 'logo', 'emailStyles', 'voteCountMin', 'contactFields', 'linkViewTopic', 'linkAddEvent', 'sendContainerDownloadLinkToCreator'];
 
     /**
      * Get Partner info
@@ -53,4 +124,248 @@ module.exports = function (app) {
             })
             .catch(next);
     });
+
+    /**
+     * List Partner Webhooks
+     */
+    app.get('/api/users/:userId/partners/:partnerId/webhooks', loginCheck(), hasPermissionPartner(), async function (req, res, next) {
+        try {
+            const webhooks = await PartnerWebhook.findAll({
+                where: {
+                    partnerId: req.params.partnerId
+                },
+                order: [['createdAt', 'ASC']]
+            });
+
+            return res.ok({
+                count: webhooks.length,
+                rows: webhooks
+            });
+        } catch (err) {
+            return next(err);
+        }
+    });
+
+    /**
+     * Create a Partner Webhook
+     *
+     * NOTE: The secret for verifying the payload signatures is only returned on creation.
+     */
+    app.post('/api/users/:userId/partners/:partnerId/webhooks', loginCheck(), hasPermissionPartner(), async function (req, res, next) {
+        try {
+            const webhook = PartnerWebhook.build({
+                partnerId: req.params.partnerId,
+                creatorId: req.user.id,
+                url: req.body.url,
+                events: req.body.events,
+                secret: cosWebhooks.generateSecret()
+            });
+
+            await webhook.save();
+
+            return res.created(Object.assign(webhook.toJSON(), {secret: webhook.secret}));
+        } catch (err) {
+            return next(err);
+        }
+    });
+
+    /**
+     * Update a Partner Webhook
+     */
+    app.put('/api/users/:userId/partners/:partnerId/webhooks/:webhookId', loginCheck(), hasPermissionPartner(), async function (req, res, next) {
+        try {
+            const webhook = await _findWebhook(req.params.partnerId, req.params.webhookId);
+
+            if (!webhook) {
+                return res.notFound();
+            }
+
+            const fieldsAllowedToUpdate = ['url', 'events'];
+            fieldsAllowedToUpdate.forEach(function (field) {
+                if (req.body[field] !== undefined) {
+                    webhook.set(field, req.body[field]);
+                }
+            });
+
+            await webhook.save();
+
+            return res.ok(webhook.toJSON());
+        } catch (err) {
+            return next(err);
+        }
+    });
+
+    /**
+     * Delete a Partner Webhook
+     */
+    app.delete('/api/users/:userId/partners/:partnerId/webhooks/:webhookId', loginCheck(), hasPermissionPartner(), async function (req, res, next) {
+        try {
+            const webhook = await _findWebhook(req.params.partnerId, req.params.webhookId);
+
+            if (!webhook) {
+                return res.notFound();
+            }
+
+            await webhook.destroy();
+
+            return res.ok();
+        } catch (err) {
+            return next(err);
+        }
+    });
+
+    /**
+     * Partner Webhook delivery log
+     */
+    app.get('/api/users/:userId/partners/:partnerId/webhooks/:webhookId/deliveries', loginCheck(), hasPermissionPartner(), async function (req, res, next) {
+        const limitMax = 100;
+        const limitDefault = 20;
+
+        const offset = parseInt(req.query.offset, 10) ? parseInt(req.query.offset, 10) : 0;
+        let limit = parseInt(req.query.limit, 10) ? parseInt(req.query.limit, 10) : limitDefault;
+
+        if (limit > limitMax) limit = limitDefault;
+
+        try {
+            const webhook = await _findWebhook(req.params.partnerId, req.params.webhookId);
+
+            if (!webhook) {
+                return res.notFound();
+            }
+
+            const where = {
+                webhookId: webhook.id
+            };
+
+            if (req.query.status) {
+                if (_.values(PartnerWebhookDelivery.STATUSES).indexOf(req.query.status) < 0) {
+                    return res.badRequest('Invalid status', 1);
+                }
+                where.status = req.query.status;
+            }
+
+            if (req.query.event) {
+                where.event = req.query.event;
+            }
+
+            const deliveries = await PartnerWebhookDelivery.findAndCountAll({
+                where: where,
+                order: [['createdAt', 'DESC']],
+                limit: limit,
+                offset: offset
+            });
+
+            return res.ok({
+                count: deliveries.count,
+                rows: deliveries.rows
+            });
+        } catch (err) {
+            return next(err);
+        }
+    });
+
+    /**
+     * List Partner Institutions
+     */
+    app.get('/api/users/:userId/partners/:partnerId/institutions', loginCheck(), hasPermissionPartner(), async function (req, res, next) {
+        try {
+            const institutions = await PartnerInstitution.findAll({
+                where: {
+                    partnerId: req.params.partnerId
+                },
+                order: [['createdAt', 'ASC']]
+            });
+
+            return res.ok({
+                count: institutions.length,
+                rows: institutions
+            });
+        } catch (err) {
+            return next(err);
+        }
+    });
+
+    /**
+     * Create a Partner Institution
+     */
+    app.post('/api/users/:userId/partners/:partnerId/institutions', loginCheck(), hasPermissionPartner(), async function (req, res, next) {
+        try {
+            const institution = PartnerInstitution.build(Object.assign(
+                _.pick(req.body, INSTITUTION_FIELDS),
+                {
+                    partnerId: req.params.partnerId,
+                    creatorId: req.user.id
+                }
+            ));
+
+            await institution.save();
+
+            return res.created(institution.toJSON());
+        } catch (err) {
+            return next(err);
+        }
+    });
+
+    /**
+     * Read a Partner Institution
+     */
+    app.get('/api/users/:userId/partners/:partnerId/institutions/:institutionId', loginCheck(), hasPermissionPartner(), async function (req, res, next) {
+        try {
+            const institution = await _findInstitution(req.params.partnerId, req.params.institutionId);
+
+            if (!institution) {
+                return res.notFound();
+            }
+
+            return res.ok(institution.toJSON());
+        } catch (err) {
+            return next(err);
+        }
+    });
+
+    /**
+     * Update a Partner Institution
+     */
+    app.put('/api/users/:userId/partners/:partnerId/institutions/:institutionId', loginCheck(), hasPermissionPartner(), async function (req, res, next) {
+        try {
+            const institution = await _findInstitution(req.params.partnerId, req.params.institutionId);
+
+            if (!institution) {
+                return res.notFound();
+            }
+
+            INSTITUTION_FIELDS.forEach(function (field) {
+                if (req.body[field] !== undefined) {
+                    institution.set(field, req.body[field]);
+                }
+            });
+
+            await institution.save();
+
+            return res.ok(institution.toJSON());
+        } catch (err) {
+            return next(err);
+        }
+    });
+
+    /**
+     * Delete a Partner Institution
+     *
+     * NOTE: The deliveries keep the name of the Institution
+     */
+    app.delete('/api/users/:userId/partners/:partnerId/institutions/:institutionId', loginCheck(), hasPermissionPartner(), async function (req, res, next) {
+        try {
+            const institution = await _findInstitution(req.params.partnerId, req.params.institutionId);
+
+            if (!institution) {
+                return res.notFound();
+            }
+
+            await institution.destroy();
+
+            return res.ok();
+        } catch (err) {
+            return next(err);
+        }
+    });
 };
@@ -1,7 +1,9 @@
 'use strict';
 
 /**
- * Search all objects (Users, Groups)
+ * Search all objects (Users, Groups, Topics, Comments)
+ *
+ * Topics, Comments and Groups are searched using full-text search (see libs/textSearch.js).
  *
  * @param {object} app Express app
  *
@@ -13,13 +15,69 @@ module.exports = function (app) {
     const Op = db.Sequelize.Op;
 
     const loginCheck = app.get('middleware.loginCheck');
+    const textSearch = app.get('textSearch');
+    const groupHierarchy = app.get('groupHierarchy');
 
     const User = models.User;
     const Group = models.Group;
     const Topic = models.Topic;
 
-    app.get('/api/search', loginCheck(['partner']), async function (req, res, next) {
+    // Common table expressions for TOPIC_PERMISSION_JOIN_SQL, the Groups whose shared Topics the User (":userId") has access to
+    const TOPIC_PERMISSION_WITH_SQL = `
+                                WITH RECURSIVE
+                                    ${groupHierarchy.USER_GROUPS_SQL},
+                                    ${groupHierarchy.USER_GROUPS_SHARED_SQL}`;
+
+    // Permissions of the User (":userId") on the Topic "t", same as in the Topic list
+    const TOPIC_PERMISSION_JOIN_SQL = `
+                                    LEFT JOIN (
+                                        SELECT
+                                            tmu."topicId",
+                                            tmu."userId",
+                                            tmu.level::text AS level
+                                        FROM "TopicMemberUsers" tmu
+                                        WHERE tmu."deletedAt" IS NULL
+                                    ) AS tmup ON (tmup."topicId" = t.id AND tmup."userId" = :userId)
+                                    LEFT JOIN (
+                                        SELECT
+                                            tmg."topicId",
+                                            MAX(tmg.level)::text AS level
+                                        FROM "TopicMemberGroups" tmg
+                                        WHERE tmg."deletedAt" IS NULL
+                                        AND tmg."groupId" IN (SELECT "groupId" FROM user_groups_shared)
+                                        GROUP BY "topicId"
+                                    ) AS tmgp ON (tmgp."topicId" = t.id)`;
+
+    /**
+     * Move the count of window function "COUNT(*) OVER()" from the rows to the result, highlight the snippets
+     *
+     * @param {Array<object>} rows Query result
+     *
+     * @returns {object} {count, rows}
+     *
+     * @private
+     */
+    const _toSearchResult = function (rows) {
+        const result = {
+            count: 0,
+            rows: []
+        };
+
+        rows.forEach(function (row) {
+            result.count = parseInt(row.count, 10);
+            delete row.count;
+            if ('snippet' in row) {
+                row.snippet = textSearch.highlight(row.snippet);
+            }
+            result.rows.push(row);
+        });
+
+        return result;
+    };
+
+    app.get('/api/search', loginCheck(['partner'], 'topics:read'), async function (req, res, next) {
         const str = req.query.str; // Search string
+        const tsQuery = textSearch.toTsQuery(str);
         try {
             const users = await User.findAll({
                 where: {
@@ -40,15 +98,30 @@ module.exports = function (app) {
                 limit: 10
             });
 
-            const groups = await Group.findAll({
-                where: {
-                    name: {
-                        [Op.iLike]: str + '%'
+            const groups = await db
+                .query(
+                    `SELECT
+                        g.id,
+                        g.name
+                    FROM "Groups" g
+                    WHERE g."deletedAt" IS NULL
+                        AND ${textSearch.getMatchSql('g."searchVector"', tsQuery, req.query.language)}
+                        AND (
+                            g.visibility = '${Group.VISIBILITY.public}'
+                            OR EXISTS (SELECT 1 FROM "GroupMemberUsers" gm WHERE gm."groupId" = g.id AND gm."userId" = :userId AND gm."deletedAt" IS NULL)
+                        )
+                    ORDER BY ts_rank(g."searchVector", ${textSearch.getTsQuerySql(req.query.language)}) DESC, g.name ASC
+                    LIMIT 10
+                    ;`,
+                    {
+                        replacements: {
+                            userId: req.user.id,
+                            tsQuery: tsQuery
+                        },
+                        type: db.QueryTypes.SELECT,
+                        raw: true
                     }
-                },
-                attributes: ['id', 'name'],
-                limit: 10
-            });
+                );
 
             return res.ok({
                 users: {
@@ -68,6 +141,11 @@ module.exports = function (app) {
     app.get('/api/v2/search', async function (req, res, next) {
         try {
             const str = req.query.str; // Search string
+            const tsQuery = textSearch.toTsQuery(str);
+            const tsQuerySql = textSearch.getTsQuerySql(req.query.language);
+            const _matchSql = function (vectorSql) {
+                return textSearch.getMatchSql(vectorSql, tsQuery, req.query.language);
+            };
             const limitMax = 100;
             const limitDefault = 10;
             let userId = null;
@@ -86,8 +164,17 @@ module.exports = function (app) {
             const offset = (page * limit) - limit;
             const params = Object.keys(req.query);
             let statuses;
-            let queryStatuses = req.query.statuses;
+            let queryStatuses = req.query.statuses || req.query.status; // "status" is the old name of the parameter
             const pinned = req.query.pinned;
+            let categories = req.query.categories;
+            const visibility = req.query.visibility;
+
+            if (categories && !Array.isArray(categories)) {
+                categories = [categories];
+            }
+
+            // Filters that apply to Topics, and to Comments by their Topic
+            let topicFilterSql = '';
 
             if (queryStatuses) {
                 if (!Array.isArray(queryStatuses)) {
@@ -99,6 +186,18 @@ module.exports = function (app) {
                 });
             }
 
+            if (statuses && statuses.length) {
+                topicFilterSql += ` AND t.status IN (:statuses)`;
+            }
+
+            if (categories && categories.length) {
+                topicFilterSql += ' AND t."categories" @> ARRAY[:categories]::VARCHAR(255)[] ';
+            }
+
+            if (visibility && Object.keys(Topic.VISIBILITY).indexOf(visibility) > -1) {
+                topicFilterSql += ' AND t.visibility = :visibility ';
+            }
+
             if (include && !Array.isArray(include)) {
                 include = [include];
             } else if (!include) {
@@ -106,11 +205,64 @@ module.exports = function (app) {
             }
 
             params.forEach(function (param) {
-                if (['str', 'include', 'limit', 'page'].indexOf(param) === -1) {
+                if (['str', 'include', 'limit', 'page', 'language'].indexOf(param) === -1) {
                     fields.push(param);
                 }
             });
 
+            /**
+             * Search Comments of the Topics the User can see
+             *
+             * @param {string} joinSql Additional joins, TOPIC_PERMISSION_JOIN_SQL can be used
+             * @param {string} whereSql Additional conditions restricting the Topics
+             *
+             * @returns {Promise<Array>} Comments
+             */
+            const _searchComments = async function (joinSql, whereSql) {
+                return db
+                    .query(
+                        `${TOPIC_PERMISSION_WITH_SQL}
+                        SELECT
+                            COUNT(c.id) OVER() as count,
+                            c.id,
+                            c.type,
+                            c.subject,
+                            c."createdAt",
+                            t.id as "topic.id",
+                            t.title as "topic.title",
+                            ts_rank(c."searchVector", ${tsQuerySql}) as "rank",
+                            ${textSearch.getHeadlineSql('c.text', req.query.language)} as "snippet"
+                        FROM "Comments" c
+                            JOIN "TopicComments" tc ON (tc."commentId" = c.id)
+                            JOIN "Topics" t ON (t.id = tc."topicId")
+                            ${joinSql}
+                        WHERE c."deletedAt" IS NULL
+                            AND t."deletedAt" IS NULL
+                            AND ${_matchSql('c."searchVector"')}
+                            ${topicFilterSql}
+                            ${whereSql}
+                        ORDER BY "rank" DESC, c."createdAt" DESC
+                        LIMIT :limit
+                        OFFSET :offset
+                        ;`,
+                        {
+                            replacements: {
+                                userId: userId,
+                                partnerId: partnerId,
+                                tsQuery: tsQuery,
+                                statuses: statuses,
+                                categories: categories,
+                                visibility: visibility,
+                                limit: limit,
+                                offset: offset
+                            },
+                            type: db.QueryTypes.SELECT,
+                            raw: true,
+                            nest: true
+                        }
+                    );
+            };
+
             //Iterate through query include params and add querys to search array
             for (let i = 0; i < include.length; i++) {
                 const term = include[i];
@@ -135,7 +287,8 @@ module.exports = function (app) {
                             levelComparer = '>';
                             level = 'none';
                             let myTopicWhere = ` t."deletedAt" IS NULL
-                                    AND t.title ILIKE :str
+                                    AND ${_matchSql('t."searchVector"')}
+                                    ${topicFilterSql}
                                     `;
 
                             fields.forEach(function (field) {
@@ -154,10 +307,6 @@ module.exports = function (app) {
                                 myTopicWhere += ` AND t."sourcePartnerId" = :partnerId `;
                             }
 
-                            if (statuses && statuses.length) {
-                                myTopicWhere += ` AND t.status IN (:statuses)`;
-                            }
-
                             if (pinned) {
                                 myTopicWhere += ` AND tp."topicId" = t.id AND tp."userId" = :userId`;
                             }
@@ -165,6 +314,7 @@ module.exports = function (app) {
                             // TODO: NOT THE MOST EFFICIENT QUERY IN THE WORLD, tune it when time.
                             // TODO: That casting to "enum_TopicMemberUsers_level". Sequelize does not support naming enums, through inheritance I have 2 enums that are the same but with different name thus different type in PG. Feature request - https://github.com/sequelize/sequelize/issues/2577
                             const myTopicQuery = `
+                                ${TOPIC_PERMISSION_WITH_SQL}
                                 SELECT
                                     COUNT(t.id) OVER() as count,
                                     t.id,
@@ -183,30 +333,14 @@ module.exports = function (app) {
                                     t.categories,
                                     t."endsAt",
                                     t."createdAt",
+                                    ts_rank(t."searchVector", ${tsQuerySql}) as "rank",
+                                    ${textSearch.getHeadlineSql('t.description', req.query.language)} as "snippet",
                                     COALESCE(tmup.level, tmgp.level, 'none') as "permission.level",
                                     muc.count as "members.users.count",
                                     COALESCE(mgc.count, 0) as "members.groups.count",
                                     tv."voteId" as "voteId"
                                 FROM "Topics" t
-                                    LEFT JOIN (
-                                        SELECT
-                                            tmu."topicId",
-                                            tmu."userId",
-                                            tmu.level::text AS level
-                                        FROM "TopicMemberUsers" tmu
-                                        WHERE tmu."deletedAt" IS NULL
-                                    ) AS tmup ON (tmup."topicId" = t.id AND tmup."userId" = :userId)
-                                    LEFT JOIN (
-                                        SELECT
-                                            tmg."topicId",
-                                            gm."userId",
-                                            MAX(tmg.level)::text AS level
-                                        FROM "TopicMemberGroups" tmg
-                                            LEFT JOIN "GroupMemberUsers" gm ON (tmg."groupId" = gm."groupId")
-                                        WHERE tmg."deletedAt" IS NULL
-                                        AND gm."deletedAt" IS NULL
-                                        GROUP BY "topicId", "userId"
-                                    ) AS tmgp ON (tmgp."topicId" = t.id AND tmgp."userId" = :userId)
+                                    ${TOPIC_PERMISSION_JOIN_SQL}
                                     LEFT JOIN (
                                         SELECT tmu."topicId", COUNT(tmu."memberId") AS "count" FROM (
                                             SELECT
@@ -235,7 +369,7 @@ module.exports = function (app) {
                                     LEFT JOIN "TopicPins" tp ON tp."topicId" = t.id AND tp."userId" = :userId
                                 WHERE ${myTopicWhere}
                                 GROUP BY t.id, tmup.level, tmgp.level, muc.count, mgc.count, tv."voteId", tp."topicId"
-                                ORDER BY t.title ASC
+                                ORDER BY "rank" DESC, t.title ASC
                                 LIMIT :limit
                                 OFFSET :offset
                             ;`;
@@ -248,7 +382,9 @@ module.exports = function (app) {
                                             userId: userId,
                                             partnerId: partnerId,
                                             statuses: statuses,
-                                            str: '%' + str + '%',
+                                            categories: categories,
+                                            visibility: visibility,
+                                            tsQuery: tsQuery,
                                             level: level,
                                             limit: limit,
                                             offset: offset
@@ -258,20 +394,10 @@ module.exports = function (app) {
                                         nest: true
                                     }
                                 );
-                            const topics = {
-                                count: 0,
-                                rows: []
-                            };
-
-                            topicsResult.forEach(function (row) {
-                                topics.count = row.count;
-                                delete row.count;
-                                topics.rows.push(row);
-                            });
 
                             searchResults.push({
                                 context: 'my',
-                                topics: topics
+                                topics: _toSearchResult(topicsResult)
                             });
 
                         } else if (model === 'group') {
@@ -296,22 +422,23 @@ module.exports = function (app) {
                                         COUNT(g.id) OVER() as count,
                                         g.id,
                                         g.name,
+                                        ts_rank(g."searchVector", ${tsQuerySql}) as "rank",
                                         gm.level as "permission.level"
                                     FROM "Groups" g
                                         JOIN "GroupMemberUsers" gm ON (gm."groupId" = g.id)
-                                    WHERE g.name ILIKE :str
+                                    WHERE ${_matchSql('g."searchVector"')}
                                         AND g."deletedAt" IS NULL
                                         AND gm."deletedAt" is NULL
                                         AND gm."userId" = :userId
                                         ${whereCondition}
-                                            ORDER BY g.name ASC
+                                            ORDER BY "rank" DESC, g.name ASC
                                             LIMIT :limit
                                             OFFSET :offset
                                             ;`,
                                     {
                                         replacements: {
                                             userId: userId,
-                                            str: '%' + str + '%',
+                                            tsQuery: tsQuery,
                                             level: level,
                                             limit: limit,
                                             offset: offset
@@ -323,69 +450,108 @@ module.exports = function (app) {
                                         offset: offset
                                     }
                                 )
-                            const groups = {
-                                count: 0,
-                                rows: []
-                            };
-
-                            groupsResult.forEach(function (row) {
-                                groups.count = row.count;
-                                delete row.count;
-                                groups.rows.push(row);
+
+                            searchResults.push({
+                                context: 'my',
+                                groups: _toSearchResult(groupsResult)
                             });
+                        } else if (model === 'comment') {
+                            let myCommentWhere = `AND COALESCE(tmup.level, tmgp.level, 'none')::"enum_TopicMemberUsers_level" > 'none' `;
+
+                            if (partnerId) {
+                                myCommentWhere += ` AND t."sourcePartnerId" = :partnerId `;
+                            }
+
+                            const commentsResult = await _searchComments(TOPIC_PERMISSION_JOIN_SQL, myCommentWhere);
 
                             searchResults.push({
                                 context: 'my',
-                                groups: groups
+                                comments: _toSearchResult(commentsResult)
                             });
                         }
                     }
 
                     if (context === 'public') {
                         if (model === 'topic') {
-                            const publicTopicsResult = await Topic
-                                .findAndCountAll({
-                                    where: {
-                                        title: {
-                                            [Op.iLike]: '%' + str + '%'
+                            const publicTopicsResult = await db
+                                .query(
+                                    `SELECT
+                                        COUNT(t.id) OVER() as count,
+                                        t.id,
+                                        t.title,
+                                        t.status,
+                                        t.visibility,
+                                        t.hashtag,
+                                        t.categories,
+                                        t."endsAt",
+                                        t."createdAt",
+                                        ts_rank(t."searchVector", ${tsQuerySql}) as "rank",
+                                        ${textSearch.getHeadlineSql('t.description', req.query.language)} as "snippet"
+                                    FROM "Topics" t
+                                    WHERE t."deletedAt" IS NULL
+                                        AND t.visibility = '${Topic.VISIBILITY.public}'
+                                        AND ${_matchSql('t."searchVector"')}
+                                        ${topicFilterSql}
+                                    ORDER BY "rank" DESC, t.title ASC
+                                    LIMIT :limit
+                                    OFFSET :offset
+                                    ;`,
+                                    {
+                                        replacements: {
+                                            tsQuery: tsQuery,
+                                            statuses: statuses,
+                                            categories: categories,
+                                            visibility: visibility,
+                                            limit: limit,
+                                            offset: offset
                                         },
-                                        visibility: Topic.VISIBILITY.public
-                                    },
-                                    attributes: ['id', 'title', 'status', 'visibility', 'hashtag', 'categories', 'endsAt', 'createdAt'],
-                                    limit: limit,
-                                    offset: offset,
-                                    orderby: {title: 'ASC'}
-                                });
+                                        type: db.QueryTypes.SELECT,
+                                        raw: true
+                                    }
+                                );
 
                             searchResults.push({
                                 context: 'public',
-                                topics: publicTopicsResult,
+                                topics: _toSearchResult(publicTopicsResult),
                                 status: statuses
                             });
                         } else if (model === 'group') {
-                            const publicGroupsResult = await Group
-                                .findAll({
-                                    where: {
-                                        [Op.and]: [
-                                            {
-                                                name: {
-                                                    [Op.iLike]: str + '%'
-                                                }
-                                            },
-                                            {
-                                                visibility: Topic.VISIBILITY.public
-                                            }
-                                        ]
-                                    },
-                                    attributes: ['id', 'name'],
-                                    limit: limit,
-                                    offset: offset
-                                });
+                            const publicGroupsResult = await db
+                                .query(
+                                    `SELECT
+                                        g.id,
+                                        g.name,
+                                        ts_rank(g."searchVector", ${tsQuerySql}) as "rank"
+                                    FROM "Groups" g
+                                    WHERE g."deletedAt" IS NULL
+                                        AND g.visibility = '${Group.VISIBILITY.public}'
+                                        AND ${_matchSql('g."searchVector"')}
+                                    ORDER BY "rank" DESC, g.name ASC
+                                    LIMIT :limit
+                                    OFFSET :offset
+                                    ;`,
+                                    {
+                                        replacements: {
+                                            tsQuery: tsQuery,
+                                            limit: limit,
+                                            offset: offset
+                                        },
+                                        type: db.QueryTypes.SELECT,
+                                        raw: true
+                                    }
+                                );
 
                             searchResults.push({
                                 context: 'public',
                                 groups: publicGroupsResult
                             });
+                        } else if (model === 'comment') {
+                            const commentsResult = await _searchComments('', ` AND t.visibility = '${Topic.VISIBILITY.public}'`);
+
+                            searchResults.push({
+                                context: 'public',
+                                comments: _toSearchResult(commentsResult)
+                            });
                         } else if (model === 'user') {
                             const publicUserResult = await User
                                 .findAndCountAll({
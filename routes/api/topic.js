@@ -14,10 +14,19 @@ module.exports = function (app) {
     const _ = app.get('lodash');
     const validator = app.get('validator');
     const util = app.get('util');
+    const voteTally = app.get('voteTally');
+    const textSearch = app.get('textSearch');
+    const groupHierarchy = app.get('groupHierarchy');
+    const voterWeights = app.get('voterWeights');
+    const htmlDiff = app.get('htmlDiff');
     const urlLib = app.get('urlLib');
     const emailLib = app.get('email');
     const cosSignature = app.get('cosSignature');
     const cosActivities = app.get('cosActivities');
+    const cosDeadlines = app.get('cosDeadlines');
+    const cosNotifications = app.get('cosNotifications');
+    const cosStorage = app.get('cosStorage');
+    const cosTopicExport = app.get('cosTopicExport');
     const Promise = app.get('Promise');
     const sanitizeFilename = app.get('sanitizeFilename');
     const cryptoLib = app.get('cryptoLib');
@@ -31,6 +40,8 @@ module.exports = function (app) {
     const twitter = app.get('twitter');
     const hashtagCache = app.get('hashtagCache');
     const moment = app.get('moment');
+    const uuid = app.get('uuid');
+    const Busboy = app.get('busboy');
     const decode = require('html-entities').decode;
     const URL = require('url');
     const https = require('https');
@@ -39,10 +50,12 @@ module.exports = function (app) {
     const loginCheck = app.get('middleware.loginCheck');
     const authTokenRestrictedUse = app.get('middleware.authTokenRestrictedUse');
     const partnerParser = app.get('middleware.partnerParser');
+    const rateLimit = app.get('middleware.rateLimit');
     const authUser = require('./auth')(app);
     const User = models.User;
     const UserConnection = models.UserConnection;
     const Group = models.Group;
+    const GroupMemberUser = models.GroupMemberUser;
 
     const Topic = models.Topic;
     const TopicMemberUser = models.TopicMemberUser;
@@ -61,12 +74,19 @@ module.exports = function (app) {
     const VoteUserContainer = models.VoteUserContainer;
     const VoteList = models.VoteList;
     const VoteDelegation = models.VoteDelegation;
+    const VoteParticipant = models.VoteParticipant;
+    const NotificationSetting = models.NotificationSetting;
 
     const TopicComment = models.TopicComment;
     const TopicEvent = models.TopicEvent;
+    const TopicDelivery = models.TopicDelivery;
+    const PartnerInstitution = models.PartnerInstitution;
     const TopicVote = models.TopicVote;
     const TopicAttachment = models.TopicAttachment;
     const Attachment = models.Attachment;
+    const TopicRevision = models.TopicRevision;
+    const ArgumentCluster = models.ArgumentCluster;
+    const TopicTemplate = models.TopicTemplate;
     const TopicPin = models.TopicPin;
 
     const createDataHash = (dataToHash) => {
@@ -89,7 +109,10 @@ module.exports = function (app) {
         // TODO: That casting to "enum_TopicMemberUsers_level". Sequelize does not support naming enums, through inheritance I have 2 enums that are the same but with different name thus different type in PG. Feature request - https://github.com/sequelize/sequelize/issues/2577
         const result = await db
             .query(
-                `SELECT
+                `WITH RECURSIVE
+                    ${groupHierarchy.USER_GROUPS_SQL},
+                    ${groupHierarchy.USER_GROUPS_SHARED_SQL}
+                SELECT
                     t.visibility = 'public' AS "isPublic",
                     t.status,
                     COALESCE(
@@ -114,14 +137,12 @@ module.exports = function (app) {
                     LEFT JOIN (
                         SELECT
                             tmg."topicId",
-                            gm."userId",
                             MAX(tmg.level)::text AS level
                         FROM "TopicMemberGroups" tmg
-                            JOIN "GroupMemberUsers" gm ON (tmg."groupId" = gm."groupId")
                         WHERE tmg."deletedAt" IS NULL
-                        AND gm."deletedAt" IS NULL
-                        GROUP BY "topicId", "userId"
-                    ) AS tmgp ON (tmgp."topicId" = t.id AND tmgp."userId" = :userId)
+                        AND tmg."groupId" IN (SELECT "groupId" FROM user_groups_shared)
+                        GROUP BY "topicId"
+                    ) AS tmgp ON (tmgp."topicId" = t.id)
                 WHERE t.id = :topicId
                 AND t."deletedAt" IS NULL;
                 `,
@@ -378,14 +399,13 @@ module.exports = function (app) {
         };
     };
 
-    const getVoteResults = async function (voteId, userId) {
-        let includeVoted = '';
-        if (userId) {
-            includeVoted = ',(SELECT true FROM votes WHERE "userId" = :userId AND "optionId" = v."optionId") as "selected" ';
-        }
-
-        let sql = `
-            WITH
+    /**
+     * Common table expressions resolving the counted Votes (VoteLists) of a Vote, ending with "votes_with_delegations"
+     *
+     * "weight" is the weight of the Voter, "byUserWeight" the weight of the User who delegated to the Voter. Expects ":voteId" replacement.
+     * Secret ballots (Vote.ballotIsSecret) have NULL "userId", each ballot is identified by "optionGroupId".
+     */
+    const VOTES_WITH_DELEGATIONS_SQL = `
             RECURSIVE delegations("voteId", "toUserId", "byUserId", depth) AS (
                 SELECT
                         "voteId",
@@ -437,22 +457,39 @@ module.exports = function (app) {
                             AND vli."updatedAt" = vl."updatedAt"
                         WHERE vl."voteId" = :voteId
                     ),
-                    votes("voteId", "userId", "optionId", "optionGroupId") AS (
+                    votes("voteId", "userId", "optionId", "optionGroupId", "rank", "score") AS (
                         SELECT
                             vl."voteId",
                             vl."userId",
                             vl."optionId",
-                            vl."optionGroupId"
+                            vl."optionGroupId",
+                            vl."rank",
+                            vl."score"
                         FROM "VoteLists" vl
                         JOIN vote_groups vg ON (vl."voteId" = vg."voteId" AND vl."optionGroupId" = vg."optionGroupId")
                         JOIN "Votes" v ON v.id = vl."voteId"
-                        WHERE v."authType"='${Vote.AUTH_TYPES.soft}' AND vl."voteId" = :voteId
+                        WHERE v."authType"='${Vote.AUTH_TYPES.soft}' AND v."ballotIsSecret" = false AND vl."voteId" = :voteId
+                        UNION ALL
+                        SELECT
+                            vl."voteId",
+                            vl."userId",
+                            vl."optionId",
+                            vl."optionGroupId",
+                            vl."rank",
+                            vl."score"
+                        FROM "VoteLists" vl
+                        JOIN "Votes" v ON v.id = vl."voteId"
+                        WHERE v."ballotIsSecret" = true AND vl."voteId" = :voteId
+                            AND vl."userId" IS NULL
+                            AND vl."deletedAt" IS NULL
                         UNION ALL
                         SELECT
                             vl."voteId",
                             vl."userId",
                             vl."optionId",
-                            vl."optionGroupId"
+                            vl."optionGroupId",
+                            vl."rank",
+                            vl."score"
                         FROM "VoteLists" vl
                         JOIN vote_groups vg ON (vl."voteId" = vg."voteId" AND vl."optionGroupId" = vg."optionGroupId")
                         JOIN "Votes" v ON v.id = vl."voteId"
@@ -469,30 +506,48 @@ module.exports = function (app) {
 							) vu
 						)
                     ),
-                    votes_with_delegations("voteId", "userId", "optionId", "optionGroupId", "byUserId", depth) AS (
+                    ${voterWeights.getCteSql(':voteId')},
+                    votes_with_delegations("voteId", "userId", "optionId", "optionGroupId", "rank", "score", "byUserId", depth, "weight", "byUserWeight") AS (
                         SELECT
                             v."voteId",
                             v."userId",
                             v."optionId",
                             v."optionGroupId",
+                            v."rank",
+                            v."score",
                             id."byUserId",
-                            id."depth"
+                            id."depth",
+                            COALESCE(uw."weight", 1),
+                            COALESCE(bw."weight", 1)
                         FROM votes v
                         LEFT JOIN indirect_delegations id ON (v."userId" = id."toUserId")
-                        WHERE v."userId" NOT IN (SELECT "byUserId" FROM indirect_delegations WHERE "voteId"=v."voteId")
-                    )
+                        LEFT JOIN voter_weights uw ON (uw."userId" = v."userId")
+                        LEFT JOIN voter_weights bw ON (bw."userId" = id."byUserId")
+                        WHERE v."userId" IS NULL OR v."userId" NOT IN (SELECT "byUserId" FROM indirect_delegations WHERE "voteId"=v."voteId")
+                    )`;
+
+    const getVoteResults = async function (voteId, userId) {
+        let includeVoted = '';
+        if (userId) {
+            includeVoted = ',(SELECT true FROM votes WHERE "userId" = :userId AND "optionId" = v."optionId") as "selected" ';
+        }
+
+        let sql = `
+            WITH
+            ${VOTES_WITH_DELEGATIONS_SQL}
 
                 SELECT
                     SUM(v."voteCount") as "voteCount",
                     v."optionId",
                     v."voteId",
-                    (SELECT vc.count + vd.count + dt.count
+                    (SELECT vc.count + vd.count + dt.count + vp.count
                         FROM (
 						SELECT COUNT (*) FROM (
                             SELECT DISTINCT ON ("userId")
 								"userId"
                             FROM votes_with_delegations
                             WHERE "byUserId" IS NULL
+                                AND "userId" IS NOT NULL
 							) nd
                         ) vc
                         JOIN (
@@ -505,23 +560,35 @@ module.exports = function (app) {
 							SELECT vl."userId" FROM "VoteLists" vl JOIN votes_with_delegations vd ON vd."userId" = vl."userId" WHERE vd."byUserId" IS NOT NULL GROUP BY vl."userId"
 							) dt
 						) dt ON dt."count" = dt."count"
+                        JOIN (
+                            SELECT COUNT(*) FROM "VoteParticipants" WHERE "voteId" = :voteId
+                        ) vp ON vp."count" = vp."count"
                     ) AS "votersCount",
                     vo."value"
                     ${includeVoted}
                 FROM (
                     SELECT
-                        COUNT(v."optionId") + 1 as "voteCount",
-                        v."optionId",
-                        v."optionGroupId",
-                        v."voteId"
-                    FROM votes_with_delegations v
-                    WHERE v.depth IS NOT NULL
-                    GROUP BY v."optionId", v."optionGroupId", v."voteId"
+                        SUM(d."voteCount") as "voteCount",
+                        d."optionId",
+                        d."optionGroupId",
+                        d."voteId"
+                    FROM (
+                        SELECT
+                            SUM(v."byUserWeight") + MAX(v."weight") as "voteCount",
+                            v."userId",
+                            v."optionId",
+                            v."optionGroupId",
+                            v."voteId"
+                        FROM votes_with_delegations v
+                        WHERE v.depth IS NOT NULL
+                        GROUP BY v."userId", v."optionId", v."optionGroupId", v."voteId"
+                    ) d
+                    GROUP BY d."optionId", d."optionGroupId", d."voteId"
 
                     UNION ALL
 
                     SELECT
-                        COUNT(v."optionId") as "voteCount",
+                        SUM(v."weight") as "voteCount",
                         v."optionId",
                         v."optionGroupId",
                         v."voteId"
@@ -546,6 +613,195 @@ module.exports = function (app) {
             );
     };
 
+    /**
+     * Tally ranked and score Votes
+     *
+     * Regular, multiple and approval Votes are fully described by the option vote counts of getVoteResults.
+     *
+     * @param {object} vote Vote Sequelize instance with VoteOptions
+     *
+     * @returns {Promise<object|null>} Tally (see libs/voteTally.js) or null if the Vote type does not need one
+     */
+    const getVoteTally = async function (vote) {
+        if ([Vote.TYPES.ranked, Vote.TYPES.score].indexOf(vote.type) < 0) {
+            return null;
+        }
+
+        const ballots = await db
+            .query(
+                `
+                WITH
+                ${VOTES_WITH_DELEGATIONS_SQL}
+
+                SELECT
+                    v."userId",
+                    MAX(v."weight") + COALESCE((
+                        SELECT SUM(d."byUserWeight")
+                        FROM (
+                            SELECT DISTINCT
+                                vd."byUserId",
+                                vd."byUserWeight"
+                            FROM votes_with_delegations vd
+                            WHERE vd."userId" = v."userId"
+                                AND vd."byUserId" IS NOT NULL
+                        ) d
+                    ), 0) AS "weight",
+                    jsonb_agg(DISTINCT jsonb_build_object('optionId', v."optionId", 'rank', v."rank", 'score', v."score")) AS "options"
+                FROM votes_with_delegations v
+                GROUP BY v."userId", v."optionGroupId"
+                ;`,
+                {
+                    replacements: {
+                        voteId: vote.id
+                    },
+                    type: db.QueryTypes.SELECT,
+                    raw: true
+                }
+            );
+
+        const optionIds = _.map(vote.VoteOptions, 'id');
+
+        if (vote.type === Vote.TYPES.ranked) {
+            return voteTally.instantRunoff(optionIds, ballots.map(function (ballot) {
+                return {
+                    weight: parseInt(ballot.weight, 10),
+                    ranking: _(ballot.options)
+                        .filter('rank')
+                        .sortBy('rank')
+                        .map('optionId')
+                        .value()
+                };
+            }));
+        }
+
+        return voteTally.scoreTotals(optionIds, ballots.map(function (ballot) {
+            const scores = {};
+            ballot.options.forEach(function (option) {
+                scores[option.optionId] = option.score || 0;
+            });
+
+            return {
+                weight: parseInt(ballot.weight, 10),
+                scores: scores
+            };
+        }));
+    };
+
+    /**
+     * Get the Votes the User has voted in - cast a ballot, participated in a secret ballot or delegated the vote
+     *
+     * @param {Array<string>} voteIds Vote ids
+     * @param {string} userId User id
+     *
+     * @returns {Promise<Array<string>>} Vote ids
+     *
+     * @private
+     */
+    const _getVotedVoteIds = async function (voteIds, userId) {
+        if (!voteIds.length || !userId) {
+            return [];
+        }
+
+        const rows = await db
+            .query(
+                `
+                SELECT DISTINCT "voteId" FROM "VoteLists" WHERE "voteId" IN (:voteIds) AND "userId" = :userId AND "deletedAt" IS NULL
+                UNION
+                SELECT DISTINCT "voteId" FROM "VoteParticipants" WHERE "voteId" IN (:voteIds) AND "userId" = :userId
+                UNION
+                SELECT DISTINCT "voteId" FROM "VoteDelegations" WHERE "voteId" IN (:voteIds) AND "byUserId" = :userId AND "deletedAt" IS NULL
+                ;`,
+                {
+                    replacements: {
+                        voteIds: voteIds,
+                        userId: userId
+                    },
+                    type: db.QueryTypes.SELECT,
+                    raw: true
+                }
+            );
+
+        return _.map(rows, 'voteId');
+    };
+
+    /**
+     * Can the Vote results be shown according to Vote.resultsVisibility
+     *
+     * The Vote has ended when "endsAt" has passed or the Topic is not in "voting" any more.
+     *
+     * @param {object} vote Vote {resultsVisibility, endsAt}
+     * @param {string} topicStatus Topic status
+     * @param {string} [level] Topic permission level of the User, null for the public
+     * @param {boolean} [hasVoted] Has the User voted
+     *
+     * @returns {boolean} True if the results can be shown
+     *
+     * @private
+     */
+    const _isVoteResultsVisible = function (vote, topicStatus, level, hasVoted) {
+        const resultsVisibility = vote.resultsVisibility || Vote.RESULTS_VISIBILITY.always;
+
+        if (resultsVisibility === Vote.RESULTS_VISIBILITY.always || level === TopicMemberUser.LEVELS.admin) {
+            return true;
+        }
+
+        if (resultsVisibility === Vote.RESULTS_VISIBILITY.admins) {
+            return false;
+        }
+
+        const hasEnded = (vote.endsAt && new Date(vote.endsAt) <= new Date()) || [Topic.STATUSES.followUp, Topic.STATUSES.closed].indexOf(topicStatus) > -1;
+
+        return hasEnded || (resultsVisibility === Vote.RESULTS_VISIBILITY.afterVoting && !!hasVoted);
+    };
+
+    /**
+     * Can the User see the results of the Vote
+     *
+     * @param {string} voteId Vote id
+     * @param {string} topicId Topic id
+     * @param {string} [userId] User id, null for the public
+     *
+     * @returns {Promise<boolean>} True if the results can be shown
+     */
+    const canSeeVoteResults = async function (voteId, topicId, userId) {
+        const vote = await Vote.findOne({
+            where: {
+                id: voteId
+            },
+            attributes: ['id', 'resultsVisibility', 'endsAt']
+        });
+
+        if (!vote) {
+            return false;
+        }
+
+        if (vote.resultsVisibility === Vote.RESULTS_VISIBILITY.always) {
+            return true;
+        }
+
+        const topic = await Topic.findOne({
+            where: {
+                id: topicId
+            },
+            attributes: ['id', 'status']
+        });
+
+        if (!topic) {
+            return false;
+        }
+
+        let level = null;
+        let hasVoted = false;
+
+        if (userId) {
+            const authorizationResult = await _hasPermission(topicId, userId, TopicMemberUser.LEVELS.read, true);
+            level = authorizationResult ? authorizationResult.topic.permissions.level : null;
+            hasVoted = (await _getVotedVoteIds([voteId], userId)).length > 0;
+        }
+
+        return _isVoteResultsVisible(vote, topic.status, level, hasVoted);
+    };
+
     const getBdocURL = function (params) {
         const userId = params.userId;
         const topicId = params.topicId;
@@ -652,7 +908,11 @@ module.exports = function (app) {
                     , tv."maxChoices" as "vote.maxChoices"
                     , tv."minChoices" as "vote.minChoices"
                     , tv."type" as "vote.type"
+                    , tv."scoreMax" as "vote.scoreMax"
+                    , tv."weightSource" as "vote.weightSource"
+                    , tv."ballotIsSecret" as "vote.ballotIsSecret"
                     , tv."autoClose" as "vote.autoClose"
+                    , tv."resultsVisibility" as "vote.resultsVisibility"
                 `;
             }
             if (include.indexOf('event') > -1) {
@@ -753,7 +1013,11 @@ module.exports = function (app) {
                             v."maxChoices",
                             v."minChoices",
                             v."type",
-                            v."autoClose"
+                            v."scoreMax",
+                            v."weightSource",
+                            v."ballotIsSecret",
+                            v."autoClose",
+                            v."resultsVisibility"
                         FROM "TopicVotes" tv INNER JOIN
                             (
                                 SELECT
@@ -816,7 +1080,11 @@ module.exports = function (app) {
                     , tv."maxChoices" as "vote.maxChoices"
                     , tv."minChoices" as "vote.minChoices"
                     , tv."type" as "vote.type"
+                    , tv."scoreMax" as "vote.scoreMax"
+                    , tv."weightSource" as "vote.weightSource"
+                    , tv."ballotIsSecret" as "vote.ballotIsSecret"
                     , tv."autoClose" as "vote.autoClose"
+                    , tv."resultsVisibility" as "vote.resultsVisibility"
                     `;
             }
 
@@ -854,7 +1122,10 @@ module.exports = function (app) {
         }
 
         const result = await db.query(
-            `SELECT
+            `WITH RECURSIVE
+                ${groupHierarchy.USER_GROUPS_SQL},
+                ${groupHierarchy.USER_GROUPS_SHARED_SQL}
+            SELECT
                     t.id,
                     t.title,
                     t.description,
@@ -907,14 +1178,12 @@ module.exports = function (app) {
                 LEFT JOIN (
                     SELECT
                         tmg."topicId",
-                        gm."userId",
                         MAX(tmg.level)::text AS level
                     FROM "TopicMemberGroups" tmg
-                        LEFT JOIN "GroupMemberUsers" gm ON (tmg."groupId" = gm."groupId")
                     WHERE tmg."deletedAt" IS NULL
-                    AND gm."deletedAt" IS NULL
-                    GROUP BY "topicId", "userId"
-                ) AS tmgp ON (tmgp."topicId" = t.id AND tmgp."userId" = :userId)
+                    AND tmg."groupId" IN (SELECT "groupId" FROM user_groups_shared)
+                    GROUP BY "topicId"
+                ) AS tmgp ON (tmgp."topicId" = t.id)
                 LEFT JOIN "Users" c ON (c.id = t."creatorId")
                 LEFT JOIN "UserConnections" uc ON (uc."userId" = t."creatorId")
                 LEFT JOIN (
@@ -968,7 +1237,11 @@ module.exports = function (app) {
                         v."maxChoices",
                         v."minChoices",
                         v."type",
-                        v."autoClose"
+                        v."scoreMax",
+                        v."weightSource",
+                        v."ballotIsSecret",
+                        v."autoClose",
+                        v."resultsVisibility"
                     FROM "TopicVotes" tv INNER JOIN
                         (
                             SELECT
@@ -1017,6 +1290,7 @@ module.exports = function (app) {
             const voteResult = await getVoteResults(topic.vote.id, user.id);
             const options = [];
             let hasVoted = false;
+            const isResultsVisible = _isVoteResultsVisible(topic.vote, topic.status, topic.permission.level, (await _getVotedVoteIds([topic.vote.id], user.id)).length > 0);
 
             topic.vote.options.forEach(function (option) {
                 option = option.split(':');
@@ -1028,7 +1302,7 @@ module.exports = function (app) {
                     const res = _.find(voteResult, {'optionId': o.id});
                     if (res) {
                         const count = parseInt(res.voteCount, 10);
-                        if (count) {
+                        if (count && isResultsVisible) {
                             o.voteCount = count;
                         }
                         if (res.selected) {
@@ -1040,7 +1314,7 @@ module.exports = function (app) {
                 options.push(o);
             });
 
-            if (voteResult && voteResult.length) {
+            if (isResultsVisible && voteResult && voteResult.length) {
                 topic.vote.votersCount = voteResult[0].votersCount;
             }
 
@@ -1074,11 +1348,16 @@ module.exports = function (app) {
         let where = '';
         let join = '';
         let select = '';
+        let withSql = '';
         if (!userId) {
             where = ` AND t.visibility = '${Topic.VISIBILITY.public}'`;
         } else {
             select = ', (SELECT true FROM pg_temp.votes(v."voteId") WHERE "userId" = :userId AND "optionId" = v."optionId") as "selected" ';
             where = `AND COALESCE(tmup.level, tmgp.level, 'none')::"enum_TopicMemberUsers_level" > 'none'`;
+            withSql = `WITH RECURSIVE
+                    ${groupHierarchy.USER_GROUPS_SQL},
+                    ${groupHierarchy.USER_GROUPS_SHARED_SQL}
+            `;
             join += `LEFT JOIN (
                         SELECT
                             tmu."topicId",
@@ -1090,14 +1369,12 @@ module.exports = function (app) {
                     LEFT JOIN (
                         SELECT
                             tmg."topicId",
-                            gm."userId",
                             MAX(tmg.level)::text AS level
                         FROM "TopicMemberGroups" tmg
-                            LEFT JOIN "GroupMemberUsers" gm ON (tmg."groupId" = gm."groupId")
                         WHERE tmg."deletedAt" IS NULL
-                        AND gm."deletedAt" IS NULL
-                        GROUP BY "topicId", "userId"
-                    ) AS tmgp ON (tmgp."topicId" = t.id AND tmgp."userId" = :userId)
+                        AND tmg."groupId" IN (SELECT "groupId" FROM user_groups_shared)
+                        GROUP BY "topicId"
+                    ) AS tmgp ON (tmgp."topicId" = t.id)
             `;
         }
         const query = `
@@ -1172,7 +1449,18 @@ module.exports = function (app) {
                                 FROM "VoteLists" vl
                                 JOIN pg_temp.vote_groups($1) vg ON (vl."voteId" = vg."voteId" AND vl."optionGroupId" = vg."optionGroupId")
                                 JOIN "Votes" vo ON vo.id = vl."voteId"
-                                WHERE vo."authType"='${Vote.AUTH_TYPES.soft}' AND vl."voteId" = $1
+                                WHERE vo."authType"='${Vote.AUTH_TYPES.soft}' AND vo."ballotIsSecret" = false AND vl."voteId" = $1
+                                UNION ALL
+                                SELECT
+                                    vl."voteId",
+                                    vl."userId",
+                                    vl."optionId",
+                                    vl."optionGroupId"
+                                FROM "VoteLists" vl
+                                JOIN "Votes" vo ON vo.id = vl."voteId"
+                                WHERE vo."ballotIsSecret" = true AND vl."voteId" = $1
+                                    AND vl."userId" IS NULL
+                                    AND vl."deletedAt" IS NULL
                                 UNION ALL
                                 SELECT
                                     vl."voteId",
@@ -1196,36 +1484,55 @@ module.exports = function (app) {
                                 )
                                 $$
                             LANGUAGE SQL;
+                        CREATE OR REPLACE FUNCTION pg_temp.voter_weights(uuid)
+                            RETURNS TABLE ("userId" uuid, "weight" int)
+                            AS $$
+                                ${voterWeights.getSelectSql('$1')}
+                                $$
+                            LANGUAGE SQL;
                         CREATE OR REPLACE FUNCTION pg_temp.votes_with_delegations(uuid)
-                            RETURNS TABLE ("voteId" uuid, "userId" uuid, "optionId" uuid, "optionGroupId" varchar(8), depth int)
+                            RETURNS TABLE ("voteId" uuid, "userId" uuid, "optionId" uuid, "optionGroupId" varchar(8), depth int, "weight" int, "byUserWeight" int)
                             AS $$
                                 SELECT
                                     v."voteId",
                                     v."userId",
                                     v."optionId",
                                     v."optionGroupId",
-                                    id."depth"
+                                    id."depth",
+                                    COALESCE(uw."weight", 1),
+                                    COALESCE(bw."weight", 1)
                                 FROM pg_temp.votes($1) v
                                 LEFT JOIN pg_temp.indirect_delegations($1) id ON (v."userId" = id."toUserId")
-                                WHERE v."userId" NOT IN (SELECT "byUserId" FROM pg_temp.indirect_delegations($1) WHERE "voteId"=v."voteId");
+                                LEFT JOIN pg_temp.voter_weights($1) uw ON (uw."userId" = v."userId")
+                                LEFT JOIN pg_temp.voter_weights($1) bw ON (bw."userId" = id."byUserId")
+                                WHERE v."userId" IS NULL OR v."userId" NOT IN (SELECT "byUserId" FROM pg_temp.indirect_delegations($1) WHERE "voteId"=v."voteId");
                                 $$
                             LANGUAGE SQL;
                         CREATE OR REPLACE FUNCTION pg_temp.get_vote_results (uuid)
                             RETURNS TABLE ("voteCount" bigint, "optionId" uuid, "optionGroupId" varchar(8), "voteId" uuid)
                             AS $$
                                 SELECT
-                                    COUNT(v."optionId") + 1 as "voteCount",
-                                    v."optionId",
-                                    v."optionGroupId",
-                                    v."voteId"
-                                FROM pg_temp.votes_with_delegations($1) v
-                                WHERE v.depth IS NOT NULL
-                                GROUP BY v."optionId", v."optionGroupId", v."voteId"
+                                    SUM(d."voteCount")::bigint as "voteCount",
+                                    d."optionId",
+                                    d."optionGroupId",
+                                    d."voteId"
+                                FROM (
+                                    SELECT
+                                        SUM(v."byUserWeight") + MAX(v."weight") as "voteCount",
+                                        v."userId",
+                                        v."optionId",
+                                        v."optionGroupId",
+                                        v."voteId"
+                                    FROM pg_temp.votes_with_delegations($1) v
+                                    WHERE v.depth IS NOT NULL
+                                    GROUP BY v."userId", v."optionId", v."optionGroupId", v."voteId"
+                                ) d
+                                GROUP BY d."optionId", d."optionGroupId", d."voteId"
 
                                 UNION ALL
 
                                 SELECT
-                                    COUNT(v."optionId") as "voteCount",
+                                    SUM(v."weight") as "voteCount",
                                     v."optionId",
                                     v."optionGroupId",
                                     v."voteId"
@@ -1236,7 +1543,7 @@ module.exports = function (app) {
                         CREATE OR REPLACE FUNCTION pg_temp.get_voters_count (uuid)
                             RETURNS TABLE ("votersCount" bigint)
                             AS $$
-                                SELECT COUNT(*) as "votersCount" FROM
+                                SELECT COUNT(*) + (SELECT COUNT(*) FROM "VoteParticipants" WHERE "voteId" = $1) as "votersCount" FROM
                                 (
                                     SELECT "userId" FROM (
                                         SELECT DISTINCT ON (vl."userHash")
@@ -1245,12 +1552,14 @@ module.exports = function (app) {
                                         MAX(vl."updatedAt")
                                         FROM "VoteLists" vl
                                         WHERE vl."voteId" = $1
+                                            AND vl."userId" IS NOT NULL
                                         GROUP BY vl."userId", vl."userHash", vl."updatedAt" ORDER BY vl."userHash", vl."updatedAt" DESC
                                     ) vu
                                 ) c
                              $$
                             LANGUAGE SQL;
 
+                        ${withSql}
                         SELECT
                             SUM(v."voteCount") as "voteCount",
                             vc."votersCount",
@@ -1300,110 +1609,379 @@ module.exports = function (app) {
     };
 
     /**
-     * Create a new Topic
+     * Create a Topic with the User as the admin
+     *
+     * @param {object} req Express request
+     * @param {object} data Topic fields - visibility, categories, hashtag, endsAt, sourcePartnerObjectId, voteDefaults
+     * @param {object} [options] {description, sourceTopicId, onCreate} - the Pad is created with the "description" HTML or is a copy of the "sourceTopicId" Pad. "onCreate(topic, t)" is run in the Topic create transaction.
+     *
+     * @returns {Promise<object>} Topic as returned by the API
+     *
+     * @private
      */
-    app.post('/api/users/:userId/topics', loginCheck(['partner']), partnerParser, async function (req, res, next) {
-        try {
-            // I wish Sequelize Model.build supported "fields". This solution requires you to add a field here once new are defined in model.
-            let topic = Topic.build({
-                visibility: req.body.visibility || Topic.VISIBILITY.private,
-                creatorId: req.user.id,
-                categories: req.body.categories,
-                hashtag: req.body.hashtag,
-                endsAt: req.body.endsAt,
-                sourcePartnerObjectId: req.body.sourcePartnerObjectId,
-                authorIds: [req.user.id]
-            });
+    const _topicCreate = async function (req, data, options) {
+        options = options || {};
 
-            topic.padUrl = cosEtherpad.getTopicPadUrl(topic.id);
+        // I wish Sequelize Model.build supported "fields". This solution requires you to add a field here once new are defined in model.
+        let topic = Topic.build({
+            visibility: data.visibility || Topic.VISIBILITY.private,
+            creatorId: req.user.id,
+            categories: data.categories,
+            hashtag: data.hashtag,
+            endsAt: data.endsAt,
+            sourcePartnerObjectId: data.sourcePartnerObjectId,
+            voteDefaults: data.voteDefaults || null,
+            authorIds: [req.user.id]
+        });
 
-            if (req.locals.partner) {
-                topic.sourcePartnerId = req.locals.partner.id;
-            }
+        topic.padUrl = cosEtherpad.getTopicPadUrl(topic.id);
 
-            const topicDescription = req.body.description;
+        if (req.locals.partner) {
+            topic.sourcePartnerId = req.locals.partner.id;
+        }
 
-            const user = await User.findOne({
-                where: {
-                    id: req.user.id
-                },
-                attributes: ['id', 'name', 'language']
-            });
+        const topicDescription = options.description;
+
+        const user = await User.findOne({
+            where: {
+                id: req.user.id
+            },
+            attributes: ['id', 'name', 'language']
+        });
 
-            // Create topic on Etherpad side
+        // Create topic on Etherpad side
+        if (options.sourceTopicId) {
+            await cosEtherpad.copyTopic(options.sourceTopicId, topic.id);
+        } else {
             await cosEtherpad.createTopic(topic.id, user.language, topicDescription);
+        }
 
-            await db.transaction(async function (t) {
-                await topic.save({transaction: t});
-                await topic.addMemberUser(// Magic method by Sequelize - https://github.com/sequelize/sequelize/wiki/API-Reference-Associations#hasmanytarget-options
-                    user.id,
-                    {
-                        through: {
-                            level: TopicMemberUser.LEVELS.admin
-                        },
-                        transaction: t
-                    }
-                );
-                await cosActivities.createActivity(
-                    topic,
-                    null,
-                    {
-                        type: 'User',
-                        id: req.user.id,
-                        ip: req.ip
-                    }
-                    , req.method + ' ' + req.path,
-                    t
-                );
-            });
+        const afterCreate = await db.transaction(async function (t) {
+            await topic.save({transaction: t});
+            if (topic.endsAt) {
+                await cosDeadlines.scheduleTopicEnd(topic, t);
+            }
+            await topic.addMemberUser(// Magic method by Sequelize - https://github.com/sequelize/sequelize/wiki/API-Reference-Associations#hasmanytarget-options
+                user.id,
+                {
+                    through: {
+                        level: TopicMemberUser.LEVELS.admin
+                    },
+                    transaction: t
+                }
+            );
+            await cosActivities.createActivity(
+                topic,
+                null,
+                {
+                    type: 'User',
+                    id: req.user.id,
+                    ip: req.ip
+                }
+                , req.method + ' ' + req.path,
+                t
+            );
 
-            // Topic was created with description, force EP to sync with app database for updated title and description
-            if (topicDescription) {
-                topic = await cosEtherpad.syncTopicWithPad( // eslint-disable-line require-atomic-updates
-                    topic.id,
-                    req.method + ' ' + req.path,
-                    {
-                        type: 'User',
-                        id: req.user.id,
-                        ip: req.ip
-                    }
-                );
+            if (options.onCreate) {
+                return options.onCreate(topic, t);
             }
-            const authorIds = topic.authorIds;
-            const authors = await User.findAll({
-                where: {
-                    id: authorIds
-                },
-                attributes: ['id', 'name'],
-                raw: true
-            });
+        });
 
-            const resObject = topic.toJSON();
-            resObject.authors = authors;
-            resObject.padUrl = cosEtherpad.getUserAccessUrl(topic, user.id, user.name, user.language, req.locals.partner);
-            resObject.url = urlLib.getFe('/topics/:topicId', {topicId: topic.id});
+        if (afterCreate) {
+            await afterCreate();
+        }
 
-            if (req.locals.partner) {
-                resObject.sourcePartnerId = req.locals.partner.id;
-            } else {
-                resObject.sourcePartnerId = null;
-            }
+        // Topic was created with description, force EP to sync with app database for updated title and description
+        if (topicDescription || options.sourceTopicId) {
+            topic = await cosEtherpad.syncTopicWithPad( // eslint-disable-line require-atomic-updates
+                topic.id,
+                req.method + ' ' + req.path,
+                {
+                    type: 'User',
+                    id: req.user.id,
+                    ip: req.ip
+                }
+            );
+        }
+        const authorIds = topic.authorIds;
+        const authors = await User.findAll({
+            where: {
+                id: authorIds
+            },
+            attributes: ['id', 'name'],
+            raw: true
+        });
 
-            resObject.pinned = false;
-            resObject.permission = {
-                level: TopicMemberUser.LEVELS.admin
-            };
+        const resObject = topic.toJSON();
+        resObject.authors = authors;
+        resObject.padUrl = cosEtherpad.getUserAccessUrl(topic, user.id, user.name, user.language, req.locals.partner);
+        resObject.url = urlLib.getFe('/topics/:topicId', {topicId: topic.id});
 
-            return res.created(resObject);
-        } catch (err) {
-            return next(err);
+        if (req.locals.partner) {
+            resObject.sourcePartnerId = req.locals.partner.id;
+        } else {
+            resObject.sourcePartnerId = null;
         }
-    });
+
+        if (topic.voteDefaults) {
+            resObject.voteDefaults = topic.voteDefaults;
+        }
+
+        resObject.pinned = false;
+        resObject.permission = {
+            level: TopicMemberUser.LEVELS.admin
+        };
+
+        return resObject;
+    };
 
     /**
-     * Read a Topic
+     * Add the member Groups of a Topic template to a new Topic
+     *
+     * Only the Groups the User is a member of are added, same as when adding member Groups to a Topic.
+     *
+     * @param {object} req Express request
+     * @param {object} topic Topic
+     * @param {object} template TopicTemplate
+     * @param {object} t Sequelize transaction
+     *
+     * @returns {Promise<Function>} Function to send the e-mails to the Group members after the transaction is committed
+     *
+     * @private
      */
-    app.get('/api/users/:userId/topics/:topicId', loginCheck(['partner']), partnerParser, hasPermission(TopicMemberUser.LEVELS.read, true), isModerator(), async function (req, res, next) {
+    const _topicTemplateAddMemberGroups = async function (req, topic, template, t) {
+        const memberGroups = template.memberGroups || [];
+        const userGroups = await GroupMemberUser.findAll({
+            where: {
+                groupId: _.map(memberGroups, 'groupId'),
+                userId: req.user.id
+            },
+            attributes: ['groupId'],
+            transaction: t
+        });
+        const groups = await Group.findAll({
+            where: {
+                id: _.map(userGroups, 'groupId')
+            },
+            transaction: t
+        });
+
+        for (const group of groups) {
+            const member = _.find(memberGroups, {groupId: group.id});
+
+            await TopicMemberGroup.create(
+                {
+                    topicId: topic.id,
+                    groupId: group.id,
+                    level: member.level
+                },
+                {
+                    transaction: t
+                }
+            );
+
+            await cosActivities.addActivity(
+                topic,
+                {
+                    type: 'User',
+                    id: req.user.id,
+                    ip: req.ip
+                },
+                null,
+                group,
+                req.method + ' ' + req.path,
+                t
+            );
+        }
+
+        return async function () {
+            if (!groups.length) {
+                return;
+            }
+
+            try {
+                const emailResult = await emailLib.sendTopicMemberGroupCreate(_.map(groups, 'id'), req.user.id, topic.id);
+                if (emailResult && emailResult.errors) {
+                    logger.error('ERRORS', emailResult.errors);
+                }
+            } catch (err) {
+                logger.error('Failed to send Topic template member Group e-mails', topic.id, err);
+            }
+        };
+    };
+
+    /**
+     * Create a new Topic
+     *
+     * With "templateId" the description, categories, Vote settings and member Groups of the Topic template are used. Description and categories in the request override the template.
+     */
+    app.post('/api/users/:userId/topics', loginCheck(['partner'], 'topics:write'), partnerParser, async function (req, res, next) {
+        try {
+            const templateId = req.body.templateId;
+            const data = _.pick(req.body, ['visibility', 'categories', 'hashtag', 'endsAt', 'sourcePartnerObjectId']);
+            const options = {
+                description: req.body.description
+            };
+
+            if (templateId) {
+                if (typeof templateId !== 'string' || !validator.isUUID(templateId, 4)) {
+                    return res.badRequest('Invalid value for "templateId"', 1);
+                }
+
+                const template = await TopicTemplate.findOne({
+                    where: {
+                        id: templateId
+                    }
+                });
+
+                if (!template) {
+                    return res.badRequest('Invalid value for "templateId"', 1);
+                }
+
+                try {
+                    await checkPermissionsForGroups(template.groupId, req.user.id);
+                } catch (err) {
+                    if (err) {
+                        throw err;
+                    }
+
+                    return res.forbidden('Insufficient permissions');
+                }
+
+                if (!options.description) {
+                    options.description = template.description;
+                }
+                if (!data.categories) {
+                    data.categories = template.categories;
+                }
+                data.voteDefaults = template.vote;
+                options.onCreate = function (topic, t) {
+                    return _topicTemplateAddMemberGroups(req, topic, template, t);
+                };
+            }
+
+            const topic = await _topicCreate(req, data, options);
+
+            return res.created(topic);
+        } catch (err) {
+            return next(err);
+        }
+    });
+
+    /**
+     * Clone a Topic
+     *
+     * The new Topic has the Pad content, categories, Attachments and Vote settings of the cloned Topic, but not its Votes, Comments, Events or members.
+     */
+    app.post('/api/users/:userId/topics/:topicId/clone', loginCheck(['partner'], 'topics:write'), partnerParser, hasPermission(TopicMemberUser.LEVELS.read, true), async function (req, res, next) {
+        const topicId = req.params.topicId;
+
+        try {
+            const sourceTopic = await Topic.findOne({
+                where: {
+                    id: topicId
+                },
+                include: [
+                    {
+                        model: Attachment,
+                        where: {
+                            status: Attachment.STATUSES.available
+                        },
+                        required: false
+                    }
+                ]
+            });
+
+            // Settings of the latest Vote, so that the same Vote can be created for the clone
+            const sourceVote = await Vote.findOne({
+                include: [
+                    {
+                        model: Topic,
+                        where: {
+                            id: topicId
+                        }
+                    },
+                    VoteOption
+                ],
+                order: [['createdAt', 'DESC']]
+            });
+
+            let voteDefaults = sourceTopic.voteDefaults;
+            if (sourceVote) {
+                voteDefaults = _.pick(sourceVote.dataValues, TopicTemplate.VOTE_FIELDS);
+                voteDefaults.options = _.map(_.sortBy(sourceVote.VoteOptions, 'createdAt'), function (option) {
+                    return {
+                        value: option.value
+                    };
+                });
+            }
+
+            const topicData = {
+                visibility: req.body.visibility,
+                categories: sourceTopic.categories,
+                voteDefaults: voteDefaults
+            };
+
+            const topic = await _topicCreate(req, topicData, {
+                sourceTopicId: topicId,
+                onCreate: async function (topic, t) {
+                    const copiedKeys = [];
+
+                    try {
+                        for (const sourceAttachment of sourceTopic.Attachments) {
+                            let storageKey = null;
+
+                            if (sourceAttachment.storageKey) {
+                                storageKey = 'attachments/' + topic.id + '/' + uuid.v4();
+                                await cosStorage.copy(sourceAttachment.storageKey, storageKey);
+                                copiedKeys.push(storageKey);
+                            }
+
+                            const attachment = await Attachment.create(
+                                {
+                                    name: sourceAttachment.name,
+                                    type: sourceAttachment.type,
+                                    size: sourceAttachment.size,
+                                    source: sourceAttachment.source,
+                                    link: sourceAttachment.link,
+                                    storageKey: storageKey,
+                                    creatorId: req.user.id
+                                },
+                                {
+                                    transaction: t
+                                }
+                            );
+
+                            await TopicAttachment.create(
+                                {
+                                    topicId: topic.id,
+                                    attachmentId: attachment.id
+                                },
+                                {
+                                    transaction: t
+                                }
+                            );
+                        }
+                    } catch (err) {
+                        for (const key of copiedKeys) {
+                            await cosStorage.delete(key);
+                        }
+
+                        throw err;
+                    }
+                }
+            });
+
+            return res.created(topic);
+        } catch (err) {
+            return next(err);
+        }
+    });
+
+    /**
+     * Read a Topic
+     */
+    app.get('/api/users/:userId/topics/:topicId', loginCheck(['partner'], 'topics:read'), partnerParser, hasPermission(TopicMemberUser.LEVELS.read, true), isModerator(), async function (req, res, next) {
         try {
             const include = req.query.include;
             const topicId = req.params.topicId;
@@ -1434,7 +2012,7 @@ module.exports = function (app) {
                 const topic = result[0];
                 topic.url = urlLib.getFe('/topics/:topicId', {topicId: topic.id});
                 if (include && include.indexOf('vote') > -1 && topic.vote && topic.vote.id) {
-                    const voteResults = await getVoteResults(topic.vote.id);
+                    const voteResults = _isVoteResultsVisible(topic.vote, topic.status) ? await getVoteResults(topic.vote.id) : [];
                     const options = [];
 
                     topic.vote.options.forEach(function (option) {
@@ -1483,7 +2061,7 @@ module.exports = function (app) {
         }
     });
 
-    app.get('/api/users/:userId/topics/:topicId/inlinecomments', loginCheck(['partner']), async (req, res, next) => {
+    app.get('/api/users/:userId/topics/:topicId/inlinecomments', loginCheck(['partner'], 'topics:read'), async (req, res, next) => {
         const topicId = req.params.topicId;
         const user = req.user;
 
@@ -1505,14 +2083,70 @@ module.exports = function (app) {
         }
     });
 
+    /**
+     * Get the Institution the Topic is delivered to
+     *
+     * Topics of the Partners with Institutions (PartnerInstitution) are delivered to one of those, all other Topics to the default Institution (config "features.sendToParliament").
+     *
+     * @param {object} topic Topic
+     * @param {string} [institutionId] Institution id, required if the Partner has more than one Institution
+     *
+     * @returns {Promise<object|null>} PartnerInstitution or the default Institution, null if there is no such Institution
+     *
+     * @private
+     */
+    const _getTopicInstitution = async function (topic, institutionId) {
+        let institutions = [];
+        if (topic.sourcePartnerId) {
+            institutions = await PartnerInstitution.findAll({
+                where: {
+                    partnerId: topic.sourcePartnerId
+                },
+                order: [['createdAt', 'ASC']]
+            });
+        }
+
+        if (!institutions.length) {
+            return institutionId ? null : emailLib.getDefaultInstitution();
+        }
+
+        if (institutionId) {
+            return institutions.find(function (institution) {
+                return institution.id === institutionId;
+            }) || null;
+        }
+
+        return institutions.length === 1 ? institutions[0] : null;
+    };
+
+    /**
+     * Get the vote count of the most voted option - the number of signatures of a Vote.AUTH_TYPES.hard Vote
+     *
+     * @param {string} voteId Vote id
+     *
+     * @returns {Promise<number>} Vote count
+     *
+     * @private
+     */
+    const _getVoteCountMax = async function (voteId) {
+        const voteResults = await getVoteResults(voteId);
+        const optionMax = _.maxBy(voteResults, function (result) {
+            return parseInt(result.voteCount, 10);
+        });
+
+        return optionMax ? parseInt(optionMax.voteCount, 10) : 0;
+    };
+
     const _topicUpdate = async function (req, res, next) {
         try {
             const topicId = req.params.topicId;
-            const contact = req.body.contact; // TODO: This logic is specific to Rahvaalgatus.ee, with next Partner we have to make it more generic - https://trello.com/c/Sj3XRF5V/353-raa-ee-followup-email-to-riigikogu-and-token-access-to-events-api
+            const contact = req.body.contact;
+            const institutionId = req.body.institutionId;
             const statusNew = req.body.status;
 
             let isBackToVoting = false;
-            let isSendToParliament = false;
+            let institution = null;
+            let delivery = null;
 
             const topic = await Topic
                 .findOne({
@@ -1533,33 +2167,52 @@ module.exports = function (app) {
                         return res.badRequest('Invalid status flow. Cannot change Topic status from ' + topic.status + ' to ' + statusNew + ' when the Topic has no Vote created');
                     }
 
-                    // TODO: This logic is specific to Rahvaalgatus.ee, with next Partner we have to make it more generic - https://trello.com/c/Sj3XRF5V/353-raa-ee-followup-email-to-riigikogu-and-token-access-to-events-api
-                    // Do not allow going back to voting once the Topic has been sent to Parliament
+                    // Do not allow going back to voting once the Topic has been delivered to an Institution
                     if (vote.authType === Vote.AUTH_TYPES.hard) {
-                        const voteResults = await getVoteResults(vote.id);
-                        const optionMax = _.maxBy(voteResults, 'voteCount');
-                        if (optionMax && parseInt(optionMax.voteCount) >= parseInt(config.features.sendToParliament.voteCountMin)) {
-                            return res.badRequest('Invalid status flow. Cannot change Topic status from ' + topic.status + ' to ' + statusNew + ' when the Topic has been sent to Parliament');
-                        } else {
-                            isBackToVoting = true;
+                        const deliveries = await TopicDelivery.findAll({
+                            where: {
+                                voteId: vote.id
+                            }
+                        });
+
+                        const deliveryDone = deliveries.find(function (d) {
+                            return d.status !== TopicDelivery.STATUSES.failed;
+                        });
+
+                        if (deliveryDone) {
+                            return res.badRequest('Invalid status flow. Cannot change Topic status from ' + topic.status + ' to ' + statusNew + ' when the Topic has been sent to ' + deliveryDone.institutionName);
+                        }
+
+                        // Topics sent before the deliveries were tracked
+                        const institutionDefault = emailLib.getDefaultInstitution();
+                        if (!deliveries.length && await _getVoteCountMax(vote.id) >= institutionDefault.voteCountMin) {
+                            return res.badRequest('Invalid status flow. Cannot change Topic status from ' + topic.status + ' to ' + statusNew + ' when the Topic has been sent to ' + institutionDefault.name);
                         }
                     }
 
                     isBackToVoting = true;
                 } else if (statusNew === Topic.STATUSES.followUp && vote) { // User closes the Vote
-                    // TODO: This logic is specific to Rahvaalgatus.ee, with next Partner we have to make it more generic - https://trello.com/c/Sj3XRF5V/353-raa-ee-followup-email-to-riigikogu-and-token-access-to-events-api
-                    if (vote.authType === Vote.AUTH_TYPES.hard && contact) {
+                    // Signed initiatives are delivered to an Institution
+                    if (vote.authType === Vote.AUTH_TYPES.hard && (contact || institutionId)) {
+                        institution = await _getTopicInstitution(topic, institutionId);
+                        if (!institution) {
+                            return res.badRequest('Invalid value for "institutionId"', 11);
+                        }
+
                         // TODO: Return proper field errors as for Sequelize errors
-                        if (!contact.name || !contact.email || !contact.phone || !validator.isEmail(contact.email)) {
-                            return res.badRequest('Invalid contact info. Missing or invalid name, email or phone');
+                        const contactFields = institution.contactFields || [];
+                        const isContactInvalid = contactFields.some(function (field) {
+                            return !contact || !contact[field] || (field === PartnerInstitution.CONTACT_FIELDS.email && !validator.isEmail(contact[field]));
+                        });
+
+                        if (isContactInvalid) {
+                            const contactFieldsText = contactFields.length > 1 ? contactFields.slice(0, -1).join(', ') + ' or ' + contactFields[contactFields.length - 1] : contactFields[0];
+
+                            return res.badRequest('Invalid contact info. Missing or invalid ' + contactFieldsText);
                         }
 
-                        const voteResults = await getVoteResults(vote.id);
-                        const optionMax = _.maxBy(voteResults, 'voteCount');
-                        if (optionMax && optionMax.voteCount >= config.features.sendToParliament.voteCountMin) {
-                            isSendToParliament = true;
-                        } else {
-                            return res.badRequest('Not enough votes to send to Parliament. Votes required - ' + config.features.sendToParliament.voteCountMin, 10);
+                        if (await _getVoteCountMax(vote.id) < institution.voteCountMin) {
+                            return res.badRequest('Not enough votes to send to ' + institution.name + '. Votes required - ' + institution.voteCountMin, 10);
                         }
                     }
                 } else if (statuses.indexOf(topic.status) > statuses.indexOf(statusNew) || [Topic.STATUSES.voting].indexOf(statusNew) > -1) { // You are not allowed to go "back" in the status flow nor you are allowed to set "voting" directly, it can only be done creating a Vote.
@@ -1593,6 +2246,26 @@ module.exports = function (app) {
                         );
                     await topic.save({transaction: t});
 
+                    if (req.body.endsAt !== undefined) {
+                        await cosDeadlines.scheduleTopicEnd(topic, t);
+                    }
+
+                    if (institution) {
+                        delivery = await TopicDelivery.create(
+                            {
+                                topicId: topicId,
+                                voteId: vote.id,
+                                institutionId: institution.id,
+                                institutionName: institution.name,
+                                creatorId: req.user.id,
+                                contact: contact ? _.pick(contact, _.values(PartnerInstitution.CONTACT_FIELDS)) : null
+                            },
+                            {
+                                transaction: t
+                            }
+                        );
+                    }
+
                     if (isBackToVoting) {
                         await cosSignature.deleteFinalBdoc(topicId, vote.id);
 
@@ -1628,19 +2301,22 @@ module.exports = function (app) {
                         }
                     );
             }
-            // TODO: This logic is specific to Rahvaalgatus.ee, with next Partner we have to make it more generic - https://trello.com/c/Sj3XRF5V/353-raa-ee-followup-email-to-riigikogu-and-token-access-to-events-api
-            if (isSendToParliament) {
-                logger.info('Sending to Parliament', req.method, req.path);
+            if (delivery) {
+                logger.info('Sending to Institution', institution.name, req.method, req.path);
 
                 // TODO: This should be and stay in sync with the expiry set by getBdocURL
                 const downloadTokenExpiryDays = 30;
                 const linkDownloadBdocFinalExpiryDate = new Date(new Date().getTime() + downloadTokenExpiryDays * 24 * 60 * 60 * 1000);
 
-                const pathAddEvent = '/api/topics/:topicId/events' // COS API url for adding events with token
-                    .replace(':topicId', topicId);
+                // Responses of the Institution posted with the token are the Events of the delivery
+                let linkAddEvent = null;
+                if (institution.linkAddEvent) {
+                    const pathAddEvent = '/api/topics/:topicId/events' // COS API url for adding events with token
+                        .replace(':topicId', topicId);
 
-                let linkAddEvent = config.features.sendToParliament.urlPrefix + '/initiatives/:topicId/events/new'.replace(':topicId', topicId);
-                linkAddEvent += '?' + querystring.stringify({token: cosJwt.getTokenRestrictedUse({}, 'POST ' + pathAddEvent)});
+                    linkAddEvent = institution.linkAddEvent.replace(':topicId', topicId);
+                    linkAddEvent += (linkAddEvent.indexOf('?') > -1 ? '&' : '?') + querystring.stringify({token: cosJwt.getTokenRestrictedUse({deliveryId: delivery.id}, 'POST ' + pathAddEvent)});
+                }
 
                 const downloadUriBdocFinal = getBdocURL({
                     topicId: topicId,
@@ -1648,7 +2324,21 @@ module.exports = function (app) {
                     type: 'goverment'
                 });
 
-                return emailLib.sendToParliament(topic, contact, downloadUriBdocFinal, linkDownloadBdocFinalExpiryDate, linkAddEvent);
+                const result = await emailLib.sendToInstitution(topic, institution, contact, downloadUriBdocFinal, linkDownloadBdocFinalExpiryDate, linkAddEvent);
+
+                if (result.isDelivered) {
+                    await delivery.update({
+                        status: TopicDelivery.STATUSES.sent,
+                        sentAt: new Date()
+                    });
+                } else {
+                    await delivery.update({
+                        status: TopicDelivery.STATUSES.failed,
+                        error: result.errors.map(function (error) {
+                            return error.value && error.value.message ? error.value.message : String(error.value);
+                        }).join('\n')
+                    });
+                }
             }
         } catch (err) {
             return next(err);
@@ -1658,7 +2348,7 @@ module.exports = function (app) {
     /**
      * Update Topic info
      */
-    app.put('/api/users/:userId/topics/:topicId', loginCheck(['partner']), hasPermission(TopicMemberUser.LEVELS.edit, null, [Topic.STATUSES.inProgress, Topic.STATUSES.voting, Topic.STATUSES.followUp]), async function (req, res, next) {
+    app.put('/api/users/:userId/topics/:topicId', loginCheck(['partner'], 'topics:write'), hasPermission(TopicMemberUser.LEVELS.edit, null, [Topic.STATUSES.inProgress, Topic.STATUSES.voting, Topic.STATUSES.followUp]), async function (req, res, next) {
         try {
             await _topicUpdate(req, res, next);
 
@@ -1668,7 +2358,7 @@ module.exports = function (app) {
         }
     });
 
-    app.patch('/api/users/:userId/topics/:topicId', loginCheck(['partner']), hasPermission(TopicMemberUser.LEVELS.edit, null, [Topic.STATUSES.inProgress, Topic.STATUSES.voting, Topic.STATUSES.followUp]), async function (req, res, next) {
+    app.patch('/api/users/:userId/topics/:topicId', loginCheck(['partner'], 'topics:write'), hasPermission(TopicMemberUser.LEVELS.edit, null, [Topic.STATUSES.inProgress, Topic.STATUSES.voting, Topic.STATUSES.followUp]), async function (req, res, next) {
         try {
             await _topicUpdate(req, res, next);
 
@@ -1685,7 +2375,7 @@ module.exports = function (app) {
      *
      * @see https://trello.com/c/ezqHssSL/124-refactoring-put-tokenjoin-to-be-part-of-put-topics-topicid
      */
-    app.put('/api/users/:userId/topics/:topicId/tokenJoin', loginCheck(['partner']), hasPermission(TopicMemberUser.LEVELS.admin, null, [Topic.STATUSES.inProgress, Topic.STATUSES.voting, Topic.STATUSES.followUp]), async function (req, res, next) {
+    app.put('/api/users/:userId/topics/:topicId/tokenJoin', loginCheck(['partner'], 'topics:write'), hasPermission(TopicMemberUser.LEVELS.admin, null, [Topic.STATUSES.inProgress, Topic.STATUSES.voting, Topic.STATUSES.followUp]), async function (req, res, next) {
         try {
             const topic = await Topic.findOne({
                 where: {
@@ -1722,7 +2412,7 @@ module.exports = function (app) {
     /**
      * Delete Topic
      */
-    app.delete('/api/users/:userId/topics/:topicId', loginCheck(['partner']), hasPermission(TopicMemberUser.LEVELS.admin), async function (req, res, next) {
+    app.delete('/api/users/:userId/topics/:topicId', loginCheck(['partner'], 'topics:write'), hasPermission(TopicMemberUser.LEVELS.admin), async function (req, res, next) {
         try {
             const topic = await Topic.findByPk(req.params.topicId);
             if (!topic) {
@@ -1772,7 +2462,7 @@ module.exports = function (app) {
     /**
      * Get all Topics User belongs to
      */
-    app.get('/api/users/:userId/topics', loginCheck(['partner']), async function (req, res, next) {
+    app.get('/api/users/:userId/topics', loginCheck(['partner'], 'topics:read'), async function (req, res, next) {
         const userId = req.user.id;
         const partnerId = req.user.partnerId;
 
@@ -1817,7 +2507,11 @@ module.exports = function (app) {
             , tv."maxChoices" as "vote.maxChoices"
             , tv."minChoices" as "vote.minChoices"
             , tv."type" as "vote.type"
+            , tv."scoreMax" as "vote.scoreMax"
+            , tv."weightSource" as "vote.weightSource"
+            , tv."ballotIsSecret" as "vote.ballotIsSecret"
             , tv."autoClose" as "vote.autoClose"
+            , tv."resultsVisibility" as "vote.resultsVisibility"
             `;
             voteResults = await getAllVotesResults(userId);
         }
@@ -1883,6 +2577,9 @@ module.exports = function (app) {
         // TODO: NOT THE MOST EFFICIENT QUERY IN THE WORLD, tune it when time.
         // TODO: That casting to "enum_TopicMemberUsers_level". Sequelize does not support naming enums, through inheritance I have 2 enums that are the same but with different name thus different type in PG. Feature request - https://github.com/sequelize/sequelize/issues/2577
         const query = `
+                WITH RECURSIVE
+                    ${groupHierarchy.USER_GROUPS_SQL},
+                    ${groupHierarchy.USER_GROUPS_SHARED_SQL}
                 SELECT
                      t.id,
                      t.title,
@@ -1932,14 +2629,12 @@ module.exports = function (app) {
                     LEFT JOIN (
                         SELECT
                             tmg."topicId",
-                            gm."userId",
                             MAX(tmg.level)::text AS level
                         FROM "TopicMemberGroups" tmg
-                            LEFT JOIN "GroupMemberUsers" gm ON (tmg."groupId" = gm."groupId")
                         WHERE tmg."deletedAt" IS NULL
-                        AND gm."deletedAt" IS NULL
-                        GROUP BY "topicId", "userId"
-                    ) AS tmgp ON (tmgp."topicId" = t.id AND tmgp."userId" = :userId)
+                        AND tmg."groupId" IN (SELECT "groupId" FROM user_groups_shared)
+                        GROUP BY "topicId"
+                    ) AS tmgp ON (tmgp."topicId" = t.id)
                     LEFT JOIN "Users" c ON (c.id = t."creatorId")
                     LEFT JOIN (
                         SELECT tmu."topicId", COUNT(tmu."memberId") AS "count" FROM (
@@ -1982,7 +2677,11 @@ module.exports = function (app) {
                             v."maxChoices",
                             v."minChoices",
                             v."type",
-                            v."autoClose"
+                            v."scoreMax",
+                            v."weightSource",
+                            v."ballotIsSecret",
+                            v."autoClose",
+                            v."resultsVisibility"
                         FROM "TopicVotes" tv INNER JOIN
                             (
                                 SELECT
@@ -2048,12 +2747,18 @@ module.exports = function (app) {
             };
 
             if (rowCount > 0) {
+                let votedVoteIds = [];
+                if (include.indexOf('vote') > -1) {
+                    votedVoteIds = await _getVotedVoteIds(_.compact(_.map(rows, 'vote.id')), userId);
+                }
+
                 rows.forEach( (topic) => {
                     topic.url = urlLib.getFe('/topics/:topicId', {topicId: topic.id});
 
                     if (include.indexOf('vote') > -1) {
                         if (topic.vote.id) {
                             const options = [];
+                            const isResultsVisible = _isVoteResultsVisible(topic.vote, topic.status, topic.permission.level, votedVoteIds.indexOf(topic.vote.id) > -1);
                             if (topic.vote.options) {
                                 topic.vote.options.forEach(function (voteOption) {
                                     const o = {};
@@ -2064,12 +2769,16 @@ module.exports = function (app) {
                                     if (voteResults && voteResults.length) {
                                         result = _.find(voteResults, {'optionId': optText[0]});
                                         if (result) {
-                                            o.voteCount = parseInt(result.voteCount, 10);
+                                            if (isResultsVisible) {
+                                                o.voteCount = parseInt(result.voteCount, 10);
+                                            }
                                             if (result.selected) {
                                                 o.selected = result.selected;
                                             }
                                         }
-                                        topic.vote.votersCount = voteResults[0].votersCount;
+                                        if (isResultsVisible) {
+                                            topic.vote.votersCount = voteResults[0].votersCount;
+                                        }
                                     }
 
                                     options.push(o);
@@ -2143,6 +2852,10 @@ module.exports = function (app) {
                     , tv."maxChoices" as "vote.maxChoices"
                     , tv."minChoices" as "vote.minChoices"
                     , tv."type" as "vote.type"
+                    , tv."scoreMax" as "vote.scoreMax"
+                    , tv."weightSource" as "vote.weightSource"
+                    , tv."ballotIsSecret" as "vote.ballotIsSecret"
+                    , tv."resultsVisibility" as "vote.resultsVisibility"
                     `;
                     voteResults = await getAllVotesResults();
                 }
@@ -2195,7 +2908,7 @@ module.exports = function (app) {
 
             const title = req.query.title;
             if (title) {
-                where += ` AND t.title LIKE '%:title%' `;
+                where += ` AND t."searchVector" @@ (${textSearch.getTsQuerySql(req.query.language)}) `;
             }
 
             const query = `
@@ -2293,7 +3006,11 @@ module.exports = function (app) {
                                 v."maxChoices",
                                 v."minChoices",
                                 v."type",
-                                v."autoClose"
+                                v."scoreMax",
+                                v."weightSource",
+                                v."ballotIsSecret",
+                                v."autoClose",
+                                v."resultsVisibility"
                             FROM "TopicVotes" tv INNER JOIN
                                 (
                                     SELECT
@@ -2323,6 +3040,7 @@ module.exports = function (app) {
                             partnerId: sourcePartnerId,
                             categories: categories,
                             statuses: statuses,
+                            tsQuery: textSearch.toTsQuery(title, 'A'),
                             limit: limit,
                             offset: offset
                         },
@@ -2346,13 +3064,14 @@ module.exports = function (app) {
 
                     if (include && include.indexOf('vote') > -1 && topic.vote.id) {
                         const options = [];
+                        const isResultsVisible = _isVoteResultsVisible(topic.vote, topic.status);
                         if (topic.vote.options) {
                             topic.vote.options.forEach(function (voteOption) {
                                 const o = {};
                                 const optText = voteOption.split(':');
                                 o.id = optText[0];
                                 o.value = optText[1];
-                                if (voteResults && voteResults.length) {
+                                if (isResultsVisible && voteResults && voteResults.length) {
                                     const result = _.find(voteResults, {'optionId': optText[0]});
                                     if (result) {
                                         o.voteCount = parseInt(result.voteCount, 10);
@@ -2505,7 +3224,7 @@ module.exports = function (app) {
     /**
      * Get all members of the Topic
      */
-    app.get('/api/users/:userId/topics/:topicId/members', loginCheck(['partner']), hasPermission(TopicMemberUser.LEVELS.read), async function (req, res, next) {
+    app.get('/api/users/:userId/topics/:topicId/members', loginCheck(['partner'], 'topics:read'), hasPermission(TopicMemberUser.LEVELS.read), async function (req, res, next) {
         try{
             const response = await _getAllTopicMembers(req.params.topicId, req.user.id);
 
@@ -2518,7 +3237,7 @@ module.exports = function (app) {
     /**
      * Get all member Users of the Topic
      */
-    app.get('/api/users/:userId/topics/:topicId/members/users', loginCheck(['partner']), isModerator(), hasPermission(TopicMemberUser.LEVELS.read), async function (req, res, next) {
+    app.get('/api/users/:userId/topics/:topicId/members/users', loginCheck(['partner'], 'topics:read'), isModerator(), hasPermission(TopicMemberUser.LEVELS.read), async function (req, res, next) {
         const limitDefault = 10;
         const offset = parseInt(req.query.offset, 10) ? parseInt(req.query.offset, 10) : 0;
         let limit = parseInt(req.query.limit, 10) ? parseInt(req.query.limit, 10) : limitDefault;
@@ -2545,6 +3264,7 @@ module.exports = function (app) {
                     tm.id,
                     tm.level,
                     tmu.level AS "levelUser",
+                    tmu.weight,
                     tm.name,
                     tm.company,
                     tm."imageUrl",
@@ -2600,7 +3320,7 @@ module.exports = function (app) {
                 LEFT JOIN "GroupMemberUsers" gmu ON (gmu."groupId" = tmg."groupId" AND gmu."userId" = :userId)
                 LEFT JOIN "UserConnections" uc ON (uc."userId" = tm.id AND uc."connectionId" = 'esteid')
                 ${where}
-                GROUP BY tm.id, tm.level, tmu.level, tm.name, tm.company, tm."imageUrl", tm.email, uc."connectionData"::jsonb
+                GROUP BY tm.id, tm.level, tmu.level, tmu.weight, tm.name, tm.company, tm."imageUrl", tm.email, uc."connectionData"::jsonb
                 ORDER BY tm.name ASC
                 LIMIT :limit
                 OFFSET :offset
@@ -2648,7 +3368,7 @@ module.exports = function (app) {
     /**
      * Get all member Groups of the Topic
      */
-    app.get('/api/users/:userId/topics/:topicId/members/groups', loginCheck(['partner']), hasPermission(TopicMemberUser.LEVELS.read), async function (req, res, next) {
+    app.get('/api/users/:userId/topics/:topicId/members/groups', loginCheck(['partner'], 'topics:read'), hasPermission(TopicMemberUser.LEVELS.read), async function (req, res, next) {
         const limitDefault = 10;
         const offset = parseInt(req.query.offset, 10) ? parseInt(req.query.offset, 10) : 0;
         let limit = parseInt(req.query.limit, 10) ? parseInt(req.query.limit, 10) : limitDefault;
@@ -2791,7 +3511,7 @@ module.exports = function (app) {
     /**
      * Create new member Groups to a Topic
      */
-    app.post('/api/users/:userId/topics/:topicId/members/groups', loginCheck(['partner']), hasPermission(TopicMemberUser.LEVELS.admin, null, [Topic.STATUSES.inProgress, Topic.STATUSES.voting, Topic.STATUSES.followUp]), async function (req, res, next) {
+    app.post('/api/users/:userId/topics/:topicId/members/groups', loginCheck(['partner'], 'topics:write'), hasPermission(TopicMemberUser.LEVELS.admin, null, [Topic.STATUSES.inProgress, Topic.STATUSES.voting, Topic.STATUSES.followUp]), async function (req, res, next) {
         let members = req.body;
         const topicId = req.params.topicId;
 
@@ -2893,7 +3613,7 @@ module.exports = function (app) {
     /**
      * Update User membership information
      */
-    app.put('/api/users/:userId/topics/:topicId/members/users/:memberId', loginCheck(['partner']), hasPermission(TopicMemberUser.LEVELS.admin, null, [Topic.STATUSES.inProgress, Topic.STATUSES.voting, Topic.STATUSES.followUp]), async function (req, res, next) {
+    app.put('/api/users/:userId/topics/:topicId/members/users/:memberId', loginCheck(['partner'], 'topics:write'), hasPermission(TopicMemberUser.LEVELS.admin, null, [Topic.STATUSES.inProgress, Topic.STATUSES.voting, Topic.STATUSES.followUp]), async function (req, res, next) {
         const newLevel = req.body.level;
         const memberId = req.params.memberId;
         const topicId = req.params.topicId;
@@ -2915,14 +3635,20 @@ module.exports = function (app) {
                 }
             });
 
-            if (topicAdminMembers && topicAdminMembers.length === 1 && _.find(topicAdminMembers, {userId: memberId})) {
+            // Weight only updates leave the level as is
+            if (newLevel !== undefined && newLevel !== TopicMemberUser.LEVELS.admin && topicAdminMembers && topicAdminMembers.length === 1 && _.find(topicAdminMembers, {userId: memberId})) {
                 return res.badRequest('Cannot revoke admin permissions from the last admin member.');
             }
 
             // TODO: UPSERT - sequelize has "upsert" from new version, use that if it works - http://sequelize.readthedocs.org/en/latest/api/model/#upsert
             if (topicMemberUser) {
                 await db.transaction(async function (t) {
-                    topicMemberUser.level = newLevel;
+                    if (newLevel !== undefined) {
+                        topicMemberUser.level = newLevel;
+                    }
+                    if (req.body.weight !== undefined) {
+                        topicMemberUser.weight = req.body.weight;
+                    }
 
                     await cosActivities.updateActivity(topicMemberUser, null, {
                             type: 'User',
@@ -2941,7 +3667,8 @@ module.exports = function (app) {
                 await TopicMemberUser.create({
                     topicId: topicId,
                     userId: memberId,
-                    level: newLevel
+                    level: newLevel,
+                    weight: req.body.weight
                 });
                 return res.ok();
             }
@@ -2954,7 +3681,7 @@ module.exports = function (app) {
     /**
      * Update Group membership information
      */
-    app.put('/api/users/:userId/topics/:topicId/members/groups/:memberId', loginCheck(['partner']), hasPermission(TopicMemberUser.LEVELS.admin, null, [Topic.STATUSES.inProgress, Topic.STATUSES.voting, Topic.STATUSES.followUp] ), async function (req, res, next) {
+    app.put('/api/users/:userId/topics/:topicId/members/groups/:memberId', loginCheck(['partner'], 'topics:write'), hasPermission(TopicMemberUser.LEVELS.admin, null, [Topic.STATUSES.inProgress, Topic.STATUSES.voting, Topic.STATUSES.followUp] ), async function (req, res, next) {
         const newLevel = req.body.level;
         const memberId = req.params.memberId;
         const topicId = req.params.topicId;
@@ -3008,7 +3735,7 @@ module.exports = function (app) {
     /**
      * Delete User membership information
      */
-    app.delete('/api/users/:userId/topics/:topicId/members/users/:memberId', loginCheck(['partner']), hasPermission(TopicMemberUser.LEVELS.admin, null, null, true), async function (req, res, next) {
+    app.delete('/api/users/:userId/topics/:topicId/members/users/:memberId', loginCheck(['partner'], 'topics:write'), hasPermission(TopicMemberUser.LEVELS.admin, null, null, true), async function (req, res, next) {
         const topicId = req.params.topicId;
         const memberId = req.params.memberId;
         try {
@@ -3137,7 +3864,7 @@ module.exports = function (app) {
     /**
      * Delete Group membership information
      */
-    app.delete('/api/users/:userId/topics/:topicId/members/groups/:memberId', loginCheck(['partner']), hasPermission(TopicMemberUser.LEVELS.admin), async function (req, res, next) {
+    app.delete('/api/users/:userId/topics/:topicId/members/groups/:memberId', loginCheck(['partner'], 'topics:write'), hasPermission(TopicMemberUser.LEVELS.admin), async function (req, res, next) {
         const topicId = req.params.topicId;
         const memberId = req.params.memberId;
 
@@ -3257,7 +3984,7 @@ module.exports = function (app) {
      *
      * @see /api/users/:userId/topics/:topicId/members/users "Auto accept" - Adds a Member to the Topic instantly and sends a notification to the User.
      */
-    app.post('/api/users/:userId/topics/:topicId/invites/users', loginCheck(), hasPermission(TopicMemberUser.LEVELS.admin, false, [Topic.STATUSES.inProgress, Topic.STATUSES.voting, Topic.STATUSES.followUp]), async function (req, res, next) {
+    app.post('/api/users/:userId/topics/:topicId/invites/users', loginCheck(), rateLimit('invite'), hasPermission(TopicMemberUser.LEVELS.admin, false, [Topic.STATUSES.inProgress, Topic.STATUSES.voting, Topic.STATUSES.followUp]), async function (req, res, next) {
         try {
             //NOTE: userId can be actual UUID or e-mail - it is comfort for the API user, but confusing in the BE code.
             const topicId = req.params.topicId;
@@ -3759,7 +4486,7 @@ module.exports = function (app) {
      *
      * TODO: API url is fishy.. maybe should be POST /api/topics/:joinToken/members
      */
-    app.post('/api/topics/join/:tokenJoin', loginCheck(['partner']), async function (req, res, next) {
+    app.post('/api/topics/join/:tokenJoin', loginCheck(['partner'], 'topics:write'), async function (req, res, next) {
         const tokenJoin = req.params.tokenJoin;
         const userId = req.user.id;
 
@@ -3833,7 +4560,7 @@ module.exports = function (app) {
      * Add Topic Attachment
      */
 
-    app.post('/api/users/:userId/topics/:topicId/attachments', loginCheck(['partner']), hasPermission(TopicMemberUser.LEVELS.edit, false, [Topic.STATUSES.inProgress, Topic.STATUSES.voting, Topic.STATUSES.followUp]), async function (req, res, next) {
+    app.post('/api/users/:userId/topics/:topicId/attachments', loginCheck(['partner'], 'topics:write'), hasPermission(TopicMemberUser.LEVELS.edit, false, [Topic.STATUSES.inProgress, Topic.STATUSES.voting, Topic.STATUSES.followUp]), async function (req, res, next) {
         const topicId = req.params.topicId;
         const name = req.body.name;
         const type = req.body.type;
@@ -3898,55 +4625,231 @@ module.exports = function (app) {
         }
     });
 
-    app.put('/api/users/:userId/topics/:topicId/attachments/:attachmentId', loginCheck(['partner']), hasPermission(TopicMemberUser.LEVELS.edit, false, [Topic.STATUSES.inProgress, Topic.STATUSES.voting, Topic.STATUSES.followUp]), async function (req, res, next) {
-        const newName = req.body.name;
-
-        const updateAttachment = {};
+    /**
+     * Receive a file from a multipart request and save it to the storage
+     *
+     * @param {object} req Express request
+     * @param {string} key Storage key
+     *
+     * @returns {Promise<object>} {fields, file} where "file" is {key, size, contentType, filename} or null if no file was sent
+     *
+     * @private
+     */
+    const _receiveFile = function (req, key) {
+        return new Promise(function (resolve, reject) {
+            let busboy;
+            try {
+                busboy = new Busboy({
+                    headers: req.headers,
+                    limits: {
+                        files: 1,
+                        fileSize: config.storage.maxFileSize
+                    }
+                });
+            } catch (err) {
+                return reject(err);
+            }
 
-        if (newName) {
-            updateAttachment.name = newName;
-        }
+            const fields = {};
+            let filePromise;
 
-        try {
-            const attachment = await Attachment
-            .findOne({
-                where: {
-                    id: req.params.attachmentId
-                },
-                include: [Topic]
+            busboy.on('field', function (fieldname, value) {
+                fields[fieldname] = value;
             });
 
-            attachment.name = newName;
+            busboy.on('file', function (fieldname, file, filename) {
+                let isTruncated = false;
 
-            await db
-                .transaction(async function (t) {
-                    const topic = attachment.Topics[0];
-                    delete attachment.Topics;
+                file.on('limit', function () {
+                    isTruncated = true;
+                });
 
-                    await cosActivities.updateActivity(attachment, topic, {
-                        type: 'User',
-                        id: req.user.id,
-                        ip: req.ip
-                    }, null, req.method + ' ' + req.path, t);
+                filePromise = cosStorage
+                    .save(file, key, filename)
+                    .then(async function (saved) {
+                        if (isTruncated) {
+                            await cosStorage.delete(key);
 
-                    await attachment.save({
-                        transaction: t
-                    });
+                            const error = new Error('File is too large');
+                            error.type = cosStorage.ERROR_TYPES.fileSize;
+                            throw error;
+                        }
 
-                    t.afterCommit(() => {
-                        return res.ok(attachment.toJSON());
+                        saved.filename = filename;
+
+                        return saved;
                     });
+                filePromise.catch(function () {
+                    return; // Handled on "finish"
                 });
-        } catch (err) {
-            return next(err);
-        }
-    });
+            });
+
+            busboy.on('error', reject);
+
+            busboy.on('finish', function () {
+                if (!filePromise) {
+                    return resolve({fields: fields, file: null});
+                }
+
+                filePromise
+                    .then(function (file) {
+                        return resolve({fields: fields, file: file});
+                    })
+                    .catch(reject);
+            });
+
+            req.pipe(busboy);
+        });
+    };
 
     /**
-     * Delete Topic Attachment
+     * Upload Topic Attachment
+     *
+     * The file is saved to the storage and is not visible until the virus scan is done (when "storage.scanner" is configured).
      */
-    app.delete('/api/users/:userId/topics/:topicId/attachments/:attachmentId', loginCheck(['partner']), hasPermission(TopicMemberUser.LEVELS.edit, false, [Topic.STATUSES.inProgress, Topic.STATUSES.voting, Topic.STATUSES.followUp], true), async function (req, res, next) {
-        try {
+    app.post('/api/users/:userId/topics/:topicId/attachments/upload', loginCheck(['partner'], 'topics:write'), hasPermission(TopicMemberUser.LEVELS.edit, false, [Topic.STATUSES.inProgress, Topic.STATUSES.voting, Topic.STATUSES.followUp]), async function (req, res, next) {
+        const topicId = req.params.topicId;
+        const attachmentLimit = config.attachments.limit || 5;
+
+        if (!req.is('multipart/form-data')) {
+            return res.badRequest('Invalid Content-Type, expected "multipart/form-data"', 1);
+        }
+
+        try {
+            const topic = await Topic.findOne({
+                where: {
+                    id: topicId
+                },
+                include: [Attachment]
+            });
+
+            if (topic.Attachments && topic.Attachments.length >= attachmentLimit) {
+                req.resume();
+
+                return res.badRequest('Topic attachment limit reached', 2);
+            }
+
+            let received;
+            try {
+                received = await _receiveFile(req, 'attachments/' + topicId + '/' + uuid.v4());
+            } catch (err) {
+                if (err.type === cosStorage.ERROR_TYPES.fileType) {
+                    return res.badRequest(err.message, 4);
+                }
+                if (err.type === cosStorage.ERROR_TYPES.contentType) {
+                    return res.badRequest(err.message, 5);
+                }
+                if (err.type === cosStorage.ERROR_TYPES.fileSize) {
+                    return res.badRequest(err.message, 6);
+                }
+
+                throw err;
+            }
+
+            const file = received.file;
+            if (!file) {
+                return res.badRequest('Missing required parameter "file"', 3);
+            }
+
+            const attachment = await db.transaction(async function (t) {
+                const attachment = await Attachment.create(
+                    {
+                        name: received.fields.name || file.filename,
+                        type: file.extension,
+                        size: file.size,
+                        source: Attachment.SOURCES.upload,
+                        creatorId: req.user.id,
+                        storageKey: file.key,
+                        status: cosStorage.isScanEnabled() ? Attachment.STATUSES.pending : Attachment.STATUSES.available
+                    },
+                    {
+                        transaction: t
+                    }
+                );
+
+                await TopicAttachment.create(
+                    {
+                        topicId: topicId,
+                        attachmentId: attachment.id
+                    },
+                    {
+                        transaction: t
+                    }
+                );
+
+                await cosActivities.addActivity(
+                    attachment,
+                    {
+                        type: 'User',
+                        id: req.user.id,
+                        ip: req.ip
+                    },
+                    null,
+                    topic,
+                    req.method + ' ' + req.path,
+                    t
+                );
+
+                await cosStorage.scheduleScan(attachment, t);
+
+                return attachment;
+            });
+
+            return res.created(attachment.toJSON());
+        } catch (err) {
+            return next(err);
+        }
+    });
+
+    app.put('/api/users/:userId/topics/:topicId/attachments/:attachmentId', loginCheck(['partner'], 'topics:write'), hasPermission(TopicMemberUser.LEVELS.edit, false, [Topic.STATUSES.inProgress, Topic.STATUSES.voting, Topic.STATUSES.followUp]), async function (req, res, next) {
+        const newName = req.body.name;
+
+        const updateAttachment = {};
+
+        if (newName) {
+            updateAttachment.name = newName;
+        }
+
+        try {
+            const attachment = await Attachment
+            .findOne({
+                where: {
+                    id: req.params.attachmentId
+                },
+                include: [Topic]
+            });
+
+            attachment.name = newName;
+
+            await db
+                .transaction(async function (t) {
+                    const topic = attachment.Topics[0];
+                    delete attachment.Topics;
+
+                    await cosActivities.updateActivity(attachment, topic, {
+                        type: 'User',
+                        id: req.user.id,
+                        ip: req.ip
+                    }, null, req.method + ' ' + req.path, t);
+
+                    await attachment.save({
+                        transaction: t
+                    });
+
+                    t.afterCommit(() => {
+                        return res.ok(attachment.toJSON());
+                    });
+                });
+        } catch (err) {
+            return next(err);
+        }
+    });
+
+    /**
+     * Delete Topic Attachment
+     */
+    app.delete('/api/users/:userId/topics/:topicId/attachments/:attachmentId', loginCheck(['partner'], 'topics:write'), hasPermission(TopicMemberUser.LEVELS.edit, false, [Topic.STATUSES.inProgress, Topic.STATUSES.voting, Topic.STATUSES.followUp], true), async function (req, res, next) {
+        try {
             const attachment = await Attachment.findOne({
                 where: {
                     id: req.params.attachmentId
@@ -3993,6 +4896,7 @@ module.exports = function (app) {
                     JOIN "Users" c ON c.id = a."creatorId"
                     WHERE ta."topicId" = :topicId
                     AND a."deletedAt" IS NULL
+                    AND a.status = 'available'
                     ;
                     `,
                     {
@@ -4014,25 +4918,41 @@ module.exports = function (app) {
         }
     };
 
-    app.get('/api/users/:userId/topics/:topicId/attachments', loginCheck(['partner']), hasPermission(TopicMemberUser.LEVELS.read, true), topicAttachmentsList);
+    app.get('/api/users/:userId/topics/:topicId/attachments', loginCheck(['partner'], 'topics:read'), hasPermission(TopicMemberUser.LEVELS.read, true), topicAttachmentsList);
     app.get('/api/topics/:topicId/attachments', hasVisibility(Topic.VISIBILITY.public), topicAttachmentsList);
 
     const readAttachment = async function (req, res, next) {
         try {
-            const attachment = await Attachment
+            const topicAttachment = await TopicAttachment
                 .findOne({
                     where: {
-                        id: req.params.attachmentId
+                        topicId: req.params.topicId,
+                        attachmentId: req.params.attachmentId
                     }
                 });
 
-            if (attachment && attachment.source === Attachment.SOURCES.upload && req.query.download) {
-                const fileUrl = URL.parse(attachment.link);
-                let filename = attachment.name;
+            const attachment = topicAttachment && await Attachment
+                .findOne({
+                    where: {
+                        id: req.params.attachmentId,
+                        status: Attachment.STATUSES.available
+                    }
+                });
 
-                if (filename.split('.').length <= 1) {
-                    filename += '.' + attachment.type;
-                }
+            if (!attachment) {
+                return res.notFound();
+            }
+
+            let filename = attachment.name;
+            if (filename.split('.').length <= 1) {
+                filename += '.' + attachment.type;
+            }
+
+            if (attachment.storageKey && req.query.download) {
+                // Files in the storage are private, download using a short-lived signed URL
+                return res.redirect(await cosStorage.getDownloadUrl(attachment.storageKey, filename));
+            } else if (attachment.source === Attachment.SOURCES.upload && req.query.download) {
+                const fileUrl = URL.parse(attachment.link);
 
                 const options = {
                     hostname: fileUrl.hostname,
@@ -4061,92 +4981,49 @@ module.exports = function (app) {
         }
     };
 
-    app.get('/api/users/:userId/topics/:topicId/attachments/:attachmentId', loginCheck(['partner']), hasPermission(TopicMemberUser.LEVELS.read, true), readAttachment);
+    app.get('/api/users/:userId/topics/:topicId/attachments/:attachmentId', loginCheck(['partner'], 'topics:read'), hasPermission(TopicMemberUser.LEVELS.read, true), readAttachment);
     app.get('/api/topics/:topicId/attachments/:attachmentId', hasVisibility(Topic.VISIBILITY.public), readAttachment);
 
-    const topicReportsCreate = async function (req, res, next) {
-        try {
-            const topicId = req.params.topicId;
-
-            const activeReportsCount = await TopicReport
-                .count({
-                    where: {
-                        topicId: topicId,
-                        resolvedById: null
-                    }
-                });
-
-            if (activeReportsCount) {
-                return res.badRequest('Topic has already been reported. Only one active report is allowed at the time to avoid overloading the moderators', 1);
-            }
-
-            await db.transaction(async function (t) {
-                const topicReport = await TopicReport
-                    .create(
-                        {
-                            topicId: topicId,
-                            type: req.body.type,
-                            text: req.body.text,
-                            creatorId: req.user.id,
-                            creatorIp: req.ip
-                        },
-                        {
-                            transaction: t
-                        }
-                    );
-
-                await emailLib.sendTopicReport(topicReport);
-
-                t.afterCommit(() => {
-                    return res.ok(topicReport);
-                })
-            });
-        } catch (err) {
-            return next(err);
-        }
-    };
+    const topicRevisionsList = async function (req, res, next) {
+        const limitDefault = 50;
+        const offset = parseInt(req.query.offset, 10) ? parseInt(req.query.offset, 10) : 0;
+        let limit = parseInt(req.query.limit, 10) ? parseInt(req.query.limit, 10) : limitDefault;
 
-    /**
-     * Report a Topic
-     *
-     * @see https://github.com/citizenos/citizenos-api/issues/5
-     */
-    app.post(['/api/users/:userId/topics/:topicId/reports', '/api/topics/:topicId/reports'], loginCheck(['partner']), hasVisibility(Topic.VISIBILITY.public), topicReportsCreate);
+        if (limit > limitDefault) limit = limitDefault;
 
-    /**
-     * Read Topic Report
-     *
-     * @see https://github.com/citizenos/citizenos-api/issues/5
-     */
-    app.get(['/api/topics/:topicId/reports/:reportId', '/api/users/:userId/topics/:topicId/reports/:reportId'], hasVisibility(Topic.VISIBILITY.public), hasPermissionModerator(), async function (req, res, next) {
         try {
-            const topicReports = await db
+            const revisions = await db
                 .query(
                     `
-                        SELECT
-                            tr."id",
-                            tr."type",
-                            tr."text",
-                            tr."createdAt",
-                            tr."creatorId" as "creator.id",
-                            tr."moderatedById" as "moderator.id",
-                            tr."moderatedReasonText",
-                            tr."moderatedReasonType",
-                            tr."moderatedAt",
-                            t."id" as "topic.id",
-                            t."title" as "topic.title",
-                            t."description" as "topic.description",
-                            t."updatedAt" as "topic.updatedAt"
-                        FROM "TopicReports" tr
-                        LEFT JOIN "Topics" t ON (t.id = tr."topicId")
-                        WHERE tr.id = :id
-                        AND t.id = :topicId
-                        AND tr."deletedAt" IS NULL
-                    ;`,
+                    SELECT
+                        tr.id,
+                        tr.rev,
+                        tr.title,
+                        tr."createdAt",
+                        c.id as "creator.id",
+                        c.name as "creator.name",
+                        COALESCE(
+                            (
+                                SELECT json_agg(json_build_object('id', u.id, 'name', u.name))
+                                FROM "Users" u
+                                WHERE u.id = ANY(tr."authorIds")
+                            ),
+                            '[]'
+                        ) as authors,
+                        count(*) OVER()::integer AS "countTotal"
+                    FROM "TopicRevisions" tr
+                    LEFT JOIN "Users" c ON c.id = tr."creatorId"
+                    WHERE tr."topicId" = :topicId
+                    ORDER BY tr.rev DESC
+                    LIMIT :limit
+                    OFFSET :offset
+                    ;
+                    `,
                     {
                         replacements: {
                             topicId: req.params.topicId,
-                            id: req.params.reportId
+                            limit: limit,
+                            offset: offset
                         },
                         type: db.QueryTypes.SELECT,
                         raw: true,
@@ -4154,441 +5031,896 @@ module.exports = function (app) {
                     }
                 );
 
-            const topicReport = topicReports[0];
+            let countTotal = 0;
+            revisions.forEach(function (revision) {
+                countTotal = revision.countTotal;
+                delete revision.countTotal;
 
-            if (!topicReport) {
-                return res.notFound();
-            }
+                // Revisions synced by the system have no creator
+                if (!revision.creator.id) {
+                    revision.creator = null;
+                }
+            });
 
-            return res.ok(topicReport);
+            return res.ok({
+                countTotal: countTotal,
+                count: revisions.length,
+                rows: revisions
+            });
         } catch (err) {
             return next(err);
         }
-    });
+    };
+
+    app.get('/api/users/:userId/topics/:topicId/revisions', loginCheck(['partner'], 'topics:read'), hasPermission(TopicMemberUser.LEVELS.read, true), topicRevisionsList);
+    app.get('/api/topics/:topicId/revisions', hasVisibility(Topic.VISIBILITY.public), topicRevisionsList);
+
+    const topicRevisionsDiff = async function (req, res, next) {
+        const revisionIds = [req.query.from, req.query.to];
+
+        const isInvalid = revisionIds.some(function (id) {
+            return typeof id !== 'string' || !validator.isUUID(id, 4);
+        });
+
+        if (isInvalid) {
+            return res.badRequest('Query parameters "from" and "to" must be revision ids', 1);
+        }
 
-    /**
-     * Moderate a Topic - moderator approves a report, thus applying restrictions to the Topic
-     */
-    app.post(['/api/topics/:topicId/reports/:reportId/moderate', '/api/users/:userId/topics/:topicId/reports/:reportId/moderate'], hasVisibility(Topic.VISIBILITY.public), hasPermissionModerator(), async function (req, res, next) {
-        const moderatedReasonType = req.body.type; // Delete reason type which is provided in case deleted/hidden by moderator due to a user report
-        const moderatedReasonText = req.body.text; // Free text with reason why the comment was deleted/hidden
         try {
-            const topic = await Topic.findOne({
+            const revisions = await TopicRevision.findAll({
                 where: {
-                    id: req.params.topicId
+                    id: revisionIds,
+                    topicId: req.params.topicId
                 }
             });
 
-            let topicReportRead = await TopicReport.findOne({
-                where: {
-                    id: req.params.reportId,
-                    topicId: req.params.topicId
-                }
+            const from = revisions.find(function (revision) {
+                return revision.id === req.query.from;
+            });
+            const to = revisions.find(function (revision) {
+                return revision.id === req.query.to;
             });
 
-            if (!topic || !topicReportRead) {
+            if (!from || !to) {
                 return res.notFound();
             }
 
-            if (topicReportRead.resolvedById) {
-                return res.badRequest('Report has become invalid cause the report has been already resolved', 11);
-            }
-
-            if (topicReportRead.moderatedById) {
-                return res.badRequest('Report has become invalid cause the report has been already moderated', 12);
-            }
+            const changes = htmlDiff.diff(from.description, to.description);
 
-            await db
-                .transaction(async function (t) {
-                    topicReportRead.moderatedById = req.user.id;
-                    topicReportRead.moderatedAt = db.fn('NOW');
-                    topicReportRead.moderatedReasonType = moderatedReasonType || ''; // HACK: If Model has "allowNull: true", it will skip all validators when value is "null"
-                    topicReportRead.moderatedReasonText = moderatedReasonText || ''; // HACK: If Model has "allowNull: true", it will skip all validators when value is "null"
-                    let topicReportSaved = await topicReportRead
-                        .save({
-                            transaction: t,
-                            returning: true
-                        });
-
-                    // Pass on the Topic info we loaded, don't need to load Topic again.
-                    await emailLib.sendTopicReportModerate(Object.assign(
-                        {},
-                        topicReportSaved.toJSON(),
-                        {
-                            topic: topic
-                        }
-                    ));
-
-                    t.afterCommit(() => {
-                        return res.ok(topicReportSaved);
-                    });
-                });
+            return res.ok({
+                from: {
+                    id: from.id,
+                    rev: from.rev
+                },
+                to: {
+                    id: to.id,
+                    rev: to.rev
+                },
+                changes: changes,
+                html: htmlDiff.toHtml(changes)
+            });
         } catch (err) {
             return next(err);
         }
-    });
+    };
 
-    /** Send a Topic report for review - User let's Moderators know that the violations have been corrected **/
-    app.post(['/api/users/:userId/topics/:topicId/reports/:reportId/review', '/api/topics/:topicId/reports/:reportId/review'], loginCheck(['partner']), hasPermission(TopicMemberUser.LEVELS.read), async function (req, res, next) {
-        const topicId = req.params.topicId;
-        const reportId = req.params.reportId;
-        const text = req.body.text;
-        try {
-            if (!text || text.length < 10 || text.length > 4000) {
-                return res.badRequest(null, 1, {text: 'Parameter "text" has to be between 10 and 4000 characters'});
-            }
+    // NOTE: Has to be before "/revisions/:revisionId", otherwise "diff" is taken for the revision id
+    app.get('/api/users/:userId/topics/:topicId/revisions/diff', loginCheck(['partner'], 'topics:read'), hasPermission(TopicMemberUser.LEVELS.read, true), topicRevisionsDiff);
+    app.get('/api/topics/:topicId/revisions/diff', hasVisibility(Topic.VISIBILITY.public), topicRevisionsDiff);
 
-            const topicReport = await TopicReport.findOne({
+    const topicRevisionsRead = async function (req, res, next) {
+        try {
+            const revision = await TopicRevision.findOne({
                 where: {
-                    topicId: topicId,
-                    id: reportId
+                    id: req.params.revisionId,
+                    topicId: req.params.topicId
                 }
             });
 
-            if (!topicReport) {
-                return res.notFound('Topic report not found');
+            if (!revision) {
+                return res.notFound();
             }
 
-            await emailLib.sendTopicReportReview(topicReport, text);
-
-            return res.ok();
+            return res.ok(revision.toJSON());
         } catch (err) {
             return next(err);
         }
-    });
+    };
+
+    app.get('/api/users/:userId/topics/:topicId/revisions/:revisionId', loginCheck(['partner'], 'topics:read'), hasPermission(TopicMemberUser.LEVELS.read, true), topicRevisionsRead);
+    app.get('/api/topics/:topicId/revisions/:revisionId', hasVisibility(Topic.VISIBILITY.public), topicRevisionsRead);
 
     /**
-     * Resolve a Topic report - mark the Topic report as fixed, thus lifting restrictions on the Topic
-     * We don't require /reports/review request to be sent to enable Moderators to act proactively
+     * Restore the Topic description to an earlier revision
      *
-     * @see https://app.citizenos.com/en/topics/ac8b66a4-ca56-4d02-8406-5e19da73d7ce?argumentsPage=1
+     * The revision content is written back to the Pad, which creates a new revision, so that the history is never rewritten.
      */
-    app.post(['/api/topics/:topicId/reports/:reportId/resolve', '/api/users/:userId/topics/:topicId/reports/:reportId/resolve'], hasVisibility(Topic.VISIBILITY.public), hasPermissionModerator(), async function (req, res, next) {
+    app.post('/api/users/:userId/topics/:topicId/revisions/:revisionId/restore', loginCheck(['partner'], 'topics:write'), hasPermission(TopicMemberUser.LEVELS.edit, false, [Topic.STATUSES.inProgress]), async function (req, res, next) {
         const topicId = req.params.topicId;
-        const reportId = req.params.reportId;
+
         try {
-            const topicReport = await TopicReport
-                .update(
-                    {
-                        resolvedById: req.user.id,
-                        resolvedAt: db.fn('NOW')
-                    },
-                    {
-                        where: {
-                            topicId: topicId,
-                            id: reportId
-                        },
-                        returning: true
-                    }
-                );
+            const revision = await TopicRevision.findOne({
+                where: {
+                    id: req.params.revisionId,
+                    topicId: topicId
+                }
+            });
 
-            await emailLib.sendTopicReportResolve(topicReport[1][0]);
+            if (!revision) {
+                return res.notFound();
+            }
 
-            return res.ok();
+            await cosEtherpad.updateTopic(topicId, revision.description);
+            await cosEtherpad.syncTopicWithPad(
+                topicId,
+                req.method + ' ' + req.path,
+                {
+                    type: 'User',
+                    id: req.user.id,
+                    ip: req.ip
+                }
+            );
+
+            const revisionLatest = await TopicRevision.findOne({
+                where: {
+                    topicId: topicId
+                },
+                order: [['rev', 'DESC']]
+            });
+
+            return res.ok(revisionLatest.toJSON());
         } catch (err) {
             return next(err);
         }
     });
 
     /**
-     * Create Topic Comment
+     * Export the Topic as a file
+     *
+     * Query "format" is one of cosTopicExport.FORMATS, "include" can be used to add "vote" results and "comments" (arguments).
+     * Labels of the file are in the language of the User.
      */
-    app.post('/api/users/:userId/topics/:topicId/comments', loginCheck(['partner']), hasPermission(TopicMemberUser.LEVELS.read, true), async function (req, res, next) {
-        let type = req.body.type;
-        const parentId = req.body.parentId;
-        const parentVersion = req.body.parentVersion;
-        let subject = req.body.subject;
-        const text = req.body.text;
-        const edits = [
-            {
-                text: text,
-                subject: subject,
-                createdAt: moment().format(),
-                type: type
-            }
-        ];
+    const topicExport = async function (req, res, next) {
+        const topicId = req.params.topicId;
+        const format = req.query.format;
+        let include = req.query.include || [];
 
-        if (parentId) {
-            subject = null;
-            type = Comment.TYPES.reply;
-            edits[0].type = type;
+        if (!Array.isArray(include)) {
+            include = [include];
         }
 
-        let comment = Comment.build({
-            type: type,
-            subject: subject,
-            text: text,
-            parentId: parentId,
-            creatorId: req.user.id,
-            edits: edits
-        });
-
-        if (parentVersion) {
-            comment.parentVersion = parentVersion;
+        if (!cosTopicExport.FORMATS[format]) {
+            return res.badRequest('Invalid format, must be one of: ' + Object.keys(cosTopicExport.FORMATS).join(', '), 1);
         }
 
         try {
-            await db
-                .transaction(async function (t) {
-                    await comment.save({transaction: t});
-                            //comment.edits.createdAt = JSON.stringify(comment.createdAt);
-                    const topic = await Topic.findOne({
-                        where: {
-                            id: req.params.topicId
+            const topic = await Topic.findOne({
+                where: {
+                    id: topicId
+                }
+            });
+
+            const attachments = await db
+                .query(
+                    `
+                    SELECT
+                        a.name,
+                        a.link
+                    FROM "TopicAttachments" ta
+                    JOIN "Attachments" a ON a.id = ta."attachmentId"
+                    WHERE ta."topicId" = :topicId
+                    AND a."deletedAt" IS NULL
+                    AND a.status = 'available'
+                    ORDER BY a."createdAt" ASC
+                    ;
+                    `,
+                    {
+                        replacements: {
+                            topicId: topicId
                         },
-                        transaction: t
-                    });
+                        type: db.QueryTypes.SELECT,
+                        raw: true
+                    }
+                );
 
-                    if (parentId) {
-                        const parentComment = await Comment.findOne({
-                            where: {
-                                id: parentId
-                            },
-                            transaction: t
-                        });
+            const data = {
+                title: topic.title,
+                description: topic.description,
+                url: urlLib.getFe('/topics/:topicId', {topicId: topicId}),
+                attachments: attachments
+            };
 
-                        if (parentComment) {
-                            await cosActivities
-                                .replyActivity(
-                                    comment,
-                                    parentComment,
-                                    topic,
-                                    {
-                                        type: 'User',
-                                        id: req.user.id,
-                                        ip: req.ip
-                                    }
-                                    , req.method + ' ' + req.path,
-                                    t
-                                );
-                        } else {
-                            return res.notFound();
-                        }
-                    } else {
-                        await cosActivities
-                            .createActivity(
-                                comment,
-                                topic,
-                                {
-                                    type: 'User',
-                                    id: req.user.id,
-                                    ip: req.ip
-                                },
-                                req.method + ' ' + req.path,
-                                t
-                            );
+            if (include.indexOf('vote') > -1) {
+                const topicVote = await TopicVote.findOne({
+                    where: {
+                        topicId: topicId
                     }
+                });
 
-                    await TopicComment
-                        .create(
-                            {
-                                topicId: req.params.topicId,
-                                commentId: comment.id
-                            },
-                            {
-                                transaction: t
-                            }
-                        );
+                const vote = topicVote && await Vote.findOne({
+                    where: {
+                        id: topicVote.voteId
+                    },
+                    include: [VoteOption]
+                });
 
-                    const c = await db.query(
+                if (vote && await canSeeVoteResults(vote.id, topicId, req.user ? req.user.id : null)) {
+                    const voteResults = await getVoteResults(vote.id);
+
+                    data.vote = {
+                        description: vote.description,
+                        options: vote.VoteOptions.map(function (option) {
+                            const result = _.find(voteResults, {optionId: option.id});
+
+                            return {
+                                value: option.value,
+                                voteCount: result ? parseInt(result.voteCount, 10) : 0
+                            };
+                        }),
+                        votersCount: voteResults.length ? voteResults[0].votersCount : 0
+                    };
+                }
+            }
+
+            if (include.indexOf('comments') > -1) {
+                data.comments = await db
+                    .query(
                         `
-                            UPDATE "Comments"
-                                SET edits = jsonb_set(edits, '{0,createdAt}', to_jsonb("createdAt"))
-                                WHERE id = :commentId
-                                RETURNING *;
+                        SELECT
+                            c.type,
+                            c.subject,
+                            c.text,
+                            u.name as "creator.name"
+                        FROM "TopicComments" tc
+                        JOIN "Comments" c ON c.id = tc."commentId" AND c.id = c."parentId"
+                        JOIN "Users" u ON u.id = c."creatorId"
+                        WHERE tc."topicId" = :topicId
+                        AND c."deletedAt" IS NULL
+                        AND c.type IN (:types)
+                        ORDER BY c."createdAt" ASC
+                        ;
                         `,
                         {
                             replacements: {
-                                commentId: comment.id
+                                topicId: topicId,
+                                types: [Comment.TYPES.pro, Comment.TYPES.con]
                             },
-                            type: db.QueryTypes.UPDATE,
+                            type: db.QueryTypes.SELECT,
                             raw: true,
-                            nest: true,
-                            transaction: t
+                            nest: true
                         }
                     );
+            }
 
-                    c[0][0].edits.forEach(function (edit) {
-                        edit.createdAt = new Date(edit.createdAt).toJSON();
-                    });
+            // Labels in the language of the User, public exports without a User in English
+            const user = req.user && req.user.id ? await User.findOne({
+                where: {
+                    id: req.user.id
+                },
+                attributes: ['language']
+            }) : null;
 
-                    const rescomment = Comment.build(c[0][0]);
+            const file = await cosTopicExport.render(data, format, user ? user.language : null);
+            const filename = (sanitizeFilename(topic.title || '') || 'topic') + '.' + cosTopicExport.FORMATS[format].extension;
 
-                    t.afterCommit(() => {
-                        return res.created(rescomment.toJSON());
-                    });
-                });
+            res.set('Content-disposition', 'attachment; filename=' + encodeURIComponent(filename));
+            res.set('Content-type', cosTopicExport.FORMATS[format].mimeType);
+
+            return res.send(file);
         } catch (err) {
             return next(err);
         }
-    });
+    };
 
-    const topicCommentsList = async function (req, res, next) {
-        const orderByValues = {
-            rating: 'rating',
-            popularity: 'popularity',
-            date: 'date'
-        };
-        let userId = null;
-        let orderByComments = '"createdAt" DESC';
-        let orderByReplies = '"createdAt" ASC';
-        let dataForModerator = '';
-        if (req.user) {
-            userId = req.user.id;
+    app.get('/api/users/:userId/topics/:topicId/export', loginCheck(['partner'], 'topics:read'), hasPermission(TopicMemberUser.LEVELS.read, true), topicExport);
+    app.get('/api/topics/:topicId/export', hasVisibility(Topic.VISIBILITY.public), topicExport);
 
-            if (req.user.moderator) {
-                dataForModerator = `
-                , 'email', u.email
-                , 'pid', uc."connectionData"::jsonb->>'pid'
-                , 'phoneNumber', uc."connectionData"::jsonb->>'phoneNumber'
-                `;
+    const topicReportsCreate = async function (req, res, next) {
+        try {
+            const topicId = req.params.topicId;
+
+            const activeReportsCount = await TopicReport
+                .count({
+                    where: {
+                        topicId: topicId,
+                        resolvedById: null
+                    }
+                });
+
+            if (activeReportsCount) {
+                return res.badRequest('Topic has already been reported. Only one active report is allowed at the time to avoid overloading the moderators', 1);
             }
+
+            await db.transaction(async function (t) {
+                const topicReport = await TopicReport
+                    .create(
+                        {
+                            topicId: topicId,
+                            type: req.body.type,
+                            text: req.body.text,
+                            creatorId: req.user.id,
+                            creatorIp: req.ip
+                        },
+                        {
+                            transaction: t
+                        }
+                    );
+
+                await emailLib.sendTopicReport(topicReport);
+
+                t.afterCommit(() => {
+                    return res.ok(topicReport);
+                })
+            });
+        } catch (err) {
+            return next(err);
         }
+    };
 
-        switch (req.query.orderBy) {
-            case orderByValues.rating:
-                orderByComments = `votes->'up'->'count' DESC, votes->'up'->'count' ASC, "createdAt" DESC`;
-                orderByReplies = `votes->'up'->'count' DESC, votes->'up'->'count' ASC, "createdAt" ASC`;
-                break;
-            case orderByValues.popularity:
-                orderByComments = `votes->'count' DESC, "createdAt" DESC`;
-                orderByReplies = `votes->'count' DESC, "createdAt" ASC`;
-                break;
-            default:
-            // Do nothing
+    /**
+     * Report a Topic
+     *
+     * @see https://github.com/citizenos/citizenos-api/issues/5
+     */
+    app.post(['/api/users/:userId/topics/:topicId/reports', '/api/topics/:topicId/reports'], loginCheck(['partner'], 'reports:write'), rateLimit('report'), hasVisibility(Topic.VISIBILITY.public), topicReportsCreate);
+
+    /**
+     * Read Topic Report
+     *
+     * @see https://github.com/citizenos/citizenos-api/issues/5
+     */
+    app.get(['/api/topics/:topicId/reports/:reportId', '/api/users/:userId/topics/:topicId/reports/:reportId'], hasVisibility(Topic.VISIBILITY.public), hasPermissionModerator(), async function (req, res, next) {
+        try {
+            const topicReports = await db
+                .query(
+                    `
+                        SELECT
+                            tr."id",
+                            tr."type",
+                            tr."text",
+                            tr."createdAt",
+                            tr."creatorId" as "creator.id",
+                            tr."moderatedById" as "moderator.id",
+                            tr."moderatedReasonText",
+                            tr."moderatedReasonType",
+                            tr."moderatedAt",
+                            t."id" as "topic.id",
+                            t."title" as "topic.title",
+                            t."description" as "topic.description",
+                            t."updatedAt" as "topic.updatedAt"
+                        FROM "TopicReports" tr
+                        LEFT JOIN "Topics" t ON (t.id = tr."topicId")
+                        WHERE tr.id = :id
+                        AND t.id = :topicId
+                        AND tr."deletedAt" IS NULL
+                    ;`,
+                    {
+                        replacements: {
+                            topicId: req.params.topicId,
+                            id: req.params.reportId
+                        },
+                        type: db.QueryTypes.SELECT,
+                        raw: true,
+                        nest: true
+                    }
+                );
+
+            const topicReport = topicReports[0];
+
+            if (!topicReport) {
+                return res.notFound();
+            }
+
+            return res.ok(topicReport);
+        } catch (err) {
+            return next(err);
         }
+    });
 
-        const query = `
-            CREATE OR REPLACE FUNCTION pg_temp.editCreatedAtToJson(jsonb)
-                RETURNS jsonb
-                AS $$ SELECT array_to_json(array(SELECT jsonb_build_object('subject', r.subject, 'text', r.text,'createdAt', to_char(r."createdAt" at time zone 'UTC', :dateFormat), 'type', r.type) FROM jsonb_to_recordset($1) as r(subject text, text text, "createdAt" timestamptz, type text)))::jsonb
-            $$
-            LANGUAGE SQL;
+    /**
+     * Moderate a Topic - moderator approves a report, thus applying restrictions to the Topic
+     */
+    app.post(['/api/topics/:topicId/reports/:reportId/moderate', '/api/users/:userId/topics/:topicId/reports/:reportId/moderate'], hasVisibility(Topic.VISIBILITY.public), hasPermissionModerator(), async function (req, res, next) {
+        const moderatedReasonType = req.body.type; // Delete reason type which is provided in case deleted/hidden by moderator due to a user report
+        const moderatedReasonText = req.body.text; // Free text with reason why the comment was deleted/hidden
+        try {
+            const topic = await Topic.findOne({
+                where: {
+                    id: req.params.topicId
+                }
+            });
 
-            CREATE OR REPLACE FUNCTION pg_temp.orderReplies(json)
-                RETURNS json
-                AS $$ SELECT array_to_json(array( SELECT row_to_json(r.*) FROM json_to_recordset($1)
-                    AS
-                    r(id uuid, type text, parent jsonb, subject text, text text, edits jsonb, creator jsonb, "deletedBy" jsonb, "deletedReasonType" text, "deletedReasonText" text, report jsonb, votes jsonb, "createdAt" text, "updatedAt" text, "deletedAt" text, replies jsonb)
-                    GROUP BY r.*, r."createdAt", r.votes
-                    ORDER BY ${orderByReplies}))
-            $$
-            LANGUAGE SQL;
+            let topicReportRead = await TopicReport.findOne({
+                where: {
+                    id: req.params.reportId,
+                    topicId: req.params.topicId
+                }
+            });
 
-            CREATE OR REPLACE FUNCTION pg_temp.getCommentTree(uuid)
-                RETURNS TABLE(
-                        "id" uuid,
-                        type text,
-                        parent jsonb,
-                        subject text,
-                        text text,
-                        edits jsonb,
-                        creator jsonb,
-                        "deletedBy" jsonb,
-                        "deletedReasonType" text,
-                        "deletedReasonText" text,
-                        report jsonb,
-                        votes jsonb,
-                        "createdAt" text,
-                        "updatedAt" text,
-                        "deletedAt" text,
-                        replies jsonb)
-                    AS $$
+            if (!topic || !topicReportRead) {
+                return res.notFound();
+            }
 
-                        WITH RECURSIVE commentRelations AS (
-                            SELECT
-                                c.id,
-                                c.type::text,
-                                jsonb_build_object('id', c."parentId",'version',c."parentVersion") as parent,
-                                c.subject,
-                                c.text,
-                                pg_temp.editCreatedAtToJson(c.edits) as edits,
-                                jsonb_build_object('id', u.id,'name',u.name, 'company', u.company ${dataForModerator}) as creator,
-                                CASE
-                                    WHEN c."deletedById" IS NOT NULL THEN jsonb_build_object('id', c."deletedById", 'name', dbu.name )
-                                    ELSE jsonb_build_object('id', c."deletedById")
-                                END as "deletedBy",
-                                c."deletedReasonType"::text,
-                                c."deletedReasonText",
-                                jsonb_build_object('id', c."deletedByReportId") as report,
-                                jsonb_build_object('up', jsonb_build_object('count', COALESCE(cvu.sum, 0), 'selected', COALESCE(cvus.selected, false)), 'down', jsonb_build_object('count', COALESCE(cvd.sum, 0), 'selected', COALESCE(cvds.selected, false)), 'count', COALESCE(cvu.sum, 0) + COALESCE(cvd.sum, 0)) as votes,
-                                to_char(c."createdAt" at time zone 'UTC', :dateFormat) as "createdAt",
-                                to_char(c."updatedAt" at time zone 'UTC', :dateFormat) as "updatedAt",
-                                to_char(c."deletedAt" at time zone 'UTC', :dateFormat) as "deletedAt",
-                                0 AS depth
-                                FROM "Comments" c
-                                LEFT JOIN "Users" u ON (u.id = c."creatorId")
-                                LEFT JOIN "UserConnections" uc ON (u.id = uc."userId" AND uc."connectionId" = 'esteid')
-                                LEFT JOIN "Users" dbu ON (dbu.id = c."deletedById")
-                                LEFT JOIN (
-                                    SELECT SUM(value), "commentId" FROM "CommentVotes" WHERE value > 0 GROUP BY "commentId"
-                                ) cvu ON (cvu."commentId" = c.id)
-                                LEFT JOIN (
-                                    SELECT "commentId", value,  true AS selected FROM "CommentVotes" WHERE value > 0 AND "creatorId"=:userId
-                                ) cvus ON (cvu."commentId"= cvus."commentId")
-                                LEFT JOIN (
-                                    SELECT SUM(ABS(value)), "commentId" FROM "CommentVotes" WHERE value < 0 GROUP BY "commentId"
-                                ) cvd ON (cvd."commentId" = c.id)
-                                LEFT JOIN (
-                                    SELECT "commentId", true AS selected FROM "CommentVotes" WHERE value < 0 AND "creatorId"=:userId
-                                ) cvds ON (cvd."commentId"= cvds."commentId")
-                                WHERE c.id = $1
-                            UNION ALL
-                            SELECT
-                                c.id,
-                                c.type::text,
-                                jsonb_build_object('id', c."parentId",'version',c."parentVersion") as parent,
-                                c.subject,
-                                c.text,
-                                pg_temp.editCreatedAtToJson(c.edits) as edits,
-                                jsonb_build_object('id', u.id,'name',u.name, 'company', u.company ${dataForModerator}) as creator,
-                                CASE
-                                    WHEN c."deletedById" IS NOT NULL THEN jsonb_build_object('id', c."deletedById", 'name', dbu.name )
-                                    ELSE jsonb_build_object('id', c."deletedById")
-                                END as "deletedBy",
-                                c."deletedReasonType"::text,
-                                c."deletedReasonText",
-                                jsonb_build_object('id', c."deletedByReportId") as report,
-                                jsonb_build_object('up', jsonb_build_object('count', COALESCE(cvu.sum, 0), 'selected', COALESCE(cvus.selected, false)), 'down', jsonb_build_object('count', COALESCE(cvd.sum, 0), 'selected', COALESCE(cvds.selected, false)), 'count', COALESCE(cvu.sum, 0) + COALESCE(cvd.sum, 0)) as votes,
-                                to_char(c."createdAt" at time zone 'UTC', :dateFormat) as "createdAt",
-                                to_char(c."updatedAt" at time zone 'UTC', :dateFormat) as "updatedAt",
-                                to_char(c."deletedAt" at time zone 'UTC', :dateFormat) as "deletedAt",
-                                commentRelations.depth + 1
-                                FROM "Comments" c
-                                JOIN commentRelations ON c."parentId" = commentRelations.id AND c.id != c."parentId"
-                                LEFT JOIN "Users" u ON (u.id = c."creatorId")
-                                LEFT JOIN "UserConnections" uc ON (u.id = uc."userId" AND uc."connectionId" = 'esteid')
-                                LEFT JOIN "Users" dbu ON (dbu.id = c."deletedById")
-                                LEFT JOIN (
-                                    SELECT SUM(value), "commentId" FROM "CommentVotes" WHERE value > 0 GROUP BY "commentId"
-                                ) cvu ON (cvu."commentId" = c.id)
-                                LEFT JOIN (
-                                    SELECT "commentId", value, true AS selected FROM "CommentVotes" WHERE value > 0 AND "creatorId" = :userId
-                                ) cvus ON (cvus."commentId" = c.id)
-                                LEFT JOIN (
-                                    SELECT SUM(ABS(value)), "commentId" FROM "CommentVotes" WHERE value < 0 GROUP BY "commentId"
-                                ) cvd ON (cvd."commentId" = c.id)
-                                LEFT JOIN (
-                                    SELECT "commentId", true AS selected FROM "CommentVotes" WHERE value < 0 AND "creatorId" = :userId
-                                ) cvds ON (cvds."commentId"= c.id)
-                        ),
+            if (topicReportRead.resolvedById) {
+                return res.badRequest('Report has become invalid cause the report has been already resolved', 11);
+            }
 
-                        maxdepth AS (
-                            SELECT max(depth) maxdepth FROM commentRelations
-                        ),
+            if (topicReportRead.moderatedById) {
+                return res.badRequest('Report has become invalid cause the report has been already moderated', 12);
+            }
 
-                        rootTree as (
-                            SELECT c.* FROM
-                                commentRelations c, maxdepth
-                                WHERE depth = maxdepth
-                            UNION ALL
-                            SELECT c.* FROM
-                                commentRelations c, rootTree
-                                WHERE c.id = (rootTree.parent->>'id')::uuid AND rootTree.id != (rootTree.parent->>'id')::uuid
-                        ),
+            await db
+                .transaction(async function (t) {
+                    topicReportRead.moderatedById = req.user.id;
+                    topicReportRead.moderatedAt = db.fn('NOW');
+                    topicReportRead.moderatedReasonType = moderatedReasonType || ''; // HACK: If Model has "allowNull: true", it will skip all validators when value is "null"
+                    topicReportRead.moderatedReasonText = moderatedReasonText || ''; // HACK: If Model has "allowNull: true", it will skip all validators when value is "null"
 
-                        commentTree AS (
-                            SELECT
+                    await cosActivities
+                        .updateActivity(
+                            topicReportRead,
+                            topic,
+                            {
+                                type: 'Moderator',
+                                id: req.user.id,
+                                ip: req.ip
+                            },
+                            null,
+                            req.method + ' ' + req.path,
+                            t
+                        );
+
+                    let topicReportSaved = await topicReportRead
+                        .save({
+                            transaction: t,
+                            returning: true
+                        });
+
+                    // Pass on the Topic info we loaded, don't need to load Topic again.
+                    await emailLib.sendTopicReportModerate(Object.assign(
+                        {},
+                        topicReportSaved.toJSON(),
+                        {
+                            topic: topic
+                        }
+                    ));
+
+                    t.afterCommit(() => {
+                        return res.ok(topicReportSaved);
+                    });
+                });
+        } catch (err) {
+            return next(err);
+        }
+    });
+
+    /** Send a Topic report for review - User let's Moderators know that the violations have been corrected **/
+    app.post(['/api/users/:userId/topics/:topicId/reports/:reportId/review', '/api/topics/:topicId/reports/:reportId/review'], loginCheck(['partner'], 'topics:write'), hasPermission(TopicMemberUser.LEVELS.read), async function (req, res, next) {
+        const topicId = req.params.topicId;
+        const reportId = req.params.reportId;
+        const text = req.body.text;
+        try {
+            if (!text || text.length < 10 || text.length > 4000) {
+                return res.badRequest(null, 1, {text: 'Parameter "text" has to be between 10 and 4000 characters'});
+            }
+
+            const topicReport = await TopicReport.findOne({
+                where: {
+                    topicId: topicId,
+                    id: reportId
+                }
+            });
+
+            if (!topicReport) {
+                return res.notFound('Topic report not found');
+            }
+
+            await emailLib.sendTopicReportReview(topicReport, text);
+
+            return res.ok();
+        } catch (err) {
+            return next(err);
+        }
+    });
+
+    /**
+     * Resolve a Topic report - mark the Topic report as fixed, thus lifting restrictions on the Topic
+     * We don't require /reports/review request to be sent to enable Moderators to act proactively
+     *
+     * @see https://app.citizenos.com/en/topics/ac8b66a4-ca56-4d02-8406-5e19da73d7ce?argumentsPage=1
+     */
+    app.post(['/api/topics/:topicId/reports/:reportId/resolve', '/api/users/:userId/topics/:topicId/reports/:reportId/resolve'], hasVisibility(Topic.VISIBILITY.public), hasPermissionModerator(), async function (req, res, next) {
+        const topicId = req.params.topicId;
+        const reportId = req.params.reportId;
+        try {
+            const topicReport = await TopicReport
+                .update(
+                    {
+                        resolvedById: req.user.id,
+                        resolvedAt: db.fn('NOW')
+                    },
+                    {
+                        where: {
+                            topicId: topicId,
+                            id: reportId
+                        },
+                        returning: true
+                    }
+                );
+
+            await emailLib.sendTopicReportResolve(topicReport[1][0]);
+
+            return res.ok();
+        } catch (err) {
+            return next(err);
+        }
+    });
+
+    /**
+     * Create Topic Comment
+     */
+    app.post('/api/users/:userId/topics/:topicId/comments', loginCheck(['partner'], 'comments:write'), rateLimit('comment'), hasPermission(TopicMemberUser.LEVELS.read, true), async function (req, res, next) {
+        let type = req.body.type;
+        const parentId = req.body.parentId;
+        const parentVersion = req.body.parentVersion;
+        let subject = req.body.subject;
+        const text = req.body.text;
+        const edits = [
+            {
+                text: text,
+                subject: subject,
+                createdAt: moment().format(),
+                type: type
+            }
+        ];
+
+        if (parentId) {
+            subject = null;
+            type = Comment.TYPES.reply;
+            edits[0].type = type;
+        }
+
+        let comment = Comment.build({
+            type: type,
+            subject: subject,
+            text: text,
+            parentId: parentId,
+            creatorId: req.user.id,
+            edits: edits
+        });
+
+        if (parentVersion) {
+            comment.parentVersion = parentVersion;
+        }
+
+        try {
+            await db
+                .transaction(async function (t) {
+                    await comment.save({transaction: t});
+                            //comment.edits.createdAt = JSON.stringify(comment.createdAt);
+                    const topic = await Topic.findOne({
+                        where: {
+                            id: req.params.topicId
+                        },
+                        transaction: t
+                    });
+
+                    if (parentId) {
+                        const parentComment = await Comment.findOne({
+                            where: {
+                                id: parentId
+                            },
+                            transaction: t
+                        });
+
+                        if (parentComment) {
+                            await cosActivities
+                                .replyActivity(
+                                    comment,
+                                    parentComment,
+                                    topic,
+                                    {
+                                        type: 'User',
+                                        id: req.user.id,
+                                        ip: req.ip
+                                    }
+                                    , req.method + ' ' + req.path,
+                                    t
+                                );
+                        } else {
+                            return res.notFound();
+                        }
+                    } else {
+                        await cosActivities
+                            .createActivity(
+                                comment,
+                                topic,
+                                {
+                                    type: 'User',
+                                    id: req.user.id,
+                                    ip: req.ip
+                                },
+                                req.method + ' ' + req.path,
+                                t
+                            );
+                    }
+
+                    await TopicComment
+                        .create(
+                            {
+                                topicId: req.params.topicId,
+                                commentId: comment.id
+                            },
+                            {
+                                transaction: t
+                            }
+                        );
+
+                    const c = await db.query(
+                        `
+                            UPDATE "Comments"
+                                SET edits = jsonb_set(edits, '{0,createdAt}', to_jsonb("createdAt"))
+                                WHERE id = :commentId
+                                RETURNING *;
+                        `,
+                        {
+                            replacements: {
+                                commentId: comment.id
+                            },
+                            type: db.QueryTypes.UPDATE,
+                            raw: true,
+                            nest: true,
+                            transaction: t
+                        }
+                    );
+
+                    c[0][0].edits.forEach(function (edit) {
+                        edit.createdAt = new Date(edit.createdAt).toJSON();
+                    });
+
+                    const rescomment = Comment.build(c[0][0]);
+
+                    t.afterCommit(() => {
+                        return res.created(rescomment.toJSON());
+                    });
+                });
+        } catch (err) {
+            return next(err);
+        }
+    });
+
+    const COMMENTS_ORDER_BY = {
+        rating: 'rating',
+        popularity: 'popularity',
+        date: 'date',
+        newest: 'newest',
+        oldest: 'oldest',
+        replies: 'replies'
+    };
+
+    /**
+     * Get the ordering of the Comments and their replies
+     *
+     * "date" (default) lists the latest Comments first and the replies in the order they were written. The other modes apply to every level of the thread.
+     *
+     * @param {string} orderBy One of COMMENTS_ORDER_BY
+     *
+     * @returns {object} {comments, replies} ORDER BY clauses
+     *
+     * @private
+     */
+    const _getCommentsOrder = function (orderBy) {
+        // Rating is the sum of the CommentVote values
+        const rating = `(votes->'up'->>'count')::integer - (votes->'down'->>'count')::integer DESC, (votes->'up'->>'count')::integer DESC`;
+        const replies = `(replies->>'count')::integer DESC`;
+
+        switch (orderBy) {
+            case COMMENTS_ORDER_BY.rating:
+                return {
+                    comments: `${rating}, "createdAt" DESC`,
+                    replies: `${rating}, "createdAt" ASC`
+                };
+            case COMMENTS_ORDER_BY.popularity:
+                return {
+                    comments: `votes->'count' DESC, "createdAt" DESC`,
+                    replies: `votes->'count' DESC, "createdAt" ASC`
+                };
+            case COMMENTS_ORDER_BY.newest:
+                return {
+                    comments: '"createdAt" DESC',
+                    replies: '"createdAt" DESC'
+                };
+            case COMMENTS_ORDER_BY.oldest:
+                return {
+                    comments: '"createdAt" ASC',
+                    replies: '"createdAt" ASC'
+                };
+            case COMMENTS_ORDER_BY.replies:
+                return {
+                    comments: `${replies}, "createdAt" DESC`,
+                    replies: `${replies}, "createdAt" ASC`
+                };
+            default:
+                return {
+                    comments: '"createdAt" DESC',
+                    replies: '"createdAt" ASC'
+                };
+        }
+    };
+
+    /**
+     * Get the User specific parameters of the Comment queries
+     *
+     * @param {object} req Express request
+     *
+     * @returns {object} {userId, dataForModerator} where "dataForModerator" is the SQL of additional creator fields visible to the Moderators
+     *
+     * @private
+     */
+    const _getCommentsUser = function (req) {
+        let userId = null;
+        let dataForModerator = '';
+
+        if (req.user) {
+            userId = req.user.id;
+
+            if (req.user.moderator) {
+                dataForModerator = `
+                , 'email', u.email
+                , 'pid', uc."connectionData"::jsonb->>'pid'
+                , 'phoneNumber', uc."connectionData"::jsonb->>'phoneNumber'
+                `;
+            }
+        }
+
+        return {
+            userId: userId,
+            dataForModerator: dataForModerator
+        };
+    };
+
+    /**
+     * Get the SQL functions for reading Comment threads. "pg_temp.getCommentTree(commentId)" returns the Comment with all of its replies.
+     *
+     * @param {object} order Result of _getCommentsOrder
+     * @param {string} dataForModerator Result of _getCommentsUser
+     *
+     * @returns {string} SQL
+     *
+     * @private
+     */
+    const _getCommentTreeFunctionsSql = function (order, dataForModerator) {
+        return `
+            CREATE OR REPLACE FUNCTION pg_temp.editCreatedAtToJson(jsonb)
+                RETURNS jsonb
+                AS $$ SELECT array_to_json(array(SELECT jsonb_build_object('subject', r.subject, 'text', r.text,'createdAt', to_char(r."createdAt" at time zone 'UTC', :dateFormat), 'type', r.type) FROM jsonb_to_recordset($1) as r(subject text, text text, "createdAt" timestamptz, type text)))::jsonb
+            $$
+            LANGUAGE SQL;
+
+            CREATE OR REPLACE FUNCTION pg_temp.orderReplies(json)
+                RETURNS json
+                AS $$ SELECT array_to_json(array( SELECT row_to_json(r.*) FROM json_to_recordset($1)
+                    AS
+                    r(id uuid, type text, parent jsonb, subject text, text text, edits jsonb, creator jsonb, "deletedBy" jsonb, "deletedReasonType" text, "deletedReasonText" text, report jsonb, votes jsonb, "createdAt" text, "updatedAt" text, "deletedAt" text, replies jsonb)
+                    GROUP BY r.*, r."createdAt", r.votes, r.replies
+                    ORDER BY ${order.replies}))
+            $$
+            LANGUAGE SQL;
+
+            CREATE OR REPLACE FUNCTION pg_temp.getCommentTree(uuid)
+                RETURNS TABLE(
+                        "id" uuid,
+                        type text,
+                        parent jsonb,
+                        subject text,
+                        text text,
+                        edits jsonb,
+                        creator jsonb,
+                        "deletedBy" jsonb,
+                        "deletedReasonType" text,
+                        "deletedReasonText" text,
+                        report jsonb,
+                        votes jsonb,
+                        "createdAt" text,
+                        "updatedAt" text,
+                        "deletedAt" text,
+                        replies jsonb)
+                    AS $$
+
+                        WITH RECURSIVE commentRelations AS (
+                            SELECT
+                                c.id,
+                                c.type::text,
+                                jsonb_build_object('id', c."parentId",'version',c."parentVersion") as parent,
+                                c.subject,
+                                c.text,
+                                pg_temp.editCreatedAtToJson(c.edits) as edits,
+                                jsonb_build_object('id', u.id,'name',u.name, 'company', u.company ${dataForModerator}) as creator,
+                                CASE
+                                    WHEN c."deletedById" IS NOT NULL THEN jsonb_build_object('id', c."deletedById", 'name', dbu.name )
+                                    ELSE jsonb_build_object('id', c."deletedById")
+                                END as "deletedBy",
+                                c."deletedReasonType"::text,
+                                c."deletedReasonText",
+                                jsonb_build_object('id', c."deletedByReportId") as report,
+                                jsonb_build_object('up', jsonb_build_object('count', COALESCE(cvu.sum, 0), 'selected', COALESCE(cvus.selected, false)), 'down', jsonb_build_object('count', COALESCE(cvd.sum, 0), 'selected', COALESCE(cvds.selected, false)), 'count', COALESCE(cvu.sum, 0) + COALESCE(cvd.sum, 0)) as votes,
+                                to_char(c."createdAt" at time zone 'UTC', :dateFormat) as "createdAt",
+                                to_char(c."updatedAt" at time zone 'UTC', :dateFormat) as "updatedAt",
+                                to_char(c."deletedAt" at time zone 'UTC', :dateFormat) as "deletedAt",
+                                0 AS depth
+                                FROM "Comments" c
+                                LEFT JOIN "Users" u ON (u.id = c."creatorId")
+                                LEFT JOIN "UserConnections" uc ON (u.id = uc."userId" AND uc."connectionId" = 'esteid')
+                                LEFT JOIN "Users" dbu ON (dbu.id = c."deletedById")
+                                LEFT JOIN (
+                                    SELECT SUM(value), "commentId" FROM "CommentVotes" WHERE value > 0 GROUP BY "commentId"
+                                ) cvu ON (cvu."commentId" = c.id)
+                                LEFT JOIN (
+                                    SELECT "commentId", value,  true AS selected FROM "CommentVotes" WHERE value > 0 AND "creatorId"=:userId
+                                ) cvus ON (cvu."commentId"= cvus."commentId")
+                                LEFT JOIN (
+                                    SELECT SUM(ABS(value)), "commentId" FROM "CommentVotes" WHERE value < 0 GROUP BY "commentId"
+                                ) cvd ON (cvd."commentId" = c.id)
+                                LEFT JOIN (
+                                    SELECT "commentId", true AS selected FROM "CommentVotes" WHERE value < 0 AND "creatorId"=:userId
+                                ) cvds ON (cvd."commentId"= cvds."commentId")
+                                WHERE c.id = $1
+                            UNION ALL
+                            SELECT
+                                c.id,
+                                c.type::text,
+                                jsonb_build_object('id', c."parentId",'version',c."parentVersion") as parent,
+                                c.subject,
+                                c.text,
+                                pg_temp.editCreatedAtToJson(c.edits) as edits,
+                                jsonb_build_object('id', u.id,'name',u.name, 'company', u.company ${dataForModerator}) as creator,
+                                CASE
+                                    WHEN c."deletedById" IS NOT NULL THEN jsonb_build_object('id', c."deletedById", 'name', dbu.name )
+                                    ELSE jsonb_build_object('id', c."deletedById")
+                                END as "deletedBy",
+                                c."deletedReasonType"::text,
+                                c."deletedReasonText",
+                                jsonb_build_object('id', c."deletedByReportId") as report,
+                                jsonb_build_object('up', jsonb_build_object('count', COALESCE(cvu.sum, 0), 'selected', COALESCE(cvus.selected, false)), 'down', jsonb_build_object('count', COALESCE(cvd.sum, 0), 'selected', COALESCE(cvds.selected, false)), 'count', COALESCE(cvu.sum, 0) + COALESCE(cvd.sum, 0)) as votes,
+                                to_char(c."createdAt" at time zone 'UTC', :dateFormat) as "createdAt",
+                                to_char(c."updatedAt" at time zone 'UTC', :dateFormat) as "updatedAt",
+                                to_char(c."deletedAt" at time zone 'UTC', :dateFormat) as "deletedAt",
+                                commentRelations.depth + 1
+                                FROM "Comments" c
+                                JOIN commentRelations ON c."parentId" = commentRelations.id AND c.id != c."parentId"
+                                LEFT JOIN "Users" u ON (u.id = c."creatorId")
+                                LEFT JOIN "UserConnections" uc ON (u.id = uc."userId" AND uc."connectionId" = 'esteid')
+                                LEFT JOIN "Users" dbu ON (dbu.id = c."deletedById")
+                                LEFT JOIN (
+                                    SELECT SUM(value), "commentId" FROM "CommentVotes" WHERE value > 0 GROUP BY "commentId"
+                                ) cvu ON (cvu."commentId" = c.id)
+                                LEFT JOIN (
+                                    SELECT "commentId", value, true AS selected FROM "CommentVotes" WHERE value > 0 AND "creatorId" = :userId
+                                ) cvus ON (cvus."commentId" = c.id)
+                                LEFT JOIN (
+                                    SELECT SUM(ABS(value)), "commentId" FROM "CommentVotes" WHERE value < 0 GROUP BY "commentId"
+                                ) cvd ON (cvd."commentId" = c.id)
+                                LEFT JOIN (
+                                    SELECT "commentId", true AS selected FROM "CommentVotes" WHERE value < 0 AND "creatorId" = :userId
+                                ) cvds ON (cvds."commentId"= c.id)
+                        ),
+
+                        maxdepth AS (
+                            SELECT max(depth) maxdepth FROM commentRelations
+                        ),
+
+                        rootTree as (
+                            SELECT c.* FROM
+                                commentRelations c, maxdepth
+                                WHERE depth = maxdepth
+                            UNION ALL
+                            SELECT c.* FROM
+                                commentRelations c, rootTree
+                                WHERE c.id = (rootTree.parent->>'id')::uuid AND rootTree.id != (rootTree.parent->>'id')::uuid
+                        ),
+
+                        commentTree AS (
+                            SELECT
                                 c.id,
                                 c.type,
                                 c.parent,
@@ -4664,90 +5996,969 @@ module.exports = function (app) {
                     GROUP BY v.commentRelations
                     )
 
-                    SELECT
-                        id,
-                        type,
-                        parent::jsonb,
-                        subject,
-                        text,
-                        edits::jsonb,
-                        creator::jsonb,
-                        "deletedBy",
-                        "deletedReasonType",
-                        "deletedReasonText",
-                        report,
-                        votes::jsonb,
-                        "createdAt",
-                        "updatedAt",
-                        "deletedAt",
-                        replies::jsonb
-                    FROM commentTree WHERE id = $1
-                    ORDER BY ${orderByComments}
-                $$
-                LANGUAGE SQL;
+                    SELECT
+                        id,
+                        type,
+                        parent::jsonb,
+                        subject,
+                        text,
+                        edits::jsonb,
+                        creator::jsonb,
+                        "deletedBy",
+                        "deletedReasonType",
+                        "deletedReasonText",
+                        report,
+                        votes::jsonb,
+                        "createdAt",
+                        "updatedAt",
+                        "deletedAt",
+                        replies::jsonb
+                    FROM commentTree WHERE id = $1
+                    ORDER BY ${order.comments}
+                $$
+                LANGUAGE SQL;
+        `;
+    };
+
+    /**
+     * Limit the number of replies on every level of the Comment threads
+     *
+     * "replies.count" keeps the total, so that the rest can be loaded with the replies API.
+     *
+     * @param {Array<object>} comments Comments
+     * @param {number} limit Max number of replies per Comment
+     *
+     * @returns {void}
+     *
+     * @private
+     */
+    const _limitReplies = function (comments, limit) {
+        comments.forEach(function (comment) {
+            if (!comment.replies || !Array.isArray(comment.replies.rows)) {
+                return;
+            }
+
+            comment.replies.rows = comment.replies.rows.slice(0, limit);
+            _limitReplies(comment.replies.rows, limit);
+        });
+    };
+
+    const _getRepliesLimit = function (repliesLimit) {
+        const limit = parseInt(repliesLimit, 10);
+
+        return limit > 0 ? limit : null;
+    };
+
+    const topicCommentsList = async function (req, res, next) {
+        const user = _getCommentsUser(req);
+        const order = _getCommentsOrder(req.query.orderBy);
+        const repliesLimit = _getRepliesLimit(req.query.repliesLimit);
+
+        const query = `
+            ${_getCommentTreeFunctionsSql(order, user.dataForModerator)}
+
+                SELECT
+                    ct.id,
+                    COALESCE (ctp.count, 0) AS "countPro",
+                    COALESCE (ctc.count, 0) AS "countCon",
+                    ct.type,
+                    ct.parent,
+                    ct.subject,
+                    ct.text,
+                    ct.edits,
+                    ct.creator,
+                    ct."deletedBy",
+                    ct."deletedReasonType",
+                    ct."deletedReasonText",
+                    ct.report,
+                    ct.votes,
+                    ct."createdAt",
+                    ct."updatedAt",
+                    ct."deletedAt",
+                    c."mergedIntoId" IS NOT NULL AS merged,
+                    c."mergedIntoId",
+                    ct.replies::jsonb
+                FROM
+                    "TopicComments" tc
+                    JOIN "Comments" c ON c.id = tc."commentId" AND c.id = c."parentId"
+                    JOIN pg_temp.getCommentTree(tc."commentId") ct ON ct.id = ct.id
+                    LEFT JOIN (
+                        SELECT
+                            tc."topicId",
+                            c.type,
+                            COUNT(c.type) AS count
+                            FROM "TopicComments" tc
+                            JOIN "Comments" c ON c.id = tc."commentId" AND c.id=c."parentId"
+                            WHERE tc."topicId" = :topicId
+                            AND c.type='pro'
+                            GROUP BY tc."topicId", c.type
+                    ) ctp ON ctp."topicId" = tc."topicId"
+                    LEFT JOIN (
+                        SELECT
+                            tc."topicId",
+                            c.type,
+                            COUNT(c.type) AS count
+                            FROM "TopicComments" tc
+                            JOIN "Comments" c ON c.id = tc."commentId" AND c.id=c."parentId"
+                            WHERE tc."topicId" = :topicId
+                            AND c.type='con'
+                            GROUP BY tc."topicId", c.type
+                    ) ctc ON ctc."topicId" = tc."topicId"
+                WHERE tc."topicId" = :topicId
+                ORDER BY ${order.comments}
+                LIMIT :limit
+                OFFSET :offset
+                ;
+        `;
+        try {
+            const comments = await db
+                .query(
+                    query,
+                    {
+                        replacements: {
+                            topicId: req.params.topicId,
+                            userId: user.userId,
+                            dateFormat: 'YYYY-MM-DDThh24:mi:ss.msZ',
+                            limit: req.query.limit || 15,
+                            offset: req.query.offset || 0
+                        },
+                        type: db.QueryTypes.SELECT,
+                        raw: true,
+                        nest: true
+                    }
+                );
+
+            let countPro = 0;
+            let countCon = 0;
+
+            if (comments.length) {
+                countPro = comments[0].countPro;
+                countCon = comments[0].countCon;
+            }
+            comments.forEach(function (comment) {
+                delete comment.countPro;
+                delete comment.countCon;
+            });
+
+            if (repliesLimit) {
+                _limitReplies(comments, repliesLimit);
+            }
+
+            return res.ok({
+                count: {
+                    pro: countPro,
+                    con: countCon,
+                    total: countCon + countPro
+                },
+                rows: comments
+            });
+        } catch(err) {
+            return next(err);
+        }
+    };
+
+    /**
+     * Read (List) Topic Comments
+     */
+    app.get('/api/users/:userId/topics/:topicId/comments', loginCheck(['partner'], 'topics:read'), hasPermission(TopicMemberUser.LEVELS.read, true), isModerator(), topicCommentsList);
+
+    /**
+     * Read (List) public Topic Comments
+     */
+    app.get('/api/topics/:topicId/comments', hasVisibility(Topic.VISIBILITY.public), isModerator(), topicCommentsList);
+
+    const topicCommentsRepliesList = async function (req, res, next) {
+        const user = _getCommentsUser(req);
+        const order = _getCommentsOrder(req.query.orderBy);
+        const repliesLimit = _getRepliesLimit(req.query.repliesLimit);
+        const limitMax = 100;
+        const limitDefault = 15;
+
+        let limit = parseInt(req.query.limit, 10) ? parseInt(req.query.limit, 10) : limitDefault;
+        const offset = parseInt(req.query.offset, 10) ? parseInt(req.query.offset, 10) : 0;
+
+        if (limit > limitMax) limit = limitDefault;
+
+        try {
+            const topicComment = await TopicComment.findOne({
+                where: {
+                    topicId: req.params.topicId,
+                    commentId: req.params.commentId
+                }
+            });
+
+            if (!topicComment) {
+                return res.notFound();
+            }
+
+            const replies = await db
+                .query(
+                    `
+                    ${_getCommentTreeFunctionsSql(order, user.dataForModerator)}
+
+                    SELECT
+                        count(*) OVER()::integer AS "countTotal",
+                        ct.*
+                    FROM "TopicComments" tc
+                        JOIN "Comments" c ON c.id = tc."commentId" AND c."parentId" = :commentId AND c.id != c."parentId"
+                        JOIN pg_temp.getCommentTree(c.id) ct ON ct.id = c.id
+                    WHERE tc."topicId" = :topicId
+                    ORDER BY ${order.replies}
+                    LIMIT :limit
+                    OFFSET :offset
+                    ;
+                    `,
+                    {
+                        replacements: {
+                            topicId: req.params.topicId,
+                            commentId: req.params.commentId,
+                            userId: user.userId,
+                            dateFormat: 'YYYY-MM-DDThh24:mi:ss.msZ',
+                            limit: limit,
+                            offset: offset
+                        },
+                        type: db.QueryTypes.SELECT,
+                        raw: true,
+                        nest: true
+                    }
+                );
+
+            let countTotal = 0;
+            if (replies.length) {
+                countTotal = replies[0].countTotal;
+            }
+
+            replies.forEach(function (reply) {
+                delete reply.countTotal;
+            });
+
+            if (repliesLimit) {
+                _limitReplies(replies, repliesLimit);
+            }
+
+            return res.ok({
+                countTotal: countTotal,
+                count: replies.length,
+                rows: replies
+            });
+        } catch (err) {
+            return next(err);
+        }
+    };
+
+    /**
+     * Read (List) replies of a Topic Comment
+     *
+     * Direct replies are paginated with "limit" and "offset", "repliesLimit" limits the replies on the deeper levels.
+     */
+    app.get('/api/users/:userId/topics/:topicId/comments/:commentId/replies', loginCheck(['partner'], 'topics:read'), hasPermission(TopicMemberUser.LEVELS.read, true), isModerator(), topicCommentsRepliesList);
+
+    /**
+     * Read (List) replies of a public Topic Comment
+     */
+    app.get('/api/topics/:topicId/comments/:commentId/replies', hasVisibility(Topic.VISIBILITY.public), isModerator(), topicCommentsRepliesList);
+
+    const topicCommentsRead = async function (req, res, next) {
+        const user = _getCommentsUser(req);
+        const order = _getCommentsOrder(req.query.orderBy);
+        const repliesLimit = _getRepliesLimit(req.query.repliesLimit);
+
+        try {
+            const topicComment = await TopicComment.findOne({
+                where: {
+                    topicId: req.params.topicId,
+                    commentId: req.params.commentId
+                }
+            });
+
+            if (!topicComment) {
+                return res.notFound();
+            }
+
+            const comments = await db
+                .query(
+                    `
+                    ${_getCommentTreeFunctionsSql(order, user.dataForModerator)}
+
+                    SELECT ct.*
+                    FROM pg_temp.getCommentTree(:commentId) ct;
+                    `,
+                    {
+                        replacements: {
+                            commentId: req.params.commentId,
+                            userId: user.userId,
+                            dateFormat: 'YYYY-MM-DDThh24:mi:ss.msZ'
+                        },
+                        type: db.QueryTypes.SELECT,
+                        raw: true,
+                        nest: true
+                    }
+                );
+
+            // Parents up to the first level Comment, so that the thread can be opened from a link to any of the replies
+            const ancestors = await db
+                .query(
+                    `
+                    WITH RECURSIVE ancestors AS (
+                        SELECT c.id, c."parentId", 0 AS depth
+                            FROM "Comments" c
+                            WHERE c.id = :commentId
+                        UNION ALL
+                        SELECT c.id, c."parentId", a.depth + 1
+                            FROM "Comments" c
+                            JOIN ancestors a ON c.id = a."parentId" AND a.id != a."parentId"
+                    )
+                    SELECT
+                        c.id,
+                        c.type,
+                        jsonb_build_object('id', c."parentId", 'version', c."parentVersion") AS parent,
+                        c.subject,
+                        c.text,
+                        jsonb_build_object('id', u.id, 'name', u.name, 'company', u.company) AS creator,
+                        c."createdAt",
+                        c."updatedAt",
+                        c."deletedAt"
+                    FROM ancestors a
+                        JOIN "Comments" c ON c.id = a.id
+                        LEFT JOIN "Users" u ON u.id = c."creatorId"
+                    WHERE a.depth > 0
+                    ORDER BY a.depth DESC
+                    ;
+                    `,
+                    {
+                        replacements: {
+                            commentId: req.params.commentId
+                        },
+                        type: db.QueryTypes.SELECT,
+                        raw: true,
+                        nest: true
+                    }
+                );
+
+            if (repliesLimit) {
+                _limitReplies(comments, repliesLimit);
+            }
+
+            const comment = comments[0];
+            comment.ancestors = ancestors;
+
+            return res.ok(comment);
+        } catch (err) {
+            return next(err);
+        }
+    };
+
+    /**
+     * Read a Topic Comment with its replies and ancestors (permalink)
+     *
+     * "ancestors" are ordered from the first level Comment to the direct parent.
+     */
+    app.get('/api/users/:userId/topics/:topicId/comments/:commentId', loginCheck(['partner'], 'topics:read'), hasPermission(TopicMemberUser.LEVELS.read, true), isModerator(), topicCommentsRead);
+
+    /**
+     * Read a public Topic Comment with its replies and ancestors (permalink)
+     */
+    app.get('/api/topics/:topicId/comments/:commentId', hasVisibility(Topic.VISIBILITY.public), isModerator(), topicCommentsRead);
+
+    /**
+     * Delete Topic Comment
+     */
+    app.delete('/api/users/:userId/topics/:topicId/comments/:commentId', loginCheck(['partner'], 'comments:write'), isCommentCreator(), hasPermission(TopicMemberUser.LEVELS.admin, false, null, true));
+//WARNING: Don't mess up with order here! In order to use "next('route')" in the isCommentCreator, we have to have separate route definition
+//NOTE: If you have good ideas how to keep one route definition with several middlewares, feel free to share!
+    app.delete('/api/users/:userId/topics/:topicId/comments/:commentId', async function (req, res, next) {
+        try {
+            await db
+                .transaction(async function (t) {
+                    const comment = await Comment.findOne({
+                        where: {
+                            id: req.params.commentId
+                        },
+                        include: [Topic]
+                    });
+
+                    comment.deletedById = req.user.id;
+
+                    await comment.save({
+                        transaction: t
+                    });
+
+                    await cosActivities
+                        .deleteActivity(
+                            comment,
+                            comment.Topics[0],
+                            {
+                                type: 'User',
+                                id: req.user.id,
+                                ip: req.ip
+                            },
+                            req.method + ' ' + req.path,
+                            t
+                        );
+                    await Comment
+                        .destroy({
+                            where: {
+                                id: req.params.commentId
+                            },
+                            transaction: t
+                        });
+
+                    t.afterCommit(function () {
+                        return res.ok();
+                    });
+                });
+
+        } catch(err) {
+            return next(err);
+        }
+    });
+
+
+    app.put('/api/users/:userId/topics/:topicId/comments/:commentId', loginCheck(['partner'], 'comments:write'), isCommentCreator());
+//WARNING: Don't mess up with order here! In order to use "next('route')" in the isCommentCreator, we have to have separate route definition.
+//NOTE: If you have good ideas how to keep one route definition with several middlewares, feel free to share!
+    app.put('/api/users/:userId/topics/:topicId/comments/:commentId', async function (req, res, next) {
+        const subject = req.body.subject;
+        const text = req.body.text;
+        let type = req.body.type;
+        const commentId = req.params.commentId;
+        try {
+            const comment = await Comment.findOne({
+                where: {
+                    id: commentId
+                },
+                include: [Topic]
+            });
+            const now = moment().format();
+            const edits = comment.edits;
+
+            if (text === comment.text && subject === comment.subject && type === comment.type) {
+                return res.ok();
+            }
+            if (!type || comment.type === Comment.TYPES.reply) {
+                type = comment.type;
+            }
+            edits.push({
+                text: text,
+                subject: subject,
+                createdAt: now,
+                type: type
+            });
+            comment.set('edits', null);
+            comment.set('edits', edits);
+            comment.subject = subject;
+            comment.text = text;
+            comment.type = type;
+
+            await db
+                .transaction(async function (t) {
+                    const topic = comment.Topics[0];
+                    delete comment.Topic;
+
+                    await cosActivities
+                        .updateActivity(comment, topic, {
+                            type: 'User',
+                            id: req.user.id,
+                            ip: req.ip
+                        }, null, req.method + ' ' + req.path, t);
+                    await comment.save({
+                        transaction: t
+                    });
+
+                    await db
+                        .query(
+                            `
+                                UPDATE "Comments"
+                                    SET edits = jsonb_set(edits, '{:pos,createdAt}', to_jsonb("updatedAt"))
+                                    WHERE id = :commentId
+                                    RETURNING *;
+                            `,
+                            {
+                                replacements: {
+                                    commentId: commentId,
+                                    pos: comment.edits.length - 1
+                                },
+                                type: db.QueryTypes.UPDATE,
+                                raw: true,
+                                nest: true,
+                                transaction: t
+                            }
+                        );
+                    t.afterCommit(() => {
+                        return res.ok();
+                    });
+                });
+        } catch (err) {
+            logger.error(err);
+
+            return next(err);
+        }
+    });
+
+    const topicCommentsReportsCreate = async function (req, res, next) {
+        const commentId = req.params.commentId;
+        try {
+
+
+            const comment = await Comment.findOne({
+                where: {
+                    id: commentId
+                }
+            });
+
+            if (!comment) {
+                return comment;
+            }
+
+            await db
+                .transaction(async function (t) {
+                    const report = await Report
+                        .create(
+                            {
+                                type: req.body.type,
+                                text: req.body.text,
+                                creatorId: req.user.id,
+                                creatorIp: req.ip
+                            },
+                            {
+                                transaction: t
+                            }
+                        );
+                    await cosActivities.addActivity(
+                        report,
+                        {
+                            type: 'User',
+                            id: req.user.id,
+                            ip: req.ip
+                        },
+                        null,
+                        comment,
+                        req.method + ' ' + req.path,
+                        t
+                    );
+                    await CommentReport
+                        .create(
+                            {
+                                commentId: commentId,
+                                reportId: report.id
+                            },
+                            {
+                                transaction: t
+                            }
+                        );
+                    if (!report) {
+                        return res.notFound();
+                    }
+
+                    await emailLib.sendCommentReport(commentId, report)
+
+                    t.afterCommit(() => {
+                        return res.ok(report);
+                    });
+                });
+            } catch (err) {
+                return next(err);
+            }
+    };
+
+    app.post(['/api/users/:userId/topics/:topicId/comments/:commentId/reports', '/api/topics/:topicId/comments/:commentId/reports'], loginCheck(['partner'], 'reports:write'), rateLimit('report'), topicCommentsReportsCreate);
+
+
+    /**
+     * Read Report
+     */
+    app.get(['/api/topics/:topicId/comments/:commentId/reports/:reportId', '/api/users/:userId/topics/:topicId/comments/:commentId/reports/:reportId'], authTokenRestrictedUse, async function (req, res, next) {
+        try {
+            const results = await db
+                .query(
+                    `
+                        SELECT
+                            r."id",
+                            r."type",
+                            r."text",
+                            r."createdAt",
+                            c."id" as "comment.id",
+                            c.subject as "comment.subject",
+                            c."text" as "comment.text"
+                        FROM "Reports" r
+                        LEFT JOIN "CommentReports" cr ON (cr."reportId" = r.id)
+                        LEFT JOIN "Comments" c ON (c.id = cr."commentId")
+                        WHERE r.id = :reportId
+                        AND c.id = :commentId
+                        AND r."deletedAt" IS NULL
+                    ;`,
+                    {
+                        replacements: {
+                            commentId: req.params.commentId,
+                            reportId: req.params.reportId
+                        },
+                        type: db.QueryTypes.SELECT,
+                        raw: true,
+                        nest: true
+                    }
+                );
+
+            if (!results || !results.length) {
+                return res.notFound();
+            }
+
+            const commentReport = results[0];
+
+            return res.ok(commentReport);
+        } catch (err) {
+            return next(err);
+        }
+    });
+
+    app.post('/api/topics/:topicId/comments/:commentId/reports/:reportId/moderate', authTokenRestrictedUse, async function (req, res, next) {
+        const eventTokenData = req.locals.tokenDecoded;
+        const type = req.body.type;
+
+        if (!type) {
+            return res.badRequest({type: 'Property type is required'});
+        }
+        try {
+            const commentReport = (await db
+                .query(
+                    `
+                        SELECT
+                            c."id" as "comment.id",
+                            c."updatedAt" as "comment.updatedAt",
+                            r."id" as "report.id",
+                            r."createdAt" as "report.createdAt"
+                        FROM "CommentReports" cr
+                        LEFT JOIN "Reports" r ON (r.id = cr."reportId")
+                        LEFT JOIN "Comments" c ON (c.id = cr."commentId")
+                        WHERE cr."commentId" = :commentId AND cr."reportId" = :reportId
+                        AND c."deletedAt" IS NULL
+                        AND r."deletedAt" IS NULL
+                    ;`,
+                    {
+                        replacements: {
+                            commentId: req.params.commentId,
+                            reportId: req.params.reportId
+                        },
+                        type: db.QueryTypes.SELECT,
+                        raw: true,
+                        nest: true
+                    }
+                ))[0];
+
+            if (!commentReport) {
+                return res.notFound();
+            }
+
+            let comment = commentReport.comment;
+            const report = commentReport.report;
+
+            // If Comment has been updated since the Report was made, deny moderation cause the text may have changed.
+            if (comment.updatedAt.getTime() > report.createdAt.getTime()) {
+                return res.badRequest('Report has become invalid cause comment has been updated after the report', 10);
+            }
+
+            comment = await Comment.findOne({
+                where: {
+                    id: comment.id
+                },
+                include: [Topic]
+            });
+
+            const topic = comment.dataValues.Topics[0];
+            delete comment.dataValues.Topics;
+            comment.deletedById = eventTokenData.userId;
+            comment.deletedAt = db.fn('NOW');
+            comment.deletedReasonType = req.body.type;
+            comment.deletedReasonText = req.body.text;
+            comment.deletedByReportId = report.id;
+
+            await db
+                .transaction(async function (t) {
+                    await cosActivities
+                        .updateActivity(comment, topic, {
+                            type: 'Moderator',
+                            id: eventTokenData.userId,
+                            ip: req.ip
+                        }, null, req.method + ' ' + req.path, t);
+                    let c = (await Comment.update(
+                        {
+                            deletedById: eventTokenData.userId,
+                            deletedAt: db.fn('NOW'),
+                            deletedReasonType: req.body.type,
+                            deletedReasonText: req.body.text,
+                            deletedByReportId: report.id
+                        },
+                        {
+                            where: {
+                                id: comment.id
+                            },
+                            returning: true
+                        },
+                        {
+                            transaction: t
+                        }
+                    ))[1];
+
+                    c = Comment.build(c.dataValues);
+
+                    await cosActivities
+                        .deleteActivity(c, topic, {
+                            type: 'Moderator',
+                            id: eventTokenData.userId,
+                            ip: req.ip
+                        }, req.method + ' ' + req.path, t);
+
+                    t.afterCommit(() => {
+                        return res.ok();
+                    });
+                });
+        } catch (err) {
+            return next(err);
+        }
+    });
+
+    const topicMentionsList = async function (req, res, next) {
+        let hashtag = null;
+        let queryurl = 'search/tweets';
+        let data;
+
+        if (req.query && req.query.test === 'error') { // For testing purposes
+            queryurl = 'serch/tweets';
+        }
+        try {
+            const results = await db.query(
+                `
+                SELECT
+                    t.hashtag
+                FROM "Topics" t
+                WHERE t."id" = :topicId
+                AND t."deletedAt" IS NULL
+                AND t.hashtag IS NOT NULL
+                `,
+                {
+                    replacements: {
+                        topicId: req.params.topicId
+                    },
+                    type: db.QueryTypes.SELECT,
+                    raw: true,
+                    nest: true
+                }
+            )
+            if (!results.length) {
+                return res.badRequest('Topic has no hashtag defined', 1);
+            }
+
+            hashtag = results[0].hashtag;
+
+            const mentions = await hashtagCache.get(hashtag);
+            if (!mentions || (mentions.createdAt && (Math.floor(new Date() - new Date(mentions.createdAt)) / (1000 * 60) >= 15))) {
+                data = await twitter.getAsync(queryurl, {
+                    q: '"#' + hashtag + '"',
+                    count: 20
+                });
+            } else {
+                logger.info('Serving mentions from cache', req.method, req.path, req.user);
+
+                return res.ok(mentions);
+            }
+
+            const allMentions = [];
+            if (data && data.statuses) {
+                logger.info('Twitter response', req.method, req.path, req.user, data.statuses.length);
+                _.forEach(data.statuses, function (m) {
+                    let mTimeStamp = moment(m.created_at, 'ddd MMM DD HH:mm:ss ZZ YYYY');
+                    mTimeStamp = mTimeStamp.format();
+
+                    const status = {
+                        id: m.id,
+                        text: decode(m.text),
+                        creator: {
+                            name: m.user.name || m.user.screen_name,
+                            profileUrl: 'https://twitter.com/' + m.user.screen_name,
+                            profilePictureUrl: m.user.profile_image_url_https
+                        },
+                        createdAt: mTimeStamp,
+                        sourceId: 'TWITTER',
+                        sourceUrl: 'https://twitter.com/' + m.user.screen_name + '/status/' + m.id
+                    };
+
+                    allMentions.push(status);
+                });
+
+                const cachedMentions = {
+                    count: allMentions.length,
+                    rows: allMentions,
+                    createdAt: moment().format(),
+                    hashtag: hashtag
+                };
+
+                await hashtagCache.set(hashtag, cachedMentions);
+
+                return res.ok(cachedMentions);
+            } else {
+                return res.internalServerError();
+            }
+        } catch (err) {
+            if (err.twitterReply) {
+                logger.error('Twitter error', req.method, req.path, req.user, err);
+                const cachedMentions = await hashtagCache.get(hashtag);
+                if (!cachedMentions) {
+                    return res.internalServerError();
+                }
+
+                return res.ok(cachedMentions);
+            }
+
+            return next(err);
+        }
+    };
+
+
+    /**
+     * Read (List) Topic Mentions
+     */
+    app.get('/api/users/:userId/topics/:topicId/mentions', loginCheck(['partner'], 'topics:read'), hasPermission(TopicMemberUser.LEVELS.read, true), topicMentionsList);
+
+
+    /**
+     * Read (List) public Topic Mentions
+     */
+    app.get('/api/topics/:topicId/mentions', hasVisibility(Topic.VISIBILITY.public), topicMentionsList);
+
+    /*
+     * Read (List) Topic Comment votes
+     */
 
+    app.get('/api/users/:userId/topics/:topicId/comments/:commentId/votes', loginCheck(['partner'], 'topics:read'), hasPermission(TopicMemberUser.LEVELS.read, true), async function (req, res, next) {
+        try {
+            const results = await db.query(
+                `
                 SELECT
-                    ct.id,
-                    COALESCE (ctp.count, 0) AS "countPro",
-                    COALESCE (ctc.count, 0) AS "countCon",
-                    ct.type,
-                    ct.parent,
-                    ct.subject,
-                    ct.text,
-                    ct.edits,
-                    ct.creator,
-                    ct."deletedBy",
-                    ct."deletedReasonType",
-                    ct."deletedReasonText",
-                    ct.report,
-                    ct.votes,
-                    ct."createdAt",
-                    ct."updatedAt",
-                    ct."deletedAt",
-                    ct.replies::jsonb
-                FROM
-                    "TopicComments" tc
-                    JOIN "Comments" c ON c.id = tc."commentId" AND c.id = c."parentId"
-                    JOIN pg_temp.getCommentTree(tc."commentId") ct ON ct.id = ct.id
-                    LEFT JOIN (
-                        SELECT
-                            tc."topicId",
-                            c.type,
-                            COUNT(c.type) AS count
-                            FROM "TopicComments" tc
-                            JOIN "Comments" c ON c.id = tc."commentId" AND c.id=c."parentId"
-                            WHERE tc."topicId" = :topicId
-                            AND c.type='pro'
-                            GROUP BY tc."topicId", c.type
-                    ) ctp ON ctp."topicId" = tc."topicId"
-                    LEFT JOIN (
-                        SELECT
-                            tc."topicId",
-                            c.type,
-                            COUNT(c.type) AS count
-                            FROM "TopicComments" tc
-                            JOIN "Comments" c ON c.id = tc."commentId" AND c.id=c."parentId"
-                            WHERE tc."topicId" = :topicId
-                            AND c.type='con'
-                            GROUP BY tc."topicId", c.type
-                    ) ctc ON ctc."topicId" = tc."topicId"
-                WHERE tc."topicId" = :topicId
-                ORDER BY ${orderByComments}
-                LIMIT :limit
-                OFFSET :offset
-                ;
-        `;
+                    u.name,
+                    u.company,
+                    u."imageUrl",
+                    CAST(CASE
+                        WHEN cv.value=1 Then 'up'
+                        ELSE 'down' END
+                    AS VARCHAR(5)) AS vote,
+                    cv."createdAt",
+                    cv."updatedAt"
+                    FROM "CommentVotes" cv
+                    LEFT JOIN "Users" u
+                    ON
+                        u.id = cv."creatorId"
+                    WHERE cv."commentId" = :commentId
+                    AND cv.value <> 0
+                    ;
+                `,
+                {
+                    replacements: {
+                        commentId: req.params.commentId
+                    },
+                    type: db.QueryTypes.SELECT,
+                    raw: true,
+                    nest: true
+                });
+
+            return res.ok({rows: results, count: results.length});
+        } catch (err) {
+            return next(err);
+        }
+    });
+
+    /**
+     * Create a Comment Vote
+     */
+    app.post('/api/topics/:topicId/comments/:commentId/votes', loginCheck(['partner'], 'comments:write'), hasPermission(TopicMemberUser.LEVELS.read, true), async function (req, res, next) {
+        const value = parseInt(req.body.value, 10);
         try {
-            const comments = await db
+            const comment = await Comment
+                .findOne({
+                    where: {
+                        id: req.params.commentId
+                    }
+                });
+
+            if (!comment) {
+                return comment;
+            }
+
+            await db
+                .transaction(async function (t) {
+                    const vote = await CommentVote
+                        .findOne({
+                            where: {
+                                commentId: req.params.commentId,
+                                creatorId: req.user.id
+                            },
+                            transaction: t
+                        });
+                    if (vote) {
+                        //User already voted
+                        if (vote.value === value) { // Same value will 0 the vote...
+                            vote.value = 0;
+                        } else {
+                            vote.value = value;
+                        }
+                        vote.topicId = req.params.topicId;
+
+                        await cosActivities
+                            .updateActivity(vote, comment, {
+                                type: 'User',
+                                id: req.user.id,
+                                ip: req.ip
+                            }, null, req.method + ' ' + req.path, t);
+
+                        await vote.save({transaction: t});
+                    } else {
+                        //User has not voted...
+                        const cv = await CommentVote
+                            .create({
+                                commentId: req.params.commentId,
+                                creatorId: req.user.id,
+                                value: req.body.value
+                            }, {
+                                transaction: t
+                            });
+                        const c = _.cloneDeep(comment);
+                        c.topicId = req.params.topicId;
+
+                        await cosActivities
+                            .createActivity(cv, c, {
+                                type: 'User',
+                                id: req.user.id,
+                                ip: req.ip
+                            }, req.method + ' ' + req.path, t);
+                    }
+                });
+
+            const results = await db
                 .query(
-                    query,
+                    `
+                    SELECT
+                        tc."up.count",
+                        tc."down.count",
+                        COALESCE(cvus.selected, false) as "up.selected",
+                        COALESCE(cvds.selected, false) as "down.selected"
+                        FROM (
+                            SELECT
+                                tc."commentId",
+                                COALESCE(cvu.count, 0) as "up.count",
+                                COALESCE(cvd.count, 0) as "down.count"
+                            FROM "TopicComments" tc
+                                LEFT JOIN ( SELECT "commentId", COUNT(value) as count FROM "CommentVotes" WHERE value > 0 GROUP BY "commentId") cvu ON tc."commentId" = cvu."commentId"
+                                LEFT JOIN ( SELECT "commentId", COUNT(value) as count FROM "CommentVotes"  WHERE value < 0 GROUP BY "commentId") cvd ON tc."commentId" = cvd."commentId"
+                            WHERE tc."topicId" = :topicId
+                            AND tc."commentId" = :commentId
+                            GROUP BY tc."commentId", cvu.count, cvd.count
+                        ) tc
+                        LEFT JOIN (SELECT "commentId", "creatorId", value, true AS selected FROM "CommentVotes" WHERE value > 0 AND "creatorId" = :userId) cvus ON (tc."commentId" = cvus."commentId")
+                        LEFT JOIN (SELECT "commentId", "creatorId", value, true AS selected FROM "CommentVotes" WHERE value < 0 AND "creatorId" = :userId) cvds ON (tc."commentId" = cvds."commentId");
+                    `,
                     {
                         replacements: {
                             topicId: req.params.topicId,
-                            userId: userId,
-                            dateFormat: 'YYYY-MM-DDThh24:mi:ss.msZ',
-                            limit: req.query.limit || 15,
-                            offset: req.query.offset || 0
+                            commentId: req.params.commentId,
+                            userId: req.user.id
                         },
                         type: db.QueryTypes.SELECT,
                         raw: true,
@@ -4755,272 +6966,155 @@ module.exports = function (app) {
                     }
                 );
 
-            let countPro = 0;
-            let countCon = 0;
-
-            if (comments.length) {
-                countPro = comments[0].countPro;
-                countCon = comments[0].countCon;
+            if (!results) {
+                return res.notFound();
             }
-            comments.forEach(function (comment) {
-                delete comment.countPro;
-                delete comment.countCon;
-            });
 
-            return res.ok({
-                count: {
-                    pro: countPro,
-                    con: countCon,
-                    total: countCon + countPro
-                },
-                rows: comments
-            });
+            return res.ok(results[0]);
         } catch(err) {
-            return next(err);
+            next(err);
         }
-    };
+    });
 
-    /**
-     * Read (List) Topic Comments
-     */
-    app.get('/api/users/:userId/topics/:topicId/comments', loginCheck(['partner']), hasPermission(TopicMemberUser.LEVELS.read, true), isModerator(), topicCommentsList);
 
     /**
-     * Read (List) public Topic Comments
+     * Arguments map
+     *
+     * Topic admins group the arguments (first level pro and con Comments) into named clusters and merge the duplicates into a canonical argument.
      */
-    app.get('/api/topics/:topicId/comments', hasVisibility(Topic.VISIBILITY.public), isModerator(), topicCommentsList);
+
+    const ARGUMENTS_TOP_DEFAULT = 3;
+    const ARGUMENTS_TOP_MAX = 10;
+    const ARGUMENTS_IDS_MAX = 100;
 
     /**
-     * Delete Topic Comment
+     * Find the arguments of the Topic, deleted Comments and replies are left out
+     *
+     * @param {string} topicId Topic id
+     * @param {Array<string>} commentIds Comment ids
+     * @param {object} [transaction] Sequelize transaction
+     *
+     * @returns {Promise<Array<object>>} Comments
+     *
+     * @private
      */
-    app.delete('/api/users/:userId/topics/:topicId/comments/:commentId', loginCheck(['partner']), isCommentCreator(), hasPermission(TopicMemberUser.LEVELS.admin, false, null, true));
-//WARNING: Don't mess up with order here! In order to use "next('route')" in the isCommentCreator, we have to have separate route definition
-//NOTE: If you have good ideas how to keep one route definition with several middlewares, feel free to share!
-    app.delete('/api/users/:userId/topics/:topicId/comments/:commentId', async function (req, res, next) {
-        try {
-            await db
-                .transaction(async function (t) {
-                    const comment = await Comment.findOne({
-                        where: {
-                            id: req.params.commentId
-                        },
-                        include: [Topic]
-                    });
-
-                    comment.deletedById = req.user.id;
-
-                    await comment.save({
-                        transaction: t
-                    });
-
-                    await cosActivities
-                        .deleteActivity(
-                            comment,
-                            comment.Topics[0],
-                            {
-                                type: 'User',
-                                id: req.user.id,
-                                ip: req.ip
-                            },
-                            req.method + ' ' + req.path,
-                            t
-                        );
-                    await Comment
-                        .destroy({
-                            where: {
-                                id: req.params.commentId
-                            },
-                            transaction: t
-                        });
-
-                    t.afterCommit(function () {
-                        return res.ok();
-                    });
-                });
-
-        } catch(err) {
-            return next(err);
-        }
-    });
-
-
-    app.put('/api/users/:userId/topics/:topicId/comments/:commentId', loginCheck(['partner']), isCommentCreator());
-//WARNING: Don't mess up with order here! In order to use "next('route')" in the isCommentCreator, we have to have separate route definition.
-//NOTE: If you have good ideas how to keep one route definition with several middlewares, feel free to share!
-    app.put('/api/users/:userId/topics/:topicId/comments/:commentId', async function (req, res, next) {
-        const subject = req.body.subject;
-        const text = req.body.text;
-        let type = req.body.type;
-        const commentId = req.params.commentId;
-        try {
-            const comment = await Comment.findOne({
-                where: {
-                    id: commentId
+    const _findTopicArguments = async function (topicId, commentIds, transaction) {
+        return Comment.findAll({
+            where: {
+                id: {
+                    [Op.in]: commentIds
                 },
-                include: [Topic]
-            });
-            const now = moment().format();
-            const edits = comment.edits;
-
-            if (text === comment.text && subject === comment.subject && type === comment.type) {
-                return res.ok();
-            }
-            if (!type || comment.type === Comment.TYPES.reply) {
-                type = comment.type;
-            }
-            edits.push({
-                text: text,
-                subject: subject,
-                createdAt: now,
-                type: type
-            });
-            comment.set('edits', null);
-            comment.set('edits', edits);
-            comment.subject = subject;
-            comment.text = text;
-            comment.type = type;
-
-            await db
-                .transaction(async function (t) {
-                    const topic = comment.Topics[0];
-                    delete comment.Topic;
-
-                    await cosActivities
-                        .updateActivity(comment, topic, {
-                            type: 'User',
-                            id: req.user.id,
-                            ip: req.ip
-                        }, null, req.method + ' ' + req.path, t);
-                    await comment.save({
-                        transaction: t
-                    });
-
-                    await db
-                        .query(
-                            `
-                                UPDATE "Comments"
-                                    SET edits = jsonb_set(edits, '{:pos,createdAt}', to_jsonb("updatedAt"))
-                                    WHERE id = :commentId
-                                    RETURNING *;
-                            `,
-                            {
-                                replacements: {
-                                    commentId: commentId,
-                                    pos: comment.edits.length - 1
-                                },
-                                type: db.QueryTypes.UPDATE,
-                                raw: true,
-                                nest: true,
-                                transaction: t
-                            }
-                        );
-                    t.afterCommit(() => {
-                        return res.ok();
-                    });
-                });
-        } catch (err) {
-            logger.error(err);
-
-            return next(err);
-        }
-    });
-
-    const topicCommentsReportsCreate = async function (req, res, next) {
-        const commentId = req.params.commentId;
-        try {
+                type: {
+                    [Op.in]: [Comment.TYPES.pro, Comment.TYPES.con]
+                }
+            },
+            include: [
+                {
+                    model: Topic,
+                    where: {
+                        id: topicId
+                    },
+                    attributes: ['id'],
+                    through: {
+                        attributes: []
+                    }
+                }
+            ],
+            transaction: transaction
+        });
+    };
 
+    const _findArgumentCluster = async function (topicId, clusterId) {
+        return ArgumentCluster.findOne({
+            where: {
+                id: clusterId,
+                topicId: topicId
+            },
+            include: [Topic]
+        });
+    };
 
-            const comment = await Comment.findOne({
-                where: {
-                    id: commentId
-                }
-            });
+    const _countArguments = function (args) {
+        const count = {
+            pro: 0,
+            con: 0,
+            total: args.length
+        };
 
-            if (!comment) {
-                return comment;
-            }
+        args.forEach(function (arg) {
+            count[arg.type]++;
+        });
 
-            await db
-                .transaction(async function (t) {
-                    const report = await Report
-                        .create(
-                            {
-                                type: req.body.type,
-                                text: req.body.text,
-                                creatorId: req.user.id,
-                                creatorIp: req.ip
-                            },
-                            {
-                                transaction: t
-                            }
-                        );
-                    await cosActivities.addActivity(
-                        report,
-                        {
-                            type: 'User',
-                            id: req.user.id,
-                            ip: req.ip
-                        },
-                        null,
-                        comment,
-                        req.method + ' ' + req.path,
-                        t
-                    );
-                    await CommentReport
-                        .create(
-                            {
-                                commentId: commentId,
-                                reportId: report.id
-                            },
-                            {
-                                transaction: t
-                            }
-                        );
-                    if (!report) {
-                        return res.notFound();
-                    }
+        return count;
+    };
 
-                    await emailLib.sendCommentReport(commentId, report)
+    /**
+     * Get the top-rated arguments of both sides. Rating is the sum of the CommentVote values.
+     *
+     * @private
+     */
+    const _topArguments = function (args, limit) {
+        const top = {};
 
-                    t.afterCommit(() => {
-                        return res.ok(report);
-                    });
-                });
-            } catch (err) {
-                return next(err);
-            }
+        [Comment.TYPES.pro, Comment.TYPES.con].forEach(function (type) {
+            top[type] = args
+                .filter(function (arg) {
+                    return arg.type === type;
+                })
+                .sort(function (a, b) {
+                    return (b.votes.rating - a.votes.rating) || (b.votes.up - a.votes.up) || (a.createdAt - b.createdAt);
+                })
+                .slice(0, limit);
+        });
+
+        return top;
     };
 
-    app.post(['/api/users/:userId/topics/:topicId/comments/:commentId/reports', '/api/topics/:topicId/comments/:commentId/reports'], loginCheck(['partner']), topicCommentsReportsCreate);
+    const topicArgumentsSummary = async function (req, res, next) {
+        let top = parseInt(req.query.top, 10) ? parseInt(req.query.top, 10) : ARGUMENTS_TOP_DEFAULT;
 
+        if (top > ARGUMENTS_TOP_MAX) top = ARGUMENTS_TOP_DEFAULT;
 
-    /**
-     * Read Report
-     */
-    app.get(['/api/topics/:topicId/comments/:commentId/reports/:reportId', '/api/users/:userId/topics/:topicId/comments/:commentId/reports/:reportId'], authTokenRestrictedUse, async function (req, res, next) {
         try {
-            const results = await db
+            const rows = await db
                 .query(
                     `
+                    WITH args AS (
                         SELECT
-                            r."id",
-                            r."type",
-                            r."text",
-                            r."createdAt",
-                            c."id" as "comment.id",
-                            c.subject as "comment.subject",
-                            c."text" as "comment.text"
-                        FROM "Reports" r
-                        LEFT JOIN "CommentReports" cr ON (cr."reportId" = r.id)
-                        LEFT JOIN "Comments" c ON (c.id = cr."commentId")
-                        WHERE r.id = :reportId
-                        AND c.id = :commentId
-                        AND r."deletedAt" IS NULL
-                    ;`,
+                            c.id,
+                            c.type::text AS type,
+                            c.subject,
+                            c.text,
+                            c."argumentClusterId",
+                            c."mergedIntoId",
+                            c."createdAt",
+                            jsonb_build_object('id', u.id, 'name', u.name, 'company', u.company) AS creator,
+                            COALESCE(cv.up, 0)::integer AS "votesUp",
+                            COALESCE(cv.down, 0)::integer AS "votesDown"
+                        FROM "TopicComments" tc
+                            JOIN "Comments" c ON c.id = tc."commentId" AND c.id = c."parentId" AND c."deletedAt" IS NULL
+                            LEFT JOIN "Users" u ON u.id = c."creatorId"
+                            LEFT JOIN (
+                                SELECT
+                                    "commentId",
+                                    SUM(value) FILTER (WHERE value > 0) AS up,
+                                    SUM(ABS(value)) FILTER (WHERE value < 0) AS down
+                                FROM "CommentVotes"
+                                GROUP BY "commentId"
+                            ) cv ON cv."commentId" = c.id
+                        WHERE tc."topicId" = :topicId
+                        AND c.type IN (:types)
+                    )
+                    SELECT
+                        a.*,
+                        (SELECT COUNT(*) FROM args d WHERE d."mergedIntoId" = a.id)::integer AS duplicates
+                    FROM args a
+                    ;
+                    `,
                     {
                         replacements: {
-                            commentId: req.params.commentId,
-                            reportId: req.params.reportId
+                            topicId: req.params.topicId,
+                            types: [Comment.TYPES.pro, Comment.TYPES.con]
                         },
                         type: db.QueryTypes.SELECT,
                         raw: true,
@@ -5028,381 +7122,467 @@ module.exports = function (app) {
                     }
                 );
 
-            if (!results || !results.length) {
-                return res.notFound();
-            }
+            const clusters = await ArgumentCluster.findAll({
+                where: {
+                    topicId: req.params.topicId
+                },
+                order: [['createdAt', 'ASC']]
+            });
 
-            const commentReport = results[0];
+            // Merged duplicates are only counted, the canonical argument represents them
+            const args = rows
+                .filter(function (row) {
+                    return !row.mergedIntoId;
+                })
+                .map(function (row) {
+                    return {
+                        id: row.id,
+                        type: row.type,
+                        subject: row.subject,
+                        text: row.text,
+                        creator: row.creator,
+                        clusterId: row.argumentClusterId,
+                        votes: {
+                            up: row.votesUp,
+                            down: row.votesDown,
+                            rating: row.votesUp - row.votesDown
+                        },
+                        duplicates: row.duplicates,
+                        createdAt: row.createdAt
+                    };
+                });
 
-            return res.ok(commentReport);
+            const count = _countArguments(args);
+            count.merged = rows.length - args.length;
+
+            return res.ok({
+                count: count,
+                top: _topArguments(args, top),
+                clusters: clusters.map(function (cluster) {
+                    const clusterArgs = args.filter(function (arg) {
+                        return arg.clusterId === cluster.id;
+                    });
+
+                    return Object.assign(cluster.toJSON(), {
+                        count: _countArguments(clusterArgs),
+                        top: _topArguments(clusterArgs, top)
+                    });
+                }),
+                unclustered: {
+                    count: _countArguments(args.filter(function (arg) {
+                        return !arg.clusterId;
+                    }))
+                }
+            });
         } catch (err) {
             return next(err);
         }
-    });
+    };
 
-    app.post('/api/topics/:topicId/comments/:commentId/reports/:reportId/moderate', authTokenRestrictedUse, async function (req, res, next) {
-        const eventTokenData = req.locals.tokenDecoded;
-        const type = req.body.type;
+    /**
+     * Read Topic arguments summary - counts, top-rated arguments of both sides and the cluster breakdown
+     */
+    app.get('/api/users/:userId/topics/:topicId/arguments/summary', loginCheck(['partner'], 'topics:read'), hasPermission(TopicMemberUser.LEVELS.read, true), topicArgumentsSummary);
 
-        if (!type) {
-            return res.badRequest({type: 'Property type is required'});
-        }
+    /**
+     * Read public Topic arguments summary
+     */
+    app.get('/api/topics/:topicId/arguments/summary', hasVisibility(Topic.VISIBILITY.public), topicArgumentsSummary);
+
+    const topicArgumentClustersList = async function (req, res, next) {
         try {
-            const commentReport = (await db
-                .query(
-                    `
-                        SELECT
-                            c."id" as "comment.id",
-                            c."updatedAt" as "comment.updatedAt",
-                            r."id" as "report.id",
-                            r."createdAt" as "report.createdAt"
-                        FROM "CommentReports" cr
-                        LEFT JOIN "Reports" r ON (r.id = cr."reportId")
-                        LEFT JOIN "Comments" c ON (c.id = cr."commentId")
-                        WHERE cr."commentId" = :commentId AND cr."reportId" = :reportId
-                        AND c."deletedAt" IS NULL
-                        AND r."deletedAt" IS NULL
-                    ;`,
-                    {
-                        replacements: {
-                            commentId: req.params.commentId,
-                            reportId: req.params.reportId
-                        },
-                        type: db.QueryTypes.SELECT,
-                        raw: true,
-                        nest: true
-                    }
-                ))[0];
+            const clusters = await ArgumentCluster.findAll({
+                where: {
+                    topicId: req.params.topicId
+                },
+                order: [['createdAt', 'ASC']]
+            });
 
-            if (!commentReport) {
-                return res.notFound();
-            }
+            return res.ok({
+                count: clusters.length,
+                rows: clusters
+            });
+        } catch (err) {
+            return next(err);
+        }
+    };
 
-            let comment = commentReport.comment;
-            const report = commentReport.report;
+    /**
+     * Read (List) Topic argument clusters
+     */
+    app.get('/api/users/:userId/topics/:topicId/arguments/clusters', loginCheck(['partner'], 'topics:read'), hasPermission(TopicMemberUser.LEVELS.read, true), topicArgumentClustersList);
 
-            // If Comment has been updated since the Report was made, deny moderation cause the text may have changed.
-            if (comment.updatedAt.getTime() > report.createdAt.getTime()) {
-                return res.badRequest('Report has become invalid cause comment has been updated after the report', 10);
-            }
+    /**
+     * Read (List) public Topic argument clusters
+     */
+    app.get('/api/topics/:topicId/arguments/clusters', hasVisibility(Topic.VISIBILITY.public), topicArgumentClustersList);
 
-            comment = await Comment.findOne({
+    /**
+     * Create an argument cluster
+     */
+    app.post('/api/users/:userId/topics/:topicId/arguments/clusters', loginCheck(['partner'], 'topics:write'), hasPermission(TopicMemberUser.LEVELS.admin), async function (req, res, next) {
+        try {
+            const topic = await Topic.findOne({
                 where: {
-                    id: comment.id
-                },
-                include: [Topic]
+                    id: req.params.topicId
+                }
             });
 
-            const topic = comment.dataValues.Topics[0];
-            delete comment.dataValues.Topics;
-            comment.deletedById = eventTokenData.userId;
-            comment.deletedAt = db.fn('NOW');
-            comment.deletedReasonType = req.body.type;
-            comment.deletedReasonText = req.body.text;
-            comment.deletedByReportId = report.id;
-
-            await db
-                .transaction(async function (t) {
-                    await cosActivities
-                        .updateActivity(comment, topic, {
-                            type: 'Moderator',
-                            id: eventTokenData.userId,
-                            ip: req.ip
-                        }, null, req.method + ' ' + req.path, t);
-                    let c = (await Comment.update(
-                        {
-                            deletedById: eventTokenData.userId,
-                            deletedAt: db.fn('NOW'),
-                            deletedReasonType: req.body.type,
-                            deletedReasonText: req.body.text,
-                            deletedByReportId: report.id
-                        },
-                        {
-                            where: {
-                                id: comment.id
-                            },
-                            returning: true
-                        },
-                        {
-                            transaction: t
-                        }
-                    ))[1];
+            const cluster = ArgumentCluster.build({
+                topicId: topic.id,
+                name: req.body.name,
+                description: req.body.description,
+                creatorId: req.user.id
+            });
 
-                    c = Comment.build(c.dataValues);
+            await db.transaction(async function (t) {
+                await cluster.save({transaction: t});
 
-                    await cosActivities
-                        .deleteActivity(c, topic, {
-                            type: 'Moderator',
-                            id: eventTokenData.userId,
-                            ip: req.ip
-                        }, req.method + ' ' + req.path, t);
+                await cosActivities.createActivity(
+                    cluster,
+                    topic,
+                    {
+                        type: 'User',
+                        id: req.user.id,
+                        ip: req.ip
+                    },
+                    req.method + ' ' + req.path,
+                    t
+                );
+            });
 
-                    t.afterCommit(() => {
-                        return res.ok();
-                    });
-                });
+            return res.created(cluster.toJSON());
         } catch (err) {
             return next(err);
         }
     });
 
-    const topicMentionsList = async function (req, res, next) {
-        let hashtag = null;
-        let queryurl = 'search/tweets';
-        let data;
+    /**
+     * Update an argument cluster
+     */
+    app.put('/api/users/:userId/topics/:topicId/arguments/clusters/:clusterId', loginCheck(['partner'], 'topics:write'), hasPermission(TopicMemberUser.LEVELS.admin), async function (req, res, next) {
+        const fieldsAllowedToUpdate = ['name', 'description'];
 
-        if (req.query && req.query.test === 'error') { // For testing purposes
-            queryurl = 'serch/tweets';
-        }
         try {
-            const results = await db.query(
-                `
-                SELECT
-                    t.hashtag
-                FROM "Topics" t
-                WHERE t."id" = :topicId
-                AND t."deletedAt" IS NULL
-                AND t.hashtag IS NOT NULL
-                `,
-                {
-                    replacements: {
-                        topicId: req.params.topicId
-                    },
-                    type: db.QueryTypes.SELECT,
-                    raw: true,
-                    nest: true
-                }
-            )
-            if (!results.length) {
-                return res.badRequest('Topic has no hashtag defined', 1);
+            const cluster = await _findArgumentCluster(req.params.topicId, req.params.clusterId);
+
+            if (!cluster) {
+                return res.notFound();
             }
 
-            hashtag = results[0].hashtag;
+            fieldsAllowedToUpdate.forEach(function (field) {
+                if (Object.keys(req.body).indexOf(field) > -1) {
+                    cluster.set(field, req.body[field]);
+                }
+            });
 
-            const mentions = await hashtagCache.get(hashtag);
-            if (!mentions || (mentions.createdAt && (Math.floor(new Date() - new Date(mentions.createdAt)) / (1000 * 60) >= 15))) {
-                data = await twitter.getAsync(queryurl, {
-                    q: '"#' + hashtag + '"',
-                    count: 20
-                });
-            } else {
-                logger.info('Serving mentions from cache', req.method, req.path, req.user);
+            await db.transaction(async function (t) {
+                await cosActivities.updateActivity(
+                    cluster,
+                    cluster.Topic,
+                    {
+                        type: 'User',
+                        id: req.user.id,
+                        ip: req.ip
+                    },
+                    null,
+                    req.method + ' ' + req.path,
+                    t
+                );
+
+                await cluster.save({transaction: t});
+            });
+
+            return res.ok(cluster.toJSON());
+        } catch (err) {
+            return next(err);
+        }
+    });
+
+    /**
+     * Delete an argument cluster, the arguments in it are left unclustered
+     */
+    app.delete('/api/users/:userId/topics/:topicId/arguments/clusters/:clusterId', loginCheck(['partner'], 'topics:write'), hasPermission(TopicMemberUser.LEVELS.admin), async function (req, res, next) {
+        try {
+            const cluster = await _findArgumentCluster(req.params.topicId, req.params.clusterId);
+
+            if (!cluster) {
+                return res.notFound();
+            }
+
+            await db.transaction(async function (t) {
+                await cosActivities.deleteActivity(
+                    cluster,
+                    cluster.Topic,
+                    {
+                        type: 'User',
+                        id: req.user.id,
+                        ip: req.ip
+                    },
+                    req.method + ' ' + req.path,
+                    t
+                );
 
-                return res.ok(mentions);
-            }
+                await cluster.destroy({transaction: t});
+            });
 
-            const allMentions = [];
-            if (data && data.statuses) {
-                logger.info('Twitter response', req.method, req.path, req.user, data.statuses.length);
-                _.forEach(data.statuses, function (m) {
-                    let mTimeStamp = moment(m.created_at, 'ddd MMM DD HH:mm:ss ZZ YYYY');
-                    mTimeStamp = mTimeStamp.format();
+            return res.ok();
+        } catch (err) {
+            return next(err);
+        }
+    });
 
-                    const status = {
-                        id: m.id,
-                        text: decode(m.text),
-                        creator: {
-                            name: m.user.name || m.user.screen_name,
-                            profileUrl: 'https://twitter.com/' + m.user.screen_name,
-                            profilePictureUrl: m.user.profile_image_url_https
-                        },
-                        createdAt: mTimeStamp,
-                        sourceId: 'TWITTER',
-                        sourceUrl: 'https://twitter.com/' + m.user.screen_name + '/status/' + m.id
-                    };
+    /**
+     * Add arguments to a cluster, an argument can be in one cluster at a time
+     */
+    app.post('/api/users/:userId/topics/:topicId/arguments/clusters/:clusterId/comments', loginCheck(['partner'], 'topics:write'), hasPermission(TopicMemberUser.LEVELS.admin), async function (req, res, next) {
+        const commentIds = req.body.commentIds;
 
-                    allMentions.push(status);
-                });
+        const isInvalid = !Array.isArray(commentIds) || !commentIds.length || commentIds.length > ARGUMENTS_IDS_MAX || commentIds.some(function (id) {
+            return typeof id !== 'string' || !validator.isUUID(id, 4);
+        });
 
-                const cachedMentions = {
-                    count: allMentions.length,
-                    rows: allMentions,
-                    createdAt: moment().format(),
-                    hashtag: hashtag
-                };
+        if (isInvalid) {
+            return res.badRequest('Parameter "commentIds" must be an array of 1 to ' + ARGUMENTS_IDS_MAX + ' Comment ids', 1);
+        }
 
-                await hashtagCache.set(hashtag, cachedMentions);
+        try {
+            const cluster = await _findArgumentCluster(req.params.topicId, req.params.clusterId);
 
-                return res.ok(cachedMentions);
-            } else {
-                return res.internalServerError();
+            if (!cluster) {
+                return res.notFound();
             }
-        } catch (err) {
-            if (err.twitterReply) {
-                logger.error('Twitter error', req.method, req.path, req.user, err);
-                const cachedMentions = await hashtagCache.get(hashtag);
-                if (!cachedMentions) {
-                    return res.internalServerError();
-                }
 
-                return res.ok(cachedMentions);
+            const commentIdsUnique = _.uniq(commentIds);
+            const args = await _findTopicArguments(req.params.topicId, commentIdsUnique);
+
+            if (args.length !== commentIdsUnique.length) {
+                return res.badRequest('Only the pro and con Comments of the Topic can be added to a cluster', 2);
             }
 
+            await db.transaction(async function (t) {
+                for (const arg of args) {
+                    arg.argumentClusterId = cluster.id;
+
+                    await cosActivities.updateActivity(
+                        arg,
+                        cluster.Topic,
+                        {
+                            type: 'User',
+                            id: req.user.id,
+                            ip: req.ip
+                        },
+                        null,
+                        req.method + ' ' + req.path,
+                        t
+                    );
+
+                    await arg.save({transaction: t});
+                }
+            });
+
+            return res.ok();
+        } catch (err) {
             return next(err);
         }
-    };
-
+    });
 
     /**
-     * Read (List) Topic Mentions
+     * Remove an argument from a cluster
      */
-    app.get('/api/users/:userId/topics/:topicId/mentions', loginCheck(['partner']), hasPermission(TopicMemberUser.LEVELS.read, true), topicMentionsList);
+    app.delete('/api/users/:userId/topics/:topicId/arguments/clusters/:clusterId/comments/:commentId', loginCheck(['partner'], 'topics:write'), hasPermission(TopicMemberUser.LEVELS.admin), async function (req, res, next) {
+        try {
+            const cluster = await _findArgumentCluster(req.params.topicId, req.params.clusterId);
 
+            if (!cluster) {
+                return res.notFound();
+            }
 
-    /**
-     * Read (List) public Topic Mentions
-     */
-    app.get('/api/topics/:topicId/mentions', hasVisibility(Topic.VISIBILITY.public), topicMentionsList);
+            const comment = await Comment.findOne({
+                where: {
+                    id: req.params.commentId,
+                    argumentClusterId: cluster.id
+                }
+            });
 
-    /*
-     * Read (List) Topic Comment votes
-     */
+            if (!comment) {
+                return res.notFound();
+            }
 
-    app.get('/api/users/:userId/topics/:topicId/comments/:commentId/votes', loginCheck(['partner']), hasPermission(TopicMemberUser.LEVELS.read, true), async function (req, res, next) {
-        try {
-            const results = await db.query(
-                `
-                SELECT
-                    u.name,
-                    u.company,
-                    u."imageUrl",
-                    CAST(CASE
-                        WHEN cv.value=1 Then 'up'
-                        ELSE 'down' END
-                    AS VARCHAR(5)) AS vote,
-                    cv."createdAt",
-                    cv."updatedAt"
-                    FROM "CommentVotes" cv
-                    LEFT JOIN "Users" u
-                    ON
-                        u.id = cv."creatorId"
-                    WHERE cv."commentId" = :commentId
-                    AND cv.value <> 0
-                    ;
-                `,
-                {
-                    replacements: {
-                        commentId: req.params.commentId
+            comment.argumentClusterId = null;
+
+            await db.transaction(async function (t) {
+                await cosActivities.updateActivity(
+                    comment,
+                    cluster.Topic,
+                    {
+                        type: 'User',
+                        id: req.user.id,
+                        ip: req.ip
                     },
-                    type: db.QueryTypes.SELECT,
-                    raw: true,
-                    nest: true
-                });
+                    null,
+                    req.method + ' ' + req.path,
+                    t
+                );
 
-            return res.ok({rows: results, count: results.length});
+                await comment.save({transaction: t});
+            });
+
+            return res.ok();
         } catch (err) {
             return next(err);
         }
     });
 
     /**
-     * Create a Comment Vote
+     * Merge a duplicate argument into a canonical argument of the same side
+     *
+     * Duplicates of the merged argument are moved to the canonical argument and the open "duplicate" Reports of it are resolved.
      */
-    app.post('/api/topics/:topicId/comments/:commentId/votes', loginCheck(['partner']), hasPermission(TopicMemberUser.LEVELS.read, true), async function (req, res, next) {
-        const value = parseInt(req.body.value, 10);
+    app.post('/api/users/:userId/topics/:topicId/comments/:commentId/merge', loginCheck(['partner'], 'topics:write'), hasPermission(TopicMemberUser.LEVELS.admin), async function (req, res, next) {
+        const commentId = req.params.commentId;
+        const mergedIntoId = req.body.mergedIntoId;
+
+        if (typeof mergedIntoId !== 'string' || !validator.isUUID(mergedIntoId, 4) || mergedIntoId === commentId) {
+            return res.badRequest('Parameter "mergedIntoId" must be the id of another Comment', 1);
+        }
+
         try {
-            const comment = await Comment
-                .findOne({
-                    where: {
-                        id: req.params.commentId
-                    }
-                });
+            const args = await _findTopicArguments(req.params.topicId, [commentId, mergedIntoId]);
 
-            if (!comment) {
-                return comment;
+            const comment = args.find(function (arg) {
+                return arg.id === commentId;
+            });
+            const commentCanonical = args.find(function (arg) {
+                return arg.id === mergedIntoId;
+            });
+
+            if (!comment || !commentCanonical) {
+                return res.notFound();
             }
 
-            await db
-                .transaction(async function (t) {
-                    const vote = await CommentVote
-                        .findOne({
-                            where: {
-                                commentId: req.params.commentId,
-                                creatorId: req.user.id
-                            },
-                            transaction: t
-                        });
-                    if (vote) {
-                        //User already voted
-                        if (vote.value === value) { // Same value will 0 the vote...
-                            vote.value = 0;
-                        } else {
-                            vote.value = value;
-                        }
-                        vote.topicId = req.params.topicId;
+            if (comment.type !== commentCanonical.type) {
+                return res.badRequest('Comment can only be merged into an argument of the same side', 2);
+            }
 
-                        await cosActivities
-                            .updateActivity(vote, comment, {
-                                type: 'User',
-                                id: req.user.id,
-                                ip: req.ip
-                            }, null, req.method + ' ' + req.path, t);
+            if (commentCanonical.mergedIntoId) {
+                return res.badRequest('Comment can not be merged into a merged Comment', 3);
+            }
 
-                        await vote.save({transaction: t});
-                    } else {
-                        //User has not voted...
-                        const cv = await CommentVote
-                            .create({
-                                commentId: req.params.commentId,
-                                creatorId: req.user.id,
-                                value: req.body.value
-                            }, {
-                                transaction: t
-                            });
-                        const c = _.cloneDeep(comment);
-                        c.topicId = req.params.topicId;
+            const topic = await Topic.findOne({
+                where: {
+                    id: req.params.topicId
+                }
+            });
 
-                        await cosActivities
-                            .createActivity(cv, c, {
-                                type: 'User',
-                                id: req.user.id,
-                                ip: req.ip
-                            }, req.method + ' ' + req.path, t);
+            comment.set({
+                mergedIntoId: commentCanonical.id,
+                mergedById: req.user.id,
+                mergedAt: new Date()
+            });
+
+            await db.transaction(async function (t) {
+                await cosActivities.updateActivity(
+                    comment,
+                    topic,
+                    {
+                        type: 'User',
+                        id: req.user.id,
+                        ip: req.ip
+                    },
+                    null,
+                    req.method + ' ' + req.path,
+                    t
+                );
+
+                await comment.save({transaction: t});
+
+                await Comment.update(
+                    {
+                        mergedIntoId: commentCanonical.id
+                    },
+                    {
+                        where: {
+                            mergedIntoId: comment.id
+                        },
+                        transaction: t
                     }
-                });
+                );
 
-            const results = await db
-                .query(
+                await db.query(
                     `
-                    SELECT
-                        tc."up.count",
-                        tc."down.count",
-                        COALESCE(cvus.selected, false) as "up.selected",
-                        COALESCE(cvds.selected, false) as "down.selected"
-                        FROM (
-                            SELECT
-                                tc."commentId",
-                                COALESCE(cvu.count, 0) as "up.count",
-                                COALESCE(cvd.count, 0) as "down.count"
-                            FROM "TopicComments" tc
-                                LEFT JOIN ( SELECT "commentId", COUNT(value) as count FROM "CommentVotes" WHERE value > 0 GROUP BY "commentId") cvu ON tc."commentId" = cvu."commentId"
-                                LEFT JOIN ( SELECT "commentId", COUNT(value) as count FROM "CommentVotes"  WHERE value < 0 GROUP BY "commentId") cvd ON tc."commentId" = cvd."commentId"
-                            WHERE tc."topicId" = :topicId
-                            AND tc."commentId" = :commentId
-                            GROUP BY tc."commentId", cvu.count, cvd.count
-                        ) tc
-                        LEFT JOIN (SELECT "commentId", "creatorId", value, true AS selected FROM "CommentVotes" WHERE value > 0 AND "creatorId" = :userId) cvus ON (tc."commentId" = cvus."commentId")
-                        LEFT JOIN (SELECT "commentId", "creatorId", value, true AS selected FROM "CommentVotes" WHERE value < 0 AND "creatorId" = :userId) cvds ON (tc."commentId" = cvds."commentId");
+                    UPDATE "Reports" r
+                        SET "resolvedById" = :userId, "resolvedAt" = NOW(), "updatedAt" = NOW()
+                    FROM "CommentReports" cr
+                    WHERE cr."reportId" = r.id
+                    AND cr."commentId" = :commentId
+                    AND r.type = :type
+                    AND r."resolvedAt" IS NULL
+                    AND r."deletedAt" IS NULL
+                    ;
                     `,
                     {
                         replacements: {
-                            topicId: req.params.topicId,
-                            commentId: req.params.commentId,
-                            userId: req.user.id
-                        },
-                        type: db.QueryTypes.SELECT,
-                        raw: true,
-                        nest: true
+                            userId: req.user.id,
+                            commentId: comment.id,
+                            type: Report.TYPES.duplicate
+                        },
+                        type: db.QueryTypes.UPDATE,
+                        transaction: t
                     }
                 );
+            });
 
-            if (!results) {
+            return res.ok();
+        } catch (err) {
+            return next(err);
+        }
+    });
+
+    /**
+     * Undo the merge of an argument
+     */
+    app.delete('/api/users/:userId/topics/:topicId/comments/:commentId/merge', loginCheck(['partner'], 'topics:write'), hasPermission(TopicMemberUser.LEVELS.admin), async function (req, res, next) {
+        try {
+            const args = await _findTopicArguments(req.params.topicId, [req.params.commentId]);
+            const comment = args[0];
+
+            if (!comment || !comment.mergedIntoId) {
                 return res.notFound();
             }
 
-            return res.ok(results[0]);
-        } catch(err) {
-            next(err);
+            const topic = await Topic.findOne({
+                where: {
+                    id: req.params.topicId
+                }
+            });
+
+            comment.set({
+                mergedIntoId: null,
+                mergedById: null,
+                mergedAt: null
+            });
+
+            await db.transaction(async function (t) {
+                await cosActivities.updateActivity(
+                    comment,
+                    topic,
+                    {
+                        type: 'User',
+                        id: req.user.id,
+                        ip: req.ip
+                    },
+                    null,
+                    req.method + ' ' + req.path,
+                    t
+                );
+
+                await comment.save({transaction: t});
+            });
+
+            return res.ok();
+        } catch (err) {
+            return next(err);
         }
     });
 
@@ -5410,16 +7590,24 @@ module.exports = function (app) {
     /**
      * Create a Vote
      */
-    app.post('/api/users/:userId/topics/:topicId/votes', loginCheck(['partner']), hasPermission(TopicMemberUser.LEVELS.admin, null, [Topic.STATUSES.inProgress]), async function (req, res, next) {
+    app.post('/api/users/:userId/topics/:topicId/votes', loginCheck(['partner'], 'topics:write'), hasPermission(TopicMemberUser.LEVELS.admin, null, [Topic.STATUSES.inProgress]), async function (req, res, next) {
         try {
-            const voteOptions = req.body.options;
+            const topic = await Topic.findOne({
+                where: {
+                    id: req.params.topicId
+                }
+            });
+
+            // Topics created from a template or cloned have the Vote settings filled in, the values given in the request override them
+            const voteData = Object.assign({}, _.cloneDeep(topic.voteDefaults), _.omitBy(req.body, _.isNil));
+            const voteOptions = voteData.options;
 
             if (!voteOptions || !Array.isArray(voteOptions) || voteOptions.length < 2) {
                 return res.badRequest('At least 2 vote options are required', 1);
             }
 
-            const authType = req.body.authType || Vote.AUTH_TYPES.soft;
-            const delegationIsAllowed = req.body.delegationIsAllowed || false;
+            const authType = voteData.authType || Vote.AUTH_TYPES.soft;
+            const delegationIsAllowed = voteData.delegationIsAllowed || false;
 
             // We cannot allow too similar options, otherwise the options are not distinguishable in the signed file
             if (authType === Vote.AUTH_TYPES.hard) {
@@ -5445,23 +7633,47 @@ module.exports = function (app) {
                 return res.badRequest('Delegation is not allowed for authType "' + authType + '"', 3);
             }
 
-            const vote = Vote.build({
-                minChoices: req.body.minChoices || 1,
-                maxChoices: req.body.maxChoices || 1,
-                delegationIsAllowed: req.body.delegationIsAllowed || false,
-                endsAt: req.body.endsAt,
-                description: req.body.description,
-                type: req.body.type || Vote.TYPES.regular,
-                authType: authType,
-                autoClose: req.body.autoClose
-            });
+            // Signed containers, delegations and weights all require knowing who cast the ballot
+            if (voteData.ballotIsSecret && (authType === Vote.AUTH_TYPES.hard || delegationIsAllowed || voteData.weightSource)) {
+                return res.badRequest('Secret ballot is not allowed with authType "' + Vote.AUTH_TYPES.hard + '", delegation or weighted voting', 6);
+            }
 
+            const type = voteData.type || Vote.TYPES.regular;
+            let minChoices = voteData.minChoices || 1;
+            let maxChoices = voteData.maxChoices || 1;
+            let scoreMax = null;
 
-            // TODO: Some of these queries can be done in parallel
-            const topic = await Topic.findOne({
-                where: {
-                    id: req.params.topicId
-                }
+            switch (type) {
+                case Vote.TYPES.ranked: // Voter has to rank all the options
+                    minChoices = voteOptions.length;
+                    maxChoices = voteOptions.length;
+                    break;
+                case Vote.TYPES.score: // Voter has to score all the options
+                    if (!voteData.scoreMax) {
+                        return res.badRequest('Maximum score is required for Vote type "' + type + '"', 5);
+                    }
+                    scoreMax = voteData.scoreMax;
+                    minChoices = voteOptions.length;
+                    maxChoices = voteOptions.length;
+                    break;
+                case Vote.TYPES.approval: // Voter can approve all the options by default
+                    maxChoices = voteData.maxChoices || voteOptions.length;
+                    break;
+            }
+
+            const vote = Vote.build({
+                minChoices: minChoices,
+                maxChoices: maxChoices,
+                delegationIsAllowed: voteData.delegationIsAllowed || false,
+                ballotIsSecret: voteData.ballotIsSecret || false,
+                endsAt: voteData.endsAt,
+                description: voteData.description,
+                type: type,
+                scoreMax: scoreMax,
+                weightSource: voteData.weightSource || null,
+                authType: authType,
+                autoClose: voteData.autoClose,
+                resultsVisibility: voteData.resultsVisibility
             });
 
             await db
@@ -5552,6 +7764,11 @@ module.exports = function (app) {
                     });
 
                     await cosSignature.createVoteFiles(restopic, vote, voteOptionsCreated, t);
+
+                    if (vote.endsAt) {
+                        await cosDeadlines.scheduleVoteEnd(vote, topic.id, t);
+                    }
+
                     t.afterCommit(() => {
                         return res.created(vote.toJSON());
                     })
@@ -5565,7 +7782,7 @@ module.exports = function (app) {
     /**
      * Read a Vote
      */
-    app.get('/api/users/:userId/topics/:topicId/votes/:voteId', loginCheck(['partner']), hasPermission(TopicMemberUser.LEVELS.read, true), async function (req, res, next) {
+    app.get('/api/users/:userId/topics/:topicId/votes/:voteId', loginCheck(['partner'], 'topics:read'), hasPermission(TopicMemberUser.LEVELS.read, true), async function (req, res, next) {
         const topicId = req.params.topicId;
         const voteId = req.params.voteId;
         const userId = req.user.id;
@@ -5600,6 +7817,7 @@ module.exports = function (app) {
             }
 
             const voteResults = await getVoteResults(voteId, userId);
+            const isResultsVisible = _isVoteResultsVisible(voteInfo, req.locals.topic.status, req.locals.topic.permissions.level, (await _getVotedVoteIds([voteId], userId)).length > 0);
             let hasVoted = false;
             if (voteResults && voteResults.length) {
                 voteInfo.dataValues.VoteOptions.forEach(function (option)
@@ -5608,7 +7826,7 @@ module.exports = function (app) {
 
                     if (result) {
                         const voteCount = parseInt(result.voteCount, 10);
-                        if (voteCount)
+                        if (voteCount && isResultsVisible)
                             option.dataValues.voteCount = voteCount;//TODO: this could be replaced with virtual getters/setters - https://gist.github.com/pranildasika/2964211
                         if (result.selected) {
                             option.dataValues.selected = result.selected; //TODO: this could be replaced with virtual getters/setters - https://gist.github.com/pranildasika/2964211
@@ -5617,7 +7835,13 @@ module.exports = function (app) {
                     }
                 });
 
-                voteInfo.dataValues.votersCount = voteResults[0].votersCount;
+                if (isResultsVisible) {
+                    voteInfo.dataValues.votersCount = voteResults[0].votersCount;
+                }
+            }
+
+            if (isResultsVisible) {
+                voteInfo.dataValues.results = await getVoteTally(voteInfo);
             }
 
             // TODO: Contains duplicate code with GET /status AND /sign
@@ -5658,7 +7882,7 @@ module.exports = function (app) {
     /**
      * Update a Vote
      */
-    app.put('/api/users/:userId/topics/:topicId/votes/:voteId', loginCheck(['partner']), hasPermission(TopicMemberUser.LEVELS.admin), async function (req, res, next) {
+    app.put('/api/users/:userId/topics/:topicId/votes/:voteId', loginCheck(['partner'], 'topics:write'), hasPermission(TopicMemberUser.LEVELS.admin), async function (req, res, next) {
         const topicId = req.params.topicId;
         const voteId = req.params.voteId;
         try {
@@ -5706,6 +7930,8 @@ module.exports = function (app) {
                     transaction: t
                 });
 
+                await cosDeadlines.scheduleVoteEnd(vote, topicId, t);
+
                 t.afterCommit(() => {
                     return res.ok(vote.toJSON());
                 });
@@ -5741,6 +7967,11 @@ module.exports = function (app) {
                 return res.notFound();
             }
 
+            // The public sees the results only as allowed by Vote.resultsVisibility
+            if (!_isVoteResultsVisible(voteInfo, voteInfo.Topics[0].status)) {
+                return res.ok(voteInfo);
+            }
+
             const voteResults = await getVoteResults(voteId);
             if (voteResults && voteResults.length) {
                 _(voteInfo.dataValues.VoteOptions).forEach(function (option) {
@@ -5755,6 +7986,8 @@ module.exports = function (app) {
                 voteInfo.dataValues.votersCount = voteResults[0].votersCount;
             }
 
+            voteInfo.dataValues.results = await getVoteTally(voteInfo);
+
             return res.ok(voteInfo);
         } catch (err) {
             return next(err);
@@ -5816,6 +8049,36 @@ module.exports = function (app) {
                 .replace(':maxChoices', vote.maxChoices));
         }
 
+        if (!isSingelOption && vote.type === Vote.TYPES.ranked) {
+            const ranks = _.sortBy(_.map(voteOptions, 'rank'));
+            if (vote.VoteOptions.length !== voteOptions.length || !_.isEqual(ranks, _.range(1, voteOptions.length + 1))) {
+                return res.badRequest('All the options must be ranked from 1 to :count, each rank used once.'
+                    .replace(':count', voteOptions.length));
+            }
+        }
+
+        if (!isSingelOption && vote.type === Vote.TYPES.score) {
+            const isValidScores = voteOptions.every(function (option) {
+                return Number.isInteger(option.score) && option.score >= 0 && option.score <= vote.scoreMax;
+            });
+            if (vote.VoteOptions.length !== voteOptions.length || !isValidScores) {
+                return res.badRequest('All the options must be scored from 0 to :scoreMax.'
+                    .replace(':scoreMax', vote.scoreMax));
+            }
+        }
+
+        // Keep the ranking or scores only for the Vote types that use them. VoteOptions are passed on to signing, so that the ranking ends up in the signed container.
+        req.body.options.forEach(function (option) {
+            option.rank = vote.type === Vote.TYPES.ranked ? option.rank : null;
+            option.score = vote.type === Vote.TYPES.score ? option.score : null;
+
+            const voteOption = _.find(vote.VoteOptions, {id: option.optionId});
+            if (voteOption) {
+                voteOption.dataValues.rank = option.rank;
+                voteOption.dataValues.score = option.score;
+            }
+        });
+
         return vote;
     };
 
@@ -5839,6 +8102,7 @@ module.exports = function (app) {
                     if (topicMembers.users.count === voteResults[0].votersCount) {
                         vote.endsAt = moment().format();
                         await vote.save();
+                        await cosDeadlines.scheduleVoteEnd(vote, topicId);
 
                         return true;
                     }
@@ -5864,7 +8128,7 @@ module.exports = function (app) {
         const voteList = await VoteList.bulkCreate(
         voteOptions,
         {
-            fields: ['optionId', 'voteId', 'userId', 'optionGroupId', 'userHash'],
+            fields: ['optionId', 'voteId', 'userId', 'optionGroupId', 'userHash', 'rank', 'score'],
             transaction: transaction
         });
         const topic = await Topic.findOne({
@@ -5881,6 +8145,8 @@ module.exports = function (app) {
         voteList.forEach(function (el, key) {
             delete el.dataValues.optionId;
             delete el.dataValues.optionGroupId;
+            delete el.dataValues.rank;
+            delete el.dataValues.score;
             el = VoteList.build(el.dataValues);
             vl[key] = el;
         });
@@ -5905,6 +8171,109 @@ module.exports = function (app) {
         });
     };
 
+    /**
+     * Cast a secret ballot
+     *
+     * Participation is stored in VoteParticipants and the ballot in VoteLists without the Voter, so neither the data nor the Activity feed link the Voter to the choices.
+     * Timestamps of both are set to the creation time of the Vote, so that they cannot be matched by the time of voting. As the ballot is not linked to the Voter, it cannot be changed later.
+     *
+     * @param {object} vote Vote Sequelize instance
+     * @param {object} req Express request
+     * @param {object} res Express response
+     *
+     * @returns {Promise<void>}
+     */
+    const handleTopicVoteSecret = async function (vote, req, res) {
+        const voteId = vote.id;
+        const userId = req.user.id;
+        const topicId = req.params.topicId;
+
+        const voteOptions = req.body.options;
+        // Ballot id - the Voter can check from the final results that the ballot was counted. Must not be guessable, 48 random bits fit the 8 characters of VoteList.optionGroupId.
+        const optionGroupId = crypto.randomBytes(6).toString('base64').replace(/\+/g, '-').replace(/\//g, '_');
+
+        const participant = await VoteParticipant.findOne({
+            where: {
+                voteId: voteId,
+                userId: userId
+            }
+        });
+
+        if (participant) {
+            return res.badRequest('User has already voted. Secret ballot cannot be changed.');
+        }
+
+        try {
+            await db
+                .transaction(async function (t) {
+                    const voteParticipant = await VoteParticipant.create(
+                        {
+                            voteId: voteId,
+                            userId: userId,
+                            createdAt: vote.createdAt,
+                            updatedAt: vote.createdAt
+                        },
+                        {
+                            silent: true,
+                            transaction: t
+                        }
+                    );
+
+                    _(voteOptions).forEach(function (o) {
+                        o.voteId = voteId;
+                        o.userId = null;
+                        o.optionGroupId = optionGroupId;
+                        o.createdAt = vote.createdAt;
+                        o.updatedAt = vote.createdAt;
+                    });
+
+                    await VoteList.bulkCreate(
+                        voteOptions,
+                        {
+                            fields: ['optionId', 'voteId', 'userId', 'optionGroupId', 'rank', 'score', 'createdAt', 'updatedAt'],
+                            transaction: t
+                        }
+                    );
+
+                    const topic = await Topic.findOne({
+                        where: {
+                            id: topicId
+                        },
+                        transaction: t
+                    });
+                    let tc = _.cloneDeep(topic.dataValues);
+                    tc.description = null;
+                    tc = Topic.build(tc);
+
+                    await cosActivities.createActivity(
+                        voteParticipant,
+                        tc,
+                        {
+                            type: 'User',
+                            id: userId,
+                            ip: req.ip
+                        },
+                        req.method + ' ' + req.path,
+                        t
+                    );
+                });
+        } catch (err) {
+            if (err instanceof db.Sequelize.UniqueConstraintError) { // Parallel requests
+                return res.badRequest('User has already voted. Secret ballot cannot be changed.');
+            }
+
+            throw err;
+        }
+
+        const isClosed = await _handleVoteAutoCloseConditions(voteId, topicId, userId);
+
+        if (isClosed) {
+            return res.reload({ballotId: optionGroupId});
+        }
+
+        return res.ok({ballotId: optionGroupId});
+    };
+
     const handleTopicVoteSoft = async function (vote, req, res) {
         const voteId = vote.id;
         const userId = req.user.id;
@@ -5912,6 +8281,10 @@ module.exports = function (app) {
 
         const voteOptions = req.body.options;
 
+        if (vote.ballotIsSecret) {
+            return handleTopicVoteSecret(vote, req, res);
+        }
+
         await db
             .transaction(async function (t) {
                 // Store vote options
@@ -6148,7 +8521,7 @@ module.exports = function (app) {
      * TODO: Should simplify all of this routes code. It's a mess cause I decided to keep one endpoint for all of the voting. Maybe it's a better idea to move authType===hard to separate endpont
      * TODO: create an alias /api/topics/:topicId/votes/:voteId for un-authenticated signing? I's weird to call /users/self when user has not logged in...
      */
-    app.post('/api/users/:userId/topics/:topicId/votes/:voteId', loginCheck(['partner']), hasPermission(TopicMemberUser.LEVELS.read, true, [Topic.STATUSES.voting]), async function (req, res, next) {
+    app.post('/api/users/:userId/topics/:topicId/votes/:voteId', loginCheck(['partner'], 'votes:cast'), hasPermission(TopicMemberUser.LEVELS.read, true, [Topic.STATUSES.voting]), async function (req, res, next) {
         try {
             const vote = await handleTopicVotePreconditions(req, res)
             if (vote.authType === Vote.AUTH_TYPES.soft) {
@@ -6324,7 +8697,7 @@ module.exports = function (app) {
      *
      * Complete the ID-card signing flow started by calling POST /api/users/:userId/topics/:topicId/votes/:voteId
      */
-    app.post('/api/users/:userId/topics/:topicId/votes/:voteId/sign', loginCheck(['partner']), hasPermission(TopicMemberUser.LEVELS.read, true, [Topic.STATUSES.voting]), handleTopicVoteSign);
+    app.post('/api/users/:userId/topics/:topicId/votes/:voteId/sign', loginCheck(['partner'], 'votes:cast'), hasPermission(TopicMemberUser.LEVELS.read, true, [Topic.STATUSES.voting]), handleTopicVoteSign);
 
 
     const handleTopicVoteStatus = async function (req, res, next) {
@@ -6502,7 +8875,7 @@ module.exports = function (app) {
      *
      * Initially designed only for Mobile-ID signing. The signing is to be started by calling POST /api/users/:userId/topics/:topicId/votes/:voteId.
      */
-    app.get('/api/users/:userId/topics/:topicId/votes/:voteId/status', loginCheck(['partner']), hasPermission(TopicMemberUser.LEVELS.read, true, [Topic.STATUSES.voting]), handleTopicVoteStatus);
+    app.get('/api/users/:userId/topics/:topicId/votes/:voteId/status', loginCheck(['partner'], 'votes:cast'), hasPermission(TopicMemberUser.LEVELS.read, true, [Topic.STATUSES.voting]), handleTopicVoteStatus);
 
 
     /**
@@ -6711,7 +9084,7 @@ module.exports = function (app) {
     /**
      * Delegate a Vote
      */
-    app.post('/api/users/:userId/topics/:topicId/votes/:voteId/delegations', loginCheck(['partner']), hasPermission(TopicMemberUser.LEVELS.read, null, [Topic.STATUSES.voting]), async function (req, res, next) {
+    app.post('/api/users/:userId/topics/:topicId/votes/:voteId/delegations', loginCheck(['partner'], 'votes:cast'), hasPermission(TopicMemberUser.LEVELS.read, null, [Topic.STATUSES.voting]), async function (req, res, next) {
         const topicId = req.params.topicId;
         const voteId = req.params.voteId;
 
@@ -6745,6 +9118,10 @@ module.exports = function (app) {
             return res.badRequest('The Vote has ended.');
         }
 
+        if (vote.ballotIsSecret) {
+            return res.badRequest('Delegation is not allowed for secret ballot.', 3);
+        }
+
         try {
             await db.transaction(async function (t) {
                 try {
@@ -6819,8 +9196,40 @@ module.exports = function (app) {
                             t
                         );
 
+                    // Weight passed on with the delegation - the weight of the User and everyone who has delegated to the User
+                    const delegated = await db.query(`
+                        WITH
+                            RECURSIVE delegators("userId") AS (
+                                SELECT CAST(:byUserId AS uuid)
+                                UNION
+                                SELECT
+                                    vd."byUserId"
+                                FROM "VoteDelegations" vd
+                                JOIN delegators d ON (vd."toUserId" = d."userId")
+                                WHERE vd."voteId" = :voteId
+                                    AND vd."deletedAt" IS NULL
+                            ),
+                            ${voterWeights.getCteSql(':voteId')}
+                        SELECT
+                            SUM(COALESCE(vw."weight", 1)) AS "weight"
+                        FROM delegators d
+                        LEFT JOIN voter_weights vw ON (vw."userId" = d."userId")
+                        ;`,
+                        {
+                            replacements: {
+                                voteId: voteId,
+                                byUserId: req.user.id
+                            },
+                            type: db.QueryTypes.SELECT,
+                            raw: true,
+                            transaction: t
+                        }
+                    );
+
                     t.afterCommit(() => {
-                        return res.ok();
+                        return res.ok({
+                            weight: parseInt(delegated[0].weight, 10)
+                        });
                     });
                 } catch (err) {
                     // HACK: Forcing division by zero when cyclic delegation is detected. Cannot use result check as both update and cyclic return [].
@@ -6842,7 +9251,7 @@ module.exports = function (app) {
     /**
      * Delete Vote delegation
      */
-    app.delete('/api/users/:userId/topics/:topicId/votes/:voteId/delegations', loginCheck(['partner']), hasPermission(TopicMemberUser.LEVELS.read, null, [Topic.STATUSES.voting]), async function (req, res, next) {
+    app.delete('/api/users/:userId/topics/:topicId/votes/:voteId/delegations', loginCheck(['partner'], 'votes:cast'), hasPermission(TopicMemberUser.LEVELS.read, null, [Topic.STATUSES.voting]), async function (req, res, next) {
         try {
             const topicId = req.params.topicId;
             const voteId = req.params.voteId;
@@ -6922,6 +9331,17 @@ module.exports = function (app) {
                 return res.forbidden();
             }
 
+            // Tokens issued to the Institutions on delivery tie the Events to the delivery
+            let delivery = null;
+            if (req.locals && req.locals.tokenDecoded && req.locals.tokenDecoded.deliveryId) {
+                delivery = await TopicDelivery.findOne({
+                    where: {
+                        id: req.locals.tokenDecoded.deliveryId,
+                        topicId: topicId
+                    }
+                });
+            }
+
             await db
                 .transaction(async function (t) {
                     const event = await TopicEvent
@@ -6929,12 +9349,25 @@ module.exports = function (app) {
                             {
                                 topicId: topicId,
                                 subject: req.body.subject,
-                                text: req.body.text
+                                text: req.body.text,
+                                deliveryId: delivery ? delivery.id : null
+                            },
+                            {
+                                transaction: t
+                            }
+                        );
+
+                    if (delivery) {
+                        await delivery.update(
+                            {
+                                status: TopicDelivery.STATUSES.responded,
+                                respondedAt: event.createdAt
                             },
                             {
                                 transaction: t
                             }
                         );
+                    }
                     const actor = {
                         type: 'User',
                         ip: req.ip
@@ -6962,7 +9395,7 @@ module.exports = function (app) {
     };
 
     /** Create an Event **/
-    app.post('/api/users/:userId/topics/:topicId/events', loginCheck(['partner']), hasPermission(TopicMemberUser.LEVELS.admin, null, [Topic.STATUSES.followUp]), topicEventsCreate);
+    app.post('/api/users/:userId/topics/:topicId/events', loginCheck(['partner'], 'topics:write'), hasPermission(TopicMemberUser.LEVELS.admin, null, [Topic.STATUSES.followUp]), topicEventsCreate);
 
 
     /**
@@ -6993,7 +9426,7 @@ module.exports = function (app) {
 
 
     /** List Events **/
-    app.get('/api/users/:userId/topics/:topicId/events', loginCheck(['partner']), hasPermission(TopicMemberUser.LEVELS.read, true, [Topic.STATUSES.followUp, Topic.STATUSES.closed]), topicEventsList);
+    app.get('/api/users/:userId/topics/:topicId/events', loginCheck(['partner'], 'topics:read'), hasPermission(TopicMemberUser.LEVELS.read, true, [Topic.STATUSES.followUp, Topic.STATUSES.closed]), topicEventsList);
 
 
     /**
@@ -7002,10 +9435,40 @@ module.exports = function (app) {
     app.get('/api/topics/:topicId/events', hasVisibility(Topic.VISIBILITY.public), topicEventsList);
 
 
+    const topicDeliveriesList = async function (req, res, next) {
+        try {
+            const deliveries = await TopicDelivery
+                .findAll({
+                    where: {
+                        topicId: req.params.topicId
+                    },
+                    order: [['createdAt', 'DESC']]
+                });
+
+            return res.ok({
+                count: deliveries.length,
+                rows: deliveries
+            });
+        } catch (err) {
+            return next(err);
+        }
+    };
+
+    /**
+     * List Topic deliveries to the Institutions
+     */
+    app.get('/api/users/:userId/topics/:topicId/deliveries', loginCheck(['partner'], 'topics:read'), hasPermission(TopicMemberUser.LEVELS.read, true, [Topic.STATUSES.followUp, Topic.STATUSES.closed]), topicDeliveriesList);
+
+    /**
+     * List public Topic deliveries to the Institutions
+     */
+    app.get('/api/topics/:topicId/deliveries', hasVisibility(Topic.VISIBILITY.public), topicDeliveriesList);
+
+
     /**
      * Delete event
      */
-    app.delete('/api/users/:userId/topics/:topicId/events/:eventId', loginCheck(['partner']), hasPermission(TopicMemberUser.LEVELS.admin, null, [Topic.STATUSES.followUp]), async function (req, res, next) {
+    app.delete('/api/users/:userId/topics/:topicId/events/:eventId', loginCheck(['partner'], 'topics:write'), hasPermission(TopicMemberUser.LEVELS.admin, null, [Topic.STATUSES.followUp]), async function (req, res, next) {
         const topicId = req.params.topicId;
         const eventId = req.params.eventId;
         try {
@@ -7041,7 +9504,7 @@ module.exports = function (app) {
         }
     });
 
-    app.post('/api/users/:userId/topics/:topicId/pin', loginCheck(['partner']), async function (req, res, next) {
+    app.post('/api/users/:userId/topics/:topicId/pin', loginCheck(['partner'], 'topics:write'), async function (req, res, next) {
         const userId = req.user.id;
         const topicId = req.params.topicId;
 
@@ -7065,7 +9528,7 @@ module.exports = function (app) {
         }
     });
 
-    app.delete('/api/users/:userId/topics/:topicId/pin', loginCheck(['partner']), async function (req, res, next) {
+    app.delete('/api/users/:userId/topics/:topicId/pin', loginCheck(['partner'], 'topics:write'), async function (req, res, next) {
         const userId = req.user.id;
         const topicId = req.params.topicId;
 
@@ -7106,8 +9569,73 @@ module.exports = function (app) {
         }
     });
 
+    /**
+     * Read Topic notification settings
+     *
+     * If the User has no setting for the Topic, "frequency" is null and Group or User default settings apply.
+     */
+    app.get('/api/users/:userId/topics/:topicId/notifications/settings', loginCheck(['partner'], 'notifications:manage'), hasPermission(TopicMemberUser.LEVELS.read, true), async function (req, res, next) {
+        try {
+            const setting = await NotificationSetting.findOne({
+                where: {
+                    userId: req.user.id,
+                    topicId: req.params.topicId
+                }
+            });
+
+            return res.ok({
+                topicId: req.params.topicId,
+                frequency: setting ? setting.frequency : null
+            });
+        } catch (err) {
+            return next(err);
+        }
+    });
+
+    /**
+     * Update Topic notification settings
+     *
+     * For public Topics this also enables to follow the Topic without being a member.
+     */
+    app.put('/api/users/:userId/topics/:topicId/notifications/settings', loginCheck(['partner'], 'notifications:manage'), hasPermission(TopicMemberUser.LEVELS.read, true), async function (req, res, next) {
+        const frequency = req.body.frequency;
+
+        if (!NotificationSetting.FREQUENCIES[frequency]) {
+            return res.badRequest('Invalid value for "frequency". Must be one of: ' + Object.keys(NotificationSetting.FREQUENCIES).join(', '), 1);
+        }
+
+        try {
+            const setting = await cosNotifications.setFrequency(req.user.id, {topicId: req.params.topicId}, frequency);
+
+            return res.ok(setting);
+        } catch (err) {
+            return next(err);
+        }
+    });
+
+    /**
+     * Delete Topic notification settings, so that Group or User default settings apply
+     */
+    app.delete('/api/users/:userId/topics/:topicId/notifications/settings', loginCheck(['partner'], 'notifications:manage'), hasPermission(TopicMemberUser.LEVELS.read, true), async function (req, res, next) {
+        try {
+            await NotificationSetting.destroy({
+                where: {
+                    userId: req.user.id,
+                    topicId: req.params.topicId
+                }
+            });
+
+            return res.ok();
+        } catch (err) {
+            return next(err);
+        }
+    });
+
     return {
-        hasPermission: hasPermission
+        hasPermission: hasPermission,
+        checkPermission: _hasPermission,
+        getVoteResults: getVoteResults,
+        canSeeVoteResults: canSeeVoteResults
     };
 }
 ;
@@ -4,131 +4,106 @@ module.exports = function (app) {
 
     const config = app.get('config');
     const loginCheck = app.get('middleware.loginCheck');
+    const authTokenRestrictedUse = app.get('middleware.authTokenRestrictedUse');
+    const cosStorage = app.get('cosStorage');
 
-    const AWS = require('aws-sdk');
     const uuid = app.get('uuid');
-    const Promise = app.get('Promise');
     const Busboy = app.get('busboy');
     const StreamUpload = app.get('stream_upload');
     const path = require('path');
     const url = require('url');
     const logger = app.get('logger');
 
-    const credentials = {
-        accessKeyId: config.storage.accessKeyId,
-        secretAccessKey: config.storage.secretAccessKey
-    };
+    const store = cosStorage.store;
 
     /**
      * Sign upload
+     *
+     * For uploading public files (images in the Topic description) directly from the client. Requires the S3 storage.
      */
 
-    app.get('/api/users/:userId/upload/sign', loginCheck(['partner']), function (req, res, next) {
-
+    app.get('/api/users/:userId/upload/sign', loginCheck(['partner'], 'topics:write'), async function (req, res, next) {
         let filename = uuid.v4();
         const filetype = req.query.filetype;
         const folder = req.query.folder;
-        const bucket = config.storage.bucket;
+
+        if (!store.getUploadUrl) {
+            return res.badRequest('Signed uploads are not supported by the storage', 1);
+        }
 
         if (folder) {
             filename = folder + '/' + filename;
         }
 
-        const s3Params = {
-            Bucket: bucket,
-            Key: filename,
-            Expires: 900,
-            ContentType: filetype,
-            ACL: 'public-read'
-        };
-
-        const s3 = new AWS.S3(credentials);
-        s3.getSignedUrl('putObject', s3Params, function (err, data) {
-            if (err) {
-                return next(err);
-            }
-            const returnData = {
-                signedRequest: data,
-                url: 'https://' + bucket + '.s3.amazonaws.com/' + filename,
-                filename: filename
-            };
+        if (cosStorage.isPrivateKey(filename)) {
+            return res.forbidden();
+        }
 
-            return res.ok(returnData);
-        });
+        try {
+            const signedRequest = await store.getUploadUrl(filename, {
+                contentType: filetype,
+                expiresIn: 900,
+                isPublic: true
+            });
+
+            return res.ok({
+                signedRequest: signedRequest,
+                url: store.getPublicUrl(filename),
+                filename: filename
+            });
+        } catch (err) {
+            return next(err);
+        }
     });
 
     /**
      * Sign download
+     *
+     * For the public uploads only, Attachments and data exports are downloaded through the routes that check the permissions.
      */
-    app.get('/api/upload/signdownload', function (req, res, next) {
+    app.get('/api/upload/signdownload', async function (req, res, next) {
         let filename = req.query.filename;
         const filetype = req.query.filetype;
         let downloadName = req.query.downloadName;
         const folder = req.query.folder;
-        const bucket = config.storage.bucket;
 
         if (folder) {
             filename = folder + '/' + filename;
         }
 
-        let responseHeader = 'attachment;';
+        if (cosStorage.isPrivateKey(filename)) {
+            return res.forbidden();
+        }
 
         if (downloadName) {
             const regEx = new RegExp('.' + filetype, 'gi');
-            downloadName = [encodeURIComponent(downloadName.replace(regEx, '')), filetype].join('.');
-            responseHeader += 'filename=' + downloadName;
+            downloadName = [downloadName.replace(regEx, ''), filetype].join('.');
         }
 
-        const s3 = new AWS.S3(credentials);
-
-        const params = {
-            Bucket: bucket,
-            Key: filename,
-            Expires: 60,
-            ResponseContentDisposition: responseHeader
-        };
-
-        s3.getSignedUrl('getObject', params, function (err, url) {
-            if (err) {
-                return next(err, req, res);
-            }
+        try {
+            const downloadUrl = await cosStorage.getDownloadUrl(filename, downloadName || path.basename(filename));
 
-            return res.ok({url: url});
-        });
+            return res.ok({url: downloadUrl});
+        } catch (err) {
+            return next(err);
+        }
     });
 
+    app.delete('/api/users/:userId/upload', loginCheck(['partner'], 'topics:write'), async function (req, res, next) {
+        let filename = req.query.filename;
+        const folder = req.query.folder;
 
-    const _deleteFromS3 = function (filename, folder) {
-        return new Promise(function (resolve, reject) {
-            const s3 = new AWS.S3();
-            const bucket = config.storage.bucket;
-
-            if (folder) {
-                filename = folder + '/' + filename;
-            }
-
-            const params = {
-                Bucket: bucket,
-                Key: filename
-            };
-
-            s3.deleteObject(params, function (err) {
-                if (err) {
-                    return reject(err);
-                }
-
-                return resolve();
-            });
-        });
-    };
+        if (folder) {
+            filename = folder + '/' + filename;
+        }
 
-    app.delete('/api/users/:userId/upload', loginCheck(['partner']), async function (req, res, next) {
-        const filename = req.query.filename;
-        const folder = req.query.folder;
+        if (cosStorage.isPrivateKey(filename)) {
+            return res.forbidden();
+        }
 
         //FIXME: No delete from DB?
         try {
-            await _deleteFromS3(filename, folder);
+            await store.delete(filename);
 
             return  res.ok();
         } catch (e) {
@@ -136,6 +111,34 @@ module.exports = function (app) {
         }
     });
 
+    /**
+     * Download a file from the local storage
+     *
+     * The URL with the restricted use token is issued by the local storage "getDownloadUrl".
+     */
+    if (store.PATH_DOWNLOAD) {
+        app.get(store.PATH_DOWNLOAD, authTokenRestrictedUse, function (req, res, next) {
+            const tokenDecoded = req.locals.tokenDecoded;
+            const fileStream = store.getStream(tokenDecoded.key);
+
+            fileStream
+                .on('open', function () {
+                    res.set('Content-Type', tokenDecoded.contentType || 'application/octet-stream');
+                    res.set('Content-Disposition', 'attachment; filename=' + encodeURIComponent(tokenDecoded.filename));
+                    res.set('X-Content-Type-Options', 'nosniff');
+
+                    fileStream.pipe(res);
+                })
+                .on('error', function (err) {
+                    if (err.code === 'ENOENT') {
+                        return res.notFound();
+                    }
+
+                    return next(err);
+                });
+        });
+    }
+
     const drainStream = function (stream) {
         stream.on('readable', stream.read.bind(stream));
     };
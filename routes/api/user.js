@@ -3,6 +3,7 @@
 module.exports = function (app) {
     const models = app.get('models');
     const db = models.sequelize;
+    const _ = app.get('lodash');
 
     const loginCheck = app.get('middleware.loginCheck');
     const emailLib = app.get('email');
@@ -13,15 +14,25 @@ module.exports = function (app) {
     const uuid = app.get('uuid');
     const moment = app.get('moment');
     const validator = app.get('validator');
+    const cosNotifications = app.get('cosNotifications');
+    const authTokenRestrictedUse = app.get('middleware.authTokenRestrictedUse');
+    const cosUserDataExport = app.get('cosUserDataExport');
+    const cosStorage = app.get('cosStorage');
+    const cosOpenId = app.get('cosOpenId');
+    const cosTwoFactor = app.get('cosTwoFactor');
+    const cosSession = app.get('cosSession');
 
     const User = models.User;
     const UserConsent = models.UserConsent;
     const UserConnection = models.UserConnection;
+    const NotificationSetting = models.NotificationSetting;
+    const UserDataExport = models.UserDataExport;
+    const UserTwoFactor = models.UserTwoFactor;
 
     /**
      * Update User info
      */
-    app.put('/api/users/:userId', loginCheck(['partner']), async function (req, res, next) {
+    app.put('/api/users/:userId', loginCheck(['partner'], 'profile:write'), async function (req, res, next) {
         try {
             const fields = ['name', 'company', 'email', 'language', 'imageUrl', 'termsVersion'];
             if (!req.user.partnerId) { // Allow only our own app change the password
@@ -104,7 +115,14 @@ module.exports = function (app) {
                 return res.notFound();
             }
 
-            return res.ok(user.toJSON());
+            const userData = user.toJSON();
+
+            // Partner access tokens need the "profile:email" scope for the e-mail address
+            if (req.user.scope === 'partner' && (!Array.isArray(req.user.scopes) || req.user.scopes.indexOf(cosOpenId.API_SCOPES['profile:email']) < 0)) {
+                delete userData.email;
+            }
+
+            return res.ok(userData);
         } catch (err) {
             return next(err);
         }
@@ -161,7 +179,47 @@ module.exports = function (app) {
                     transaction: t
                 });
 
-                t.afterCommit(() => {
+                await UserTwoFactor.destroy({
+                    where: {
+                        userId: req.user.id
+                    },
+                    transaction: t
+                });
+
+                await cosSession.revokeAll(req.user.id, null, t);
+                await cosOpenId.revokeUserGrants(req.user.id, null, t);
+
+                // Data exports hold the personal data that was just removed
+                const userDataExports = await UserDataExport.findAll({
+                    where: {
+                        userId: req.user.id,
+                        status: [UserDataExport.STATUSES.pending, UserDataExport.STATUSES.ready]
+                    },
+                    transaction: t
+                });
+
+                await UserDataExport.update(
+                    {
+                        status: UserDataExport.STATUSES.expired,
+                        storageKey: null
+                    },
+                    {
+                        where: {
+                            id: userDataExports.map(function (userDataExport) {
+                                return userDataExport.id;
+                            })
+                        },
+                        transaction: t
+                    }
+                );
+
+                t.afterCommit(async () => {
+                    for (const userDataExport of userDataExports) {
+                        if (userDataExport.storageKey) {
+                            await cosStorage.delete(userDataExport.storageKey);
+                        }
+                    }
+
                     return res.ok();
                 });
             });
@@ -172,16 +230,33 @@ module.exports = function (app) {
     });
     /**
      * Create UserConsent
+     *
+     * Consenting to new API scopes (UserConsent.SCOPES) adds them to the ones consented before.
      */
     app.post('/api/users/:userId/consents', loginCheck(), async function (req, res, next) {
         const userId = req.user.id;
         const partnerId = req.body.partnerId;
+        const scopes = req.body.scopes || [];
+
+        if (!Array.isArray(scopes)) {
+            return res.badRequest('Invalid value for "scopes". Must be an array.');
+        }
+
         try {
             await db
                 .transaction(async function (t) {
+                    const consent = await UserConsent.findOne({
+                        where: {
+                            userId: userId,
+                            partnerId: partnerId
+                        },
+                        transaction: t
+                    });
+
                     const created = await UserConsent.upsert({
                         userId: userId,
-                        partnerId: partnerId
+                        partnerId: partnerId,
+                        scopes: _.union(consent ? consent.scopes : [], scopes)
                     }, {
                         transaction: t
                     });
@@ -221,6 +296,7 @@ module.exports = function (app) {
                 SELECT
                     p.id,
                     p.website,
+                    uc.scopes,
                     p."createdAt",
                     p."updatedAt"
                 FROM "UserConsents" uc
@@ -270,6 +346,9 @@ module.exports = function (app) {
                     }
                 );
 
+                // Refresh tokens of the Partner cannot be used after the consent is withdrawn
+                await cosOpenId.revokeUserGrants(userId, partnerId, t);
+
                 const consent = UserConsent.build({
                     userId: userId,
                     partnerId: partnerId
@@ -364,4 +443,367 @@ module.exports = function (app) {
         }
     });
 
+    /**
+     * Read User notification settings
+     *
+     * Returns the default frequency and the Topic and Group specific settings.
+     */
+    app.get('/api/users/:userId/notifications/settings', loginCheck(['partner'], 'notifications:manage'), async function (req, res, next) {
+        try {
+            const settings = await NotificationSetting.findAll({
+                where: {
+                    userId: req.user.id
+                },
+                order: [['createdAt', 'ASC']]
+            });
+
+            const settingDefault = settings.find(function (setting) {
+                return !setting.topicId && !setting.groupId;
+            });
+            const rows = settings.filter(function (setting) {
+                return setting !== settingDefault;
+            });
+
+            return res.ok({
+                frequency: settingDefault ? settingDefault.frequency : cosNotifications.FREQUENCY_DEFAULT,
+                count: rows.length,
+                rows: rows
+            });
+        } catch (err) {
+            return next(err);
+        }
+    });
+
+    /**
+     * Update User default notification frequency
+     */
+    app.put('/api/users/:userId/notifications/settings', loginCheck(['partner'], 'notifications:manage'), async function (req, res, next) {
+        const frequency = req.body.frequency;
+
+        if (!NotificationSetting.FREQUENCIES[frequency]) {
+            return res.badRequest('Invalid value for "frequency". Must be one of: ' + Object.keys(NotificationSetting.FREQUENCIES).join(', '), 1);
+        }
+
+        try {
+            const setting = await cosNotifications.setFrequency(req.user.id, {}, frequency);
+
+            return res.ok(setting);
+        } catch (err) {
+            return next(err);
+        }
+    });
+
+    /**
+     * One-click unsubscribe from notification e-mails
+     *
+     * Token is issued with the e-mail (see email.getNotificationsUnsubscribeUrl), so it works without logging in.
+     * GET is for the link in the e-mail and redirects to FE, POST is for the mail clients supporting one-click unsubscribe (RFC 8058).
+     */
+    const notificationsUnsubscribe = async function (req, res, next) {
+        const tokenData = req.locals.tokenDecoded;
+
+        try {
+            if (tokenData.topicId) {
+                await cosNotifications.setFrequency(tokenData.userId, {topicId: tokenData.topicId}, NotificationSetting.FREQUENCIES.off);
+            } else {
+                await db.transaction(async function (t) {
+                    await cosNotifications.unsubscribeAll(tokenData.userId, t);
+                });
+            }
+
+            if (req.method === 'GET') {
+                return res.redirect(302, urlLib.getFe('/myaccount', null, {notifications: 'unsubscribed'}));
+            }
+
+            return res.ok();
+        } catch (err) {
+            return next(err);
+        }
+    };
+
+    app.get('/api/notifications/unsubscribe', authTokenRestrictedUse, notificationsUnsubscribe);
+    app.post('/api/notifications/unsubscribe', authTokenRestrictedUse, notificationsUnsubscribe);
+
+    /**
+     * Request an export of all the User data (GDPR data portability)
+     *
+     * The ZIP file is created in the background, poll the list for the status and the download URL.
+     */
+    app.post('/api/users/:userId/exports', loginCheck(), async function (req, res, next) {
+        try {
+            let userDataExport;
+            await db.transaction(async function (t) {
+                const pending = await UserDataExport.count({
+                    where: {
+                        userId: req.user.id,
+                        status: UserDataExport.STATUSES.pending
+                    },
+                    transaction: t
+                });
+
+                if (!pending) {
+                    userDataExport = await cosUserDataExport.create(req.user.id, t);
+                }
+            });
+
+            if (!userDataExport) {
+                return res.badRequest('Data export is already in progress', 1);
+            }
+
+            return res.created(userDataExport.toJSON());
+        } catch (err) {
+            if (err instanceof db.Sequelize.UniqueConstraintError) { // Parallel requests
+                return res.badRequest('Data export is already in progress', 1);
+            }
+
+            return next(err);
+        }
+    });
+
+    /**
+     * List User data exports, the ready ones with a short-lived download URL
+     */
+    app.get('/api/users/:userId/exports', loginCheck(), async function (req, res, next) {
+        try {
+            const userDataExports = await UserDataExport.findAll({
+                where: {
+                    userId: req.user.id
+                },
+                order: [['createdAt', 'DESC']]
+            });
+
+            const rows = userDataExports.map(function (userDataExport) {
+                const row = userDataExport.toJSON();
+
+                if (userDataExport.status === UserDataExport.STATUSES.ready) {
+                    row.downloadUrl = cosUserDataExport.getDownloadUrl(userDataExport);
+                }
+
+                return row;
+            });
+
+            return res.ok({
+                count: rows.length,
+                rows: rows
+            });
+        } catch (err) {
+            return next(err);
+        }
+    });
+
+    const handleTwoFactorError = function (res, err, next) {
+        switch (err.type) {
+            case cosTwoFactor.ERROR_TYPES.passwordRequired:
+                return res.badRequest(err.message, 1);
+            case cosTwoFactor.ERROR_TYPES.alreadyEnabled:
+                return res.badRequest(err.message, 2);
+            case cosTwoFactor.ERROR_TYPES.notEnrolled:
+                return res.badRequest(err.message, 3);
+            case cosTwoFactor.ERROR_TYPES.notEnabled:
+                return res.badRequest(err.message, 4);
+            case cosTwoFactor.ERROR_TYPES.invalidCode:
+                return res.badRequest(err.message, 5);
+            default:
+                return next(err);
+        }
+    };
+
+    /**
+     * Get User two-factor authentication status
+     */
+    app.get('/api/users/:userId/twofactor', loginCheck(), async function (req, res, next) {
+        try {
+            const status = await cosTwoFactor.getStatus(req.user.id);
+
+            return res.ok(status);
+        } catch (err) {
+            return next(err);
+        }
+    });
+
+    /**
+     * Start two-factor authentication enrollment
+     *
+     * Responds with the secret and the "otpauth" URI for the QR code. Enrollment is completed with the first code from the authenticator app.
+     */
+    app.post('/api/users/:userId/twofactor', loginCheck(), async function (req, res, next) {
+        try {
+            const user = await User.findOne({
+                where: {
+                    id: req.user.id
+                }
+            });
+
+            if (!user) {
+                return res.notFound();
+            }
+
+            const enrollment = await cosTwoFactor.enroll(user);
+
+            return res.ok(enrollment);
+        } catch (err) {
+            return handleTwoFactorError(res, err, next);
+        }
+    });
+
+    /**
+     * Complete two-factor authentication enrollment
+     *
+     * Responds with the recovery codes, they are not available later.
+     */
+    app.post('/api/users/:userId/twofactor/enable', loginCheck(), async function (req, res, next) {
+        try {
+            const recoveryCodes = await cosTwoFactor.enable(req.user.id, req.body.code);
+
+            return res.ok({
+                recoveryCodes: recoveryCodes
+            });
+        } catch (err) {
+            return handleTwoFactorError(res, err, next);
+        }
+    });
+
+    /**
+     * Replace two-factor authentication recovery codes
+     */
+    app.post('/api/users/:userId/twofactor/recoverycodes', loginCheck(), async function (req, res, next) {
+        try {
+            const recoveryCodes = await cosTwoFactor.regenerateRecoveryCodes(req.user.id, req.body.code);
+
+            return res.ok({
+                recoveryCodes: recoveryCodes
+            });
+        } catch (err) {
+            return handleTwoFactorError(res, err, next);
+        }
+    });
+
+    /**
+     * Disable two-factor authentication
+     *
+     * Members of the Groups that require two-factor authentication lose access to them.
+     */
+    app.delete('/api/users/:userId/twofactor', loginCheck(), async function (req, res, next) {
+        try {
+            await cosTwoFactor.disable(req.user.id, req.body.code);
+
+            return res.ok();
+        } catch (err) {
+            return handleTwoFactorError(res, err, next);
+        }
+    });
+
+    /**
+     * List active sessions of the User
+     *
+     * The session of the request is marked with "current".
+     */
+    app.get('/api/users/:userId/sessions', loginCheck(), async function (req, res, next) {
+        try {
+            const sessions = await cosSession.list(req.user.id);
+
+            const rows = sessions.map(function (session) {
+                const row = session.toJSON();
+                row.current = session.id === req.user.jti;
+
+                return row;
+            });
+
+            return res.ok({
+                count: rows.length,
+                rows: rows
+            });
+        } catch (err) {
+            return next(err);
+        }
+    });
+
+    /**
+     * Revoke all sessions of the User except the current one
+     *
+     * Includes the sessions of the Partner Access Tokens, the refresh tokens of the Partners (OpenIdGrant) are revoked too.
+     */
+    app.delete('/api/users/:userId/sessions', loginCheck(), async function (req, res, next) {
+        try {
+            const count = await db.transaction(async function (t) {
+                await cosOpenId.revokeUserGrants(req.user.id, null, t);
+
+                return cosSession.revokeAll(req.user.id, req.user.jti, t);
+            });
+
+            return res.ok({
+                count: count
+            });
+        } catch (err) {
+            return next(err);
+        }
+    });
+
+    /**
+     * Revoke a session of the User
+     *
+     * Revoking the current session logs the User out.
+     */
+    app.delete('/api/users/:userId/sessions/:sessionId', loginCheck(), async function (req, res, next) {
+        const sessionId = req.params.sessionId;
+
+        try {
+            const isRevoked = await cosSession.revoke(req.user.id, sessionId);
+
+            if (!isRevoked) {
+                return res.notFound();
+            }
+
+            if (sessionId === req.user.jti) {
+                res.clearCookie(config.session.name, {
+                    path: config.session.cookie.path,
+                    domain: config.session.cookie.domain
+                });
+            }
+
+            return res.ok();
+        } catch (err) {
+            return next(err);
+        }
+    });
+
+    /**
+     * Download the User data export
+     *
+     * Token is issued with the download URL (see cosUserDataExport.getDownloadUrl), so it works without logging in.
+     */
+    app.get(cosUserDataExport.PATH_DOWNLOAD, authTokenRestrictedUse, async function (req, res, next) {
+        const tokenData = req.locals.tokenDecoded;
+
+        if (tokenData.userId !== req.params.userId || tokenData.exportId !== req.params.exportId) {
+            return res.forbidden('Insufficient permissions');
+        }
+
+        try {
+            const userDataExport = await UserDataExport.findOne({
+                where: {
+                    id: tokenData.exportId,
+                    userId: tokenData.userId,
+                    status: UserDataExport.STATUSES.ready
+                }
+            });
+
+            if (!userDataExport) {
+                return res.notFound();
+            }
+
+            const filename = 'citizenos-data-' + moment(userDataExport.createdAt).format('YYYY-MM-DD') + '.zip';
+
+            res.set('Content-disposition', 'attachment; filename=' + filename);
+            res.set('Content-type', 'application/zip');
+
+            cosUserDataExport
+                .getStream(userDataExport)
+                .on('error', next)
+                .pipe(res);
+        } catch (err) {
+            return next(err);
+        }
+    });
+
 };
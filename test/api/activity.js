@@ -41,6 +41,16 @@ const activitiesReadUnauth = async function (agent, filters) {
     return _activitiesReadUnauth(agent, filters, 200);
 };
 
+const _activitiesStream = async function (agent, userId, query, expectedHttpCode) {
+    const path = '/api/users/:userId/stream'.replace(':userId', userId);
+
+    return agent
+        .get(path)
+        .query(query)
+        .expect(expectedHttpCode)
+        .expect('Content-Type', /json/);
+};
+
 const chai = require('chai');
 chai.use(require('chai-datetime'));
 chai.use(require('chai-shallow-deep-equal'));
@@ -300,4 +310,58 @@ suite('Activities', function () {
             assert.deepEqual(message, expectedResult);
         });
     });
+
+    // Success case keeps the connection open, see test/libs/cosStream.js
+    suite('Stream', function () {
+        const agent = request.agent(app);
+        const agent2 = request.agent(app);
+        const agent3 = request.agent(app);
+
+        let topic;
+        let user;
+        let user2;
+
+        suiteSetup(async function () {
+            user = await userLib.createUserAndLogin(agent, null, null, null);
+            user2 = await userLib.createUserAndLogin(agent2, null, null, null);
+            topic = (await topicLib.topicCreate(agent, user.id, Topic.VISIBILITY.private, null, null, null, null)).body.data;
+        });
+
+        test('Fail - 40001 - missing topicIds and groupIds', async function () {
+            const resBody = (await _activitiesStream(agent, user.id, null, 400)).body;
+
+            assert.deepEqual(resBody, {
+                status: {
+                    code: 40001,
+                    message: 'Missing required parameters "topicIds" or "groupIds"'
+                }
+            });
+        });
+
+        test('Fail - 40003 - invalid topicIds', async function () {
+            const resBody = (await _activitiesStream(agent, user.id, {topicIds: 'notauuid'}, 400)).body;
+
+            assert.deepEqual(resBody, {
+                status: {
+                    code: 40003,
+                    message: 'Invalid "topicIds" or "groupIds"'
+                }
+            });
+        });
+
+        test('Fail - 403 - no read permissions to the Topic', async function () {
+            const resBody = (await _activitiesStream(agent2, user2.id, {topicIds: topic.id}, 403)).body;
+
+            assert.deepEqual(resBody, {
+                status: {
+                    code: 40300,
+                    message: 'Insufficient permissions'
+                }
+            });
+        });
+
+        test('Fail - 401 - user not logged in', async function () {
+            await _activitiesStream(agent3, user.id, {topicIds: topic.id}, 401);
+        });
+    });
 });
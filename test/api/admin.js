@@ -0,0 +1,329 @@
+'use strict';
+
+const assert = require('chai').assert;
+const request = require('supertest');
+const app = require('../../app');
+const models = app.get('models');
+
+const shared = require('../utils/shared');
+const userLib = require('./lib/user')(app);
+
+const User = models.User;
+const Partner = models.Partner;
+const Moderator = models.Moderator;
+const Activity = models.Activity;
+
+const _adminPartnerCreate = async function (agent, userId, partner, expectedHttpCode) {
+    const path = '/api/users/:userId/admin/partners'
+        .replace(':userId', userId);
+
+    return agent
+        .post(path)
+        .set('Content-Type', 'application/json')
+        .send(partner)
+        .expect(expectedHttpCode)
+        .expect('Content-Type', /json/);
+};
+
+const adminPartnerCreate = async function (agent, userId, partner) {
+    return _adminPartnerCreate(agent, userId, partner, 201);
+};
+
+const _adminPartnerUpdate = async function (agent, userId, partnerId, partner, expectedHttpCode) {
+    const path = '/api/users/:userId/admin/partners/:partnerId'
+        .replace(':userId', userId)
+        .replace(':partnerId', partnerId);
+
+    return agent
+        .put(path)
+        .set('Content-Type', 'application/json')
+        .send(partner)
+        .expect(expectedHttpCode)
+        .expect('Content-Type', /json/);
+};
+
+const adminPartnerUpdate = async function (agent, userId, partnerId, partner) {
+    return _adminPartnerUpdate(agent, userId, partnerId, partner, 200);
+};
+
+const _adminPartnerDelete = async function (agent, userId, partnerId, expectedHttpCode) {
+    const path = '/api/users/:userId/admin/partners/:partnerId'
+        .replace(':userId', userId)
+        .replace(':partnerId', partnerId);
+
+    return agent
+        .delete(path)
+        .set('Content-Type', 'application/json')
+        .expect(expectedHttpCode)
+        .expect('Content-Type', /json/);
+};
+
+const adminPartnerDelete = async function (agent, userId, partnerId) {
+    return _adminPartnerDelete(agent, userId, partnerId, 200);
+};
+
+const _adminPartnersList = async function (agent, userId, expectedHttpCode) {
+    const path = '/api/users/:userId/admin/partners'
+        .replace(':userId', userId);
+
+    return agent
+        .get(path)
+        .set('Content-Type', 'application/json')
+        .expect(expectedHttpCode)
+        .expect('Content-Type', /json/);
+};
+
+const adminPartnersList = async function (agent, userId) {
+    return _adminPartnersList(agent, userId, 200);
+};
+
+const _adminModeratorCreate = async function (agent, userId, moderatorUserId, partnerId, expectedHttpCode) {
+    const path = '/api/users/:userId/admin/moderators'
+        .replace(':userId', userId);
+
+    return agent
+        .post(path)
+        .set('Content-Type', 'application/json')
+        .send({
+            userId: moderatorUserId,
+            partnerId: partnerId
+        })
+        .expect(expectedHttpCode)
+        .expect('Content-Type', /json/);
+};
+
+const adminModeratorCreate = async function (agent, userId, moderatorUserId, partnerId) {
+    return _adminModeratorCreate(agent, userId, moderatorUserId, partnerId, 201);
+};
+
+const _adminModeratorDelete = async function (agent, userId, moderatorId, expectedHttpCode) {
+    const path = '/api/users/:userId/admin/moderators/:moderatorId'
+        .replace(':userId', userId)
+        .replace(':moderatorId', moderatorId);
+
+    return agent
+        .delete(path)
+        .set('Content-Type', 'application/json')
+        .expect(expectedHttpCode)
+        .expect('Content-Type', /json/);
+};
+
+const adminModeratorDelete = async function (agent, userId, moderatorId) {
+    return _adminModeratorDelete(agent, userId, moderatorId, 200);
+};
+
+const _adminModeratorsList = async function (agent, userId, partnerId, expectedHttpCode) {
+    const path = '/api/users/:userId/admin/moderators'
+        .replace(':userId', userId);
+
+    return agent
+        .get(path)
+        .query(partnerId ? {partnerId: partnerId} : {})
+        .set('Content-Type', 'application/json')
+        .expect(expectedHttpCode)
+        .expect('Content-Type', /json/);
+};
+
+const adminModeratorsList = async function (agent, userId, partnerId) {
+    return _adminModeratorsList(agent, userId, partnerId, 200);
+};
+
+suite('Admin', function () {
+    const agentAdmin = request.agent(app);
+    const agentUser = request.agent(app);
+
+    let admin, user;
+
+    suiteSetup(async function () {
+        await shared.syncDb();
+
+        admin = await userLib.createUserAndLogin(agentAdmin, null, null, null);
+        user = await userLib.createUserAndLogin(agentUser, null, null, null);
+
+        await User.update(
+            {
+                isAdmin: true
+            },
+            {
+                where: {
+                    id: admin.id
+                }
+            }
+        );
+    });
+
+    suite('Partners', function () {
+
+        test('Success - create, update, list and delete', async function () {
+            const partner = (await adminPartnerCreate(agentAdmin, admin.id, {
+                website: 'https://admin.test.ee',
+                redirectUriRegexp: '^https:\\/\\/admin\\.test\\.ee\\/.*',
+                emailStyles: {
+                    headerBackgroundColor: '#2c3b47',
+                    logoWidth: 100
+                }
+            })).body.data;
+
+            assert.property(partner, 'id');
+            assert.equal(partner.website, 'https://admin.test.ee');
+            assert.deepEqual(partner.emailStyles, {
+                headerBackgroundColor: '#2c3b47',
+                logoWidth: 100
+            });
+
+            const partnerUpdated = (await adminPartnerUpdate(agentAdmin, admin.id, partner.id, {
+                linkPrivacyPolicy: 'https://admin.test.ee/privacy',
+                id: 'not allowed to update'
+            })).body.data;
+
+            assert.equal(partnerUpdated.id, partner.id);
+            assert.equal(partnerUpdated.linkPrivacyPolicy, 'https://admin.test.ee/privacy');
+
+            const list = (await adminPartnersList(agentAdmin, admin.id)).body.data;
+            const partnerListed = list.rows.find(function (p) {
+                return p.id === partner.id;
+            });
+            assert.equal(partnerListed.linkPrivacyPolicy, 'https://admin.test.ee/privacy');
+
+            await adminPartnerDelete(agentAdmin, admin.id, partner.id);
+
+            const partnerDeleted = await Partner.findOne({
+                where: {
+                    id: partner.id
+                },
+                paranoid: false
+            });
+            assert.isNotNull(partnerDeleted.deletedAt);
+
+            const activities = await Activity.findAll({
+                where: {
+                    'data.object.id': partner.id
+                }
+            });
+            assert.sameMembers(activities.map(function (activity) {
+                return activity.data.type;
+            }), [Activity.TYPES.create, Activity.TYPES.update, Activity.TYPES.delete]);
+        });
+
+        test('Fail - 40001 - missing required parameters', async function () {
+            const res = await _adminPartnerCreate(agentAdmin, admin.id, {website: 'https://admin.test.ee'}, 400);
+
+            assert.equal(res.body.status.code, 40001);
+        });
+
+        test('Fail - 40002 - invalid redirectUriRegexp', async function () {
+            const res = await _adminPartnerCreate(agentAdmin, admin.id, {
+                website: 'https://admin.test.ee',
+                redirectUriRegexp: '(unclosed'
+            }, 400);
+
+            assert.equal(res.body.status.code, 40002);
+
+            const resAll = await _adminPartnerCreate(agentAdmin, admin.id, {
+                website: 'https://admin.test.ee',
+                redirectUriRegexp: '.*'
+            }, 400);
+
+            assert.equal(resAll.body.status.code, 40002);
+        });
+
+        test('Fail - 40000 - invalid emailStyles', async function () {
+            const res = await _adminPartnerCreate(agentAdmin, admin.id, {
+                website: 'https://admin.test.ee',
+                redirectUriRegexp: 'notimportant',
+                emailStyles: {
+                    headerBackgroundColor: 'red; background-image: url(http://evil.ee)'
+                }
+            }, 400);
+
+            assert.property(res.body.errors, 'emailStyles');
+        });
+
+        test('Fail - 40300 - not an admin', async function () {
+            await _adminPartnersList(agentUser, user.id, 403);
+            await _adminPartnerCreate(agentUser, user.id, {
+                website: 'https://admin.test.ee',
+                redirectUriRegexp: 'notimportant'
+            }, 403);
+        });
+
+        test('Fail - 40100 - not logged in', async function () {
+            await _adminPartnersList(request.agent(app), admin.id, 401);
+        });
+
+    });
+
+    suite('Moderators', function () {
+        let partner;
+
+        suiteSetup(async function () {
+            partner = await Partner.create({
+                website: 'https://admin-moderators.test.ee',
+                redirectUriRegexp: 'notimportant'
+            });
+        });
+
+        test('Success - grant, list, revoke and grant again', async function () {
+            const moderator = (await adminModeratorCreate(agentAdmin, admin.id, user.id, partner.id)).body.data;
+
+            assert.equal(moderator.userId, user.id);
+            assert.equal(moderator.partnerId, partner.id);
+
+            const list = (await adminModeratorsList(agentAdmin, admin.id, partner.id)).body.data;
+            assert.equal(list.count, 1);
+            assert.equal(list.rows[0].id, moderator.id);
+            assert.equal(list.rows[0].user.id, user.id);
+            assert.equal(list.rows[0].partner.id, partner.id);
+
+            await adminModeratorDelete(agentAdmin, admin.id, moderator.id);
+
+            const listAfterDelete = (await adminModeratorsList(agentAdmin, admin.id, partner.id)).body.data;
+            assert.equal(listAfterDelete.count, 0);
+
+            const moderatorAgain = (await adminModeratorCreate(agentAdmin, admin.id, user.id, partner.id)).body.data;
+            assert.equal(moderatorAgain.id, moderator.id);
+
+            await adminModeratorDelete(agentAdmin, admin.id, moderatorAgain.id);
+        });
+
+        test('Success - global Moderator', async function () {
+            const moderator = (await adminModeratorCreate(agentAdmin, admin.id, user.id, null)).body.data;
+
+            assert.isNull(moderator.partnerId);
+
+            const list = (await adminModeratorsList(agentAdmin, admin.id, 'null')).body.data;
+            const moderatorListed = list.rows.find(function (m) {
+                return m.id === moderator.id;
+            });
+            assert.isNull(moderatorListed.partner);
+
+            await adminModeratorDelete(agentAdmin, admin.id, moderator.id);
+        });
+
+        test('Fail - 40003 - User not found', async function () {
+            const res = await _adminModeratorCreate(agentAdmin, admin.id, '4f7fdb8e-5a52-4b8c-a4a5-0c0b0e2b9b1e', partner.id, 400);
+
+            assert.equal(res.body.status.code, 40003);
+        });
+
+        test('Fail - 40005 - User is already a Moderator', async function () {
+            const moderator = (await adminModeratorCreate(agentAdmin, admin.id, user.id, partner.id)).body.data;
+            const res = await _adminModeratorCreate(agentAdmin, admin.id, user.id, partner.id, 400);
+
+            assert.equal(res.body.status.code, 40005);
+
+            await Moderator.destroy({
+                where: {
+                    id: moderator.id
+                }
+            });
+        });
+
+        test('Fail - 40300 - not an admin', async function () {
+            await _adminModeratorCreate(agentUser, user.id, user.id, partner.id, 403);
+            await _adminModeratorsList(agentUser, user.id, null, 403);
+        });
+
+    });
+
+});
@@ -36,6 +36,30 @@ const login = async function (agent, email, password) {
     return _login(agent, email, password, 200);
 };
 
+const _loginTwoFactor = async function (agent, token, code, expectedHttpCode) {
+    const path = '/api/auth/login/twofactor';
+
+    const a = agent
+        .post(path)
+        .set('Content-Type', 'application/json')
+        .send({
+            token: token,
+            code: code
+        })
+        .expect(expectedHttpCode)
+        .expect('Content-Type', /json/);
+
+    if (expectedHttpCode === 200) {
+        a.expect('set-cookie', /.*\.sid=.*; Path=\/api; Expires=.*; HttpOnly/);
+    }
+
+    return a;
+};
+
+const loginTwoFactor = async function (agent, token, code) {
+    return _loginTwoFactor(agent, token, code, 200);
+};
+
 const _loginId = async function (agent, token, clientCert, expectedHttpCode) {
     const path = '/api/auth/id';
 
@@ -435,6 +459,74 @@ const openIdAuthorize = async function (agent, responseType, clientId, redirectU
     return _openIdAuthorize(agent, responseType, clientId, redirectUri, nonce, scope, state, 302);
 };
 
+const _openIdAuthorizeCode = async function (agent, clientId, redirectUri, scope, state, nonce, codeChallenge, codeChallengeMethod, expectedHttpCode) {
+    const path = '/api/auth/openid/authorize';
+
+    return agent
+        .get(path)
+        .query({
+            response_type: 'code',
+            client_id: clientId,
+            redirect_uri: redirectUri,
+            scope: scope,
+            state: state,
+            nonce: nonce,
+            code_challenge: codeChallenge,
+            code_challenge_method: codeChallengeMethod
+        })
+        .expect(expectedHttpCode);
+};
+
+const openIdAuthorizeCode = async function (agent, clientId, redirectUri, scope, state, nonce, codeChallenge) {
+    return _openIdAuthorizeCode(agent, clientId, redirectUri, scope, state, nonce, codeChallenge, 'S256', 302);
+};
+
+const _openIdToken = async function (agent, params, expectedHttpCode) {
+    const path = '/api/auth/openid/token';
+
+    return agent
+        .post(path)
+        .type('form')
+        .send(params)
+        .expect(expectedHttpCode)
+        .expect('Content-Type', /json/);
+};
+
+const openIdToken = async function (agent, params) {
+    return _openIdToken(agent, params, 200);
+};
+
+const _openIdRevoke = async function (agent, clientId, token, expectedHttpCode) {
+    const path = '/api/auth/openid/revoke';
+
+    return agent
+        .post(path)
+        .type('form')
+        .send({
+            client_id: clientId,
+            token: token
+        })
+        .expect(expectedHttpCode);
+};
+
+const openIdRevoke = async function (agent, clientId, token) {
+    return _openIdRevoke(agent, clientId, token, 200);
+};
+
+const _openIdUserInfo = async function (agent, accessToken, expectedHttpCode) {
+    const path = '/api/auth/openid/userinfo';
+
+    return agent
+        .get(path)
+        .set('Authorization', 'Bearer ' + accessToken)
+        .expect(expectedHttpCode)
+        .expect('Content-Type', /json/);
+};
+
+const openIdUserInfo = async function (agent, accessToken) {
+    return _openIdUserInfo(agent, accessToken, 200);
+};
+
 //Export the above function call so that other tests could use it to prepare data.
 module.exports.login = login;
 module.exports.login = login;
@@ -453,10 +545,13 @@ const app = require('../../app');
 const models = app.get('models');
 const uuid = require('uuid');
 const fs = require('fs');
+const crypto = require('crypto');
 
 const assert = require('chai').assert;
 const config = app.get('config');
 const jwt = app.get('jwt');
+const cryptoLib = app.get('cryptoLib');
+const querystring = app.get('querystring');
 const urlLib = app.get('urlLib');
 const objectEncrypter = app.get('objectEncrypter');
 
@@ -550,6 +645,102 @@ suite('Auth', function () {
             });
         });
 
+        suite('Two-factor authentication', function () {
+            const cosTwoFactor = app.get('cosTwoFactor');
+            let user;
+            let password;
+            let twoFactor;
+
+            const getToken = async function () {
+                const res = await request.agent(app)
+                    .post('/api/auth/login')
+                    .set('Content-Type', 'application/json')
+                    .send({
+                        email: user.email,
+                        password: password
+                    })
+                    .expect(200)
+                    .expect('Content-Type', /json/);
+
+                assert.equal(res.body.status.code, 20001);
+                assert.equal(res.body.status.message, 'Two-factor authentication required');
+                assert.notProperty(res.headers, 'set-cookie');
+
+                return res.body.data.token;
+            };
+
+            setup(async function () {
+                const agent = request.agent(app);
+                user = await userLib.createUserAndLogin(agent, null, null, null);
+                password = user.email.split('@')[0];
+                twoFactor = await userLib.enableTwoFactor(agent, user.id);
+            });
+
+            test('Success', async function () {
+                const agent = request.agent(app);
+                const token = await getToken();
+
+                const res = await loginTwoFactor(agent, token, userLib.getTwoFactorCode(twoFactor.secret, 1));
+                assert.equal(res.body.data.id, user.id);
+                assert.equal(res.body.data.email, user.email);
+                assert.notProperty(res.body.data, 'password');
+
+                const statusRes = await status(agent);
+                assert.equal(statusRes.body.data.id, user.id);
+            });
+
+            test('Success - recovery code', async function () {
+                const agent = request.agent(app);
+                const token = await getToken();
+
+                await loginTwoFactor(agent, token, twoFactor.recoveryCodes[0]);
+
+                const res = await _loginTwoFactor(request.agent(app), await getToken(), twoFactor.recoveryCodes[0], 400);
+                assert.equal(res.body.status.code, 40002);
+            });
+
+            test('Fail - 40001 - missing token', async function () {
+                const res = await _loginTwoFactor(request.agent(app), null, '123456', 400);
+                assert.equal(res.body.status.code, 40001);
+            });
+
+            test('Fail - 40002 - invalid code', async function () {
+                const token = await getToken();
+                const res = await _loginTwoFactor(request.agent(app), token, userLib.getTwoFactorCode(twoFactor.secret, 5), 400);
+
+                assert.equal(res.body.status.code, 40002);
+                assert.equal(res.body.status.message, 'Invalid code.');
+            });
+
+            test('Fail - 40003 - disabled after the password was checked', async function () {
+                const token = await getToken();
+                await models.UserTwoFactor.destroy({
+                    where: {
+                        userId: user.id
+                    }
+                });
+
+                const res = await _loginTwoFactor(request.agent(app), token, twoFactor.recoveryCodes[0], 400);
+                assert.equal(res.body.status.code, 40003);
+            });
+
+            test('Fail - 40100 - token for another path', async function () {
+                const cosJwt = app.get('cosJwt');
+                const token = cosJwt.getTokenRestrictedUse({userId: user.id}, 'POST /api/auth/login');
+
+                await _loginTwoFactor(request.agent(app), token, twoFactor.recoveryCodes[0], 401);
+            });
+
+            test('Fail - 40100 - challenge token is not an auth token', async function () {
+                const token = cosTwoFactor.getChallengeToken(user.id);
+
+                await request.agent(app)
+                    .get('/api/auth/status')
+                    .set('Authorization', 'Bearer ' + token)
+                    .expect(401);
+            });
+        });
+
         suite('ID-card', function () {
             teardown(async function () {
                 return UserConnection
@@ -971,6 +1162,27 @@ suite('Auth', function () {
             assert.deepEqual(statusResponse, expectedBody);
         });
 
+        test('Success - token of the session is revoked', async function () {
+            const agent = request.agent(app);
+            const email = 'test_' + new Date().getTime() + '@test.ee';
+            const password = 'Test123';
+
+            await userLib.createUser(agent, email, password, null);
+            const loginResponse = await login(agent, email, password);
+            const cookie = loginResponse.headers['set-cookie'][0].split(';')[0];
+
+            await logout(agent);
+
+            // Copy of the token is not accepted after logout
+            const statusResponse = (await request(app)
+                .get('/api/auth/status')
+                .set('Cookie', cookie)
+                .expect(401)
+                .expect('Content-Type', /json/)).body;
+
+            assert.equal(statusResponse.status.message, 'JWT token has been revoked');
+        });
+
     });
 
     suite('Signup', function () {
@@ -1447,15 +1659,19 @@ suite('Auth', function () {
                 assert.equal(authRes.text, 'Invalid "redirect_uri". Cannot contain fragment component "#".');
             });
 
-            test('Fail - 302 - Unsupported "response_type" parameter value. Only "token id_token" is supported.', async function () {
-                const authRes = await openIdAuthorize(agent, 'code', TEST_PARTNER.id, TEST_CALLBACK_URI, null, null, null);
-                assert.equal(authRes.headers.location, TEST_CALLBACK_URI + '#error=unsupported_response_type&error_description=Unsupported%20%22response_type%22%20parameter%20value.%20Only%20%22token%20id_token%22%20is%20supported.');
+            test('Fail - 302 - Unsupported "response_type" parameter value. Supported values are "code" and "token id_token".', async function () {
+                const authRes = await openIdAuthorize(agent, 'token', TEST_PARTNER.id, TEST_CALLBACK_URI, null, null, null);
+                assert.equal(authRes.headers.location, TEST_CALLBACK_URI + '#error=unsupported_response_type&error_description=Unsupported%20%22response_type%22%20parameter%20value.%20Supported%20values%20are%20%22code%22%20and%20%22token%20id_token%22.');
             });
 
-            test('Fail - 302 - Unsupported "scope" parameter value. Only "openid" is supported.', async function () {
+            test('Fail - 302 - Unsupported "scope" parameter value. "openid" is required.', async function () {
                 const authRes = await openIdAuthorize(agent, TEST_RESPONSE_TYPE, TEST_PARTNER.id, TEST_CALLBACK_URI, 'invalid', null, null);
-                assert.equal(authRes.headers.location, TEST_CALLBACK_URI + '#error=invalid_scope&error_description=Unsupported%20%22scope%22%20parameter%20value.%20Only%20%22openid%22%20is%20supported.');
-
+                const uriParts = authRes.headers.location.split('#');
+                assert.equal(uriParts[0], TEST_CALLBACK_URI);
+                assert.deepEqual(querystring.parse(uriParts[1]), {
+                    error: 'invalid_scope',
+                    error_description: 'Unsupported "scope" parameter value. "openid" is required, supported values are: openid, profile, email, offline_access, ' + Object.keys(UserConsent.SCOPES).join(', ') + '.'
+                });
             });
 
             test('Fail - 302 - Invalid or missing "nonce" parameter value. "nonce" must be a random string with at least 14 characters of length.', async function () {
@@ -1463,6 +1679,640 @@ suite('Auth', function () {
                 assert.equal(authRes.headers.location, TEST_CALLBACK_URI + '#error=invalid_request&error_description=Invalid%20or%20missing%20%22nonce%22%20parameter%20value.%20%22nonce%22%20must%20be%20a%20random%20string%20with%20at%20least%2014%20characters%20of%20length.&error_uri=http%3A%2F%2Fopenid.net%2Fspecs%2Fopenid-connect-implicit-1_0.html%23RequestParameters');
             });
 
+            suite('Authorization code', function () {
+                const codeVerifier = crypto.randomBytes(32).toString('hex');
+                const codeChallenge = cryptoLib.getPkceChallenge(codeVerifier);
+
+                test('Success - 302 - User is logged in to CitizenOS AND has agreed before -> redirect_uri with "code"', async function () {
+                    const agent = request.agent(app);
+                    const user = await userLib.createUserAndLogin(agent, null, null, null);
+                    await UserConsent.create({
+                        userId: user.id,
+                        partnerId: TEST_PARTNER.id
+                    });
+
+                    const state = '123213asdasas1231';
+                    const authRes = await openIdAuthorizeCode(agent, TEST_PARTNER.id, TEST_CALLBACK_URI, 'openid', state, null, codeChallenge);
+
+                    const uriParts = authRes.headers.location.split('?');
+                    assert.equal(uriParts[0], TEST_CALLBACK_URI);
+                    assert.match(uriParts[1], new RegExp('^code=[^&]*&state=' + state + '$'));
+                });
+
+                test('Success - 302 - User is logged in to CitizenOS AND has NOT agreed before -> /consent -> redirect_uri', async function () {
+                    const agent = request.agent(app);
+                    await userLib.createUserAndLogin(agent, null, null, null);
+                    const authRes = await openIdAuthorizeCode(agent, TEST_PARTNER.id, TEST_CALLBACK_URI, 'openid', null, null, codeChallenge);
+                    const expectedUrl = urlLib.getFe('/:language/partners/:partnerId/consent', {
+                        partnerId: TEST_PARTNER.id,
+                        language: 'en'
+                    });
+
+                    assert.equal(authRes.headers.location, expectedUrl);
+                });
+
+                test('Success - 302 - User has agreed before but NOT to all the requested API scopes -> /consent with the scopes -> redirect_uri', async function () {
+                    const agent = request.agent(app);
+                    const user = await userLib.createUserAndLogin(agent, null, null, null);
+                    await UserConsent.create({
+                        userId: user.id,
+                        partnerId: TEST_PARTNER.id,
+                        scopes: ['topics:read']
+                    });
+
+                    const authRes = await openIdAuthorizeCode(agent, TEST_PARTNER.id, TEST_CALLBACK_URI, 'openid topics:read votes:cast', null, null, codeChallenge);
+                    const expectedUrl = urlLib.getFe(
+                        '/:language/partners/:partnerId/consent',
+                        {
+                            partnerId: TEST_PARTNER.id,
+                            language: 'en'
+                        },
+                        {
+                            scope: 'topics:read votes:cast'
+                        }
+                    );
+
+                    assert.equal(authRes.headers.location, expectedUrl);
+
+                    // Consent to the new scope
+                    await agent
+                        .post('/api/users/' + user.id + '/consents')
+                        .send({
+                            partnerId: TEST_PARTNER.id,
+                            scopes: ['votes:cast']
+                        })
+                        .expect(200);
+
+                    const authResConsented = await openIdAuthorizeCode(agent, TEST_PARTNER.id, TEST_CALLBACK_URI, 'openid topics:read votes:cast', null, null, codeChallenge);
+                    assert.match(authResConsented.headers.location, new RegExp('^' + TEST_CALLBACK_URI + '\\?code='));
+                });
+
+                test('Fail - 302 - Invalid or missing "code_challenge" parameter value', async function () {
+                    const authRes = await openIdAuthorizeCode(agent, TEST_PARTNER.id, TEST_CALLBACK_URI, 'openid', null, null, null);
+                    assert.equal(authRes.headers.location, TEST_CALLBACK_URI + '?error=invalid_request&error_description=Invalid%20or%20missing%20%22code_challenge%22%20parameter%20value.%20PKCE%20with%20%22code_challenge_method%22%20%22S256%22%20is%20required%20for%20the%20%22code%22%20response%20type.&error_uri=https%3A%2F%2Ftools.ietf.org%2Fhtml%2Frfc7636%23section-4.4.1');
+                });
+
+                test('Fail - 302 - Unsupported "code_challenge_method"', async function () {
+                    const authRes = await _openIdAuthorizeCode(agent, TEST_PARTNER.id, TEST_CALLBACK_URI, 'openid', null, null, codeVerifier, 'plain', 302);
+                    const query = querystring.parse(authRes.headers.location.split('?')[1]);
+                    assert.equal(query.error, 'invalid_request');
+                });
+
+                test('Fail - 302 - Unsupported "scope" parameter value', async function () {
+                    const authRes = await openIdAuthorizeCode(agent, TEST_PARTNER.id, TEST_CALLBACK_URI, 'openid topics', null, null, codeChallenge);
+                    const query = querystring.parse(authRes.headers.location.split('?')[1]);
+                    assert.equal(query.error, 'invalid_scope');
+                });
+
+            });
+
+        });
+
+        suite('Token', function () {
+            const codeVerifier = crypto.randomBytes(32).toString('hex');
+            const codeChallenge = cryptoLib.getPkceChallenge(codeVerifier);
+            const nonce = 'dasd12312sdasAA';
+
+            let user;
+            let userAgent;
+
+            const getCode = async function (scope) {
+                const authRes = await openIdAuthorizeCode(userAgent, TEST_PARTNER.id, TEST_CALLBACK_URI, scope || 'openid', null, nonce, codeChallenge);
+
+                return querystring.parse(authRes.headers.location.split('?')[1]).code;
+            };
+
+            const getTokens = async function (scope) {
+                const code = await getCode(scope);
+                const tokenRes = await openIdToken(request.agent(app), {
+                    grant_type: 'authorization_code',
+                    client_id: TEST_PARTNER.id,
+                    redirect_uri: TEST_CALLBACK_URI,
+                    code: code,
+                    code_verifier: codeVerifier
+                });
+
+                return tokenRes.body;
+            };
+
+            suiteSetup(async function () {
+                await Partner.upsert(TEST_PARTNER);
+
+                userAgent = request.agent(app);
+                user = await userLib.createUserAndLogin(userAgent, null, null, null);
+                await UserConsent.create({
+                    userId: user.id,
+                    partnerId: TEST_PARTNER.id,
+                    scopes: ['topics:read', 'profile:email']
+                });
+            });
+
+            test('Success - authorization_code', async function () {
+                const tokens = await getTokens('openid');
+
+                assert.equal(tokens.token_type, 'Bearer');
+                assert.equal(tokens.expires_in, config.openId.accessTokenExpiresIn);
+                assert.equal(tokens.scope, 'openid');
+                assert.notProperty(tokens, 'refresh_token');
+
+                const accessTokenData = jwt.verify(tokens.access_token, config.session.publicKey, {algorithms: [config.session.algorithm]});
+                assert.equal(accessTokenData.id, user.id);
+                assert.equal(accessTokenData.partnerId, TEST_PARTNER.id);
+                assert.equal(accessTokenData.scope, 'partner');
+                assert.deepEqual(accessTokenData.scopes, ['openid']);
+
+                const idTokenData = jwt.verify(tokens.id_token, config.session.publicKey, {algorithms: [config.session.algorithm]});
+                assert.equal(idTokenData.iss, urlLib.getApi());
+                assert.equal(idTokenData.sub, user.id);
+                assert.equal(idTokenData.aud, TEST_PARTNER.id);
+                assert.equal(idTokenData.nonce, nonce);
+                assert.equal(idTokenData.at_hash, cryptoLib.getAtHash(tokens.access_token, 'sha' + config.session.algorithm.match(/[0-9]*$/)[0]));
+
+                // Access token can be used for the Partner API
+                await request.agent(app)
+                    .get('/api/auth/status')
+                    .set('Authorization', 'Bearer ' + tokens.access_token)
+                    .expect(200);
+            });
+
+            test('Success - API scopes are enforced', async function () {
+                const tokens = await getTokens('openid topics:read');
+                assert.equal(tokens.scope, 'openid topics:read');
+
+                await request.agent(app)
+                    .get('/api/users/' + user.id + '/topics')
+                    .set('Authorization', 'Bearer ' + tokens.access_token)
+                    .expect(200);
+
+                const createRes = await request.agent(app)
+                    .post('/api/users/' + user.id + '/topics')
+                    .set('Authorization', 'Bearer ' + tokens.access_token)
+                    .send({})
+                    .expect(403);
+
+                assert.equal(createRes.headers['www-authenticate'], 'Bearer error="insufficient_scope", scope="topics:write"');
+                assert.equal(createRes.body.status.message, 'Insufficient scope. Access token does not have the "topics:write" scope.');
+            });
+
+            test('Success - e-mail requires "profile:email" scope', async function () {
+                const tokens = await getTokens('openid');
+                const statusRes = await request.agent(app)
+                    .get('/api/auth/status')
+                    .set('Authorization', 'Bearer ' + tokens.access_token)
+                    .expect(200);
+
+                assert.equal(statusRes.body.data.id, user.id);
+                assert.notProperty(statusRes.body.data, 'email');
+
+                const tokensEmail = await getTokens('openid profile:email');
+                const statusResEmail = await request.agent(app)
+                    .get('/api/auth/status')
+                    .set('Authorization', 'Bearer ' + tokensEmail.access_token)
+                    .expect(200);
+
+                assert.equal(statusResEmail.body.data.email, user.email);
+            });
+
+            test('Success - Access token without "scopes" claim gets the scopes consented by the User', async function () {
+                const tokens = await getTokens('openid');
+                const accessTokenData = jwt.verify(tokens.access_token, config.session.publicKey, {algorithms: [config.session.algorithm]});
+                const tokenNoScopes = jwt.sign({
+                    id: accessTokenData.id,
+                    partnerId: accessTokenData.partnerId,
+                    scope: accessTokenData.scope
+                }, config.session.privateKey, {
+                    expiresIn: '1h',
+                    algorithm: config.session.algorithm,
+                    jwtid: accessTokenData.jti
+                });
+
+                // UserConsent has "topics:read" and "profile:email"
+                await request.agent(app)
+                    .get('/api/users/' + user.id + '/topics')
+                    .set('Authorization', 'Bearer ' + tokenNoScopes)
+                    .expect(200);
+
+                const statusRes = await request.agent(app)
+                    .get('/api/auth/status')
+                    .set('Authorization', 'Bearer ' + tokenNoScopes)
+                    .expect(200);
+                assert.equal(statusRes.body.data.email, user.email);
+
+                const createRes = await request.agent(app)
+                    .post('/api/users/' + user.id + '/topics')
+                    .set('Authorization', 'Bearer ' + tokenNoScopes)
+                    .send({})
+                    .expect(403);
+                assert.equal(createRes.body.status.message, 'Insufficient scope. Access token does not have the "topics:write" scope.');
+            });
+
+            test('Success - refresh_token - rotated on use', async function () {
+                const tokens = await getTokens('openid offline_access');
+                assert.equal(tokens.scope, 'openid offline_access');
+                assert.isString(tokens.refresh_token);
+
+                const refreshRes = await openIdToken(request.agent(app), {
+                    grant_type: 'refresh_token',
+                    client_id: TEST_PARTNER.id,
+                    refresh_token: tokens.refresh_token
+                });
+
+                const tokensRefreshed = refreshRes.body;
+                assert.isString(tokensRefreshed.access_token);
+                assert.isString(tokensRefreshed.id_token);
+                assert.isString(tokensRefreshed.refresh_token);
+                assert.notEqual(tokensRefreshed.refresh_token, tokens.refresh_token);
+
+                // Reuse of the rotated refresh token revokes the grant
+                const reuseRes = await _openIdToken(request.agent(app), {
+                    grant_type: 'refresh_token',
+                    client_id: TEST_PARTNER.id,
+                    refresh_token: tokens.refresh_token
+                }, 400);
+                assert.deepEqual(reuseRes.body, {
+                    error: 'invalid_grant',
+                    error_description: 'Invalid refresh token.'
+                });
+
+                await _openIdToken(request.agent(app), {
+                    grant_type: 'refresh_token',
+                    client_id: TEST_PARTNER.id,
+                    refresh_token: tokensRefreshed.refresh_token
+                }, 400);
+
+                // Access Tokens issued with the grant are revoked
+                for (const accessToken of [tokens.access_token, tokensRefreshed.access_token]) {
+                    await request.agent(app)
+                        .get('/api/auth/status')
+                        .set('Authorization', 'Bearer ' + accessToken)
+                        .expect(401);
+                }
+            });
+
+            test('Success - tokens are revoked with all the sessions of the User', async function () {
+                const tokens = await getTokens('openid offline_access');
+
+                await request.agent(app)
+                    .get('/api/auth/status')
+                    .set('Authorization', 'Bearer ' + tokens.access_token)
+                    .expect(200);
+
+                await userAgent
+                    .delete('/api/users/:userId/sessions'.replace(':userId', user.id))
+                    .set('Content-Type', 'application/json')
+                    .expect(200);
+
+                const statusRes = await request.agent(app)
+                    .get('/api/auth/status')
+                    .set('Authorization', 'Bearer ' + tokens.access_token)
+                    .expect(401);
+                assert.equal(statusRes.body.status.message, 'JWT token has been revoked');
+
+                const refreshRes = await _openIdToken(request.agent(app), {
+                    grant_type: 'refresh_token',
+                    client_id: TEST_PARTNER.id,
+                    refresh_token: tokens.refresh_token
+                }, 400);
+                assert.deepEqual(refreshRes.body, {
+                    error: 'invalid_grant',
+                    error_description: 'Invalid refresh token.'
+                });
+
+                // Session of the request is not revoked
+                await status(userAgent);
+            });
+
+            test('Fail - 40100 - tokens without a session are refused after revoke of all the sessions', async function () {
+                const tokenOptions = {
+                    expiresIn: '1h',
+                    algorithm: config.session.algorithm
+                };
+                const tokenApp = jwt.sign({
+                    id: user.id,
+                    scope: 'all'
+                }, config.session.privateKey, tokenOptions);
+                const tokenPartner = jwt.sign({
+                    id: user.id,
+                    partnerId: TEST_PARTNER.id,
+                    scope: 'partner',
+                    scopes: ['openid']
+                }, config.session.privateKey, tokenOptions);
+
+                await userAgent
+                    .delete('/api/users/:userId/sessions'.replace(':userId', user.id))
+                    .set('Content-Type', 'application/json')
+                    .expect(200);
+
+                for (const token of [tokenApp, tokenPartner]) {
+                    const statusRes = await request.agent(app)
+                        .get('/api/auth/status')
+                        .set('Authorization', 'Bearer ' + token)
+                        .expect(401);
+                    assert.equal(statusRes.body.status.message, 'JWT token has been revoked');
+                }
+            });
+
+            test('Success - refresh_token - narrower "scope"', async function () {
+                const tokens = await getTokens('openid email offline_access');
+
+                const refreshRes = await openIdToken(request.agent(app), {
+                    grant_type: 'refresh_token',
+                    client_id: TEST_PARTNER.id,
+                    refresh_token: tokens.refresh_token,
+                    scope: 'openid'
+                });
+
+                assert.equal(refreshRes.body.scope, 'openid');
+            });
+
+            test('Fail - 400 - refresh_token - wider "scope"', async function () {
+                const tokens = await getTokens('openid offline_access');
+
+                const refreshRes = await _openIdToken(request.agent(app), {
+                    grant_type: 'refresh_token',
+                    client_id: TEST_PARTNER.id,
+                    refresh_token: tokens.refresh_token,
+                    scope: 'openid email'
+                }, 400);
+
+                assert.equal(refreshRes.body.error, 'invalid_scope');
+            });
+
+            test('Fail - 400 - authorization_code - code used twice', async function () {
+                const code = await getCode();
+                const params = {
+                    grant_type: 'authorization_code',
+                    client_id: TEST_PARTNER.id,
+                    redirect_uri: TEST_CALLBACK_URI,
+                    code: code,
+                    code_verifier: codeVerifier
+                };
+
+                const tokens = (await openIdToken(request.agent(app), params)).body;
+                const tokenRes = await _openIdToken(request.agent(app), params, 400);
+
+                assert.deepEqual(tokenRes.body, {
+                    error: 'invalid_grant',
+                    error_description: 'Invalid authorization code.'
+                });
+
+                // Access Token issued with the code is revoked
+                const statusRes = await request.agent(app)
+                    .get('/api/auth/status')
+                    .set('Authorization', 'Bearer ' + tokens.access_token)
+                    .expect(401);
+                assert.equal(statusRes.body.status.message, 'JWT token has been revoked');
+            });
+
+            test('Fail - 400 - authorization_code - invalid "code_verifier"', async function () {
+                const code = await getCode();
+                const tokenRes = await _openIdToken(request.agent(app), {
+                    grant_type: 'authorization_code',
+                    client_id: TEST_PARTNER.id,
+                    redirect_uri: TEST_CALLBACK_URI,
+                    code: code,
+                    code_verifier: crypto.randomBytes(32).toString('hex')
+                }, 400);
+
+                assert.deepEqual(tokenRes.body, {
+                    error: 'invalid_grant',
+                    error_description: 'Invalid "code_verifier" parameter value.'
+                });
+            });
+
+            test('Fail - 400 - authorization_code - missing "code_verifier"', async function () {
+                const code = await getCode();
+                const tokenRes = await _openIdToken(request.agent(app), {
+                    grant_type: 'authorization_code',
+                    client_id: TEST_PARTNER.id,
+                    redirect_uri: TEST_CALLBACK_URI,
+                    code: code
+                }, 400);
+
+                assert.deepEqual(tokenRes.body, {
+                    error: 'invalid_request',
+                    error_description: 'Invalid or missing "code_verifier" parameter value.'
+                });
+            });
+
+            test('Fail - 400 - authorization_code - "redirect_uri" does not match', async function () {
+                const code = await getCode();
+                const tokenRes = await _openIdToken(request.agent(app), {
+                    grant_type: 'authorization_code',
+                    client_id: TEST_PARTNER.id,
+                    redirect_uri: TEST_CALLBACK_URI + '/other',
+                    code: code,
+                    code_verifier: codeVerifier
+                }, 400);
+
+                assert.deepEqual(tokenRes.body, {
+                    error: 'invalid_grant',
+                    error_description: 'Invalid "redirect_uri" parameter value. Must match the one in the authorization request.'
+                });
+            });
+
+            test('Fail - 400 - authorization_code - User consent has been revoked', async function () {
+                const agent = request.agent(app);
+                const userOther = await userLib.createUserAndLogin(agent, null, null, null);
+                await UserConsent.create({
+                    userId: userOther.id,
+                    partnerId: TEST_PARTNER.id
+                });
+
+                const authRes = await openIdAuthorizeCode(agent, TEST_PARTNER.id, TEST_CALLBACK_URI, 'openid', null, null, codeChallenge);
+                const code = querystring.parse(authRes.headers.location.split('?')[1]).code;
+
+                await agent
+                    .delete('/api/users/' + userOther.id + '/consents/' + TEST_PARTNER.id)
+                    .expect(200);
+
+                const tokenRes = await _openIdToken(request.agent(app), {
+                    grant_type: 'authorization_code',
+                    client_id: TEST_PARTNER.id,
+                    redirect_uri: TEST_CALLBACK_URI,
+                    code: code,
+                    code_verifier: codeVerifier
+                }, 400);
+
+                assert.deepEqual(tokenRes.body, {
+                    error: 'invalid_grant',
+                    error_description: 'User consent has been revoked.'
+                });
+            });
+
+            test('Fail - 401 - invalid "client_id"', async function () {
+                const tokenRes = await _openIdToken(request.agent(app), {
+                    grant_type: 'authorization_code',
+                    client_id: uuid.v4(),
+                    redirect_uri: TEST_CALLBACK_URI,
+                    code: 'invalid',
+                    code_verifier: codeVerifier
+                }, 401);
+
+                assert.equal(tokenRes.body.error, 'invalid_client');
+            });
+
+            test('Fail - 400 - unsupported "grant_type"', async function () {
+                const tokenRes = await _openIdToken(request.agent(app), {
+                    grant_type: 'password',
+                    client_id: TEST_PARTNER.id
+                }, 400);
+
+                assert.equal(tokenRes.body.error, 'unsupported_grant_type');
+            });
+
+        });
+
+        suite('Revoke', function () {
+            const codeVerifier = crypto.randomBytes(32).toString('hex');
+            const codeChallenge = cryptoLib.getPkceChallenge(codeVerifier);
+
+            let tokens;
+
+            suiteSetup(async function () {
+                await Partner.upsert(TEST_PARTNER);
+
+                const agent = request.agent(app);
+                const user = await userLib.createUserAndLogin(agent, null, null, null);
+                await UserConsent.create({
+                    userId: user.id,
+                    partnerId: TEST_PARTNER.id
+                });
+
+                const authRes = await openIdAuthorizeCode(agent, TEST_PARTNER.id, TEST_CALLBACK_URI, 'openid offline_access', null, null, codeChallenge);
+                const tokenRes = await openIdToken(request.agent(app), {
+                    grant_type: 'authorization_code',
+                    client_id: TEST_PARTNER.id,
+                    redirect_uri: TEST_CALLBACK_URI,
+                    code: querystring.parse(authRes.headers.location.split('?')[1]).code,
+                    code_verifier: codeVerifier
+                });
+
+                tokens = tokenRes.body;
+            });
+
+            test('Success - refresh token', async function () {
+                await openIdRevoke(request.agent(app), TEST_PARTNER.id, tokens.refresh_token);
+
+                await _openIdToken(request.agent(app), {
+                    grant_type: 'refresh_token',
+                    client_id: TEST_PARTNER.id,
+                    refresh_token: tokens.refresh_token
+                }, 400);
+            });
+
+            test('Success - unknown token is ignored', async function () {
+                await openIdRevoke(request.agent(app), TEST_PARTNER.id, 'invalid');
+            });
+
+            test('Fail - 400 - access token', async function () {
+                const revokeRes = await _openIdRevoke(request.agent(app), TEST_PARTNER.id, tokens.access_token, 400);
+                assert.equal(revokeRes.body.error, 'unsupported_token_type');
+            });
+
+        });
+
+        suite('UserInfo', function () {
+            const codeVerifier = crypto.randomBytes(32).toString('hex');
+            const codeChallenge = cryptoLib.getPkceChallenge(codeVerifier);
+
+            let user;
+            let agent;
+
+            const getAccessToken = async function (scope) {
+                const authRes = await openIdAuthorizeCode(agent, TEST_PARTNER.id, TEST_CALLBACK_URI, scope, null, null, codeChallenge);
+                const tokenRes = await openIdToken(request.agent(app), {
+                    grant_type: 'authorization_code',
+                    client_id: TEST_PARTNER.id,
+                    redirect_uri: TEST_CALLBACK_URI,
+                    code: querystring.parse(authRes.headers.location.split('?')[1]).code,
+                    code_verifier: codeVerifier
+                });
+
+                return tokenRes.body.access_token;
+            };
+
+            suiteSetup(async function () {
+                await Partner.upsert(TEST_PARTNER);
+
+                agent = request.agent(app);
+                user = await userLib.createUserAndLogin(agent, null, null, null);
+                await UserConsent.create({
+                    userId: user.id,
+                    partnerId: TEST_PARTNER.id
+                });
+            });
+
+            test('Success - "openid" scope', async function () {
+                const accessToken = await getAccessToken('openid');
+                const userInfoRes = await openIdUserInfo(request.agent(app), accessToken);
+
+                assert.deepEqual(userInfoRes.body, {
+                    sub: user.id
+                });
+            });
+
+            test('Success - "openid profile email" scope', async function () {
+                const accessToken = await getAccessToken('openid profile email');
+                const userInfoRes = await openIdUserInfo(request.agent(app), accessToken);
+                const userDb = await User.findOne({
+                    where: {
+                        id: user.id
+                    }
+                });
+
+                assert.deepEqual(userInfoRes.body, {
+                    sub: userDb.id,
+                    name: userDb.name,
+                    picture: userDb.imageUrl,
+                    locale: userDb.language,
+                    email: userDb.email,
+                    email_verified: userDb.emailIsVerified
+                });
+            });
+
+            test('Fail - 401 - no token', async function () {
+                await request.agent(app)
+                    .get('/api/auth/openid/userinfo')
+                    .expect(401);
+            });
+
+        });
+
+        suite('Discovery', function () {
+
+            test('Success - configuration', async function () {
+                const res = await request.agent(app)
+                    .get('/.well-known/openid-configuration')
+                    .expect(200)
+                    .expect('Content-Type', /json/);
+
+                const configuration = res.body;
+                assert.equal(configuration.issuer, urlLib.getApi());
+                assert.equal(configuration.token_endpoint, urlLib.getApi('/api/auth/openid/token'));
+                assert.equal(configuration.jwks_uri, urlLib.getApi('/api/auth/openid/jwks'));
+                assert.deepEqual(configuration.code_challenge_methods_supported, ['S256']);
+                assert.deepEqual(configuration.id_token_signing_alg_values_supported, [config.session.algorithm]);
+            });
+
+            test('Success - JWKS', async function () {
+                const res = await request.agent(app)
+                    .get('/api/auth/openid/jwks')
+                    .expect(200)
+                    .expect('Content-Type', /json/);
+
+                const keys = res.body.keys;
+                assert.equal(keys.length, 1);
+                assert.equal(keys[0].alg, config.session.algorithm);
+                assert.equal(keys[0].use, 'sig');
+                assert.deepEqual(keys[0], Object.assign(cryptoLib.getJwk(config.session.publicKey), {
+                    alg: config.session.algorithm,
+                    use: 'sig',
+                    kid: keys[0].kid
+                }));
+                assert.equal(keys[0].kid, cryptoLib.getJwkThumbprint(keys[0]));
+            });
+
         });
 
     });
@@ -19,6 +19,26 @@ const groupCreate = async function (agent, userId, name, parentId, visibility) {
     return _groupCreate(agent, userId, name, parentId, visibility, 201);
 };
 
+const _groupSubgroupCreate = async function (agent, userId, name, parentId, parentMemberLevel, visibility, expectedHttpCode) {
+    const path = '/api/users/:userId/groups'.replace(':userId', userId);
+
+    return agent
+        .post(path)
+        .set('Content-Type', 'application/json')
+        .send({
+            name: name,
+            parentId: parentId,
+            parentMemberLevel: parentMemberLevel,
+            visibility: visibility
+        })
+        .expect(expectedHttpCode)
+        .expect('Content-Type', /json/);
+};
+
+const groupSubgroupCreate = async function (agent, userId, name, parentId, parentMemberLevel, visibility) {
+    return _groupSubgroupCreate(agent, userId, name, parentId, parentMemberLevel, visibility, 201);
+};
+
 const _groupRead = async function (agent, userId, groupId, expectedHttpCode) {
     const path = '/api/users/:userId/groups/:groupId'
         .replace(':userId', userId)
@@ -55,6 +75,42 @@ const groupUpdate = async function (agent, userId, groupId, name, parentId) {
     return _groupUpdate(agent, userId, groupId, name, parentId, 200);
 };
 
+const _groupRequireTwoFactorUpdate = async function (agent, userId, groupId, name, requireTwoFactor, expectedHttpCode) {
+    const path = '/api/users/:userId/groups/:groupId'
+        .replace(':userId', userId)
+        .replace(':groupId', groupId);
+
+    return agent
+        .put(path)
+        .set('Content-Type', 'application/json')
+        .send({
+            name: name,
+            requireTwoFactor: requireTwoFactor
+        })
+        .expect(expectedHttpCode)
+        .expect('Content-Type', /json/);
+};
+
+const groupRequireTwoFactorUpdate = async function (agent, userId, groupId, name, requireTwoFactor) {
+    return _groupRequireTwoFactorUpdate(agent, userId, groupId, name, requireTwoFactor, 200);
+};
+
+const _groupTreeRead = async function (agent, userId, groupId, expectedHttpCode) {
+    const path = '/api/users/:userId/groups/:groupId/tree'
+        .replace(':userId', userId)
+        .replace(':groupId', groupId);
+
+    return agent
+        .get(path)
+        .set('Content-Type', 'application/json')
+        .expect(expectedHttpCode)
+        .expect('Content-Type', /json/);
+};
+
+const groupTreeRead = async function (agent, userId, groupId) {
+    return _groupTreeRead(agent, userId, groupId, 200);
+};
+
 const _groupDelete = async function (agent, userId, groupId, expectedHttpCode) {
     const path = '/api/users/:userId/groups/:groupId'
         .replace(':userId', userId)
@@ -250,10 +306,96 @@ const groupMembersTopicsList = async function (agent, userId, groupId, offset, l
     return _groupMembersTopicsList(agent, userId, groupId, offset, limit, statuses, visibility, creatorId, pinned, hasVoted, showModerated, 200);
 };
 
+const _groupTemplateCreate = async function (agent, userId, groupId, template, expectedHttpCode) {
+    const path = '/api/users/:userId/groups/:groupId/templates'
+        .replace(':userId', userId)
+        .replace(':groupId', groupId);
+
+    return agent
+        .post(path)
+        .set('Content-Type', 'application/json')
+        .send(template)
+        .expect(expectedHttpCode)
+        .expect('Content-Type', /json/);
+};
+
+const groupTemplateCreate = async function (agent, userId, groupId, template) {
+    return _groupTemplateCreate(agent, userId, groupId, template, 201);
+};
+
+const _groupTemplatesList = async function (agent, userId, groupId, expectedHttpCode) {
+    const path = '/api/users/:userId/groups/:groupId/templates'
+        .replace(':userId', userId)
+        .replace(':groupId', groupId);
+
+    return agent
+        .get(path)
+        .set('Content-Type', 'application/json')
+        .expect(expectedHttpCode)
+        .expect('Content-Type', /json/);
+};
+
+const groupTemplatesList = async function (agent, userId, groupId) {
+    return _groupTemplatesList(agent, userId, groupId, 200);
+};
+
+const _groupTemplateRead = async function (agent, userId, groupId, templateId, expectedHttpCode) {
+    const path = '/api/users/:userId/groups/:groupId/templates/:templateId'
+        .replace(':userId', userId)
+        .replace(':groupId', groupId)
+        .replace(':templateId', templateId);
+
+    return agent
+        .get(path)
+        .set('Content-Type', 'application/json')
+        .expect(expectedHttpCode)
+        .expect('Content-Type', /json/);
+};
+
+const groupTemplateRead = async function (agent, userId, groupId, templateId) {
+    return _groupTemplateRead(agent, userId, groupId, templateId, 200);
+};
+
+const _groupTemplateUpdate = async function (agent, userId, groupId, templateId, template, expectedHttpCode) {
+    const path = '/api/users/:userId/groups/:groupId/templates/:templateId'
+        .replace(':userId', userId)
+        .replace(':groupId', groupId)
+        .replace(':templateId', templateId);
+
+    return agent
+        .put(path)
+        .set('Content-Type', 'application/json')
+        .send(template)
+        .expect(expectedHttpCode)
+        .expect('Content-Type', /json/);
+};
+
+const groupTemplateUpdate = async function (agent, userId, groupId, templateId, template) {
+    return _groupTemplateUpdate(agent, userId, groupId, templateId, template, 200);
+};
+
+const _groupTemplateDelete = async function (agent, userId, groupId, templateId, expectedHttpCode) {
+    const path = '/api/users/:userId/groups/:groupId/templates/:templateId'
+        .replace(':userId', userId)
+        .replace(':groupId', groupId)
+        .replace(':templateId', templateId);
+
+    return agent
+        .delete(path)
+        .set('Content-Type', 'application/json')
+        .expect(expectedHttpCode)
+        .expect('Content-Type', /json/);
+};
+
+const groupTemplateDelete = async function (agent, userId, groupId, templateId) {
+    return _groupTemplateDelete(agent, userId, groupId, templateId, 200);
+};
+
 module.exports.create = groupCreate;
 module.exports.delete = groupDelete;
 module.exports.memberUsersUpdate = groupMemberUsersUpdate;
 module.exports.memberUsersDelete = groupMemberUsersDelete;
+module.exports.templateCreate = groupTemplateCreate;
 
 const assert = require('chai').assert;
 const request = require('supertest');
@@ -273,6 +415,8 @@ const GroupMemberUser = models.GroupMemberUser;
 const TopicMemberUser = models.TopicMemberUser;
 const TopicMemberGroup = models.TopicMemberGroup;
 const GroupInviteUser = models.GroupInviteUser;
+const TopicTemplate = models.TopicTemplate;
+const Activity = models.Activity;
 
 suite('Users', function () {
 
@@ -366,6 +510,7 @@ suite('Users', function () {
                     parent: {
                         id: null
                     },
+                    parentMemberLevel: null,
                     name: group.name,
                     visibility: Group.VISIBILITY.private,
                     creator: {
@@ -486,6 +631,182 @@ suite('Users', function () {
 
         });
 
+        suite('Subgroups', function () {
+            const agent = request.agent(app);
+            const agentMember = request.agent(app);
+            const agentChildMember = request.agent(app);
+
+            let user, member, childMember, parent;
+
+            suiteSetup(async function () {
+                user = await userLib.createUserAndLogin(agent, null, null, null);
+                member = await userLib.createUserAndLogin(agentMember, null, null, null);
+                childMember = await userLib.createUserAndLogin(agentChildMember, null, null, null);
+                parent = (await groupCreate(agent, user.id, 'Test GROUP parent', null, null)).body.data;
+
+                await memberLib.groupMemberUsersCreate(parent.id, [
+                    {
+                        userId: member.id,
+                        level: GroupMemberUser.LEVELS.admin
+                    }
+                ]);
+            });
+
+            test('Success - create', async function () {
+                const group = (await groupSubgroupCreate(agent, user.id, 'Test GROUP child', parent.id, GroupMemberUser.LEVELS.read, null)).body.data;
+
+                assert.equal(group.parentId, parent.id);
+                assert.equal(group.parentMemberLevel, GroupMemberUser.LEVELS.read);
+            });
+
+            test('Success - inherited membership', async function () {
+                const child = (await groupSubgroupCreate(agent, user.id, 'Test GROUP child inherit', parent.id, GroupMemberUser.LEVELS.read, null)).body.data;
+                const grandchild = (await groupSubgroupCreate(agent, user.id, 'Test GROUP grandchild inherit', child.id, GroupMemberUser.LEVELS.admin, null)).body.data;
+                const childNotInherited = (await groupSubgroupCreate(agent, user.id, 'Test GROUP child not inherit', parent.id, null, null)).body.data;
+
+                // Admin of the parent gets the lower of the levels
+                await groupRead(agentMember, member.id, child.id);
+                await _groupUpdate(agentMember, member.id, child.id, 'Not allowed', null, 403);
+                await _groupUpdate(agentMember, member.id, grandchild.id, 'Not allowed', null, 403);
+                await _groupRead(agentMember, member.id, childNotInherited.id, 403);
+
+                const list = (await groupList(agentMember, member.id, null)).body.data;
+                const levels = {};
+                list.rows.forEach(function (group) {
+                    levels[group.id] = group.permission.level;
+                });
+
+                assert.equal(levels[parent.id], GroupMemberUser.LEVELS.admin);
+                assert.equal(levels[child.id], GroupMemberUser.LEVELS.read);
+                assert.equal(levels[grandchild.id], GroupMemberUser.LEVELS.read);
+                assert.notProperty(levels, childNotInherited.id);
+
+                // Stop inheriting
+                await agent
+                    .put('/api/users/:userId/groups/:groupId'.replace(':userId', user.id).replace(':groupId', child.id))
+                    .set('Content-Type', 'application/json')
+                    .send({
+                        name: child.name,
+                        parentMemberLevel: null
+                    })
+                    .expect(200);
+
+                await _groupRead(agentMember, member.id, child.id, 403);
+                await _groupRead(agentMember, member.id, grandchild.id, 403);
+            });
+
+            test('Success - Topic shared with the parent is shared with the subgroups', async function () {
+                const child = (await groupSubgroupCreate(agent, user.id, 'Test GROUP child topic', parent.id, null, null)).body.data;
+                await memberLib.groupMemberUsersCreate(child.id, [
+                    {
+                        userId: childMember.id,
+                        level: GroupMemberUser.LEVELS.read
+                    }
+                ]);
+
+                const topic = (await topicLib.topicCreate(agent, user.id, null, null, null, null, null)).body.data;
+                await topicLib._topicRead(agentChildMember, childMember.id, topic.id, null, 403);
+
+                await topicLib.topicMemberGroupsCreate(agent, user.id, topic.id, {
+                    groupId: parent.id,
+                    level: TopicMemberGroup.LEVELS.edit
+                });
+
+                const topicR = (await topicLib.topicRead(agentChildMember, childMember.id, topic.id, null)).body.data;
+                assert.equal(topicR.permission.level, TopicMemberGroup.LEVELS.edit);
+
+                const topicList = (await topicLib.topicList(agentChildMember, childMember.id, null, null, null, null, null, null, null)).body.data;
+                const topicListed = topicList.rows.find(function (t) {
+                    return t.id === topic.id;
+                });
+                assert.isOk(topicListed);
+                assert.equal(topicListed.permission.level, TopicMemberGroup.LEVELS.edit);
+
+                // Member of the parent has no access through the subgroup
+                const topicChild = (await topicLib.topicCreate(agent, user.id, null, null, null, null, null)).body.data;
+                await topicLib.topicMemberGroupsCreate(agent, user.id, topicChild.id, {
+                    groupId: child.id,
+                    level: TopicMemberGroup.LEVELS.read
+                });
+
+                await topicLib._topicRead(agentMember, member.id, topicChild.id, null, 403);
+            });
+
+            test('Success - tree', async function () {
+                const root = (await groupCreate(agent, user.id, 'Test GROUP tree', null, null)).body.data;
+                const childPublic = (await groupSubgroupCreate(agent, user.id, 'Test GROUP tree A', root.id, null, Group.VISIBILITY.public)).body.data;
+                const childPrivate = (await groupSubgroupCreate(agent, user.id, 'Test GROUP tree B', root.id, null, null)).body.data;
+                const grandchild = (await groupSubgroupCreate(agent, user.id, 'Test GROUP tree A1', childPublic.id, null, null)).body.data;
+
+                const tree = (await groupTreeRead(agent, user.id, root.id)).body.data;
+                assert.equal(tree.id, root.id);
+                assert.equal(tree.permission.level, GroupMemberUser.LEVELS.admin);
+                assert.equal(tree.children.count, 2);
+                assert.deepEqual(tree.children.rows.map(function (group) {
+                    return group.id;
+                }), [childPublic.id, childPrivate.id]);
+                assert.deepEqual(tree.children.rows[0].children.rows.map(function (group) {
+                    return group.id;
+                }), [grandchild.id]);
+
+                // Read member of the root sees only public subgroups and the ones they are a member of
+                await memberLib.groupMemberUsersCreate(root.id, [
+                    {
+                        userId: childMember.id,
+                        level: GroupMemberUser.LEVELS.read
+                    }
+                ]);
+
+                const treeMember = (await groupTreeRead(agentChildMember, childMember.id, root.id)).body.data;
+                assert.equal(treeMember.children.count, 1);
+                assert.equal(treeMember.children.rows[0].id, childPublic.id);
+                assert.equal(treeMember.children.rows[0].children.count, 0);
+            });
+
+            test('Success - delete parent', async function () {
+                const group = (await groupCreate(agent, user.id, 'Test GROUP parent to delete', null, null)).body.data;
+                const child = (await groupSubgroupCreate(agent, user.id, 'Test GROUP orphan', group.id, GroupMemberUser.LEVELS.read, null)).body.data;
+
+                await groupDelete(agent, user.id, group.id);
+
+                const childR = (await groupRead(agent, user.id, child.id)).body.data;
+                assert.isNull(childR.parent.id);
+                assert.isNull(childR.parentMemberLevel);
+            });
+
+            test('Fail - Bad Request - parent does not exist', async function () {
+                const res = await _groupSubgroupCreate(agent, user.id, 'Test GROUP child', 'b8d1a3c0-6a0e-4b3e-9a37-6c2f1e9d4f10', null, null, 400);
+
+                assert.deepEqual(res.body.status, {
+                    code: 40001,
+                    message: 'Parent Group does not exist.'
+                });
+            });
+
+            test('Fail - Bad Request - invalid parentMemberLevel', async function () {
+                const res = await _groupSubgroupCreate(agent, user.id, 'Test GROUP child', parent.id, 'edit', null, 400);
+
+                assert.deepEqual(res.body.status, {
+                    code: 40003,
+                    message: 'Invalid value for "parentMemberLevel". Must be one of: read, admin'
+                });
+            });
+
+            test('Fail - Forbidden - admin permission on the parent required', async function () {
+                const res = await _groupSubgroupCreate(agentChildMember, childMember.id, 'Test GROUP child', parent.id, null, null, 403);
+
+                assert.deepEqual(res.body.status, {
+                    code: 40300,
+                    message: 'Insufficient permissions'
+                });
+            });
+
+            test('Fail - Forbidden - tree requires read permission', async function () {
+                await _groupTreeRead(agentChildMember, childMember.id, parent.id, 403);
+            });
+
+        });
+
         suite('List', function () {
             const agentCreator = request.agent(app);
             const groupName = 'Test GROUP for masses List';
@@ -1438,6 +1759,221 @@ suite('Users', function () {
 
         });
 
+        suite('Templates', function () {
+            const agent = request.agent(app);
+            const agentMember = request.agent(app);
+            const creatorEmail = 'test_gtemplates_c_' + new Date().getTime() + '@test.ee';
+            const memberEmail = 'test_gtemplates_m_' + new Date().getTime() + '@test.ee';
+            const password = 'testPassword123';
+
+            let creator, member, group, groupOther;
+
+            const templateData = {
+                name: 'Test template',
+                description: '<html><body><h1>Template title</h1><p>Template text</p></body></html>',
+                categories: [Topic.CATEGORIES.environment],
+                vote: {
+                    options: [{value: 'Yes'}, {value: 'No'}],
+                    type: 'regular',
+                    unknownField: true
+                }
+            };
+
+            suiteSetup(async function () {
+                creator = await userLib.createUserAndLogin(agent, creatorEmail, password, null);
+                member = await userLib.createUserAndLogin(agentMember, memberEmail, password, null);
+                group = (await groupCreate(agent, creator.id, 'Test Group templates', null, null)).body.data;
+                groupOther = (await groupCreate(agentMember, member.id, 'Test Group templates other', null, null)).body.data;
+
+                await memberLib.groupMemberUsersCreate(group.id, [
+                    {
+                        userId: member.id,
+                        level: GroupMemberUser.LEVELS.read
+                    }
+                ]);
+            });
+
+            test('Success - create, read, list, update and delete', async function () {
+                const template = (await groupTemplateCreate(agent, creator.id, group.id, Object.assign({}, templateData, {memberGroups: [{groupId: group.id, level: TopicMemberGroup.LEVELS.edit}]}))).body.data;
+                assert.property(template, 'id');
+                assert.equal(template.groupId, group.id);
+                assert.equal(template.name, templateData.name);
+                assert.equal(template.description, templateData.description);
+                assert.deepEqual(template.categories, templateData.categories);
+                assert.deepEqual(template.vote, {options: templateData.vote.options, type: 'regular'});
+                assert.deepEqual(template.memberGroups, [{groupId: group.id, level: TopicMemberGroup.LEVELS.edit}]);
+                assert.equal(template.creatorId, creator.id);
+
+                const templateRead = (await groupTemplateRead(agentMember, member.id, group.id, template.id)).body.data;
+                assert.deepEqual(templateRead, template);
+
+                const templates = (await groupTemplatesList(agentMember, member.id, group.id)).body.data;
+                assert.equal(templates.count, 1);
+                assert.deepEqual(templates.rows[0], template);
+
+                const templateUpdated = (await groupTemplateUpdate(agent, creator.id, group.id, template.id, {name: 'Test template updated', categories: []})).body.data;
+                assert.equal(templateUpdated.name, 'Test template updated');
+                assert.deepEqual(templateUpdated.categories, []);
+                assert.deepEqual(templateUpdated.vote, template.vote);
+
+                await groupTemplateDelete(agent, creator.id, group.id, template.id);
+                await _groupTemplateRead(agent, creator.id, group.id, template.id, 404);
+
+                const templateDeleted = await TopicTemplate.findOne({
+                    where: {
+                        id: template.id
+                    },
+                    paranoid: false
+                });
+                assert.isNotNull(templateDeleted.deletedAt);
+
+                const activities = await Activity.findAll({
+                    where: {
+                        'data.object.id': template.id
+                    }
+                });
+                assert.sameMembers(activities.map(function (activity) {
+                    return activity.data.type;
+                }), [Activity.TYPES.create, Activity.TYPES.update, Activity.TYPES.delete]);
+                activities.forEach(function (activity) {
+                    assert.include(activity.groupIds, group.id);
+                });
+            });
+
+            test('Fail - 40000 - less than 2 vote options', async function () {
+                const res = await _groupTemplateCreate(agent, creator.id, group.id, Object.assign({}, templateData, {vote: {options: [{value: 'Yes'}]}}), 400);
+                assert.deepEqual(res.body.errors, {vote: 'At least 2 vote options are required.'});
+            });
+
+            test('Fail - 40300 - not an admin of the Group', async function () {
+                await _groupTemplateCreate(agentMember, member.id, group.id, templateData, 403);
+            });
+
+            test('Fail - 40300 - not a member of the template member Group', async function () {
+                await _groupTemplateCreate(agent, creator.id, group.id, Object.assign({}, templateData, {memberGroups: [{groupId: groupOther.id, level: TopicMemberGroup.LEVELS.read}]}), 403);
+            });
+
+            test('Fail - 40400 - template of another Group', async function () {
+                const template = (await groupTemplateCreate(agent, creator.id, group.id, templateData)).body.data;
+                await _groupTemplateRead(agentMember, member.id, groupOther.id, template.id, 404);
+            });
+        });
+
+        suite('Two-factor authentication', function () {
+            const agent = request.agent(app);
+            const agentMember = request.agent(app);
+            const groupName = 'Test Group two-factor';
+
+            let creator, member, group;
+
+            setup(async function () {
+                creator = await userLib.createUserAndLogin(agent, null, null, null);
+                member = await userLib.createUserAndLogin(agentMember, null, null, null);
+                group = (await groupCreate(agent, creator.id, groupName, null, null)).body.data;
+                assert.isFalse(group.requireTwoFactor);
+
+                await memberLib.groupMemberUsersCreate(group.id, [
+                    {
+                        userId: member.id,
+                        level: GroupMemberUser.LEVELS.read
+                    }
+                ]);
+            });
+
+            test('Success - members without two-factor authentication lose access to the Group and its Topics', async function () {
+                const topic = (await topicLib.topicCreate(agent, creator.id, null, null, null, null, null)).body.data;
+                await topicLib.topicMemberGroupsCreate(agent, creator.id, topic.id, {
+                    groupId: group.id,
+                    level: TopicMemberGroup.LEVELS.read
+                });
+                await topicLib.topicRead(agentMember, member.id, topic.id, null);
+
+                await userLib.enableTwoFactor(agent, creator.id);
+                const groupUpdated = (await groupRequireTwoFactorUpdate(agent, creator.id, group.id, groupName, true)).body.data;
+                assert.isTrue(groupUpdated.requireTwoFactor);
+
+                const groupR = (await groupRead(agent, creator.id, group.id)).body.data;
+                assert.isTrue(groupR.requireTwoFactor);
+
+                const res = await _groupRead(agentMember, member.id, group.id, 403);
+                assert.equal(res.body.status.code, 40301);
+                assert.equal(res.body.status.message, 'Two-factor authentication is required by the Group.');
+
+                await topicLib._topicRead(agentMember, member.id, topic.id, null, 403);
+
+                const groups = (await groupList(agentMember, member.id, null)).body.data;
+                assert.lengthOf(groups.rows, 0);
+
+                await userLib.enableTwoFactor(agentMember, member.id);
+
+                await groupRead(agentMember, member.id, group.id);
+                await topicLib.topicRead(agentMember, member.id, topic.id, null);
+            });
+
+            test('Success - member without two-factor authentication can leave the Group', async function () {
+                await userLib.enableTwoFactor(agent, creator.id);
+                await groupRequireTwoFactorUpdate(agent, creator.id, group.id, groupName, true);
+
+                await groupMemberUsersDelete(agentMember, member.id, group.id, member.id);
+            });
+
+            test('Success - create', async function () {
+                await userLib.enableTwoFactor(agent, creator.id);
+
+                const res = await agent
+                    .post('/api/users/:userId/groups'.replace(':userId', creator.id))
+                    .set('Content-Type', 'application/json')
+                    .send({
+                        name: groupName,
+                        requireTwoFactor: true
+                    })
+                    .expect(201)
+                    .expect('Content-Type', /json/);
+
+                assert.isTrue(res.body.data.requireTwoFactor);
+            });
+
+            test('Fail - 40004 - create without two-factor authentication enabled', async function () {
+                const res = await agent
+                    .post('/api/users/:userId/groups'.replace(':userId', creator.id))
+                    .set('Content-Type', 'application/json')
+                    .send({
+                        name: groupName,
+                        requireTwoFactor: true
+                    })
+                    .expect(400)
+                    .expect('Content-Type', /json/);
+
+                assert.equal(res.body.status.code, 40004);
+                assert.equal(res.body.status.message, 'Two-factor authentication has to be enabled to require it from the Group members.');
+            });
+
+            test('Fail - 40004 - update without two-factor authentication enabled', async function () {
+                const res = await _groupRequireTwoFactorUpdate(agent, creator.id, group.id, groupName, true, 400);
+
+                assert.equal(res.body.status.code, 40004);
+            });
+
+            test('Fail - 40301 - accept invite without two-factor authentication enabled', async function () {
+                const agentUser = request.agent(app);
+                const user = await userLib.createUserAndLogin(agentUser, null, null, null);
+
+                await userLib.enableTwoFactor(agent, creator.id);
+                await groupRequireTwoFactorUpdate(agent, creator.id, group.id, groupName, true);
+
+                const invite = (await groupInviteUsersCreate(agent, creator.id, group.id, {
+                    userId: user.id,
+                    level: GroupMemberUser.LEVELS.read
+                })).body.data.rows[0];
+
+                const res = await _groupInviteUsersAccept(agentUser, user.id, group.id, invite.id, 403);
+                assert.equal(res.body.status.code, 40301);
+
+                await userLib.enableTwoFactor(agentUser, user.id);
+                await groupInviteUsersAccept(agentUser, user.id, group.id, invite.id);
+            });
+        });
+
         suite('Members', function () {
 
             suite('Users', function () {
@@ -1518,6 +2054,32 @@ suite('Users', function () {
                         // Creator tries to degrade his own permissions while being the last admin user
                         await _groupMemberUsersUpdate(agent, creator.id, g.id, creator.id, GroupMemberUser.LEVELS.read, 400);
                     });
+
+                    test('Success - update weight of the last admin user', async function () {
+                        const g = (await groupCreate(agent, creator.id, 'Test Group edit members weight', null, null)).body.data;
+                        const path = '/api/users/:userId/groups/:groupId/members/users/:memberId'
+                            .replace(':userId', creator.id)
+                            .replace(':groupId', g.id)
+                            .replace(':memberId', creator.id);
+
+                        await agent
+                            .put(path)
+                            .set('Content-Type', 'application/json')
+                            .send({weight: 5})
+                            .expect(200)
+                            .expect('Content-Type', /json/);
+
+                        const gm = await GroupMemberUser
+                            .findOne({
+                                where: {
+                                    groupId: g.id,
+                                    userId: creator.id
+                                }
+                            });
+
+                        assert.equal(gm.level, GroupMemberUser.LEVELS.admin);
+                        assert.equal(gm.weight, 5);
+                    });
                 });
 
                 suite('Delete', function () {
@@ -20,7 +20,8 @@ module.exports = function (app) {
                         userId: member.userId
                     },
                     defaults: {
-                        level: member.level || TopicMemberUser.LEVELS.read
+                        level: member.level || TopicMemberUser.LEVELS.read,
+                        weight: member.weight
                     }
                 });
         });
@@ -36,7 +37,8 @@ module.exports = function (app) {
                     userId: member.userId
                 },
                 defaults: {
-                    level: member.level || GroupMemberUser.LEVELS.read
+                    level: member.level || GroupMemberUser.LEVELS.read,
+                    weight: member.weight
                 }
             });
         });
@@ -9,6 +9,7 @@ module.exports = function (app) {
     const userLib = require('../user');
     const models = app.get('models');
     const db = models.Sequelize;
+    const cryptoLib = app.get('cryptoLib');
 
     const User = models.User;
 
@@ -92,10 +93,50 @@ module.exports = function (app) {
         return userLib.userDelete(agent, userId);
     };
 
+    /**
+     * Get two-factor authentication code
+     *
+     * Every code is accepted once, use "stepOffset" to get a code of the next time step (30s) which is also accepted.
+     *
+     * @param {string} secret Base32 encoded secret
+     * @param {number} [stepOffset=0] Offset from the current time step
+     *
+     * @returns {string} TOTP code
+     *
+     * @private
+     */
+    const _getTwoFactorCode = function (secret, stepOffset) {
+        return cryptoLib.getTotp(cryptoLib.getBufferFromBase32(secret), Date.now() + (stepOffset || 0) * 30000);
+    };
+
+    /**
+     * Enable two-factor authentication for the logged in User
+     *
+     * The code of the current time step is used for enabling.
+     *
+     * @param {object} agent Superagent
+     * @param {string} userId User id
+     *
+     * @returns {Promise<object>} {secret, recoveryCodes}
+     *
+     * @private
+     */
+    const _enableTwoFactor = async function (agent, userId) {
+        const secret = (await userLib.twoFactorEnroll(agent, userId)).body.data.secret;
+        const recoveryCodes = (await userLib.twoFactorEnable(agent, userId, _getTwoFactorCode(secret))).body.data.recoveryCodes;
+
+        return {
+            secret: secret,
+            recoveryCodes: recoveryCodes
+        };
+    };
+
     return {
         deleteUser: _deleteUser,
         createUser: _createUser,
-        createUserAndLogin: _createUserAndLogin
+        createUserAndLogin: _createUserAndLogin,
+        getTwoFactorCode: _getTwoFactorCode,
+        enableTwoFactor: _enableTwoFactor
     };
 
 };
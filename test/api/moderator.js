@@ -0,0 +1,294 @@
+'use strict';
+
+const assert = require('chai').assert;
+const request = require('supertest');
+const app = require('../../app');
+const models = app.get('models');
+
+const shared = require('../utils/shared');
+const userLib = require('./lib/user')(app);
+const topicLib = require('./topic');
+
+const Topic = models.Topic;
+const Comment = models.Comment;
+const Partner = models.Partner;
+const Moderator = models.Moderator;
+const Report = models.Report;
+
+const _moderatorReportsList = async function (agent, userId, query, expectedHttpCode) {
+    const path = '/api/users/:userId/moderator/reports'
+        .replace(':userId', userId);
+
+    return agent
+        .get(path)
+        .query(query || {})
+        .set('Content-Type', 'application/json')
+        .expect(expectedHttpCode)
+        .expect('Content-Type', /json/);
+};
+
+const moderatorReportsList = async function (agent, userId, query) {
+    return _moderatorReportsList(agent, userId, query, 200);
+};
+
+const _moderatorReportsAction = async function (agent, userId, action, body, expectedHttpCode) {
+    const path = '/api/users/:userId/moderator/reports/:action'
+        .replace(':userId', userId)
+        .replace(':action', action);
+
+    return agent
+        .post(path)
+        .set('Content-Type', 'application/json')
+        .send(body)
+        .expect(expectedHttpCode)
+        .expect('Content-Type', /json/);
+};
+
+const moderatorReportsAction = async function (agent, userId, action, body) {
+    return _moderatorReportsAction(agent, userId, action, body, 200);
+};
+
+const _moderatorUserReportsList = async function (agent, userId, creatorId, expectedHttpCode) {
+    const path = '/api/users/:userId/moderator/users/:creatorId/reports'
+        .replace(':userId', userId)
+        .replace(':creatorId', creatorId);
+
+    return agent
+        .get(path)
+        .set('Content-Type', 'application/json')
+        .expect(expectedHttpCode)
+        .expect('Content-Type', /json/);
+};
+
+const moderatorUserReportsList = async function (agent, userId, creatorId) {
+    return _moderatorUserReportsList(agent, userId, creatorId, 200);
+};
+
+suite('Moderator', function () {
+    const agentCreator = request.agent(app);
+    const agentReporter = request.agent(app);
+    const agentModerator = request.agent(app);
+    const agentModeratorOther = request.agent(app);
+    const agentNotModerator = request.agent(app);
+
+    let creator, reporter, moderator, moderatorOther, notModerator;
+    let partner, partnerOther;
+
+    suiteSetup(async function () {
+        await shared.syncDb();
+
+        creator = await userLib.createUserAndLogin(agentCreator, null, null, null);
+        reporter = await userLib.createUserAndLogin(agentReporter, null, null, null);
+        moderator = await userLib.createUserAndLogin(agentModerator, null, null, null);
+        moderatorOther = await userLib.createUserAndLogin(agentModeratorOther, null, null, null);
+        notModerator = await userLib.createUserAndLogin(agentNotModerator, null, null, null);
+
+        partner = await Partner.create({
+            website: 'https://moderator.test.ee',
+            redirectUriRegexp: 'notimportant'
+        });
+        partnerOther = await Partner.create({
+            website: 'https://moderator-other.test.ee',
+            redirectUriRegexp: 'notimportant'
+        });
+
+        await Moderator.create({
+            userId: moderator.id,
+            partnerId: partner.id
+        });
+        await Moderator.create({
+            userId: moderatorOther.id,
+            partnerId: partnerOther.id
+        });
+    });
+
+    suite('Reports', function () {
+        let topic, comment, topicReport, commentReport;
+
+        setup(async function () {
+            topic = (await topicLib.topicCreate(agentCreator, creator.id, Topic.VISIBILITY.public, null, null, null, null)).body.data;
+            await Topic.update(
+                {
+                    sourcePartnerId: partner.id
+                },
+                {
+                    where: {
+                        id: topic.id
+                    }
+                }
+            );
+
+            comment = (await topicLib.topicCommentCreate(agentCreator, creator.id, topic.id, null, null, Comment.TYPES.pro, 'Subject', 'Comment text')).body.data;
+            topicReport = (await topicLib.topicReportCreate(agentReporter, topic.id, Report.TYPES.spam, 'Topic is spam')).body.data;
+            commentReport = (await topicLib.topicCommentReportCreate(agentReporter, topic.id, comment.id, Report.TYPES.abuse, 'Comment is abusive')).body.data;
+        });
+
+        test('Success - list open Reports', async function () {
+            const list = (await moderatorReportsList(agentModerator, moderator.id, {partnerId: partner.id})).body.data;
+
+            const topicReportListed = list.rows.find(function (report) {
+                return report.id === topicReport.id;
+            });
+            assert.equal(topicReportListed.type, Report.TYPES.spam);
+            assert.equal(topicReportListed.topic.id, topic.id);
+            assert.equal(topicReportListed.creator.id, reporter.id);
+            assert.isNull(topicReportListed.comment);
+            assert.isNull(topicReportListed.assignedTo);
+
+            const commentReportListed = list.rows.find(function (report) {
+                return report.id === commentReport.id;
+            });
+            assert.equal(commentReportListed.type, Report.TYPES.abuse);
+            assert.equal(commentReportListed.topic.id, topic.id);
+            assert.equal(commentReportListed.comment.id, comment.id);
+            assert.equal(commentReportListed.comment.creator.id, creator.id);
+        });
+
+        test('Success - filter by type', async function () {
+            const list = (await moderatorReportsList(agentModerator, moderator.id, {types: Report.TYPES.abuse})).body.data;
+
+            assert.isAbove(list.count, 0);
+            list.rows.forEach(function (report) {
+                assert.equal(report.type, Report.TYPES.abuse);
+            });
+        });
+
+        test('Success - filter by age', async function () {
+            const list = (await moderatorReportsList(agentModerator, moderator.id, {createdBefore: topicReport.createdAt})).body.data;
+
+            list.rows.forEach(function (report) {
+                assert.notInclude([topicReport.id, commentReport.id], report.id);
+            });
+        });
+
+        test('Success - Moderator of another Partner does not see the Reports', async function () {
+            const list = (await moderatorReportsList(agentModeratorOther, moderatorOther.id)).body.data;
+
+            list.rows.forEach(function (report) {
+                assert.notEqual(report.topic.id, topic.id);
+            });
+        });
+
+        test('Success - assign', async function () {
+            const assigned = (await moderatorReportsAction(agentModerator, moderator.id, 'assign', {
+                reportIds: [topicReport.id, commentReport.id],
+                assignedToId: moderator.id
+            })).body.data;
+
+            assert.equal(assigned.count, 2);
+            assigned.rows.forEach(function (report) {
+                assert.equal(report.assignedTo.id, moderator.id);
+                assert.isNotNull(report.assignedAt);
+            });
+
+            const list = (await moderatorReportsList(agentModerator, moderator.id, {assignedToId: moderator.id})).body.data;
+            assert.sameMembers(list.rows.map(function (report) {
+                return report.id;
+            }), [topicReport.id, commentReport.id]);
+        });
+
+        test('Success - resolve', async function () {
+            await moderatorReportsAction(agentModerator, moderator.id, 'resolve', {
+                reportIds: [topicReport.id, commentReport.id]
+            });
+
+            const list = (await moderatorReportsList(agentModerator, moderator.id, {partnerId: partner.id, limit: 100})).body.data;
+            list.rows.forEach(function (report) {
+                assert.notInclude([topicReport.id, commentReport.id], report.id);
+            });
+
+            await _moderatorReportsAction(agentModerator, moderator.id, 'resolve', {
+                reportIds: [topicReport.id]
+            }, 404);
+        });
+
+        test('Success - moderate and User history', async function () {
+            await moderatorReportsAction(agentModerator, moderator.id, 'moderate', {
+                reportIds: [topicReport.id, commentReport.id],
+                type: Report.TYPES.spam,
+                text: 'Moderated in bulk'
+            });
+
+            const commentModerated = await Comment.findOne({
+                where: {
+                    id: comment.id
+                },
+                paranoid: false
+            });
+            assert.isNotNull(commentModerated.deletedAt);
+            assert.equal(commentModerated.deletedById, moderator.id);
+            assert.equal(commentModerated.deletedByReportId, commentReport.id);
+
+            const history = (await moderatorUserReportsList(agentModerator, moderator.id, creator.id)).body.data;
+            const reports = {};
+            history.rows.forEach(function (report) {
+                reports[report.id] = report;
+            });
+
+            assert.equal(reports[topicReport.id].moderator.id, moderator.id);
+            assert.equal(reports[topicReport.id].moderatedReasonText, 'Moderated in bulk');
+            assert.equal(reports[commentReport.id].moderator.id, moderator.id);
+            assert.equal(reports[commentReport.id].moderatedReasonType, Report.TYPES.spam);
+        });
+
+        test('Fail - 40001 - invalid types', async function () {
+            const res = await _moderatorReportsList(agentModerator, moderator.id, {types: 'invalid'}, 400);
+
+            assert.equal(res.body.status.code, 40001);
+        });
+
+        test('Fail - 40002 - invalid moderation type', async function () {
+            const res = await _moderatorReportsAction(agentModerator, moderator.id, 'moderate', {
+                reportIds: [topicReport.id],
+                type: 'invalid',
+                text: 'Moderated'
+            }, 400);
+
+            assert.equal(res.body.status.code, 40002);
+        });
+
+        test('Fail - 40003 - assignee is not a Moderator of the Reports', async function () {
+            const res = await _moderatorReportsAction(agentModerator, moderator.id, 'assign', {
+                reportIds: [topicReport.id],
+                assignedToId: moderatorOther.id
+            }, 400);
+
+            assert.equal(res.body.status.code, 40003);
+        });
+
+        test('Fail - 40400 - Report of another Partner', async function () {
+            await _moderatorReportsAction(agentModeratorOther, moderatorOther.id, 'resolve', {
+                reportIds: [topicReport.id]
+            }, 404);
+        });
+
+        test('Fail - 40400 - Report moderated by a concurrent request', async function () {
+            const path = '/api/users/:userId/moderator/reports/moderate'.replace(':userId', moderator.id);
+            const body = {
+                reportIds: [topicReport.id, commentReport.id],
+                type: Report.TYPES.spam,
+                text: 'Moderated twice'
+            };
+
+            const results = await Promise.all([
+                agentModerator.post(path).set('Content-Type', 'application/json').send(body),
+                agentModerator.post(path).set('Content-Type', 'application/json').send(body)
+            ]);
+
+            assert.sameMembers(results.map(function (res) {
+                return res.status;
+            }), [200, 404]);
+        });
+
+        test('Fail - 40300 - not a Moderator', async function () {
+            await _moderatorReportsList(agentNotModerator, notModerator.id, null, 403);
+            await _moderatorUserReportsList(agentNotModerator, notModerator.id, creator.id, 403);
+        });
+
+        test('Fail - 40300 - Partner not moderated', async function () {
+            await _moderatorReportsList(agentModerator, moderator.id, {partnerId: partnerOther.id}, 403);
+        });
+
+    });
+
+});
@@ -11,6 +11,10 @@ const topicLib = require('./topic');
 
 const Topic = models.Topic;
 const Partner = models.Partner;
+const Moderator = models.Moderator;
+const PartnerWebhook = models.PartnerWebhook;
+const PartnerWebhookDelivery = models.PartnerWebhookDelivery;
+const PartnerInstitution = models.PartnerInstitution;
 
 const _partnerRead = async function (agent, partnerId, expectedHttpCode) {
     const path = '/api/partners/:partnerId'
@@ -44,6 +48,166 @@ const partnerTopicRead = async function (agent, partnerId, sourcePartnerObjectId
     return _partnerTopicRead(agent, partnerId, sourcePartnerObjectId, 200);
 };
 
+const _partnerWebhookCreate = async function (agent, userId, partnerId, url, events, expectedHttpCode) {
+    const path = '/api/users/:userId/partners/:partnerId/webhooks'
+        .replace(':userId', userId)
+        .replace(':partnerId', partnerId);
+
+    return agent
+        .post(path)
+        .set('Content-Type', 'application/json')
+        .send({
+            url: url,
+            events: events
+        })
+        .expect(expectedHttpCode)
+        .expect('Content-Type', /json/);
+};
+
+const partnerWebhookCreate = async function (agent, userId, partnerId, url, events) {
+    return _partnerWebhookCreate(agent, userId, partnerId, url, events, 201);
+};
+
+const _partnerWebhookList = async function (agent, userId, partnerId, expectedHttpCode) {
+    const path = '/api/users/:userId/partners/:partnerId/webhooks'
+        .replace(':userId', userId)
+        .replace(':partnerId', partnerId);
+
+    return agent
+        .get(path)
+        .set('Content-Type', 'application/json')
+        .expect(expectedHttpCode)
+        .expect('Content-Type', /json/);
+};
+
+const partnerWebhookList = async function (agent, userId, partnerId) {
+    return _partnerWebhookList(agent, userId, partnerId, 200);
+};
+
+const _partnerWebhookUpdate = async function (agent, userId, partnerId, webhookId, url, events, expectedHttpCode) {
+    const path = '/api/users/:userId/partners/:partnerId/webhooks/:webhookId'
+        .replace(':userId', userId)
+        .replace(':partnerId', partnerId)
+        .replace(':webhookId', webhookId);
+
+    return agent
+        .put(path)
+        .set('Content-Type', 'application/json')
+        .send({
+            url: url,
+            events: events
+        })
+        .expect(expectedHttpCode)
+        .expect('Content-Type', /json/);
+};
+
+const partnerWebhookUpdate = async function (agent, userId, partnerId, webhookId, url, events) {
+    return _partnerWebhookUpdate(agent, userId, partnerId, webhookId, url, events, 200);
+};
+
+const _partnerWebhookDelete = async function (agent, userId, partnerId, webhookId, expectedHttpCode) {
+    const path = '/api/users/:userId/partners/:partnerId/webhooks/:webhookId'
+        .replace(':userId', userId)
+        .replace(':partnerId', partnerId)
+        .replace(':webhookId', webhookId);
+
+    return agent
+        .delete(path)
+        .set('Content-Type', 'application/json')
+        .expect(expectedHttpCode)
+        .expect('Content-Type', /json/);
+};
+
+const partnerWebhookDelete = async function (agent, userId, partnerId, webhookId) {
+    return _partnerWebhookDelete(agent, userId, partnerId, webhookId, 200);
+};
+
+const _partnerWebhookDeliveryList = async function (agent, userId, partnerId, webhookId, status, expectedHttpCode) {
+    const path = '/api/users/:userId/partners/:partnerId/webhooks/:webhookId/deliveries'
+        .replace(':userId', userId)
+        .replace(':partnerId', partnerId)
+        .replace(':webhookId', webhookId);
+
+    return agent
+        .get(path)
+        .set('Content-Type', 'application/json')
+        .query({status: status})
+        .expect(expectedHttpCode)
+        .expect('Content-Type', /json/);
+};
+
+const partnerWebhookDeliveryList = async function (agent, userId, partnerId, webhookId, status) {
+    return _partnerWebhookDeliveryList(agent, userId, partnerId, webhookId, status, 200);
+};
+
+const _partnerInstitutionCreate = async function (agent, userId, partnerId, institution, expectedHttpCode) {
+    const path = '/api/users/:userId/partners/:partnerId/institutions'
+        .replace(':userId', userId)
+        .replace(':partnerId', partnerId);
+
+    return agent
+        .post(path)
+        .set('Content-Type', 'application/json')
+        .send(institution)
+        .expect(expectedHttpCode)
+        .expect('Content-Type', /json/);
+};
+
+const partnerInstitutionCreate = async function (agent, userId, partnerId, institution) {
+    return _partnerInstitutionCreate(agent, userId, partnerId, institution, 201);
+};
+
+const _partnerInstitutionList = async function (agent, userId, partnerId, expectedHttpCode) {
+    const path = '/api/users/:userId/partners/:partnerId/institutions'
+        .replace(':userId', userId)
+        .replace(':partnerId', partnerId);
+
+    return agent
+        .get(path)
+        .set('Content-Type', 'application/json')
+        .expect(expectedHttpCode)
+        .expect('Content-Type', /json/);
+};
+
+const partnerInstitutionList = async function (agent, userId, partnerId) {
+    return _partnerInstitutionList(agent, userId, partnerId, 200);
+};
+
+const _partnerInstitutionUpdate = async function (agent, userId, partnerId, institutionId, institution, expectedHttpCode) {
+    const path = '/api/users/:userId/partners/:partnerId/institutions/:institutionId'
+        .replace(':userId', userId)
+        .replace(':partnerId', partnerId)
+        .replace(':institutionId', institutionId);
+
+    return agent
+        .put(path)
+        .set('Content-Type', 'application/json')
+        .send(institution)
+        .expect(expectedHttpCode)
+        .expect('Content-Type', /json/);
+};
+
+const partnerInstitutionUpdate = async function (agent, userId, partnerId, institutionId, institution) {
+    return _partnerInstitutionUpdate(agent, userId, partnerId, institutionId, institution, 200);
+};
+
+const _partnerInstitutionDelete = async function (agent, userId, partnerId, institutionId, expectedHttpCode) {
+    const path = '/api/users/:userId/partners/:partnerId/institutions/:institutionId'
+        .replace(':userId', userId)
+        .replace(':partnerId', partnerId)
+        .replace(':institutionId', institutionId);
+
+    return agent
+        .delete(path)
+        .set('Content-Type', 'application/json')
+        .expect(expectedHttpCode)
+        .expect('Content-Type', /json/);
+};
+
+const partnerInstitutionDelete = async function (agent, userId, partnerId, institutionId) {
+    return _partnerInstitutionDelete(agent, userId, partnerId, institutionId, 200);
+};
+
 suite('Partners', function () {
 
     suiteSetup(async function () {
@@ -143,4 +307,309 @@ suite('Partners', function () {
 
     });
 
+    suite('Webhooks', function () {
+        const agent = request.agent(app);
+        const agentNotModerator = request.agent(app);
+
+        const url = 'https://citizenos.com/webhooks';
+        const events = [PartnerWebhook.EVENTS.topicCreated, PartnerWebhook.EVENTS.voteClosed];
+
+        let user;
+        let userNotModerator;
+        let partner;
+
+        suiteSetup(async function () {
+            user = await userLib.createUserAndLogin(agent, null, null, null);
+            userNotModerator = await userLib.createUserAndLogin(agentNotModerator, null, null, null);
+
+            partner = (await Partner.findOrCreate({
+                where: {
+                    website: 'notimportant'
+                },
+                defaults: {
+                    website: 'notimportant',
+                    redirectUriRegexp: 'notimportant'
+                }
+            }))[0];
+
+            await Moderator.create({
+                userId: user.id,
+                partnerId: partner.id
+            });
+        });
+
+        suiteTeardown(async function () {
+            // Don't leave subscriptions behind to receive events from other tests
+            return PartnerWebhook.destroy({
+                where: {
+                    partnerId: partner.id
+                }
+            });
+        });
+
+        suite('Create', function () {
+
+            test('Success', async function () {
+                const webhook = (await partnerWebhookCreate(agent, user.id, partner.id, url, events)).body.data;
+
+                assert.property(webhook, 'id');
+                assert.property(webhook, 'secret');
+                assert.equal(webhook.partnerId, partner.id);
+                assert.equal(webhook.creatorId, user.id);
+                assert.equal(webhook.url, url);
+                assert.deepEqual(webhook.events, events);
+            });
+
+            test('Fail - 40000 - invalid event', async function () {
+                return _partnerWebhookCreate(agent, user.id, partner.id, url, ['topic.invalid'], 400);
+            });
+
+            test('Fail - 40000 - invalid url', async function () {
+                return _partnerWebhookCreate(agent, user.id, partner.id, 'notanurl', events, 400);
+            });
+
+            test('Fail - 40000 - url resolves to a private address', async function () {
+                await _partnerWebhookCreate(agent, user.id, partner.id, 'http://169.254.169.254/latest/meta-data', events, 400);
+                await _partnerWebhookCreate(agent, user.id, partner.id, 'http://localhost:3000/webhooks', events, 400);
+                await _partnerWebhookCreate(agent, user.id, partner.id, 'http://[::1]/webhooks', events, 400);
+            });
+
+            test('Fail - 40300 - not a Moderator of the Partner', async function () {
+                return _partnerWebhookCreate(agentNotModerator, userNotModerator.id, partner.id, url, events, 403);
+            });
+
+            test('Fail - 40100 - not logged in', async function () {
+                return _partnerWebhookCreate(request.agent(app), user.id, partner.id, url, events, 401);
+            });
+
+        });
+
+        suite('List', function () {
+
+            test('Success', async function () {
+                const webhook = (await partnerWebhookCreate(agent, user.id, partner.id, url, events)).body.data;
+                const list = (await partnerWebhookList(agent, user.id, partner.id)).body.data;
+
+                const webhookListed = list.rows.find(function (w) {
+                    return w.id === webhook.id;
+                });
+
+                assert.isOk(webhookListed);
+                assert.notProperty(webhookListed, 'secret');
+            });
+
+            test('Fail - 40300 - not a Moderator of the Partner', async function () {
+                return _partnerWebhookList(agentNotModerator, userNotModerator.id, partner.id, 403);
+            });
+
+        });
+
+        suite('Update', function () {
+
+            test('Success', async function () {
+                const webhook = (await partnerWebhookCreate(agent, user.id, partner.id, url, events)).body.data;
+                const urlNew = 'https://citizenos.com/webhooks/new';
+                const eventsNew = [PartnerWebhook.EVENTS.commentCreated];
+
+                const webhookUpdated = (await partnerWebhookUpdate(agent, user.id, partner.id, webhook.id, urlNew, eventsNew)).body.data;
+
+                assert.equal(webhookUpdated.url, urlNew);
+                assert.deepEqual(webhookUpdated.events, eventsNew);
+            });
+
+            test('Fail - 40400 - not found', async function () {
+                return _partnerWebhookUpdate(agent, user.id, partner.id, 'b4ab4adb-f76c-4093-a0be-2006ad66ab0f', url, events, 404);
+            });
+
+        });
+
+        suite('Delete', function () {
+
+            test('Success', async function () {
+                const webhook = (await partnerWebhookCreate(agent, user.id, partner.id, url, events)).body.data;
+
+                await partnerWebhookDelete(agent, user.id, partner.id, webhook.id);
+
+                const webhookRead = await PartnerWebhook.findOne({where: {id: webhook.id}});
+                assert.isNull(webhookRead);
+            });
+
+        });
+
+        suite('Deliveries', function () {
+            let webhook;
+            let topic;
+
+            suiteSetup(async function () {
+                webhook = (await partnerWebhookCreate(agent, user.id, partner.id, url, [PartnerWebhook.EVENTS.topicStatusChanged])).body.data;
+                topic = (await topicLib.topicCreate(agent, user.id, null, null, null, null, null)).body.data;
+
+                await Topic.update(
+                    {
+                        sourcePartnerId: partner.id
+                    },
+                    {
+                        where: {
+                            id: topic.id
+                        }
+                    }
+                );
+            });
+
+            test('Success', async function () {
+                const topicInstance = await Topic.findOne({where: {id: topic.id}});
+                topicInstance.status = Topic.STATUSES.closed;
+
+                await app.get('cosActivities').updateActivity(topicInstance, null, {type: 'User', id: user.id}, null, 'TEST');
+                await topicInstance.save();
+
+                const deliveries = (await partnerWebhookDeliveryList(agent, user.id, partner.id, webhook.id, PartnerWebhookDelivery.STATUSES.pending)).body.data;
+
+                assert.equal(deliveries.count, 1);
+                assert.equal(deliveries.rows[0].event, PartnerWebhook.EVENTS.topicStatusChanged);
+                assert.deepEqual(deliveries.rows[0].payload.data.topic, {
+                    id: topic.id,
+                    status: Topic.STATUSES.closed,
+                    statusPrevious: Topic.STATUSES.inProgress,
+                    sourcePartnerObjectId: null
+                });
+            });
+
+            test('Fail - 40000 - invalid status', async function () {
+                return _partnerWebhookDeliveryList(agent, user.id, partner.id, webhook.id, 'invalid', 400);
+            });
+
+        });
+
+    });
+
+    suite('Institutions', function () {
+        const agent = request.agent(app);
+        const agentNotModerator = request.agent(app);
+
+        const institutionData = {
+            name: 'City Council',
+            emails: ['council@citizenos_test.com'],
+            language: 'ET',
+            voteCountMin: 100,
+            contactFields: [PartnerInstitution.CONTACT_FIELDS.name, PartnerInstitution.CONTACT_FIELDS.email],
+            linkAddEvent: 'https://citizenospartner.ee/initiatives/:topicId/events/new',
+            emailStyles: {
+                headerBackgroundColor: '#004892'
+            }
+        };
+
+        let user;
+        let userNotModerator;
+        let partner;
+
+        suiteSetup(async function () {
+            user = await userLib.createUserAndLogin(agent, null, null, null);
+            userNotModerator = await userLib.createUserAndLogin(agentNotModerator, null, null, null);
+
+            partner = await Partner.create({
+                website: 'https://citizenospartner.ee',
+                redirectUriRegexp: 'notimportant'
+            });
+
+            await Moderator.create({
+                userId: user.id,
+                partnerId: partner.id
+            });
+        });
+
+        suite('Create', function () {
+
+            test('Success', async function () {
+                const institution = (await partnerInstitutionCreate(agent, user.id, partner.id, institutionData)).body.data;
+
+                assert.property(institution, 'id');
+                assert.equal(institution.partnerId, partner.id);
+                assert.equal(institution.name, institutionData.name);
+                assert.deepEqual(institution.emails, institutionData.emails);
+                assert.equal(institution.language, 'et');
+                assert.equal(institution.template, 'toParliament');
+                assert.equal(institution.voteCountMin, institutionData.voteCountMin);
+                assert.deepEqual(institution.contactFields, institutionData.contactFields);
+                assert.equal(institution.linkAddEvent, institutionData.linkAddEvent);
+                assert.deepEqual(institution.emailStyles, institutionData.emailStyles);
+                assert.isFalse(institution.sendContainerDownloadLinkToCreator);
+            });
+
+            test('Fail - 40000 - invalid e-mail', async function () {
+                const errors = (await _partnerInstitutionCreate(agent, user.id, partner.id, Object.assign({}, institutionData, {emails: ['notanemail']}), 400)).body.errors;
+
+                assert.equal(errors.emails, 'Invalid email notanemail');
+            });
+
+            test('Fail - 40000 - invalid contact field', async function () {
+                const errors = (await _partnerInstitutionCreate(agent, user.id, partner.id, Object.assign({}, institutionData, {contactFields: ['address']}), 400)).body.errors;
+
+                assert.equal(errors.contactFields, 'Invalid contact field address');
+            });
+
+            test('Fail - 40000 - invalid template name', async function () {
+                const errors = (await _partnerInstitutionCreate(agent, user.id, partner.id, Object.assign({}, institutionData, {template: '../layouts/default'}), 400)).body.errors;
+
+                assert.equal(errors.template, 'Invalid template name.');
+            });
+
+            test('Fail - 40300 - not a Moderator of the Partner', async function () {
+                return _partnerInstitutionCreate(agentNotModerator, userNotModerator.id, partner.id, institutionData, 403);
+            });
+
+        });
+
+        suite('List', function () {
+
+            test('Success', async function () {
+                const institution = (await partnerInstitutionCreate(agent, user.id, partner.id, institutionData)).body.data;
+                const list = (await partnerInstitutionList(agent, user.id, partner.id)).body.data;
+
+                const institutionListed = list.rows.find(function (i) {
+                    return i.id === institution.id;
+                });
+
+                assert.deepEqual(institutionListed, institution);
+            });
+
+            test('Fail - 40300 - not a Moderator of the Partner', async function () {
+                return _partnerInstitutionList(agentNotModerator, userNotModerator.id, partner.id, 403);
+            });
+
+        });
+
+        suite('Update', function () {
+
+            test('Success', async function () {
+                const institution = (await partnerInstitutionCreate(agent, user.id, partner.id, institutionData)).body.data;
+
+                const institutionUpdated = (await partnerInstitutionUpdate(agent, user.id, partner.id, institution.id, {voteCountMin: 1000, linkAddEvent: null})).body.data;
+
+                assert.equal(institutionUpdated.voteCountMin, 1000);
+                assert.isNull(institutionUpdated.linkAddEvent);
+                assert.equal(institutionUpdated.name, institutionData.name);
+            });
+
+            test('Fail - 40400 - not found', async function () {
+                return _partnerInstitutionUpdate(agent, user.id, partner.id, 'b4ab4adb-f76c-4093-a0be-2006ad66ab0f', {voteCountMin: 1000}, 404);
+            });
+
+        });
+
+        suite('Delete', function () {
+
+            test('Success', async function () {
+                const institution = (await partnerInstitutionCreate(agent, user.id, partner.id, institutionData)).body.data;
+
+                await partnerInstitutionDelete(agent, user.id, partner.id, institution.id);
+
+                const institutionRead = await PartnerInstitution.findOne({where: {id: institution.id}});
+                assert.isNull(institutionRead);
+            });
+
+        });
+
+    });
+
 });
@@ -23,6 +23,47 @@ const topicCreate = async function (agent, userId, visibility, categories, endsA
     return _topicCreate(agent, userId, visibility, categories, endsAt, description, hashtag, 201);
 };
 
+const _topicCreateFromTemplate = async function (agent, userId, templateId, categories, description, expectedHttpCode) {
+    const path = '/api/users/:userId/topics'
+        .replace(':userId', userId);
+
+    return agent
+        .post(path)
+        .set('Content-Type', 'application/json')
+        .set('Origin', 'https://citizenos.com')
+        .send({
+            templateId: templateId,
+            categories: categories,
+            description: description
+        })
+        .expect(expectedHttpCode)
+        .expect('Content-Type', /json/);
+};
+
+const topicCreateFromTemplate = async function (agent, userId, templateId, categories, description) {
+    return _topicCreateFromTemplate(agent, userId, templateId, categories, description, 201);
+};
+
+const _topicClone = async function (agent, userId, topicId, visibility, expectedHttpCode) {
+    const path = '/api/users/:userId/topics/:topicId/clone'
+        .replace(':userId', userId)
+        .replace(':topicId', topicId);
+
+    return agent
+        .post(path)
+        .set('Content-Type', 'application/json')
+        .set('Origin', 'https://citizenos.com')
+        .send({
+            visibility: visibility
+        })
+        .expect(expectedHttpCode)
+        .expect('Content-Type', /json/);
+};
+
+const topicClone = async function (agent, userId, topicId, visibility) {
+    return _topicClone(agent, userId, topicId, visibility, 201);
+};
+
 const _topicRead = async function (agent, userId, topicId, include, expectedHttpCode) {
     const path = '/api/users/:userId/topics/:topicId'
         .replace(':userId', userId)
@@ -637,6 +678,70 @@ const topicCommentListUnauth = async function (agent, topicId, orderBy) {
     return _topicCommentListUnauth(agent, topicId, orderBy, 200);
 };
 
+const _topicCommentRepliesList = async function (agent, userId, topicId, commentId, query, expectedHttpCode) {
+    const path = '/api/users/:userId/topics/:topicId/comments/:commentId/replies'
+        .replace(':userId', userId)
+        .replace(':topicId', topicId)
+        .replace(':commentId', commentId);
+
+    return agent
+        .get(path)
+        .query(query)
+        .expect(expectedHttpCode)
+        .expect('Content-Type', /json/);
+};
+
+const topicCommentRepliesList = async function (agent, userId, topicId, commentId, query) {
+    return _topicCommentRepliesList(agent, userId, topicId, commentId, query, 200);
+};
+
+const _topicCommentRepliesListUnauth = async function (agent, topicId, commentId, query, expectedHttpCode) {
+    const path = '/api/topics/:topicId/comments/:commentId/replies'
+        .replace(':topicId', topicId)
+        .replace(':commentId', commentId);
+
+    return agent
+        .get(path)
+        .query(query)
+        .expect(expectedHttpCode)
+        .expect('Content-Type', /json/);
+};
+
+const topicCommentRepliesListUnauth = async function (agent, topicId, commentId, query) {
+    return _topicCommentRepliesListUnauth(agent, topicId, commentId, query, 200);
+};
+
+const _topicCommentRead = async function (agent, userId, topicId, commentId, expectedHttpCode) {
+    const path = '/api/users/:userId/topics/:topicId/comments/:commentId'
+        .replace(':userId', userId)
+        .replace(':topicId', topicId)
+        .replace(':commentId', commentId);
+
+    return agent
+        .get(path)
+        .expect(expectedHttpCode)
+        .expect('Content-Type', /json/);
+};
+
+const topicCommentRead = async function (agent, userId, topicId, commentId) {
+    return _topicCommentRead(agent, userId, topicId, commentId, 200);
+};
+
+const _topicCommentReadUnauth = async function (agent, topicId, commentId, expectedHttpCode) {
+    const path = '/api/topics/:topicId/comments/:commentId'
+        .replace(':topicId', topicId)
+        .replace(':commentId', commentId);
+
+    return agent
+        .get(path)
+        .expect(expectedHttpCode)
+        .expect('Content-Type', /json/);
+};
+
+const topicCommentReadUnauth = async function (agent, topicId, commentId) {
+    return _topicCommentReadUnauth(agent, topicId, commentId, 200);
+};
+
 const _topicCommentDelete = async function (agent, userId, topicId, commentId, expectedHttpCode) {
     const path = '/api/users/:userId/topics/:topicId/comments/:commentId'
         .replace(':userId', userId)
@@ -735,6 +840,28 @@ const topicAttachmentAdd = async function (agent, userId, topicId, name, link, s
     return _topicAttachmentAdd(agent, userId, topicId, name, link, source, type, size, 200);
 };
 
+const _topicAttachmentUpload = async function (agent, userId, topicId, file, filename, name, expectedHttpCode) {
+    const path = '/api/users/:userId/topics/:topicId/attachments/upload'
+        .replace(':userId', userId)
+        .replace(':topicId', topicId);
+
+    const request = agent
+        .post(path);
+
+    if (name) {
+        request.field('name', name);
+    }
+
+    return request
+        .attach('file', file, filename)
+        .expect(expectedHttpCode)
+        .expect('Content-Type', /json/);
+};
+
+const topicAttachmentUpload = async function (agent, userId, topicId, file, filename, name) {
+    return _topicAttachmentUpload(agent, userId, topicId, file, filename, name, 201);
+};
+
 const _topicAttachmentUpdate = async function (agent, userId, topicId, attachmentId, name, expectedHttpCode) {
     const path = '/api/users/:userId/topics/:topicId/attachments/:attachmentId'
         .replace(':userId', userId)
@@ -833,18 +960,321 @@ const topicAttachmentList = async function (agent, userId, topicId) {
     return _topicAttachmentList(agent, userId, topicId, 200);
 };
 
-const _topicAttachmentListUnauth = async function (agent, topicId, expectedHttpCode) {
-    const path = '/api/topics/:topicId/attachments'
+const _topicAttachmentListUnauth = async function (agent, topicId, expectedHttpCode) {
+    const path = '/api/topics/:topicId/attachments'
+        .replace(':topicId', topicId);
+
+    return agent
+        .get(path)
+        .expect(expectedHttpCode)
+        .expect('Content-Type', /json/);
+};
+
+const topicAttachmentListUnauth = async function (agent, topicId) {
+    return _topicAttachmentListUnauth(agent, topicId, 200);
+};
+
+const _topicRevisionList = async function (agent, userId, topicId, expectedHttpCode) {
+    const path = '/api/users/:userId/topics/:topicId/revisions'
+        .replace(':userId', userId)
+        .replace(':topicId', topicId);
+
+    return agent
+        .get(path)
+        .expect(expectedHttpCode)
+        .expect('Content-Type', /json/);
+};
+
+const topicRevisionList = async function (agent, userId, topicId) {
+    return _topicRevisionList(agent, userId, topicId, 200);
+};
+
+const _topicRevisionListUnauth = async function (agent, topicId, expectedHttpCode) {
+    const path = '/api/topics/:topicId/revisions'
+        .replace(':topicId', topicId);
+
+    return agent
+        .get(path)
+        .expect(expectedHttpCode)
+        .expect('Content-Type', /json/);
+};
+
+const topicRevisionListUnauth = async function (agent, topicId) {
+    return _topicRevisionListUnauth(agent, topicId, 200);
+};
+
+const _topicRevisionRead = async function (agent, userId, topicId, revisionId, expectedHttpCode) {
+    const path = '/api/users/:userId/topics/:topicId/revisions/:revisionId'
+        .replace(':userId', userId)
+        .replace(':topicId', topicId)
+        .replace(':revisionId', revisionId);
+
+    return agent
+        .get(path)
+        .expect(expectedHttpCode)
+        .expect('Content-Type', /json/);
+};
+
+const topicRevisionRead = async function (agent, userId, topicId, revisionId) {
+    return _topicRevisionRead(agent, userId, topicId, revisionId, 200);
+};
+
+const _topicRevisionDiff = async function (agent, userId, topicId, from, to, expectedHttpCode) {
+    const path = '/api/users/:userId/topics/:topicId/revisions/diff'
+        .replace(':userId', userId)
+        .replace(':topicId', topicId);
+
+    return agent
+        .get(path)
+        .query({
+            from: from,
+            to: to
+        })
+        .expect(expectedHttpCode)
+        .expect('Content-Type', /json/);
+};
+
+const topicRevisionDiff = async function (agent, userId, topicId, from, to) {
+    return _topicRevisionDiff(agent, userId, topicId, from, to, 200);
+};
+
+const _topicRevisionRestore = async function (agent, userId, topicId, revisionId, expectedHttpCode) {
+    const path = '/api/users/:userId/topics/:topicId/revisions/:revisionId/restore'
+        .replace(':userId', userId)
+        .replace(':topicId', topicId)
+        .replace(':revisionId', revisionId);
+
+    return agent
+        .post(path)
+        .expect(expectedHttpCode)
+        .expect('Content-Type', /json/);
+};
+
+const topicRevisionRestore = async function (agent, userId, topicId, revisionId) {
+    return _topicRevisionRestore(agent, userId, topicId, revisionId, 200);
+};
+
+const _binaryParser = function (res, callback) {
+    const chunks = [];
+
+    res.on('data', function (chunk) {
+        chunks.push(chunk);
+    });
+    res.on('end', function () {
+        callback(null, Buffer.concat(chunks));
+    });
+};
+
+const _topicExport = async function (agent, userId, topicId, format, include, expectedHttpCode) {
+    const path = '/api/users/:userId/topics/:topicId/export'
+        .replace(':userId', userId)
+        .replace(':topicId', topicId);
+
+    return agent
+        .get(path)
+        .query({
+            format: format,
+            include: include
+        })
+        .buffer(true)
+        .parse(_binaryParser)
+        .expect(expectedHttpCode);
+};
+
+const topicExport = async function (agent, userId, topicId, format, include) {
+    return _topicExport(agent, userId, topicId, format, include, 200);
+};
+
+const _topicExportUnauth = async function (agent, topicId, format, include, expectedHttpCode) {
+    const path = '/api/topics/:topicId/export'
+        .replace(':topicId', topicId);
+
+    return agent
+        .get(path)
+        .query({
+            format: format,
+            include: include
+        })
+        .buffer(true)
+        .parse(_binaryParser)
+        .expect(expectedHttpCode);
+};
+
+const topicExportUnauth = async function (agent, topicId, format, include) {
+    return _topicExportUnauth(agent, topicId, format, include, 200);
+};
+
+const _topicArgumentClusterCreate = async function (agent, userId, topicId, name, description, expectedHttpCode) {
+    const path = '/api/users/:userId/topics/:topicId/arguments/clusters'
+        .replace(':userId', userId)
+        .replace(':topicId', topicId);
+
+    return agent
+        .post(path)
+        .set('Content-Type', 'application/json')
+        .send({
+            name: name,
+            description: description
+        })
+        .expect(expectedHttpCode)
+        .expect('Content-Type', /json/);
+};
+
+const topicArgumentClusterCreate = async function (agent, userId, topicId, name, description) {
+    return _topicArgumentClusterCreate(agent, userId, topicId, name, description, 201);
+};
+
+const _topicArgumentClusterUpdate = async function (agent, userId, topicId, clusterId, data, expectedHttpCode) {
+    const path = '/api/users/:userId/topics/:topicId/arguments/clusters/:clusterId'
+        .replace(':userId', userId)
+        .replace(':topicId', topicId)
+        .replace(':clusterId', clusterId);
+
+    return agent
+        .put(path)
+        .set('Content-Type', 'application/json')
+        .send(data)
+        .expect(expectedHttpCode)
+        .expect('Content-Type', /json/);
+};
+
+const topicArgumentClusterUpdate = async function (agent, userId, topicId, clusterId, data) {
+    return _topicArgumentClusterUpdate(agent, userId, topicId, clusterId, data, 200);
+};
+
+const _topicArgumentClusterDelete = async function (agent, userId, topicId, clusterId, expectedHttpCode) {
+    const path = '/api/users/:userId/topics/:topicId/arguments/clusters/:clusterId'
+        .replace(':userId', userId)
+        .replace(':topicId', topicId)
+        .replace(':clusterId', clusterId);
+
+    return agent
+        .delete(path)
+        .expect(expectedHttpCode)
+        .expect('Content-Type', /json/);
+};
+
+const topicArgumentClusterDelete = async function (agent, userId, topicId, clusterId) {
+    return _topicArgumentClusterDelete(agent, userId, topicId, clusterId, 200);
+};
+
+const _topicArgumentClusterList = async function (agent, userId, topicId, expectedHttpCode) {
+    const path = '/api/users/:userId/topics/:topicId/arguments/clusters'
+        .replace(':userId', userId)
+        .replace(':topicId', topicId);
+
+    return agent
+        .get(path)
+        .expect(expectedHttpCode)
+        .expect('Content-Type', /json/);
+};
+
+const topicArgumentClusterList = async function (agent, userId, topicId) {
+    return _topicArgumentClusterList(agent, userId, topicId, 200);
+};
+
+const _topicArgumentClusterCommentsAdd = async function (agent, userId, topicId, clusterId, commentIds, expectedHttpCode) {
+    const path = '/api/users/:userId/topics/:topicId/arguments/clusters/:clusterId/comments'
+        .replace(':userId', userId)
+        .replace(':topicId', topicId)
+        .replace(':clusterId', clusterId);
+
+    return agent
+        .post(path)
+        .set('Content-Type', 'application/json')
+        .send({
+            commentIds: commentIds
+        })
+        .expect(expectedHttpCode)
+        .expect('Content-Type', /json/);
+};
+
+const topicArgumentClusterCommentsAdd = async function (agent, userId, topicId, clusterId, commentIds) {
+    return _topicArgumentClusterCommentsAdd(agent, userId, topicId, clusterId, commentIds, 200);
+};
+
+const _topicArgumentClusterCommentDelete = async function (agent, userId, topicId, clusterId, commentId, expectedHttpCode) {
+    const path = '/api/users/:userId/topics/:topicId/arguments/clusters/:clusterId/comments/:commentId'
+        .replace(':userId', userId)
+        .replace(':topicId', topicId)
+        .replace(':clusterId', clusterId)
+        .replace(':commentId', commentId);
+
+    return agent
+        .delete(path)
+        .expect(expectedHttpCode)
+        .expect('Content-Type', /json/);
+};
+
+const topicArgumentClusterCommentDelete = async function (agent, userId, topicId, clusterId, commentId) {
+    return _topicArgumentClusterCommentDelete(agent, userId, topicId, clusterId, commentId, 200);
+};
+
+const _topicCommentMerge = async function (agent, userId, topicId, commentId, mergedIntoId, expectedHttpCode) {
+    const path = '/api/users/:userId/topics/:topicId/comments/:commentId/merge'
+        .replace(':userId', userId)
+        .replace(':topicId', topicId)
+        .replace(':commentId', commentId);
+
+    return agent
+        .post(path)
+        .set('Content-Type', 'application/json')
+        .send({
+            mergedIntoId: mergedIntoId
+        })
+        .expect(expectedHttpCode)
+        .expect('Content-Type', /json/);
+};
+
+const topicCommentMerge = async function (agent, userId, topicId, commentId, mergedIntoId) {
+    return _topicCommentMerge(agent, userId, topicId, commentId, mergedIntoId, 200);
+};
+
+const _topicCommentMergeDelete = async function (agent, userId, topicId, commentId, expectedHttpCode) {
+    const path = '/api/users/:userId/topics/:topicId/comments/:commentId/merge'
+        .replace(':userId', userId)
+        .replace(':topicId', topicId)
+        .replace(':commentId', commentId);
+
+    return agent
+        .delete(path)
+        .expect(expectedHttpCode)
+        .expect('Content-Type', /json/);
+};
+
+const topicCommentMergeDelete = async function (agent, userId, topicId, commentId) {
+    return _topicCommentMergeDelete(agent, userId, topicId, commentId, 200);
+};
+
+const _topicArgumentsSummary = async function (agent, userId, topicId, top, expectedHttpCode) {
+    const path = '/api/users/:userId/topics/:topicId/arguments/summary'
+        .replace(':userId', userId)
+        .replace(':topicId', topicId);
+
+    return agent
+        .get(path)
+        .query({top: top})
+        .expect(expectedHttpCode)
+        .expect('Content-Type', /json/);
+};
+
+const topicArgumentsSummary = async function (agent, userId, topicId, top) {
+    return _topicArgumentsSummary(agent, userId, topicId, top, 200);
+};
+
+const _topicArgumentsSummaryUnauth = async function (agent, topicId, top, expectedHttpCode) {
+    const path = '/api/topics/:topicId/arguments/summary'
         .replace(':topicId', topicId);
 
     return agent
         .get(path)
+        .query({top: top})
         .expect(expectedHttpCode)
         .expect('Content-Type', /json/);
 };
 
-const topicAttachmentListUnauth = async function (agent, topicId) {
-    return _topicAttachmentListUnauth(agent, topicId, 200);
+const topicArgumentsSummaryUnauth = async function (agent, topicId, top) {
+    return _topicArgumentsSummaryUnauth(agent, topicId, top, 200);
 };
 
 const _topicAttachmentSignDownload = async function (agent, userId, uploadfilename, uploadfolder, downloadfilename, expectedHttpCode) {
@@ -939,6 +1369,26 @@ const topicVoteCreate = async function (agent, userId, topicId, options, minChoi
     return _topicVoteCreate(agent, userId, topicId, options, minChoices, maxChoices, delegationIsAllowed, endsAt, description, type, authType, autoClose, 201);
 };
 
+const _topicVoteCreateWithResultsVisibility = async function (agent, userId, topicId, options, resultsVisibility, expectedHttpCode) {
+    const path = '/api/users/:userId/topics/:topicId/votes'
+        .replace(':userId', userId)
+        .replace(':topicId', topicId);
+
+    return agent
+        .post(path)
+        .set('Content-Type', 'application/json')
+        .send({
+            options: options,
+            resultsVisibility: resultsVisibility
+        })
+        .expect(expectedHttpCode)
+        .expect('Content-Type', /json/);
+};
+
+const topicVoteCreateWithResultsVisibility = async function (agent, userId, topicId, options, resultsVisibility) {
+    return _topicVoteCreateWithResultsVisibility(agent, userId, topicId, options, resultsVisibility, 201);
+};
+
 const _topicVoteRead = async function (agent, userId, topicId, voteId, expectedHttpCode) {
     const path = '/api/users/:userId/topics/:topicId/votes/:voteId'
         .replace(':userId', userId)
@@ -1332,6 +1782,22 @@ const _topicEventList = async function (agent, userId, topicId, expectedHttpCode
         .expect('Content-Type', /json/);
 };
 
+const _topicDeliveryList = async function (agent, userId, topicId, expectedHttpCode) {
+    const path = '/api/users/:userId/topics/:topicId/deliveries'
+        .replace(':userId', userId)
+        .replace(':topicId', topicId);
+
+    return agent
+        .get(path)
+        .set('Content-Type', 'application/json')
+        .expect(expectedHttpCode)
+        .expect('Content-Type', /json/);
+};
+
+const topicDeliveryList = async function (agent, userId, topicId) {
+    return _topicDeliveryList(agent, userId, topicId, 200);
+};
+
 const topicEventList = async function (agent, userId, topicId) {
     return _topicEventList(agent, userId, topicId, 200);
 };
@@ -1409,9 +1875,16 @@ const padRead = async function (padUrl) {
 };
 
 module.exports.topicCreate = topicCreate;
+module.exports.topicRead = topicRead;
+module.exports.topicReportCreate = topicReportCreate;
+module.exports.topicCommentCreate = topicCommentCreate;
+module.exports.topicCommentReportCreate = topicCommentReportCreate;
+module.exports._topicRead = _topicRead;
 module.exports.topicFavouriteCreate = topicFavouriteCreate;
 module.exports.topicDelete = topicDelete;
 module.exports.topicMemberGroupsCreate = topicMemberGroupsCreate;
+module.exports.topicVoteCreate = topicVoteCreate;
+module.exports.topicList = topicList;
 
 const chai = require('chai');
 chai.use(require('chai-datetime'));
@@ -1445,12 +1918,14 @@ const authLib = require('./auth');
 const UserConnection = models.UserConnection;
 
 const Partner = models.Partner;
+const PartnerInstitution = models.PartnerInstitution;
 
 const Moderator = models.Moderator;
 
 const GroupMemberUser = models.GroupMemberUser;
 
 const Topic = models.Topic;
+const TopicDelivery = models.TopicDelivery;
 const TopicMemberUser = models.TopicMemberUser;
 const TopicMemberGroup = models.TopicMemberGroup;
 const TopicInviteUser = models.TopicInviteUser;
@@ -1459,8 +1934,14 @@ const Comment = models.Comment;
 
 const Report = models.Report;
 
+const Attachment = models.Attachment;
+
+const Activity = models.Activity;
+
 const Vote = models.Vote;
 const VoteOption = models.VoteOption;
+const VoteList = models.VoteList;
+const VoteParticipant = models.VoteParticipant;
 
 // API - /api/users*
 suite('Users', function () {
@@ -1550,6 +2031,162 @@ suite('Users', function () {
             });
         });
 
+        suite('Templates', function () {
+            const agent = request.agent(app);
+            const agentOther = request.agent(app);
+            const email = 'test_topictpl_' + new Date().getTime() + '@test.ee';
+            const emailOther = 'test_topictpl_o_' + new Date().getTime() + '@test.ee';
+            const password = 'testPassword123';
+            const description = '<!DOCTYPE HTML><html><body><h1>Template title</h1><br>Template text<br></body></html>';
+            const voteOptions = [{value: 'Option 1'}, {value: 'Option 2'}, {value: 'Option 3'}];
+
+            let user, userOther, group, groupMember, template;
+
+            suiteSetup(async function () {
+                user = await userLib.createUserAndLogin(agent, email, password, null);
+                userOther = await userLib.createUserAndLogin(agentOther, emailOther, password, null);
+                group = (await groupLib.create(agent, user.id, 'Test Group topic templates', null, null)).body.data;
+                groupMember = (await groupLib.create(agent, user.id, 'Test Group topic templates members', null, null)).body.data;
+                template = (await groupLib.templateCreate(agent, user.id, group.id, {
+                    name: 'Test template',
+                    description: description,
+                    categories: [Topic.CATEGORIES.environment, Topic.CATEGORIES.health],
+                    vote: {
+                        options: voteOptions,
+                        type: Vote.TYPES.approval,
+                        description: 'Template vote'
+                    },
+                    memberGroups: [
+                        {
+                            groupId: groupMember.id,
+                            level: TopicMemberGroup.LEVELS.edit
+                        }
+                    ]
+                })).body.data;
+            });
+
+            test('Success - create from template', async function () {
+                const topic = (await topicCreateFromTemplate(agent, user.id, template.id)).body.data;
+                assert.equal(topic.title, 'Template title');
+                assert.deepEqual(topic.categories, template.categories);
+                assert.deepEqual(topic.voteDefaults, template.vote);
+
+                const memberGroup = await TopicMemberGroup.findOne({
+                    where: {
+                        topicId: topic.id,
+                        groupId: groupMember.id
+                    }
+                });
+                assert.equal(memberGroup.level, TopicMemberGroup.LEVELS.edit);
+
+                const vote = (await topicVoteCreate(agent, user.id, topic.id)).body.data;
+                assert.equal(vote.type, Vote.TYPES.approval);
+                assert.equal(vote.description, 'Template vote');
+                assert.equal(vote.maxChoices, voteOptions.length);
+                assert.deepEqual(_.map(vote.options.rows, 'value'), _.map(voteOptions, 'value'));
+            });
+
+            test('Success - create from template, categories and description override the template', async function () {
+                const categories = [Topic.CATEGORIES.work];
+                const topic = (await topicCreateFromTemplate(agent, user.id, template.id, categories, '<!DOCTYPE HTML><html><body><h1>Own title</h1></body></html>')).body.data;
+                assert.equal(topic.title, 'Own title');
+                assert.deepEqual(topic.categories, categories);
+            });
+
+            test('Success - create from template, member Groups the User is not a member of are not added', async function () {
+                await memberLib.groupMemberUsersCreate(group.id, [
+                    {
+                        userId: userOther.id,
+                        level: GroupMemberUser.LEVELS.read
+                    }
+                ]);
+
+                const topic = (await topicCreateFromTemplate(agentOther, userOther.id, template.id)).body.data;
+                const memberGroups = await TopicMemberGroup.findAll({
+                    where: {
+                        topicId: topic.id
+                    }
+                });
+                assert.equal(memberGroups.length, 0);
+
+                await groupLib.memberUsersDelete(agent, user.id, group.id, userOther.id);
+            });
+
+            test('Fail - 40001 - invalid templateId', async function () {
+                const res = await _topicCreateFromTemplate(agent, user.id, 'notauuid', null, null, 400);
+                assert.deepEqual(res.body.status, {code: 40001, message: 'Invalid value for "templateId"'});
+                await _topicCreateFromTemplate(agent, user.id, '9a3fd2d5-1c2b-4f8b-9d3a-0c6a3c0f1b2e', null, null, 400);
+            });
+
+            test('Fail - 40300 - not a member of the template Group', async function () {
+                await _topicCreateFromTemplate(agentOther, userOther.id, template.id, null, null, 403);
+            });
+        });
+
+        suite('Clone', function () {
+            const agent = request.agent(app);
+            const agentOther = request.agent(app);
+            const email = 'test_topicclone_' + new Date().getTime() + '@test.ee';
+            const emailOther = 'test_topicclone_o_' + new Date().getTime() + '@test.ee';
+            const password = 'testPassword123';
+            const description = '<!DOCTYPE HTML><html><body><h1>Cloned title</h1><br>Cloned text<br></body></html>';
+
+            let user, userOther, topic;
+
+            suiteSetup(async function () {
+                user = await userLib.createUserAndLogin(agent, email, password, null);
+                userOther = await userLib.createUserAndLogin(agentOther, emailOther, password, null);
+                topic = (await topicCreate(agent, user.id, Topic.VISIBILITY.public, [Topic.CATEGORIES.work], null, description, null)).body.data;
+                await topicAttachmentUpload(agent, user.id, topic.id, Buffer.from('Test file for cloning.'), 'test.txt', 'My test file');
+                await topicAttachmentAdd(agent, user.id, topic.id, 'Linked file', 'https://www.dropbox.com/s/6schppqdg5qfofe/Getting%20Started.pdf?dl=0', Attachment.SOURCES.dropbox, 'pdf', 1000);
+                await topicCommentCreate(agent, user.id, topic.id, null, null, Comment.TYPES.pro, 'Subject', 'Text');
+                await topicVoteCreate(agent, user.id, topic.id, [{value: 'Yes'}, {value: 'No'}], 1, 1, true, null, 'Vote description', null, null);
+            });
+
+            test('Success', async function () {
+                const clone = (await topicClone(agentOther, userOther.id, topic.id)).body.data;
+                assert.notEqual(clone.id, topic.id);
+                assert.equal(clone.creator.id, userOther.id);
+                assert.equal(clone.visibility, Topic.VISIBILITY.private);
+                assert.equal(clone.status, Topic.STATUSES.inProgress);
+                assert.equal(clone.title, 'Cloned title');
+                assert.deepEqual(clone.categories, topic.categories);
+                assert.sameDeepMembers(clone.voteDefaults.options, [{value: 'Yes'}, {value: 'No'}]);
+                assert.equal(clone.voteDefaults.description, 'Vote description');
+                assert.isTrue(clone.voteDefaults.delegationIsAllowed);
+
+                const topicR = (await topicRead(agentOther, userOther.id, clone.id, ['vote'])).body.data;
+                assert.equal(topicR.description, (await topicRead(agent, user.id, topic.id, null)).body.data.description);
+                assert.notProperty(topicR, 'vote');
+
+                const comments = (await topicCommentList(agentOther, userOther.id, clone.id, null)).body.data;
+                assert.equal(comments.count.total, 0);
+
+                const attachments = (await topicAttachmentList(agentOther, userOther.id, clone.id)).body.data;
+                assert.equal(attachments.count, 2);
+
+                const uploaded = _.find(attachments.rows, {source: Attachment.SOURCES.upload});
+                assert.equal(uploaded.name, 'My test file');
+                assert.equal(uploaded.creator.id, userOther.id);
+
+                const downloadRes = await _topicAttachmentDownload(agentOther, userOther.id, clone.id, uploaded.id, 302);
+                const downloadUrl = new URL(downloadRes.headers.location);
+                const fileRes = await agentOther
+                    .get(downloadUrl.pathname + downloadUrl.search)
+                    .expect(200);
+                assert.equal(fileRes.text, 'Test file for cloning.');
+            });
+
+            test('Fail - 40300 - no access to a private Topic', async function () {
+                const topicPrivate = (await topicCreate(agent, user.id, Topic.VISIBILITY.private, null, null, null, null)).body.data;
+                await _topicClone(agentOther, userOther.id, topicPrivate.id, null, 403);
+            });
+
+            test('Fail - 40100', async function () {
+                await _topicClone(request.agent(app), user.id, topic.id, null, 401);
+            });
+        });
+
         suite('Read', function () {
 
             const agent = request.agent(app);
@@ -2105,6 +2742,151 @@ suite('Users', function () {
 
                 await topicUpdate(agent, user.id, topic.id, Topic.STATUSES.followUp, Topic.VISIBILITY.public, null, null, contact);
                 await _topicUpdate(agent, user.id, topic.id, Topic.STATUSES.voting, Topic.VISIBILITY.public, null, null, contact, 400);
+
+                const deliveries = (await topicDeliveryList(agent, user.id, topic.id)).body.data;
+                assert.equal(deliveries.count, 1);
+                assert.isNull(deliveries.rows[0].institutionId);
+                assert.equal(deliveries.rows[0].institutionName, config.features.sendToParliament.name);
+                assert.equal(deliveries.rows[0].status, TopicDelivery.STATUSES.sent);
+                assert.notProperty(deliveries.rows[0], 'contact');
+            });
+
+            suite('Send to Partner Institution', function () {
+                const voteOptions = [
+                    {
+                        value: 'Option 1'
+                    },
+                    {
+                        value: 'Option 2'
+                    }
+                ];
+
+                const contact = {
+                    email: 'test@test.com'
+                };
+
+                let partner;
+                let institution;
+
+                setup(async function () {
+                    partner = await Partner.create({
+                        website: 'https://institutions.citizenos_test.com',
+                        redirectUriRegexp: '^https:\\/\\/institutions\\.citizenos_test\\.com'
+                    });
+
+                    institution = await PartnerInstitution.create({
+                        partnerId: partner.id,
+                        creatorId: user.id,
+                        name: 'City Council',
+                        emails: ['council@citizenos_test.com'],
+                        language: 'en',
+                        voteCountMin: 1,
+                        contactFields: [PartnerInstitution.CONTACT_FIELDS.email],
+                        linkAddEvent: 'https://institutions.citizenos_test.com/initiatives/:topicId/events/new'
+                    });
+
+                    await Topic
+                        .update(
+                            {
+                                title: 'TEST TITLE FOR SENDING TO INSTITUTION',
+                                sourcePartnerId: partner.id
+                            },
+                            {
+                                where: {
+                                    id: topic.id
+                                },
+                                validate: false
+                            }
+                        );
+                });
+
+                test('Success', async function () {
+                    this.timeout(20000);
+
+                    const topicVote = (await topicVoteCreate(agent, user.id, topic.id, voteOptions, 1, 1, false, null, null, Vote.TYPES.regular, Vote.AUTH_TYPES.hard)).body.data;
+                    const vote = (await topicVoteRead(agent, user.id, topic.id, topicVote.id)).body.data;
+
+                    const voteVoteResult = (await topicVoteVote(agent, user.id, topic.id, vote.id, [{optionId: vote.options.rows[0].id}], null, '60001018800', '+37200000566', null)).body;
+                    await topicVoteStatus(agent, user.id, topic.id, vote.id, voteVoteResult.data.token);
+
+                    await topicUpdateField(agent, user.id, topic.id, {
+                        status: Topic.STATUSES.followUp,
+                        contact: contact,
+                        institutionId: institution.id
+                    });
+
+                    const delivery = (await topicDeliveryList(agent, user.id, topic.id)).body.data.rows[0];
+                    assert.equal(delivery.institutionId, institution.id);
+                    assert.equal(delivery.institutionName, institution.name);
+                    assert.equal(delivery.voteId, vote.id);
+                    assert.equal(delivery.status, TopicDelivery.STATUSES.sent);
+                    assert.isNotNull(delivery.sentAt);
+
+                    // Response of the Institution with the token from the delivery e-mail
+                    const token = cosJwt.getTokenRestrictedUse({deliveryId: delivery.id}, 'POST /api/topics/:topicId/events'.replace(':topicId', topic.id));
+                    const event = (await topicEventCreateUnauth(request.agent(app), topic.id, token, 'Decision', 'Initiative is accepted')).body.data;
+                    assert.equal(event.deliveryId, delivery.id);
+
+                    const deliveryResponded = (await topicDeliveryList(agent, user.id, topic.id)).body.data.rows[0];
+                    assert.equal(deliveryResponded.status, TopicDelivery.STATUSES.responded);
+                    assert.equalTime(new Date(deliveryResponded.respondedAt), new Date(event.createdAt));
+
+                    const resBody = (await _topicUpdate(agent, user.id, topic.id, Topic.STATUSES.voting, Topic.VISIBILITY.public, null, null, null, 400)).body;
+                    assert.equal(resBody.status.message, 'Invalid status flow. Cannot change Topic status from ' + Topic.STATUSES.followUp + ' to ' + Topic.STATUSES.voting + ' when the Topic has been sent to ' + institution.name);
+                });
+
+                test('Fail - Bad Request - invalid contact info', async function () {
+                    await topicVoteCreate(agent, user.id, topic.id, voteOptions, 1, 1, false, null, null, Vote.TYPES.regular, Vote.AUTH_TYPES.hard);
+
+                    const resBody = (await _topicUpdateField(agent, user.id, topic.id, {status: Topic.STATUSES.followUp, contact: {name: 'Test'}, institutionId: institution.id}, 400)).body;
+
+                    assert.deepEqual(resBody, {
+                        status: {
+                            code: 40000,
+                            message: 'Invalid contact info. Missing or invalid email'
+                        }
+                    });
+                });
+
+                test('Fail - Bad Request - not enough votes', async function () {
+                    await institution.update({voteCountMin: 1000});
+                    await topicVoteCreate(agent, user.id, topic.id, voteOptions, 1, 1, false, null, null, Vote.TYPES.regular, Vote.AUTH_TYPES.hard);
+
+                    const resBody = (await _topicUpdateField(agent, user.id, topic.id, {status: Topic.STATUSES.followUp, contact: contact, institutionId: institution.id}, 400)).body;
+
+                    assert.deepEqual(resBody, {
+                        status: {
+                            code: 40010,
+                            message: 'Not enough votes to send to ' + institution.name + '. Votes required - 1000'
+                        }
+                    });
+                });
+
+                test('Fail - Bad Request - Institution of another Partner', async function () {
+                    const partnerOther = await Partner.create({
+                        website: 'https://other.citizenos_test.com',
+                        redirectUriRegexp: '^https:\\/\\/other\\.citizenos_test\\.com'
+                    });
+                    const institutionOther = await PartnerInstitution.create({
+                        partnerId: partnerOther.id,
+                        creatorId: user.id,
+                        name: 'Other Council',
+                        emails: ['other@citizenos_test.com'],
+                        voteCountMin: 1
+                    });
+
+                    await topicVoteCreate(agent, user.id, topic.id, voteOptions, 1, 1, false, null, null, Vote.TYPES.regular, Vote.AUTH_TYPES.hard);
+
+                    const resBody = (await _topicUpdateField(agent, user.id, topic.id, {status: Topic.STATUSES.followUp, contact: contact, institutionId: institutionOther.id}, 400)).body;
+
+                    assert.deepEqual(resBody, {
+                        status: {
+                            code: 40011,
+                            message: 'Invalid value for "institutionId"'
+                        }
+                    });
+                });
+
             });
 
             test('Fail - update - status closed', async function () {
@@ -3356,6 +4138,31 @@ suite('Users', function () {
                         assert.equal(tm.level, TopicMemberUser.LEVELS.admin);
                     });
 
+                    test('Success - update weight of the last admin member', async function () {
+                        const t = (await topicCreate(agent, user.id, null, null, null, null, null)).body.data;
+                        const path = '/api/users/:userId/topics/:topicId/members/users/:memberId'
+                            .replace(':userId', user.id)
+                            .replace(':topicId', t.id)
+                            .replace(':memberId', user.id);
+
+                        await agent
+                            .put(path)
+                            .set('Content-Type', 'application/json')
+                            .send({weight: 5})
+                            .expect(200)
+                            .expect('Content-Type', /json/);
+
+                        const tm = await TopicMemberUser.findOne({
+                            where: {
+                                topicId: t.id,
+                                userId: user.id
+                            }
+                        });
+
+                        assert.equal(tm.level, TopicMemberUser.LEVELS.admin);
+                        assert.equal(tm.weight, 5);
+                    });
+
                     test('Fail - Forbidden - at least admin permissions required', async function () {
                         const agent = request.agent(app);
                         const u = await userLib.createUserAndLogin(agent, null, null, null);
@@ -4831,52 +5638,165 @@ suite('Users', function () {
                     });
                 });
 
-                test('Fail - Not Found - trying to access Vote that does not belong to the Topic', async function () {
-                    const topicWrong = (await topicCreate(agent, user.id, null, null, null, null, null));
+                test('Fail - Not Found - trying to access Vote that does not belong to the Topic', async function () {
+                    const topicWrong = (await topicCreate(agent, user.id, null, null, null, null, null));
+
+                    await _topicVoteRead(agent, user.id, topicWrong.id, vote.id, 404);
+                });
+
+            });
+
+            suite('Update', function () {
+
+                const agent = request.agent(app);
+
+                const voteOptions = [
+                    {
+                        value: 'Option 1'
+                    },
+                    {
+                        value: 'Option 2'
+                    },
+                    {
+                        value: 'Option 3'
+                    }
+                ];
+
+                const voteEndsAt = new Date(new Date().getTime() + 7 * 24 * 60 * 60 * 1000);
+                const voteDescription = 'Vote description';
+
+                let user;
+                let topic;
+                let vote;
+
+                suiteSetup(async function () {
+                    user = await userLib.createUserAndLogin(agent, null, null, null);
+                });
+
+                setup(async function () {
+                    topic = (await topicCreate(agent, user.id, null, null, null, null, null)).body.data;
+                    vote = (await topicVoteCreate(agent, user.id, topic.id, voteOptions, null, null, null, voteEndsAt, voteDescription, null, null)).body.data;
+                });
+
+                test('Success', async function () {
+                    const newEndsAt = new Date(new Date().getTime() + 14 * 24 * 60 * 60 * 1000);
+                    await topicVoteUpdate(agent, user.id, topic.id, vote.id, newEndsAt);
+
+                    const res = await topicVoteRead(agent, user.id, topic.id, vote.id);
+                    assert.equalTime(new Date(res.body.data.endsAt), newEndsAt);
+                });
+
+            });
+
+            suite('Results visibility', function () {
+                const agentCreator = request.agent(app);
+                const agentMember = request.agent(app);
+                const agentPublic = request.agent(app);
+
+                const voteOptions = [
+                    {
+                        value: 'Option 1'
+                    },
+                    {
+                        value: 'Option 2'
+                    }
+                ];
+
+                let creator;
+                let member;
+                let topic;
+
+                const assertResultsHidden = function (voteData) {
+                    assert.notProperty(voteData, 'votersCount');
+                    assert.notProperty(voteData, 'results');
+                    voteData.options.rows.forEach(function (option) {
+                        assert.notProperty(option, 'voteCount');
+                    });
+                };
+
+                const assertResultsVisible = function (voteData, votersCount) {
+                    assert.equal(voteData.votersCount, votersCount);
+                    assert.property(voteData, 'results');
+                    assert.equal(_.sumBy(voteData.options.rows, 'voteCount'), votersCount);
+                };
+
+                const voteAsMember = async function (vote) {
+                    await topicVoteVote(agentMember, member.id, topic.id, vote.id, [{optionId: vote.options.rows[0].id}], null, null, null, null);
+                };
+
+                suiteSetup(async function () {
+                    creator = await userLib.createUserAndLogin(agentCreator, null, null, null);
+                    member = await userLib.createUserAndLogin(agentMember, null, null, null);
+                });
+
+                setup(async function () {
+                    topic = (await topicCreate(agentCreator, creator.id, Topic.VISIBILITY.public, null, null, null, null)).body.data;
+                    await memberLib.topicMemberUsersCreate(topic.id, [
+                        {
+                            userId: member.id,
+                            level: TopicMemberUser.LEVELS.read
+                        }
+                    ]);
+                });
+
+                test('Success - default is "always"', async function () {
+                    const vote = (await topicVoteCreate(agentCreator, creator.id, topic.id, voteOptions, null, null, null, null, null, null, null)).body.data;
+                    assert.equal(vote.resultsVisibility, Vote.RESULTS_VISIBILITY.always);
 
-                    await _topicVoteRead(agent, user.id, topicWrong.id, vote.id, 404);
-                });
+                    await topicVoteVote(agentCreator, creator.id, topic.id, vote.id, [{optionId: vote.options.rows[0].id}], null, null, null, null);
 
-            });
+                    assertResultsVisible((await topicVoteRead(agentMember, member.id, topic.id, vote.id)).body.data, 1);
+                    assert.equal((await topicVoteReadUnauth(agentPublic, topic.id, vote.id)).body.data.votersCount, 1);
+                });
 
-            suite('Update', function () {
+                test('Success - "afterVoting" - results are shown to the Member after voting', async function () {
+                    const vote = (await topicVoteCreateWithResultsVisibility(agentCreator, creator.id, topic.id, voteOptions, Vote.RESULTS_VISIBILITY.afterVoting)).body.data;
+                    assert.equal(vote.resultsVisibility, Vote.RESULTS_VISIBILITY.afterVoting);
 
-                const agent = request.agent(app);
+                    await topicVoteVote(agentCreator, creator.id, topic.id, vote.id, [{optionId: vote.options.rows[1].id}], null, null, null, null);
 
-                const voteOptions = [
-                    {
-                        value: 'Option 1'
-                    },
-                    {
-                        value: 'Option 2'
-                    },
-                    {
-                        value: 'Option 3'
-                    }
-                ];
+                    assertResultsHidden((await topicVoteRead(agentMember, member.id, topic.id, vote.id)).body.data);
+                    assertResultsHidden((await topicVoteReadUnauth(agentPublic, topic.id, vote.id)).body.data);
 
-                const voteEndsAt = new Date(new Date().getTime() + 7 * 24 * 60 * 60 * 1000);
-                const voteDescription = 'Vote description';
+                    await voteAsMember(vote);
 
-                let user;
-                let topic;
-                let vote;
+                    assertResultsVisible((await topicVoteRead(agentMember, member.id, topic.id, vote.id)).body.data, 2);
+                    assertResultsHidden((await topicVoteReadUnauth(agentPublic, topic.id, vote.id)).body.data);
 
-                suiteSetup(async function () {
-                    user = await userLib.createUserAndLogin(agent, null, null, null);
+                    const topicData = (await topicRead(agentMember, member.id, topic.id, 'vote')).body.data;
+                    assert.equal(topicData.vote.votersCount, 2);
                 });
 
-                setup(async function () {
-                    topic = (await topicCreate(agent, user.id, null, null, null, null, null)).body.data;
-                    vote = (await topicVoteCreate(agent, user.id, topic.id, voteOptions, null, null, null, voteEndsAt, voteDescription, null, null)).body.data;
+                test('Success - "afterEnd" - results are shown when the voting has ended', async function () {
+                    const vote = (await topicVoteCreateWithResultsVisibility(agentCreator, creator.id, topic.id, voteOptions, Vote.RESULTS_VISIBILITY.afterEnd)).body.data;
+
+                    await voteAsMember(vote);
+
+                    assertResultsHidden((await topicVoteRead(agentMember, member.id, topic.id, vote.id)).body.data);
+                    assertResultsVisible((await topicVoteRead(agentCreator, creator.id, topic.id, vote.id)).body.data, 1);
+
+                    const topicData = (await topicRead(agentMember, member.id, topic.id, 'vote')).body.data;
+                    assert.notProperty(topicData.vote, 'votersCount');
+
+                    await topicUpdateStatus(agentCreator, creator.id, topic.id, Topic.STATUSES.closed);
+
+                    assertResultsVisible((await topicVoteRead(agentMember, member.id, topic.id, vote.id)).body.data, 1);
+                    assertResultsVisible((await topicVoteReadUnauth(agentPublic, topic.id, vote.id)).body.data, 1);
                 });
 
-                test('Success', async function () {
-                    const newEndsAt = new Date(new Date().getTime() + 14 * 24 * 60 * 60 * 1000);
-                    await topicVoteUpdate(agent, user.id, topic.id, vote.id, newEndsAt);
+                test('Success - "admins" - results are shown only to the Topic admins', async function () {
+                    const vote = (await topicVoteCreateWithResultsVisibility(agentCreator, creator.id, topic.id, voteOptions, Vote.RESULTS_VISIBILITY.admins)).body.data;
 
-                    const res = await topicVoteRead(agent, user.id, topic.id, vote.id);
-                    assert.equalTime(new Date(res.body.data.endsAt), newEndsAt);
+                    await voteAsMember(vote);
+                    await topicUpdateStatus(agentCreator, creator.id, topic.id, Topic.STATUSES.closed);
+
+                    assertResultsHidden((await topicVoteRead(agentMember, member.id, topic.id, vote.id)).body.data);
+                    assertResultsHidden((await topicVoteReadUnauth(agentPublic, topic.id, vote.id)).body.data);
+                    assertResultsVisible((await topicVoteRead(agentCreator, creator.id, topic.id, vote.id)).body.data, 1);
+                });
+
+                test('Fail - Bad Request - invalid "resultsVisibility"', async function () {
+                    await _topicVoteCreateWithResultsVisibility(agentCreator, creator.id, topic.id, voteOptions, 'invalid', 400);
                 });
 
             });
@@ -4987,6 +5907,110 @@ suite('Users', function () {
                         assert.deepEqual(voteReadAfterDelegation.delegation, toUser2.toJSON());
                     });
 
+                    test('Success - OK - weighted delegation', async function () {
+                        const topic = (await topicCreate(agent, user.id, null, null, null, null, null)).body.data;
+                        const topicVoteCreated = (await agent
+                            .post('/api/users/:userId/topics/:topicId/votes'.replace(':userId', user.id).replace(':topicId', topic.id))
+                            .set('Content-Type', 'application/json')
+                            .send({
+                                options: [
+                                    {
+                                        value: 'Option 1'
+                                    },
+                                    {
+                                        value: 'Option 2'
+                                    }
+                                ],
+                                delegationIsAllowed: true,
+                                weightSource: Vote.WEIGHT_SOURCES.topicMember
+                            })
+                            .expect(201)).body.data;
+
+                        await memberLib.topicMemberUsersCreate(topic.id, [
+                            {
+                                userId: toUser1.id,
+                                level: TopicMemberUser.LEVELS.read,
+                                weight: 2
+                            }
+                        ]);
+
+                        // Weight of the Topic creator
+                        await agent
+                            .put('/api/users/:userId/topics/:topicId/members/users/:memberId'.replace(':userId', user.id).replace(':topicId', topic.id).replace(':memberId', user.id))
+                            .set('Content-Type', 'application/json')
+                            .send({
+                                level: TopicMemberUser.LEVELS.admin,
+                                weight: 5
+                            })
+                            .expect(200);
+
+                        const delegation = (await topicVoteDelegationCreate(agent, user.id, topic.id, topicVoteCreated.id, toUser1.id)).body.data;
+                        assert.equal(delegation.weight, 5);
+
+                        const voteList = [
+                            {
+                                optionId: topicVoteCreated.options.rows[0].id
+                            }
+                        ];
+                        await topicVoteVote(agentToUser1, toUser1.id, topic.id, topicVoteCreated.id, voteList, null, null, null, null);
+
+                        const voteRead = (await topicVoteRead(agent, user.id, topic.id, topicVoteCreated.id)).body.data;
+                        assert.equal(_.find(voteRead.options.rows, {id: voteList[0].optionId}).voteCount, 7);
+                    });
+
+                    test('Success - OK - weighted delegations to several delegates voting for the same option', async function () {
+                        const topic = (await topicCreate(agent, user.id, null, null, null, null, null)).body.data;
+                        const topicVoteCreated = (await agent
+                            .post('/api/users/:userId/topics/:topicId/votes'.replace(':userId', user.id).replace(':topicId', topic.id))
+                            .set('Content-Type', 'application/json')
+                            .send({
+                                options: [
+                                    {
+                                        value: 'Option 1'
+                                    },
+                                    {
+                                        value: 'Option 2'
+                                    }
+                                ],
+                                delegationIsAllowed: true,
+                                weightSource: Vote.WEIGHT_SOURCES.topicMember
+                            })
+                            .expect(201)).body.data;
+
+                        await memberLib.topicMemberUsersCreate(topic.id, [
+                            {
+                                userId: toUser1.id,
+                                level: TopicMemberUser.LEVELS.read,
+                                weight: 2
+                            },
+                            {
+                                userId: toUser2.id,
+                                level: TopicMemberUser.LEVELS.read,
+                                weight: 3
+                            },
+                            {
+                                userId: toUser3.id,
+                                level: TopicMemberUser.LEVELS.read,
+                                weight: 4
+                            }
+                        ]);
+
+                        // Topic creator (weight 1) delegates to toUser2, toUser3 to toUser1
+                        await topicVoteDelegationCreate(agent, user.id, topic.id, topicVoteCreated.id, toUser2.id);
+                        await topicVoteDelegationCreate(agentToUser3, toUser3.id, topic.id, topicVoteCreated.id, toUser1.id);
+
+                        const voteList = [
+                            {
+                                optionId: topicVoteCreated.options.rows[0].id
+                            }
+                        ];
+                        await topicVoteVote(agentToUser1, toUser1.id, topic.id, topicVoteCreated.id, voteList, null, null, null, null);
+                        await topicVoteVote(agentToUser2, toUser2.id, topic.id, topicVoteCreated.id, voteList, null, null, null, null);
+
+                        const voteRead = (await topicVoteRead(agent, user.id, topic.id, topicVoteCreated.id)).body.data;
+                        assert.equal(_.find(voteRead.options.rows, {id: voteList[0].optionId}).voteCount, 10);
+                    });
+
                     test('Success - OK - count delegated votes and not delegated votes - Delegation chain U->U1->U2->U3, U4->U5 U7->U5, U6 no delegation', async function () {
                         const topic = (await topicCreate(agent, user.id, null, null, null, null, null)).body.data;
                         const voteOptions = [
@@ -5485,6 +6509,25 @@ suite('Users', function () {
 
                 suite('authType === soft', function () {
 
+                    const weightedVoteCreate = async function (topicId, weightSource) {
+                        return agent
+                            .post('/api/users/:userId/topics/:topicId/votes'.replace(':userId', user.id).replace(':topicId', topicId))
+                            .set('Content-Type', 'application/json')
+                            .send({
+                                options: [
+                                    {
+                                        value: 'Option 1'
+                                    },
+                                    {
+                                        value: 'Option 2'
+                                    }
+                                ],
+                                weightSource: weightSource
+                            })
+                            .expect(201)
+                            .expect('Content-Type', /json/);
+                    };
+
                     test('Success', async function () {
                         const options = [
                             {
@@ -5940,6 +6983,60 @@ suite('Users', function () {
                         assert.deepEqual(voteResult, voteResultExpected);
                     });
 
+                    test('Success - weightSource === topicMember', async function () {
+                        await memberLib.topicMemberUsersCreate(topic.id, [
+                            {
+                                userId: user2.id,
+                                level: TopicMemberUser.LEVELS.read,
+                                weight: 3
+                            }
+                        ]);
+
+                        const voteCreated = (await weightedVoteCreate(topic.id, Vote.WEIGHT_SOURCES.topicMember)).body.data;
+                        assert.equal(voteCreated.weightSource, Vote.WEIGHT_SOURCES.topicMember);
+
+                        const voteList = [
+                            {
+                                optionId: voteCreated.options.rows[0].id
+                            }
+                        ];
+                        await topicVoteVote(agent, user.id, topic.id, voteCreated.id, voteList, null, null, null, null);
+                        await topicVoteVote(agent2, user2.id, topic.id, voteCreated.id, voteList, null, null, null, null);
+
+                        const voteRead = (await topicVoteRead(agent, user.id, topic.id, voteCreated.id)).body.data;
+                        const option = _.find(voteRead.options.rows, {id: voteList[0].optionId});
+
+                        assert.equal(option.voteCount, 4);
+                        assert.equal(voteRead.votersCount, 2);
+                    });
+
+                    test('Success - weightSource === groupMember', async function () {
+                        const group = (await groupLib.create(agent, user.id, 'Group', null, null)).body.data;
+                        await topicMemberGroupsCreate(agent, user.id, topic.id, {
+                            groupId: group.id,
+                            level: TopicMemberGroup.LEVELS.read
+                        });
+                        await memberLib.groupMemberUsersCreate(group.id, [
+                            {
+                                userId: user2.id,
+                                level: GroupMemberUser.LEVELS.read,
+                                weight: 4
+                            }
+                        ]);
+
+                        const voteCreated = (await weightedVoteCreate(topic.id, Vote.WEIGHT_SOURCES.groupMember)).body.data;
+                        const option1 = voteCreated.options.rows[0];
+                        const option2 = voteCreated.options.rows[1];
+
+                        await topicVoteVote(agent, user.id, topic.id, voteCreated.id, [{optionId: option1.id}], null, null, null, null);
+                        await topicVoteVote(agent2, user2.id, topic.id, voteCreated.id, [{optionId: option2.id}], null, null, null, null);
+
+                        const voteRead = (await topicVoteRead(agent, user.id, topic.id, voteCreated.id)).body.data;
+
+                        assert.equal(_.find(voteRead.options.rows, {id: option1.id}).voteCount, 1);
+                        assert.equal(_.find(voteRead.options.rows, {id: option2.id}).voteCount, 4);
+                    });
+
                     test.skip('Fail - Bad Request - option id does not belong to the Vote', async function () {
                         //TODO: Check that you cannot vote for options that do not belong to the Vote
                         throw new Error('NOT IMPLEMENTED!');
@@ -5947,6 +7044,279 @@ suite('Users', function () {
 
                 });
 
+                suite('type === ranked', function () {
+
+                    test('Success - instant runoff rounds', async function () {
+                        const options = [
+                            {
+                                value: 'Option 1'
+                            },
+                            {
+                                value: 'Option 2'
+                            },
+                            {
+                                value: 'Option 3'
+                            }
+                        ];
+
+                        const voteCreated = (await topicVoteCreate(agent, user.id, topicPublic.id, options, null, null, null, null, null, Vote.TYPES.ranked, null)).body.data;
+                        assert.equal(voteCreated.type, Vote.TYPES.ranked);
+                        assert.equal(voteCreated.minChoices, options.length);
+                        assert.equal(voteCreated.maxChoices, options.length);
+
+                        const option1 = _.find(voteCreated.options.rows, {value: options[0].value});
+                        const option2 = _.find(voteCreated.options.rows, {value: options[1].value});
+                        const option3 = _.find(voteCreated.options.rows, {value: options[2].value});
+
+                        await topicVoteVote(agent, user.id, topicPublic.id, voteCreated.id, [
+                            {optionId: option1.id, rank: 1},
+                            {optionId: option2.id, rank: 2},
+                            {optionId: option3.id, rank: 3}
+                        ], null, null, null, null);
+
+                        await topicVoteVote(agent2, user2.id, topicPublic.id, voteCreated.id, [
+                            {optionId: option2.id, rank: 1},
+                            {optionId: option3.id, rank: 2},
+                            {optionId: option1.id, rank: 3}
+                        ], null, null, null, null);
+
+                        const voteRead = (await topicVoteRead(agent, user.id, topicPublic.id, voteCreated.id)).body.data;
+                        const results = voteRead.results;
+
+                        assert.equal(results.rounds.length, 2);
+                        assert.deepEqual(results.rounds[0].eliminated, [option3.id]);
+                        assert.equal(_.find(results.rounds[0].options, {optionId: option3.id}).voteCount, 0);
+                        assert.deepEqual(results.rounds[1].eliminated, []);
+                        assert.equal(results.rounds[1].options.length, 2);
+                        assert.isNull(results.winnerId);
+                        assert.sameMembers(results.tiedIds, [option1.id, option2.id]);
+
+                        // Change of mind, Option 1 becomes the winner in the 1st round
+                        await topicVoteVote(agent2, user2.id, topicPublic.id, voteCreated.id, [
+                            {optionId: option1.id, rank: 1},
+                            {optionId: option3.id, rank: 2},
+                            {optionId: option2.id, rank: 3}
+                        ], null, null, null, null);
+
+                        const voteReadAfterRevote = (await topicVoteReadUnauth(request.agent(app), topicPublic.id, voteCreated.id)).body.data;
+                        assert.equal(voteReadAfterRevote.results.rounds.length, 1);
+                        assert.equal(voteReadAfterRevote.results.rounds[0].options[0].voteCount, 2);
+                        assert.equal(voteReadAfterRevote.results.winnerId, option1.id);
+                    });
+
+                    test('Fail - Bad Request - ranking is not complete', async function () {
+                        const options = [
+                            {
+                                value: 'Option 1'
+                            },
+                            {
+                                value: 'Option 2'
+                            },
+                            {
+                                value: 'Option 3'
+                            }
+                        ];
+
+                        const voteCreated = (await topicVoteCreate(agent, user.id, topic.id, options, null, null, null, null, null, Vote.TYPES.ranked, null)).body.data;
+
+                        const voteResult = (await _topicVoteVote(agent, user.id, topic.id, voteCreated.id, [
+                            {optionId: voteCreated.options.rows[0].id, rank: 1},
+                            {optionId: voteCreated.options.rows[1].id, rank: 1},
+                            {optionId: voteCreated.options.rows[2].id, rank: 3}
+                        ], null, null, null, null, 400)).body;
+
+                        const voteResultExpected = {
+                            status: {
+                                code: 40000,
+                                message: 'All the options must be ranked from 1 to 3, each rank used once.'
+                            }
+                        };
+
+                        assert.deepEqual(voteResult, voteResultExpected);
+                    });
+
+                });
+
+                suite('type === score', function () {
+
+                    const scoreVoteCreate = async function (topicId, scoreMax, expectedHttpCode) {
+                        return agent
+                            .post('/api/users/:userId/topics/:topicId/votes'.replace(':userId', user.id).replace(':topicId', topicId))
+                            .set('Content-Type', 'application/json')
+                            .send({
+                                options: [
+                                    {
+                                        value: 'Option 1'
+                                    },
+                                    {
+                                        value: 'Option 2'
+                                    },
+                                    {
+                                        value: 'Option 3'
+                                    }
+                                ],
+                                type: Vote.TYPES.score,
+                                scoreMax: scoreMax
+                            })
+                            .expect(expectedHttpCode)
+                            .expect('Content-Type', /json/);
+                    };
+
+                    test('Success - score totals', async function () {
+                        const voteCreated = (await scoreVoteCreate(topicPublic.id, 5, 201)).body.data;
+                        assert.equal(voteCreated.type, Vote.TYPES.score);
+                        assert.equal(voteCreated.scoreMax, 5);
+
+                        const option1 = _.find(voteCreated.options.rows, {value: 'Option 1'});
+                        const option2 = _.find(voteCreated.options.rows, {value: 'Option 2'});
+                        const option3 = _.find(voteCreated.options.rows, {value: 'Option 3'});
+
+                        await topicVoteVote(agent, user.id, topicPublic.id, voteCreated.id, [
+                            {optionId: option1.id, score: 5},
+                            {optionId: option2.id, score: 3},
+                            {optionId: option3.id, score: 0}
+                        ], null, null, null, null);
+
+                        await topicVoteVote(agent2, user2.id, topicPublic.id, voteCreated.id, [
+                            {optionId: option1.id, score: 1},
+                            {optionId: option2.id, score: 4},
+                            {optionId: option3.id, score: 0}
+                        ], null, null, null, null);
+
+                        const results = (await topicVoteRead(agent, user.id, topicPublic.id, voteCreated.id)).body.data.results;
+
+                        assert.deepEqual(results.options, [
+                            {optionId: option2.id, score: 7, average: 3.5},
+                            {optionId: option1.id, score: 6, average: 3},
+                            {optionId: option3.id, score: 0, average: 0}
+                        ]);
+                        assert.equal(results.winnerId, option2.id);
+                    });
+
+                    test('Fail - Bad Request - score out of range', async function () {
+                        const voteCreated = (await scoreVoteCreate(topic.id, 5, 201)).body.data;
+
+                        const voteResult = (await _topicVoteVote(agent, user.id, topic.id, voteCreated.id, [
+                            {optionId: voteCreated.options.rows[0].id, score: 6},
+                            {optionId: voteCreated.options.rows[1].id, score: 0},
+                            {optionId: voteCreated.options.rows[2].id, score: 0}
+                        ], null, null, null, null, 400)).body;
+
+                        const voteResultExpected = {
+                            status: {
+                                code: 40000,
+                                message: 'All the options must be scored from 0 to 5.'
+                            }
+                        };
+
+                        assert.deepEqual(voteResult, voteResultExpected);
+                    });
+
+                    test('Fail - Bad Request - scoreMax missing', async function () {
+                        const voteResult = (await scoreVoteCreate(topic.id, null, 400)).body;
+
+                        const voteResultExpected = {
+                            status: {
+                                code: 40005,
+                                message: 'Maximum score is required for Vote type "score"'
+                            }
+                        };
+
+                        assert.deepEqual(voteResult, voteResultExpected);
+                    });
+
+                });
+
+                suite('ballotIsSecret', function () {
+
+                    const secretVoteCreate = async function (topicId, delegationIsAllowed, expectedHttpCode) {
+                        return agent
+                            .post('/api/users/:userId/topics/:topicId/votes'.replace(':userId', user.id).replace(':topicId', topicId))
+                            .set('Content-Type', 'application/json')
+                            .send({
+                                options: [
+                                    {
+                                        value: 'Option 1'
+                                    },
+                                    {
+                                        value: 'Option 2'
+                                    }
+                                ],
+                                delegationIsAllowed: delegationIsAllowed,
+                                ballotIsSecret: true
+                            })
+                            .expect(expectedHttpCode)
+                            .expect('Content-Type', /json/);
+                    };
+
+                    test('Success - ballots are not linked to Voters', async function () {
+                        const voteCreated = (await secretVoteCreate(topicPublic.id, false, 201)).body.data;
+                        assert.isTrue(voteCreated.ballotIsSecret);
+
+                        const option1 = _.find(voteCreated.options.rows, {value: 'Option 1'});
+
+                        const ballot = (await topicVoteVote(agent, user.id, topicPublic.id, voteCreated.id, [{optionId: option1.id}], null, null, null, null)).body.data;
+                        assert.property(ballot, 'ballotId');
+                        assert.match(ballot.ballotId, /^[A-Za-z0-9_-]{8}$/);
+
+                        await topicVoteVote(agent2, user2.id, topicPublic.id, voteCreated.id, [{optionId: option1.id}], null, null, null, null);
+
+                        const voteRead = (await topicVoteRead(agent, user.id, topicPublic.id, voteCreated.id)).body.data;
+                        assert.equal(_.find(voteRead.options.rows, {id: option1.id}).voteCount, 2);
+                        assert.equal(voteRead.votersCount, 2);
+
+                        const voteLists = await VoteList.findAll({
+                            where: {
+                                voteId: voteCreated.id
+                            }
+                        });
+                        assert.equal(voteLists.length, 2);
+                        voteLists.forEach(function (voteList) {
+                            assert.isNull(voteList.userId);
+                            assert.isNull(voteList.userHash);
+                            assert.equal(voteList.createdAt.getTime(), new Date(voteCreated.createdAt).getTime());
+                        });
+
+                        const participantCount = await VoteParticipant.count({
+                            where: {
+                                voteId: voteCreated.id
+                            }
+                        });
+                        assert.equal(participantCount, 2);
+                    });
+
+                    test('Fail - Bad Request - already voted', async function () {
+                        const voteCreated = (await secretVoteCreate(topicPublic.id, false, 201)).body.data;
+                        const voteList = [{optionId: voteCreated.options.rows[0].id}];
+
+                        await topicVoteVote(agent, user.id, topicPublic.id, voteCreated.id, voteList, null, null, null, null);
+                        const voteResult = (await _topicVoteVote(agent, user.id, topicPublic.id, voteCreated.id, voteList, null, null, null, null, 400)).body;
+
+                        const voteResultExpected = {
+                            status: {
+                                code: 40000,
+                                message: 'User has already voted. Secret ballot cannot be changed.'
+                            }
+                        };
+
+                        assert.deepEqual(voteResult, voteResultExpected);
+                    });
+
+                    test('Fail - Bad Request - delegation is not allowed', async function () {
+                        const voteResult = (await secretVoteCreate(topicPublic.id, true, 400)).body;
+
+                        const voteResultExpected = {
+                            status: {
+                                code: 40006,
+                                message: 'Secret ballot is not allowed with authType "hard", delegation or weighted voting'
+                            }
+                        };
+
+                        assert.deepEqual(voteResult, voteResultExpected);
+                    });
+
+                });
+
                 suite('authType === hard', function () {
                     this.timeout(10000); //eslint-disable-line no-invalid-this
 
@@ -8300,6 +9670,497 @@ suite('Users', function () {
                     assert.equal(listAttachment.creator.id, creator.id);
                 });
             });
+
+            suite('Upload', function () {
+
+                test('Success', async function () {
+                    const content = 'Test file for attachment upload.';
+                    const attachment = (await topicAttachmentUpload(creatorAgent, creator.id, topic.id, Buffer.from(content), 'test.txt', 'My test file')).body.data;
+
+                    assert.property(attachment, 'id');
+                    assert.equal(attachment.name, 'My test file');
+                    assert.equal(attachment.type, 'txt');
+                    assert.equal(attachment.source, Attachment.SOURCES.upload);
+                    assert.equal(attachment.status, Attachment.STATUSES.available);
+                    assert.equal(attachment.size, content.length);
+                    assert.isNull(attachment.link);
+                    assert.notProperty(attachment, 'storageKey');
+
+                    const list = (await topicAttachmentList(creatorAgent, creator.id, topic.id)).body.data;
+                    assert.equal(list.count, 1);
+                    assert.equal(list.rows[0].id, attachment.id);
+
+                    const downloadRes = await _topicAttachmentDownload(creatorAgent, creator.id, topic.id, attachment.id, 302);
+                    const downloadUrl = new URL(downloadRes.headers.location);
+                    assert.include(downloadRes.headers.location, config.url.api);
+
+                    const fileRes = await creatorAgent
+                        .get(downloadUrl.pathname + downloadUrl.search)
+                        .expect(200);
+
+                    assert.equal(fileRes.text, content);
+                    assert.match(fileRes.headers['content-type'], /^text\/plain/);
+                    assert.equal(fileRes.headers['content-disposition'], 'attachment; filename=' + encodeURIComponent('My test file.txt'));
+                });
+
+                test('Success - pending Attachment is not visible until scanned', async function () {
+                    const attachment = (await topicAttachmentUpload(creatorAgent, creator.id, topic.id, Buffer.from('Pending'), 'pending.txt')).body.data;
+                    await Attachment.update(
+                        {
+                            status: Attachment.STATUSES.pending
+                        },
+                        {
+                            where: {
+                                id: attachment.id
+                            }
+                        }
+                    );
+
+                    const list = (await topicAttachmentList(creatorAgent, creator.id, topic.id)).body.data;
+                    assert.equal(list.count, 0);
+
+                    await _topicAttachmentRead(creatorAgent, creator.id, topic.id, attachment.id, 404);
+                    await _topicAttachmentDownload(creatorAgent, creator.id, topic.id, attachment.id, 404);
+                });
+
+                test('Fail - 40004 - file type not allowed', async function () {
+                    const res = await _topicAttachmentUpload(creatorAgent, creator.id, topic.id, Buffer.from('MZ'), 'virus.exe', null, 400);
+
+                    assert.equal(res.body.status.code, 40004);
+                });
+
+                test('Fail - 40005 - content does not match the file type', async function () {
+                    const res = await _topicAttachmentUpload(creatorAgent, creator.id, topic.id, Buffer.from('Not a PDF'), 'fake.pdf', null, 400);
+
+                    assert.equal(res.body.status.code, 40005);
+                });
+
+                test('Fail - 40006 - file too large', async function () {
+                    const res = await _topicAttachmentUpload(creatorAgent, creator.id, topic.id, Buffer.alloc(config.storage.maxFileSize + 1, 'a'), 'large.txt', null, 400);
+
+                    assert.equal(res.body.status.code, 40006);
+                });
+
+                test('Fail - 40400 - Attachment of another Topic', async function () {
+                    const attachment = (await topicAttachmentUpload(creatorAgent, creator.id, topic.id, Buffer.from('Test'), 'test.txt')).body.data;
+
+                    await _topicAttachmentDownload(creatorAgent, creator.id, topic2.id, attachment.id, 404);
+                });
+
+                test('Fail - 40100 - expired or missing download token', async function () {
+                    const cosStorage = app.get('cosStorage');
+
+                    await creatorAgent
+                        .get(cosStorage.store.PATH_DOWNLOAD)
+                        .query({token: cosJwt.getTokenRestrictedUse({key: 'attachments/test'}, 'GET /api/something/else')})
+                        .expect(401);
+                });
+
+            });
+        });
+
+        // API - /api/users/:userId/topics/:topicId/revisions
+        suite('Revisions', function () {
+            const creatorAgent = request.agent(app);
+            const readerAgent = request.agent(app);
+            let creator;
+            let reader;
+            let topic;
+
+            const descriptionFirst = '<html><head></head><body><h1>Revision title</h1><p>First version of the text.</p></body></html>';
+            const descriptionSecond = '<html><head></head><body><h1>Revision title</h1><p>Second version of the text.</p></body></html>';
+
+            setup(async function () {
+                creator = await userLib.createUserAndLogin(creatorAgent, null, null, null);
+                reader = await userLib.createUserAndLogin(readerAgent, null, null, null);
+                topic = (await topicCreate(creatorAgent, creator.id, Topic.VISIBILITY.private, null, null, descriptionFirst, null)).body.data;
+                await topicUpdateField(creatorAgent, creator.id, topic.id, {description: descriptionSecond});
+                await memberLib.topicMemberUsersCreate(topic.id, [
+                    {
+                        userId: reader.id,
+                        level: TopicMemberUser.LEVELS.read
+                    }
+                ]);
+            });
+
+            test('List - Success', async function () {
+                const list = (await topicRevisionList(readerAgent, reader.id, topic.id)).body.data;
+
+                assert.equal(list.countTotal, 2);
+                assert.equal(list.count, 2);
+                assert.isAbove(list.rows[0].rev, list.rows[1].rev);
+                assert.equal(list.rows[0].title, 'Revision title');
+                assert.deepEqual(list.rows[0].creator, {id: creator.id, name: creator.name});
+                assert.notProperty(list.rows[0], 'description');
+            });
+
+            test('List - Fail - 403 - no access to private Topic', async function () {
+                const agent = request.agent(app);
+                const user = await userLib.createUserAndLogin(agent, null, null, null);
+
+                await _topicRevisionList(agent, user.id, topic.id, 403);
+                await _topicRevisionListUnauth(agent, topic.id, 404);
+            });
+
+            test('List - Success - public Topic, unauthenticated', async function () {
+                await topicUpdate(creatorAgent, creator.id, topic.id, null, Topic.VISIBILITY.public);
+
+                const list = (await topicRevisionListUnauth(request.agent(app), topic.id)).body.data;
+                assert.equal(list.count, 2);
+            });
+
+            test('Read - Success', async function () {
+                const list = (await topicRevisionList(readerAgent, reader.id, topic.id)).body.data;
+                const revision = (await topicRevisionRead(readerAgent, reader.id, topic.id, list.rows[1].id)).body.data;
+
+                assert.equal(revision.id, list.rows[1].id);
+                assert.equal(revision.rev, list.rows[1].rev);
+                assert.include(revision.description, 'First version of the text.');
+                assert.include(revision.authorIds, creator.id);
+            });
+
+            test('Read - Fail - 404 - revision of another Topic', async function () {
+                const topicOther = (await topicCreate(creatorAgent, creator.id, Topic.VISIBILITY.private, null, null, descriptionFirst, null)).body.data;
+                const list = (await topicRevisionList(creatorAgent, creator.id, topicOther.id)).body.data;
+
+                await _topicRevisionRead(creatorAgent, creator.id, topic.id, list.rows[0].id, 404);
+            });
+
+            test('Diff - Success', async function () {
+                const list = (await topicRevisionList(readerAgent, reader.id, topic.id)).body.data;
+                const diff = (await topicRevisionDiff(readerAgent, reader.id, topic.id, list.rows[1].id, list.rows[0].id)).body.data;
+
+                assert.equal(diff.from.id, list.rows[1].id);
+                assert.equal(diff.to.id, list.rows[0].id);
+                assert.deepInclude(diff.changes, {type: 'delete', value: 'First'});
+                assert.deepInclude(diff.changes, {type: 'insert', value: 'Second'});
+                assert.include(diff.html, '<del>First</del><ins>Second</ins> version of the text.');
+            });
+
+            test('Diff - Fail - 40001 - invalid revision ids', async function () {
+                const res = await _topicRevisionDiff(readerAgent, reader.id, topic.id, 'foo', null, 400);
+
+                assert.equal(res.body.status.code, 40001);
+            });
+
+            test('Restore - Success', async function () {
+                const list = (await topicRevisionList(creatorAgent, creator.id, topic.id)).body.data;
+                const revision = (await topicRevisionRestore(creatorAgent, creator.id, topic.id, list.rows[1].id)).body.data;
+
+                assert.isAbove(revision.rev, list.rows[0].rev);
+                assert.include(revision.description, 'First version of the text.');
+
+                const topicRestored = (await topicRead(creatorAgent, creator.id, topic.id, null)).body.data;
+                assert.include(topicRestored.description, 'First version of the text.');
+
+                const listRestored = (await topicRevisionList(creatorAgent, creator.id, topic.id)).body.data;
+                assert.equal(listRestored.countTotal, 3);
+            });
+
+            test('Restore - Fail - 403 - read permission', async function () {
+                const list = (await topicRevisionList(readerAgent, reader.id, topic.id)).body.data;
+
+                await _topicRevisionRestore(readerAgent, reader.id, topic.id, list.rows[1].id, 403);
+            });
+
+        });
+
+        // API - /api/users/:userId/topics/:topicId/export
+        suite('Export', function () {
+            const creatorAgent = request.agent(app);
+            let creator;
+            let topic;
+
+            const description = '<html><head></head><body><h1>Export title</h1><p>Text of the <strong>Topic</strong>.</p><ul class="bullet"><li>Point one</li></ul></body></html>';
+
+            suiteSetup(async function () {
+                creator = await userLib.createUserAndLogin(creatorAgent, null, null, null);
+                topic = (await topicCreate(creatorAgent, creator.id, Topic.VISIBILITY.private, null, null, description, null)).body.data;
+                await topicAttachmentAdd(creatorAgent, creator.id, topic.id, 'Plan.pdf', 'https://example.com/plan.pdf', Attachment.SOURCES.dropbox, 'pdf', 1000);
+                await topicCommentCreate(creatorAgent, creator.id, topic.id, null, null, Comment.TYPES.pro, 'Good idea', 'Worth doing');
+
+                const options = [
+                    {
+                        value: 'Yes'
+                    },
+                    {
+                        value: 'No'
+                    }
+                ];
+                const vote = (await topicVoteCreate(creatorAgent, creator.id, topic.id, options, 1, 1, false, null, null, Vote.TYPES.regular, Vote.AUTH_TYPES.soft)).body.data;
+                await topicVoteVote(creatorAgent, creator.id, topic.id, vote.id, [{optionId: vote.options.rows[0].id}], null, null, null, null);
+            });
+
+            test('Success - Markdown', async function () {
+                const res = await topicExport(creatorAgent, creator.id, topic.id, 'md', ['vote', 'comments']);
+
+                assert.match(res.headers['content-type'], /^text\/markdown/);
+                assert.equal(res.headers['content-disposition'], 'attachment; filename=' + encodeURIComponent('Export title.md'));
+
+                const markdown = res.body.toString();
+                assert.include(markdown, '# Export title');
+                assert.include(markdown, 'Text of the **Topic**.');
+                assert.include(markdown, '- Point one');
+                assert.include(markdown, '## Attachments\n\n- Plan.pdf - https://example.com/plan.pdf');
+                assert.include(markdown, '## Vote results');
+                assert.include(markdown, '- Yes: 1\n- No: 0');
+                assert.include(markdown, '### Good idea\n\nArgument for - ');
+                assert.include(markdown, '\n\nWorth doing');
+            });
+
+            test('Success - Markdown - without vote and comments', async function () {
+                const markdown = (await topicExport(creatorAgent, creator.id, topic.id, 'md')).body.toString();
+
+                assert.include(markdown, '# Export title');
+                assert.notInclude(markdown, '## Vote results');
+                assert.notInclude(markdown, '## Arguments');
+            });
+
+            test('Success - Markdown - labels in the language of the User', async function () {
+                const agent = request.agent(app);
+                const user = await userLib.createUserAndLogin(agent, null, null, 'et');
+                const topicPublic = (await topicCreate(creatorAgent, creator.id, Topic.VISIBILITY.public, null, null, description, null)).body.data;
+                await topicCommentCreate(creatorAgent, creator.id, topicPublic.id, null, null, Comment.TYPES.pro, 'Good idea', 'Worth doing');
+
+                const markdown = (await topicExport(agent, user.id, topicPublic.id, 'md', ['comments'])).body.toString();
+
+                assert.include(markdown, '## Argumendid');
+                assert.include(markdown, '### Good idea\n\nArgument poolt - ');
+
+                const markdownUnauth = (await _topicExportUnauth(request.agent(app), topicPublic.id, 'md', ['comments'], 200)).body.toString();
+
+                assert.include(markdownUnauth, '## Arguments');
+            });
+
+            test('Success - DOCX', async function () {
+                const res = await topicExport(creatorAgent, creator.id, topic.id, 'docx');
+
+                assert.equal(res.headers['content-type'], 'application/vnd.openxmlformats-officedocument.wordprocessingml.document');
+                assert.equal(res.body.slice(0, 4).toString('hex'), '504b0304'); // ZIP container
+            });
+
+            test('Success - PDF', async function () {
+                const res = await topicExport(creatorAgent, creator.id, topic.id, 'pdf', ['vote']);
+
+                assert.equal(res.headers['content-type'], 'application/pdf');
+                assert.equal(res.body.slice(0, 5).toString(), '%PDF-');
+            });
+
+            test('Fail - 40001 - invalid format', async function () {
+                const res = await _topicExport(creatorAgent, creator.id, topic.id, 'exe', null, 400);
+
+                assert.equal(JSON.parse(res.body.toString()).status.code, 40001);
+            });
+
+            test('Fail - 403 - no access to private Topic', async function () {
+                const agent = request.agent(app);
+                const user = await userLib.createUserAndLogin(agent, null, null, null);
+
+                await _topicExport(agent, user.id, topic.id, 'md', null, 403);
+                await _topicExportUnauth(agent, topic.id, 'md', null, 404);
+            });
+
+            test('Success - public Topic, unauthenticated', async function () {
+                const topicPublic = (await topicCreate(creatorAgent, creator.id, Topic.VISIBILITY.public, null, null, description, null)).body.data;
+                const markdown = (await topicExportUnauth(request.agent(app), topicPublic.id, 'md')).body.toString();
+
+                assert.include(markdown, '# Export title');
+            });
+
+        });
+
+        suite('Arguments', function () {
+            const creatorAgent = request.agent(app);
+            const readerAgent = request.agent(app);
+            let creator;
+            let reader;
+            let topic;
+            let pro1;
+            let pro2;
+            let con1;
+            let reply;
+
+            setup(async function () {
+                creator = await userLib.createUserAndLogin(creatorAgent, null, null, null);
+                reader = await userLib.createUserAndLogin(readerAgent, null, null, null);
+                topic = (await topicCreate(creatorAgent, creator.id, Topic.VISIBILITY.private, null, null, null, null)).body.data;
+                await memberLib.topicMemberUsersCreate(topic.id, [
+                    {
+                        userId: reader.id,
+                        level: TopicMemberUser.LEVELS.read
+                    }
+                ]);
+
+                pro1 = (await topicCommentCreate(creatorAgent, creator.id, topic.id, null, null, Comment.TYPES.pro, 'Pro 1', 'Pro argument 1')).body.data;
+                pro2 = (await topicCommentCreate(readerAgent, reader.id, topic.id, null, null, Comment.TYPES.pro, 'Pro 2', 'Pro argument 2')).body.data;
+                con1 = (await topicCommentCreate(readerAgent, reader.id, topic.id, null, null, Comment.TYPES.con, 'Con 1', 'Con argument 1')).body.data;
+                reply = (await topicCommentCreate(readerAgent, reader.id, topic.id, pro1.id, null, null, null, 'Reply to pro 1')).body.data;
+
+                await topicCommentVotesCreate(readerAgent, topic.id, pro2.id, 1);
+            });
+
+            test('Clusters - Success - create, update, list, delete', async function () {
+                const cluster = (await topicArgumentClusterCreate(creatorAgent, creator.id, topic.id, 'Costs', null)).body.data;
+                assert.equal(cluster.name, 'Costs');
+                assert.equal(cluster.topicId, topic.id);
+                assert.equal(cluster.creatorId, creator.id);
+
+                const clusterUpdated = (await topicArgumentClusterUpdate(creatorAgent, creator.id, topic.id, cluster.id, {description: 'Arguments about the costs'})).body.data;
+                assert.equal(clusterUpdated.name, 'Costs');
+                assert.equal(clusterUpdated.description, 'Arguments about the costs');
+
+                const list = (await topicArgumentClusterList(readerAgent, reader.id, topic.id)).body.data;
+                assert.equal(list.count, 1);
+                assert.equal(list.rows[0].id, cluster.id);
+
+                await topicArgumentClusterCommentsAdd(creatorAgent, creator.id, topic.id, cluster.id, [pro1.id]);
+                await topicArgumentClusterDelete(creatorAgent, creator.id, topic.id, cluster.id);
+
+                const listDeleted = (await topicArgumentClusterList(readerAgent, reader.id, topic.id)).body.data;
+                assert.equal(listDeleted.count, 0);
+
+                const summary = (await topicArgumentsSummary(creatorAgent, creator.id, topic.id)).body.data;
+                assert.equal(summary.unclustered.count.total, 3);
+
+                const activities = await Activity.findAll({
+                    where: {
+                        'data.object.id': cluster.id
+                    }
+                });
+                assert.sameMembers(activities.map(function (activity) {
+                    return activity.data.type;
+                }), [Activity.TYPES.create, Activity.TYPES.update, Activity.TYPES.delete]);
+            });
+
+            test('Clusters - Fail - 403 - not a Topic admin', async function () {
+                await _topicArgumentClusterCreate(readerAgent, reader.id, topic.id, 'Costs', null, 403);
+            });
+
+            test('Clusters - Fail - 400 - invalid name', async function () {
+                await _topicArgumentClusterCreate(creatorAgent, creator.id, topic.id, '', null, 400);
+            });
+
+            test('Clusters - Comments - Success - add and remove', async function () {
+                const cluster = (await topicArgumentClusterCreate(creatorAgent, creator.id, topic.id, 'Benefits', null)).body.data;
+
+                await topicArgumentClusterCommentsAdd(creatorAgent, creator.id, topic.id, cluster.id, [pro1.id, pro2.id]);
+
+                let summary = (await topicArgumentsSummary(readerAgent, reader.id, topic.id)).body.data;
+                assert.equal(summary.clusters.length, 1);
+                assert.equal(summary.clusters[0].id, cluster.id);
+                assert.deepEqual(summary.clusters[0].count, {pro: 2, con: 0, total: 2});
+                assert.deepEqual(summary.unclustered.count, {pro: 0, con: 1, total: 1});
+
+                await topicArgumentClusterCommentDelete(creatorAgent, creator.id, topic.id, cluster.id, pro1.id);
+
+                summary = (await topicArgumentsSummary(readerAgent, reader.id, topic.id)).body.data;
+                assert.deepEqual(summary.clusters[0].count, {pro: 1, con: 0, total: 1});
+
+                await _topicArgumentClusterCommentDelete(creatorAgent, creator.id, topic.id, cluster.id, pro1.id, 404);
+            });
+
+            test('Clusters - Comments - Fail - 40001 - invalid Comment ids', async function () {
+                const cluster = (await topicArgumentClusterCreate(creatorAgent, creator.id, topic.id, 'Benefits', null)).body.data;
+                const res = await _topicArgumentClusterCommentsAdd(creatorAgent, creator.id, topic.id, cluster.id, ['notauuid'], 400);
+
+                assert.equal(res.body.status.code, 40001);
+            });
+
+            test('Clusters - Comments - Fail - 40002 - reply is not an argument', async function () {
+                const cluster = (await topicArgumentClusterCreate(creatorAgent, creator.id, topic.id, 'Benefits', null)).body.data;
+                const res = await _topicArgumentClusterCommentsAdd(creatorAgent, creator.id, topic.id, cluster.id, [pro1.id, reply.id], 400);
+
+                assert.equal(res.body.status.code, 40002);
+            });
+
+            test('Merge - Success', async function () {
+                const report = (await topicCommentReportCreate(creatorAgent, topic.id, pro1.id, Report.TYPES.duplicate, 'Same as pro 2')).body.data;
+
+                await topicCommentMerge(creatorAgent, creator.id, topic.id, pro1.id, pro2.id);
+
+                const reportResolved = await Report.findOne({
+                    where: {
+                        id: report.id
+                    }
+                });
+                assert.isNotNull(reportResolved.resolvedAt);
+                assert.equal(reportResolved.resolvedById, creator.id);
+
+                const summary = (await topicArgumentsSummary(readerAgent, reader.id, topic.id)).body.data;
+                assert.deepEqual(summary.count, {pro: 1, con: 1, total: 2, merged: 1});
+                assert.equal(summary.top.pro.length, 1);
+                assert.equal(summary.top.pro[0].id, pro2.id);
+                assert.equal(summary.top.pro[0].duplicates, 1);
+
+                const comments = (await topicCommentList(readerAgent, reader.id, topic.id, null)).body.data.rows;
+                comments.forEach(function (comment) {
+                    assert.equal(comment.merged, comment.id === pro1.id);
+                });
+                const commentMerged = comments.find(function (comment) {
+                    return comment.id === pro1.id;
+                });
+                assert.equal(commentMerged.mergedIntoId, pro2.id);
+
+                const activities = await Activity.findAll({
+                    where: {
+                        'data.object.id': pro1.id,
+                        'data.type': Activity.TYPES.update
+                    }
+                });
+                assert.isTrue(activities.some(function (activity) {
+                    return activity.data.result.some(function (change) {
+                        return change.path === '/mergedIntoId';
+                    });
+                }));
+            });
+
+            test('Merge - Success - undo', async function () {
+                await topicCommentMerge(creatorAgent, creator.id, topic.id, pro1.id, pro2.id);
+                await topicCommentMergeDelete(creatorAgent, creator.id, topic.id, pro1.id);
+
+                const summary = (await topicArgumentsSummary(readerAgent, reader.id, topic.id)).body.data;
+                assert.deepEqual(summary.count, {pro: 2, con: 1, total: 3, merged: 0});
+
+                await _topicCommentMergeDelete(creatorAgent, creator.id, topic.id, pro1.id, 404);
+            });
+
+            test('Merge - Fail - 40002 - other side', async function () {
+                const res = await _topicCommentMerge(creatorAgent, creator.id, topic.id, pro1.id, con1.id, 400);
+
+                assert.equal(res.body.status.code, 40002);
+            });
+
+            test('Merge - Fail - 40003 - into a merged Comment', async function () {
+                await topicCommentMerge(creatorAgent, creator.id, topic.id, pro1.id, pro2.id);
+                const res = await _topicCommentMerge(creatorAgent, creator.id, topic.id, pro2.id, pro1.id, 400);
+
+                assert.equal(res.body.status.code, 40003);
+            });
+
+            test('Merge - Fail - 403 - not a Topic admin', async function () {
+                await _topicCommentMerge(readerAgent, reader.id, topic.id, pro1.id, pro2.id, 403);
+            });
+
+            test('Summary - Success - top-rated arguments', async function () {
+                const summary = (await topicArgumentsSummary(readerAgent, reader.id, topic.id)).body.data;
+
+                assert.deepEqual(summary.count, {pro: 2, con: 1, total: 3, merged: 0});
+                assert.deepEqual(summary.top.pro.map(arg => arg.id), [pro2.id, pro1.id]);
+                assert.deepEqual(summary.top.pro[0].votes, {up: 1, down: 0, rating: 1});
+                assert.deepEqual(summary.top.con.map(arg => arg.id), [con1.id]);
+
+                const summaryTop1 = (await topicArgumentsSummary(readerAgent, reader.id, topic.id, 1)).body.data;
+                assert.deepEqual(summaryTop1.top.pro.map(arg => arg.id), [pro2.id]);
+            });
+
+            test('Summary - Success - public Topic, unauthenticated', async function () {
+                await _topicArgumentsSummaryUnauth(request.agent(app), topic.id, null, 404);
+                await topicUpdate(creatorAgent, creator.id, topic.id, null, Topic.VISIBILITY.public);
+
+                const summary = (await topicArgumentsSummaryUnauth(request.agent(app), topic.id)).body.data;
+                assert.equal(summary.count.total, 3);
+            });
+
         });
 
         // API - /api/users/:userId/topics/:topicId/reports
@@ -9598,6 +11459,95 @@ suite('Topics', function () {
                 });
             });
 
+            test('Success - orderBy oldest', async function () {
+                const data = (await topicCommentListUnauth(userAgent, topic.id, 'oldest')).body.data;
+
+                assert.deepEqual(data.rows.map(c => c.id), [comment1.id, comment2.id, comment3.id]);
+                assert.deepEqual(data.rows[2].replies.rows.map(c => c.id), [reply1.id, reply2.id, reply3.id]);
+            });
+
+            test('Success - orderBy newest', async function () {
+                const data = (await topicCommentListUnauth(userAgent, topic.id, 'newest')).body.data;
+
+                assert.deepEqual(data.rows.map(c => c.id), [comment3.id, comment2.id, comment1.id]);
+                assert.deepEqual(data.rows[0].replies.rows.map(c => c.id), [reply3.id, reply2.id, reply1.id]);
+            });
+
+            test('Success - orderBy replies', async function () {
+                const data = (await topicCommentListUnauth(userAgent, topic.id, 'replies')).body.data;
+
+                assert.deepEqual(data.rows.map(c => c.id), [comment3.id, comment2.id, comment1.id]);
+                assert.deepEqual(data.rows[0].replies.rows.map(c => c.id), [reply1.id, reply2.id, reply3.id]);
+
+                const reply2Data = data.rows[0].replies.rows[1];
+                assert.deepEqual(reply2Data.replies.rows[0].replies.rows.map(c => c.id), [reply212.id, reply211.id]);
+            });
+
+            test('Success - replies', async function () {
+                const firstPage = (await topicCommentRepliesListUnauth(userAgent, topic.id, comment3.id, {limit: 2})).body.data;
+
+                assert.equal(firstPage.countTotal, 3);
+                assert.equal(firstPage.count, 2);
+                assert.deepEqual(firstPage.rows.map(c => c.id), [reply1.id, reply2.id]);
+                assert.equal(firstPage.rows[0].replies.rows[0].id, reply11.id);
+
+                const secondPage = (await topicCommentRepliesListUnauth(userAgent, topic.id, comment3.id, {limit: 2, offset: 2})).body.data;
+
+                assert.equal(secondPage.countTotal, 3);
+                assert.deepEqual(secondPage.rows.map(c => c.id), [reply3.id]);
+            });
+
+            test('Success - replies with repliesLimit', async function () {
+                const data = (await topicCommentRepliesListUnauth(userAgent, topic.id, reply2.id, {repliesLimit: 1})).body.data;
+
+                assert.equal(data.countTotal, 1);
+
+                const reply21Data = data.rows[0];
+                assert.equal(reply21Data.id, reply21.id);
+                assert.equal(reply21Data.replies.count, 2);
+                assert.deepEqual(reply21Data.replies.rows.map(c => c.id), [reply211.id]);
+            });
+
+            test('Success - read with ancestors', async function () {
+                const data = (await topicCommentReadUnauth(userAgent, topic.id, reply2121.id)).body.data;
+
+                assert.equal(data.id, reply2121.id);
+                assert.equal(data.text, replyText2121);
+                assert.deepEqual(data.replies, {count: 0, rows: []});
+                assert.deepEqual(data.ancestors.map(c => c.id), [comment3.id, reply2.id, reply21.id, reply212.id]);
+                assert.equal(data.ancestors[0].subject, commentSubj3);
+            });
+
+            test('Success - read first level Comment', async function () {
+                const data = (await topicCommentReadUnauth(userAgent, topic.id, comment3.id)).body.data;
+
+                assert.equal(data.id, comment3.id);
+                assert.equal(data.replies.count, 3);
+                assert.deepEqual(data.ancestors, []);
+            });
+
+            test('Success - read and replies of non-public Topic Comment', async function () {
+                const topicPrivate = (await topicCreate(creatorAgent, creator.id, Topic.VISIBILITY.private, null, null, null, null)).body.data;
+                const comment = (await topicCommentCreate(creatorAgent, creator.id, topicPrivate.id, null, null, commentType1, commentSubj1, commentText1)).body.data;
+                const reply = (await topicCommentCreate(creatorAgent, creator.id, topicPrivate.id, comment.id, null, null, null, replyText1)).body.data;
+
+                const commentData = (await topicCommentRead(creatorAgent, creator.id, topicPrivate.id, reply.id)).body.data;
+                assert.deepEqual(commentData.ancestors.map(c => c.id), [comment.id]);
+
+                const repliesData = (await topicCommentRepliesList(creatorAgent, creator.id, topicPrivate.id, comment.id, {})).body.data;
+                assert.deepEqual(repliesData.rows.map(c => c.id), [reply.id]);
+
+                await _topicCommentReadUnauth(userAgent, topicPrivate.id, reply.id, 404);
+                await _topicCommentRepliesListUnauth(userAgent, topicPrivate.id, comment.id, {}, 404);
+            });
+
+            test('Fail - 404 - Comment of another Topic', async function () {
+                const topicOther = (await topicCreate(creatorAgent, creator.id, Topic.VISIBILITY.public, null, null, null, null)).body.data;
+
+                await _topicCommentReadUnauth(userAgent, topicOther.id, comment3.id, 404);
+                await _topicCommentRepliesList(creatorAgent, creator.id, topicOther.id, comment3.id, {}, 404);
+            });
+
             test('Fail - 404 - trying to fetch comments of non-public Topic', async function () {
                 const topic = (await topicCreate(creatorAgent, creator.id, Topic.VISIBILITY.private, null, null, null, null)).body.data;
 
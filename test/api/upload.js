@@ -20,6 +20,32 @@ const uploadFile = async function (agent, userId, file, folderName) {
     return _uploadFile(agent, userId, file, folderName, 201);
 };
 
+const _signDownload = async function (agent, filename, folder, expectedHttpCode) {
+    const path = '/api/upload/signdownload';
+
+    return agent
+        .get(path)
+        .query({
+            filename: filename,
+            folder: folder
+        })
+        .expect(expectedHttpCode)
+        .expect('Content-Type', /json/);
+};
+
+const _uploadDelete = async function (agent, userId, filename, folder, expectedHttpCode) {
+    const path = '/api/users/:userId/upload'.replace(':userId', userId);
+
+    return agent
+        .delete(path)
+        .query({
+            filename: filename,
+            folder: folder
+        })
+        .expect(expectedHttpCode)
+        .expect('Content-Type', /json/);
+};
+
 module.exports.uploadFile = uploadFile;
 
 const chai = require('chai');
@@ -77,5 +103,32 @@ suite('Users', function () {
             });
         });
 
+        suite('Private files', function () {
+            const agent = request.agent(app);
+
+            let user;
+
+            suiteSetup(async function () {
+                user = await userLib.createUserAndLogin(agent, null, null, null);
+            });
+
+            test('Fail - 40300 - sign download of an Attachment', async function () {
+                await _signDownload(request.agent(app), 'test.txt', 'attachments/' + user.id, 403);
+            });
+
+            test('Fail - 40300 - sign download of a data export', async function () {
+                await _signDownload(request.agent(app), user.id + '/export.zip', 'exports/users', 403);
+            });
+
+            test('Fail - 40300 - sign download outside the public folder', async function () {
+                await _signDownload(request.agent(app), '../attachments/test.txt', 'test', 403);
+            });
+
+            test('Fail - 40300 - delete an Attachment', async function () {
+                await _uploadDelete(agent, user.id, 'test.txt', 'attachments/' + user.id, 403);
+            });
+
+        });
+
     });
 });
@@ -64,6 +64,24 @@ const userConsentCreate = async function (agent, userId, partnerId) {
     return _userConsentCreate(agent, userId, partnerId, 200);
 };
 
+const _userConsentCreateWithScopes = async function (agent, userId, partnerId, scopes, expectedHttpCode) {
+    const path = '/api/users/:userId/consents'.replace(':userId', userId);
+
+    return agent
+        .post(path)
+        .set('Content-Type', 'application/json')
+        .send({
+            partnerId: partnerId,
+            scopes: scopes
+        })
+        .expect(expectedHttpCode)
+        .expect('Content-Type', /json/);
+};
+
+const userConsentCreateWithScopes = async function (agent, userId, partnerId, scopes) {
+    return _userConsentCreateWithScopes(agent, userId, partnerId, scopes, 200);
+};
+
 const _userConsentsList = async function (agent, userId, expectedHttpCode) {
     const path = '/api/users/:userId/consents'
         .replace(':userId', userId);
@@ -110,7 +128,221 @@ const userConnectionsList = async function (agent, userId) {
     return _userConnectionsList(agent, userId, 200);
 };
 
+const _notificationSettingsRead = async function (agent, userId, expectedHttpCode) {
+    const path = '/api/users/:userId/notifications/settings'
+        .replace(':userId', userId);
+
+    return agent
+        .get(path)
+        .set('Content-Type', 'application/json')
+        .expect(expectedHttpCode)
+        .expect('Content-Type', /json/);
+};
+
+const notificationSettingsRead = async function (agent, userId) {
+    return _notificationSettingsRead(agent, userId, 200);
+};
+
+const _notificationSettingsUpdate = async function (agent, userId, frequency, expectedHttpCode) {
+    const path = '/api/users/:userId/notifications/settings'
+        .replace(':userId', userId);
+
+    return agent
+        .put(path)
+        .set('Content-Type', 'application/json')
+        .send({frequency: frequency})
+        .expect(expectedHttpCode)
+        .expect('Content-Type', /json/);
+};
+
+const notificationSettingsUpdate = async function (agent, userId, frequency) {
+    return _notificationSettingsUpdate(agent, userId, frequency, 200);
+};
+
+const _userDataExportCreate = async function (agent, userId, expectedHttpCode) {
+    const path = '/api/users/:userId/exports'
+        .replace(':userId', userId);
+
+    return agent
+        .post(path)
+        .set('Content-Type', 'application/json')
+        .expect(expectedHttpCode)
+        .expect('Content-Type', /json/);
+};
+
+const userDataExportCreate = async function (agent, userId) {
+    return _userDataExportCreate(agent, userId, 201);
+};
+
+const _userDataExportsList = async function (agent, userId, expectedHttpCode) {
+    const path = '/api/users/:userId/exports'
+        .replace(':userId', userId);
+
+    return agent
+        .get(path)
+        .set('Content-Type', 'application/json')
+        .expect(expectedHttpCode)
+        .expect('Content-Type', /json/);
+};
+
+const userDataExportsList = async function (agent, userId) {
+    return _userDataExportsList(agent, userId, 200);
+};
+
+const _userDataExportDownload = async function (agent, path, expectedHttpCode) {
+    return agent
+        .get(path)
+        .buffer(true)
+        .parse(function (res, callback) {
+            const chunks = [];
+
+            res.on('data', function (chunk) {
+                chunks.push(chunk);
+            });
+            res.on('end', function () {
+                callback(null, Buffer.concat(chunks));
+            });
+        })
+        .expect(expectedHttpCode);
+};
+
+const userDataExportDownload = async function (agent, path) {
+    return _userDataExportDownload(agent, path, 200);
+};
+
+const _twoFactorRead = async function (agent, userId, expectedHttpCode) {
+    const path = '/api/users/:userId/twofactor'
+        .replace(':userId', userId);
+
+    return agent
+        .get(path)
+        .set('Content-Type', 'application/json')
+        .expect(expectedHttpCode)
+        .expect('Content-Type', /json/);
+};
+
+const twoFactorRead = async function (agent, userId) {
+    return _twoFactorRead(agent, userId, 200);
+};
+
+const _twoFactorEnroll = async function (agent, userId, expectedHttpCode) {
+    const path = '/api/users/:userId/twofactor'
+        .replace(':userId', userId);
+
+    return agent
+        .post(path)
+        .set('Content-Type', 'application/json')
+        .expect(expectedHttpCode)
+        .expect('Content-Type', /json/);
+};
+
+const twoFactorEnroll = async function (agent, userId) {
+    return _twoFactorEnroll(agent, userId, 200);
+};
+
+const _twoFactorEnable = async function (agent, userId, code, expectedHttpCode) {
+    const path = '/api/users/:userId/twofactor/enable'
+        .replace(':userId', userId);
+
+    return agent
+        .post(path)
+        .set('Content-Type', 'application/json')
+        .send({
+            code: code
+        })
+        .expect(expectedHttpCode)
+        .expect('Content-Type', /json/);
+};
+
+const twoFactorEnable = async function (agent, userId, code) {
+    return _twoFactorEnable(agent, userId, code, 200);
+};
+
+const _twoFactorRecoveryCodesCreate = async function (agent, userId, code, expectedHttpCode) {
+    const path = '/api/users/:userId/twofactor/recoverycodes'
+        .replace(':userId', userId);
+
+    return agent
+        .post(path)
+        .set('Content-Type', 'application/json')
+        .send({
+            code: code
+        })
+        .expect(expectedHttpCode)
+        .expect('Content-Type', /json/);
+};
+
+const twoFactorRecoveryCodesCreate = async function (agent, userId, code) {
+    return _twoFactorRecoveryCodesCreate(agent, userId, code, 200);
+};
+
+const _twoFactorDisable = async function (agent, userId, code, expectedHttpCode) {
+    const path = '/api/users/:userId/twofactor'
+        .replace(':userId', userId);
+
+    return agent
+        .delete(path)
+        .set('Content-Type', 'application/json')
+        .send({
+            code: code
+        })
+        .expect(expectedHttpCode)
+        .expect('Content-Type', /json/);
+};
+
+const twoFactorDisable = async function (agent, userId, code) {
+    return _twoFactorDisable(agent, userId, code, 200);
+};
+
+const _sessionsList = async function (agent, userId, expectedHttpCode) {
+    const path = '/api/users/:userId/sessions'
+        .replace(':userId', userId);
+
+    return agent
+        .get(path)
+        .set('Content-Type', 'application/json')
+        .expect(expectedHttpCode)
+        .expect('Content-Type', /json/);
+};
+
+const sessionsList = async function (agent, userId) {
+    return _sessionsList(agent, userId, 200);
+};
+
+const _sessionsDelete = async function (agent, userId, expectedHttpCode) {
+    const path = '/api/users/:userId/sessions'
+        .replace(':userId', userId);
+
+    return agent
+        .delete(path)
+        .set('Content-Type', 'application/json')
+        .expect(expectedHttpCode)
+        .expect('Content-Type', /json/);
+};
+
+const sessionsDelete = async function (agent, userId) {
+    return _sessionsDelete(agent, userId, 200);
+};
+
+const _sessionDelete = async function (agent, userId, sessionId, expectedHttpCode) {
+    const path = '/api/users/:userId/sessions/:sessionId'
+        .replace(':userId', userId)
+        .replace(':sessionId', sessionId);
+
+    return agent
+        .delete(path)
+        .set('Content-Type', 'application/json')
+        .expect(expectedHttpCode)
+        .expect('Content-Type', /json/);
+};
+
+const sessionDelete = async function (agent, userId, sessionId) {
+    return _sessionDelete(agent, userId, sessionId, 200);
+};
+
 exports.userDelete = userDelete;
+exports.twoFactorEnroll = twoFactorEnroll;
+exports.twoFactorEnable = twoFactorEnable;
 
 const request = require('supertest');
 const app = require('../../app');
@@ -127,7 +359,12 @@ const auth = require('./auth');
 
 const User = models.User;
 const UserConnection = models.UserConnection;
+const UserConsent = models.UserConsent;
 const Partner = models.Partner;
+const NotificationSetting = models.NotificationSetting;
+const UserDataExport = models.UserDataExport;
+const UserTwoFactor = models.UserTwoFactor;
+const UserSession = models.UserSession;
 
 suite('User', function () {
 
@@ -282,6 +519,38 @@ suite('User', function () {
             test('Success', async function () {
                 return userConsentCreate(agent, user.id, TEST_PARTNER.id);
             });
+
+            test('Success - scopes are added to the ones consented before', async function () {
+                const agent = request.agent(app);
+                const user = await userLib.createUserAndLogin(agent, null, null, null);
+
+                await userConsentCreateWithScopes(agent, user.id, TEST_PARTNER.id, ['topics:read']);
+                await userConsentCreateWithScopes(agent, user.id, TEST_PARTNER.id, ['topics:read', 'votes:cast']);
+
+                const consent = await UserConsent.findOne({
+                    where: {
+                        userId: user.id,
+                        partnerId: TEST_PARTNER.id
+                    }
+                });
+
+                assert.deepEqual(consent.scopes, ['topics:read', 'votes:cast']);
+
+                const consents = (await userConsentsList(agent, user.id)).body.data.rows;
+                assert.deepEqual(consents[0].scopes, ['topics:read', 'votes:cast']);
+            });
+
+            test('Fail - 400 - invalid scope', async function () {
+                const resBody = (await _userConsentCreateWithScopes(agent, user.id, TEST_PARTNER.id, ['topics:read', 'everything'], 400)).body;
+
+                assert.deepEqual(resBody.errors, {scopes: 'Invalid scope everything'});
+            });
+
+            test('Fail - 400 - scopes not an array', async function () {
+                const resBody = (await _userConsentCreateWithScopes(agent, user.id, TEST_PARTNER.id, 'topics:read', 400)).body;
+
+                assert.equal(resBody.status.message, 'Invalid value for "scopes". Must be an array.');
+            });
         });
 
         suite('List', function () {
@@ -496,4 +765,462 @@ suite('User', function () {
         });
 
     });
+
+    suite('Notifications', function () {
+        const agent = request.agent(app);
+        const agent2 = request.agent(app);
+
+        let user;
+
+        setup(async function () {
+            user = await userLib.createUserAndLogin(agent);
+        });
+
+        suite('Settings', function () {
+
+            test('Success - default', async function () {
+                const settings = (await notificationSettingsRead(agent, user.id)).body.data;
+
+                assert.deepEqual(settings, {
+                    frequency: NotificationSetting.FREQUENCIES.off,
+                    count: 0,
+                    rows: []
+                });
+            });
+
+            test('Success - update default frequency', async function () {
+                const setting = (await notificationSettingsUpdate(agent, user.id, NotificationSetting.FREQUENCIES.daily)).body.data;
+                assert.equal(setting.frequency, NotificationSetting.FREQUENCIES.daily);
+                assert.isNull(setting.topicId);
+                assert.isNull(setting.groupId);
+
+                await notificationSettingsUpdate(agent, user.id, NotificationSetting.FREQUENCIES.weekly);
+
+                const settings = (await notificationSettingsRead(agent, user.id)).body.data;
+                assert.equal(settings.frequency, NotificationSetting.FREQUENCIES.weekly);
+                assert.equal(settings.count, 0);
+            });
+
+            test('Fail - 40001 - invalid frequency', async function () {
+                const res = await _notificationSettingsUpdate(agent, user.id, 'hourly', 400);
+
+                assert.deepEqual(res.body, {
+                    status: {
+                        code: 40001,
+                        message: 'Invalid value for "frequency". Must be one of: instant, daily, weekly, off'
+                    }
+                });
+            });
+
+            test('Fail - 40100 - not logged in', async function () {
+                await _notificationSettingsRead(agent2, user.id, 401);
+            });
+
+        });
+
+        suite('Unsubscribe', function () {
+            const emailLib = app.get('email');
+            const url = require('url');
+
+            test('Success - GET redirects', async function () {
+                await notificationSettingsUpdate(agent, user.id, NotificationSetting.FREQUENCIES.instant);
+
+                const linkUnsubscribe = url.parse(emailLib.getNotificationsUnsubscribeUrl(user.id));
+
+                await agent2
+                    .get(linkUnsubscribe.path)
+                    .expect(302);
+
+                const settings = (await notificationSettingsRead(agent, user.id)).body.data;
+                assert.equal(settings.frequency, NotificationSetting.FREQUENCIES.off);
+            });
+
+            test('Success - POST one-click', async function () {
+                await notificationSettingsUpdate(agent, user.id, NotificationSetting.FREQUENCIES.daily);
+
+                const linkUnsubscribe = url.parse(emailLib.getNotificationsUnsubscribeUrl(user.id));
+
+                await agent2
+                    .post(linkUnsubscribe.path)
+                    .expect(200)
+                    .expect('Content-Type', /json/);
+
+                const settings = (await notificationSettingsRead(agent, user.id)).body.data;
+                assert.equal(settings.frequency, NotificationSetting.FREQUENCIES.off);
+            });
+
+            test('Fail - 40100 - invalid token', async function () {
+                await agent2
+                    .get('/api/notifications/unsubscribe')
+                    .query({token: 'invalid'})
+                    .expect(401)
+                    .expect('Content-Type', /json/);
+            });
+
+        });
+
+    });
+
+    suite('Data export', function () {
+        const agent = request.agent(app);
+        const cosUserDataExport = app.get('cosUserDataExport');
+        const cosJwt = app.get('cosJwt');
+        const AdmZip = require('adm-zip');
+        let user;
+
+        setup(async function () {
+            user = await userLib.createUserAndLogin(agent, null, null, null);
+        });
+
+        test('Success', async function () {
+            const userDataExport = (await userDataExportCreate(agent, user.id)).body.data;
+            assert.equal(userDataExport.status, UserDataExport.STATUSES.pending);
+
+            await cosUserDataExport.run({exportId: userDataExport.id});
+
+            const list = (await userDataExportsList(agent, user.id)).body.data;
+            assert.equal(list.count, 1);
+
+            const userDataExportReady = list.rows[0];
+            assert.equal(userDataExportReady.id, userDataExport.id);
+            assert.equal(userDataExportReady.status, UserDataExport.STATUSES.ready);
+            assert.isAbove(userDataExportReady.size, 0);
+            assert.isNotNull(userDataExportReady.expiresAt);
+
+            const downloadUrl = new URL(userDataExportReady.downloadUrl);
+            const res = await userDataExportDownload(request.agent(app), downloadUrl.pathname + downloadUrl.search);
+            assert.equal(res.headers['content-type'], 'application/zip');
+
+            const zip = new AdmZip(res.body);
+            const names = zip.getEntries().map(function (entry) {
+                return entry.entryName;
+            });
+            assert.includeMembers(names, ['profile.json', 'userConnections.json', 'userConsents.json', 'topics.json', 'comments.json', 'votes.json', 'groupMemberships.json', 'invites.json', 'activities.json']);
+
+            const profile = JSON.parse(zip.readAsText('profile.json'));
+            assert.equal(profile.id, user.id);
+            assert.equal(profile.email, user.email);
+            assert.notProperty(profile, 'password');
+        });
+
+        test('Fail - 40001 - export already in progress', async function () {
+            await userDataExportCreate(agent, user.id);
+            const res = await _userDataExportCreate(agent, user.id, 400);
+
+            assert.equal(res.body.status.code, 40001);
+        });
+
+        test('Fail - 40001 - parallel requests', async function () {
+            const path = '/api/users/:userId/exports'.replace(':userId', user.id);
+            const results = await Promise.all([
+                agent.post(path).set('Content-Type', 'application/json'),
+                agent.post(path).set('Content-Type', 'application/json')
+            ]);
+
+            assert.sameMembers(results.map(function (res) {
+                return res.status;
+            }), [201, 400]);
+        });
+
+        test('Fail - 40300 - token for another export', async function () {
+            const userDataExport = (await userDataExportCreate(agent, user.id)).body.data;
+            await cosUserDataExport.run({exportId: userDataExport.id});
+
+            const path = cosUserDataExport.PATH_DOWNLOAD
+                .replace(':userId', user.id)
+                .replace(':exportId', userDataExport.id);
+            const token = cosJwt.getTokenRestrictedUse({userId: user.id, exportId: uuid.v4()}, 'GET ' + path);
+
+            await _userDataExportDownload(request.agent(app), path + '?token=' + token, 403);
+        });
+
+        test('Fail - 40100 - token for another path', async function () {
+            const userDataExport = (await userDataExportCreate(agent, user.id)).body.data;
+            const path = cosUserDataExport.PATH_DOWNLOAD
+                .replace(':userId', user.id)
+                .replace(':exportId', userDataExport.id);
+            const token = cosJwt.getTokenRestrictedUse({userId: user.id, exportId: userDataExport.id}, 'GET /api/users/self');
+
+            await _userDataExportDownload(request.agent(app), path + '?token=' + token, 401);
+        });
+
+        test('Success - export expires when the User is deleted', async function () {
+            const userDataExport = (await userDataExportCreate(agent, user.id)).body.data;
+            await cosUserDataExport.run({exportId: userDataExport.id});
+
+            await userDelete(agent, user.id);
+
+            const userDataExportDeleted = await UserDataExport.findOne({
+                where: {
+                    id: userDataExport.id
+                }
+            });
+            assert.equal(userDataExportDeleted.status, UserDataExport.STATUSES.expired);
+            assert.isNull(userDataExportDeleted.storageKey);
+        });
+
+    });
+
+    suite('Two-factor authentication', function () {
+        const agent = request.agent(app);
+        let user;
+
+        setup(async function () {
+            user = await userLib.createUserAndLogin(agent, null, null, null);
+        });
+
+        test('Success - enroll and enable', async function () {
+            const statusBefore = (await twoFactorRead(agent, user.id)).body.data;
+            assert.deepEqual(statusBefore, {
+                enabled: false,
+                enabledAt: null,
+                recoveryCodesCount: 0
+            });
+
+            const enrollment = (await twoFactorEnroll(agent, user.id)).body.data;
+            assert.match(enrollment.secret, /^[A-Z2-7]{32}$/);
+
+            const uri = new URL(enrollment.uri);
+            assert.equal(uri.protocol, 'otpauth:');
+            assert.equal(uri.host, 'totp');
+            assert.equal(decodeURIComponent(uri.pathname), '/Citizen OS:' + user.email);
+            assert.equal(uri.searchParams.get('secret'), enrollment.secret);
+            assert.equal(uri.searchParams.get('issuer'), 'Citizen OS');
+
+            // Enrollment is not complete until the first code is verified
+            assert.isFalse((await twoFactorRead(agent, user.id)).body.data.enabled);
+
+            const recoveryCodes = (await twoFactorEnable(agent, user.id, userLib.getTwoFactorCode(enrollment.secret))).body.data.recoveryCodes;
+            assert.lengthOf(recoveryCodes, 10);
+            recoveryCodes.forEach(function (recoveryCode) {
+                assert.match(recoveryCode, /^[0-9a-f]{5}-[0-9a-f]{5}$/);
+            });
+
+            const statusAfter = (await twoFactorRead(agent, user.id)).body.data;
+            assert.isTrue(statusAfter.enabled);
+            assert.isNotNull(statusAfter.enabledAt);
+            assert.equal(statusAfter.recoveryCodesCount, 10);
+
+            const userTwoFactor = await UserTwoFactor.findOne({
+                where: {
+                    userId: user.id
+                }
+            });
+            assert.notInclude(userTwoFactor.secret, enrollment.secret);
+            assert.notInclude(userTwoFactor.recoveryCodes, recoveryCodes[0]);
+        });
+
+        test('Success - enroll again replaces the pending secret', async function () {
+            const enrollment = (await twoFactorEnroll(agent, user.id)).body.data;
+            const enrollmentNew = (await twoFactorEnroll(agent, user.id)).body.data;
+            assert.notEqual(enrollmentNew.secret, enrollment.secret);
+
+            await _twoFactorEnable(agent, user.id, userLib.getTwoFactorCode(enrollment.secret), 400);
+            await twoFactorEnable(agent, user.id, userLib.getTwoFactorCode(enrollmentNew.secret));
+        });
+
+        test('Success - replace recovery codes', async function () {
+            const twoFactor = await userLib.enableTwoFactor(agent, user.id);
+
+            const recoveryCodes = (await twoFactorRecoveryCodesCreate(agent, user.id, userLib.getTwoFactorCode(twoFactor.secret, 1))).body.data.recoveryCodes;
+            assert.lengthOf(recoveryCodes, 10);
+            assert.notInclude(recoveryCodes, twoFactor.recoveryCodes[0]);
+
+            // Old recovery codes are not valid any more
+            const res = await _twoFactorDisable(agent, user.id, twoFactor.recoveryCodes[0], 400);
+            assert.equal(res.body.status.code, 40005);
+
+            await twoFactorDisable(agent, user.id, recoveryCodes[0]);
+        });
+
+        test('Success - disable', async function () {
+            const twoFactor = await userLib.enableTwoFactor(agent, user.id);
+
+            await twoFactorDisable(agent, user.id, userLib.getTwoFactorCode(twoFactor.secret, 1));
+
+            assert.isFalse((await twoFactorRead(agent, user.id)).body.data.enabled);
+
+            const userTwoFactor = await UserTwoFactor.findOne({
+                where: {
+                    userId: user.id
+                }
+            });
+            assert.isNull(userTwoFactor);
+        });
+
+        test('Success - disable with a recovery code in any case and without the separator', async function () {
+            const twoFactor = await userLib.enableTwoFactor(agent, user.id);
+
+            await twoFactorDisable(agent, user.id, twoFactor.recoveryCodes[0].replace('-', '').toUpperCase());
+        });
+
+        test('Fail - 40001 - account has no password', async function () {
+            await User.update(
+                {
+                    password: null
+                },
+                {
+                    where: {
+                        id: user.id
+                    },
+                    validate: false
+                }
+            );
+
+            const res = await _twoFactorEnroll(agent, user.id, 400);
+            assert.equal(res.body.status.code, 40001);
+            assert.equal(res.body.status.message, 'Two-factor authentication is available for the accounts with a password.');
+        });
+
+        test('Fail - 40002 - already enabled', async function () {
+            await userLib.enableTwoFactor(agent, user.id);
+
+            const res = await _twoFactorEnroll(agent, user.id, 400);
+            assert.equal(res.body.status.code, 40002);
+        });
+
+        test('Fail - 40003 - enable without enrollment', async function () {
+            const res = await _twoFactorEnable(agent, user.id, '123456', 400);
+            assert.equal(res.body.status.code, 40003);
+        });
+
+        test('Fail - 40004 - disable when not enabled', async function () {
+            const res = await _twoFactorDisable(agent, user.id, '123456', 400);
+            assert.equal(res.body.status.code, 40004);
+        });
+
+        test('Fail - 40005 - invalid code', async function () {
+            const enrollment = (await twoFactorEnroll(agent, user.id)).body.data;
+            const code = userLib.getTwoFactorCode(enrollment.secret, 5);
+
+            const res = await _twoFactorEnable(agent, user.id, code, 400);
+            assert.equal(res.body.status.code, 40005);
+            assert.equal(res.body.status.message, 'Invalid code.');
+        });
+
+        test('Fail - 40005 - code is accepted once', async function () {
+            const enrollment = (await twoFactorEnroll(agent, user.id)).body.data;
+            const code = userLib.getTwoFactorCode(enrollment.secret);
+
+            await twoFactorEnable(agent, user.id, code);
+
+            const res = await _twoFactorDisable(agent, user.id, code, 400);
+            assert.equal(res.body.status.code, 40005);
+        });
+
+        test('Fail - 40100 - not logged in', async function () {
+            await _twoFactorEnroll(request.agent(app), user.id, 401);
+        });
+
+    });
+
+    suite('Sessions', function () {
+        const agent = request.agent(app);
+        const agentOther = request.agent(app);
+        let user;
+        let sessionOther;
+
+        setup(async function () {
+            const email = 'test_sessions_' + cosUtil.randomString() + '@test.com';
+            const password = 'Test123';
+
+            user = await userLib.createUserAndLogin(agent, email, password, null);
+            await auth.login(agentOther, email, password);
+
+            sessionOther = (await sessionsList(agent, user.id)).body.data.rows.find(function (session) {
+                return !session.current;
+            });
+        });
+
+        test('Success - list', async function () {
+            const sessions = (await sessionsList(agent, user.id)).body.data;
+            assert.equal(sessions.count, 2);
+            assert.lengthOf(sessions.rows, 2);
+
+            const sessionsCurrent = sessions.rows.filter(function (session) {
+                return session.current;
+            });
+            assert.lengthOf(sessionsCurrent, 1);
+
+            sessions.rows.forEach(function (session) {
+                assert.property(session, 'id');
+                assert.property(session, 'partnerId');
+                assert.property(session, 'deviceType');
+                assert.property(session, 'userAgent');
+                assert.property(session, 'ip');
+                assert.property(session, 'lastSeenAt');
+                assert.property(session, 'expiresAt');
+                assert.notProperty(session, 'userId');
+                assert.notProperty(session, 'revokedAt');
+            });
+
+            // The other agent sees its own session as the current one
+            const sessionsOther = (await sessionsList(agentOther, user.id)).body.data;
+            const sessionCurrentOther = sessionsOther.rows.find(function (session) {
+                return session.current;
+            });
+            assert.equal(sessionCurrentOther.id, sessionOther.id);
+        });
+
+        test('Success - revoke', async function () {
+            await sessionDelete(agent, user.id, sessionOther.id);
+
+            const res = await auth._status(agentOther, 401);
+            assert.equal(res.body.status.message, 'JWT token has been revoked');
+
+            const sessions = (await sessionsList(agent, user.id)).body.data;
+            assert.equal(sessions.count, 1);
+            assert.isTrue(sessions.rows[0].current);
+
+            const userSession = await UserSession.findOne({
+                where: {
+                    id: sessionOther.id
+                }
+            });
+            assert.isNotNull(userSession.revokedAt);
+        });
+
+        test('Success - revoke current', async function () {
+            await sessionDelete(agentOther, user.id, sessionOther.id);
+
+            await auth._status(agentOther, 401);
+            await auth.status(agent);
+        });
+
+        test('Success - revoke all other sessions', async function () {
+            const result = (await sessionsDelete(agent, user.id)).body.data;
+            assert.equal(result.count, 1);
+
+            await auth._status(agentOther, 401);
+            await auth.status(agent);
+
+            const sessions = (await sessionsList(agent, user.id)).body.data;
+            assert.equal(sessions.count, 1);
+            assert.isTrue(sessions.rows[0].current);
+        });
+
+        test('Fail - 40400 - revoked session', async function () {
+            await sessionDelete(agent, user.id, sessionOther.id);
+            await _sessionDelete(agent, user.id, sessionOther.id, 404);
+        });
+
+        test('Fail - 40400 - session of another User', async function () {
+            const agentUser2 = request.agent(app);
+            const user2 = await userLib.createUserAndLogin(agentUser2, null, null, null);
+
+            await _sessionDelete(agentUser2, user2.id, sessionOther.id, 404);
+
+            // Still active
+            await auth.status(agentOther);
+        });
+
+        test('Fail - 40400 - invalid session id', async function () {
+            await _sessionDelete(agent, user.id, 'invalid', 404);
+        });
+
+        test('Fail - 40100 - not logged in', async function () {
+            await _sessionsList(request.agent(app), user.id, 401);
+        });
+
+    });
 });
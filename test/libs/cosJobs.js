@@ -0,0 +1,153 @@
+'use strict';
+
+suite('cosJobs', function () {
+    const assert = require('chai').assert;
+    const request = require('supertest');
+
+    const app = require('../../app');
+    const cosJobs = app.get('cosJobs');
+    const cosDeadlines = app.get('cosDeadlines');
+    const models = app.get('models');
+
+    const shared = require('../utils/shared');
+    const userLib = require('../api/lib/user')(app);
+    const topicLib = require('../api/topic');
+
+    const Job = models.Job;
+    const Topic = models.Topic;
+    const Vote = models.Vote;
+    const Activity = models.Activity;
+
+    suiteSetup(async function () {
+        return shared.syncDb();
+    });
+
+    suite('Runner', function () {
+        const jobName = 'testJob';
+        let runs = [];
+
+        suiteSetup(async function () {
+            cosJobs.register(jobName, async function (data) {
+                runs.push(data);
+                if (data.fail) {
+                    throw new Error('Test failure');
+                }
+            });
+        });
+
+        setup(async function () {
+            runs = [];
+        });
+
+        test('Success - run due Job', async function () {
+            const job = await cosJobs.schedule(jobName, {foo: 'bar'}, new Date());
+
+            await cosJobs.runDue();
+
+            const jobRead = await Job.findOne({where: {id: job.id}});
+            assert.equal(jobRead.status, Job.STATUSES.done);
+            assert.equal(jobRead.attempts, 1);
+            assert.deepEqual(runs, [{foo: 'bar'}]);
+        });
+
+        test('Success - do not run Job before runAt', async function () {
+            const job = await cosJobs.schedule(jobName, {foo: 'later'}, new Date(Date.now() + 60 * 60 * 1000));
+
+            await cosJobs.runDue();
+
+            const jobRead = await Job.findOne({where: {id: job.id}});
+            assert.equal(jobRead.status, Job.STATUSES.pending);
+            assert.equal(jobRead.attempts, 0);
+            assert.deepEqual(runs, []);
+
+            await jobRead.destroy();
+        });
+
+        test('Success - reschedule Job with the same key', async function () {
+            const key = 'testJob:' + Date.now();
+            const job = await cosJobs.schedule(jobName, {foo: 'first'}, new Date(Date.now() + 60 * 60 * 1000), key);
+            const jobRescheduled = await cosJobs.schedule(jobName, {foo: 'second'}, new Date(), key);
+
+            assert.equal(jobRescheduled.id, job.id);
+
+            await cosJobs.runDue();
+
+            assert.deepEqual(runs, [{foo: 'second'}]);
+        });
+
+        test('Success - cancel Job', async function () {
+            const key = 'testJob:' + Date.now();
+            await cosJobs.schedule(jobName, {foo: 'cancelled'}, new Date(), key);
+
+            const count = await cosJobs.cancel(key);
+            assert.equal(count, 1);
+
+            await cosJobs.runDue();
+
+            assert.deepEqual(runs, []);
+        });
+
+        test('Fail - failed Job is rescheduled for retry', async function () {
+            const job = await cosJobs.schedule(jobName, {fail: true}, new Date());
+
+            await cosJobs.runDue();
+
+            const jobRead = await Job.findOne({where: {id: job.id}});
+            assert.equal(jobRead.status, Job.STATUSES.pending);
+            assert.equal(jobRead.attempts, 1);
+            assert.include(jobRead.error, 'Test failure');
+            assert.isTrue(jobRead.runAt > new Date());
+
+            await jobRead.destroy();
+        });
+    });
+
+    suite('Deadlines', function () {
+        const agent = request.agent(app);
+        let user;
+        let topic;
+        let vote;
+
+        suiteSetup(async function () {
+            user = await userLib.createUserAndLogin(agent, null, null, null);
+            topic = (await topicLib.topicCreate(agent, user.id, null, null, null, '<html><head></head><body><h2>TEST vote deadline</h2></body></html>', null)).body.data;
+
+            const options = [
+                {
+                    value: 'Option 1'
+                },
+                {
+                    value: 'Option 2'
+                }
+            ];
+            const endsAt = new Date(Date.now() + 60 * 60 * 1000);
+            vote = (await topicLib.topicVoteCreate(agent, user.id, topic.id, options, null, null, false, endsAt, null, null, null, null)).body.data;
+        });
+
+        test('Success - Vote deadline moves Topic to followUp', async function () {
+            const job = await Job.findOne({where: {key: cosDeadlines.JOBS.voteEnd + ':' + vote.id}});
+            assert.equal(job.status, Job.STATUSES.pending);
+
+            // Move the deadline to the past, model validation does not allow that
+            await Vote.update({endsAt: new Date(Date.now() - 1000)}, {where: {id: vote.id}, validate: false});
+            await Job.update({runAt: new Date(Date.now() - 1000)}, {where: {id: job.id}});
+
+            await cosJobs.runDue();
+
+            const topicRead = await Topic.findOne({where: {id: topic.id}});
+            assert.equal(topicRead.status, Topic.STATUSES.followUp);
+
+            const activity = await Activity.findOne({
+                where: {
+                    actorType: 'System',
+                    topicIds: {
+                        [models.Sequelize.Op.contains]: [topic.id]
+                    }
+                }
+            });
+            assert.isNotNull(activity);
+            assert.equal(activity.data.type, Activity.TYPES.update);
+            assert.equal(activity.data.context, 'JOB ' + cosDeadlines.JOBS.voteEnd);
+        });
+    });
+});
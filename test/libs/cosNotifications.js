@@ -0,0 +1,292 @@
+'use strict';
+
+suite('cosNotifications', function () {
+    const assert = require('chai').assert;
+    const request = require('supertest');
+
+    const app = require('../../app');
+    const cosNotifications = app.get('cosNotifications');
+    const models = app.get('models');
+
+    const shared = require('../utils/shared');
+    const userLib = require('../api/lib/user')(app);
+    const topicLib = require('../api/topic');
+
+    const Activity = models.Activity;
+    const Job = models.Job;
+    const Topic = models.Topic;
+    const NotificationSetting = models.NotificationSetting;
+
+    const FREQUENCIES = NotificationSetting.FREQUENCIES;
+    const TYPES = cosNotifications.TYPES;
+
+    suiteSetup(async function () {
+        return shared.syncDb();
+    });
+
+    suite('getNotification', function () {
+        const topicId = 'eb4344db-7c8e-4abd-9a60-c0e84dc22492';
+        const actor = {
+            type: 'User',
+            id: 'e5fcb764-a635-4858-a496-e43079c7326b'
+        };
+
+        test('Success - comment and reply', async function () {
+            const activityData = {
+                type: Activity.TYPES.create,
+                object: {
+                    '@type': 'Comment',
+                    id: '1b3a5ab8-8f5a-4e5c-b5b2-0c76e5b3c8a1',
+                    subject: 'Subject',
+                    text: 'Not in notification'
+                },
+                target: {
+                    '@type': 'Topic',
+                    id: topicId
+                },
+                actor: actor
+            };
+
+            assert.deepEqual(cosNotifications.getNotification(activityData), {
+                type: TYPES.comment,
+                topicId: topicId,
+                comment: {
+                    subject: 'Subject'
+                }
+            });
+
+            activityData.inReplyTo = {
+                '@type': 'Comment',
+                id: '0f4f3c36-9e1a-4a52-8d43-6d9c1b2ab8de'
+            };
+
+            assert.equal(cosNotifications.getNotification(activityData).type, TYPES.reply);
+        });
+
+        test('Success - vote start', async function () {
+            const notification = cosNotifications.getNotification({
+                type: Activity.TYPES.create,
+                object: {
+                    '@type': 'Vote',
+                    id: '6a1b55e0-3b37-4b8e-9b0b-5e4a6f0f5c6d'
+                },
+                target: {
+                    '@type': 'Topic',
+                    id: topicId
+                },
+                actor: actor
+            });
+
+            assert.deepEqual(notification, {
+                type: TYPES.voteStart,
+                topicId: topicId
+            });
+        });
+
+        test('Success - vote end and status change', async function () {
+            const activityData = {
+                type: Activity.TYPES.update,
+                object: {
+                    '@type': 'Topic',
+                    id: topicId
+                },
+                origin: {
+                    '@type': 'Topic',
+                    id: topicId,
+                    status: Topic.STATUSES.voting
+                },
+                result: [
+                    {
+                        op: 'replace',
+                        path: '/status',
+                        value: Topic.STATUSES.followUp
+                    }
+                ],
+                actor: {
+                    type: 'System'
+                }
+            };
+
+            assert.deepEqual(cosNotifications.getNotification(activityData), {
+                type: TYPES.voteEnd,
+                topicId: topicId,
+                status: Topic.STATUSES.followUp
+            });
+
+            activityData.origin.status = Topic.STATUSES.followUp;
+            activityData.result[0].value = Topic.STATUSES.closed;
+
+            assert.equal(cosNotifications.getNotification(activityData).type, TYPES.topicStatus);
+        });
+
+        test('Success - not notified', async function () {
+            // Topic update without status change
+            assert.isNull(cosNotifications.getNotification({
+                type: Activity.TYPES.update,
+                object: {
+                    '@type': 'Topic',
+                    id: topicId
+                },
+                result: [
+                    {
+                        op: 'replace',
+                        path: '/title',
+                        value: 'New title'
+                    }
+                ],
+                actor: actor
+            }));
+
+            // Vote cast
+            assert.isNull(cosNotifications.getNotification({
+                type: Activity.TYPES.create,
+                object: [
+                    {
+                        '@type': 'VoteList',
+                        voteId: '6a1b55e0-3b37-4b8e-9b0b-5e4a6f0f5c6d'
+                    }
+                ],
+                target: {
+                    '@type': 'Topic',
+                    id: topicId
+                },
+                actor: actor
+            }));
+        });
+
+    });
+
+    suite('getRecipients', function () {
+        const agent = request.agent(app);
+        const agent2 = request.agent(app);
+
+        let user;
+        let user2;
+        let topic;
+
+        setup(async function () {
+            user = await userLib.createUserAndLogin(agent, null, null, null);
+            user2 = await userLib.createUserAndLogin(agent2, null, null, null);
+            topic = (await topicLib.topicCreate(agent, user.id, Topic.VISIBILITY.public, null, null, null, null)).body.data;
+        });
+
+        test('Success - default frequency', async function () {
+            const recipients = await cosNotifications.getRecipients([topic.id], cosNotifications.FREQUENCY_DEFAULT);
+
+            assert.deepEqual(recipients.map(function (r) {
+                return r.userId;
+            }), [user.id]);
+        });
+
+        test('Success - Topic setting overrides User default', async function () {
+            await cosNotifications.setFrequency(user.id, {}, FREQUENCIES.daily);
+            await cosNotifications.setFrequency(user.id, {topicId: topic.id}, FREQUENCIES.instant);
+
+            const recipientsInstant = await cosNotifications.getRecipients([topic.id], FREQUENCIES.instant);
+            assert.deepEqual(recipientsInstant.map(function (r) {
+                return r.userId;
+            }), [user.id]);
+
+            const recipientsDaily = await cosNotifications.getRecipients([topic.id], FREQUENCIES.daily);
+            assert.lengthOf(recipientsDaily, 0);
+        });
+
+        test('Success - non-member follows public Topic', async function () {
+            await cosNotifications.setFrequency(user2.id, {topicId: topic.id}, FREQUENCIES.weekly);
+
+            const recipients = await cosNotifications.getRecipients([topic.id], FREQUENCIES.weekly);
+            assert.deepEqual(recipients.map(function (r) {
+                return r.userId;
+            }), [user2.id]);
+        });
+
+        test('Success - unsubscribe all', async function () {
+            await cosNotifications.setFrequency(user.id, {topicId: topic.id}, FREQUENCIES.instant);
+            await cosNotifications.unsubscribeAll(user.id);
+
+            const settings = await NotificationSetting.findAll({
+                where: {
+                    userId: user.id
+                }
+            });
+
+            assert.lengthOf(settings, 2);
+            settings.forEach(function (setting) {
+                assert.equal(setting.frequency, FREQUENCIES.off);
+            });
+        });
+
+    });
+
+    suite('setFrequency', function () {
+        const agent = request.agent(app);
+
+        let user;
+        let topic;
+
+        setup(async function () {
+            user = await userLib.createUserAndLogin(agent, null, null, null);
+            topic = (await topicLib.topicCreate(agent, user.id, Topic.VISIBILITY.public, null, null, null, null)).body.data;
+        });
+
+        test('Success - update and concurrent requests', async function () {
+            await Promise.all([
+                cosNotifications.setFrequency(user.id, {}, FREQUENCIES.daily),
+                cosNotifications.setFrequency(user.id, {}, FREQUENCIES.weekly),
+                cosNotifications.setFrequency(user.id, {topicId: topic.id}, FREQUENCIES.instant),
+                cosNotifications.setFrequency(user.id, {topicId: topic.id}, FREQUENCIES.instant)
+            ]);
+
+            const setting = await cosNotifications.setFrequency(user.id, {topicId: topic.id}, FREQUENCIES.off);
+            assert.equal(setting.topicId, topic.id);
+            assert.equal(setting.frequency, FREQUENCIES.off);
+
+            const settings = await NotificationSetting.findAll({
+                where: {
+                    userId: user.id
+                }
+            });
+
+            assert.lengthOf(settings, 2);
+            assert.sameMembers(settings.map(function (s) {
+                return s.topicId;
+            }), [null, topic.id]);
+        });
+
+    });
+
+    suite('scheduleDigests', function () {
+
+        test('Success - schedule once', async function () {
+            await cosNotifications.scheduleDigests();
+
+            const jobs = await Job.findAll({
+                where: {
+                    name: cosNotifications.JOBS.digest
+                },
+                order: [['key', 'ASC']]
+            });
+
+            assert.deepEqual(jobs.map(function (job) {
+                return job.key;
+            }), [cosNotifications.JOBS.digest + ':' + FREQUENCIES.daily, cosNotifications.JOBS.digest + ':' + FREQUENCIES.weekly]);
+
+            await cosNotifications.scheduleDigests();
+
+            const jobsAgain = await Job.findAll({
+                where: {
+                    name: cosNotifications.JOBS.digest
+                },
+                order: [['key', 'ASC']]
+            });
+
+            assert.deepEqual(jobsAgain.map(function (job) {
+                return job.data.since;
+            }), jobs.map(function (job) {
+                return job.data.since;
+            }));
+        });
+
+    });
+
+});
@@ -0,0 +1,190 @@
+'use strict';
+
+suite('cosStorage', function () {
+    const assert = require('chai').assert;
+    const net = require('net');
+    const stream = require('stream');
+    const request = require('supertest');
+
+    const app = require('../../app');
+    const cosStorage = app.get('cosStorage');
+    const uuid = app.get('uuid');
+    const models = app.get('models');
+
+    const userLib = require('../api/lib/user')(app);
+
+    const Attachment = models.Attachment;
+
+    const contentType = require('../../libs/storage/contentType');
+    const clamdScanner = require('../../libs/storage/clamdScanner');
+
+    const _readAll = async function (readStream) {
+        const chunks = [];
+
+        for await (const chunk of readStream) {
+            chunks.push(chunk);
+        }
+
+        return Buffer.concat(chunks);
+    };
+
+    suite('contentType', function () {
+
+        test('Success - matching content', async function () {
+            assert.equal(contentType.getContentType(Buffer.from('%PDF-1.4 ...'), 'pdf'), 'application/pdf');
+            assert.equal(contentType.getContentType(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A, 0x00]), 'PNG'), 'image/png');
+            assert.equal(contentType.getContentType(Buffer.from([0x50, 0x4B, 0x03, 0x04, 0x14]), 'docx'), 'application/vnd.openxmlformats-officedocument.wordprocessingml.document');
+            assert.equal(contentType.getContentType(Buffer.from('Plain text'), 'txt'), 'text/plain');
+        });
+
+        test('Success - unknown extension', async function () {
+            assert.equal(contentType.getContentType(Buffer.from('anything'), 'img'), contentType.TYPE_DEFAULT);
+        });
+
+        test('Fail - content does not match the extension', async function () {
+            assert.isNull(contentType.getContentType(Buffer.from('Not a PDF'), 'pdf'));
+            assert.isNull(contentType.getContentType(Buffer.from([0x4D, 0x5A, 0x00, 0x00]), 'txt'));
+            assert.isNull(contentType.getContentType(Buffer.from('%PDF-1.4'), 'docx'));
+        });
+
+    });
+
+    suite('save', function () {
+
+        test('Success', async function () {
+            const key = 'test/' + uuid.v4();
+            const saved = await cosStorage.save(stream.Readable.from([Buffer.from('%PDF-1.4 '), Buffer.from('test')]), key, 'test.pdf');
+
+            assert.deepEqual(saved, {
+                key: key,
+                size: 13,
+                contentType: 'application/pdf',
+                extension: 'pdf'
+            });
+
+            const data = await _readAll(cosStorage.store.getStream(key));
+            assert.equal(data.toString(), '%PDF-1.4 test');
+
+            await cosStorage.delete(key);
+        });
+
+        test('Fail - file type not allowed', async function () {
+            try {
+                await cosStorage.save(stream.Readable.from([Buffer.from('MZ')]), 'test/' + uuid.v4(), 'test.exe');
+                assert.fail('Should have thrown');
+            } catch (err) {
+                assert.equal(err.type, cosStorage.ERROR_TYPES.fileType);
+            }
+        });
+
+        test('Fail - content does not match the file type, file is deleted', async function () {
+            const key = 'test/' + uuid.v4();
+
+            try {
+                await cosStorage.save(stream.Readable.from([Buffer.from('Not a PDF')]), key, 'test.pdf');
+                assert.fail('Should have thrown');
+            } catch (err) {
+                assert.equal(err.type, cosStorage.ERROR_TYPES.contentType);
+            }
+
+            try {
+                await _readAll(cosStorage.store.getStream(key));
+                assert.fail('Should have thrown');
+            } catch (err) {
+                assert.equal(err.code, 'ENOENT');
+            }
+        });
+
+        test('Fail - invalid key', async function () {
+            try {
+                await cosStorage.save(stream.Readable.from([Buffer.from('test')]), '../../outside', 'test.txt');
+                assert.fail('Should have thrown');
+            } catch (err) {
+                assert.match(err.message, /Invalid storage key/);
+            }
+        });
+
+    });
+
+    suite('scan', function () {
+        let user;
+
+        suiteSetup(async function () {
+            user = await userLib.createUser(request.agent(app), null, null, null);
+        });
+
+        test('Success - without a scanner the pending Attachment is made available', async function () {
+            assert.isFalse(cosStorage.isScanEnabled());
+
+            const attachment = await Attachment.create({
+                name: 'test.txt',
+                type: 'txt',
+                source: Attachment.SOURCES.upload,
+                storageKey: 'attachments/test/' + uuid.v4(),
+                status: Attachment.STATUSES.pending,
+                creatorId: user.id
+            });
+
+            await cosStorage.scan({attachmentId: attachment.id});
+
+            await attachment.reload();
+            assert.equal(attachment.status, Attachment.STATUSES.available);
+        });
+
+    });
+
+    suite('clamdScanner', function () {
+        let server;
+        let scanner;
+
+        // Minimal clamd INSTREAM implementation, reports the stream infected if it contains "EICAR"
+        suiteSetup(function (done) {
+            server = net.createServer(function (socket) {
+                let received = Buffer.alloc(0);
+
+                socket.on('data', function (data) {
+                    received = Buffer.concat([received, data]);
+
+                    if (received.slice(-4).equals(Buffer.alloc(4))) {
+                        const reply = received.indexOf('EICAR') > -1 ? 'stream: Eicar-Signature FOUND\0' : 'stream: OK\0';
+                        socket.end(reply);
+                    }
+                });
+            });
+
+            server.listen(0, '127.0.0.1', function () {
+                scanner = clamdScanner({host: '127.0.0.1', port: server.address().port, timeout: 5000});
+                done();
+            });
+        });
+
+        suiteTeardown(function (done) {
+            server.close(done);
+        });
+
+        test('Success - clean', async function () {
+            const result = await scanner.scan(stream.Readable.from([Buffer.from('clean file')]));
+
+            assert.deepEqual(result, {isInfected: false, signature: null});
+        });
+
+        test('Success - infected', async function () {
+            const result = await scanner.scan(stream.Readable.from([Buffer.from('X5O!P%@AP EICAR')]));
+
+            assert.deepEqual(result, {isInfected: true, signature: 'Eicar-Signature'});
+        });
+
+        test('Fail - scanner not running', async function () {
+            const scannerDown = clamdScanner({host: '127.0.0.1', port: 1, timeout: 5000});
+
+            try {
+                await scannerDown.scan(stream.Readable.from([Buffer.from('test')]));
+                assert.fail('Should have thrown');
+            } catch (err) {
+                assert.equal(err.code, 'ECONNREFUSED');
+            }
+        });
+
+    });
+
+});
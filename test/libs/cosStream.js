@@ -0,0 +1,133 @@
+'use strict';
+
+suite('cosStream', function () {
+    const assert = require('chai').assert;
+    const http = require('http');
+    const express = require('express');
+
+    const app = require('../../app');
+    const cosStream = app.get('cosStream');
+
+    const topicId = 'eb4344db-7c8e-4abd-9a60-c0e84dc22492';
+    const groupId = '2f5d1b34-34f5-4a0f-8a0c-cd3b5e0a7e9a';
+
+    suite('handleActivity', function () {
+
+        test('Success - dispatch to Topic and Group subscribers', async function () {
+            const received = [];
+            const unsubscribeTopic = cosStream.subscribe({
+                topicIds: [topicId],
+                groupIds: [],
+                onActivity: async function (activity) {
+                    received.push(['topic', activity.id]);
+                }
+            });
+            const unsubscribeGroup = cosStream.subscribe({
+                topicIds: [],
+                groupIds: [groupId],
+                onActivity: async function (activity) {
+                    received.push(['group', activity.id]);
+                }
+            });
+
+            await cosStream.handleActivity({id: 'a1', topicIds: [topicId], groupIds: []});
+            await cosStream.handleActivity({id: 'a2', topicIds: [], groupIds: [groupId]});
+            await cosStream.handleActivity({id: 'a3', topicIds: ['9c4c0b8a-2f33-4b8e-94a8-8c3b9c7b4c55'], groupIds: null});
+
+            unsubscribeTopic();
+            unsubscribeGroup();
+
+            await cosStream.handleActivity({id: 'a4', topicIds: [topicId], groupIds: [groupId]});
+
+            assert.deepEqual(received, [['topic', 'a1'], ['group', 'a2']]);
+        });
+
+        test('Success - failing subscriber does not affect others', async function () {
+            const received = [];
+            const unsubscribeFailing = cosStream.subscribe({
+                topicIds: [topicId],
+                groupIds: [],
+                onActivity: async function () {
+                    throw new Error('Subscriber failure');
+                }
+            });
+            const unsubscribe = cosStream.subscribe({
+                topicIds: [topicId],
+                groupIds: [],
+                onActivity: async function (activity) {
+                    received.push(activity.id);
+                }
+            });
+
+            await cosStream.handleActivity({id: 'a1', topicIds: [topicId], groupIds: []});
+
+            unsubscribeFailing();
+            unsubscribe();
+
+            assert.deepEqual(received, ['a1']);
+        });
+
+    });
+
+    suite('open', function () {
+        let server;
+
+        suiteSetup(function (done) {
+            const testApp = express();
+            testApp.get('/stream', function (req, res) {
+                const stream = cosStream.open(req, res);
+                const unsubscribe = cosStream.subscribe({
+                    topicIds: [topicId],
+                    groupIds: [],
+                    onActivity: async function (activity) {
+                        stream.send('activity', {id: activity.id}, activity.id);
+                    }
+                });
+                stream.onClose(unsubscribe);
+            });
+
+            server = testApp.listen(0, done);
+        });
+
+        suiteTeardown(function (done) {
+            server.close(done);
+        });
+
+        test('Success', function (done) {
+            const subscriberCount = cosStream.getSubscriberCount();
+
+            const req = http.get('http://localhost:' + server.address().port + '/stream', function (res) {
+                assert.equal(res.statusCode, 200);
+                assert.match(res.headers['content-type'], /^text\/event-stream/);
+                assert.equal(res.headers['cache-control'], 'no-cache, no-transform');
+
+                let body = '';
+                let isActivitySent = false;
+                res.setEncoding('utf8');
+                res.on('data', function (chunk) {
+                    body += chunk;
+
+                    // Subscribed right after opening the stream, which sends the "retry" first
+                    if (!isActivitySent) {
+                        isActivitySent = true;
+                        assert.equal(cosStream.getSubscriberCount(), subscriberCount + 1);
+                        cosStream.handleActivity({id: 'a1', topicIds: [topicId], groupIds: []});
+                    }
+
+                    if (/event: .*\n.*\n\n$/.test(body)) {
+                        assert.equal(body, 'retry: 5000\n\nid: a1\nevent: activity\ndata: {"id":"a1"}\n\n');
+                        req.destroy();
+                    }
+                });
+                res.on('close', function () {
+                    setTimeout(function () {
+                        assert.equal(cosStream.getSubscriberCount(), subscriberCount);
+                        done();
+                    }, 100);
+                });
+            });
+        });
+
+    });
+
+});
@@ -0,0 +1,167 @@
+'use strict';
+
+suite('cosWebhooks', function () {
+    const assert = require('chai').assert;
+    const crypto = require('crypto');
+
+    const app = require('../../app');
+    const cosWebhooks = app.get('cosWebhooks');
+    const models = app.get('models');
+
+    const Activity = models.Activity;
+    const Topic = models.Topic;
+    const PartnerWebhook = models.PartnerWebhook;
+
+    suite('getEvents', function () {
+        const topicId = 'eb4344db-7c8e-4abd-9a60-c0e84dc22492';
+
+        test('Success - topic.created', async function () {
+            const events = cosWebhooks.getEvents({
+                type: Activity.TYPES.create,
+                object: {
+                    '@type': 'Topic',
+                    id: topicId,
+                    status: Topic.STATUSES.inProgress,
+                    visibility: Topic.VISIBILITY.private,
+                    sourcePartnerObjectId: 'partnerObjectId',
+                    title: 'Not in payload'
+                },
+                actor: {
+                    type: 'User',
+                    id: 'e5fcb764-a635-4858-a496-e43079c7326b'
+                }
+            });
+
+            assert.deepEqual(events, [
+                {
+                    event: PartnerWebhook.EVENTS.topicCreated,
+                    topicId: topicId,
+                    data: {
+                        topic: {
+                            id: topicId,
+                            status: Topic.STATUSES.inProgress,
+                            visibility: Topic.VISIBILITY.private,
+                            sourcePartnerObjectId: 'partnerObjectId'
+                        }
+                    }
+                }
+            ]);
+        });
+
+        test('Success - topic.statusChanged and vote.closed', async function () {
+            const events = cosWebhooks.getEvents({
+                type: Activity.TYPES.update,
+                object: {
+                    '@type': 'Topic',
+                    id: topicId,
+                    status: Topic.STATUSES.voting
+                },
+                origin: {
+                    '@type': 'Topic',
+                    id: topicId,
+                    status: Topic.STATUSES.voting
+                },
+                result: [
+                    {
+                        op: 'replace',
+                        path: '/status',
+                        value: Topic.STATUSES.followUp
+                    }
+                ],
+                actor: {
+                    type: 'System'
+                }
+            });
+
+            assert.deepEqual(events.map(function (e) {
+                return e.event;
+            }), [PartnerWebhook.EVENTS.topicStatusChanged, PartnerWebhook.EVENTS.voteClosed]);
+            assert.equal(events[0].data.topic.status, Topic.STATUSES.followUp);
+            assert.equal(events[0].data.topic.statusPrevious, Topic.STATUSES.voting);
+        });
+
+        test('Success - vote.cast does not contain voter data', async function () {
+            const events = cosWebhooks.getEvents({
+                type: Activity.TYPES.create,
+                object: [
+                    {
+                        '@type': 'VoteList',
+                        voteId: 'b4ab4adb-f76c-4093-a0be-2006ad66ab0f',
+                        userId: 'e5fcb764-a635-4858-a496-e43079c7326b'
+                    }
+                ],
+                target: {
+                    '@type': 'Topic',
+                    id: topicId
+                },
+                actor: {
+                    type: 'User',
+                    id: 'e5fcb764-a635-4858-a496-e43079c7326b'
+                }
+            });
+
+            assert.deepEqual(events, [
+                {
+                    event: PartnerWebhook.EVENTS.voteCast,
+                    topicId: topicId,
+                    data: {
+                        topic: {
+                            id: topicId
+                        },
+                        vote: {
+                            id: 'b4ab4adb-f76c-4093-a0be-2006ad66ab0f'
+                        }
+                    }
+                }
+            ]);
+        });
+
+        test('Success - vote.cast for secret ballot', async function () {
+            const events = cosWebhooks.getEvents({
+                type: Activity.TYPES.create,
+                object: {
+                    '@type': 'VoteParticipant',
+                    voteId: 'b4ab4adb-f76c-4093-a0be-2006ad66ab0f',
+                    userId: 'e5fcb764-a635-4858-a496-e43079c7326b'
+                },
+                target: {
+                    '@type': 'Topic',
+                    id: topicId
+                },
+                actor: {
+                    type: 'User',
+                    id: 'e5fcb764-a635-4858-a496-e43079c7326b'
+                }
+            });
+
+            assert.equal(events.length, 1);
+            assert.equal(events[0].event, PartnerWebhook.EVENTS.voteCast);
+            assert.deepEqual(events[0].data.vote, {id: 'b4ab4adb-f76c-4093-a0be-2006ad66ab0f'});
+        });
+
+        test('Success - no events for unrelated Activity', async function () {
+            const events = cosWebhooks.getEvents({
+                type: Activity.TYPES.view,
+                object: {
+                    '@type': 'Topic',
+                    id: topicId
+                }
+            });
+
+            assert.deepEqual(events, []);
+        });
+    });
+
+    suite('sign', function () {
+
+        test('Success', async function () {
+            const secret = cosWebhooks.generateSecret();
+            const timestamp = 1634567890;
+            const body = JSON.stringify({foo: 'bar'});
+
+            const expected = 'sha256=' + crypto.createHmac('sha256', secret).update(timestamp + '.' + body).digest('hex');
+
+            assert.equal(cosWebhooks.sign(secret, timestamp, body), expected);
+        });
+    });
+});
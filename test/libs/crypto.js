@@ -1,6 +1,7 @@
 'use strict';
 
 const assert = require('chai').assert;
+const crypto = require('crypto');
 const cryptoLib = require('../../libs/crypto');
 
 suite('Crypto', function () {
@@ -13,4 +14,88 @@ suite('Crypto', function () {
         assert.equal(hash, 'YWIxMTY2ODEwYjcxZDcwODVlOTUyZTA3YWJmYzQ5YmI');
     });
 
+    test('getPkceChallenge', async function () {
+        // https://tools.ietf.org/html/rfc7636#appendix-B
+        const challenge = cryptoLib.getPkceChallenge('dBjftJeZ4CVP-mB92K27uhbUJU1p1r_wW1gFWFOEjXk');
+
+        assert.equal(challenge, 'E9Melhoa2OwvFrEMTJguCHaoeK1t8URWbuGJSstw-cM');
+    });
+
+    suite('getJwk', function () {
+
+        test('Success - RSA', async function () {
+            const keyPair = crypto.generateKeyPairSync('rsa', {modulusLength: 2048});
+            const jwk = cryptoLib.getJwk(keyPair.publicKey.export({type: 'spki', format: 'pem'}));
+
+            assert.equal(jwk.kty, 'RSA');
+            assert.equal(jwk.e, 'AQAB');
+            assert.equal(jwk.n.length, 342);
+            assert.notMatch(jwk.n, /[+/=]/);
+        });
+
+        test('Success - EC', async function () {
+            const keyPair = crypto.generateKeyPairSync('ec', {namedCurve: 'P-256'});
+            const jwk = cryptoLib.getJwk(keyPair.publicKey.export({type: 'spki', format: 'pem'}));
+
+            assert.equal(jwk.kty, 'EC');
+            assert.equal(jwk.crv, 'P-256');
+            assert.equal(jwk.x.length, 43);
+            assert.equal(jwk.y.length, 43);
+        });
+
+        test('Fail - unsupported key type', async function () {
+            const keyPair = crypto.generateKeyPairSync('ed25519');
+
+            assert.throws(function () {
+                cryptoLib.getJwk(keyPair.publicKey.export({type: 'spki', format: 'pem'}));
+            }, 'Unsupported key type ed25519');
+        });
+
+    });
+
+    test('getJwkThumbprint', async function () {
+        // https://tools.ietf.org/html/rfc7638#section-3.1
+        const thumbprint = cryptoLib.getJwkThumbprint({
+            kty: 'RSA',
+            n: '0vx7agoebGcQSuuPiLJXZptN9nndrQmbXEps2aiAFbWhM78LhWx4cbbfAAtVT86zwu1RK7aPFFxuhDR1L6tSoc_BJECPebWKRXjBZCiFV4n3oknjhMstn64tZ_2W-5JsGY4Hc5n9yBXArwl93lqt7_RN5w6Cf0h4QyQ5v-65YGjQR0_FDW2QvzqY368QQMicAtaSqzs8KJZgnYb9c7d0zgdAZHzu6qMQvRL5hajrn1n91CbOpbISD08qNLyrdkt-bFTWhAI4vMQFh6WeZu0fM4lFd2NcRwr3XPksINHaQ-G_xBniIqbw0Ls1jF44-csFCur-kEgU8awapJzKnqDKgw',
+            e: 'AQAB',
+            alg: 'RS256',
+            kid: '2011-04-29'
+        });
+
+        assert.equal(thumbprint, 'NzbLsXh8uDCcd-6MNwXF4W_7noWXFZAfHkxZsRGC9Xs');
+    });
+
+    test('getBase32 & getBufferFromBase32', async function () {
+        // https://tools.ietf.org/html/rfc4648#section-10
+        assert.equal(cryptoLib.getBase32(Buffer.from('foobar')), 'MZXW6YTBOI');
+        assert.equal(cryptoLib.getBufferFromBase32('mzxw6 ytboi======').toString(), 'foobar');
+
+        const data = crypto.randomBytes(20);
+        assert.isTrue(cryptoLib.getBufferFromBase32(cryptoLib.getBase32(data)).equals(data));
+
+        assert.throws(function () {
+            cryptoLib.getBufferFromBase32('MZXW1');
+        }, 'Invalid base32 character "1"');
+    });
+
+    test('getHotp', async function () {
+        // https://tools.ietf.org/html/rfc4226#appendix-D
+        const key = Buffer.from('12345678901234567890');
+
+        assert.equal(cryptoLib.getHotp(key, 0), '755224');
+        assert.equal(cryptoLib.getHotp(key, 1), '287082');
+        assert.equal(cryptoLib.getHotp(key, 9), '520489');
+    });
+
+    test('getTotp', async function () {
+        // https://tools.ietf.org/html/rfc6238#appendix-B
+        const key = Buffer.from('12345678901234567890');
+
+        assert.equal(cryptoLib.getTotp(key, 59000, 30, 8), '94287082');
+        assert.equal(cryptoLib.getTotp(key, 1111111109000, 30, 8), '07081804');
+        assert.equal(cryptoLib.getTotp(key, 2000000000000, 30, 8), '69279037');
+        assert.equal(cryptoLib.getTotp(key, 20000000000000, 30, 8), '65353130');
+    });
+
 });
@@ -0,0 +1,78 @@
+'use strict';
+
+const assert = require('chai').assert;
+const htmlDiff = require('../../libs/htmlDiff');
+
+suite('HtmlDiff', function () {
+
+    suite('tokenize', function () {
+
+        test('Success', async function () {
+            assert.deepEqual(htmlDiff.tokenize('<p class="a">Hello,  world&nbsp;!</p>'), ['<p class="a">', 'Hello,', '  ', 'world', '&nbsp;', '!', '</p>']);
+        });
+
+        test('Success - empty', async function () {
+            assert.deepEqual(htmlDiff.tokenize(''), []);
+            assert.deepEqual(htmlDiff.tokenize(null), []);
+        });
+
+    });
+
+    suite('diff', function () {
+
+        test('Success', async function () {
+            const changes = htmlDiff.diff('<p>The quick brown fox</p>', '<p>The slow brown fox jumps</p>');
+
+            assert.deepEqual(changes, [
+                {type: htmlDiff.TYPES.equal, value: '<p>The '},
+                {type: htmlDiff.TYPES.delete, value: 'quick'},
+                {type: htmlDiff.TYPES.insert, value: 'slow'},
+                {type: htmlDiff.TYPES.equal, value: ' brown fox'},
+                {type: htmlDiff.TYPES.insert, value: ' jumps'},
+                {type: htmlDiff.TYPES.equal, value: '</p>'}
+            ]);
+        });
+
+        test('Success - equal', async function () {
+            assert.deepEqual(htmlDiff.diff('<p>Same</p>', '<p>Same</p>'), [{type: htmlDiff.TYPES.equal, value: '<p>Same</p>'}]);
+        });
+
+        test('Success - changes reconstruct both documents', async function () {
+            const from = '<h1>Title</h1><p>One two three</p><ul><li>a</li><li>b</li></ul>';
+            const to = '<h1>New title</h1><p>One three four</p><ul><li>b</li></ul><p>End</p>';
+            const changes = htmlDiff.diff(from, to);
+
+            const join = function (typeSkipped) {
+                return changes
+                    .filter(function (change) {
+                        return change.type !== typeSkipped;
+                    })
+                    .map(function (change) {
+                        return change.value;
+                    })
+                    .join('');
+            };
+
+            assert.equal(join(htmlDiff.TYPES.insert), from);
+            assert.equal(join(htmlDiff.TYPES.delete), to);
+        });
+
+    });
+
+    suite('toHtml', function () {
+
+        test('Success', async function () {
+            const changes = htmlDiff.diff('<p>Old text</p>', '<p>New text</p><p>Added</p>');
+
+            assert.equal(htmlDiff.toHtml(changes), '<p><del>Old</del><ins>New</ins> text</p><p><ins>Added</ins></p>');
+        });
+
+        test('Success - tags of the deleted content are dropped', async function () {
+            const changes = htmlDiff.diff('<p>Keep</p><p>Removed paragraph</p>', '<p>Keep</p>');
+
+            assert.equal(htmlDiff.toHtml(changes), '<p>Keep</p><del>Removed paragraph</del>');
+        });
+
+    });
+
+});
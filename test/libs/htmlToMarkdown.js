@@ -0,0 +1,39 @@
+'use strict';
+
+const assert = require('chai').assert;
+const htmlToMarkdown = require('../../libs/htmlToMarkdown');
+
+suite('HtmlToMarkdown', function () {
+
+    suite('toMarkdown', function () {
+
+        test('Success - Etherpad document', async function () {
+            const html = '<!DOCTYPE HTML><html><head><title>Title</title></head><body><h1>Title &amp; more</h1><br>Some <strong>bold </strong>and <em>italic</em> text<br><br>Second line<br></body></html>';
+
+            assert.equal(htmlToMarkdown.toMarkdown(html), '# Title & more\n\nSome **bold** and *italic* text\n\nSecond line\n');
+        });
+
+        test('Success - lists', async function () {
+            const html = '<ul class="bullet"><li>One</li><li>Two</li><ul class="bullet"><li>Nested</li></ul></ul><ol><li>First</li><li>Second</li></ol>';
+
+            assert.equal(htmlToMarkdown.toMarkdown(html), '- One\n- Two\n  - Nested\n\n1. First\n2. Second\n');
+        });
+
+        test('Success - links, images and code', async function () {
+            const html = '<p>A <a href="https://citizenos.com">link</a>, <img src="https://citizenos.com/a.png" alt="image"> and <code>a*b</code></p><pre>line 1\n  line 2</pre>';
+
+            assert.equal(htmlToMarkdown.toMarkdown(html), 'A [link](https://citizenos.com), ![image](https://citizenos.com/a.png) and `a*b`\n\n```\nline 1\n  line 2\n```\n');
+        });
+
+        test('Success - Markdown characters in text are escaped', async function () {
+            assert.equal(htmlToMarkdown.toMarkdown('<p># not_a *heading*</p><p>1. not a list</p>'), '\\# not\\_a \\*heading\\*\n\n1\\. not a list\n');
+        });
+
+        test('Success - empty', async function () {
+            assert.equal(htmlToMarkdown.toMarkdown(''), '');
+            assert.equal(htmlToMarkdown.toMarkdown(null), '');
+        });
+
+    });
+
+});
@@ -0,0 +1,109 @@
+'use strict';
+
+suite('RateLimit', function () {
+    const assert = require('chai').assert;
+    const request = require('supertest');
+    const express = require('express');
+
+    const app = require('../../app');
+    const rateLimit = app.get('middleware.rateLimit');
+
+    const shared = require('../utils/shared');
+    const postgresStore = require('../../libs/rateLimit/postgresStore')(app);
+    const memoryStore = require('../../libs/rateLimit/memoryStore')();
+
+    suiteSetup(async function () {
+        return shared.syncDb();
+    });
+
+    suite('Middleware', function () {
+        let testApp;
+
+        setup(function () {
+            testApp = express();
+            testApp.use(require('../../libs/middleware/response'));
+            testApp.get('/test', rateLimit({name: 'test' + Date.now(), window: 60000, max: 2, keyBy: rateLimit.KEY_BY.ip}), function (req, res) {
+                return res.ok();
+            });
+        });
+
+        test('Success', async function () {
+            const res = await request(testApp)
+                .get('/test')
+                .expect(200);
+
+            assert.equal(res.headers['x-ratelimit-limit'], '2');
+            assert.equal(res.headers['x-ratelimit-remaining'], '1');
+        });
+
+        test('Fail - 429 - limit exceeded', async function () {
+            await request(testApp).get('/test').expect(200);
+            await request(testApp).get('/test').expect(200);
+
+            const res = await request(testApp)
+                .get('/test')
+                .expect(429)
+                .expect('Content-Type', /json/);
+
+            assert.deepEqual(res.body, {
+                status: {
+                    code: 42900,
+                    message: 'Too Many Requests'
+                }
+            });
+            assert.equal(res.headers['x-ratelimit-remaining'], '0');
+            assert.isAtLeast(parseInt(res.headers['retry-after'], 10), 1);
+        });
+
+        test('Fail - invalid keyBy', async function () {
+            assert.throws(function () {
+                rateLimit({name: 'test', window: 60000, max: 2, keyBy: 'nope'});
+            }, /Invalid value for "keyBy"/);
+        });
+
+        test('Fail - missing bucket', async function () {
+            assert.throws(function () {
+                rateLimit('nope');
+            }, /Missing rate limit bucket/);
+        });
+
+    });
+
+    suite('Stores', function () {
+
+        [['memory', memoryStore], ['postgres', postgresStore]].forEach(function (storeInfo) {
+            const store = storeInfo[1];
+
+            test('Success - ' + storeInfo[0], async function () {
+                const key = 'test:' + storeInfo[0] + ':' + Date.now();
+
+                const counter1 = await store.hit(key, 60000);
+                const counter2 = await store.hit(key, 60000);
+
+                assert.equal(counter1.hits, 1);
+                assert.equal(counter2.hits, 2);
+                assert.equal(counter1.resetAt.getTime(), counter2.resetAt.getTime());
+                assert.isAbove(counter1.resetAt.getTime(), Date.now());
+
+                await store.reset(key);
+
+                const counter3 = await store.hit(key, 60000);
+                assert.equal(counter3.hits, 1);
+            });
+
+            test('Success - ' + storeInfo[0] + ' - window expired', async function () {
+                const key = 'test:' + storeInfo[0] + ':expired:' + Date.now();
+
+                await store.hit(key, 1);
+                await new Promise(function (resolve) {
+                    setTimeout(resolve, 10);
+                });
+
+                const counter = await store.hit(key, 60000);
+                assert.equal(counter.hits, 1);
+            });
+        });
+
+    });
+
+});
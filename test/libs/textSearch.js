@@ -0,0 +1,83 @@
+'use strict';
+
+const assert = require('chai').assert;
+const textSearch = require('../../libs/textSearch');
+
+suite('TextSearch', function () {
+
+    suite('getConfig', function () {
+
+        test('Success', async function () {
+            assert.equal(textSearch.getConfig('et'), 'estonian');
+            assert.equal(textSearch.getConfig('RU'), 'russian');
+        });
+
+        test('Success - unsupported language', async function () {
+            assert.equal(textSearch.getConfig('xx'), 'simple');
+            assert.equal(textSearch.getConfig(), 'simple');
+        });
+
+    });
+
+    suite('toTsQuery', function () {
+
+        test('Success', async function () {
+            assert.equal(textSearch.toTsQuery('Citizen OS vot'), 'citizen:* & os:* & vot:*');
+        });
+
+        test('Success - non-latin characters', async function () {
+            assert.equal(textSearch.toTsQuery('Голосование, õigus!'), 'голосование:* & õigus:*');
+        });
+
+        test('Success - query syntax is removed', async function () {
+            assert.equal(textSearch.toTsQuery('a:* | !b & (c)\''), 'a:* & b:* & c:*');
+        });
+
+        test('Success - weights', async function () {
+            assert.equal(textSearch.toTsQuery('title', 'A'), 'title:*A');
+        });
+
+        test('Success - nothing to search for', async function () {
+            assert.isNull(textSearch.toTsQuery(' !? '));
+            assert.isNull(textSearch.toTsQuery());
+        });
+
+    });
+
+    suite('getTsQuerySql', function () {
+
+        test('Success - language', async function () {
+            assert.equal(textSearch.getTsQuerySql('en'), 'to_tsquery(\'simple\', :tsQuery) || to_tsquery(\'english\', :tsQuery)');
+        });
+
+        test('Success - all languages', async function () {
+            const sql = textSearch.getTsQuerySql();
+
+            Object.values(textSearch.CONFIGS).forEach(function (config) {
+                assert.include(sql, 'to_tsquery(\'' + config + '\', :tsQuery)');
+            });
+        });
+
+    });
+
+    suite('getMatchSql', function () {
+
+        test('Success', async function () {
+            assert.equal(textSearch.getMatchSql('t."searchVector"', 'vot:*', 'en'), 't."searchVector" @@ (to_tsquery(\'simple\', :tsQuery) || to_tsquery(\'english\', :tsQuery))');
+        });
+
+        test('Success - empty search string matches everything', async function () {
+            assert.equal(textSearch.getMatchSql('t."searchVector"', textSearch.toTsQuery(''), 'en'), 'TRUE');
+        });
+
+    });
+
+    suite('highlight', function () {
+
+        test('Success', async function () {
+            assert.equal(textSearch.highlight('<i>x</i> [[[vote]]] now'), '&lt;i&gt;x&lt;/i&gt; <b>vote</b> now');
+        });
+
+    });
+
+});
@@ -85,4 +85,34 @@ suite('Util', function () {
 
     });
 
+
+    suite('isPublicAddress', function () {
+
+        test('Success', async function () {
+            ['8.8.8.8', '172.32.0.1', '2001:4860:4860::8888', '::ffff:8.8.8.8'].forEach(function (address) {
+                assert.isTrue(util.isPublicAddress(address), address);
+            });
+        });
+
+        test('Fail - private, loopback and link-local', async function () {
+            ['10.0.0.1', '172.16.0.1', '192.168.1.1', '127.0.0.1', '169.254.169.254', '0.0.0.0', '::1', '::', 'fe80::1', 'fd00::1', '::ffff:127.0.0.1', 'notanaddress'].forEach(function (address) {
+                assert.isFalse(util.isPublicAddress(address), address);
+            });
+        });
+
+    });
+
+    suite('lookupPublicAddress', function () {
+
+        test('Fail - localhost', async function () {
+            try {
+                await util.lookupPublicAddress('localhost');
+                assert.fail('Should have thrown');
+            } catch (err) {
+                assert.match(err.message, /does not resolve to a public address/);
+            }
+        });
+
+    });
+
 });
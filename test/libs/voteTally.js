@@ -0,0 +1,90 @@
+'use strict';
+
+const assert = require('chai').assert;
+const voteTally = require('../../libs/voteTally');
+
+suite('VoteTally', function () {
+
+    suite('instantRunoff', function () {
+
+        test('Success - majority in the 1st round', async function () {
+            const results = voteTally.instantRunoff(['a', 'b', 'c'], [
+                {weight: 2, ranking: ['a', 'b', 'c']},
+                {weight: 1, ranking: ['b', 'c', 'a']}
+            ]);
+
+            assert.equal(results.rounds.length, 1);
+            assert.deepEqual(results.rounds[0].options, [
+                {optionId: 'a', voteCount: 2},
+                {optionId: 'b', voteCount: 1},
+                {optionId: 'c', voteCount: 0}
+            ]);
+            assert.equal(results.winnerId, 'a');
+            assert.deepEqual(results.tiedIds, []);
+        });
+
+        test('Success - eliminated option votes are transferred', async function () {
+            const results = voteTally.instantRunoff(['a', 'b', 'c'], [
+                {weight: 2, ranking: ['a', 'b', 'c']},
+                {weight: 2, ranking: ['b', 'c', 'a']},
+                {weight: 1, ranking: ['c', 'a', 'b']}
+            ]);
+
+            assert.equal(results.rounds.length, 2);
+            assert.deepEqual(results.rounds[0].eliminated, ['c']);
+            assert.deepEqual(results.rounds[1].options, [
+                {optionId: 'a', voteCount: 3},
+                {optionId: 'b', voteCount: 2}
+            ]);
+            assert.equal(results.winnerId, 'a');
+        });
+
+        test('Success - exhausted ballots', async function () {
+            const results = voteTally.instantRunoff(['a', 'b', 'c'], [
+                {weight: 2, ranking: ['a']},
+                {weight: 2, ranking: ['b']},
+                {weight: 1, ranking: ['c']}
+            ]);
+
+            assert.equal(results.rounds[1].exhausted, 1);
+            assert.isNull(results.winnerId);
+            assert.deepEqual(results.tiedIds, ['a', 'b']);
+        });
+
+        test('Success - no ballots', async function () {
+            const results = voteTally.instantRunoff(['a', 'b'], []);
+
+            assert.equal(results.rounds.length, 1);
+            assert.isNull(results.winnerId);
+            assert.deepEqual(results.tiedIds, []);
+        });
+
+    });
+
+    suite('scoreTotals', function () {
+
+        test('Success', async function () {
+            const results = voteTally.scoreTotals(['a', 'b'], [
+                {weight: 1, scores: {a: 3, b: 1}},
+                {weight: 2, scores: {a: 0, b: 2}}
+            ]);
+
+            assert.deepEqual(results.options, [
+                {optionId: 'b', score: 5, average: 5 / 3},
+                {optionId: 'a', score: 3, average: 1}
+            ]);
+            assert.equal(results.winnerId, 'b');
+        });
+
+        test('Success - tie', async function () {
+            const results = voteTally.scoreTotals(['a', 'b'], [
+                {weight: 1, scores: {a: 2, b: 2}}
+            ]);
+
+            assert.isNull(results.winnerId);
+            assert.deepEqual(results.tiedIds, ['a', 'b']);
+        });
+
+    });
+
+});